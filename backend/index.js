@@ -2,6 +2,7 @@
 import { logger } from './src/utils/logger.js';
 import AppInitService from './src/services/appInitService.js';
 import configService from './src/services/configService.js';
+import jobQueueService from './src/services/jobQueueService.js';
 
 /**
  * Main application entry point
@@ -21,6 +22,9 @@ async function main() {
       logger.info(`API URL: http://localhost:${PORT}/api`);
     });
 
+    // Start the background generation worker
+    await jobQueueService.start();
+
     // Log successful startup
     logger.info('Application started successfully');
 
@@ -38,6 +42,9 @@ async function main() {
     const gracefulShutdown = () => {
       logger.info('Starting graceful shutdown...');
 
+      // Running jobs stay 'running' in the database and are requeued on the next start
+      jobQueueService.stop();
+
       server.close(() => {
         logger.info('HTTP server closed');
         logger.info('Graceful shutdown completed');
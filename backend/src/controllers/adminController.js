@@ -3,6 +3,8 @@ import { logger } from '../utils/logger.js';
 import bcrypt from 'bcrypt';
 import { validatePassword } from '../utils/validator.js';
 import { sendEmail } from '../utils/emailService.js';
+import AIAuditService from '../services/aiAuditService.js';
+import aiService from '../services/aiService.js';
 
 class AdminController {
     // Create User (Admin function)
@@ -471,6 +473,122 @@ class AdminController {
             });
         }
     }
+
+    // Get AI Generation Logs
+    static async getAILogs(req, res) {
+        try {
+            const limit = parseInt(req.query.limit) || 20;
+            const offset = parseInt(req.query.offset) || 0;
+
+            const { logs, total } = await AIAuditService.listLogs({
+                limit,
+                offset,
+                userId: req.query.userId ? parseInt(req.query.userId) : null,
+                task: req.query.task || null,
+                status: req.query.status || null,
+                search: req.query.search || null
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: logs,
+                pagination: {
+                    total,
+                    limit,
+                    offset,
+                    hasMore: offset + limit < total
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching AI generation logs:', error);
+
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while fetching AI generation logs',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get One AI Generation Log with the full prompt and response
+    static async getAILog(req, res) {
+        try {
+            const log = await AIAuditService.getLog(parseInt(req.params.id));
+
+            if (!log) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'AI generation log not found'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: log
+            });
+        } catch (error) {
+            logger.error('Error fetching AI generation log:', error);
+
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while fetching the AI generation log',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Replay a logged AI request, optionally against another provider or model
+    static async replayAILog(req, res) {
+        try {
+            const log = await AIAuditService.getLog(parseInt(req.params.id));
+
+            if (!log) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'AI generation log not found'
+                });
+            }
+
+            let result;
+            try {
+                result = await aiService.replay(log, {
+                    provider: req.body.provider || undefined,
+                    model: req.body.model || undefined
+                });
+            } catch (replayError) {
+                if (replayError.statusCode) {
+                    return res.status(replayError.statusCode).json({
+                        success: false,
+                        message: replayError.message
+                    });
+                }
+
+                // The failed attempt is in the log as well
+                logger.warn(`Replay of AI generation log ${log.id} failed: ${replayError.message}`);
+                return res.status(502).json({
+                    success: false,
+                    message: `The AI provider returned an error: ${replayError.message}`
+                });
+            }
+
+            logger.info(`AI generation log ${log.id} replayed by Admin ID ${req.user.userId} (${result.model})`);
+
+            return res.status(200).json({
+                success: true,
+                data: result.logId ? await AIAuditService.getLog(result.logId) : { response: result.text, model: result.model },
+                // Attachments are not stored, so the replay only had the prompt text
+                attachmentsOmitted: log.attachments.length > 0
+            });
+        } catch (error) {
+            logger.error('Error replaying AI generation log:', error);
+
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while replaying the AI request',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
 }
 
 export { AdminController };
\ No newline at end of file
@@ -23,7 +23,7 @@ class ExportController {
       }
 
       // Generate GIFT content
-      const giftContent = await ExportService.exportToGift(id);
+      const giftContent = await ExportService.exportToGift(id, { language: req.query.language });
 
       // Set response headers for download
       res.setHeader('Content-Type', 'text/plain; charset=utf-8');
@@ -38,7 +38,7 @@ class ExportController {
     } catch (error) {
       logger.error('Error exporting quiz to GIFT format:', error);
 
-      return res.status(error.message === 'Quiz not found' ? 404 : 500).json({
+      return res.status(error.statusCode || (error.message === 'Quiz not found' ? 404 : 500)).json({
         success: false,
         message: error.message
       });
@@ -62,7 +62,7 @@ class ExportController {
       }
 
       // Generate plain text content
-      const textContent = await ExportService.exportToPlainText(id);
+      const textContent = await ExportService.exportToPlainText(id, { language: req.query.language });
 
       // Set response headers for download
       res.setHeader('Content-Type', 'text/plain; charset=utf-8');
@@ -77,7 +77,7 @@ class ExportController {
     } catch (error) {
       logger.error('Error exporting quiz to plain text:', error);
 
-      return res.status(error.message === 'Quiz not found' ? 404 : 500).json({
+      return res.status(error.statusCode || (error.message === 'Quiz not found' ? 404 : 500)).json({
         success: false,
         message: error.message
       });
@@ -101,7 +101,7 @@ class ExportController {
       }
 
       // Generate JSON data
-      const jsonData = await ExportService.exportToJSON(id);
+      const jsonData = await ExportService.exportToJSON(id, { language: req.query.language });
 
       // Set response headers for download
       res.setHeader('Content-Type', 'application/json; charset=utf-8');
@@ -116,7 +116,7 @@ class ExportController {
     } catch (error) {
       logger.error('Error exporting quiz to JSON:', error);
 
-      return res.status(error.message === 'Quiz not found' ? 404 : 500).json({
+      return res.status(error.statusCode || (error.message === 'Quiz not found' ? 404 : 500)).json({
         success: false,
         message: error.message
       });
@@ -140,7 +140,7 @@ class ExportController {
       }
 
       // Generate CSV content
-      const csvContent = await ExportService.exportToCSV(id);
+      const csvContent = await ExportService.exportToCSV(id, { language: req.query.language });
 
       // Set response headers for download
       res.setHeader('Content-Type', 'text/csv; charset=utf-8');
@@ -155,7 +155,7 @@ class ExportController {
     } catch (error) {
       logger.error('Error exporting quiz to CSV:', error);
 
-      return res.status(error.message === 'Quiz not found' ? 404 : 500).json({
+      return res.status(error.statusCode || (error.message === 'Quiz not found' ? 404 : 500)).json({
         success: false,
         message: error.message
       });
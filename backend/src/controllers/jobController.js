@@ -0,0 +1,278 @@
+import jobQueueService, { JobType, JobStatus } from '../services/jobQueueService.js';
+import aiService from '../services/aiService.js';
+import ObjectiveService from '../services/objectiveService.js';
+import QuotaService, { QuotaType } from '../services/quotaService.js';
+import { logger } from '../utils/logger.js';
+import fs from 'fs';
+
+/**
+ * Controller for background AI generation jobs
+ */
+class JobController {
+  /**
+   * Queue quiz generation from a topic
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createTopicJob(req, res) {
+    try {
+      const { topic, url, questionType, numberOfQuestions, additionalInstructions, studentLevel, language, difficultyMix, bloomMix, objectiveIds } = req.body;
+
+      if (!aiService.isAvailable()) {
+        return res.status(503).json({
+          success: false,
+          message: 'AI service is currently unavailable'
+        });
+      }
+
+      const job = await jobQueueService.enqueue(req.user.userId, JobType.TOPIC, {
+        topic: topic || url,
+        questionType,
+        numberOfQuestions,
+        additionalInstructions,
+        studentLevel,
+        language: aiService.normalizeLanguage(language),
+        difficultyMix,
+        bloomMix,
+        // Stored resolved so the job generates for the objectives as they were when it was queued
+        objectives: await ObjectiveService.getObjectives(req.user, objectiveIds)
+      });
+
+      if (req.logActivity) {
+        await req.logActivity('quiz_generate_job', `Queued generation job ${job.id} for topic: ${job.title}`);
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: 'Quiz generation queued',
+        data: job
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Error queuing generation job:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while queuing quiz generation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Queue quiz generation from an uploaded file.
+   * The upload is kept on disk until the job has finished with it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createFileJob(req, res) {
+    const uploadedFile = req.file;
+
+    const rejectUpload = (statusCode, message) => {
+      if (uploadedFile && fs.existsSync(uploadedFile.path)) {
+        fs.unlinkSync(uploadedFile.path);
+      }
+      return res.status(statusCode).json({ success: false, message });
+    };
+
+    try {
+      if (!uploadedFile) {
+        return rejectUpload(400, 'ไม่พบไฟล์ที่อัพโหลด');
+      }
+
+      if (uploadedFile.size > 5 * 1024 * 1024) { // 5MB limit
+        return rejectUpload(413, 'ไฟล์มีขนาดใหญ่เกินไป (ขีดจำกัด 5MB)');
+      }
+
+      let settings = {};
+      try {
+        settings = JSON.parse(req.body.settings || '{}');
+      } catch (error) {
+        return rejectUpload(400, 'รูปแบบการตั้งค่าไม่ถูกต้อง');
+      }
+
+      // Reject a bad difficulty or Bloom mix now rather than when the job runs
+      try {
+        aiService.planQuestionLevels(settings.numberOfQuestions || 10, settings);
+      } catch (error) {
+        return rejectUpload(400, `สัดส่วนระดับความยากไม่ถูกต้อง: ${error.message}`);
+      }
+
+      if (!aiService.isAvailable()) {
+        return rejectUpload(503, 'บริการ AI ไม่พร้อมใช้งาน');
+      }
+
+      const job = await jobQueueService.enqueue(req.user.userId, JobType.FILE, settings, uploadedFile);
+
+      // The AI generation is counted when the job completes
+      try {
+        await QuotaService.recordUsage(req.user.userId, QuotaType.STORAGE, uploadedFile.size);
+      } catch (error) {
+        // Non-critical error, just log it
+        logger.warn(`Failed to update storage usage for user ${req.user.userId}:`, error);
+      }
+
+      if (req.logActivity) {
+        await req.logActivity('quiz_generate_job', `Queued generation job ${job.id} for file: ${uploadedFile.originalname}`);
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: 'เพิ่มงานสร้างข้อสอบเข้าคิวแล้ว',
+        data: job
+      });
+    } catch (error) {
+      logger.error('Error queuing file generation job:', error);
+
+      if (uploadedFile && fs.existsSync(uploadedFile.path)) {
+        fs.unlinkSync(uploadedFile.path);
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'เกิดข้อผิดพลาดในการสร้างข้อสอบ',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List the current user's most recent jobs
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listJobs(req, res) {
+    try {
+      const limit = parseInt(req.query.limit, 10) || 10;
+      const jobs = await jobQueueService.listRecentJobs(req.user.userId, limit);
+
+      return res.status(200).json({
+        success: true,
+        data: jobs
+      });
+    } catch (error) {
+      logger.error('Error listing generation jobs:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while retrieving generation jobs',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get the status of a job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getJob(req, res) {
+    try {
+      const job = await jobQueueService.getJob(parseInt(req.params.jobId, 10), req.user.userId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      logger.error(`Error retrieving generation job ${req.params.jobId}:`, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while retrieving the job',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get the generated quiz of a completed job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getJobResult(req, res) {
+    try {
+      const job = await jobQueueService.getJob(parseInt(req.params.jobId, 10), req.user.userId, { includeResult: true });
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      if (job.status !== JobStatus.COMPLETED) {
+        return res.status(409).json({
+          success: false,
+          message: `Job is ${job.status}, no result available`,
+          data: { ...job, result: undefined }
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: job.result
+      });
+    } catch (error) {
+      logger.error(`Error retrieving result of generation job ${req.params.jobId}:`, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while retrieving the job result',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async cancelJob(req, res) {
+    try {
+      const result = await jobQueueService.cancelJob(parseInt(req.params.jobId, 10), req.user.userId);
+
+      if (!result.success) {
+        return res.status(result.job ? 409 : 404).json({
+          success: false,
+          message: result.error,
+          data: result.job
+        });
+      }
+
+      if (req.logActivity) {
+        await req.logActivity('quiz_generate_job_cancel', `Cancelled generation job ${req.params.jobId}`);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Job cancelled',
+        data: result.job
+      });
+    } catch (error) {
+      logger.error(`Error cancelling generation job ${req.params.jobId}:`, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while cancelling the job',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+export default JobController;
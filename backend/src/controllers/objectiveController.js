@@ -0,0 +1,213 @@
+import ObjectiveService from '../services/objectiveService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Controller for the course and learning objective catalogue
+ */
+class ObjectiveController {
+  /**
+   * List the courses of the user's schools and the schools they can add courses to
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listCourses(req, res) {
+    try {
+      const data = await ObjectiveService.listCourses(req.user);
+
+      return res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      return ObjectiveController._sendError(res, error, 'An error occurred while loading courses');
+    }
+  }
+
+  /**
+   * Get a course with its learning objectives
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCourse(req, res) {
+    try {
+      const course = await ObjectiveService.getCourse(parseInt(req.params.id, 10), req.user);
+
+      return res.status(200).json({
+        success: true,
+        data: course
+      });
+    } catch (error) {
+      return ObjectiveController._sendError(res, error, 'An error occurred while loading the course');
+    }
+  }
+
+  /**
+   * Create a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createCourse(req, res) {
+    try {
+      const course = await ObjectiveService.createCourse(req.user, req.body);
+
+      if (req.logActivity) {
+        await req.logActivity('course_create', `Created course ${course.code}: ${course.name} (ID: ${course.id})`);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'Course created successfully',
+        data: course
+      });
+    } catch (error) {
+      return ObjectiveController._sendError(res, error, 'An error occurred while creating the course');
+    }
+  }
+
+  /**
+   * Update a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateCourse(req, res) {
+    try {
+      const course = await ObjectiveService.updateCourse(parseInt(req.params.id, 10), req.user, req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Course updated successfully',
+        data: course
+      });
+    } catch (error) {
+      return ObjectiveController._sendError(res, error, 'An error occurred while updating the course');
+    }
+  }
+
+  /**
+   * Delete a course with its objectives
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteCourse(req, res) {
+    try {
+      const course = await ObjectiveService.deleteCourse(parseInt(req.params.id, 10), req.user);
+
+      if (req.logActivity) {
+        await req.logActivity('course_delete', `Deleted course ${course.code}: ${course.name} (ID: ${course.id})`);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Course deleted successfully'
+      });
+    } catch (error) {
+      return ObjectiveController._sendError(res, error, 'An error occurred while deleting the course');
+    }
+  }
+
+  /**
+   * Add a learning objective to a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createObjective(req, res) {
+    try {
+      const objective = await ObjectiveService.createObjective(parseInt(req.params.id, 10), req.user, req.body);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Learning objective added successfully',
+        data: objective
+      });
+    } catch (error) {
+      return ObjectiveController._sendError(res, error, 'An error occurred while adding the learning objective');
+    }
+  }
+
+  /**
+   * Update a learning objective
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateObjective(req, res) {
+    try {
+      const objective = await ObjectiveService.updateObjective(
+        parseInt(req.params.id, 10),
+        parseInt(req.params.objectiveId, 10),
+        req.user,
+        req.body
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Learning objective updated successfully',
+        data: objective
+      });
+    } catch (error) {
+      return ObjectiveController._sendError(res, error, 'An error occurred while updating the learning objective');
+    }
+  }
+
+  /**
+   * Delete a learning objective
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteObjective(req, res) {
+    try {
+      await ObjectiveService.deleteObjective(parseInt(req.params.id, 10), parseInt(req.params.objectiveId, 10), req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Learning objective deleted successfully'
+      });
+    } catch (error) {
+      return ObjectiveController._sendError(res, error, 'An error occurred while deleting the learning objective');
+    }
+  }
+
+  /**
+   * Report which objectives of a course have questions and which have none yet
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCoverage(req, res) {
+    try {
+      const coverage = await ObjectiveService.getCoverage(parseInt(req.params.id, 10), req.user);
+
+      return res.status(200).json({
+        success: true,
+        data: coverage
+      });
+    } catch (error) {
+      return ObjectiveController._sendError(res, error, 'An error occurred while building the coverage report');
+    }
+  }
+
+  /**
+   * Send the response of a failed catalogue request
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error, with statusCode for expected failures
+   * @param {string} fallbackMessage - Message of unexpected failures
+   * @returns {Object} Response
+   * @private
+   */
+  static _sendError(res, error, fallbackMessage) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error(fallbackMessage, error);
+
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+export default ObjectiveController;
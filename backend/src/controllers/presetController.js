@@ -0,0 +1,121 @@
+import PresetService from '../services/presetService.js';
+import { PRESET_PLACEHOLDERS } from '../utils/presetTemplates.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Controller for named generation presets
+ */
+class PresetController {
+  /**
+   * List the user's own presets and those shared with their departments
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listPresets(req, res) {
+    try {
+      const userId = req.user.userId;
+      const [presets, departments] = await Promise.all([
+        PresetService.listPresets(userId),
+        PresetService.getUserDepartments(userId)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          presets,
+          departments,
+          placeholders: PRESET_PLACEHOLDERS
+        }
+      });
+    } catch (error) {
+      return PresetController._sendError(res, error, 'An error occurred while loading presets');
+    }
+  }
+
+  /**
+   * Create a preset
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createPreset(req, res) {
+    try {
+      const preset = await PresetService.createPreset(req.user.userId, req.body);
+
+      if (req.logActivity) {
+        await req.logActivity('preset_create', `Created generation preset: ${preset.name} (ID: ${preset.id})`);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'Preset saved successfully',
+        data: preset
+      });
+    } catch (error) {
+      return PresetController._sendError(res, error, 'An error occurred while saving the preset');
+    }
+  }
+
+  /**
+   * Update a preset of the user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updatePreset(req, res) {
+    try {
+      const preset = await PresetService.updatePreset(parseInt(req.params.id, 10), req.user.userId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Preset updated successfully',
+        data: preset
+      });
+    } catch (error) {
+      return PresetController._sendError(res, error, 'An error occurred while updating the preset');
+    }
+  }
+
+  /**
+   * Delete a preset of the user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deletePreset(req, res) {
+    try {
+      await PresetService.deletePreset(parseInt(req.params.id, 10), req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Preset deleted successfully'
+      });
+    } catch (error) {
+      return PresetController._sendError(res, error, 'An error occurred while deleting the preset');
+    }
+  }
+
+  /**
+   * Send the response of a failed preset request
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error, with statusCode for expected failures
+   * @param {string} fallbackMessage - Message of unexpected failures
+   * @returns {Object} Response
+   * @private
+   */
+  static _sendError(res, error, fallbackMessage) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error(fallbackMessage, error);
+
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+export default PresetController;
@@ -0,0 +1,249 @@
+import QuestionBankService from '../services/questionBankService.js';
+import QuizService from '../services/quizService.js';
+import QuotaService, { QuotaType } from '../services/quotaService.js';
+import { cacheService } from '../services/cacheService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Controller for the question bank and the quiz assembler
+ */
+class QuestionBankController {
+  /**
+   * Search the user's bank
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listQuestions(req, res) {
+    try {
+      const { search, questionType, difficulty, bloomLevel, tag, limit, offset } = req.query;
+
+      const result = await QuestionBankService.listQuestions(req.user.userId, {
+        search: search?.trim() || undefined,
+        questionType,
+        difficulty,
+        bloomLevel,
+        tag,
+        limit: limit ? parseInt(limit, 10) : undefined,
+        offset: offset ? parseInt(offset, 10) : undefined
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      return QuestionBankController._sendError(res, error, 'An error occurred while loading the question bank');
+    }
+  }
+
+  /**
+   * Get the tags used in the user's bank
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getTags(req, res) {
+    try {
+      const tags = await QuestionBankService.getTags(req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        data: tags
+      });
+    } catch (error) {
+      return QuestionBankController._sendError(res, error, 'An error occurred while loading the tags');
+    }
+  }
+
+  /**
+   * Get a bank question with its usage history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getQuestion(req, res) {
+    try {
+      const question = await QuestionBankService.getQuestion(parseInt(req.params.id, 10), req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        data: question
+      });
+    } catch (error) {
+      return QuestionBankController._sendError(res, error, 'An error occurred while loading the question');
+    }
+  }
+
+  /**
+   * Add questions to the bank directly
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addQuestions(req, res) {
+    try {
+      const { questions, tags, language } = req.body;
+      const ids = await QuestionBankService.addQuestions(req.user.userId, questions, { tags, language });
+
+      return res.status(201).json({
+        success: true,
+        message: `${ids.length} question(s) added to the question bank`,
+        data: { ids }
+      });
+    } catch (error) {
+      return QuestionBankController._sendError(res, error, 'An error occurred while adding questions to the question bank');
+    }
+  }
+
+  /**
+   * Copy questions of a saved quiz into the bank
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addFromQuiz(req, res) {
+    try {
+      const { quizId } = req.params;
+      const { questionIds, tags } = req.body;
+      const userId = req.user.userId;
+
+      const quiz = await QuizService.getQuizById(quizId);
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz not found'
+        });
+      }
+
+      // The bank questions are linked from the quiz, so only its owner may add them
+      if (quiz.user_id !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to add questions of this quiz to your question bank'
+        });
+      }
+
+      const result = await QuestionBankService.addFromQuiz(userId, quiz, questionIds || null, tags);
+      cacheService.delete(`quiz:${quizId}`);
+
+      if (req.logActivity && result.added.length > 0) {
+        await req.logActivity('bank_add', `Added ${result.added.length} question(s) of quiz ${quiz.title} (ID: ${quizId}) to the question bank`);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: `${result.added.length} question(s) added to the question bank`,
+        data: result
+      });
+    } catch (error) {
+      return QuestionBankController._sendError(res, error, 'An error occurred while adding questions to the question bank');
+    }
+  }
+
+  /**
+   * Update a bank question
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateQuestion(req, res) {
+    try {
+      const question = await QuestionBankService.updateQuestion(parseInt(req.params.id, 10), req.user.userId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Question updated successfully',
+        data: question
+      });
+    } catch (error) {
+      return QuestionBankController._sendError(res, error, 'An error occurred while updating the question');
+    }
+  }
+
+  /**
+   * Remove a question from the bank
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteQuestion(req, res) {
+    try {
+      await QuestionBankService.deleteQuestion(parseInt(req.params.id, 10), req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Question removed from the question bank'
+      });
+    } catch (error) {
+      return QuestionBankController._sendError(res, error, 'An error occurred while removing the question');
+    }
+  }
+
+  /**
+   * Build a new quiz from bank questions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async assembleQuiz(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { title, topic, studentLevel, language, questionIds } = req.body;
+
+      const titleCheck = await QuizService.checkDuplicateTitle(title);
+      const finalTitle = titleCheck.isDuplicate ? titleCheck.suggestedTitle : title;
+
+      const quiz = await QuestionBankService.assembleQuiz(userId, {
+        title: finalTitle,
+        topic: topic || finalTitle,
+        studentLevel,
+        language,
+        questionIds
+      });
+
+      cacheService.delete(`quizCount:user:${userId}`);
+      cacheService.invalidateByPattern(`quizzes:user:${userId}`);
+
+      if (req.logActivity) {
+        await req.logActivity('quiz_create', `Assembled quiz from the question bank: ${finalTitle} (ID: ${quiz.quizId})`);
+      }
+
+      try {
+        await QuotaService.recordUsage(userId, QuotaType.QUIZ);
+      } catch (error) {
+        // Non-critical error, the quiz is saved
+        logger.warn(`Failed to update quiz count for user ${userId}:`, error);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'Quiz assembled successfully',
+        quizId: quiz.quizId,
+        title: finalTitle,
+        isDuplicateTitle: titleCheck.isDuplicate
+      });
+    } catch (error) {
+      return QuestionBankController._sendError(res, error, 'An error occurred while assembling the quiz');
+    }
+  }
+
+  /**
+   * Send the response of a failed question bank request
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error, with statusCode for expected failures
+   * @param {string} fallbackMessage - Message of unexpected failures
+   * @returns {Object} Response
+   * @private
+   */
+  static _sendError(res, error, fallbackMessage) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error(fallbackMessage, error);
+
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+export default QuestionBankController;
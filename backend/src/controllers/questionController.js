@@ -0,0 +1,575 @@
+import QuizService from '../services/quizService.js';
+import ObjectiveService from '../services/objectiveService.js';
+import QuotaService, { QuotaType } from '../services/quotaService.js';
+import { cacheService } from '../services/cacheService.js';
+import { mediaFileName, mediaPathOf, writeMedia, discardUpload } from '../utils/questionMedia.js';
+import { synthesizeMorseWav } from '../utils/morseAudio.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Controller for editing single questions and options of a saved quiz.
+ *
+ * Each request changes one question (or the order of the questions) and is
+ * stored as its own version, so large quizzes are not sent back whole and
+ * edits of different questions from two tabs do not overwrite each other.
+ */
+class QuestionController {
+  /**
+   * Add a question to a saved quiz
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addQuestion(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const { position, baseVersion, ...question } = req.body;
+
+      // Only the question bank links questions to bank questions
+      delete question.bankQuestionId;
+
+      const objectives = await ObjectiveService.getObjectives(req.user, question.objectiveIds);
+      const result = await QuizService.addQuestion(quiz.id, { ...question, objectiveIds: objectives.map(objective => objective.id) }, {
+        userId: req.user?.userId,
+        baseVersion,
+        position
+      });
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Question added', 201);
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while adding the question');
+    }
+  }
+
+  /**
+   * Change some fields of a question
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateQuestion(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const { questionText, explanation, difficulty, bloomLevel, pairs, items, answers, baseVersion } = req.body;
+      const result = await QuizService.updateQuestion(
+        quiz.id,
+        parseInt(req.params.questionId, 10),
+        { questionText, explanation, difficulty, bloomLevel, pairs, items, answers },
+        { userId: req.user?.userId, baseVersion }
+      );
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Question updated');
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while updating the question');
+    }
+  }
+
+  /**
+   * Delete a question
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteQuestion(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const { version } = await QuizService.deleteQuestion(quiz.id, parseInt(req.params.questionId, 10), {
+        userId: req.user?.userId,
+        baseVersion: req.body?.baseVersion
+      });
+
+      cacheService.delete(`quiz:${quiz.id}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Question deleted',
+        data: { version }
+      });
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while deleting the question');
+    }
+  }
+
+  /**
+   * Put the questions of a quiz in a new order
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async reorderQuestions(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const { questionIds, baseVersion } = req.body;
+      const { version } = await QuizService.reorderQuestions(quiz.id, questionIds, { userId: req.user?.userId, baseVersion });
+
+      cacheService.delete(`quiz:${quiz.id}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Questions reordered',
+        data: { version }
+      });
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while reordering the questions');
+    }
+  }
+
+  /**
+   * Copy a question, placing the copy right after it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async duplicateQuestion(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const result = await QuizService.duplicateQuestion(quiz.id, parseInt(req.params.questionId, 10), {
+        userId: req.user?.userId,
+        baseVersion: req.body.baseVersion
+      });
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Question duplicated', 201);
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while duplicating the question');
+    }
+  }
+
+  /**
+   * Add an option to a choice question
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addOption(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const { text, isCorrect, position, baseVersion } = req.body;
+      const result = await QuizService.addOption(quiz.id, parseInt(req.params.questionId, 10), { text, isCorrect }, {
+        userId: req.user?.userId,
+        baseVersion,
+        position
+      });
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Option added', 201);
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while adding the option');
+    }
+  }
+
+  /**
+   * Change the text of an option or whether it is correct
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateOption(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const { text, isCorrect, baseVersion } = req.body;
+      const result = await QuizService.updateOption(
+        quiz.id,
+        parseInt(req.params.questionId, 10),
+        parseInt(req.params.optionId, 10),
+        { text, isCorrect },
+        { userId: req.user?.userId, baseVersion }
+      );
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Option updated');
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while updating the option');
+    }
+  }
+
+  /**
+   * Delete an option of a choice question
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteOption(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const result = await QuizService.deleteOption(
+        quiz.id,
+        parseInt(req.params.questionId, 10),
+        parseInt(req.params.optionId, 10),
+        { userId: req.user?.userId, baseVersion: req.body?.baseVersion }
+      );
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Option deleted');
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while deleting the option');
+    }
+  }
+
+  /**
+   * Put the options of a choice question in a new order
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async reorderOptions(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const { optionIds, baseVersion } = req.body;
+      const result = await QuizService.reorderOptions(quiz.id, parseInt(req.params.questionId, 10), optionIds, {
+        userId: req.user?.userId,
+        baseVersion
+      });
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Options reordered');
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while reordering the options');
+    }
+  }
+
+  /**
+   * Copy an option of a choice question, placing the copy right after it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async duplicateOption(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const result = await QuizService.duplicateOption(
+        quiz.id,
+        parseInt(req.params.questionId, 10),
+        parseInt(req.params.optionId, 10),
+        { userId: req.user?.userId, baseVersion: req.body.baseVersion }
+      );
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Option duplicated', 201);
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while duplicating the option');
+    }
+  }
+
+  /**
+   * Attach an uploaded image to a question stem, replacing its image
+   * @param {Object} req - Express request object with the image in req.file
+   * @param {Object} res - Express response object
+   */
+  static async uploadQuestionImage(req, res) {
+    try {
+      return await QuestionController._attachUpload(req, res, 'image', (quizId, imagePath, change) => QuizService.setQuestionImage(
+        quizId,
+        parseInt(req.params.questionId, 10),
+        imagePath,
+        change
+      ));
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while uploading the image');
+    }
+  }
+
+  /**
+   * Remove the image of a question stem
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeQuestionImage(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const result = await QuizService.setQuestionImage(quiz.id, parseInt(req.params.questionId, 10), null, {
+        userId: req.user?.userId,
+        baseVersion: req.body?.baseVersion
+      });
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Image removed');
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while removing the image');
+    }
+  }
+
+  /**
+   * Attach an uploaded image to an option of a choice question, replacing its image
+   * @param {Object} req - Express request object with the image in req.file
+   * @param {Object} res - Express response object
+   */
+  static async uploadOptionImage(req, res) {
+    try {
+      return await QuestionController._attachUpload(req, res, 'image', (quizId, imagePath, change) => QuizService.setOptionImage(
+        quizId,
+        parseInt(req.params.questionId, 10),
+        parseInt(req.params.optionId, 10),
+        imagePath,
+        change
+      ));
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while uploading the image');
+    }
+  }
+
+  /**
+   * Remove the image of an option
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeOptionImage(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const result = await QuizService.setOptionImage(
+        quiz.id,
+        parseInt(req.params.questionId, 10),
+        parseInt(req.params.optionId, 10),
+        null,
+        { userId: req.user?.userId, baseVersion: req.body?.baseVersion }
+      );
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Image removed');
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while removing the image');
+    }
+  }
+
+  /**
+   * Attach an uploaded audio clip to a question, replacing its clip
+   * @param {Object} req - Express request object with the clip in req.file
+   * @param {Object} res - Express response object
+   */
+  static async uploadQuestionAudio(req, res) {
+    try {
+      return await QuestionController._attachUpload(req, res, 'audio', (quizId, audioPath, change) => QuizService.setQuestionAudio(
+        quizId,
+        parseInt(req.params.questionId, 10),
+        audioPath,
+        change
+      ));
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while uploading the audio');
+    }
+  }
+
+  /**
+   * Synthesize Morse code audio from text and attach it to a question, replacing its clip
+   * @param {Object} req - Express request object with text, wpm and tone in the body
+   * @param {Object} res - Express response object
+   */
+  static async generateQuestionMorseAudio(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const { text, wpm, tone, baseVersion } = req.body;
+      const wav = synthesizeMorseWav(text, { wpm: wpm ?? undefined, tone: tone ?? undefined });
+
+      // Generated audio takes up storage like an upload does
+      await QuotaService.checkQuotas(req.user.userId, { [QuotaType.STORAGE]: wav.length });
+
+      const written = writeMedia('audio', mediaFileName('morse', req.user.userId, '.wav'), wav);
+
+      return await QuestionController._storeMedia(req, res, quiz, written, (quizId, audioPath) => QuizService.setQuestionAudio(
+        quizId,
+        parseInt(req.params.questionId, 10),
+        audioPath,
+        { userId: req.user?.userId, baseVersion }
+      ), 'Morse audio generated');
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while generating the Morse audio');
+    }
+  }
+
+  /**
+   * Remove the audio clip of a question
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeQuestionAudio(req, res) {
+    try {
+      const quiz = await QuestionController._findEditableQuiz(req, res);
+      if (!quiz) return;
+
+      const result = await QuizService.setQuestionAudio(quiz.id, parseInt(req.params.questionId, 10), null, {
+        userId: req.user?.userId,
+        baseVersion: req.body?.baseVersion
+      });
+
+      return QuestionController._sendQuestion(res, quiz.id, result, 'Audio removed');
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while removing the audio');
+    }
+  }
+
+  /**
+   * Synthesize Morse code audio to listen to before attaching it; nothing is stored
+   * @param {Object} req - Express request object with text, wpm and tone in the body
+   * @param {Object} res - Express response object
+   */
+  static async previewMorseAudio(req, res) {
+    try {
+      const { text, wpm, tone } = req.body;
+      const wav = synthesizeMorseWav(text, { wpm: wpm ?? undefined, tone: tone ?? undefined });
+
+      res.setHeader('Content-Type', 'audio/wav');
+      res.setHeader('Content-Length', wav.length);
+      return res.status(200).send(wav);
+    } catch (error) {
+      return QuestionController._sendError(res, error, 'An error occurred while generating the Morse audio');
+    }
+  }
+
+  /**
+   * Attach an uploaded image or audio clip, after checking the user may edit the quiz
+   * @param {Object} req - Express request object with the file in req.file
+   * @param {Object} res - Express response object
+   * @param {string} kind - 'image' or 'audio', see utils/questionMedia.js
+   * @param {Function} attach - Called with (quizId, mediaPath, change), see QuizService.setQuestionImage
+   * @returns {Promise<Object|undefined>} Response
+   * @private
+   */
+  static async _attachUpload(req, res, kind, attach) {
+    let quiz;
+
+    try {
+      quiz = await QuestionController._findEditableQuiz(req, res);
+    } catch (error) {
+      discardUpload(req.file);
+      throw error;
+    }
+
+    if (!quiz) {
+      discardUpload(req.file);
+      return undefined;
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: kind === 'image' ? 'No image uploaded' : 'No audio uploaded'
+      });
+    }
+
+    const stored = { path: mediaPathOf(kind, req.file.filename), size: req.file.size, file: req.file };
+    // Multipart fields arrive as text
+    const baseVersion = parseInt(req.body?.baseVersion, 10);
+    const change = { userId: req.user?.userId, baseVersion: Number.isNaN(baseVersion) ? null : baseVersion };
+
+    return QuestionController._storeMedia(req, res, quiz, stored, (quizId, mediaPath) => attach(quizId, mediaPath, change),
+      kind === 'image' ? 'Image uploaded' : 'Audio uploaded');
+  }
+
+  /**
+   * Attach a stored media file and count it against the storage quota;
+   * the file is deleted again if it could not be attached
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} quiz - Quiz the user may edit
+   * @param {{path: string, size: number, file?: Object, filePath?: string}} stored - Stored path and size, and the file to delete on failure
+   * @param {Function} attach - Called with (quizId, mediaPath)
+   * @param {string} message - Success message
+   * @returns {Promise<Object>} Response
+   * @private
+   */
+  static async _storeMedia(req, res, quiz, stored, attach, message) {
+    let result;
+
+    try {
+      result = await attach(quiz.id, stored.path);
+    } catch (error) {
+      discardUpload(stored.file || stored);
+      throw error;
+    }
+
+    await QuotaService.recordUsage(req.user.userId, QuotaType.STORAGE, stored.size)
+      .catch(error => logger.warn(`Failed to update storage usage for user ${req.user.userId}:`, error));
+
+    return QuestionController._sendQuestion(res, quiz.id, result, message);
+  }
+
+  /**
+   * Load a quiz the user may edit, or send the 404/403 response
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|null>} Quiz, or null if a response was sent
+   * @private
+   */
+  static async _findEditableQuiz(req, res) {
+    const { id } = req.params;
+    const userId = req.user?.userId;
+
+    const quiz = await QuizService.getQuizById(id);
+    if (!quiz) {
+      res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+      return null;
+    }
+
+    if (quiz.user_id !== userId && !(await QuizService.checkQuizEditAccess(id, userId))) {
+      res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this quiz'
+      });
+      return null;
+    }
+
+    return quiz;
+  }
+
+  /**
+   * Send the changed question and the quiz's new version
+   * @param {Object} res - Express response object
+   * @param {number} quizId - Quiz ID
+   * @param {{questionId: number, version: number}} result - Result of the QuizService edit
+   * @param {string} message - Success message
+   * @param {number} [status] - HTTP status
+   * @returns {Promise<Object>} Response
+   * @private
+   */
+  static async _sendQuestion(res, quizId, { questionId, version }, message, status = 200) {
+    cacheService.delete(`quiz:${quizId}`);
+
+    return res.status(status).json({
+      success: true,
+      message,
+      data: {
+        question: await QuizService.getQuizQuestion(quizId, questionId),
+        version
+      }
+    });
+  }
+
+  /**
+   * Send the response of a failed edit
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error, with statusCode for expected failures such as 409
+   * @param {string} fallbackMessage - Message of unexpected failures
+   * @returns {Object} Response
+   * @private
+   */
+  static _sendError(res, error, fallbackMessage) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        currentVersion: error.currentVersion
+      });
+    }
+
+    logger.error(fallbackMessage, error);
+
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+export default QuestionController;
@@ -3,7 +3,17 @@ import aiService from '../services/aiService.js';
 import { logger } from '../utils/logger.js';
 import { cacheService } from '../services/cacheService.js';
 import { ErrorService } from '../services/errorService.js';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import FileQuizService from '../services/fileQuizService.js';
+import QuestionRegenerationService from '../services/questionRegenerationService.js';
+import QuizTranslationService from '../services/quizTranslationService.js';
+import AnswerKeyService from '../services/answerKeyService.js';
+import DuplicateService from '../services/duplicateService.js';
+import DistractorService from '../services/distractorService.js';
+import ExplanationService from '../services/explanationService.js';
+import ObjectiveService from '../services/objectiveService.js';
+import QuizVersionService from '../services/quizVersionService.js';
+import { analyzeQuestions } from '../utils/distractorAnalysis.js';
+import QuotaService, { QuotaType } from '../services/quotaService.js';
 import fs from 'fs';
 
 /**
@@ -17,7 +27,7 @@ class QuizController {
  */
   static async generateQuiz(req, res) {
     try {
-      const { topic, url, questionType, numberOfQuestions, additionalInstructions, studentLevel, language } = req.body;
+      const { topic, url, questionType, numberOfQuestions, additionalInstructions, studentLevel, language, difficultyMix, bloomMix, objectiveIds } = req.body;
 
       // Validate required fields - either topic or URL is required
       if (!questionType || !numberOfQuestions) {
@@ -42,21 +52,16 @@ class QuizController {
         });
       }
 
-      // Normalize language parameter
-      let normalizedLanguage = language;
-      if (language === 'Thai (ไทย)') {
-        normalizedLanguage = 'thai';
-      } else if (language === 'English') {
-        normalizedLanguage = 'english';
-      }
-
       // Prepare AI generation parameters
       const aiParams = {
         questionType,
         numberOfQuestions,
         additionalInstructions,
         studentLevel,
-        language: normalizedLanguage
+        language: aiService.normalizeLanguage(language),
+        difficultyMix,
+        bloomMix,
+        objectives: await ObjectiveService.getObjectives(req.user, objectiveIds)
       };
 
       // Add either topic or URL
@@ -72,7 +77,7 @@ class QuizController {
       // Update user's AI generation count if available
       if (req.user?.userId) {
         try {
-          await QuizService.incrementUserAIGenerationCount(req.user.userId);
+          await QuotaService.recordUsage(req.user.userId, QuotaType.AI_GENERATION);
 
           // Log activity if middleware available
           if (req.logActivity) {
@@ -100,7 +105,10 @@ class QuizController {
       let statusCode = 500;
       let errorMessage = 'An error occurred while generating the quiz';
 
-      if (error.message === 'AI generation timed out') {
+      if (error.statusCode) {
+        statusCode = error.statusCode;
+        errorMessage = error.message;
+      } else if (error.message === 'AI generation timed out') {
         statusCode = 504;
         errorMessage = 'Quiz generation timed out. Please try again with a simpler request.';
       } else if (error.message === 'AI service is currently unavailable') {
@@ -121,6 +129,117 @@ class QuizController {
     }
   }
 
+  /**
+   * Generate a new quiz using AI and stream it to the client as Server-Sent Events.
+   * Emits `start`, `question`, `progress`, `complete` and `error` events.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async generateQuizStream(req, res) {
+    const { topic, questionType, numberOfQuestions, additionalInstructions, studentLevel, language, difficultyMix, bloomMix, objectiveIds } = req.body;
+
+    // Check if AI service is available before switching to an event stream
+    if (!aiService.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: 'AI service is currently unavailable'
+      });
+    }
+
+    let objectives;
+    try {
+      objectives = await ObjectiveService.getObjectives(req.user, objectiveIds);
+    } catch (error) {
+      logger.error('Error loading learning objectives for generation:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'An error occurred while loading the learning objectives'
+      });
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop generating when the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
+    // Keep idle connections open through proxies while the model is thinking
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    try {
+      const events = aiService.generateQuizStream({
+        topic,
+        questionType,
+        numberOfQuestions,
+        additionalInstructions,
+        studentLevel,
+        language: aiService.normalizeLanguage(language),
+        difficultyMix,
+        bloomMix,
+        objectives
+      }, { signal: abortController.signal });
+
+      for await (const event of events) {
+        if (abortController.signal.aborted) {
+          break;
+        }
+
+        const { type, ...payload } = event;
+        sendEvent(type, payload);
+
+        if (type === 'complete' && req.user?.userId) {
+          try {
+            await QuotaService.recordUsage(req.user.userId, QuotaType.AI_GENERATION);
+
+            if (req.logActivity) {
+              await req.logActivity(
+                'quiz_generate',
+                `Generated ${payload.summary.generated} ${questionType} questions from topic: ${topic}`
+              );
+            }
+          } catch (error) {
+            // Non-critical error, just log it
+            logger.warn(`Failed to update AI generation count for user ${req.user.userId}:`, error);
+          }
+        }
+      }
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        logger.info(`Quiz generation stream cancelled by client (topic: ${topic})`);
+      } else {
+        logger.error('Error streaming quiz generation:', error);
+
+        let errorMessage = 'An error occurred while generating the quiz';
+        if (error.message === 'AI generation timed out') {
+          errorMessage = 'The AI model stopped responding. Please try again.';
+        } else if (error.message.includes('Invalid quiz data') || error instanceof SyntaxError) {
+          errorMessage = 'Failed to generate valid quiz data. Please try again with different parameters.';
+        }
+
+        sendEvent('error', {
+          message: errorMessage,
+          error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+      }
+    } finally {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  }
+
   /**
    * Save a quiz to the database
    * @param {Object} req - Express request object
@@ -149,6 +268,11 @@ class QuizController {
 
       quizData.userId = userId;
 
+      // Only the question bank links questions to bank questions
+      quizData.questions.forEach(question => delete question.bankQuestionId);
+
+      if (!(await QuizController._checkQuestionObjectives(req, quizData.questions, res))) return;
+
       // Check for duplicate title and get suggested title if needed
       const titleCheck = await QuizService.checkDuplicateTitle(quizData.title);
       if (titleCheck.isDuplicate) {
@@ -171,12 +295,29 @@ class QuizController {
           await req.logActivity('quiz_create', `Created quiz: ${quizData.title} (ID: ${result.quizId})`);
         }
 
+        try {
+          await QuotaService.recordUsage(userId, QuotaType.QUIZ);
+        } catch (error) {
+          // Non-critical error, the quiz is saved
+          logger.warn(`Failed to update quiz count for user ${userId}:`, error);
+        }
+
+        // Flag near-duplicate questions so the teacher can merge or replace them
+        let duplicates = null;
+        try {
+          duplicates = await DuplicateService.checkQuestions(quizData.questions, { userId, excludeQuizId: result.quizId });
+        } catch (error) {
+          // Non-critical error, the quiz is saved
+          logger.warn(`Failed to check quiz ${result.quizId} for duplicate questions:`, error);
+        }
+
         return res.status(201).json({
           success: true,
           message: 'Quiz saved successfully',
           quizId: result.quizId,
           title: quizData.title,
-          isDuplicateTitle: titleCheck.isDuplicate
+          isDuplicateTitle: titleCheck.isDuplicate,
+          duplicates
         });
       } else {
         logger.error('Failed to save quiz:', result.error);
@@ -212,6 +353,8 @@ class QuizController {
       const limit = parseInt(req.query.limit) || 100;
       const offset = (page - 1) * limit;
       const search = req.query.search || null;
+      const difficulty = req.query.difficulty || null;
+      const bloomLevel = req.query.bloomLevel || null;
       const folder = req.query.folder || null;
       const sortBy = req.query.sortBy || 'created_at';
       const sortOrder = req.query.sortOrder || 'desc';
@@ -220,7 +363,7 @@ class QuizController {
       const userId = req.user?.userId;
 
       // Generate cache key
-      const cacheKey = `quizzes:${userId || 'public'}:page${page}:limit${limit}:search${search || ''}:folder${folder || ''}:sort${sortBy}${sortOrder}`;
+      const cacheKey = `quizzes:${userId || 'public'}:page${page}:limit${limit}:search${search || ''}:difficulty${difficulty || ''}:bloom${bloomLevel || ''}:folder${folder || ''}:sort${sortBy}${sortOrder}`;
 
       // Try to get from cache first
       const cachedData = cacheService.get(cacheKey);
@@ -235,6 +378,8 @@ class QuizController {
         offset,
         userId,
         search,
+        difficulty,
+        bloomLevel,
         folder,
         sortBy,
         sortOrder
@@ -403,55 +548,838 @@ class QuizController {
           await req.logActivity('quiz_delete', `Deleted quiz: ${quiz.title} (ID: ${id})`);
         }
 
-        return res.status(200).json({
-          success: true,
-          message: 'Quiz deleted successfully'
-        });
-      } else {
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to delete quiz',
-          error: result.error
-        });
-      }
+        return res.status(200).json({
+          success: true,
+          message: 'Quiz deleted successfully'
+        });
+      } else {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to delete quiz',
+          error: result.error
+        });
+      }
+    } catch (error) {
+      logger.error('Error deleting quiz:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while deleting the quiz',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Rename a quiz
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async renameQuiz(req, res) {
+    try {
+      const { id } = req.params;
+      const { title } = req.body;
+      const userId = req.user?.userId;
+
+      // Validate inputs
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quiz ID is required'
+        });
+      }
+
+      if (!title || title.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          message: 'New title is required'
+        });
+      }
+
+      // Check if user is the owner of the quiz
+      const quiz = await QuizService.getQuizById(id);
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz not found'
+        });
+      }
+
+      // Verify user has permission to rename this quiz
+      if (quiz.user_id !== userId) {
+        // Check if user is an admin
+        const isAdmin = await QuizService.isUserAdmin(userId);
+        if (!isAdmin) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to rename this quiz'
+          });
+        }
+      }
+
+      // Check for duplicate title
+      const titleCheck = await QuizService.checkDuplicateTitle(title);
+      const finalTitle = titleCheck.isDuplicate ? titleCheck.suggestedTitle : title;
+
+      // Rename quiz in database
+      const result = await QuizService.renameQuiz(id, finalTitle, { userId, baseVersion: req.body.baseVersion });
+
+      if (result.success) {
+        // Invalidate relevant cache entries
+        cacheService.delete(`quiz:${id}`);
+        cacheService.invalidateByPattern(`quizzes:${userId || 'public'}`);
+
+        // Log activity if middleware available
+        if (req.logActivity) {
+          await req.logActivity('quiz_rename', `Renamed quiz from "${quiz.title}" to "${finalTitle}" (ID: ${id})`);
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: 'Quiz renamed successfully',
+          title: finalTitle,
+          isDuplicateTitle: titleCheck.isDuplicate,
+          version: result.version
+        });
+      } else {
+        return res.status(result.statusCode || 500).json({
+          success: false,
+          message: result.statusCode ? result.error : 'Failed to rename quiz',
+          error: result.error
+        });
+      }
+    } catch (error) {
+      logger.error('Error renaming quiz:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while renaming the quiz',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Update quiz questions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateQuizQuestions(req, res) {
+    try {
+      const { id } = req.params;
+      const { questions } = req.body;
+      const userId = req.user?.userId;
+
+      // Validate inputs
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quiz ID is required'
+        });
+      }
+
+      if (!questions || !Array.isArray(questions) || questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Questions array is required'
+        });
+      }
+
+      // Check if user is the owner of the quiz
+      const quiz = await QuizService.getQuizById(id);
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz not found'
+        });
+      }
+
+      // Verify user has permission to update this quiz
+      if (quiz.user_id !== userId) {
+        // Check if user is an admin or has collaborator access
+        const hasAccess = await QuizService.checkQuizEditAccess(id, userId);
+        if (!hasAccess) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to update this quiz'
+          });
+        }
+      }
+
+      // Only the question bank links questions to bank questions
+      questions.forEach(question => delete question.bankQuestionId);
+
+      if (!(await QuizController._checkQuestionObjectives(req, questions, res))) return;
+
+      // Update questions in database
+      // A baseVersion older than the quiz's version is refused with 409
+      const result = await QuizService.updateQuizQuestions(id, questions, { userId, baseVersion: req.body.baseVersion });
+
+      if (result.success) {
+        // Invalidate relevant cache entries
+        cacheService.delete(`quiz:${id}`);
+
+        // Log activity if middleware available
+        if (req.logActivity) {
+          await req.logActivity('quiz_update', `Updated questions for quiz: ${quiz.title} (ID: ${id})`);
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: 'Quiz questions updated successfully',
+          version: result.version
+        });
+      } else {
+        return res.status(result.statusCode || 500).json({
+          success: false,
+          message: result.statusCode ? result.error : 'Failed to update quiz questions',
+          error: result.error
+        });
+      }
+    } catch (error) {
+      logger.error('Error updating quiz questions:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while updating quiz questions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Replace one question of a saved quiz with a newly generated question
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async regenerateQuestion(req, res) {
+    try {
+      const { id, position } = req.params;
+      const { additionalInstructions } = req.body;
+
+      const quiz = await QuizController._findEditableQuiz(id, req.user?.userId, res, req.body.baseVersion);
+      if (!quiz) return;
+
+      const result = await QuestionRegenerationService.regenerateQuestion(quiz, parseInt(position, 10), {
+        additionalInstructions,
+        userId: req.user?.userId
+      });
+
+      await QuizController._afterQuestionGeneration(req, quiz, `Regenerated question ${position} of quiz: ${quiz.title} (ID: ${id})`);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...result,
+          quiz: await QuizService.getQuizById(id)
+        }
+      });
+    } catch (error) {
+      return QuizController._sendQuestionGenerationError(res, error);
+    }
+  }
+
+  /**
+   * Append newly generated questions to a saved quiz
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async generateMoreQuestions(req, res) {
+    try {
+      const { id } = req.params;
+      const { count, additionalInstructions, difficultyMix, bloomMix } = req.body;
+
+      const quiz = await QuizController._findEditableQuiz(id, req.user?.userId, res, req.body.baseVersion);
+      if (!quiz) return;
+
+      const result = await QuestionRegenerationService.generateMoreQuestions(quiz, parseInt(count, 10), {
+        additionalInstructions,
+        difficultyMix,
+        bloomMix,
+        userId: req.user?.userId
+      });
+
+      await QuizController._afterQuestionGeneration(req, quiz, `Added ${result.questions.length} questions to quiz: ${quiz.title} (ID: ${id})`);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...result,
+          quiz: await QuizService.getQuizById(id)
+        }
+      });
+    } catch (error) {
+      return QuizController._sendQuestionGenerationError(res, error);
+    }
+  }
+
+  /**
+   * Translate a saved quiz into its other language and store the translation next to the original
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async translateQuiz(req, res) {
+    try {
+      const { id } = req.params;
+
+      const quiz = await QuizController._findEditableQuiz(id, req.user?.userId, res, req.body.baseVersion);
+      if (!quiz) return;
+
+      if (quiz.questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The quiz has no questions to translate'
+        });
+      }
+
+      const result = await QuizTranslationService.translateQuiz(quiz);
+
+      await QuizController._afterQuestionGeneration(req, quiz, `Translated quiz into ${result.language}: ${quiz.title} (ID: ${id})`);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...result,
+          quiz: await QuizService.getQuizById(id)
+        }
+      });
+    } catch (error) {
+      return QuizController._sendQuestionGenerationError(res, error);
+    }
+  }
+
+  /**
+   * Write the missing explanations (or essay marking guidelines) of a saved quiz
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async fillExplanations(req, res) {
+    try {
+      const { id } = req.params;
+      const overwrite = req.body.overwrite === true || req.body.overwrite === 'true';
+
+      const quiz = await QuizController._findEditableQuiz(id, req.user?.userId, res, req.body.baseVersion);
+      if (!quiz) return;
+
+      if (!quiz.questions.some(question => ExplanationService.needsExplanation(question, overwrite))) {
+        return res.status(200).json({
+          success: true,
+          message: 'Every question already has an explanation',
+          data: { filled: 0, failed: [], quiz }
+        });
+      }
+
+      const result = await ExplanationService.fillExplanations(quiz, { overwrite, userId: req.user?.userId });
+
+      await QuizController._afterQuestionGeneration(req, quiz, `Wrote ${result.filled} explanations for quiz: ${quiz.title} (ID: ${id})`);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...result,
+          quiz: await QuizService.getQuizById(id)
+        }
+      });
+    } catch (error) {
+      return QuizController._sendQuestionGenerationError(res, error);
+    }
+  }
+
+  /**
+   * Generate a replacement for one question of a quiz that is not saved yet
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async generateReplacementQuestion(req, res) {
+    try {
+      const { topic, questionType, studentLevel, language, questions, position, additionalInstructions } = req.body;
+
+      if (!aiService.isAvailable()) {
+        return res.status(503).json({
+          success: false,
+          message: 'AI service is currently unavailable'
+        });
+      }
+
+      const quiz = {
+        title: topic,
+        topic,
+        question_type: questionType,
+        student_level: studentLevel,
+        language: aiService.normalizeLanguage(language),
+        questions
+      };
+
+      const result = await QuestionRegenerationService.createReplacement(quiz, parseInt(position, 10), { additionalInstructions });
+
+      if (req.user?.userId) {
+        try {
+          await QuotaService.recordUsage(req.user.userId, QuotaType.AI_GENERATION);
+        } catch (error) {
+          // Non-critical error, just log it
+          logger.warn(`Failed to update AI generation count for user ${req.user.userId}:`, error);
+        }
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      return QuizController._sendQuestionGenerationError(res, error);
+    }
+  }
+
+  /**
+   * Check questions that are not saved yet for near-duplicates within them and in the user's quizzes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async checkDuplicates(req, res) {
+    try {
+      const { questions, excludeQuizId } = req.body;
+
+      const report = await DuplicateService.checkQuestions(questions, {
+        userId: req.user?.userId,
+        excludeQuizId: excludeQuizId ? parseInt(excludeQuizId, 10) : null
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Error checking duplicate questions:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while checking for duplicate questions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Check the questions of a saved quiz for near-duplicates within it and in the user's other quizzes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getQuizDuplicates(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.userId;
+
+      const quiz = await QuizService.getQuizById(id);
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz not found'
+        });
+      }
+
+      if (userId && quiz.user_id !== userId) {
+        const hasAccess = await QuizService.checkQuizAccess(id, userId);
+        if (!hasAccess) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to access this quiz'
+          });
+        }
+      }
+
+      const report = await DuplicateService.checkQuestions(quiz.questions, { userId, excludeQuizId: quiz.id });
+
+      return res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Error checking duplicate questions:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while checking for duplicate questions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Check the answer keys of questions that are not saved yet with a second AI pass
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async checkAnswerKeys(req, res) {
+    try {
+      const { questions, topic, questionType, language } = req.body;
+
+      if (!aiService.isAvailable()) {
+        return res.status(503).json({
+          success: false,
+          message: 'AI service is currently unavailable'
+        });
+      }
+
+      const flags = await AnswerKeyService.checkQuestions(questions, {
+        topic,
+        questionType,
+        language: aiService.normalizeLanguage(language)
+      });
+
+      if (req.user?.userId) {
+        try {
+          await QuotaService.recordUsage(req.user.userId, QuotaType.AI_GENERATION);
+        } catch (error) {
+          // Non-critical error, just log it
+          logger.warn(`Failed to update AI generation count for user ${req.user.userId}:`, error);
+        }
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: { flags }
+      });
+    } catch (error) {
+      return QuizController._sendQuestionGenerationError(res, error);
+    }
+  }
+
+  /**
+   * Check the answer keys of a saved quiz with a second AI pass and store the flags
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async checkQuizAnswerKeys(req, res) {
+    try {
+      const { id } = req.params;
+
+      const quiz = await QuizController._findEditableQuiz(id, req.user?.userId, res, req.body.baseVersion);
+      if (!quiz) return;
+
+      const flags = await AnswerKeyService.checkQuiz(quiz);
+
+      await QuizController._afterQuestionGeneration(req, quiz, `Checked the answer key of quiz: ${quiz.title} (ID: ${id})`);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          flags,
+          quiz: await QuizService.getQuizById(id)
+        }
+      });
+    } catch (error) {
+      return QuizController._sendQuestionGenerationError(res, error);
+    }
+  }
+
+  /**
+   * Mark an answer-key flag of a question as resolved
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resolveQuestionFlag(req, res) {
+    try {
+      const { id, flagId } = req.params;
+      const userId = req.user?.userId;
+
+      const quiz = await QuizService.getQuizById(id);
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz not found'
+        });
+      }
+
+      if (quiz.user_id !== userId && !(await QuizService.checkQuizEditAccess(id, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to update this quiz'
+        });
+      }
+
+      const resolved = await AnswerKeyService.resolveFlag(quiz.id, parseInt(flagId, 10), userId);
+      if (!resolved) {
+        return res.status(404).json({
+          success: false,
+          message: 'Flag not found or already resolved'
+        });
+      }
+
+      cacheService.delete(`quiz:${quiz.id}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Flag resolved'
+      });
+    } catch (error) {
+      logger.error('Error resolving question flag:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while resolving the flag',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Tag a saved question with learning objectives, replacing its tags
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async setQuestionObjectives(req, res) {
+    try {
+      const { id, questionId } = req.params;
+      const { objectiveIds } = req.body;
+      const userId = req.user?.userId;
+
+      const quiz = await QuizService.getQuizById(id);
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz not found'
+        });
+      }
+
+      if (quiz.user_id !== userId && !(await QuizService.checkQuizEditAccess(id, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to update this quiz'
+        });
+      }
+
+      const objectives = await ObjectiveService.getObjectives(req.user, objectiveIds);
+      const version = await QuizService.setQuestionObjectives(quiz.id, parseInt(questionId, 10), objectives.map(objective => objective.id), {
+        userId,
+        baseVersion: req.body.baseVersion
+      });
+
+      cacheService.delete(`quiz:${quiz.id}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Learning objectives updated',
+        data: objectives,
+        version
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Error tagging question with learning objectives:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while updating the learning objectives',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List the versions of a quiz, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getQuizVersions(req, res) {
+    try {
+      const quiz = await QuizController._findQuizForHistory(req, res, false);
+      if (!quiz) return;
+
+      const versions = await QuizVersionService.listVersions(quiz.id);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          currentVersion: quiz.version,
+          versions
+        }
+      });
+    } catch (error) {
+      return QuizController._sendVersionError(res, error, 'An error occurred while loading the version history');
+    }
+  }
+
+  /**
+   * Get one version of a quiz with its questions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getQuizVersion(req, res) {
+    try {
+      const quiz = await QuizController._findQuizForHistory(req, res, false);
+      if (!quiz) return;
+
+      const version = await QuizVersionService.getVersion(quiz.id, parseInt(req.params.version, 10));
+
+      return res.status(200).json({
+        success: true,
+        data: version
+      });
+    } catch (error) {
+      return QuizController._sendVersionError(res, error, 'An error occurred while loading the version');
+    }
+  }
+
+  /**
+   * Compare two versions of a quiz question by question
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async diffQuizVersions(req, res) {
+    try {
+      const quiz = await QuizController._findQuizForHistory(req, res, false);
+      if (!quiz) return;
+
+      const diff = await QuizVersionService.diffVersions(
+        quiz.id,
+        parseInt(req.query.from, 10),
+        parseInt(req.query.to, 10)
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: diff
+      });
+    } catch (error) {
+      return QuizController._sendVersionError(res, error, 'An error occurred while comparing the versions');
+    }
+  }
+
+  /**
+   * Make an earlier version the current content of a quiz
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreQuizVersion(req, res) {
+    try {
+      const quiz = await QuizController._findQuizForHistory(req, res, true);
+      if (!quiz) return;
+
+      const { version } = req.params;
+      await QuizService.restoreVersion(quiz.id, parseInt(version, 10), {
+        userId: req.user?.userId,
+        baseVersion: req.body.baseVersion
+      });
+
+      cacheService.delete(`quiz:${quiz.id}`);
+
+      if (req.logActivity) {
+        await req.logActivity('quiz_update', `Restored version ${version} of quiz: ${quiz.title} (ID: ${quiz.id})`);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `Version ${version} restored`,
+        data: await QuizService.getQuizById(quiz.id)
+      });
+    } catch (error) {
+      return QuizController._sendVersionError(res, error, 'An error occurred while restoring the version');
+    }
+  }
+
+  /**
+   * Load a quiz for its version history, or send the 404/403 response
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {boolean} edit - Whether the user must be allowed to change the quiz
+   * @returns {Promise<Object|null>} Quiz, or null if a response was sent
+   * @private
+   */
+  static async _findQuizForHistory(req, res, edit) {
+    const { id } = req.params;
+    const userId = req.user?.userId;
+
+    const quiz = await QuizService.getQuizById(id);
+    if (!quiz) {
+      res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+      return null;
+    }
+
+    if (quiz.user_id !== userId) {
+      const hasAccess = edit
+        ? await QuizService.checkQuizEditAccess(id, userId)
+        : await QuizService.checkQuizAccess(id, userId);
+
+      if (!hasAccess) {
+        res.status(403).json({
+          success: false,
+          message: edit ? 'You do not have permission to update this quiz' : 'You do not have permission to access this quiz'
+        });
+        return null;
+      }
+    }
+
+    return quiz;
+  }
+
+  /**
+   * Send the response of a failed version history request
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error, with statusCode for expected failures such as 409
+   * @param {string} fallbackMessage - Message of unexpected failures
+   * @returns {Object} Response
+   * @private
+   */
+  static _sendVersionError(res, error, fallbackMessage) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        currentVersion: error.currentVersion
+      });
+    }
+
+    logger.error(fallbackMessage, error);
+
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  /**
+   * Analyze the distractors of questions that are not saved yet
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async analyzeDistractors(req, res) {
+    try {
+      const { questions, questionType } = req.body;
+
+      return res.status(200).json({
+        success: true,
+        data: analyzeQuestions(questions, questionType)
+      });
     } catch (error) {
-      logger.error('Error deleting quiz:', error);
+      logger.error('Error analyzing distractors:', error);
 
       return res.status(500).json({
         success: false,
-        message: 'An error occurred while deleting the quiz',
+        message: 'An error occurred while analyzing the distractors',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
   }
 
   /**
-   * Rename a quiz
+   * Analyze the distractors of a saved quiz
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async renameQuiz(req, res) {
+  static async getQuizDistractors(req, res) {
     try {
       const { id } = req.params;
-      const { title } = req.body;
       const userId = req.user?.userId;
 
-      // Validate inputs
-      if (!id) {
-        return res.status(400).json({
-          success: false,
-          message: 'Quiz ID is required'
-        });
-      }
-
-      if (!title || title.trim() === '') {
-        return res.status(400).json({
-          success: false,
-          message: 'New title is required'
-        });
-      }
-
-      // Check if user is the owner of the quiz
       const quiz = await QuizService.getQuizById(id);
       if (!quiz) {
         return res.status(404).json({
@@ -460,140 +1388,220 @@ class QuizController {
         });
       }
 
-      // Verify user has permission to rename this quiz
-      if (quiz.user_id !== userId) {
-        // Check if user is an admin
-        const isAdmin = await QuizService.isUserAdmin(userId);
-        if (!isAdmin) {
+      if (userId && quiz.user_id !== userId) {
+        const hasAccess = await QuizService.checkQuizAccess(id, userId);
+        if (!hasAccess) {
           return res.status(403).json({
             success: false,
-            message: 'You do not have permission to rename this quiz'
+            message: 'You do not have permission to access this quiz'
           });
         }
       }
 
-      // Check for duplicate title
-      const titleCheck = await QuizService.checkDuplicateTitle(title);
-      const finalTitle = titleCheck.isDuplicate ? titleCheck.suggestedTitle : title;
-
-      // Rename quiz in database
-      const result = await QuizService.renameQuiz(id, finalTitle);
-
-      if (result.success) {
-        // Invalidate relevant cache entries
-        cacheService.delete(`quiz:${id}`);
-        cacheService.invalidateByPattern(`quizzes:${userId || 'public'}`);
-
-        // Log activity if middleware available
-        if (req.logActivity) {
-          await req.logActivity('quiz_rename', `Renamed quiz from "${quiz.title}" to "${finalTitle}" (ID: ${id})`);
-        }
-
-        return res.status(200).json({
-          success: true,
-          message: 'Quiz renamed successfully',
-          title: finalTitle,
-          isDuplicateTitle: titleCheck.isDuplicate
-        });
-      } else {
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to rename quiz',
-          error: result.error
-        });
-      }
+      return res.status(200).json({
+        success: true,
+        data: analyzeQuestions(quiz.questions, quiz.question_type)
+      });
     } catch (error) {
-      logger.error('Error renaming quiz:', error);
+      logger.error('Error analyzing distractors:', error);
 
       return res.status(500).json({
         success: false,
-        message: 'An error occurred while renaming the quiz',
+        message: 'An error occurred while analyzing the distractors',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
   }
 
   /**
-   * Update quiz questions
+   * Rewrite the distractors of a question that is not saved yet, keeping its stem and correct answer
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async updateQuizQuestions(req, res) {
+  static async improveDistractors(req, res) {
     try {
-      const { id } = req.params;
-      const { questions } = req.body;
-      const userId = req.user?.userId;
-
-      // Validate inputs
-      if (!id) {
-        return res.status(400).json({
-          success: false,
-          message: 'Quiz ID is required'
-        });
-      }
+      const { question, topic, questionType, studentLevel } = req.body;
 
-      if (!questions || !Array.isArray(questions) || questions.length === 0) {
-        return res.status(400).json({
+      if (!aiService.isAvailable()) {
+        return res.status(503).json({
           success: false,
-          message: 'Questions array is required'
+          message: 'AI service is currently unavailable'
         });
       }
 
-      // Check if user is the owner of the quiz
-      const quiz = await QuizService.getQuizById(id);
-      if (!quiz) {
-        return res.status(404).json({
-          success: false,
-          message: 'Quiz not found'
-        });
-      }
+      const result = await DistractorService.improveQuestion(
+        { ...question, questionType: question.questionType || questionType },
+        { topic, studentLevel }
+      );
 
-      // Verify user has permission to update this quiz
-      if (quiz.user_id !== userId) {
-        // Check if user is an admin or has collaborator access
-        const hasAccess = await QuizService.checkQuizEditAccess(id, userId);
-        if (!hasAccess) {
-          return res.status(403).json({
-            success: false,
-            message: 'You do not have permission to update this quiz'
-          });
+      if (req.user?.userId) {
+        try {
+          await QuotaService.recordUsage(req.user.userId, QuotaType.AI_GENERATION);
+        } catch (error) {
+          // Non-critical error, just log it
+          logger.warn(`Failed to update AI generation count for user ${req.user.userId}:`, error);
         }
       }
 
-      // Update questions in database
-      const result = await QuizService.updateQuizQuestions(id, questions);
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      return QuizController._sendQuestionGenerationError(res, error);
+    }
+  }
 
-      if (result.success) {
-        // Invalidate relevant cache entries
-        cacheService.delete(`quiz:${id}`);
+  /**
+   * Rewrite the distractors of question N of a saved quiz, keeping its stem and correct answer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async improveQuestionDistractors(req, res) {
+    try {
+      const { id, position } = req.params;
 
-        // Log activity if middleware available
-        if (req.logActivity) {
-          await req.logActivity('quiz_update', `Updated questions for quiz: ${quiz.title} (ID: ${id})`);
+      const quiz = await QuizController._findEditableQuiz(id, req.user?.userId, res, req.body.baseVersion);
+      if (!quiz) return;
+
+      const result = await DistractorService.improveSavedQuestion(quiz, parseInt(position, 10), { userId: req.user?.userId });
+
+      await QuizController._afterQuestionGeneration(req, quiz, `Improved the distractors of question ${position} of quiz: ${quiz.title} (ID: ${id})`);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...result,
+          quiz: await QuizService.getQuizById(id)
         }
+      });
+    } catch (error) {
+      return QuizController._sendQuestionGenerationError(res, error);
+    }
+  }
 
-        return res.status(200).json({
-          success: true,
-          message: 'Quiz questions updated successfully'
-        });
-      } else {
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to update quiz questions',
-          error: result.error
-        });
-      }
+  /**
+   * Load a quiz the user may edit, or send the 404/403/409/503 response
+   * @param {string} id - Quiz ID
+   * @param {number} userId - User ID
+   * @param {Object} res - Express response object
+   * @param {number} [baseVersion] - Version the user is looking at; 409 if the quiz changed since
+   * @returns {Promise<Object|null>} Quiz, or null if a response was sent
+   * @private
+   */
+  static async _findEditableQuiz(id, userId, res, baseVersion) {
+    if (!aiService.isAvailable()) {
+      res.status(503).json({
+        success: false,
+        message: 'AI service is currently unavailable'
+      });
+      return null;
+    }
+
+    const quiz = await QuizService.getQuizById(id);
+    if (!quiz) {
+      res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+      return null;
+    }
+
+    if (quiz.user_id !== userId && !(await QuizService.checkQuizEditAccess(id, userId))) {
+      res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this quiz'
+      });
+      return null;
+    }
+
+    if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== quiz.version) {
+      res.status(409).json({
+        success: false,
+        message: `The quiz is now at version ${quiz.version}; reload it before changing it`,
+        currentVersion: quiz.version
+      });
+      return null;
+    }
+
+    return quiz;
+  }
+
+  /**
+   * Make sure questions are only tagged with objectives of the user's schools, or send the 400 response
+   * @param {Object} req - Express request object
+   * @param {Array<Object>} questions - Questions with optional objectiveIds
+   * @param {Object} res - Express response object
+   * @returns {Promise<boolean>} True if the tags may be stored, false if a response was sent
+   * @private
+   */
+  static async _checkQuestionObjectives(req, questions, res) {
+    try {
+      await ObjectiveService.getObjectives(req.user, questions.flatMap(question => question.objectiveIds || []));
+      return true;
     } catch (error) {
-      logger.error('Error updating quiz questions:', error);
+      if (!error.statusCode) throw error;
 
-      return res.status(500).json({
+      res.status(error.statusCode).json({
         success: false,
-        message: 'An error occurred while updating quiz questions',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        message: error.message
       });
+      return false;
+    }
+  }
+
+  /**
+   * Invalidate the cached quiz, count the AI generation and log the activity
+   * @param {Object} req - Express request object
+   * @param {Object} quiz - Updated quiz
+   * @param {string} description - Activity description
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _afterQuestionGeneration(req, quiz, description) {
+    cacheService.delete(`quiz:${quiz.id}`);
+
+    try {
+      await QuotaService.recordUsage(req.user.userId, QuotaType.AI_GENERATION);
+
+      if (req.logActivity) {
+        await req.logActivity('quiz_update', description);
+      }
+    } catch (error) {
+      // Non-critical error, just log it
+      logger.warn(`Failed to update AI generation count for user ${req.user.userId}:`, error);
     }
   }
 
+  /**
+   * Send the error response of a failed question generation
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error
+   * @returns {Object} Response
+   * @private
+   */
+  static _sendQuestionGenerationError(res, error) {
+    logger.error('Error generating quiz questions:', error);
+
+    let statusCode = error.statusCode || 500;
+    let errorMessage = error.statusCode ? error.message : 'An error occurred while generating the questions';
+
+    if (error.message === 'AI generation timed out') {
+      statusCode = 504;
+      errorMessage = 'Question generation timed out. Please try again.';
+    } else if (error.message === 'AI service is currently unavailable') {
+      statusCode = 503;
+      errorMessage = error.message;
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      message: errorMessage,
+      currentVersion: error.currentVersion,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
   /**
    * Move quiz to a folder
    * @param {Object} req - Express request object
@@ -1657,193 +2665,20 @@ class QuizController {
         });
       }
 
-      const {
-        questionType = 'Multiple Choice',
-        numberOfQuestions = 10,
-        additionalInstructions = '',
-        studentLevel = '',
-        outputLanguage = 'Thai'
-      } = settings;
-
-      // ตรวจสอบ API key
-      if (!process.env.GOOGLE_GEMINI_API_KEY) {
-        console.error('Missing GOOGLE_GEMINI_API_KEY');
-        return res.status(500).json({
-          success: false,
-          message: 'Google Gemini API key ไม่ได้ตั้งค่า'
-        });
-      }
-
       logger.info(`Generating quiz from file: ${uploadedFile.originalname}, size: ${uploadedFile.size} bytes`);
 
-      // Initialize Gemini AI with retry mechanism
-      const genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY);
-      const model = genAI.getGenerativeModel({
-        model: "gemini-1.5-flash", // ใช้ flash model เพื่อความเร็ว
-        generationConfig: {
-          temperature: 0.7,
-          topP: 0.8,
-          topK: 40,
-          maxOutputTokens: 2048, // ลดขนาด token
-        }
-      });
-
-      let geminiInput = [];
-
-      // Handle PDF files
-      if (uploadedFile.mimetype === 'application/pdf') {
-        try {
-          const pdfBuffer = fs.readFileSync(uploadedFile.path);
-
-          // ตรวจสอบขนาด buffer
-          if (pdfBuffer.length > 4 * 1024 * 1024) { // 4MB
-            return res.status(413).json({
-              success: false,
-              message: 'ไฟล์ PDF มีขนาดใหญ่เกินไป'
-            });
-          }
-
-          const pdfBase64 = pdfBuffer.toString('base64');
-
-          const promptContent = `
-วิเคราะห์ PDF และสร้างข้อสอบ ${numberOfQuestions} ข้อ
-
-ใช้ภาษาไทย UTF-8 ในการตอบ
-
-ตอบเป็น JSON format เท่านั้น:
-{
-  "title": "ชื่อข้อสอบ",
-  "questions": [
-    {
-      "questionText": "คำถาม",
-      "options": [
-        {"text": "ตัวเลือก A", "isCorrect": false},
-        {"text": "ตัวเลือก B", "isCorrect": true},
-        {"text": "ตัวเลือก C", "isCorrect": false},
-        {"text": "ตัวเลือก D", "isCorrect": false}
-      ],
-      "explanation": "คำอธิบาย"
-    }
-  ]
-}`;
-
-          geminiInput = [
-            promptContent,
-            {
-              inlineData: {
-                data: pdfBase64,
-                mimeType: 'application/pdf'
-              }
-            }
-          ];
-        } catch (fileError) {
-          console.error('PDF processing error:', fileError);
-          return res.status(422).json({
-            success: false,
-            message: 'ไม่สามารถประมวลผลไฟล์ PDF ได้'
-          });
-        }
-      } else if (uploadedFile.mimetype === 'text/plain') {
-        // Handle TXT files
-        try {
-          const textContent = fs.readFileSync(uploadedFile.path, { encoding: 'utf8' });
-
-          const promptContent = `
-สร้างข้อสอบ ${numberOfQuestions} ข้อ จากเนื้อหา:
-${textContent.substring(0, 2000)}
-
-ตอบเป็น JSON format ภาษาไทย UTF-8:
-{
-  "title": "ชื่อข้อสอบ",
-  "questions": [...]
-}`;
-
-          geminiInput = [promptContent];
-        } catch (fileError) {
-          console.error('TXT processing error:', fileError);
-          return res.status(422).json({
-            success: false,
-            message: 'ไม่สามารถอ่านไฟล์ข้อความได้'
-          });
-        }
-      } else {
-        return res.status(415).json({
-          success: false,
-          message: 'รองรับเฉพาะไฟล์ PDF และ TXT'
-        });
-      }
-
-      // Generate content with retry mechanism
-      let result;
-      let retryCount = 0;
-      const maxRetries = 3;
-
-      while (retryCount < maxRetries) {
-        try {
-          console.log(`Attempt ${retryCount + 1} to call Gemini API`);
-
-          result = await Promise.race([
-            model.generateContent(geminiInput),
-            new Promise((_, reject) =>
-              setTimeout(() => reject(new Error('Timeout')), 30000) // 30 second timeout
-            )
-          ]);
-
-          break; // Success
-        } catch (apiError) {
-          retryCount++;
-          console.error(`Gemini API attempt ${retryCount} failed:`, apiError.message);
-
-          if (retryCount >= maxRetries) {
-            if (apiError.message.includes('Timeout')) {
-              return res.status(504).json({
-                success: false,
-                message: 'การประมวลผลใช้เวลานานเกินไป กรุณาลองใหม่'
-              });
-            }
-
-            if (apiError.message.includes('quota') || apiError.message.includes('limit')) {
-              return res.status(429).json({
-                success: false,
-                message: 'ใช้งาน API เกินขีดจำกัด กรุณารอสักครู่แล้วลองใหม่'
-              });
-            }
-
-            return res.status(503).json({
-              success: false,
-              message: 'บริการ AI ไม่พร้อมใช้งานชั่วคราว กรุณาลองใหม่อีกครั้ง'
-            });
-          }
-
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 2000 * retryCount));
-        }
-      }
-
-      const response = await result.response;
-      let responseText = response.text();
-
-      // Clean JSON response
-      responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
       let quizData;
       try {
-        quizData = JSON.parse(responseText);
-      } catch (parseError) {
-        console.error('JSON Parse Error:', parseError);
-        console.error('Response:', responseText.substring(0, 500));
-
-        return res.status(422).json({
-          success: false,
-          message: 'ไม่สามารถประมวลผลผลลัพธ์จาก AI ได้'
-        });
-      }
+        quizData = await FileQuizService.generateFromFile(uploadedFile, settings);
+      } catch (generationError) {
+        if (!generationError.statusCode) {
+          throw generationError;
+        }
 
-      // Validate structure
-      if (!quizData.title || !quizData.questions || !Array.isArray(quizData.questions)) {
-        return res.status(422).json({
+        return res.status(generationError.statusCode).json({
           success: false,
-          message: 'รูปแบบข้อมูลข้อสอบไม่ถูกต้อง'
+          message: generationError.message,
+          ...generationError.details
         });
       }
 
@@ -1852,14 +2687,24 @@ ${textContent.substring(0, 2000)}
         id: Date.now(),
         title: quizData.title,
         topic: quizData.title,
-        questionType: questionType,
+        questionType: quizData.questionType,
         questions: quizData.questions,
+        validation: quizData.validation,
+        sections: quizData.sections,
         userId: userId,
         createdAt: new Date()
       };
 
       logger.info(`Quiz generated successfully for user ${userId}`);
 
+      try {
+        await QuotaService.recordUsage(userId, QuotaType.AI_GENERATION);
+        await QuotaService.recordUsage(userId, QuotaType.STORAGE, uploadedFile.size);
+      } catch (error) {
+        // Non-critical error, just log it
+        logger.warn(`Failed to update usage quotas for user ${userId}:`, error);
+      }
+
       res.setHeader('Content-Type', 'application/json; charset=utf-8');
       res.status(200).json({
         success: true,
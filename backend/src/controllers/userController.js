@@ -2,8 +2,10 @@ import bcrypt from 'bcrypt';
 import { pool } from '../config/db.js';
 import { logger } from '../utils/logger.js';
 import { validatePassword } from '../utils/validator.js';
+import { QUIZ_TYPES } from '../utils/questionTypes.js';
 import crypto from 'crypto';
 import { sendEmail } from '../utils/emailService.js';
+import QuotaService, { QuotaType } from '../services/quotaService.js';
 
 class UserController {
     // Get Current User Profile
@@ -282,6 +284,11 @@ class UserController {
 
             logger.info(`User updated profile image: (ID: ${userId})`);
 
+            if (req.file) {
+                await QuotaService.recordUsage(userId, QuotaType.STORAGE, req.file.size)
+                    .catch(error => logger.warn(`Failed to update storage usage for user ${userId}:`, error));
+            }
+
             return res.status(200).json({
                 success: true,
                 message: 'Profile image updated successfully',
@@ -312,7 +319,7 @@ class UserController {
                 });
             }
 
-            if (defaultQuizType && !['Multiple Choice', 'Essay'].includes(defaultQuizType)) {
+            if (defaultQuizType && !QUIZ_TYPES.includes(defaultQuizType)) {
                 return res.status(400).json({
                     success: false,
                     message: 'Invalid quiz type'
@@ -371,6 +378,28 @@ class UserController {
         }
     }
 
+    // Get Monthly Quota Usage
+    static async getQuotaUsage(req, res) {
+        try {
+            const userId = req.user.userId; // From JWT auth middleware
+
+            const usage = await QuotaService.getUsage(userId);
+
+            return res.status(200).json({
+                success: true,
+                data: usage
+            });
+        } catch (error) {
+            logger.error('Error fetching quota usage:', error);
+
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while fetching quota usage',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
     // Get User Activity
     static async getUserActivity(req, res) {
         try {
@@ -2,6 +2,7 @@
 import jwt from 'jsonwebtoken';
 import { pool } from '../config/db.js';
 import { logger } from '../utils/logger.js';
+import { runWithContext } from '../utils/requestContext.js';
 
 // JWT secret from environment variable
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key_here';
@@ -12,7 +13,7 @@ const authenticateToken = async (req, res, next) => {
   if (process.env.NODE_ENV === 'development' && process.env.SKIP_AUTH === 'true') {
     // Set a default user in development mode
     req.user = { userId: 1, email: 'admin@example.com', role: 'admin' };
-    return next();
+    return runWithContext({ userId: req.user.userId }, next);
   }
 
   // Get token from Authorization header
@@ -58,7 +59,8 @@ const authenticateToken = async (req, res, next) => {
       logger.info(`Authenticated request: User ID ${decoded.userId}, Role: ${decoded.role}, Path: ${req.originalUrl}`);
     }
     
-    next();
+    // Lets services deeper down (e.g. the AI audit log) see who made the request
+    runWithContext({ userId: decoded.userId }, next);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
@@ -0,0 +1,41 @@
+// backend/src/middlewares/quota.js
+import fs from 'fs';
+import QuotaService, { QuotaType } from '../services/quotaService.js';
+import { logger } from '../utils/logger.js';
+
+// Quota middleware - Rejects the request when it would pass a monthly quota of the user or their school.
+// Uploads are checked by file size, so place it after multer when the storage quota is required.
+const requireQuota = (...types) => async (req, res, next) => {
+  const amounts = Object.fromEntries(types.map(type => [
+    type,
+    type === QuotaType.STORAGE ? req.file?.size || 0 : 1
+  ]));
+
+  try {
+    await QuotaService.checkQuotas(req.user.userId, amounts);
+    return next();
+  } catch (error) {
+    // The upload will not be used
+    if (req.file?.path && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        quota: error.quota
+      });
+    }
+
+    logger.error('Error checking usage quotas:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'An error occurred while checking your usage quota',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+export { requireQuota };
@@ -41,4 +41,26 @@ router.put(
     AdminController.updateUserRole
 );
 
+// AI generation audit log: every prompt and raw response, with replay against another model
+router.get(
+    '/ai-logs',
+    commonRules.adminRules.listAILogs,
+    validate,
+    AdminController.getAILogs
+);
+
+router.get(
+    '/ai-logs/:id',
+    commonRules.adminRules.getAILog,
+    validate,
+    AdminController.getAILog
+);
+
+router.post(
+    '/ai-logs/:id/replay',
+    commonRules.adminRules.replayAILog,
+    validate,
+    AdminController.replayAILog
+);
+
 export default router;
\ No newline at end of file
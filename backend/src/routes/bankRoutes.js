@@ -0,0 +1,68 @@
+import express from 'express';
+import QuestionBankController from '../controllers/questionBankController.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { requireQuota } from '../middlewares/quota.js';
+import { QuotaType } from '../services/quotaService.js';
+import { commonRules, validate } from '../utils/validator.js';
+
+const router = express.Router();
+
+// Every teacher has their own bank, so every route needs a user
+router.use(authenticateToken);
+
+router.get(
+    '/questions',
+    commonRules.bankRules.list,
+    validate,
+    QuestionBankController.listQuestions
+);
+
+router.post(
+    '/questions',
+    commonRules.bankRules.add,
+    validate,
+    QuestionBankController.addQuestions
+);
+
+// Tags used in the bank with their number of questions, for the filters
+router.get('/tags', QuestionBankController.getTags);
+
+// Copy questions of a saved quiz into the bank; questions already in it are skipped
+router.post(
+    '/questions/from-quiz/:quizId',
+    commonRules.bankRules.addFromQuiz,
+    validate,
+    QuestionBankController.addFromQuiz
+);
+
+router.get(
+    '/questions/:id',
+    commonRules.bankRules.getById,
+    validate,
+    QuestionBankController.getQuestion
+);
+
+router.put(
+    '/questions/:id',
+    commonRules.bankRules.update,
+    validate,
+    QuestionBankController.updateQuestion
+);
+
+router.delete(
+    '/questions/:id',
+    commonRules.bankRules.getById,
+    validate,
+    QuestionBankController.deleteQuestion
+);
+
+// Build and save a new quiz from bank questions
+router.post(
+    '/assemble',
+    requireQuota(QuotaType.QUIZ),
+    commonRules.bankRules.assemble,
+    validate,
+    QuestionBankController.assembleQuiz
+);
+
+export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import ObjectiveController from '../controllers/objectiveController.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { commonRules, validate } from '../utils/validator.js';
+
+const router = express.Router();
+
+// The catalogue belongs to the user's schools, so every route needs a user
+router.use(authenticateToken);
+
+// Courses of the user's schools and the schools they can add courses to
+router.get('/', ObjectiveController.listCourses);
+
+router.post(
+    '/',
+    commonRules.courseRules.create,
+    validate,
+    ObjectiveController.createCourse
+);
+
+router.get(
+    '/:id',
+    commonRules.courseRules.getById,
+    validate,
+    ObjectiveController.getCourse
+);
+
+router.put(
+    '/:id',
+    commonRules.courseRules.update,
+    validate,
+    ObjectiveController.updateCourse
+);
+
+router.delete(
+    '/:id',
+    commonRules.courseRules.getById,
+    validate,
+    ObjectiveController.deleteCourse
+);
+
+// Questions per objective across all quizzes, to find objectives nobody has written questions for
+router.get(
+    '/:id/coverage',
+    commonRules.courseRules.getById,
+    validate,
+    ObjectiveController.getCoverage
+);
+
+router.post(
+    '/:id/objectives',
+    commonRules.courseRules.createObjective,
+    validate,
+    ObjectiveController.createObjective
+);
+
+router.put(
+    '/:id/objectives/:objectiveId',
+    commonRules.courseRules.updateObjective,
+    validate,
+    ObjectiveController.updateObjective
+);
+
+router.delete(
+    '/:id/objectives/:objectiveId',
+    commonRules.courseRules.deleteObjective,
+    validate,
+    ObjectiveController.deleteObjective
+);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import PresetController from '../controllers/presetController.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { commonRules, validate } from '../utils/validator.js';
+
+const router = express.Router();
+
+// Presets are personal (or shared with the user's departments), so every route needs a user
+router.use(authenticateToken);
+
+// Own presets, presets shared with the user's departments and the departments to share with
+router.get('/', PresetController.listPresets);
+
+router.post(
+    '/',
+    commonRules.presetRules.save,
+    validate,
+    PresetController.createPreset
+);
+
+router.put(
+    '/:id',
+    commonRules.presetRules.update,
+    validate,
+    PresetController.updatePreset
+);
+
+router.delete(
+    '/:id',
+    commonRules.presetRules.delete,
+    validate,
+    PresetController.deletePreset
+);
+
+export default router;
@@ -1,14 +1,21 @@
 import express from 'express';
 import QuizController from '../controllers/quizController.js';
+import QuestionController from '../controllers/questionController.js';
 import { authenticateToken } from '../middlewares/auth.js';
 import { generalLimiter, aiGenerationLimiter } from '../middlewares/rateLimiter.js';
+import { requireQuota } from '../middlewares/quota.js';
+import { QuotaType } from '../services/quotaService.js';
 import { commonRules, validate } from '../utils/validator.js';
 import { sanitizeInteger } from '../utils/sanitizer.js';
 import validator from 'validator';
 import ExportController from '../controllers/exportController.js';
+import JobController from '../controllers/jobController.js';
+import DocumentExtractor from '../utils/documentExtractor.js';
 import { logger } from '../utils/logger.js';
 import QuizService from '../services/quizService.js';
 import { pool } from '../config/db.js';
+import configService from '../services/configService.js';
+import { QUESTION_IMAGE_DIR, QUESTION_AUDIO_DIR, mediaExtension, mediaFileName } from '../utils/questionMedia.js';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
@@ -47,20 +54,15 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-    const allowedTypes = [
-        'application/pdf',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'text/plain'
-    ];
-
     // Handle UTF-8 filenames properly
     const originalName = Buffer.from(file.originalname, 'latin1').toString('utf8');
     file.originalname = originalName;
 
-    if (allowedTypes.includes(file.mimetype)) {
+    // Markdown often arrives as application/octet-stream, so the type is detected from the extension too
+    if (DocumentExtractor.detectType(file)) {
         cb(null, true);
     } else {
-        cb(new Error('รองรับเฉพาะไฟล์ PDF, DOCX และ TXT เท่านั้น!'), false);
+        cb(new Error('รองรับเฉพาะไฟล์ PDF, DOCX, PPTX, TXT, Markdown, HTML และรูปภาพ JPG/PNG เท่านั้น!'), false);
     }
 };
 
@@ -72,6 +74,55 @@ const upload = multer({
     fileFilter: fileFilter
 });
 
+/**
+ * Read one uploaded image or audio file into its folder of uploads/, answering
+ * upload errors (wrong type, too large) with 400
+ * @param {string} kind - 'image' or 'audio', see utils/questionMedia.js
+ * @param {Object} settings - Form field, file name prefix and the upload.* config keys of the size limit and types
+ * @returns {Function} Middleware
+ */
+const mediaUpload = (kind, { field, prefix, maxSizeKey, typesKey }) => {
+    const upload = multer({
+        storage: multer.diskStorage({
+            destination: function (req, file, cb) {
+                cb(null, kind === 'image' ? QUESTION_IMAGE_DIR : QUESTION_AUDIO_DIR);
+            },
+            filename: function (req, file, cb) {
+                cb(null, mediaFileName(prefix, req.user.userId, mediaExtension(kind, file.mimetype)));
+            }
+        }),
+        limits: {
+            fileSize: configService.get(maxSizeKey)
+        },
+        fileFilter: (req, file, cb) => {
+            if (configService.get(typesKey).includes(file.mimetype) && mediaExtension(kind, file.mimetype)) {
+                cb(null, true);
+            } else {
+                cb(new Error(`Only these file types are allowed: ${configService.get(typesKey).join(', ')}`), false);
+            }
+        }
+    });
+
+    return (req, res, next) => {
+        upload.single(field)(req, res, (error) => {
+            if (!error) {
+                return next();
+            }
+
+            return res.status(400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE'
+                    ? `Files can be at most ${Math.round(configService.get(maxSizeKey) / 1024 / 1024 * 10) / 10} MB`
+                    : error.message
+            });
+        });
+    };
+};
+
+// Images of question stems and options, and audio clips of listening questions
+const uploadImage = mediaUpload('image', { field: 'image', prefix: 'qimg', maxSizeKey: 'upload.maxFileSize', typesKey: 'upload.allowedTypes' });
+const uploadAudio = mediaUpload('audio', { field: 'audio', prefix: 'qaudio', maxSizeKey: 'upload.maxAudioSize', typesKey: 'upload.allowedAudioTypes' });
+
 // Apply UTF-8 middleware to all routes
 router.use((req, res, next) => {
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
@@ -82,11 +133,22 @@ router.use((req, res, next) => {
 router.post(
     '/generate',
     aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
     commonRules.quizRules.generate,
     validate,
     QuizController.generateQuiz
 );
 
+// API Route for generating a quiz as a Server-Sent Events stream
+router.post(
+    '/generate/stream',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.generate,
+    validate,
+    QuizController.generateQuizStream
+);
+
 // API Route for generating quiz from file upload with UTF-8 support
 router.post(
     '/generate-from-file',
@@ -99,19 +161,121 @@ router.post(
         }
         next();
     },
+    requireQuota(QuotaType.AI_GENERATION, QuotaType.STORAGE),
     QuizController.generateQuizFromFile
 );
 
+// Background generation jobs - survive page refreshes and server restarts
+router.post(
+    '/jobs',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.generate,
+    validate,
+    JobController.createTopicJob
+);
+
+router.post(
+    '/jobs/file',
+    aiGenerationLimiter,
+    upload.single('file'),
+    requireQuota(QuotaType.AI_GENERATION, QuotaType.STORAGE),
+    JobController.createFileJob
+);
+
+router.get(
+    '/jobs',
+    commonRules.jobRules.list,
+    validate,
+    JobController.listJobs
+);
+
+router.get(
+    '/jobs/:jobId',
+    commonRules.jobRules.getById,
+    validate,
+    JobController.getJob
+);
+
+router.get(
+    '/jobs/:jobId/result',
+    commonRules.jobRules.getById,
+    validate,
+    JobController.getJobResult
+);
+
+router.post(
+    '/jobs/:jobId/cancel',
+    commonRules.jobRules.getById,
+    validate,
+    JobController.cancelJob
+);
+
+// Replacement for one question of a quiz that is not saved yet
+router.post(
+    '/questions/replacement',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.replacementQuestion,
+    validate,
+    QuizController.generateReplacementQuestion
+);
+
+// Morse code audio to listen to before attaching it to a question; nothing is stored
+router.post(
+    '/morse-audio',
+    commonRules.quizRules.morseAudio,
+    validate,
+    QuestionController.previewMorseAudio
+);
+
+// Near-duplicate check of questions that are not saved yet
+router.post(
+    '/duplicates/check',
+    commonRules.quizRules.checkDuplicates,
+    validate,
+    QuizController.checkDuplicates
+);
+
+// AI answer-key check of questions that are not saved yet
+router.post(
+    '/answer-keys/check',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.checkAnswerKeys,
+    validate,
+    QuizController.checkAnswerKeys
+);
+
+// Distractor analysis of questions that are not saved yet
+router.post(
+    '/distractors/analyze',
+    commonRules.quizRules.analyzeDistractors,
+    validate,
+    QuizController.analyzeDistractors
+);
+
+// Rewrite the wrong options of a question that is not saved yet
+router.post(
+    '/distractors/improve',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.improveDistractors,
+    validate,
+    QuizController.improveDistractors
+);
+
 // API Route for saving a generated quiz
 router.post(
     '/save',
+    requireQuota(QuotaType.QUIZ),
     commonRules.quizRules.create,
     validate,
     QuizController.saveQuiz
 );
 
 // API Route for getting all quizzes - FIXED VERSION
-router.get('/', async (req, res) => {
+router.get('/', commonRules.quizRules.list, validate, async (req, res) => {
     try {
         // Simple sanitization for query parameters - avoid circular reference
         const filters = {
@@ -119,6 +283,7 @@ router.get('/', async (req, res) => {
             limit: sanitizeInteger(req.query.limit, 100),
             category: req.query.category ? validator.escape(req.query.category.trim()) : undefined,
             difficulty: req.query.difficulty ? validator.escape(req.query.difficulty.trim()) : undefined,
+            bloomLevel: req.query.bloomLevel ? validator.escape(req.query.bloomLevel.trim()) : undefined,
             search: req.query.search ? validator.escape(req.query.search.trim()) : undefined,
             folderId: req.query.folderId ? sanitizeInteger(req.query.folderId) : undefined
         };
@@ -161,7 +326,7 @@ router.patch(
 // API Route for exporting a quiz in GIFT format for Moodle
 router.get(
     '/:id/export/moodle',
-    commonRules.quizRules.getById,
+    commonRules.quizRules.export,
     validate,
     ExportController.exportQuizToGift
 );
@@ -169,7 +334,7 @@ router.get(
 // API Route for exporting a quiz in plain text format
 router.get(
     '/:id/export/text',
-    commonRules.quizRules.getById,
+    commonRules.quizRules.export,
     validate,
     ExportController.exportQuizToPlainText
 );
@@ -182,6 +347,258 @@ router.patch(
     QuizController.updateQuizQuestions
 );
 
+// Edit single questions of a saved quiz; each change is saved (and versioned) on its own
+router.post(
+    '/:id/questions',
+    commonRules.quizRules.addQuestion,
+    validate,
+    QuestionController.addQuestion
+);
+
+router.put(
+    '/:id/questions/order',
+    commonRules.quizRules.reorderQuestions,
+    validate,
+    QuestionController.reorderQuestions
+);
+
+router.patch(
+    '/:id/questions/:questionId',
+    commonRules.quizRules.updateQuestion,
+    validate,
+    QuestionController.updateQuestion
+);
+
+router.delete(
+    '/:id/questions/:questionId',
+    commonRules.quizRules.deleteQuestion,
+    validate,
+    QuestionController.deleteQuestion
+);
+
+router.post(
+    '/:id/questions/:questionId/duplicate',
+    commonRules.quizRules.duplicateQuestion,
+    validate,
+    QuestionController.duplicateQuestion
+);
+
+// Edit single options of a choice question
+router.post(
+    '/:id/questions/:questionId/options',
+    commonRules.quizRules.addOption,
+    validate,
+    QuestionController.addOption
+);
+
+router.put(
+    '/:id/questions/:questionId/options/order',
+    commonRules.quizRules.reorderOptions,
+    validate,
+    QuestionController.reorderOptions
+);
+
+router.patch(
+    '/:id/questions/:questionId/options/:optionId',
+    commonRules.quizRules.updateOption,
+    validate,
+    QuestionController.updateOption
+);
+
+router.delete(
+    '/:id/questions/:questionId/options/:optionId',
+    commonRules.quizRules.deleteOption,
+    validate,
+    QuestionController.deleteOption
+);
+
+router.post(
+    '/:id/questions/:questionId/options/:optionId/duplicate',
+    commonRules.quizRules.duplicateOption,
+    validate,
+    QuestionController.duplicateOption
+);
+
+// Images of question stems and options; uploads count against the storage quota
+router.post(
+    '/:id/questions/:questionId/image',
+    commonRules.quizRules.questionImage,
+    validate,
+    uploadImage,
+    requireQuota(QuotaType.STORAGE),
+    QuestionController.uploadQuestionImage
+);
+
+router.delete(
+    '/:id/questions/:questionId/image',
+    commonRules.quizRules.questionImage,
+    validate,
+    QuestionController.removeQuestionImage
+);
+
+router.post(
+    '/:id/questions/:questionId/options/:optionId/image',
+    commonRules.quizRules.optionImage,
+    validate,
+    uploadImage,
+    requireQuota(QuotaType.STORAGE),
+    QuestionController.uploadOptionImage
+);
+
+router.delete(
+    '/:id/questions/:questionId/options/:optionId/image',
+    commonRules.quizRules.optionImage,
+    validate,
+    QuestionController.removeOptionImage
+);
+
+// Audio clip of a listening question: an uploaded recording or Morse code synthesized from text
+router.post(
+    '/:id/questions/:questionId/audio',
+    commonRules.quizRules.questionAudio,
+    validate,
+    uploadAudio,
+    requireQuota(QuotaType.STORAGE),
+    QuestionController.uploadQuestionAudio
+);
+
+router.post(
+    '/:id/questions/:questionId/audio/morse',
+    commonRules.quizRules.questionMorseAudio,
+    validate,
+    QuestionController.generateQuestionMorseAudio
+);
+
+router.delete(
+    '/:id/questions/:questionId/audio',
+    commonRules.quizRules.questionAudio,
+    validate,
+    QuestionController.removeQuestionAudio
+);
+
+// Replace question N of a saved quiz with a newly generated question
+router.post(
+    '/:id/questions/:position/regenerate',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.regenerateQuestion,
+    validate,
+    QuizController.regenerateQuestion
+);
+
+// Near-duplicate check of a saved quiz
+router.get(
+    '/:id/duplicates',
+    commonRules.quizRules.getById,
+    validate,
+    QuizController.getQuizDuplicates
+);
+
+// Rewrite the wrong options of question N of a saved quiz
+router.post(
+    '/:id/questions/:position/distractors',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.improveQuestionDistractors,
+    validate,
+    QuizController.improveQuestionDistractors
+);
+
+// Distractor analysis of a saved quiz
+router.get(
+    '/:id/distractors',
+    commonRules.quizRules.getById,
+    validate,
+    QuizController.getQuizDistractors
+);
+
+// Append newly generated questions to a saved quiz
+router.post(
+    '/:id/questions/generate',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.generateMoreQuestions,
+    validate,
+    QuizController.generateMoreQuestions
+);
+
+// Translate a saved quiz into its other language (Thai <-> English)
+router.post(
+    '/:id/translate',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.getById,
+    validate,
+    QuizController.translateQuiz
+);
+
+// Write the missing explanations of a saved quiz; existing ones are kept unless `overwrite` is set
+router.post(
+    '/:id/explanations',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.fillExplanations,
+    validate,
+    QuizController.fillExplanations
+);
+
+// AI answer-key check of a saved quiz; the flags stay on the questions until resolved
+router.post(
+    '/:id/answer-keys/check',
+    aiGenerationLimiter,
+    requireQuota(QuotaType.AI_GENERATION),
+    commonRules.quizRules.getById,
+    validate,
+    QuizController.checkQuizAnswerKeys
+);
+
+// Mark an answer-key flag as resolved
+router.patch(
+    '/:id/flags/:flagId/resolve',
+    commonRules.quizRules.resolveFlag,
+    validate,
+    QuizController.resolveQuestionFlag
+);
+
+// Tag a question with learning objectives from the course catalogue
+router.put(
+    '/:id/questions/:questionId/objectives',
+    commonRules.quizRules.setQuestionObjectives,
+    validate,
+    QuizController.setQuestionObjectives
+);
+
+// Version history: every change to the title or questions is kept as a numbered version
+router.get(
+    '/:id/versions',
+    commonRules.quizRules.getById,
+    validate,
+    QuizController.getQuizVersions
+);
+
+// Side-by-side comparison of two versions (?from=2&to=5)
+router.get(
+    '/:id/versions/diff',
+    commonRules.quizRules.diffVersions,
+    validate,
+    QuizController.diffQuizVersions
+);
+
+router.get(
+    '/:id/versions/:version',
+    commonRules.quizRules.getVersion,
+    validate,
+    QuizController.getQuizVersion
+);
+
+// Make an earlier version current; the restore is stored as a new version
+router.post(
+    '/:id/versions/:version/restore',
+    commonRules.quizRules.restoreVersion,
+    validate,
+    QuizController.restoreQuizVersion
+);
+
 // API Route for moving a quiz to a folder
 router.patch(
     '/:id/move',
@@ -2,6 +2,8 @@ import express from 'express';
 import { authenticateToken, authorizeRoles } from '../middlewares/auth.js';
 import { validate, commonRules } from '../utils/validator.js';
 import { generalLimiter } from '../middlewares/rateLimiter.js';
+import { requireQuota } from '../middlewares/quota.js';
+import { QuotaType } from '../services/quotaService.js';
 import { UserController } from '../controllers/userController.js';
 import { SchoolAdminController } from '../controllers/schoolAdminController.js';
 import { AdminController } from '../controllers/adminController.js';
@@ -80,6 +82,7 @@ router.put(
 router.post(
     '/profile-image',
     upload.single('profileImage'),
+    requireQuota(QuotaType.STORAGE),
     UserController.uploadProfileImage
 );
 
@@ -90,6 +93,11 @@ router.put(
     UserController.updateSettings
 );
 
+router.get(
+    '/quota',
+    UserController.getQuotaUsage
+);
+
 router.get(
     '/activity',
     UserController.getUserActivity
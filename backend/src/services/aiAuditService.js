@@ -0,0 +1,199 @@
+// backend/src/services/aiAuditService.js
+import DBService from './dbService.js';
+import configService from './configService.js';
+
+// Characters of the prompt and response shown in log lists
+const PREVIEW_LENGTH = 200;
+
+/**
+ * Service for the AI generation audit log.
+ *
+ * aiService records every request it sends to a provider (prompt, model,
+ * parameters, token counts, latency and the raw response) so a wrong answer
+ * reported by a teacher can be traced back and replayed against another
+ * model. Attachment contents are not stored, only their type and size.
+ */
+class AIAuditService {
+    /**
+     * Store one AI request
+     * @param {Object} entry - Request details
+     * @param {number|null} entry.userId - User the request was made for
+     * @param {number|null} entry.jobId - Background job the request belongs to
+     * @param {number|null} entry.replayOf - Log the request replays
+     * @param {string} entry.provider - Provider name
+     * @param {string|null} entry.model - Model name
+     * @param {boolean} entry.streamed - Whether the response was streamed
+     * @param {string} entry.prompt - Full prompt
+     * @param {Object} entry.parameters - Generation options without attachments
+     * @param {Array<Object>} entry.attachments - { mimeType, bytes } of every attachment
+     * @param {string|null} entry.response - Raw response text (partial for failed streams)
+     * @param {string} entry.status - 'success', 'error' or 'cancelled'
+     * @param {string|null} entry.errorMessage - Error message
+     * @param {Object} entry.usage - { promptTokens, completionTokens }
+     * @param {number} entry.latencyMs - Time until the response was complete
+     * @returns {Promise<number|null>} Log ID, or null when auditing is disabled
+     */
+    static async record(entry) {
+        if (!configService.get('ai.auditEnabled', true)) {
+            return null;
+        }
+
+        return DBService.insert('ai_generation_logs', {
+            user_id: entry.userId || null,
+            job_id: entry.jobId || null,
+            replay_of: entry.replayOf || null,
+            task: entry.parameters?.context?.task || 'text',
+            provider: entry.provider,
+            model: entry.model || null,
+            streamed: entry.streamed ? 1 : 0,
+            prompt: entry.prompt,
+            parameters: JSON.stringify(entry.parameters || {}),
+            attachments: entry.attachments.length > 0 ? JSON.stringify(entry.attachments) : null,
+            response: entry.response ?? null,
+            status: entry.status,
+            error_message: entry.errorMessage || null,
+            prompt_tokens: entry.usage?.promptTokens ?? null,
+            completion_tokens: entry.usage?.completionTokens ?? null,
+            latency_ms: entry.latencyMs
+        });
+    }
+
+    /**
+     * List logged requests, newest first
+     * @param {Object} [filters] - Filters
+     * @param {number} [filters.limit=20] - Page size
+     * @param {number} [filters.offset=0] - Rows to skip
+     * @param {number} [filters.userId] - Only requests of this user
+     * @param {string} [filters.task] - Only this task (quiz, repair, ...)
+     * @param {string} [filters.status] - Only this status
+     * @param {string} [filters.search] - Text to find in the prompt or model name
+     * @returns {Promise<{logs: Array<Object>, total: number}>} Logs with prompt and response previews
+     */
+    static async listLogs({ limit = 20, offset = 0, userId, task, status, search } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (userId) {
+            conditions.push('ai_generation_logs.user_id = ?');
+            params.push(userId);
+        }
+        if (task) {
+            conditions.push('ai_generation_logs.task = ?');
+            params.push(task);
+        }
+        if (status) {
+            conditions.push('ai_generation_logs.status = ?');
+            params.push(status);
+        }
+        if (search) {
+            conditions.push('(ai_generation_logs.prompt LIKE ? OR ai_generation_logs.model LIKE ?)');
+            params.push(`%${search}%`, `%${search}%`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const rows = await DBService.query(
+            `SELECT ai_generation_logs.id, ai_generation_logs.user_id, ai_generation_logs.job_id, ai_generation_logs.replay_of,
+                    ai_generation_logs.task, ai_generation_logs.provider, ai_generation_logs.model, ai_generation_logs.streamed,
+                    LEFT(ai_generation_logs.prompt, ${PREVIEW_LENGTH}) AS prompt,
+                    LEFT(ai_generation_logs.response, ${PREVIEW_LENGTH}) AS response,
+                    ai_generation_logs.status, ai_generation_logs.error_message,
+                    ai_generation_logs.prompt_tokens, ai_generation_logs.completion_tokens, ai_generation_logs.latency_ms,
+                    ai_generation_logs.created_at, users.email AS user_email
+             FROM ai_generation_logs
+             LEFT JOIN users ON users.id = ai_generation_logs.user_id
+             ${where}
+             ORDER BY ai_generation_logs.id DESC
+             LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+            params
+        );
+
+        const countRow = await DBService.queryOne(
+            `SELECT COUNT(*) AS total FROM ai_generation_logs ${where}`,
+            params
+        );
+
+        return {
+            logs: rows.map(row => this._formatLog(row)),
+            total: countRow.total
+        };
+    }
+
+    /**
+     * Get one logged request in full, with the IDs of its replays
+     * @param {number} logId - Log ID
+     * @returns {Promise<Object|null>} Log or null if not found
+     */
+    static async getLog(logId) {
+        const row = await DBService.queryOne(
+            `SELECT ai_generation_logs.*, users.email AS user_email
+             FROM ai_generation_logs
+             LEFT JOIN users ON users.id = ai_generation_logs.user_id
+             WHERE ai_generation_logs.id = ?`,
+            [logId]
+        );
+
+        if (!row) {
+            return null;
+        }
+
+        const replays = await DBService.query(
+            'SELECT id FROM ai_generation_logs WHERE replay_of = ? ORDER BY id ASC',
+            [logId]
+        );
+
+        return {
+            ...this._formatLog(row),
+            parameters: this._parseJson(row.parameters) || {},
+            attachments: this._parseJson(row.attachments) || [],
+            replayIds: replays.map(replay => replay.id)
+        };
+    }
+
+    /**
+     * Format a log row for the API
+     * @param {Object} row - Log row
+     * @returns {Object} Log
+     * @private
+     */
+    static _formatLog(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            userEmail: row.user_email || null,
+            jobId: row.job_id,
+            replayOf: row.replay_of,
+            task: row.task,
+            provider: row.provider,
+            model: row.model,
+            streamed: !!row.streamed,
+            prompt: row.prompt,
+            response: row.response,
+            status: row.status,
+            errorMessage: row.error_message,
+            promptTokens: row.prompt_tokens,
+            completionTokens: row.completion_tokens,
+            latencyMs: row.latency_ms,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Parse a JSON column (mysql2 may already return an object)
+     * @param {string|Object|null} value - Column value
+     * @returns {*} Parsed value
+     * @private
+     */
+    static _parseJson(value) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+export default AIAuditService;
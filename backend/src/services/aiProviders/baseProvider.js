@@ -0,0 +1,81 @@
+// backend/src/services/aiProviders/baseProvider.js
+
+/**
+ * Base class for AI text generation providers.
+ *
+ * Providers only turn a prompt into raw model text. Prompt building,
+ * response parsing and caching stay in AIService so that every provider
+ * produces quizzes the same way.
+ */
+class BaseAIProvider {
+    /**
+     * @param {string} name - Provider name (e.g. 'gemini', 'openai', 'mock')
+     * @param {Object} options - Provider options
+     * @param {string} [options.model] - Model name to use for generation
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.model = options.model || null;
+        this.options = options;
+    }
+
+    /**
+     * Check if the provider is configured and ready to use
+     * @returns {boolean} True if available
+     */
+    isAvailable() {
+        return false;
+    }
+
+    /**
+     * Check if the provider accepts binary attachments of the given type
+     * @param {string} mimeType - Attachment MIME type
+     * @returns {boolean} True if supported
+     */
+    supportsAttachment(mimeType) {
+        return false;
+    }
+
+    /**
+     * Generate text from a prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Generation options
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxOutputTokens] - Maximum tokens to generate
+     * @param {number} [options.topP] - Nucleus sampling value
+     * @param {number} [options.topK] - Top-k sampling value
+     * @param {Array<{mimeType: string, data: string}>} [options.attachments] - Base64 attachments
+     * @param {Object} [options.context] - Structured hints about the request (used by the mock provider)
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request
+     * @returns {Promise<{text: string, model: string, usage: {promptTokens: number|null, completionTokens: number|null}}>} Generation result
+     */
+    async generateText(prompt, options = {}) {
+        throw new Error(`AI provider "${this.name}" does not implement generateText`);
+    }
+
+    /**
+     * Stream generated text from a prompt.
+     * Providers without native streaming return the whole response as one chunk.
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Same options as generateText
+     * @returns {AsyncGenerator<string>} Text chunks
+     */
+    async *streamText(prompt, options = {}) {
+        const result = await this.generateText(prompt, options);
+        yield result.text;
+    }
+
+    /**
+     * Describe the provider for logging and health checks
+     * @returns {Object} Provider description
+     */
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            available: this.isAvailable()
+        };
+    }
+}
+
+export default BaseAIProvider;
@@ -0,0 +1,97 @@
+// backend/src/services/aiProviders/geminiProvider.js
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import BaseAIProvider from './baseProvider.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Google Gemini provider
+ */
+class GeminiProvider extends BaseAIProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.apiKey - Google Gemini API key
+     * @param {string} options.model - Gemini model name
+     */
+    constructor(options = {}) {
+        super('gemini', options);
+
+        try {
+            if (options.apiKey) {
+                this.genAI = new GoogleGenerativeAI(options.apiKey);
+                logger.info(`Google Gemini API initialized successfully (model: ${this.model})`);
+            } else {
+                logger.warn('Google Gemini API key not found in environment variables');
+                this.genAI = null;
+            }
+        } catch (error) {
+            logger.error('Error initializing Google Gemini API:', error);
+            this.genAI = null;
+        }
+    }
+
+    isAvailable() {
+        return !!this.genAI;
+    }
+
+    supportsAttachment(mimeType) {
+        // Gemini reads PDFs and images natively through inline data
+        return mimeType === 'application/pdf' || mimeType.startsWith('image/');
+    }
+
+    async generateText(prompt, options = {}) {
+        const { model, input } = this._prepareRequest(prompt, options);
+
+        const result = await model.generateContent(input, { signal: options.signal });
+        const usage = result.response.usageMetadata || {};
+
+        return {
+            text: result.response.text(),
+            model: this.model,
+            usage: {
+                promptTokens: usage.promptTokenCount ?? null,
+                completionTokens: usage.candidatesTokenCount ?? null
+            }
+        };
+    }
+
+    async *streamText(prompt, options = {}) {
+        const { model, input } = this._prepareRequest(prompt, options);
+
+        const result = await model.generateContentStream(input, { signal: options.signal });
+        for await (const chunk of result.stream) {
+            yield chunk.text();
+        }
+    }
+
+    /**
+     * Build the model and request input for a prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options
+     * @returns {{model: Object, input: string|Array}} Model and request input
+     * @private
+     */
+    _prepareRequest(prompt, options) {
+        const { temperature, maxOutputTokens, topP, topK, attachments = [] } = options;
+
+        const generationConfig = { temperature, maxOutputTokens, topP, topK };
+        Object.keys(generationConfig).forEach(key => generationConfig[key] === undefined && delete generationConfig[key]);
+
+        const model = this.genAI.getGenerativeModel({
+            model: this.model,
+            generationConfig
+        });
+
+        const input = attachments.length > 0
+            ? [prompt, ...attachments.map(attachment => ({
+                inlineData: {
+                    data: attachment.data,
+                    mimeType: attachment.mimeType
+                }
+            }))]
+            : prompt;
+
+        return { model, input };
+    }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,51 @@
+// backend/src/services/aiProviders/index.js
+import configService from '../configService.js';
+import { logger } from '../../utils/logger.js';
+import GeminiProvider from './geminiProvider.js';
+import OpenAICompatibleProvider from './openAICompatibleProvider.js';
+import MockProvider from './mockProvider.js';
+
+/**
+ * Supported AI provider names
+ * @enum {string}
+ */
+const AIProviderType = {
+    GEMINI: 'gemini',
+    OPENAI: 'openai',
+    MOCK: 'mock'
+};
+
+/**
+ * Create an AI provider from configuration
+ * @param {string} [type] - Provider name, defaults to the AI_PROVIDER setting
+ * @param {Object} [overrides] - Settings that replace the configured ones
+ * @param {string} [overrides.model] - Model name, e.g. to replay a request against another model
+ * @returns {BaseAIProvider} Provider instance
+ */
+function createAIProvider(type = configService.get('ai.provider'), overrides = {}) {
+    switch (type) {
+        case AIProviderType.OPENAI:
+            return new OpenAICompatibleProvider({
+                baseUrl: configService.get('ai.openai.baseUrl'),
+                apiKey: configService.get('apiKeys.openaiApiKey'),
+                model: overrides.model || configService.get('ai.openai.model')
+            });
+
+        case AIProviderType.MOCK:
+            return new MockProvider({
+                fixturePath: configService.get('ai.mock.fixturePath')
+            });
+
+        case AIProviderType.GEMINI:
+            return new GeminiProvider({
+                apiKey: configService.get('apiKeys.googleGeminiApiKey'),
+                model: overrides.model || configService.get('ai.gemini.model')
+            });
+
+        default:
+            logger.warn(`Unsupported AI provider: ${type}. Falling back to ${AIProviderType.GEMINI}.`);
+            return createAIProvider(AIProviderType.GEMINI, overrides);
+    }
+}
+
+export { AIProviderType, createAIProvider };
@@ -0,0 +1,264 @@
+// backend/src/services/aiProviders/mockProvider.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import BaseAIProvider from './baseProvider.js';
+import { logger } from '../../utils/logger.js';
+import { QuestionType, MIXED_QUESTION_TYPE, QUESTION_TYPES } from '../../utils/questionTypes.js';
+import { DIFFICULTY_LEVELS, BLOOM_LEVELS } from '../../utils/questionLevels.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_FIXTURE_PATH = path.join(FIXTURE_DIR, 'mockQuiz.json');
+
+// Fixture arrays holding the questions of each type
+const FIXTURE_KEYS = {
+    [QuestionType.MULTIPLE_CHOICE]: 'multipleChoice',
+    [QuestionType.TRUE_FALSE]: 'trueFalse',
+    [QuestionType.MULTIPLE_SELECT]: 'multipleSelect',
+    [QuestionType.MATCHING]: 'matching',
+    [QuestionType.ORDERING]: 'ordering',
+    [QuestionType.FILL_IN_THE_BLANK]: 'fillInTheBlank',
+    [QuestionType.SHORT_ANSWER]: 'shortAnswer',
+    [QuestionType.ESSAY]: 'essay'
+};
+
+/**
+ * Deterministic, offline provider backed by fixture files.
+ *
+ * The same request always produces the same quiz, which makes it suitable
+ * for automated tests and for networks without internet access. Requests
+ * for other tasks (context.task) are answered with fixtures/<task>.json
+ * when that file exists.
+ */
+class MockProvider extends BaseAIProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} [options.fixturePath] - Path to a JSON fixture file
+     */
+    constructor(options = {}) {
+        super('mock', { model: 'mock-fixture', ...options });
+
+        this.fixturePath = options.fixturePath || DEFAULT_FIXTURE_PATH;
+        this.fixture = this._loadFixture(this.fixturePath);
+        this.taskFixtures = new Map();
+    }
+
+    isAvailable() {
+        return !!this.fixture;
+    }
+
+    async generateText(prompt, options = {}) {
+        const context = options.context || {};
+        const taskFixture = this._taskFixture(context.task);
+        if (taskFixture) {
+            return this._response(prompt, JSON.stringify(taskFixture));
+        }
+
+        const topic = context.topic || 'the given content';
+        const count = parseInt(context.numberOfQuestions, 10) || 5;
+        // Start at a topic-dependent offset so different topics get different orderings
+        const offset = this._hash(`${topic}:${context.questionType || ''}`);
+
+        // Section-based requests expect a quote from the supplied text with every question
+        const sentences = (context.sourceText || '')
+            .split(/(?<=[.!?])\s+|\n+/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.length >= 20);
+
+        // Follow-up requests list the questions the quiz already has
+        const taken = new Set(context.existingQuestions || []);
+
+        const questions = [];
+        for (let i = 0, slot = 0; i < count; i++, slot++) {
+            let question = this._questionAt(slot, context, topic, offset);
+            while (taken.has(question.questionText)) {
+                question = this._questionAt(++slot, context, topic, offset);
+            }
+
+            // Follow the requested level plan, otherwise cycle through the levels
+            const levels = (context.levels && context.levels[i]) || {};
+            question.difficulty = levels.difficulty || question.difficulty || DIFFICULTY_LEVELS[(offset + i) % DIFFICULTY_LEVELS.length];
+            question.bloomLevel = levels.bloomLevel || question.bloomLevel || BLOOM_LEVELS[(offset + i) % BLOOM_LEVELS.length];
+
+            // Cover the requested learning objectives in turn
+            if (context.objectives && context.objectives.length > 0) {
+                question.objectives = [context.objectives[i % context.objectives.length]];
+            }
+
+            if (sentences.length > 0) {
+                question.sourceQuote = sentences[i % sentences.length];
+            }
+
+            questions.push(question);
+        }
+
+        return this._response(prompt, JSON.stringify({
+            title: this._fillText(this.fixture.title, topic),
+            questions
+        }));
+    }
+
+    async *streamText(prompt, options = {}) {
+        const { text } = await this.generateText(prompt, options);
+
+        // Emit fixed-size chunks so the streaming parser is exercised like a real model
+        for (let i = 0; i < text.length; i += 200) {
+            yield text.slice(i, i + 200);
+        }
+    }
+
+    /**
+     * Get the fixed response of a task, loaded from fixtures/<task>.json on first use
+     * @param {string} [task] - Task name from the request context, e.g. 'translation'
+     * @returns {Object|null} Response data, or null if the task has no fixture
+     * @private
+     */
+    _taskFixture(task) {
+        if (!task || !/^[a-z_]+$/.test(task)) {
+            return null;
+        }
+
+        if (!this.taskFixtures.has(task)) {
+            const fixturePath = path.join(FIXTURE_DIR, `${task}.json`);
+            let fixture = null;
+            if (fs.existsSync(fixturePath)) {
+                try {
+                    fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+                } catch (error) {
+                    logger.error(`Error loading mock AI fixture ${fixturePath}:`, error);
+                }
+            }
+            this.taskFixtures.set(task, fixture);
+        }
+
+        return this.taskFixtures.get(task);
+    }
+
+    /**
+     * Wrap a response text with the model name and estimated token usage
+     * @param {string} prompt - Prompt
+     * @param {string} text - Response text
+     * @returns {Object} Provider response
+     * @private
+     */
+    _response(prompt, text) {
+        return {
+            text,
+            model: this.model,
+            usage: {
+                promptTokens: Math.ceil(prompt.length / 4),
+                completionTokens: Math.ceil(text.length / 4)
+            }
+        };
+    }
+
+    /**
+     * Build the question of a slot in the fixture sequence of a request
+     * @param {number} slot - Position in the sequence
+     * @param {Object} context - Request context
+     * @param {string} topic - Quiz topic
+     * @param {number} offset - Topic-dependent start of the sequence
+     * @returns {Object} Question
+     * @private
+     */
+    _questionAt(slot, context, topic, offset) {
+        // Mixed quizzes cycle through every question type
+        const questionType = context.questionType === MIXED_QUESTION_TYPE
+            ? QUESTION_TYPES[(offset + slot) % QUESTION_TYPES.length]
+            : context.questionType;
+        const pool = this._poolFor(questionType);
+        const round = Math.floor(slot / pool.length);
+        const question = this._fillTemplate(pool[(offset + slot) % pool.length], topic);
+
+        if (context.questionType === MIXED_QUESTION_TYPE) {
+            question.questionType = questionType;
+        }
+
+        // Keep question texts unique once the fixture pool has been used up
+        if (round > 0) {
+            question.questionText = `${question.questionText} (${round + 1})`;
+        }
+
+        return question;
+    }
+
+    /**
+     * Get the fixture questions for a question type
+     * @param {string} questionType - Question type
+     * @returns {Array<Object>} Question templates
+     * @private
+     */
+    _poolFor(questionType) {
+        const pool = this.fixture[FIXTURE_KEYS[questionType]];
+
+        // Custom fixtures may only cover the original two types
+        return Array.isArray(pool) && pool.length > 0 ? pool : this.fixture.multipleChoice;
+    }
+
+    /**
+     * Load and validate the fixture file
+     * @param {string} fixturePath - Path to fixture JSON
+     * @returns {Object|null} Fixture data or null if invalid
+     * @private
+     */
+    _loadFixture(fixturePath) {
+        try {
+            const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+            if (!Array.isArray(fixture.multipleChoice) || fixture.multipleChoice.length === 0 ||
+                !Array.isArray(fixture.essay) || fixture.essay.length === 0) {
+                logger.error(`Mock AI fixture ${fixturePath} must contain non-empty "multipleChoice" and "essay" arrays`);
+                return null;
+            }
+
+            logger.info(`Mock AI provider loaded fixture: ${fixturePath}`);
+            return fixture;
+        } catch (error) {
+            logger.error(`Error loading mock AI fixture ${fixturePath}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Deep copy a question template and substitute the topic
+     * @param {Object} template - Question template
+     * @param {string} topic - Quiz topic
+     * @returns {Object} Question
+     * @private
+     */
+    _fillTemplate(template, topic) {
+        return JSON.parse(JSON.stringify(template), (key, value) =>
+            typeof value === 'string' ? this._fillText(value, topic) : value
+        );
+    }
+
+    /**
+     * Replace {topic} placeholders in a string
+     * @param {string} text - Template text
+     * @param {string} topic - Quiz topic
+     * @returns {string} Filled text
+     * @private
+     */
+    _fillText(text, topic) {
+        return (text || '').replace(/\{topic\}/g, topic);
+    }
+
+    /**
+     * Small stable string hash (djb2)
+     * @param {string} value - Input string
+     * @returns {number} Non-negative hash
+     * @private
+     */
+    _hash(value) {
+        let hash = 5381;
+        for (let i = 0; i < value.length; i++) {
+            hash = ((hash << 5) + hash + value.charCodeAt(i)) >>> 0;
+        }
+        return hash;
+    }
+}
+
+export default MockProvider;
@@ -0,0 +1,84 @@
+// backend/src/services/aiProviders/openAICompatibleProvider.js
+import OpenAI from 'openai';
+import BaseAIProvider from './baseProvider.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, Ollama, LM Studio, vLLM, llama.cpp server, ...)
+ */
+class OpenAICompatibleProvider extends BaseAIProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.baseUrl - Base URL of the endpoint (e.g. http://localhost:11434/v1 for Ollama)
+     * @param {string} [options.apiKey] - API key, local servers usually accept any value
+     * @param {string} options.model - Model name
+     */
+    constructor(options = {}) {
+        super('openai', options);
+
+        try {
+            if (options.baseUrl && this.model) {
+                this.client = new OpenAI({
+                    baseURL: options.baseUrl,
+                    // Ollama and most local servers ignore the key, but the SDK requires one
+                    apiKey: options.apiKey || 'not-needed'
+                });
+                logger.info(`OpenAI-compatible provider initialized (${options.baseUrl}, model: ${this.model})`);
+            } else {
+                logger.warn('OpenAI-compatible provider requires AI_OPENAI_BASE_URL and AI_OPENAI_MODEL');
+                this.client = null;
+            }
+        } catch (error) {
+            logger.error('Error initializing OpenAI-compatible provider:', error);
+            this.client = null;
+        }
+    }
+
+    isAvailable() {
+        return !!this.client;
+    }
+
+    async generateText(prompt, options = {}) {
+        const { temperature, maxOutputTokens, topP, signal } = options;
+
+        const completion = await this.client.chat.completions.create({
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature,
+            top_p: topP,
+            max_tokens: maxOutputTokens
+        }, { signal });
+
+        return {
+            text: completion.choices[0]?.message?.content || '',
+            model: completion.model || this.model,
+            usage: {
+                promptTokens: completion.usage?.prompt_tokens ?? null,
+                completionTokens: completion.usage?.completion_tokens ?? null
+            }
+        };
+    }
+
+    async *streamText(prompt, options = {}) {
+        const { temperature, maxOutputTokens, topP, signal } = options;
+
+        const stream = await this.client.chat.completions.create({
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature,
+            top_p: topP,
+            max_tokens: maxOutputTokens,
+            stream: true
+        }, { signal });
+
+        for await (const chunk of stream) {
+            const content = chunk.choices[0]?.delta?.content;
+            if (content) {
+                yield content;
+            }
+        }
+    }
+}
+
+export default OpenAICompatibleProvider;
@@ -1,32 +1,44 @@
 // backend/src/services/aiService.js
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { logger } from '../utils/logger.js';
 import { cacheService } from './cacheService.js';
+import configService from './configService.js';
+import { createAIProvider } from './aiProviders/index.js';
+import AIAuditService from './aiAuditService.js';
+import { getContext } from '../utils/requestContext.js';
+import QuizStreamParser from '../utils/quizStreamParser.js';
+import { validateQuestion, normalizeQuestion } from '../utils/quizSchema.js';
+import { QuestionType, MIXED_QUESTION_TYPE, QUESTION_TYPES, getQuestionFormat } from '../utils/questionTypes.js';
+import {
+    DIFFICULTY_LEVELS,
+    BLOOM_LEVELS,
+    LEVEL_INSTRUCTIONS,
+    parseLevelMix,
+    planLevels,
+    describeLevelTargets,
+    summarizeLevels
+} from '../utils/questionLevels.js';
+import { describeObjectiveTargets, tagObjectives, summarizeObjectives } from '../utils/learningObjectives.js';
+import { MATH_INSTRUCTIONS } from '../utils/mathText.js';
 
 /**
  * Service for AI-powered quiz generation
  */
 class AIService {
     constructor() {
-        this._initializeAI();
+        this._initializeProvider();
     }
 
     /**
-     * Initialize AI service with proper error handling
+     * Initialize the configured AI provider
      * @private
      */
-    _initializeAI() {
+    _initializeProvider() {
         try {
-            if (process.env.GOOGLE_GEMINI_API_KEY) {
-                this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY);
-                logger.info('Google Gemini API initialized successfully');
-            } else {
-                logger.warn('Google Gemini API key not found in environment variables');
-                this.genAI = null;
-            }
+            this.provider = createAIProvider();
+            logger.info(`AI provider: ${this.provider.name} (model: ${this.provider.model})`);
         } catch (error) {
-            logger.error('Error initializing Google Gemini API:', error);
-            this.genAI = null;
+            logger.error('Error initializing AI provider:', error);
+            this.provider = null;
         }
     }
 
@@ -35,18 +47,135 @@ class AIService {
      * @returns {boolean} True if available
      */
     isAvailable() {
-        return !!this.genAI;
+        return !!this.provider && this.provider.isAvailable();
+    }
+
+    /**
+     * Check if the active provider can read an attachment type directly
+     * @param {string} mimeType - Attachment MIME type
+     * @returns {boolean} True if supported
+     */
+    supportsAttachment(mimeType) {
+        return this.isAvailable() && this.provider.supportsAttachment(mimeType);
+    }
+
+    /**
+     * Normalize language display names sent by the client
+     * @param {string} language - Language from request body
+     * @returns {string} 'thai', 'english' or the original value
+     */
+    normalizeLanguage(language) {
+        if (language === 'Thai (ไทย)') {
+            return 'thai';
+        } else if (language === 'English') {
+            return 'english';
+        }
+        return language;
+    }
+
+    /**
+     * Send a prompt to the active provider with a timeout.
+     * The request and its raw response are stored in the audit log.
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Generation options passed to the provider
+     * @param {number} [options.timeoutMs] - Timeout in milliseconds (defaults to AI_TIMEOUT_MS)
+     * @param {BaseAIProvider} [options.provider] - Provider to use instead of the active one
+     * @param {number} [options.replayOf] - Audit log ID of the request this one replays
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request (e.g. the job was cancelled)
+     * @returns {Promise<Object>} Provider result with text, model, usage and the audit logId
+     */
+    async generateText(prompt, options = {}) {
+        const {
+            timeoutMs = configService.get('ai.timeoutMs', 30000),
+            provider = this.provider,
+            replayOf = null,
+            ...providerOptions
+        } = options;
+
+        if (!provider || !provider.isAvailable()) {
+            throw new Error('AI service is currently unavailable');
+        }
+
+        const { signal } = providerOptions;
+        signal?.throwIfAborted();
+
+        const startTime = Date.now();
+        let timer;
+        let onAbort;
+        const timeoutPromise = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('AI generation timed out')), timeoutMs);
+            // Providers that cannot cancel their request are not waited for
+            onAbort = () => reject(signal.reason);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+
+        try {
+            const result = await Promise.race([
+                provider.generateText(prompt, providerOptions),
+                timeoutPromise
+            ]);
+
+            const logId = await this._recordRequest(provider, prompt, providerOptions, {
+                startTime,
+                replayOf,
+                model: result.model,
+                response: result.text,
+                usage: result.usage,
+                status: 'success'
+            });
+
+            return { ...result, logId };
+        } catch (error) {
+            await this._recordRequest(provider, prompt, providerOptions, {
+                startTime,
+                replayOf,
+                status: signal?.aborted ? 'cancelled' : 'error',
+                errorMessage: error.message
+            });
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Send a logged request again, optionally to another provider or model
+     * @param {Object} log - Audit log from AIAuditService.getLog
+     * @param {Object} [target] - Where to send it
+     * @param {string} [target.provider] - Provider name, defaults to the logged one
+     * @param {string} [target.model] - Model name, defaults to the provider's configured model
+     * @returns {Promise<Object>} Provider result with the logId of the replay
+     * @throws {Error} 400 if the provider is not configured
+     */
+    async replay(log, { provider: providerName = log.provider, model } = {}) {
+        const provider = createAIProvider(providerName, { model });
+
+        if (!provider.isAvailable()) {
+            const error = new Error(`AI provider "${providerName}" is not configured`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        return this.generateText(log.prompt, {
+            ...log.parameters,
+            provider,
+            replayOf: log.id,
+            // Whole quizzes are usually streamed with an idle timeout; a replay waits for the complete answer
+            timeoutMs: configService.get('ai.timeoutMs', 30000) * 4
+        });
     }
 
     /**
      * Generate a quiz based on parameters
      * @param {Object} params - Generation parameters
      * @param {string} params.topic - Quiz topic
-     * @param {string} params.questionType - Type of questions ('Multiple Choice' or 'Essay')
+     * @param {string} params.questionType - Type of questions (see utils/questionTypes.js), or 'Mixed'
      * @param {number} params.numberOfQuestions - Number of questions to generate
      * @param {string} [params.additionalInstructions] - Additional generation instructions
      * @param {string} [params.studentLevel] - Target student level
      * @param {string} [params.language] - Language for quiz ('thai' or 'english')
+     * @param {Array<Object>} [params.objectives] - Learning objectives to cover ({ id, code, description })
      * @returns {Promise<Object>} Generated quiz data
      */
     async generateQuiz(params) {
@@ -55,7 +184,7 @@ class AIService {
             throw new Error('AI service is currently unavailable');
         }
 
-        const { topic, questionType, numberOfQuestions, additionalInstructions, studentLevel, language } = params;
+        const { topic, questionType, numberOfQuestions, additionalInstructions, studentLevel, language, objectives } = params;
 
         // Calculate cache key for this generation
         const cacheKey = this._generateCacheKey(params);
@@ -68,43 +197,46 @@ class AIService {
         }
 
         // Create prompt for AI
-        const prompt = this._createPrompt(topic, questionType, numberOfQuestions, additionalInstructions, studentLevel, language);
+        const plan = this.planQuestionLevels(numberOfQuestions, params);
+        const prompt = this._createPrompt(topic, questionType, numberOfQuestions, additionalInstructions, studentLevel, language, plan, objectives);
 
         try {
-            // Select model and set parameters
-            const model = this.genAI.getGenerativeModel({
-                model: "gemini-2.5-flash-lite-preview-06-17", // Use latest available model
-                generationConfig: {
-                    temperature: 1,
-                    maxOutputTokens: 64000,
-                },
-            });
-
-            // Set timeout for request
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('AI generation timed out')), 30000); // 30 seconds timeout
+            const result = await this.generateText(prompt, {
+                temperature: 1,
+                maxOutputTokens: 64000,
+                context: { task: 'quiz', topic, questionType, numberOfQuestions, levels: plan, objectives: this._objectiveCodes(objectives) }
             });
-
-            // Request generation
-            const generationPromise = model.generateContent(prompt);
-            const result = await Promise.race([generationPromise, timeoutPromise]);
-            const responseText = result.response.text();
+            const responseText = result.text;
 
             // Parse response
-            const quizData = this._parseResponse(responseText);
+            const quizData = this.parseResponse(responseText);
 
             // Validate response structure
             if (!quizData.questions || !Array.isArray(quizData.questions)) {
                 throw new Error('Invalid quiz data structure from AI response');
             }
 
+            // Check every question against its schema and ask the model to fix the failures
+            const repaired = await this.validateAndRepairQuestions(quizData.questions, params);
+            const { validation } = repaired;
+
+            // Turn the objective codes the model wrote into the IDs stored with the questions
+            const questions = repaired.questions.map(question => tagObjectives(question, objectives));
+
+            if (questions.length === 0) {
+                throw new Error('AI response did not contain any valid questions');
+            }
+
             // Cache the result
             const finalData = {
                 topic,
                 questionType,
                 studentLevel,
                 language,
-                questions: quizData.questions
+                questions,
+                validation,
+                distribution: summarizeLevels(questions, plan),
+                objectives: summarizeObjectives(questions, objectives)
             };
 
             cacheService.set(cacheKey, finalData, 3600); // Cache for 1 hour
@@ -117,6 +249,417 @@ class AIService {
         }
     }
 
+    /**
+     * Generate a quiz and report each question as soon as the model has produced it.
+     *
+     * Instead of a hard limit on the whole request, the stream only fails when the
+     * model sends nothing for AI_TIMEOUT_MS, so slow models can still finish.
+     * @param {Object} params - Same parameters as generateQuiz
+     * @param {Object} [options] - Stream options
+     * @param {AbortSignal} [options.signal] - Signal to cancel generation (e.g. client disconnected)
+     * @returns {AsyncGenerator<Object>} Events: start, question, progress, complete
+     */
+    async *generateQuizStream(params, options = {}) {
+        if (!this.isAvailable()) {
+            throw new Error('AI service is currently unavailable');
+        }
+
+        const { topic, questionType, numberOfQuestions, additionalInstructions, studentLevel, language, objectives } = params;
+        const total = parseInt(numberOfQuestions, 10);
+        const startTime = Date.now();
+
+        yield { type: 'start', total, provider: this.provider.name, model: this.provider.model };
+
+        const cacheKey = this._generateCacheKey(params);
+        const cachedQuiz = cacheService.get(cacheKey);
+        const plan = this.planQuestionLevels(total, params);
+        let questions = [];
+        let validation;
+
+        if (cachedQuiz) {
+            logger.info(`Using cached quiz for topic: ${topic}`);
+            questions = cachedQuiz.questions;
+            validation = cachedQuiz.validation;
+
+            for (const [index, question] of questions.entries()) {
+                yield { type: 'question', index, question };
+            }
+            yield this._progressEvent(questions.length, total);
+        } else {
+            const prompt = this._createPrompt(topic, questionType, numberOfQuestions, additionalInstructions, studentLevel, language, plan, objectives);
+            const parser = new QuizStreamParser();
+            let received = 0;
+
+            // Questions that fail the schema are held back until the stream ends and then repaired
+            const invalid = [];
+            const acceptQuestion = (question) => {
+                const normalized = normalizeQuestion(question, questionType);
+                const errors = validateQuestion(normalized, questionType);
+                received++;
+
+                if (errors.length > 0) {
+                    invalid.push({ index: received - 1, question: normalized, errors });
+                    return null;
+                }
+
+                const tagged = tagObjectives(normalized, objectives);
+                questions.push(tagged);
+                return tagged;
+            };
+
+            const chunks = this._streamWithIdleTimeout(prompt, {
+                temperature: 1,
+                maxOutputTokens: 64000,
+                context: { task: 'quiz', topic, questionType, numberOfQuestions, levels: plan, objectives: this._objectiveCodes(objectives) },
+                signal: options.signal
+            });
+
+            for await (const chunk of chunks) {
+                for (const question of parser.push(chunk)) {
+                    const accepted = acceptQuestion(question);
+                    if (accepted) {
+                        yield { type: 'question', index: questions.length - 1, question: accepted };
+                    }
+                    yield this._progressEvent(received, total);
+                }
+            }
+
+            // The model may have answered in a shape the incremental parser could not follow
+            if (received === 0) {
+                const quizData = this.parseResponse(parser.getText());
+
+                if (!quizData.questions || !Array.isArray(quizData.questions)) {
+                    throw new Error('Invalid quiz data structure from AI response');
+                }
+
+                for (const question of quizData.questions) {
+                    const accepted = acceptQuestion(question);
+                    if (accepted) {
+                        yield { type: 'question', index: questions.length - 1, question: accepted };
+                    }
+                }
+                yield this._progressEvent(received, total);
+            }
+
+            const repair = await this._repairInvalidQuestions(invalid, params, { signal: options.signal });
+            for (const { question } of repair.repaired) {
+                const tagged = tagObjectives(question, objectives);
+                questions.push(tagged);
+                yield { type: 'question', index: questions.length - 1, question: tagged };
+            }
+
+            validation = this._buildValidationReport(received, invalid, repair);
+
+            if (questions.length === 0) {
+                throw new Error('AI response did not contain any valid questions');
+            }
+
+            cacheService.set(cacheKey, {
+                topic,
+                questionType,
+                studentLevel,
+                language,
+                questions,
+                validation,
+                distribution: summarizeLevels(questions, plan),
+                objectives: summarizeObjectives(questions, objectives)
+            }, 3600); // Cache for 1 hour
+        }
+
+        yield {
+            type: 'complete',
+            data: {
+                topic,
+                questionType,
+                studentLevel,
+                language,
+                questions,
+                validation,
+                distribution: summarizeLevels(questions, plan),
+                objectives: summarizeObjectives(questions, objectives)
+            },
+            summary: {
+                requested: total,
+                generated: questions.length,
+                durationMs: Date.now() - startTime,
+                cached: !!cachedQuiz,
+                provider: this.provider.name,
+                model: this.provider.model
+            }
+        };
+    }
+
+    /**
+     * Validate generated questions against the schema for their type and re-prompt
+     * the model with the exact errors for the ones that fail.
+     * Questions that are still invalid after AI_REPAIR_ATTEMPTS re-prompts are dropped.
+     * @param {Array<Object>} questions - Questions parsed from the AI response
+     * @param {Object} params - Generation parameters (topic, questionType, language, ...)
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Signal to cancel the repair requests
+     * @returns {Promise<{questions: Array<Object>, validation: Object}>} Valid questions and a report
+     */
+    async validateAndRepairQuestions(questions, params, { signal } = {}) {
+        const valid = [];
+        const invalid = [];
+
+        questions.forEach((question, index) => {
+            const normalized = normalizeQuestion(question, params.questionType);
+            const errors = validateQuestion(normalized, params.questionType);
+
+            if (errors.length > 0) {
+                invalid.push({ index, question: normalized, errors });
+            } else {
+                valid.push(normalized);
+            }
+        });
+
+        const repair = await this._repairInvalidQuestions(invalid, params, { signal });
+
+        return {
+            questions: [...valid, ...repair.repaired.map(item => item.question)],
+            validation: this._buildValidationReport(questions.length, invalid, repair)
+        };
+    }
+
+    /**
+     * Re-prompt the model to fix invalid questions
+     * @param {Array<{index: number, question: Object, errors: Array<string>}>} invalid - Failed questions
+     * @param {Object} params - Generation parameters
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Signal to cancel the repair requests
+     * @returns {Promise<{repaired: Array<Object>, dropped: Array<Object>}>} Fixed and given-up items, each with index, question and errors
+     * @private
+     */
+    async _repairInvalidQuestions(invalid, params, { signal } = {}) {
+        const maxAttempts = configService.get('ai.repairAttempts', 1);
+        const repaired = [];
+        let pending = invalid.map(item => ({ ...item, original: item.question, originalErrors: item.errors }));
+
+        for (let attempt = 1; attempt <= maxAttempts && pending.length > 0; attempt++) {
+            logger.info(`Repairing ${pending.length} invalid AI question(s), attempt ${attempt}/${maxAttempts}`);
+
+            let fixedQuestions = [];
+            try {
+                const result = await this.generateText(this._createRepairPrompt(pending, params), {
+                    temperature: 0.2,
+                    maxOutputTokens: 16000,
+                    context: {
+                        task: 'repair',
+                        topic: params.topic,
+                        questionType: params.questionType,
+                        numberOfQuestions: pending.length
+                    },
+                    signal
+                });
+
+                const repairData = this.parseResponse(result.text);
+                fixedQuestions = Array.isArray(repairData.questions) ? repairData.questions : [];
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw error;
+                }
+                logger.warn(`AI question repair attempt ${attempt} failed: ${error.message}`);
+                continue;
+            }
+
+            // The model is asked to answer in the same order, one question per failed question
+            pending = pending.reduce((stillInvalid, item, position) => {
+                const candidate = normalizeQuestion(fixedQuestions[position], params.questionType);
+                const errors = validateQuestion(candidate, params.questionType);
+
+                if (errors.length === 0) {
+                    repaired.push({ ...item, question: candidate });
+                } else {
+                    stillInvalid.push({ ...item, question: candidate || item.question, errors });
+                }
+                return stillInvalid;
+            }, []);
+        }
+
+        if (pending.length > 0) {
+            logger.warn(`Dropped ${pending.length} AI question(s) that failed schema validation`);
+        }
+
+        return { repaired, dropped: pending };
+    }
+
+    /**
+     * Build the validation report returned to clients
+     * @param {number} checked - Number of questions checked
+     * @param {Array<Object>} invalid - Questions that failed the first check
+     * @param {Object} repair - Result of _repairInvalidQuestions
+     * @returns {Object} Validation report
+     * @private
+     */
+    _buildValidationReport(checked, invalid, repair) {
+        // Report questions as the model first wrote them so users can recognise them
+        const describe = (item, errors) => ({
+            index: item.index,
+            questionText: item.original && typeof item.original.questionText === 'string'
+                ? item.original.questionText
+                : null,
+            errors
+        });
+
+        return {
+            checked,
+            passed: checked - invalid.length,
+            repaired: repair.repaired.map(item => describe(item, item.originalErrors)),
+            dropped: repair.dropped.map(item => describe(item, item.errors))
+        };
+    }
+
+    /**
+     * Create prompt asking the model to fix invalid questions
+     * @param {Array<{question: Object, errors: Array<string>}>} pending - Questions to fix with their errors
+     * @param {Object} params - Generation parameters
+     * @returns {string} Prompt for AI
+     * @private
+     */
+    _createRepairPrompt(pending, params) {
+        const { topic, questionType, language } = params;
+        const languagePrompt = language === 'thai'
+            ? "Keep the questions in Thai language."
+            : "Keep the questions in English language.";
+
+        const items = pending.map((item, position) => [
+            `Question ${position + 1}:`,
+            JSON.stringify(item.question),
+            'Errors:',
+            ...item.errors.map(error => `- ${error}`)
+        ].join('\n')).join('\n\n');
+
+        let prompt = `The following ${questionType} quiz questions about "${topic}" failed validation. ${languagePrompt}`;
+        prompt += ` Fix every listed error while keeping the intent of each question.`;
+
+        prompt += this._describeTypes(questionType, 'For every');
+        prompt += LEVEL_INSTRUCTIONS;
+        prompt += MATH_INSTRUCTIONS;
+
+        if (params.objectives && params.objectives.length > 0) {
+            prompt += ` Keep the "objectives" codes of every question.`;
+        }
+
+        prompt += ` Return exactly ${pending.length} questions, in the same order, in the same JSON format ONLY (do not include any other text outside the JSON): { "questions": [ ... ] }`;
+        prompt += `\n\n${items}`;
+
+        return prompt;
+    }
+
+    /**
+     * Stream text from the provider, failing only if no chunk arrives within the timeout
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Provider options
+     * @returns {AsyncGenerator<string>} Text chunks
+     * @private
+     */
+    async *_streamWithIdleTimeout(prompt, options) {
+        const idleTimeoutMs = configService.get('ai.timeoutMs', 30000);
+        const iterator = this.provider.streamText(prompt, options)[Symbol.asyncIterator]();
+        const startTime = Date.now();
+        const chunks = [];
+        // Stays 'cancelled' when the consumer stops reading before the stream ends
+        let status = 'cancelled';
+        let errorMessage = null;
+
+        try {
+            while (true) {
+                let timer;
+                const timeoutPromise = new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('AI generation timed out')), idleTimeoutMs);
+                });
+
+                let next;
+                try {
+                    next = await Promise.race([iterator.next(), timeoutPromise]);
+                } finally {
+                    clearTimeout(timer);
+                }
+
+                if (next.done) {
+                    status = 'success';
+                    return;
+                }
+                chunks.push(next.value);
+                yield next.value;
+            }
+        } catch (error) {
+            status = options.signal?.aborted ? 'cancelled' : 'error';
+            errorMessage = error.message;
+            throw error;
+        } finally {
+            // Release the underlying HTTP stream on timeout, abort or early exit
+            if (iterator.return) {
+                iterator.return().catch(() => {});
+            }
+
+            await this._recordRequest(this.provider, prompt, options, {
+                startTime,
+                streamed: true,
+                response: chunks.join(''),
+                status,
+                errorMessage
+            });
+        }
+    }
+
+    /**
+     * Store a provider request in the audit log; failures are logged and ignored
+     * @param {BaseAIProvider} provider - Provider the request was sent to
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Provider options
+     * @param {Object} outcome - startTime, status and optionally model, response, usage, errorMessage, streamed, replayOf
+     * @returns {Promise<number|null>} Log ID
+     * @private
+     */
+    async _recordRequest(provider, prompt, options, outcome) {
+        const { attachments = [], signal, ...parameters } = options;
+        const { userId = null, jobId = null } = getContext();
+
+        try {
+            return await AIAuditService.record({
+                userId,
+                jobId,
+                replayOf: outcome.replayOf,
+                provider: provider.name,
+                model: outcome.model || provider.model,
+                streamed: !!outcome.streamed,
+                prompt,
+                parameters,
+                // Base64 length to bytes
+                attachments: attachments.map(attachment => ({
+                    mimeType: attachment.mimeType,
+                    bytes: Math.floor((attachment.data || '').length * 3 / 4)
+                })),
+                response: outcome.response,
+                status: outcome.status,
+                errorMessage: outcome.errorMessage,
+                usage: outcome.usage,
+                latencyMs: Date.now() - outcome.startTime
+            });
+        } catch (error) {
+            logger.warn('Failed to store AI request in the audit log:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Build a progress event
+     * @param {number} received - Questions generated so far
+     * @param {number} total - Questions requested
+     * @returns {Object} Progress event
+     * @private
+     */
+    _progressEvent(received, total) {
+        return {
+            type: 'progress',
+            received,
+            total,
+            percent: total > 0 ? Math.min(100, Math.round((received / total) * 100)) : 0
+        };
+    }
+
     /**
      * Create a cache key for a set of generation parameters
      * @param {Object} params - Generation parameters
@@ -124,8 +667,10 @@ class AIService {
      * @private
      */
     _generateCacheKey(params) {
-        const { topic, questionType, numberOfQuestions, studentLevel, language } = params;
-        return `quiz_gen:${topic}:${questionType}:${numberOfQuestions}:${studentLevel || 'any'}:${language || 'english'}`;
+        const { topic, questionType, numberOfQuestions, studentLevel, language, difficultyMix, bloomMix, objectives } = params;
+        const mixes = JSON.stringify([difficultyMix || null, bloomMix || null]);
+        const objectiveIds = (objectives || []).map(objective => objective.id).join(',');
+        return `quiz_gen:${topic}:${questionType}:${numberOfQuestions}:${studentLevel || 'any'}:${language || 'english'}:${mixes}:${objectiveIds}`;
     }
 
     /**
@@ -136,10 +681,12 @@ class AIService {
      * @param {string} [additionalInstructions] - Additional generation instructions
      * @param {string} [studentLevel] - Target student level
      * @param {string} [language] - Language for quiz
+     * @param {Array<Object>|null} [plan] - Difficulty and Bloom level plan from planQuestionLevels
+     * @param {Array<Object>|null} [objectives] - Learning objectives the questions must cover
      * @returns {string} Prompt for AI
      * @private
      */
-    _createPrompt(topic, questionType, numberOfQuestions, additionalInstructions, studentLevel, language) {
+    _createPrompt(topic, questionType, numberOfQuestions, additionalInstructions, studentLevel, language, plan = null, objectives = null) {
         // Set language for quiz
         const languagePrompt = language === 'thai'
             ? "Create the quiz in Thai language."
@@ -163,46 +710,91 @@ class AIService {
         }
 
         // Add format instructions based on question type
-        if (questionType === 'Multiple Choice') {
-            prompt += ` For each question, provide 4 options (A, B, C, D), indicate the correct answer, and include a brief explanation of why the answer is correct.`;
-            prompt += ` Return the quiz in the following JSON format ONLY (do not include any other text or explanations outside the JSON):
-      {
-        "questions": [
-          {
-            "questionText": "Question text here",
-            "options": [
-              { "text": "Option A", "isCorrect": false },
-              { "text": "Option B", "isCorrect": true },
-              { "text": "Option C", "isCorrect": false },
-              { "text": "Option D", "isCorrect": false }
-            ],
-            "explanation": "Explanation of the correct answer"
-          }
-        ]
-      }`;
-        } else if (questionType === 'Essay') {
-            prompt += ` For each question, provide a brief guideline on what a good answer should include.`;
-            prompt += ` Return the quiz in the following JSON format ONLY (do not include any other text or explanations outside the JSON):
-      {
-        "questions": [
-          {
-            "questionText": "Question text here",
-            "explanation": "Guidelines for a good answer"
-          }
-        ]
-      }`;
-        }
+        prompt += describeLevelTargets(plan);
+        prompt += describeObjectiveTargets(objectives, numberOfQuestions);
+        prompt += this.getFormatInstructions(questionType, objectives && objectives.length > 0
+            ? { objectives: [objectives[0].code] }
+            : {});
 
         return prompt;
     }
 
+    /**
+     * Codes of the requested learning objectives, passed to providers as context
+     * @param {Array<Object>|null} objectives - Learning objectives
+     * @returns {Array<string>|null} Codes, or null without objectives
+     * @private
+     */
+    _objectiveCodes(objectives) {
+        return objectives && objectives.length > 0 ? objectives.map(objective => objective.code) : null;
+    }
+
+    /**
+     * Plan the difficulty and Bloom level of every question from the requested mixes
+     * @param {number|string} numberOfQuestions - Number of questions
+     * @param {Object} params - Generation parameters with optional difficultyMix and bloomMix
+     * @returns {Array<{difficulty: string|null, bloomLevel: string|null}>|null} Plan, or null if no mix was requested
+     * @throws {Error} If a mix is invalid
+     */
+    planQuestionLevels(numberOfQuestions, params) {
+        return planLevels(parseInt(numberOfQuestions, 10), {
+            difficultyMix: parseLevelMix(params.difficultyMix, DIFFICULTY_LEVELS),
+            bloomMix: parseLevelMix(params.bloomMix, BLOOM_LEVELS)
+        });
+    }
+
+    /**
+     * Describe the JSON format the model must answer in for a question type
+     * @param {string} questionType - Type of questions, or 'Mixed'
+     * @param {Object<string, string>} [extraFields] - Additional per-question fields, mapped to an example value
+     * @returns {string} Format instructions to append to a prompt
+     */
+    getFormatInstructions(questionType, extraFields = {}) {
+        let examples;
+
+        const levels = { difficulty: 'medium', bloomLevel: 'understand' };
+
+        if (questionType === MIXED_QUESTION_TYPE) {
+            // Show a couple of shapes; the rules above describe the rest
+            examples = [QuestionType.MULTIPLE_CHOICE, QuestionType.MATCHING, QuestionType.SHORT_ANSWER]
+                .map(type => ({ questionType: type, ...getQuestionFormat(type).example, ...levels, ...extraFields }));
+        } else if (getQuestionFormat(questionType)) {
+            examples = [{ ...getQuestionFormat(questionType).example, ...levels, ...extraFields }];
+        } else {
+            return '';
+        }
+
+        const format = JSON.stringify({ questions: examples }, null, 2);
+
+        return `${this._describeTypes(questionType, 'For each')}${LEVEL_INSTRUCTIONS}${MATH_INSTRUCTIONS} Return the quiz in the following JSON format ONLY (do not include any other text or explanations outside the JSON):\n${format}`;
+    }
+
+    /**
+     * Describe what each question of a type must contain
+     * @param {string} questionType - Type of questions, or 'Mixed'
+     * @param {string} lead - Sentence opening, e.g. 'For each'
+     * @returns {string} Rules to append to a prompt
+     * @private
+     */
+    _describeTypes(questionType, lead) {
+        if (questionType !== MIXED_QUESTION_TYPE) {
+            const format = getQuestionFormat(questionType);
+            return format ? ` ${lead} question, ${format.instructions}` : '';
+        }
+
+        const rules = QUESTION_TYPES
+            .map(type => `- "${type}": ${getQuestionFormat(type).instructions}`)
+            .join('\n');
+
+        return ` Mix different question types. ${lead} question, set "questionType" to one of the types below and follow its rules:\n${rules}\n`;
+    }
+
     /**
      * Parse response from AI model
      * @param {string} responseText - Response text from AI
      * @returns {Object} Parsed quiz data
-     * @private
      */
-    _parseResponse(responseText) {
+    parseResponse(responseText) {
         try {
             // Handle different response formats
             if (responseText.includes('```json') && responseText.includes('```')) {
@@ -0,0 +1,280 @@
+// backend/src/services/answerKeyService.js
+import aiService from './aiService.js';
+import DBService from './dbService.js';
+import QuizVersionService from './quizVersionService.js';
+import { QuestionType } from '../utils/questionTypes.js';
+import { logger } from '../utils/logger.js';
+
+// Questions sent per prompt; long quizzes are checked in batches
+const BATCH_SIZE = 10;
+
+// Types whose correct options are hidden from the model so it answers on its own
+const OPTION_TYPES = [QuestionType.MULTIPLE_CHOICE, QuestionType.TRUE_FALSE, QuestionType.MULTIPLE_SELECT];
+
+const FlagType = {
+    KEY_MISMATCH: 'key_mismatch',
+    AMBIGUOUS: 'ambiguous',
+    MULTIPLE_ANSWERS: 'multiple_answers'
+};
+
+const FLAG_TYPES = Object.values(FlagType);
+
+const optionLabel = index => String.fromCharCode(65 + index); // A, B, C, D, ...
+
+/**
+ * Service for the AI answer-key check.
+ *
+ * A second AI pass answers every question on its own and reports stems that
+ * are ambiguous or have more than one defensible answer. For choice
+ * questions the stored key is not sent, so the model's answer can be compared
+ * with it; for matching, ordering and written answers the model judges the
+ * stored key instead. Disagreements are stored as question flags that stay
+ * on the question until a teacher resolves them.
+ */
+class AnswerKeyService {
+    /**
+     * Check the answer keys of questions that are not saved yet
+     * @param {Array<Object>} questions - Questions with options, pairs, items or answers
+     * @param {Object} settings - Quiz settings
+     * @param {string} [settings.topic] - Quiz topic
+     * @param {string} [settings.questionType] - Quiz question type, used for questions without a type
+     * @param {string} [settings.language] - 'thai' or 'english', the language of the flag notes
+     * @returns {Promise<Array<Object>>} Flags with the 0-based `index` of their question, type, message and suggestedAnswer
+     */
+    static async checkQuestions(questions, { topic, questionType, language } = {}) {
+        const flags = [];
+
+        for (let start = 0; start < questions.length; start += BATCH_SIZE) {
+            const batch = questions.slice(start, start + BATCH_SIZE).map(question => ({
+                ...question,
+                questionType: question.questionType || questionType
+            }));
+            const reviews = await this._reviewBatch(batch, { topic, language });
+
+            batch.forEach((question, offset) => {
+                for (const flag of this._flagsFor(question, reviews[offset])) {
+                    flags.push({ index: start + offset, ...flag });
+                }
+            });
+        }
+
+        return flags;
+    }
+
+    /**
+     * Check the answer keys of a saved quiz and replace its open flags with the result
+     * @param {Object} quiz - Quiz from QuizService.getQuizById
+     * @returns {Promise<Array<Object>>} Open flags of the quiz
+     * @throws {Error} 409 if the quiz changed while it was being checked
+     */
+    static async checkQuiz(quiz) {
+        const flags = await this.checkQuestions(quiz.questions, {
+            topic: quiz.topic,
+            questionType: quiz.question_type,
+            language: quiz.language
+        });
+
+        await DBService.withTransaction(async (connection) => {
+            // Every question edit or removal moves the version on, so an unchanged version means
+            // the checked questions still exist and say what the model saw
+            await QuizVersionService.lock(connection, quiz.id, quiz.version);
+
+            await connection.execute('DELETE FROM question_flags WHERE quiz_id = ? AND resolved_at IS NULL', [quiz.id]);
+
+            for (const flag of flags) {
+                await this.insertFlags(connection, quiz.id, quiz.questions[flag.index].id, [flag]);
+            }
+        });
+
+        logger.info(`Answer-key check of quiz ${quiz.id} raised ${flags.length} flag(s)`);
+
+        return this.getOpenFlags(quiz.id);
+    }
+
+    /**
+     * Store flags of a question
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {Array<Object>} flags - Flags with type, message and suggestedAnswer
+     * @returns {Promise<void>}
+     */
+    static async insertFlags(connection, quizId, questionId, flags) {
+        for (const flag of flags) {
+            if (!FLAG_TYPES.includes(flag.type)) continue;
+
+            await connection.execute(
+                'INSERT INTO question_flags (quiz_id, question_id, flag_type, message, suggested_answer) VALUES (?, ?, ?, ?, ?)',
+                [quizId, questionId, flag.type, flag.message, flag.suggestedAnswer ?? null]
+            );
+        }
+    }
+
+    /**
+     * Get the flags of a quiz that are not resolved yet
+     * @param {number} quizId - Quiz ID
+     * @returns {Promise<Array<Object>>} Flags with their questionId
+     */
+    static async getOpenFlags(quizId) {
+        const rows = await DBService.query(
+            'SELECT * FROM question_flags WHERE quiz_id = ? AND resolved_at IS NULL ORDER BY question_id ASC, id ASC',
+            [quizId]
+        );
+
+        return rows.map(row => ({
+            id: row.id,
+            questionId: row.question_id,
+            type: row.flag_type,
+            message: row.message,
+            suggestedAnswer: row.suggested_answer,
+            createdAt: row.created_at
+        }));
+    }
+
+    /**
+     * Mark a flag as resolved by a teacher
+     * @param {number} quizId - Quiz ID
+     * @param {number} flagId - Flag ID
+     * @param {number} userId - User resolving the flag
+     * @returns {Promise<boolean>} True if an open flag of the quiz was resolved
+     */
+    static async resolveFlag(quizId, flagId, userId) {
+        const result = await DBService.query(
+            'UPDATE question_flags SET resolved_by = ?, resolved_at = NOW() WHERE id = ? AND quiz_id = ? AND resolved_at IS NULL',
+            [userId || null, flagId, quizId]
+        );
+
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Ask the model to answer and review a batch of questions
+     * @param {Array<Object>} questions - Questions with their types
+     * @param {Object} settings - Topic and language
+     * @returns {Promise<Array<Object|undefined>>} Review of each question, undefined where the model gave none
+     * @private
+     */
+    static async _reviewBatch(questions, { topic, language }) {
+        const result = await aiService.generateText(this._createPrompt(questions, { topic, language }), {
+            temperature: 0,
+            maxOutputTokens: 4096,
+            context: { task: 'answer_check' }
+        });
+
+        const data = aiService.parseResponse(result.text);
+        if (!data.reviews || !Array.isArray(data.reviews)) {
+            throw new Error('Invalid answer check data structure from AI response');
+        }
+
+        // Reviews are matched by number; models occasionally skip or reorder questions
+        return questions.map((question, index) => data.reviews.find(review => Number(review?.number) === index + 1));
+    }
+
+    /**
+     * Turn the model's review of a question into flags
+     * @param {Object} question - Question
+     * @param {Object} [review] - Review returned by the model
+     * @returns {Array<Object>} Flags with type, message and suggestedAnswer
+     * @private
+     */
+    static _flagsFor(question, review) {
+        if (!review) {
+            return [];
+        }
+
+        const flags = [];
+        const note = typeof review.reason === 'string' ? review.reason.trim() : '';
+
+        if (OPTION_TYPES.includes(question.questionType)) {
+            const options = question.options || [];
+            const expected = options.map((option, index) => (option.isCorrect ? optionLabel(index) : null)).filter(Boolean);
+            const answered = (Array.isArray(review.answer) ? review.answer : [review.answer])
+                .map(label => String(label ?? '').trim().toUpperCase().charAt(0))
+                .filter(label => label >= 'A' && label < optionLabel(options.length));
+
+            if (answered.length > 0 && answered.sort().join(',') !== expected.sort().join(',')) {
+                flags.push({
+                    type: FlagType.KEY_MISMATCH,
+                    message: `AI answered ${answered.join(', ')} but the key says ${expected.join(', ') || 'nothing'}.${note ? ` ${note}` : ''}`,
+                    suggestedAnswer: answered.map(label => `${label}. ${options[label.charCodeAt(0) - 65].text}`).join('; ')
+                });
+            }
+        } else if (question.questionType !== QuestionType.ESSAY && review.keyCorrect === false) {
+            flags.push({
+                type: FlagType.KEY_MISMATCH,
+                message: `AI disagrees with the stored answer.${note ? ` ${note}` : ''}`,
+                suggestedAnswer: typeof review.answer === 'string' ? review.answer : null
+            });
+        }
+
+        if (review.ambiguous === true) {
+            flags.push({ type: FlagType.AMBIGUOUS, message: `The question can be read in more than one way.${note ? ` ${note}` : ''}` });
+        }
+
+        if (review.multipleDefensible === true) {
+            flags.push({ type: FlagType.MULTIPLE_ANSWERS, message: `More than one answer can be defended.${note ? ` ${note}` : ''}` });
+        }
+
+        return flags;
+    }
+
+    /**
+     * Describe a question for the prompt, hiding the key of choice questions
+     * @param {Object} question - Question
+     * @param {number} number - 1-based number in the batch
+     * @returns {Object} Question as sent to the model
+     * @private
+     */
+    static _describeQuestion(question, number) {
+        const described = { number, type: question.questionType, question: question.questionText };
+
+        switch (question.questionType) {
+            case QuestionType.MULTIPLE_CHOICE:
+            case QuestionType.TRUE_FALSE:
+            case QuestionType.MULTIPLE_SELECT:
+                described.options = (question.options || []).map((option, index) => `${optionLabel(index)}. ${option.text}`);
+                break;
+            case QuestionType.MATCHING:
+                described.keyPairs = question.pairs || [];
+                break;
+            case QuestionType.ORDERING:
+                described.keyOrder = question.items || [];
+                break;
+            case QuestionType.FILL_IN_THE_BLANK:
+            case QuestionType.SHORT_ANSWER:
+                described.keyAnswers = question.answers || [];
+                break;
+            default:
+                break;
+        }
+
+        return described;
+    }
+
+    /**
+     * Create the answer-check prompt
+     * @param {Array<Object>} questions - Questions with their types
+     * @param {Object} settings - Topic and language
+     * @returns {string} Prompt for AI
+     * @private
+     */
+    static _createPrompt(questions, { topic, language }) {
+        const described = questions.map((question, index) => this._describeQuestion(question, index + 1));
+        const noteLanguage = language === 'thai' ? 'Thai' : 'English';
+
+        return `You are an expert examiner checking the answer key of a quiz${topic ? ` about "${topic}"` : ''}. `
+            + `Work through every question on its own, as a careful expert would.\n`
+            + `- For questions with "options", choose the correct option letters yourself. Nothing tells you which option the author marked correct; do not guess from wording or position. `
+            + `Give "answer" as an array of letters, one letter for Multiple Choice and True/False, every correct letter for Multiple Select.\n`
+            + `- For questions with "keyPairs", "keyOrder" or "keyAnswers", the author's key is given: set "keyCorrect" to false if it is wrong or incomplete, and put the correct answer in "answer" as text.\n`
+            + `- For every question, set "ambiguous" to true if the question is unclear or can be read in more than one way, `
+            + `and "multipleDefensible" to true if more than one answer could be defended.\n`
+            + `- Give a one-sentence "reason" in ${noteLanguage} whenever you flag something; otherwise leave it empty.\n`
+            + `Return ONLY a JSON object of the form {"reviews": [{"number": 1, "answer": ["B"], "keyCorrect": true, "ambiguous": false, "multipleDefensible": false, "reason": ""}]} `
+            + `with one review per question.`
+            + `\n\nQUESTIONS:\n${JSON.stringify(described, null, 2)}`;
+    }
+}
+
+export { FlagType, FLAG_TYPES };
+export default AnswerKeyService;
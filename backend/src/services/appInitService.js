@@ -21,6 +21,9 @@ import userRoutes from '../routes/userRoutes.js';
 import schoolRoutes from '../routes/schoolRoutes.js';
 import dashboardRoutes from '../routes/dashboardRoutes.js';
 import adminRoutes from '../routes/adminRoutes.js';
+import presetRoutes from '../routes/presetRoutes.js';
+import courseRoutes from '../routes/courseRoutes.js';
+import bankRoutes from '../routes/bankRoutes.js';
 
 // Initialize __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -64,7 +67,9 @@ class AppInitService {
         const directories = [
             path.join(__dirname, '../../../logs'),
             path.join(__dirname, '../../../uploads'),
-            path.join(__dirname, '../../../uploads/profile-images')
+            path.join(__dirname, '../../../uploads/profile-images'),
+            path.join(__dirname, '../../../uploads/question-images'),
+            path.join(__dirname, '../../../uploads/question-audio')
         ];
 
         directories.forEach(dir => {
@@ -136,6 +141,9 @@ class AppInitService {
         app.use(`${apiPrefix}/schools`, schoolRoutes);
         app.use(`${apiPrefix}/dashboard`, dashboardRoutes);
         app.use(`${apiPrefix}/admin`, adminRoutes);
+        app.use(`${apiPrefix}/presets`, presetRoutes);
+        app.use(`${apiPrefix}/courses`, courseRoutes);
+        app.use(`${apiPrefix}/bank`, bankRoutes);
 
         // Serve static files in production
         if (configService.isProduction()) {
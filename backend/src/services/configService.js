@@ -59,7 +59,60 @@ class ConfigService {
 
             // API keys
             apiKeys: {
-                googleGeminiApiKey: this._getEnv('GOOGLE_GEMINI_API_KEY', '')
+                googleGeminiApiKey: this._getEnv('GOOGLE_GEMINI_API_KEY', ''),
+                openaiApiKey: this._getEnv('AI_OPENAI_API_KEY', '')
+            },
+
+            // AI generation
+            ai: {
+                provider: this._getEnv('AI_PROVIDER', 'gemini'), // gemini | openai | mock
+                timeoutMs: this._getIntEnv('AI_TIMEOUT_MS', 30000),
+                repairAttempts: this._getIntEnv('AI_REPAIR_ATTEMPTS', 1), // re-prompts for questions that fail schema validation
+                sectionMaxChars: this._getIntEnv('AI_SECTION_MAX_CHARS', 6000), // document text sent per prompt when generating from files
+                auditEnabled: this._getEnv('AI_AUDIT_ENABLED', 'true') === 'true', // store every prompt and raw response in ai_generation_logs
+                gemini: {
+                    model: this._getEnv('AI_GEMINI_MODEL', 'gemini-2.5-flash-lite-preview-06-17')
+                },
+                openai: {
+                    baseUrl: this._getEnv('AI_OPENAI_BASE_URL', 'http://localhost:11434/v1'), // Ollama default
+                    model: this._getEnv('AI_OPENAI_MODEL', 'llama3.1')
+                },
+                mock: {
+                    fixturePath: this._getEnv('AI_MOCK_FIXTURE_PATH', '')
+                }
+            },
+
+            // Local OCR for scanned PDFs and photos (tesseract with the tha and eng language packs)
+            ocr: {
+                enabled: this._getEnv('OCR_ENABLED', 'true') === 'true',
+                tesseractPath: this._getEnv('OCR_TESSERACT_PATH', 'tesseract'),
+                languages: this._getEnv('OCR_LANGUAGES', 'tha+eng'),
+                minTextChars: this._getIntEnv('OCR_MIN_TEXT_CHARS', 50), // pages with less extracted text are read with OCR
+                density: this._getIntEnv('OCR_DENSITY', 300), // DPI used to render PDF pages
+                maxPages: this._getIntEnv('OCR_MAX_PAGES', 50),
+                timeoutMs: this._getIntEnv('OCR_TIMEOUT_MS', 120000) // per page
+            },
+
+            // Near-duplicate question detection
+            duplicates: {
+                threshold: this._getIntEnv('DUPLICATE_THRESHOLD', 70), // similarity in percent from which questions count as near-duplicates
+                libraryLimit: this._getIntEnv('DUPLICATE_LIBRARY_LIMIT', 2000) // most recent saved questions compared against
+            },
+
+            // Monthly quotas given to a school when it is first counted; user limits are per user in user_quotas
+            quotas: {
+                school: {
+                    aiGenerationLimit: this._getIntEnv('SCHOOL_AI_GENERATION_LIMIT', 1000),
+                    quizLimit: this._getIntEnv('SCHOOL_QUIZ_LIMIT', 2000),
+                    storageLimit: this._getIntEnv('SCHOOL_STORAGE_LIMIT_MB', 2048) * 1024 * 1024
+                }
+            },
+
+            // Background generation jobs
+            jobs: {
+                pollIntervalMs: this._getIntEnv('JOB_POLL_INTERVAL_MS', 2000),
+                concurrency: this._getIntEnv('JOB_CONCURRENCY', 1),
+                maxAttempts: this._getIntEnv('JOB_MAX_ATTEMPTS', 3) // give up on jobs interrupted this many times
             },
 
             // Rate limiting
@@ -88,7 +141,13 @@ class ConfigService {
             // Upload limits
             upload: {
                 maxFileSize: this._getIntEnv('UPLOAD_MAX_FILE_SIZE', 2 * 1024 * 1024), // 2 MB
-                allowedTypes: this._getEnv('UPLOAD_ALLOWED_TYPES', 'image/jpeg,image/png,image/gif').split(',')
+                allowedTypes: this._getEnv('UPLOAD_ALLOWED_TYPES', 'image/jpeg,image/png,image/gif').split(','),
+                // Audio clips of listening questions are larger than images
+                maxAudioSize: this._getIntEnv('UPLOAD_MAX_AUDIO_SIZE', 10 * 1024 * 1024), // 10 MB
+                allowedAudioTypes: this._getEnv(
+                    'UPLOAD_ALLOWED_AUDIO_TYPES',
+                    'audio/mpeg,audio/wav,audio/x-wav,audio/wave,audio/ogg,audio/mp4,audio/x-m4a,audio/webm'
+                ).split(',')
             }
         };
 
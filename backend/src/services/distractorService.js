@@ -0,0 +1,158 @@
+// backend/src/services/distractorService.js
+import aiService from './aiService.js';
+import QuizService from './quizService.js';
+import { ANALYZED_TYPES, analyzeDistractors } from '../utils/distractorAnalysis.js';
+import { normalizeText } from '../utils/questionSimilarity.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Service for rewriting the wrong options of choice questions.
+ *
+ * Only the distractors are sent back to the AI for rewriting; the question
+ * text, the correct options and their positions are kept as they are. The
+ * issues found by utils/distractorAnalysis.js are passed along so the model
+ * knows what to fix, and the result is analyzed again for the teacher.
+ */
+class DistractorService {
+    /**
+     * Rewrite the distractors of a question without saving it
+     * @param {Object} question - Multiple Choice or Multiple Select question
+     * @param {Object} settings - Quiz settings
+     * @param {string} [settings.topic] - Quiz topic
+     * @param {string} [settings.studentLevel] - Student level
+     * @returns {Promise<{question: Object, analysis: Object, previousScore: number}>} Question with new distractors, its analysis and the score before
+     * @throws {Error} 400 if the question has no distractors to rewrite
+     */
+    static async improveQuestion(question, settings = {}) {
+        const distractorIndexes = (question.options || [])
+            .map((option, index) => (option.isCorrect ? null : index))
+            .filter(index => index !== null);
+
+        if (!ANALYZED_TYPES.includes(question.questionType) || distractorIndexes.length === 0) {
+            const error = new Error('Only Multiple Choice and Multiple Select questions have distractors to improve');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const before = analyzeDistractors(question);
+
+        const result = await aiService.generateText(this._createPrompt(question, before, settings), {
+            temperature: 0.7,
+            maxOutputTokens: 2048,
+            context: { task: 'distractors' }
+        });
+
+        const distractors = this._checkDistractors(question, aiService.parseResponse(result.text).distractors, distractorIndexes.length);
+
+        // Correct options stay in place with their images; the new distractors fill the other positions in order
+        let next = 0;
+        const improved = {
+            ...question,
+            options: question.options.map(option => (option.isCorrect
+                ? { text: option.text, image: option.image, isCorrect: true }
+                : { text: distractors[next++], isCorrect: false }))
+        };
+
+        return { question: improved, analysis: analyzeDistractors(improved), previousScore: before.score };
+    }
+
+    /**
+     * Rewrite the distractors of one question of a saved quiz and store them
+     * @param {Object} quiz - Quiz from QuizService.getQuizById
+     * @param {number} position - 1-based question number
+     * @param {Object} [options] - Options
+     * @param {number} [options.userId] - Author of the change in the version history
+     * @returns {Promise<{question: Object, analysis: Object, previousScore: number}>} Saved question
+     * @throws {Error} 404 if the quiz has no such question, 409 if the quiz changed meanwhile
+     */
+    static async improveSavedQuestion(quiz, position, { userId = null } = {}) {
+        const question = quiz.questions[position - 1];
+        if (!question) {
+            const error = new Error(`Question ${position} not found`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const result = await this.improveQuestion(question, {
+            topic: quiz.topic,
+            studentLevel: quiz.student_level
+        });
+
+        const { id, ...replacement } = result.question;
+        const saved = await QuizService.updateQuizQuestions(quiz.id, [{ ...replacement, replacesId: id }], {
+            userId,
+            baseVersion: quiz.version,
+            summary: `Improved the distractors of question ${position}`
+        });
+        if (!saved.success) {
+            const error = new Error(saved.error || 'Failed to update quiz questions');
+            error.statusCode = saved.statusCode;
+            throw error;
+        }
+
+        logger.info(`Improved the distractors of question ${position} of quiz ${quiz.id} (score ${result.previousScore} -> ${result.analysis.score})`);
+
+        return result;
+    }
+
+    /**
+     * Check the rewritten distractors returned by the AI
+     * @param {Object} question - Original question
+     * @param {*} distractors - `distractors` of the AI response
+     * @param {number} count - Number of distractors expected
+     * @returns {Array<string>} Distractor texts
+     * @throws {Error} If the AI returned the wrong number, empty texts or repeated an option
+     * @private
+     */
+    static _checkDistractors(question, distractors, count) {
+        if (!Array.isArray(distractors) || distractors.length !== count
+            || !distractors.every(text => typeof text === 'string' && text.trim() !== '')) {
+            throw new Error('Invalid distractor data structure from AI response');
+        }
+
+        const texts = distractors.map(text => text.trim());
+        const seen = new Set(question.options.filter(option => option.isCorrect).map(option => normalizeText(option.text)));
+
+        for (const text of texts) {
+            const normalized = normalizeText(text);
+            if (seen.has(normalized)) {
+                throw new Error('AI response repeated an option among the new distractors');
+            }
+            seen.add(normalized);
+        }
+
+        return texts;
+    }
+
+    /**
+     * Create the prompt for rewriting the distractors of a question
+     * @param {Object} question - Question
+     * @param {Object} analysis - Analysis of its current distractors
+     * @param {Object} settings - Topic and student level
+     * @returns {string} Prompt for AI
+     * @private
+     */
+    static _createPrompt(question, analysis, { topic, studentLevel }) {
+        const correct = question.options.filter(option => option.isCorrect).map(option => option.text);
+        const wrong = question.options.filter(option => !option.isCorrect).map(option => option.text);
+        const averageLength = Math.round(correct.reduce((sum, text) => sum + text.length, 0) / correct.length);
+        const problems = analysis.issues.length > 0
+            ? `\nProblems found in the current options:\n${analysis.issues.map(issue => `- ${issue.message}`).join('\n')}\n`
+            : '';
+
+        return `Rewrite the ${wrong.length} wrong options (distractors) of this ${question.questionType} question`
+            + `${topic ? ` from a quiz about "${topic}"` : ''}${studentLevel ? ` for ${studentLevel} students` : ''}.\n`
+            + `QUESTION: ${question.questionText}\n`
+            + `CORRECT ${correct.length > 1 ? 'ANSWERS' : 'ANSWER'} (keep unchanged): ${correct.map(text => `"${text}"`).join(', ')}\n`
+            + `CURRENT WRONG OPTIONS: ${wrong.map(text => `"${text}"`).join(', ')}\n`
+            + problems
+            + `\nEvery new distractor must be clearly wrong to an expert yet plausible to a student who has not mastered the topic, `
+            + `for example a common misconception or a near miss. Make each one about ${averageLength} characters long, `
+            + `in the same style and grammatical form as the correct answer, and different from the correct answer and from each other. `
+            + `Do not use "All of the above", "None of the above" or similar options, and avoid absolute words such as "always" and "never". `
+            + `Write them in the language of the question.\n`
+            + `Return ONLY a JSON object of the form {"distractors": ["...", "..."]} with exactly ${wrong.length} strings.`;
+    }
+}
+
+export default DistractorService;
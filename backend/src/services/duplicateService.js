@@ -0,0 +1,85 @@
+// backend/src/services/duplicateService.js
+import DBService from './dbService.js';
+import configService from './configService.js';
+import { fingerprint, findDuplicatePairs, findClosestMatches } from '../utils/questionSimilarity.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Service for flagging near-duplicate questions.
+ *
+ * Questions are compared with each other and with the questions of the
+ * teacher's saved quizzes (see utils/questionSimilarity.js). Nothing is
+ * changed here; the report lets the teacher merge or replace the duplicates.
+ */
+class DuplicateService {
+    /**
+     * Check questions for near-duplicates within the list and in the user's library
+     * @param {Array<Object>} questions - Questions with questionText
+     * @param {Object} [options] - Check options
+     * @param {number} [options.userId] - Owner of the library to compare against; the library is skipped without it
+     * @param {number} [options.excludeQuizId] - Saved quiz the questions belong to, left out of the library
+     * @returns {Promise<Object>} Report with threshold (percent), withinQuiz and library matches
+     */
+    static async checkQuestions(questions, { userId = null, excludeQuizId = null } = {}) {
+        const threshold = configService.get('duplicates.threshold', 70);
+        const texts = questions.map(question => question.questionText || '');
+
+        const withinQuiz = findDuplicatePairs(texts, threshold / 100).map(pair => ({
+            index: pair.index,
+            duplicateOf: pair.duplicateOf,
+            similarity: Math.round(pair.similarity * 100)
+        }));
+
+        const library = userId
+            ? findClosestMatches(texts, await this._loadLibrary(userId, excludeQuizId), threshold / 100).map(match => ({
+                index: match.index,
+                similarity: Math.round(match.similarity * 100),
+                match: {
+                    quizId: match.candidate.quizId,
+                    quizTitle: match.candidate.quizTitle,
+                    questionId: match.candidate.questionId,
+                    questionText: match.candidate.questionText
+                }
+            }))
+            : [];
+
+        return { threshold, withinQuiz, library };
+    }
+
+    /**
+     * Load the most recent saved questions of a user
+     * @param {number} userId - User ID
+     * @param {number|null} excludeQuizId - Quiz to leave out
+     * @returns {Promise<Array<Object>>} Questions with their quiz and fingerprint
+     * @private
+     */
+    static async _loadLibrary(userId, excludeQuizId) {
+        const limit = configService.get('duplicates.libraryLimit', 2000);
+
+        try {
+            const rows = await DBService.query(
+                `SELECT questions.id, questions.question_text, quizzes.id AS quiz_id, quizzes.title
+                 FROM questions
+                 JOIN quizzes ON quizzes.id = questions.quiz_id
+                 WHERE quizzes.user_id = ? AND quizzes.id <> ?
+                 ORDER BY questions.id DESC
+                 LIMIT ?`,
+                [userId, excludeQuizId || 0, limit]
+            );
+
+            return rows.map(row => ({
+                questionId: row.id,
+                questionText: row.question_text,
+                quizId: row.quiz_id,
+                quizTitle: row.title,
+                fingerprint: fingerprint(row.question_text)
+            }));
+        } catch (error) {
+            // The check within the quiz is still useful without the library
+            logger.error('Error loading questions for duplicate detection:', error);
+            return [];
+        }
+    }
+}
+
+export default DuplicateService;
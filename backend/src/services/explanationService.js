@@ -0,0 +1,151 @@
+// backend/src/services/explanationService.js
+import aiService from './aiService.js';
+import QuizService from './quizService.js';
+import { QuestionType } from '../utils/questionTypes.js';
+import { logger } from '../utils/logger.js';
+
+// Questions sent per prompt; long quizzes are explained in batches
+const BATCH_SIZE = 10;
+
+/**
+ * Service for writing the explanations questions are missing.
+ *
+ * Imported and hand-written questions often come without an explanation,
+ * which is what the GIFT feedback and the printed answer key show. The AI
+ * gets every question with its answer key and the quiz topic, and writes why
+ * the answer is correct, or marking guidelines for essay questions. Existing
+ * explanations are kept unless overwriting is asked for.
+ */
+class ExplanationService {
+    /**
+     * Check whether a question gets a new explanation
+     * @param {Object} question - Question
+     * @param {boolean} overwrite - Replace existing explanations too
+     * @returns {boolean} True if the question has no explanation or overwriting was asked for
+     */
+    static needsExplanation(question, overwrite = false) {
+        return overwrite || typeof question.explanation !== 'string' || question.explanation.trim() === '';
+    }
+
+    /**
+     * Write the missing explanations of a saved quiz and store them
+     * @param {Object} quiz - Quiz from QuizService.getQuizById
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.overwrite] - Replace existing explanations too
+     * @param {number} [options.userId] - Author of the change in the version history
+     * @returns {Promise<{filled: number, failed: Array<number>}>} Number of explanations written and 1-based numbers of questions left without one
+     */
+    static async fillExplanations(quiz, { overwrite = false, userId = null } = {}) {
+        const targets = quiz.questions
+            .map((question, index) => ({ ...question, number: index + 1, questionType: question.questionType || quiz.question_type }))
+            .filter(question => this.needsExplanation(question, overwrite));
+
+        const explanations = [];
+        for (let start = 0; start < targets.length; start += BATCH_SIZE) {
+            explanations.push(...await this._explainBatch(targets.slice(start, start + BATCH_SIZE), quiz));
+        }
+
+        const written = [];
+        const failed = [];
+        targets.forEach((question, index) => {
+            if (explanations[index]) {
+                written.push({ id: question.id, explanation: explanations[index] });
+            } else {
+                failed.push(question.number);
+            }
+        });
+
+        if (targets.length > 0 && written.length === 0) {
+            throw new Error('AI response did not contain any valid explanations');
+        }
+
+        // Explanations written while the quiz changed could belong to the wrong questions
+        await QuizService.saveExplanations(quiz.id, written, { userId, baseVersion: quiz.version });
+
+        logger.info(`Wrote ${written.length} explanation(s) for quiz ${quiz.id}`);
+
+        return { filled: written.length, failed };
+    }
+
+    /**
+     * Ask the model to explain a batch of questions
+     * @param {Array<Object>} questions - Questions with their types
+     * @param {Object} quiz - Quiz with topic and student_level
+     * @returns {Promise<Array<string|null>>} Explanation of each question, null where the model gave none
+     * @private
+     */
+    static async _explainBatch(questions, quiz) {
+        const described = questions.map((question, index) => this._describeQuestion(question, index + 1));
+
+        const result = await aiService.generateText(this._createPrompt(described, quiz), {
+            temperature: 0.3,
+            maxOutputTokens: 4096,
+            context: { task: 'explanations' }
+        });
+
+        const data = aiService.parseResponse(result.text);
+        if (!data.explanations || !Array.isArray(data.explanations)) {
+            throw new Error('Invalid explanation data structure from AI response');
+        }
+
+        // Explanations are matched by number; models occasionally skip or reorder questions
+        return described.map(({ number }) => {
+            const explanation = data.explanations.find(item => Number(item?.number) === number)?.explanation;
+            return typeof explanation === 'string' && explanation.trim() !== '' ? explanation.trim() : null;
+        });
+    }
+
+    /**
+     * Describe a question with its answer key for the prompt
+     * @param {Object} question - Question
+     * @param {number} number - 1-based number in the batch
+     * @returns {Object} Question as sent to the model
+     * @private
+     */
+    static _describeQuestion(question, number) {
+        const described = { number, type: question.questionType, question: question.questionText };
+
+        switch (question.questionType) {
+            case QuestionType.MULTIPLE_CHOICE:
+            case QuestionType.TRUE_FALSE:
+            case QuestionType.MULTIPLE_SELECT:
+                described.options = (question.options || []).map(option => option.text);
+                described.correct = (question.options || []).filter(option => option.isCorrect).map(option => option.text);
+                break;
+            case QuestionType.MATCHING:
+                described.pairs = question.pairs || [];
+                break;
+            case QuestionType.ORDERING:
+                described.correctOrder = question.items || [];
+                break;
+            case QuestionType.FILL_IN_THE_BLANK:
+            case QuestionType.SHORT_ANSWER:
+                described.acceptedAnswers = question.answers || [];
+                break;
+            default:
+                break;
+        }
+
+        return described;
+    }
+
+    /**
+     * Create the explanation prompt
+     * @param {Array<Object>} described - Questions with their answer keys
+     * @param {Object} quiz - Quiz with topic and student_level
+     * @returns {string} Prompt for AI
+     * @private
+     */
+    static _createPrompt(described, quiz) {
+        return `Write the answer-key explanations for the ${described.length} questions below from a quiz about "${quiz.topic}"`
+            + `${quiz.student_level ? ` for ${quiz.student_level} students` : ''}.\n`
+            + `- For questions with an answer key ("correct", "pairs", "correctOrder" or "acceptedAnswers"), explain in 1-3 sentences why the key is correct`
+            + ` and, where it helps, why a tempting wrong answer is wrong. Take the key as given; do not change it.\n`
+            + `- For Essay questions, write brief marking guidelines: the points a good answer should include.\n`
+            + `Write each explanation in the language of its question, for students reading the answer key after the quiz.\n`
+            + `Return ONLY a JSON object of the form {"explanations": [{"number": 1, "explanation": "..."}]} with one entry per question.`
+            + `\n\nQUESTIONS:\n${JSON.stringify(described, null, 2)}`;
+    }
+}
+
+export default ExplanationService;
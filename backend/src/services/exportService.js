@@ -1,6 +1,27 @@
 // backend/src/services/exportService.js
 import { logger } from '../utils/logger.js';
 import QuizService from './quizService.js';
+import { QuestionType, BLANK_MARKER } from '../utils/questionTypes.js';
+import { localizeQuiz } from '../utils/quizLanguages.js';
+import { mediaDataUri } from '../utils/questionMedia.js';
+import { mathToPlainText, toGiftMath } from '../utils/mathText.js';
+
+// Mark a question or option whose image or audio clip the plain text export cannot include
+const IMAGE_MARKER = '[มีรูปภาพประกอบ]';
+const AUDIO_MARKER = '[มีไฟล์เสียงประกอบ]';
+
+// Thai names of the question types for the plain text export
+const QUESTION_TYPE_LABELS = {
+    [QuestionType.MULTIPLE_CHOICE]: 'ปรนัย',
+    [QuestionType.TRUE_FALSE]: 'ถูก/ผิด',
+    [QuestionType.MULTIPLE_SELECT]: 'เลือกได้หลายคำตอบ',
+    [QuestionType.MATCHING]: 'จับคู่',
+    [QuestionType.ORDERING]: 'เรียงลำดับ',
+    [QuestionType.FILL_IN_THE_BLANK]: 'เติมคำในช่องว่าง',
+    [QuestionType.SHORT_ANSWER]: 'ตอบสั้น',
+    [QuestionType.ESSAY]: 'อัตนัย',
+    Mixed: 'หลายรูปแบบ'
+};
 
 /**
  * Service for exporting quizzes in different formats
@@ -9,16 +30,13 @@ class ExportService {
     /**
      * Export quiz to GIFT format for Moodle
      * @param {number} quizId - Quiz ID
+     * @param {Object} [options] - Export options
+     * @param {string} [options.language] - 'thai', 'english' or 'bilingual'; the quiz's own language when empty
      * @returns {Promise<string>} GIFT format content
      */
-    static async exportToGift(quizId) {
+    static async exportToGift(quizId, { language } = {}) {
         try {
-            // Get quiz data
-            const quiz = await QuizService.getQuizById(quizId);
-
-            if (!quiz) {
-                throw new Error('Quiz not found');
-            }
+            const quiz = await this._getQuiz(quizId, language);
 
             // Generate GIFT format content
             let giftContent = "";
@@ -33,42 +51,7 @@ class ExportService {
 
             // Add questions
             quiz.questions.forEach((question, index) => {
-                // Add question number and text
-                giftContent += `::Question ${index + 1}::[html]${this.escapeGiftSpecialChars(question.questionText)}\n`;
-
-                if (quiz.question_type === 'Multiple Choice') {
-                    // For multiple choice questions
-                    giftContent += "{\n";
-
-                    // Add options
-                    question.options.forEach(option => {
-                        if (option.isCorrect) {
-                            // Correct option
-                            giftContent += `  =${this.escapeGiftSpecialChars(option.text)}\n`;
-                        } else {
-                            // Incorrect option
-                            giftContent += `  ~${this.escapeGiftSpecialChars(option.text)}\n`;
-                        }
-                    });
-
-                    // Add explanation if available
-                    if (question.explanation) {
-                        giftContent += `  ####${this.escapeGiftSpecialChars(question.explanation)}\n`;
-                    }
-
-                    giftContent += "}\n\n";
-                } else {
-                    // For essay questions
-                    giftContent += "{\n";
-                    giftContent += "  // Essay questions don't have definitive answers in Moodle\n";
-
-                    // Add explanation if available
-                    if (question.explanation) {
-                        giftContent += `  ####${this.escapeGiftSpecialChars(question.explanation)}\n`;
-                    }
-
-                    giftContent += "}\n\n";
-                }
+                giftContent += `${this._giftQuestion(question, index)}\n\n`;
             });
 
             return giftContent;
@@ -80,17 +63,16 @@ class ExportService {
 
     /**
      * Export quiz to plain text format
+     *
+     * Formulas are written as readable text, e.g. "V = I × R".
      * @param {number} quizId - Quiz ID
+     * @param {Object} [options] - Export options
+     * @param {string} [options.language] - 'thai', 'english' or 'bilingual'; the quiz's own language when empty
      * @returns {Promise<string>} Plain text content
      */
-    static async exportToPlainText(quizId) {
+    static async exportToPlainText(quizId, { language } = {}) {
         try {
-            // Get quiz data
-            const quiz = await QuizService.getQuizById(quizId);
-
-            if (!quiz) {
-                throw new Error('Quiz not found');
-            }
+            const quiz = this._withPlainMath(await this._getQuiz(quizId, language));
 
             // Generate plain text content
             let textContent = "";
@@ -102,39 +84,13 @@ class ExportService {
                 textContent += `ระดับ: ${quiz.student_level}\n`;
             }
             textContent += `วันที่สร้าง: ${new Date(quiz.created_at).toLocaleString()}\n`;
-            textContent += `ประเภทข้อสอบ: ${quiz.question_type === 'Multiple Choice' ? 'ปรนัย' : 'อัตนัย'}\n`;
+            textContent += `ประเภทข้อสอบ: ${QUESTION_TYPE_LABELS[quiz.question_type] || quiz.question_type}\n`;
             textContent += `จำนวนข้อ: ${quiz.questions.length}\n\n`;
 
             // Add questions
             quiz.questions.forEach((question, index) => {
-                textContent += `ข้อที่ ${index + 1}: ${question.questionText}\n\n`;
-
-                if (quiz.question_type === 'Multiple Choice') {
-                    // For multiple choice questions
-                    question.options.forEach((option, optIndex) => {
-                        const optionLabel = String.fromCharCode(65 + optIndex); // A, B, C, D, ...
-                        textContent += `   ${optionLabel}. ${option.text}\n`;
-                    });
-
-                    // Find correct option
-                    const correctOption = question.options.findIndex(option => option.isCorrect);
-                    const correctLabel = String.fromCharCode(65 + correctOption);
-
-                    textContent += `\nเฉลย: ${correctLabel}\n`;
-
-                    // Add explanation if available
-                    if (question.explanation) {
-                        textContent += `คำอธิบาย: ${question.explanation}\n`;
-                    }
-                } else {
-                    // For essay questions
-                    textContent += "แนวทางคำตอบ/การให้คะแนน:\n";
-
-                    if (question.explanation) {
-                        textContent += `${question.explanation}\n`;
-                    }
-                }
-
+                textContent += `ข้อที่ ${index + 1}: ${question.questionText}${question.image ? ` ${IMAGE_MARKER}` : ''}${question.audio ? ` ${AUDIO_MARKER}` : ''}\n\n`;
+                textContent += this._plainTextAnswer(question);
                 textContent += "\n--------------------\n\n";
             });
 
@@ -166,17 +122,17 @@ class ExportService {
 
     /**
      * Export quiz to JSON format
+     *
+     * Images of questions and options and audio clips of questions are included as data: URIs.
+     * Formulas are kept in LaTeX with their delimiters.
      * @param {number} quizId - Quiz ID
+     * @param {Object} [options] - Export options
+     * @param {string} [options.language] - 'thai', 'english' or 'bilingual'; the quiz's own language when empty
      * @returns {Promise<Object>} JSON object
      */
-    static async exportToJSON(quizId) {
+    static async exportToJSON(quizId, { language } = {}) {
         try {
-            // Get quiz data
-            const quiz = await QuizService.getQuizById(quizId);
-
-            if (!quiz) {
-                throw new Error('Quiz not found');
-            }
+            const quiz = await this._getQuiz(quizId, language);
 
             // Return quiz data as JSON
             return {
@@ -186,12 +142,21 @@ class ExportService {
                 studentLevel: quiz.student_level,
                 createdAt: quiz.created_at,
                 questions: quiz.questions.map(question => ({
+                    questionType: question.questionType,
                     questionText: question.questionText,
+                    ...(question.image && { image: mediaDataUri('image', question.image) }),
+                    ...(question.audio && { audio: mediaDataUri('audio', question.audio) }),
                     explanation: question.explanation,
+                    difficulty: question.difficulty,
+                    bloomLevel: question.bloomLevel,
                     options: question.options ? question.options.map(option => ({
                         text: option.text,
+                        ...(option.image && { image: mediaDataUri('image', option.image) }),
                         isCorrect: option.isCorrect
-                    })) : []
+                    })) : [],
+                    ...(question.pairs && { pairs: question.pairs }),
+                    ...(question.items && { items: question.items }),
+                    ...(question.answers && { answers: question.answers })
                 }))
             };
         } catch (error) {
@@ -202,20 +167,19 @@ class ExportService {
 
     /**
      * Export quiz to CSV format
+     *
+     * Formulas are written as readable text, as in the plain text export.
      * @param {number} quizId - Quiz ID
+     * @param {Object} [options] - Export options
+     * @param {string} [options.language] - 'thai', 'english' or 'bilingual'; the quiz's own language when empty
      * @returns {Promise<string>} CSV content
      */
-    static async exportToCSV(quizId) {
+    static async exportToCSV(quizId, { language } = {}) {
         try {
-            // Get quiz data
-            const quiz = await QuizService.getQuizById(quizId);
-
-            if (!quiz) {
-                throw new Error('Quiz not found');
-            }
+            const quiz = this._withPlainMath(await this._getQuiz(quizId, language));
 
             // Create CSV header
-            let csvContent = "Question Number,Question Text,Option A,Option B,Option C,Option D,Correct Answer,Explanation\n";
+            let csvContent = "Question Number,Question Text,Option A,Option B,Option C,Option D,Correct Answer,Explanation,Question Type,Difficulty,Bloom Level\n";
 
             // Add questions
             quiz.questions.forEach((question, index) => {
@@ -225,39 +189,23 @@ class ExportService {
                 row.push(`${index + 1}`);
                 row.push(`"${question.questionText.replace(/"/g, '""')}"`);
 
-                if (quiz.question_type === 'Multiple Choice') {
-                    // Options (A, B, C, D)
-                    const options = ['', '', '', ''];
-                    let correctAnswer = '';
-
-                    question.options.forEach((option, optIndex) => {
-                        if (optIndex < 4) {
-                            options[optIndex] = option.text.replace(/"/g, '""');
-
-                            if (option.isCorrect) {
-                                correctAnswer = String.fromCharCode(65 + optIndex); // A, B, C, D
-                            }
-                        }
-                    });
-
-                    // Add options to row
-                    options.forEach(option => {
-                        row.push(`"${option}"`);
-                    });
-
-                    // Add correct answer
-                    row.push(correctAnswer);
-                } else {
-                    // For essay questions, add empty columns
-                    row.push('""');
-                    row.push('""');
-                    row.push('""');
-                    row.push('""');
-                    row.push('ESSAY');
-                }
+                // Options (A, B, C, D) of choice-based questions
+                const options = ['', '', '', ''];
+                (question.options || []).slice(0, 4).forEach((option, optIndex) => {
+                    options[optIndex] = option.text.replace(/"/g, '""');
+                });
+                options.forEach(option => {
+                    row.push(`"${option}"`);
+                });
+
+                // Correct answer
+                row.push(`"${this._correctAnswerText(question).replace(/"/g, '""')}"`);
 
                 // Add explanation
                 row.push(`"${question.explanation ? question.explanation.replace(/"/g, '""') : ''}"`);
+                row.push(`"${question.questionType}"`);
+                row.push(`"${question.difficulty || ''}"`);
+                row.push(`"${question.bloomLevel || ''}"`);
 
                 // Add row to CSV content
                 csvContent += row.join(',') + '\n';
@@ -269,6 +217,251 @@ class ExportService {
             throw error;
         }
     }
+
+    /**
+     * Load a quiz in the requested language version
+     * @param {number} quizId - Quiz ID
+     * @param {string} [language] - 'thai', 'english' or 'bilingual'
+     * @returns {Promise<Object>} Quiz
+     * @throws {Error} If the quiz is not found, or 400 if it has no version in that language
+     * @private
+     */
+    static async _getQuiz(quizId, language) {
+        const quiz = await QuizService.getQuizById(quizId);
+
+        if (!quiz) {
+            throw new Error('Quiz not found');
+        }
+
+        return localizeQuiz(quiz, language);
+    }
+
+    /**
+     * Copy a quiz with the formulas of its questions written as readable text
+     * @param {Object} quiz - Quiz from _getQuiz
+     * @returns {Object} Quiz for the plain text and CSV exports
+     * @private
+     */
+    static _withPlainMath(quiz) {
+        return {
+            ...quiz,
+            questions: quiz.questions.map(question => ({
+                ...question,
+                questionText: mathToPlainText(question.questionText),
+                explanation: mathToPlainText(question.explanation),
+                ...(question.options && {
+                    options: question.options.map(option => ({ ...option, text: mathToPlainText(option.text) }))
+                }),
+                ...(question.pairs && {
+                    pairs: question.pairs.map(pair => ({ left: mathToPlainText(pair.left), right: mathToPlainText(pair.right) }))
+                }),
+                ...(question.items && { items: question.items.map(mathToPlainText) }),
+                ...(question.answers && { answers: question.answers.map(mathToPlainText) })
+            }))
+        };
+    }
+
+    /**
+     * Write an image of a question or option as escaped GIFT HTML
+     * @param {string|null} imagePath - Stored image path
+     * @returns {string} <img> with the image as a data: URI, or '' without an image
+     * @private
+     */
+    static _giftImage(imagePath) {
+        const dataUri = mediaDataUri('image', imagePath);
+        return dataUri ? this.escapeGiftSpecialChars(`<br><img src="${dataUri}" alt="">`) : '';
+    }
+
+    /**
+     * Write the audio clip of a question as escaped GIFT HTML
+     * @param {string|null} audioPath - Stored audio path
+     * @returns {string} <audio> player with the clip as a data: URI, or '' without a clip
+     * @private
+     */
+    static _giftAudio(audioPath) {
+        const dataUri = mediaDataUri('audio', audioPath);
+        return dataUri ? this.escapeGiftSpecialChars(`<br><audio controls src="${dataUri}"></audio>`) : '';
+    }
+
+    /**
+     * Write one question in GIFT format
+     *
+     * Questions are written as HTML, so images and audio clips are embedded as <img> and <audio> tags with data: URIs.
+     * Formulas use the \( \) and \[ \] delimiters of Moodle's MathJax filter. Text Moodle shows or
+     * compares as it is (the answers of matching and short answer questions) gets formulas as readable text instead.
+     * @param {Object} question - Question from QuizService.getQuizById
+     * @param {number} index - Question index
+     * @returns {string} GIFT question
+     * @private
+     */
+    static _giftQuestion(question, index) {
+        const escape = text => this.escapeGiftSpecialChars(toGiftMath(text));
+        const escapePlain = text => this.escapeGiftSpecialChars(mathToPlainText(text));
+        const title = `::Question ${index + 1}::[html]`;
+        const media = `${this._giftImage(question.image)}${this._giftAudio(question.audio)}`;
+        const stem = `${escape(question.questionText)}${media}`;
+        const feedback = question.explanation ? `  ####${escape(question.explanation)}\n` : '';
+        const options = question.options || [];
+        const optionText = option => `${escape(option.text)}${this._giftImage(option.image)}`;
+
+        switch (question.questionType) {
+            case QuestionType.MULTIPLE_CHOICE:
+                return `${title}${stem}\n{\n`
+                    + options.map(option => `  ${option.isCorrect ? '=' : '~'}${optionText(option)}\n`).join('')
+                    + `${feedback}}`;
+
+            case QuestionType.TRUE_FALSE: {
+                const statementIsTrue = this._trueFalseAnswer(question);
+                return `${title}${stem}\n{${statementIsTrue ? 'TRUE' : 'FALSE'}\n${feedback}}`;
+            }
+
+            case QuestionType.MULTIPLE_SELECT: {
+                // Moodle multiple answers: the correct options share 100%, each wrong one costs 100%
+                const correctCount = options.filter(option => option.isCorrect).length;
+                const weight = Number((100 / correctCount).toFixed(5));
+                return `${title}${stem}\n{\n`
+                    + options.map(option => `  ~%${option.isCorrect ? weight : -100}%${optionText(option)}\n`).join('')
+                    + `${feedback}}`;
+            }
+
+            case QuestionType.MATCHING:
+                return `${title}${stem}\n{\n`
+                    + (question.pairs || []).map(pair => `  =${escape(pair.left)} -> ${escapePlain(pair.right)}\n`).join('')
+                    + `${feedback}}`;
+
+            case QuestionType.ORDERING:
+                // GIFT has no ordering type: match every item to its position instead
+                return `${title}${stem}\n{\n`
+                    + (question.items || []).map((item, position) => `  =${escape(item)} -> ${position + 1}\n`).join('')
+                    + `${feedback}}`;
+
+            case QuestionType.FILL_IN_THE_BLANK: {
+                // Split at the first blank only: bilingual questions contain it once per language
+                const blankAt = question.questionText.indexOf(BLANK_MARKER);
+                const before = blankAt === -1 ? question.questionText : question.questionText.slice(0, blankAt);
+                const after = blankAt === -1 ? '' : question.questionText.slice(blankAt + BLANK_MARKER.length);
+                const answers = (question.answers || []).map(answer => `=${escapePlain(answer)}`).join(' ');
+                const answerFeedback = question.explanation ? ` ####${escape(question.explanation)}` : '';
+                return `${title}${escape(before)}{${answers}${answerFeedback}}${escape(after)}${media}`;
+            }
+
+            case QuestionType.SHORT_ANSWER:
+                return `${title}${stem}\n{\n`
+                    + (question.answers || []).map(answer => `  =${escapePlain(answer)}\n`).join('')
+                    + `${feedback}}`;
+
+            default:
+                // Essay questions don't have definitive answers in Moodle
+                return `${title}${stem}\n{\n${feedback}}`;
+        }
+    }
+
+    /**
+     * Write the answer part of one question in the plain text export
+     * @param {Object} question - Question from QuizService.getQuizById
+     * @returns {string} Plain text answer block
+     * @private
+     */
+    static _plainTextAnswer(question) {
+        let text = '';
+
+        switch (question.questionType) {
+            case QuestionType.MULTIPLE_CHOICE:
+            case QuestionType.TRUE_FALSE:
+            case QuestionType.MULTIPLE_SELECT:
+                (question.options || []).forEach((option, optIndex) => {
+                    const optionLabel = String.fromCharCode(65 + optIndex); // A, B, C, D, ...
+                    text += `   ${optionLabel}. ${option.text}${option.image ? ` ${IMAGE_MARKER}` : ''}\n`;
+                });
+                text += `\nเฉลย: ${this._correctAnswerText(question)}\n`;
+                break;
+
+            case QuestionType.MATCHING: {
+                // Show the right-hand column in alphabetical order so the answer is not given away
+                const rightItems = (question.pairs || []).map(pair => pair.right).sort((a, b) => a.localeCompare(b));
+                (question.pairs || []).forEach((pair, pairIndex) => {
+                    text += `   ${pairIndex + 1}. ${pair.left}\t\t${String.fromCharCode(65 + pairIndex)}. ${rightItems[pairIndex]}\n`;
+                });
+                text += `\nเฉลย: ${this._correctAnswerText(question)}\n`;
+                break;
+            }
+
+            case QuestionType.ORDERING: {
+                const shuffled = [...(question.items || [])].sort((a, b) => a.localeCompare(b));
+                shuffled.forEach((item, itemIndex) => {
+                    text += `   ${String.fromCharCode(65 + itemIndex)}. ${item}\n`;
+                });
+                text += `\nเฉลย: ${this._correctAnswerText(question)}\n`;
+                break;
+            }
+
+            case QuestionType.FILL_IN_THE_BLANK:
+            case QuestionType.SHORT_ANSWER:
+                text += `เฉลย: ${this._correctAnswerText(question)}\n`;
+                break;
+
+            default:
+                // For essay questions
+                text += "แนวทางคำตอบ/การให้คะแนน:\n";
+                if (question.explanation) {
+                    text += `${question.explanation}\n`;
+                }
+                return text;
+        }
+
+        if (question.explanation) {
+            text += `คำอธิบาย: ${question.explanation}\n`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Describe the correct answer of a question in one line
+     * @param {Object} question - Question from QuizService.getQuizById
+     * @returns {string} Correct answer, or 'ESSAY' for essay questions
+     * @private
+     */
+    static _correctAnswerText(question) {
+        const options = question.options || [];
+        const labels = options
+            .map((option, optIndex) => (option.isCorrect ? String.fromCharCode(65 + optIndex) : null))
+            .filter(Boolean);
+
+        switch (question.questionType) {
+            case QuestionType.MULTIPLE_CHOICE:
+            case QuestionType.TRUE_FALSE:
+            case QuestionType.MULTIPLE_SELECT:
+                return labels.join(', ');
+            case QuestionType.MATCHING:
+                return (question.pairs || []).map(pair => `${pair.left} = ${pair.right}`).join('; ');
+            case QuestionType.ORDERING:
+                return (question.items || []).join(' > ');
+            case QuestionType.FILL_IN_THE_BLANK:
+            case QuestionType.SHORT_ANSWER:
+                return (question.answers || []).join(' / ');
+            default:
+                return 'ESSAY';
+        }
+    }
+
+    /**
+     * Work out whether the statement of a true/false question is true
+     * @param {Object} question - True/false question
+     * @returns {boolean} True if the statement is true
+     * @private
+     */
+    static _trueFalseAnswer(question) {
+        const options = question.options || [];
+        const correct = options.find(option => option.isCorrect);
+        if (!correct) return false;
+
+        // Options are usually "True"/"False" or "ถูก"/"ผิด"; otherwise the first option means true
+        const text = correct.text.trim().toLowerCase();
+        if (['true', 'ถูก', 'จริง', 'ใช่'].includes(text)) return true;
+        if (['false', 'ผิด', 'ไม่จริง', 'ไม่ใช่'].includes(text)) return false;
+        return options.indexOf(correct) === 0;
+    }
 }
 
 export default ExportService;
\ No newline at end of file
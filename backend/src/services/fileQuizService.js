@@ -0,0 +1,281 @@
+// backend/src/services/fileQuizService.js
+import fs from 'fs';
+import path from 'path';
+import aiService from './aiService.js';
+import configService from './configService.js';
+import SectionQuizService from './sectionQuizService.js';
+import PDFProcessor from '../utils/pdfProcessor.js';
+import DocumentExtractor, { DocumentType } from '../utils/documentExtractor.js';
+import OCRProcessor from '../utils/ocrProcessor.js';
+import { sectionsFromPages, sectionsFromText, DEFAULT_MAX_SECTION_CHARS } from '../utils/documentSections.js';
+import { describeLevelTargets, summarizeLevels } from '../utils/questionLevels.js';
+import { logger } from '../utils/logger.js';
+
+const SUPPORTED_TYPES_MESSAGE = 'รองรับเฉพาะไฟล์ PDF, DOCX, PPTX, TXT, Markdown, HTML และรูปภาพ JPG/PNG';
+
+/**
+ * Create an error carrying the HTTP status code the controller should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - User facing message
+ * @param {Object} [extra] - Extra fields to include in the response
+ * @returns {Error} Error with statusCode
+ */
+function createFileQuizError(statusCode, message, extra = {}) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = extra;
+    return error;
+}
+
+/**
+ * Service for generating quizzes from uploaded documents.
+ * Used both by the synchronous upload endpoint and by the background job worker.
+ * Long documents are split into pages or sections so nothing is cut off and
+ * every question can cite where it came from.
+ */
+class FileQuizService {
+    /**
+     * Generate a quiz from a document on disk
+     * @param {Object} file - File description
+     * @param {string} file.path - Path to the uploaded file
+     * @param {string} file.originalname - Original file name
+     * @param {string} file.mimetype - File MIME type
+     * @param {Object} settings - Generation settings from the client
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Signal to cancel generation (e.g. the job was cancelled)
+     * @returns {Promise<Object>} Quiz data with title, topic, questionType, questions, validation and section coverage
+     * @throws {Error} Error with statusCode and a Thai message on failure
+     */
+    static async generateFromFile(file, settings = {}, { signal } = {}) {
+        const {
+            questionType = 'Multiple Choice',
+            numberOfQuestions = 10,
+            additionalInstructions = '',
+            studentLevel = '',
+            outputLanguage = 'Thai'
+        } = settings;
+
+        if (!aiService.isAvailable()) {
+            throw createFileQuizError(503, 'บริการ AI ไม่พร้อมใช้งาน');
+        }
+
+        const language = String(outputLanguage).toLowerCase().startsWith('thai') ? 'thai' : 'english';
+
+        let levels;
+        try {
+            levels = aiService.planQuestionLevels(numberOfQuestions, settings);
+        } catch (error) {
+            throw createFileQuizError(400, `สัดส่วนระดับความยากไม่ถูกต้อง: ${error.message}`);
+        }
+
+        const sections = await this._loadSections(file);
+
+        if (sections.length === 0) {
+            // Scanned PDFs without local OCR: let a provider that reads PDFs look at the file itself
+            if (DocumentExtractor.detectType(file) === DocumentType.PDF && aiService.supportsAttachment('application/pdf')) {
+                return this._generateFromAttachment(file, { questionType, numberOfQuestions, language, levels, signal });
+            }
+            throw createFileQuizError(422, 'ไม่พบข้อความในไฟล์ที่อัพโหลด');
+        }
+
+        logger.info(`Split ${file.originalname} into ${sections.length} section(s)`);
+
+        const { questions, validation, sections: coverage, distribution } = await SectionQuizService.generateFromSections(sections, {
+            questionType,
+            numberOfQuestions,
+            language,
+            studentLevel,
+            additionalInstructions,
+            levels,
+            sourceName: file.originalname,
+            signal,
+            generate: (prompt, options) => this._generateWithRetry(prompt, options)
+        });
+
+        if (questions.length === 0) {
+            throw createFileQuizError(422, 'ข้อสอบที่ AI สร้างไม่ผ่านการตรวจสอบรูปแบบ กรุณาลองใหม่อีกครั้ง', { validation });
+        }
+
+        const title = path.parse(file.originalname).name;
+
+        return {
+            title,
+            topic: title,
+            questionType,
+            questions,
+            validation,
+            sections: coverage,
+            distribution
+        };
+    }
+
+    /**
+     * Read a document and split it into sections along its pages, slides or headings
+     * @param {Object} file - File description
+     * @returns {Promise<Array<Object>>} Sections; empty if the file has no text
+     * @private
+     */
+    static async _loadSections(file) {
+        const maxChars = configService.get('ai.sectionMaxChars', DEFAULT_MAX_SECTION_CHARS);
+        const documentType = DocumentExtractor.detectType(file);
+
+        if (!documentType) {
+            throw createFileQuizError(415, SUPPORTED_TYPES_MESSAGE);
+        }
+
+        // Photos of handouts can only be read with OCR
+        if (documentType === DocumentType.IMAGE && !(await OCRProcessor.isAvailable())) {
+            throw createFileQuizError(503, 'ระบบ OCR ไม่พร้อมใช้งานบนเซิร์ฟเวอร์ ไม่สามารถอ่านข้อความจากรูปภาพได้');
+        }
+
+        try {
+            // PDFs page by page so questions can cite pages; scanned pages go through OCR
+            if (documentType === DocumentType.PDF) {
+                const { pages } = await PDFProcessor.extractPagesFromPDF(file.path);
+                return sectionsFromPages(pages, { maxChars });
+            }
+
+            // Decks slide by slide so no section starts in the middle of a slide
+            if (documentType === DocumentType.PPTX) {
+                const slides = await DocumentExtractor.extractSlides(file.path);
+                return sectionsFromPages(slides, { maxChars, label: 'Slide' });
+            }
+
+            if (documentType === DocumentType.IMAGE) {
+                const textContent = await OCRProcessor.recognizeImage(file.path);
+                return sectionsFromText(textContent, { maxChars });
+            }
+
+            // Everything else by its headings
+            const textContent = await DocumentExtractor.extractText(file.path, documentType);
+            return sectionsFromText(textContent, { maxChars });
+        } catch (fileError) {
+            logger.error(`${documentType.toUpperCase()} processing error:`, fileError);
+            throw createFileQuizError(422, `ไม่สามารถอ่านไฟล์ ${documentType.toUpperCase()} ได้`);
+        }
+    }
+
+    /**
+     * Generate from a PDF sent to the model as an attachment (no page citations)
+     * @param {Object} file - File description
+     * @param {Object} settings - Normalized settings
+     * @returns {Promise<Object>} Quiz data
+     * @private
+     */
+    static async _generateFromAttachment(file, { questionType, numberOfQuestions, language, levels, signal }) {
+        const pdfBuffer = fs.readFileSync(file.path);
+
+        // ตรวจสอบขนาด buffer
+        if (pdfBuffer.length > 4 * 1024 * 1024) { // 4MB
+            throw createFileQuizError(413, 'ไฟล์ PDF มีขนาดใหญ่เกินไป');
+        }
+
+        const promptContent = `
+วิเคราะห์ PDF และสร้างข้อสอบ ${numberOfQuestions} ข้อ
+
+ใช้ภาษาไทย UTF-8 ในการตอบ
+${describeLevelTargets(levels)}${aiService.getFormatInstructions(questionType)}`;
+
+        const result = await this._generateWithRetry(promptContent, {
+            temperature: 0.7,
+            topP: 0.8,
+            topK: 40,
+            maxOutputTokens: 2048, // ลดขนาด token
+            attachments: [{
+                mimeType: 'application/pdf',
+                data: pdfBuffer.toString('base64')
+            }],
+            context: {
+                task: 'quiz',
+                topic: file.originalname,
+                questionType,
+                numberOfQuestions,
+                levels
+            },
+            signal
+        });
+
+        // Clean JSON response
+        const responseText = result.text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+
+        let quizData;
+        try {
+            quizData = JSON.parse(responseText);
+        } catch (parseError) {
+            logger.error('JSON Parse Error:', parseError);
+            logger.error('Response:', responseText.substring(0, 500));
+            throw createFileQuizError(422, 'ไม่สามารถประมวลผลผลลัพธ์จาก AI ได้');
+        }
+
+        // Validate structure
+        if (!quizData.questions || !Array.isArray(quizData.questions)) {
+            throw createFileQuizError(422, 'รูปแบบข้อมูลข้อสอบไม่ถูกต้อง');
+        }
+
+        // Check every question against its schema and ask the model to fix the failures
+        const { questions, validation } = await aiService.validateAndRepairQuestions(quizData.questions, {
+            topic: file.originalname,
+            questionType,
+            language
+        }, { signal });
+
+        if (questions.length === 0) {
+            throw createFileQuizError(422, 'ข้อสอบที่ AI สร้างไม่ผ่านการตรวจสอบรูปแบบ กรุณาลองใหม่อีกครั้ง', { validation });
+        }
+
+        const title = quizData.title || path.parse(file.originalname).name;
+
+        return {
+            title,
+            topic: title,
+            questionType,
+            questions,
+            validation,
+            distribution: summarizeLevels(questions, levels)
+        };
+    }
+
+    /**
+     * Call the AI provider, retrying transient failures
+     * @param {string} promptContent - Prompt text
+     * @param {Object} generationOptions - Provider options
+     * @returns {Promise<Object>} Provider result
+     * @private
+     */
+    static async _generateWithRetry(promptContent, generationOptions) {
+        const maxRetries = 3;
+        let retryCount = 0;
+
+        while (true) {
+            try {
+                logger.info(`Attempt ${retryCount + 1} to call AI provider`);
+                return await aiService.generateText(promptContent, generationOptions);
+            } catch (apiError) {
+                // A cancelled job is not retried
+                if (generationOptions.signal?.aborted) {
+                    throw apiError;
+                }
+
+                retryCount++;
+                logger.error(`AI provider attempt ${retryCount} failed:`, apiError.message);
+
+                if (retryCount >= maxRetries) {
+                    if (apiError.message === 'AI generation timed out') {
+                        throw createFileQuizError(504, 'การประมวลผลใช้เวลานานเกินไป กรุณาลองใหม่');
+                    }
+
+                    if (apiError.message.includes('quota') || apiError.message.includes('limit')) {
+                        throw createFileQuizError(429, 'ใช้งาน API เกินขีดจำกัด กรุณารอสักครู่แล้วลองใหม่');
+                    }
+
+                    throw createFileQuizError(503, 'บริการ AI ไม่พร้อมใช้งานชั่วคราว กรุณาลองใหม่อีกครั้ง');
+                }
+
+                // Wait before retry
+                await new Promise(resolve => setTimeout(resolve, 2000 * retryCount));
+            }
+        }
+    }
+}
+
+export default FileQuizService;
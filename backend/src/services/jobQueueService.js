@@ -0,0 +1,469 @@
+// backend/src/services/jobQueueService.js
+import fs from 'fs';
+import DBService from './dbService.js';
+import aiService from './aiService.js';
+import FileQuizService from './fileQuizService.js';
+import configService from './configService.js';
+import QuotaService, { QuotaType } from './quotaService.js';
+import { runWithContext } from '../utils/requestContext.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Job types accepted by the queue
+ */
+export const JobType = {
+    TOPIC: 'topic',
+    FILE: 'file'
+};
+
+/**
+ * Job lifecycle states
+ */
+export const JobStatus = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.CANCELLED];
+
+/**
+ * Database-backed queue for AI quiz generation.
+ *
+ * Jobs are stored in the generation_jobs table and picked up by a polling
+ * worker in this process, so a browser refresh or a server restart does not
+ * lose the request or its result.
+ */
+class JobQueueService {
+    constructor() {
+        this.timer = null;
+        this.polling = false;
+        // Running jobs in this process, keyed by job ID, so they can be aborted on cancel
+        this.activeJobs = new Map();
+    }
+
+    /**
+     * Start the worker: requeue jobs interrupted by a restart and begin polling
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.timer) {
+            return;
+        }
+
+        try {
+            await this._recoverInterruptedJobs();
+        } catch (error) {
+            logger.error('Error recovering interrupted generation jobs:', error);
+        }
+
+        const pollIntervalMs = configService.get('jobs.pollIntervalMs', 2000);
+        this.timer = setInterval(() => this._poll(), pollIntervalMs);
+        // Do not keep the process alive just for the worker
+        this.timer.unref?.();
+
+        logger.info(`Generation job worker started (poll every ${pollIntervalMs}ms, concurrency ${configService.get('jobs.concurrency', 1)})`);
+    }
+
+    /**
+     * Stop polling and abort running jobs; they are requeued on the next start
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        for (const controller of this.activeJobs.values()) {
+            // The job stays running in the database, so it is requeued and keeps its upload
+            controller.requeue = true;
+            controller.abort();
+        }
+    }
+
+    /**
+     * Add a generation job to the queue
+     * @param {number} userId - Owner user ID
+     * @param {string} jobType - One of JobType
+     * @param {Object} params - Generation parameters
+     * @param {Object} [file] - Uploaded file for file jobs (path, originalname, mimetype)
+     * @returns {Promise<Object>} Created job
+     */
+    async enqueue(userId, jobType, params, file = null) {
+        const jobId = await DBService.insert('generation_jobs', {
+            user_id: userId,
+            job_type: jobType,
+            status: JobStatus.QUEUED,
+            title: (jobType === JobType.FILE ? file.originalname : params.topic || params.url || '').substring(0, 255),
+            params: JSON.stringify(params),
+            file_path: file ? file.path : null,
+            file_name: file ? file.originalname : null,
+            file_mime: file ? file.mimetype : null
+        });
+
+        logger.info(`Queued ${jobType} generation job ${jobId} for user ${userId}`);
+
+        // Pick the job up straight away instead of waiting for the next poll
+        setImmediate(() => this._poll());
+
+        return this.getJob(jobId, userId);
+    }
+
+    /**
+     * Get a job owned by a user
+     * @param {number} jobId - Job ID
+     * @param {number} userId - Owner user ID
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.includeResult=false] - Include the generated quiz
+     * @returns {Promise<Object|null>} Job or null if not found
+     */
+    async getJob(jobId, userId, { includeResult = false } = {}) {
+        const row = await DBService.queryOne(
+            'SELECT * FROM generation_jobs WHERE id = ? AND user_id = ?',
+            [jobId, userId]
+        );
+
+        return row ? this._formatJob(row, includeResult) : null;
+    }
+
+    /**
+     * List a user's most recent jobs
+     * @param {number} userId - Owner user ID
+     * @param {number} [limit=10] - Maximum number of jobs
+     * @returns {Promise<Array<Object>>} Jobs, newest first
+     */
+    async listRecentJobs(userId, limit = 10) {
+        const rows = await DBService.query(
+            'SELECT * FROM generation_jobs WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+            [userId, String(limit)]
+        );
+
+        return rows.map(row => this._formatJob(row, false));
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @param {number} jobId - Job ID
+     * @param {number} userId - Owner user ID
+     * @returns {Promise<Object>} Result with success flag, error and job
+     */
+    async cancelJob(jobId, userId) {
+        const row = await DBService.queryOne(
+            'SELECT * FROM generation_jobs WHERE id = ? AND user_id = ?',
+            [jobId, userId]
+        );
+
+        if (!row) {
+            return { success: false, error: 'Job not found' };
+        }
+
+        if (FINISHED_STATUSES.includes(row.status)) {
+            return { success: false, error: `Job is already ${row.status}`, job: this._formatJob(row, false) };
+        }
+
+        const affectedRows = await DBService.withConnection(async (connection) => {
+            const [result] = await connection.execute(
+                `UPDATE generation_jobs SET status = ?, completed_at = NOW()
+                 WHERE id = ? AND status IN (?, ?)`,
+                [JobStatus.CANCELLED, jobId, JobStatus.QUEUED, JobStatus.RUNNING]
+            );
+            return result.affectedRows;
+        });
+
+        if (affectedRows === 0) {
+            // The worker finished the job between the read and the update
+            return { success: false, error: 'Job has already finished', job: await this.getJob(jobId, userId) };
+        }
+
+        // A running job cleans up its own upload when it stops
+        const controller = this.activeJobs.get(row.id);
+        if (controller) {
+            controller.abort();
+        } else {
+            this._removeFile(row.file_path);
+        }
+
+        logger.info(`Generation job ${jobId} cancelled by user ${userId}`);
+
+        return { success: true, job: await this.getJob(jobId, userId) };
+    }
+
+    /**
+     * Put jobs that were running when the server stopped back in the queue
+     * @private
+     */
+    async _recoverInterruptedJobs() {
+        const maxAttempts = configService.get('jobs.maxAttempts', 3);
+
+        const [failed, requeued] = await DBService.withConnection(async (connection) => {
+            // Uploads of jobs that are given up on are no longer needed
+            const [abandoned] = await connection.execute(
+                'SELECT file_path FROM generation_jobs WHERE status = ? AND attempts >= ?',
+                [JobStatus.RUNNING, maxAttempts]
+            );
+            abandoned.forEach(row => this._removeFile(row.file_path));
+
+            const [failedResult] = await connection.execute(
+                `UPDATE generation_jobs SET status = ?, error_message = ?, completed_at = NOW()
+                 WHERE status = ? AND attempts >= ?`,
+                [JobStatus.FAILED, 'Job was interrupted too many times', JobStatus.RUNNING, maxAttempts]
+            );
+            const [requeuedResult] = await connection.execute(
+                'UPDATE generation_jobs SET status = ?, progress = 0, started_at = NULL WHERE status = ?',
+                [JobStatus.QUEUED, JobStatus.RUNNING]
+            );
+            return [failedResult.affectedRows, requeuedResult.affectedRows];
+        });
+
+        if (requeued > 0 || failed > 0) {
+            logger.info(`Recovered interrupted generation jobs: ${requeued} requeued, ${failed} failed`);
+        }
+    }
+
+    /**
+     * Claim and run queued jobs up to the configured concurrency
+     * @private
+     */
+    async _poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+
+        try {
+            const concurrency = configService.get('jobs.concurrency', 1);
+
+            while (this.activeJobs.size < concurrency) {
+                const job = await this._claimNextJob();
+                if (!job) {
+                    break;
+                }
+
+                // The audit log attributes the job's AI requests to its owner
+                runWithContext({ userId: job.user_id, jobId: job.id }, () => this._runJob(job));
+            }
+        } catch (error) {
+            logger.error('Error polling generation jobs:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Atomically move the oldest queued job to running
+     * @returns {Promise<Object|null>} Claimed job row or null if the queue is empty
+     * @private
+     */
+    async _claimNextJob() {
+        return DBService.withConnection(async (connection) => {
+            const [rows] = await connection.execute(
+                'SELECT id FROM generation_jobs WHERE status = ? ORDER BY created_at, id LIMIT 1',
+                [JobStatus.QUEUED]
+            );
+
+            if (rows.length === 0) {
+                return null;
+            }
+
+            const [result] = await connection.execute(
+                `UPDATE generation_jobs SET status = ?, started_at = NOW(), attempts = attempts + 1
+                 WHERE id = ? AND status = ?`,
+                [JobStatus.RUNNING, rows[0].id, JobStatus.QUEUED]
+            );
+
+            // Another worker or a cancel got there first; try again on the next poll
+            if (result.affectedRows === 0) {
+                return null;
+            }
+
+            const [jobRows] = await connection.execute('SELECT * FROM generation_jobs WHERE id = ?', [rows[0].id]);
+            return jobRows[0];
+        });
+    }
+
+    /**
+     * Run a claimed job and store its outcome
+     * @param {Object} row - Job row
+     * @private
+     */
+    async _runJob(row) {
+        const controller = new AbortController();
+        this.activeJobs.set(row.id, controller);
+
+        logger.info(`Running ${row.job_type} generation job ${row.id} for user ${row.user_id}`);
+
+        // Set once the job has a final status; until then it may be requeued and still needs its upload
+        let finished = false;
+
+        try {
+            // Parsed here so a job with unreadable params is marked failed instead of holding its slot
+            const params = this._parseJson(row.params) || {};
+            const result = row.job_type === JobType.FILE
+                ? await FileQuizService.generateFromFile({
+                    path: row.file_path,
+                    originalname: row.file_name,
+                    mimetype: row.file_mime
+                }, params, { signal: controller.signal })
+                : await this._runTopicJob(row.id, params, controller.signal);
+
+            const completed = await this._finishJob(row.id, {
+                status: JobStatus.COMPLETED,
+                progress: 100,
+                result: JSON.stringify(result)
+            });
+            finished = true;
+
+            // Cancelled while the result was being generated: nothing to count
+            if (completed === 0) {
+                logger.info(`Generation job ${row.id} was cancelled before it completed`);
+                return;
+            }
+
+            logger.info(`Generation job ${row.id} completed with ${result.questions.length} questions`);
+
+            await QuotaService.recordUsage(row.user_id, QuotaType.AI_GENERATION)
+                .catch(quotaError => logger.warn(`Error counting AI generation of job ${row.id}:`, quotaError));
+        } catch (error) {
+            if (controller.signal.aborted) {
+                logger.info(`Generation job ${row.id} aborted`);
+                // Cancelled by its owner, not stopped by a shutdown
+                finished = !controller.requeue;
+            } else {
+                logger.error(`Generation job ${row.id} failed:`, error);
+                try {
+                    await this._finishJob(row.id, {
+                        status: JobStatus.FAILED,
+                        error_message: error.message,
+                        error_status: error.statusCode || null
+                    });
+                    finished = true;
+                } catch (updateError) {
+                    logger.error(`Error saving failure for job ${row.id}:`, updateError);
+                }
+            }
+        } finally {
+            this.activeJobs.delete(row.id);
+            if (finished) {
+                this._removeFile(row.file_path);
+            }
+            // Keep the queue moving without waiting for the next interval
+            setImmediate(() => this._poll());
+        }
+    }
+
+    /**
+     * Generate a topic quiz, saving progress as questions arrive
+     * @param {number} jobId - Job ID
+     * @param {Object} params - Generation parameters
+     * @param {AbortSignal} signal - Cancellation signal
+     * @returns {Promise<Object>} Quiz data
+     * @private
+     */
+    async _runTopicJob(jobId, params, signal) {
+        let lastSavedPercent = 0;
+
+        for await (const event of aiService.generateQuizStream(params, { signal })) {
+            if (event.type === 'progress' && event.percent >= lastSavedPercent + 10) {
+                lastSavedPercent = event.percent;
+                await DBService.query(
+                    'UPDATE generation_jobs SET progress = ? WHERE id = ? AND status = ?',
+                    [Math.min(event.percent, 99), jobId, JobStatus.RUNNING]
+                );
+            } else if (event.type === 'complete') {
+                return event.data;
+            }
+        }
+
+        throw new Error('Quiz generation ended without a result');
+    }
+
+    /**
+     * Store the final state of a running job.
+     * Jobs cancelled while running keep their cancelled status.
+     * @param {number} jobId - Job ID
+     * @param {Object} data - Columns to update
+     * @returns {Promise<number>} Affected rows; 0 if the job is no longer running
+     * @private
+     */
+    async _finishJob(jobId, data) {
+        const columns = Object.keys(data);
+        const setClause = columns.map(column => `${column} = ?`).join(', ');
+
+        return DBService.withConnection(async (connection) => {
+            const [result] = await connection.execute(
+                `UPDATE generation_jobs SET ${setClause}, completed_at = NOW() WHERE id = ? AND status = ?`,
+                [...Object.values(data), jobId, JobStatus.RUNNING]
+            );
+            return result.affectedRows;
+        });
+    }
+
+    /**
+     * Delete an uploaded source file once its job no longer needs it
+     * @param {string|null} filePath - File path
+     * @private
+     */
+    _removeFile(filePath) {
+        if (filePath && fs.existsSync(filePath)) {
+            try {
+                fs.unlinkSync(filePath);
+            } catch (error) {
+                logger.warn(`Could not remove job upload ${filePath}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Parse a JSON column (mysql2 may already return an object)
+     * @param {string|Object|null} value - Column value
+     * @returns {Object|null} Parsed value
+     * @private
+     */
+    _parseJson(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    /**
+     * Convert a job row to the API shape
+     * @param {Object} row - Job row
+     * @param {boolean} includeResult - Include the generated quiz
+     * @returns {Object} Job
+     * @private
+     */
+    _formatJob(row, includeResult) {
+        const params = this._parseJson(row.params) || {};
+        const result = this._parseJson(row.result);
+
+        const job = {
+            id: row.id,
+            type: row.job_type,
+            status: row.status,
+            title: row.title,
+            questionType: params.questionType || null,
+            numberOfQuestions: params.numberOfQuestions || null,
+            fileName: row.file_name,
+            progress: row.progress,
+            questionCount: result && Array.isArray(result.questions) ? result.questions.length : null,
+            error: row.error_message,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            completedAt: row.completed_at
+        };
+
+        if (includeResult) {
+            job.result = result;
+        }
+
+        return job;
+    }
+}
+
+// Create a singleton instance
+const jobQueueService = new JobQueueService();
+
+export default jobQueueService;
@@ -0,0 +1,483 @@
+// backend/src/services/objectiveService.js
+import DBService from './dbService.js';
+
+/**
+ * Create an error with an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createObjectiveError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Service for the course and learning objective catalogue.
+ *
+ * Every school keeps its own courses, each with a list of learning objectives
+ * identified by a short code (e.g. "LO1"). Members of the school can read the
+ * catalogue, tag questions with objectives and generate quizzes that cover a
+ * chosen set of them; school admins (and system admins) maintain it. The
+ * coverage report counts the questions tagged with each objective across all
+ * quizzes, so objectives without any question stand out.
+ */
+class ObjectiveService {
+    /**
+     * Get the courses a user can see with their number of objectives
+     * @param {Object} user - Authenticated user ({ userId, role })
+     * @returns {Promise<{courses: Array<Object>, schools: Array<Object>}>} Courses and the schools the user can add courses to
+     */
+    static async listCourses(user) {
+        const isAdmin = user.role === 'admin';
+        const rows = await DBService.query(
+            `SELECT courses.*, schools.name AS school_name,
+                    (SELECT COUNT(*) FROM learning_objectives WHERE learning_objectives.course_id = courses.id) AS objective_count
+             FROM courses
+             JOIN schools ON schools.id = courses.school_id
+             ${isAdmin ? '' : 'WHERE courses.school_id IN (SELECT school_id FROM user_schools WHERE user_id = ?)'}
+             ORDER BY schools.name ASC, courses.code ASC`,
+            isAdmin ? [] : [user.userId]
+        );
+
+        const schools = await this.getManagedSchools(user);
+        const managed = new Set(schools.map(school => school.id));
+
+        return {
+            courses: rows.map(row => ({
+                ...this._formatCourse(row),
+                objectiveCount: Number(row.objective_count),
+                canEdit: managed.has(row.school_id)
+            })),
+            schools
+        };
+    }
+
+    /**
+     * Get the schools whose catalogue a user maintains
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<Array<{id: number, name: string}>>} All schools for system admins, their own schools for school admins
+     */
+    static async getManagedSchools(user) {
+        if (user.role === 'admin') {
+            return DBService.query('SELECT id, name FROM schools ORDER BY name ASC');
+        }
+
+        if (user.role !== 'school_admin') {
+            return [];
+        }
+
+        return DBService.query(
+            `SELECT schools.id, schools.name
+             FROM user_schools
+             JOIN schools ON schools.id = user_schools.school_id
+             WHERE user_schools.user_id = ?
+             ORDER BY schools.name ASC`,
+            [user.userId]
+        );
+    }
+
+    /**
+     * Get a course with its objectives
+     * @param {number} courseId - Course ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<Object>} Course with `objectives`
+     * @throws {Error} 404 if the course does not exist or belongs to another school
+     */
+    static async getCourse(courseId, user) {
+        const row = await this._findCourse(courseId, user);
+        const objectives = await DBService.query(
+            'SELECT * FROM learning_objectives WHERE course_id = ? ORDER BY code ASC',
+            [courseId]
+        );
+
+        return {
+            ...this._formatCourse(row),
+            canEdit: await this._canManageSchool(row.school_id, user),
+            objectives: objectives.map(objective => this._formatObjective(objective))
+        };
+    }
+
+    /**
+     * Create a course
+     * @param {Object} user - Authenticated user
+     * @param {Object} data - Course fields ({ schoolId, code, name, description })
+     * @returns {Promise<Object>} Created course
+     * @throws {Error} 403 if the user does not maintain the school's catalogue, 409 if the code is taken
+     */
+    static async createCourse(user, data) {
+        await this._checkManager(data.schoolId, user);
+
+        try {
+            const courseId = await DBService.insert('courses', {
+                school_id: data.schoolId,
+                code: data.code,
+                name: data.name,
+                description: data.description || null,
+                created_by: user.userId
+            });
+
+            return this.getCourse(courseId, user);
+        } catch (error) {
+            throw this._duplicateCodeError(error, 'A course', data.code);
+        }
+    }
+
+    /**
+     * Update a course
+     * @param {number} courseId - Course ID
+     * @param {Object} user - Authenticated user
+     * @param {Object} data - Course fields ({ code, name, description })
+     * @returns {Promise<Object>} Updated course
+     * @throws {Error} 404/403 if the course is not found or not editable, 409 if the code is taken
+     */
+    static async updateCourse(courseId, user, data) {
+        const course = await this._findCourse(courseId, user);
+        await this._checkManager(course.school_id, user);
+
+        try {
+            await DBService.update('courses', {
+                code: data.code,
+                name: data.name,
+                description: data.description || null
+            }, { id: courseId });
+        } catch (error) {
+            throw this._duplicateCodeError(error, 'A course', data.code);
+        }
+
+        return this.getCourse(courseId, user);
+    }
+
+    /**
+     * Delete a course with its objectives and their question tags
+     * @param {number} courseId - Course ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<Object>} Deleted course
+     * @throws {Error} 404/403 if the course is not found or not editable
+     */
+    static async deleteCourse(courseId, user) {
+        const course = await this._findCourse(courseId, user);
+        await this._checkManager(course.school_id, user);
+
+        await DBService.delete('courses', { id: courseId });
+
+        return this._formatCourse(course);
+    }
+
+    /**
+     * Add a learning objective to a course
+     * @param {number} courseId - Course ID
+     * @param {Object} user - Authenticated user
+     * @param {Object} data - Objective fields ({ code, description })
+     * @returns {Promise<Object>} Created objective
+     * @throws {Error} 404/403 if the course is not found or not editable, 409 if the code is taken
+     */
+    static async createObjective(courseId, user, data) {
+        const course = await this._findCourse(courseId, user);
+        await this._checkManager(course.school_id, user);
+
+        try {
+            const objectiveId = await DBService.insert('learning_objectives', {
+                course_id: courseId,
+                code: data.code,
+                description: data.description
+            });
+
+            return this._formatObjective(await DBService.queryOne('SELECT * FROM learning_objectives WHERE id = ?', [objectiveId]));
+        } catch (error) {
+            throw this._duplicateCodeError(error, 'An objective', data.code);
+        }
+    }
+
+    /**
+     * Update a learning objective
+     * @param {number} courseId - Course ID
+     * @param {number} objectiveId - Objective ID
+     * @param {Object} user - Authenticated user
+     * @param {Object} data - Objective fields ({ code, description })
+     * @returns {Promise<Object>} Updated objective
+     * @throws {Error} 404/403 if the objective is not found or not editable, 409 if the code is taken
+     */
+    static async updateObjective(courseId, objectiveId, user, data) {
+        const objective = await this._findObjective(courseId, objectiveId, user);
+        await this._checkManager(objective.school_id, user);
+
+        try {
+            await DBService.update('learning_objectives', {
+                code: data.code,
+                description: data.description
+            }, { id: objectiveId });
+        } catch (error) {
+            throw this._duplicateCodeError(error, 'An objective', data.code);
+        }
+
+        return this._formatObjective(await DBService.queryOne('SELECT * FROM learning_objectives WHERE id = ?', [objectiveId]));
+    }
+
+    /**
+     * Delete a learning objective and its question tags
+     * @param {number} courseId - Course ID
+     * @param {number} objectiveId - Objective ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<void>}
+     * @throws {Error} 404/403 if the objective is not found or not editable
+     */
+    static async deleteObjective(courseId, objectiveId, user) {
+        const objective = await this._findObjective(courseId, objectiveId, user);
+        await this._checkManager(objective.school_id, user);
+
+        await DBService.delete('learning_objectives', { id: objectiveId });
+    }
+
+    /**
+     * Load the objectives a user asked for, e.g. to generate a quiz that covers them
+     * @param {Object} user - Authenticated user
+     * @param {Array<number|string>} objectiveIds - Objective IDs
+     * @returns {Promise<Array<{id: number, code: string, description: string, courseId: number, courseCode: string}>>} Objectives in the order asked for
+     * @throws {Error} 400 if an objective does not exist or belongs to a school the user is not in
+     */
+    static async getObjectives(user, objectiveIds) {
+        const ids = [...new Set((objectiveIds || []).map(id => parseInt(id, 10)))];
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const isAdmin = user.role === 'admin';
+        const rows = await DBService.query(
+            `SELECT learning_objectives.*, courses.code AS course_code
+             FROM learning_objectives
+             JOIN courses ON courses.id = learning_objectives.course_id
+             WHERE learning_objectives.id IN (${ids.map(() => '?').join(', ')})
+             ${isAdmin ? '' : 'AND courses.school_id IN (SELECT school_id FROM user_schools WHERE user_id = ?)'}`,
+            isAdmin ? ids : [...ids, user.userId]
+        );
+
+        if (rows.length !== ids.length) {
+            throw createObjectiveError(400, 'Unknown learning objective');
+        }
+
+        return ids.map(id => {
+            const row = rows.find(objective => objective.id === id);
+            return { ...this._formatObjective(row), courseCode: row.course_code };
+        });
+    }
+
+    /**
+     * Report how well a course's objectives are covered by saved questions
+     * @param {number} courseId - Course ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<Object>} Course, objectives with their question and quiz counts, and the totals
+     * @throws {Error} 404 if the course does not exist or belongs to another school
+     */
+    static async getCoverage(courseId, user) {
+        const course = await this._findCourse(courseId, user);
+        const rows = await DBService.query(
+            `SELECT learning_objectives.*,
+                    COUNT(questions.id) AS question_count,
+                    COUNT(DISTINCT questions.quiz_id) AS quiz_count
+             FROM learning_objectives
+             LEFT JOIN question_objectives ON question_objectives.objective_id = learning_objectives.id
+             LEFT JOIN questions ON questions.id = question_objectives.question_id
+             WHERE learning_objectives.course_id = ?
+             GROUP BY learning_objectives.id
+             ORDER BY learning_objectives.code ASC`,
+            [courseId]
+        );
+
+        const objectives = rows.map(row => ({
+            ...this._formatObjective(row),
+            questionCount: Number(row.question_count),
+            quizCount: Number(row.quiz_count)
+        }));
+        const covered = objectives.filter(objective => objective.questionCount > 0).length;
+
+        return {
+            course: this._formatCourse(course),
+            objectives,
+            summary: {
+                total: objectives.length,
+                covered,
+                uncovered: objectives.length - covered
+            }
+        };
+    }
+
+    /**
+     * Get the objective tags of the questions of a quiz
+     * @param {number} quizId - Quiz ID
+     * @returns {Promise<Array<Object>>} Tags with their questionId and the objective's id, code and description
+     */
+    static async getQuizObjectives(quizId) {
+        const rows = await DBService.query(
+            `SELECT question_objectives.question_id, learning_objectives.*, courses.code AS course_code
+             FROM question_objectives
+             JOIN questions ON questions.id = question_objectives.question_id
+             JOIN learning_objectives ON learning_objectives.id = question_objectives.objective_id
+             JOIN courses ON courses.id = learning_objectives.course_id
+             WHERE questions.quiz_id = ?
+             ORDER BY courses.code ASC, learning_objectives.code ASC`,
+            [quizId]
+        );
+
+        return rows.map(row => ({
+            questionId: row.question_id,
+            ...this._formatObjective(row),
+            courseCode: row.course_code
+        }));
+    }
+
+    /**
+     * Store the objective tags of a question, replacing the ones it had
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} questionId - Question ID
+     * @param {Array<number>} objectiveIds - Objective IDs; unknown IDs are skipped
+     * @returns {Promise<void>}
+     */
+    static async replaceQuestionObjectives(connection, questionId, objectiveIds) {
+        await connection.execute('DELETE FROM question_objectives WHERE question_id = ?', [questionId]);
+
+        const ids = [...new Set(objectiveIds.map(id => parseInt(id, 10)).filter(Number.isInteger))];
+        if (ids.length === 0) {
+            return;
+        }
+
+        await connection.execute(
+            `INSERT INTO question_objectives (question_id, objective_id)
+             SELECT ?, id FROM learning_objectives WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            [questionId, ...ids]
+        );
+    }
+
+    /**
+     * Load a course the user can see
+     * @param {number} courseId - Course ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<Object>} Course row
+     * @private
+     */
+    static async _findCourse(courseId, user) {
+        const course = await DBService.queryOne('SELECT * FROM courses WHERE id = ?', [courseId]);
+
+        if (!course || !(await this._isMember(course.school_id, user))) {
+            throw createObjectiveError(404, 'Course not found');
+        }
+
+        return course;
+    }
+
+    /**
+     * Load an objective of a course the user can see, with the school of the course
+     * @param {number} courseId - Course ID
+     * @param {number} objectiveId - Objective ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<Object>} Objective row with school_id
+     * @private
+     */
+    static async _findObjective(courseId, objectiveId, user) {
+        const objective = await DBService.queryOne(
+            `SELECT learning_objectives.*, courses.school_id
+             FROM learning_objectives
+             JOIN courses ON courses.id = learning_objectives.course_id
+             WHERE learning_objectives.id = ? AND learning_objectives.course_id = ?`,
+            [objectiveId, courseId]
+        );
+
+        if (!objective || !(await this._isMember(objective.school_id, user))) {
+            throw createObjectiveError(404, 'Learning objective not found');
+        }
+
+        return objective;
+    }
+
+    /**
+     * Check whether a user may read a school's catalogue
+     * @param {number} schoolId - School ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<boolean>} True for system admins and members of the school
+     * @private
+     */
+    static async _isMember(schoolId, user) {
+        return user.role === 'admin'
+            || DBService.exists('user_schools', { user_id: user.userId, school_id: schoolId });
+    }
+
+    /**
+     * Check whether a user maintains a school's catalogue
+     * @param {number} schoolId - School ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<boolean>} True for system admins and the school's admins
+     * @private
+     */
+    static async _canManageSchool(schoolId, user) {
+        if (user.role === 'admin') {
+            return true;
+        }
+
+        return user.role === 'school_admin'
+            && DBService.exists('user_schools', { user_id: user.userId, school_id: schoolId });
+    }
+
+    /**
+     * Make sure a user maintains a school's catalogue
+     * @param {number} schoolId - School ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _checkManager(schoolId, user) {
+        if (!(await this._canManageSchool(schoolId, user))) {
+            throw createObjectiveError(403, 'Only school admins can change the course catalogue');
+        }
+    }
+
+    /**
+     * Turn a unique key violation on a code into a 409 error
+     * @param {Error} error - Database error
+     * @param {string} subject - 'A course' or 'An objective'
+     * @param {string} code - Code that was taken
+     * @returns {Error} Error to throw
+     * @private
+     */
+    static _duplicateCodeError(error, subject, code) {
+        return error.code === 'ER_DUP_ENTRY'
+            ? createObjectiveError(409, `${subject} with code "${code}" already exists`)
+            : error;
+    }
+
+    /**
+     * Map a course row to the API shape
+     * @param {Object} row - Course row
+     * @returns {Object} Course
+     * @private
+     */
+    static _formatCourse(row) {
+        return {
+            id: row.id,
+            schoolId: row.school_id,
+            schoolName: row.school_name,
+            code: row.code,
+            name: row.name,
+            description: row.description,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Map an objective row to the API shape
+     * @param {Object} row - Objective row
+     * @returns {Object} Objective
+     * @private
+     */
+    static _formatObjective(row) {
+        return {
+            id: row.id,
+            courseId: row.course_id,
+            code: row.code,
+            description: row.description
+        };
+    }
+}
+
+export default ObjectiveService;
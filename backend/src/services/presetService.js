@@ -0,0 +1,241 @@
+// backend/src/services/presetService.js
+import DBService from './dbService.js';
+import { DIFFICULTY_LEVELS, BLOOM_LEVELS, parseLevelMix } from '../utils/questionLevels.js';
+
+/**
+ * Create an error with an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createPresetError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Service for named generation presets.
+ *
+ * A preset stores the settings of the create-quiz form (type, count, level,
+ * language, difficulty and Bloom mixes) and an additional-instruction
+ * template with placeholders (utils/presetTemplates.js). Presets belong to
+ * their creator; one with a department is also offered to that department.
+ */
+class PresetService {
+    /**
+     * Get the presets a user can pick: their own and those shared with their departments
+     * @param {number} userId - User ID
+     * @returns {Promise<Array<Object>>} Presets sorted by name
+     */
+    static async listPresets(userId) {
+        const rows = await DBService.query(
+            `SELECT generation_presets.*, school_departments.name AS department_name,
+                    CONCAT(users.first_name, ' ', users.last_name) AS owner_name
+             FROM generation_presets
+             JOIN users ON users.id = generation_presets.user_id
+             LEFT JOIN school_departments ON school_departments.id = generation_presets.department_id
+             WHERE generation_presets.user_id = ?
+                OR generation_presets.department_id IN (SELECT department_id FROM user_departments WHERE user_id = ?)
+             ORDER BY generation_presets.name ASC`,
+            [userId, userId]
+        );
+
+        return rows.map(row => this._formatPreset(row, userId));
+    }
+
+    /**
+     * Get the departments a user can share presets with
+     * @param {number} userId - User ID
+     * @returns {Promise<Array<{id: number, name: string}>>} Departments the user belongs to
+     */
+    static async getUserDepartments(userId) {
+        return DBService.query(
+            `SELECT school_departments.id, school_departments.name
+             FROM user_departments
+             JOIN school_departments ON school_departments.id = user_departments.department_id
+             WHERE user_departments.user_id = ?
+             ORDER BY school_departments.name ASC`,
+            [userId]
+        );
+    }
+
+    /**
+     * Create a preset
+     * @param {number} userId - Owner
+     * @param {Object} data - Preset settings
+     * @returns {Promise<Object>} Created preset
+     * @throws {Error} 403 if shared with a department the user is not in, 409 if the name is taken
+     */
+    static async createPreset(userId, data) {
+        await this._checkDepartment(userId, data.departmentId);
+
+        try {
+            const presetId = await DBService.insert('generation_presets', {
+                user_id: userId,
+                ...this._toRow(data)
+            });
+
+            return this._getPreset(presetId, userId);
+        } catch (error) {
+            throw this._duplicateNameError(error, data.name);
+        }
+    }
+
+    /**
+     * Update a preset of the user
+     * @param {number} presetId - Preset ID
+     * @param {number} userId - Owner
+     * @param {Object} data - Preset settings
+     * @returns {Promise<Object>} Updated preset
+     * @throws {Error} 404 if the user has no such preset, 403/409 as for createPreset
+     */
+    static async updatePreset(presetId, userId, data) {
+        await this._checkOwner(presetId, userId);
+        await this._checkDepartment(userId, data.departmentId);
+
+        try {
+            await DBService.update('generation_presets', this._toRow(data), { id: presetId, user_id: userId });
+        } catch (error) {
+            throw this._duplicateNameError(error, data.name);
+        }
+
+        return this._getPreset(presetId, userId);
+    }
+
+    /**
+     * Delete a preset of the user
+     * @param {number} presetId - Preset ID
+     * @param {number} userId - Owner
+     * @returns {Promise<void>}
+     * @throws {Error} 404 if the user has no such preset
+     */
+    static async deletePreset(presetId, userId) {
+        const affected = await DBService.delete('generation_presets', { id: presetId, user_id: userId });
+
+        if (affected === 0) {
+            throw createPresetError(404, 'Preset not found');
+        }
+    }
+
+    /**
+     * Load one preset with its department and owner names
+     * @param {number} presetId - Preset ID
+     * @param {number} userId - Current user
+     * @returns {Promise<Object>} Preset
+     * @private
+     */
+    static async _getPreset(presetId, userId) {
+        const row = await DBService.queryOne(
+            `SELECT generation_presets.*, school_departments.name AS department_name,
+                    CONCAT(users.first_name, ' ', users.last_name) AS owner_name
+             FROM generation_presets
+             JOIN users ON users.id = generation_presets.user_id
+             LEFT JOIN school_departments ON school_departments.id = generation_presets.department_id
+             WHERE generation_presets.id = ?`,
+            [presetId]
+        );
+
+        return this._formatPreset(row, userId);
+    }
+
+    /**
+     * Make sure a preset exists and belongs to the user; shared presets can only be used, not changed
+     * @param {number} presetId - Preset ID
+     * @param {number} userId - User ID
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _checkOwner(presetId, userId) {
+        const exists = await DBService.exists('generation_presets', { id: presetId, user_id: userId });
+
+        if (!exists) {
+            throw createPresetError(404, 'Preset not found');
+        }
+    }
+
+    /**
+     * Make sure the user belongs to the department a preset is shared with
+     * @param {number} userId - User ID
+     * @param {number|null} departmentId - Department, or null for a private preset
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _checkDepartment(userId, departmentId) {
+        if (!departmentId) {
+            return;
+        }
+
+        const isMember = await DBService.exists('user_departments', { user_id: userId, department_id: departmentId });
+
+        if (!isMember) {
+            throw createPresetError(403, 'You can only share presets with your own departments');
+        }
+    }
+
+    /**
+     * Turn a unique key violation on (user_id, name) into a 409 error
+     * @param {Error} error - Database error
+     * @param {string} name - Preset name
+     * @returns {Error} Error to throw
+     * @private
+     */
+    static _duplicateNameError(error, name) {
+        return error.code === 'ER_DUP_ENTRY'
+            ? createPresetError(409, `A preset named "${name}" already exists`)
+            : error;
+    }
+
+    /**
+     * Map preset settings to table columns
+     * @param {Object} data - Preset settings from the request
+     * @returns {Object} Row values
+     * @private
+     */
+    static _toRow(data) {
+        const difficultyMix = parseLevelMix(data.difficultyMix, DIFFICULTY_LEVELS);
+        const bloomMix = parseLevelMix(data.bloomMix, BLOOM_LEVELS);
+
+        return {
+            name: data.name.trim(),
+            department_id: data.departmentId || null,
+            question_type: data.questionType,
+            number_of_questions: parseInt(data.numberOfQuestions, 10),
+            student_level: data.studentLevel || null,
+            language: data.language || 'thai',
+            difficulty_mix: difficultyMix ? JSON.stringify(difficultyMix) : null,
+            bloom_mix: bloomMix ? JSON.stringify(bloomMix) : null,
+            instructions_template: data.instructionsTemplate || null
+        };
+    }
+
+    /**
+     * Format a preset row for the API
+     * @param {Object} row - Row with department_name and owner_name
+     * @param {number} userId - Current user
+     * @returns {Object} Preset
+     * @private
+     */
+    static _formatPreset(row, userId) {
+        const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value) || null;
+
+        return {
+            id: row.id,
+            name: row.name,
+            questionType: row.question_type,
+            numberOfQuestions: row.number_of_questions,
+            studentLevel: row.student_level || '',
+            language: row.language,
+            difficultyMix: parseJson(row.difficulty_mix),
+            bloomMix: parseJson(row.bloom_mix),
+            instructionsTemplate: row.instructions_template || '',
+            departmentId: row.department_id,
+            departmentName: row.department_name || null,
+            ownerName: row.owner_name,
+            isOwner: row.user_id === userId,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+export default PresetService;
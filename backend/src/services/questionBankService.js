@@ -0,0 +1,512 @@
+// backend/src/services/questionBankService.js
+import DBService from './dbService.js';
+import QuizService from './quizService.js';
+import { MIXED_QUESTION_TYPE } from '../utils/questionTypes.js';
+import { cleanMediaPath } from '../utils/questionMedia.js';
+
+// Answer fields of matching, ordering, fill-in-the-blank and short answer questions
+const ANSWER_DATA_FIELDS = ['pairs', 'items', 'answers'];
+
+// Most questions returned by one page of the bank
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Create an error with an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createBankError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Service for the question bank.
+ *
+ * Bank questions belong to a teacher rather than to a quiz, so they outlive
+ * the quizzes they were written for. A question is added to the bank from a
+ * saved quiz (or directly) and put into new quizzes by the assembler; the quiz
+ * gets its own copy that points back at the bank question through
+ * `questions.bank_question_id`, and every use is recorded with the quiz title
+ * so the history survives deleting the quiz.
+ */
+class QuestionBankService {
+    /**
+     * Search the user's bank
+     * @param {number} userId - User ID
+     * @param {Object} filters - Search filters
+     * @param {string} [filters.search] - Text the question must contain
+     * @param {string} [filters.questionType] - Question type
+     * @param {string} [filters.difficulty] - Difficulty
+     * @param {string} [filters.bloomLevel] - Bloom level
+     * @param {string} [filters.tag] - Tag
+     * @param {number} [filters.limit] - Number of questions to return
+     * @param {number} [filters.offset] - Number of questions to skip
+     * @returns {Promise<{questions: Array<Object>, total: number}>} Matching questions with their tags and usage
+     */
+    static async listQuestions(userId, { search, questionType, difficulty, bloomLevel, tag, limit = 50, offset = 0 } = {}) {
+        const filters = ['bank_questions.user_id = ?'];
+        const params = [userId];
+
+        if (search) {
+            filters.push('(bank_questions.question_text LIKE ? OR bank_questions.explanation LIKE ?)');
+            params.push(`%${search}%`, `%${search}%`);
+        }
+
+        if (questionType) {
+            filters.push('bank_questions.question_type = ?');
+            params.push(questionType);
+        }
+
+        if (difficulty) {
+            filters.push('bank_questions.difficulty = ?');
+            params.push(difficulty);
+        }
+
+        if (bloomLevel) {
+            filters.push('bank_questions.bloom_level = ?');
+            params.push(bloomLevel);
+        }
+
+        if (tag) {
+            filters.push('EXISTS (SELECT 1 FROM bank_question_tags WHERE bank_question_tags.bank_question_id = bank_questions.id AND bank_question_tags.tag = ?)');
+            params.push(tag);
+        }
+
+        const whereClause = filters.join(' AND ');
+        const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+
+        const [rows, countResult] = await Promise.all([
+            DBService.query(
+                `SELECT bank_questions.*,
+                        (SELECT COUNT(*) FROM bank_question_usage WHERE bank_question_usage.bank_question_id = bank_questions.id) AS usage_count,
+                        (SELECT MAX(used_at) FROM bank_question_usage WHERE bank_question_usage.bank_question_id = bank_questions.id) AS last_used_at
+                 FROM bank_questions
+                 WHERE ${whereClause}
+                 ORDER BY bank_questions.created_at DESC, bank_questions.id DESC
+                 LIMIT ? OFFSET ?`,
+                [...params, pageSize, Math.max(offset, 0)]
+            ),
+            DBService.queryOne(`SELECT COUNT(*) AS total FROM bank_questions WHERE ${whereClause}`, params)
+        ]);
+
+        const tags = await this._getTags(rows.map(row => row.id));
+
+        return {
+            questions: rows.map(row => this._formatQuestion(row, tags.get(row.id))),
+            total: Number(countResult.total)
+        };
+    }
+
+    /**
+     * Get the tags used in the user's bank
+     * @param {number} userId - User ID
+     * @returns {Promise<Array<{tag: string, count: number}>>} Tags with their number of questions, most used first
+     */
+    static async getTags(userId) {
+        const rows = await DBService.query(
+            `SELECT bank_question_tags.tag, COUNT(*) AS question_count
+             FROM bank_question_tags
+             JOIN bank_questions ON bank_questions.id = bank_question_tags.bank_question_id
+             WHERE bank_questions.user_id = ?
+             GROUP BY bank_question_tags.tag
+             ORDER BY question_count DESC, bank_question_tags.tag ASC`,
+            [userId]
+        );
+
+        return rows.map(row => ({ tag: row.tag, count: Number(row.question_count) }));
+    }
+
+    /**
+     * Get a bank question with the quizzes it was used in
+     * @param {number} id - Bank question ID
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} Question with `usage`
+     * @throws {Error} 404 if the question is not in the user's bank
+     */
+    static async getQuestion(id, userId) {
+        const row = await this._findQuestion(id, userId);
+
+        const [tags, usage] = await Promise.all([
+            this._getTags([id]),
+            DBService.query(
+                `SELECT quiz_id, quiz_title, used_at
+                 FROM bank_question_usage
+                 WHERE bank_question_id = ?
+                 ORDER BY used_at DESC, id DESC`,
+                [id]
+            )
+        ]);
+
+        return {
+            ...this._formatQuestion({
+                ...row,
+                usage_count: usage.length,
+                last_used_at: usage[0]?.used_at ?? null
+            }, tags.get(id)),
+            usage: usage.map(use => ({
+                // Null once the quiz is deleted; the title is kept
+                quizId: use.quiz_id,
+                quizTitle: use.quiz_title,
+                usedAt: use.used_at
+            }))
+        };
+    }
+
+    /**
+     * Add questions to the user's bank
+     * @param {number} userId - User ID
+     * @param {Array<Object>} questions - Questions in the format of quiz questions
+     * @param {Object} [options] - Options
+     * @param {Array<string>} [options.tags] - Tags given to every question
+     * @param {string} [options.language] - Language of the questions
+     * @returns {Promise<Array<number>>} IDs of the new bank questions
+     */
+    static async addQuestions(userId, questions, { tags = [], language = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            const ids = [];
+
+            for (const question of questions) {
+                ids.push(await this._insertQuestion(connection, userId, question, { tags, language }));
+            }
+
+            return ids;
+        });
+    }
+
+    /**
+     * Copy questions of a saved quiz into the user's bank and link them to their copies
+     *
+     * Questions already linked to a bank question are skipped, so adding the
+     * same quiz twice does not fill the bank with duplicates.
+     * @param {number} userId - User ID
+     * @param {Object} quiz - Quiz from QuizService.getQuizById
+     * @param {Array<number>|null} questionIds - Questions to add, or null for all
+     * @param {Array<string>} [tags] - Tags given to every added question
+     * @returns {Promise<{added: Array<{questionId: number, bankQuestionId: number}>, skipped: number}>} Added and skipped questions
+     * @throws {Error} 400 if a question ID is not in the quiz
+     */
+    static async addFromQuiz(userId, quiz, questionIds, tags = []) {
+        let questions = quiz.questions;
+
+        if (questionIds) {
+            const ids = questionIds.map(Number);
+            const unknown = ids.filter(id => !questions.some(question => question.id === id));
+            if (unknown.length > 0) {
+                throw createBankError(400, `Question(s) ${unknown.join(', ')} not found in this quiz`);
+            }
+            questions = questions.filter(question => ids.includes(question.id));
+        }
+
+        const newQuestions = questions.filter(question => !question.bankQuestionId);
+
+        const added = await DBService.withTransaction(async (connection) => {
+            const links = [];
+
+            for (const question of newQuestions) {
+                const bankQuestionId = await this._insertQuestion(connection, userId, {
+                    ...question,
+                    questionType: question.questionType || quiz.question_type
+                }, { tags, language: quiz.language, sourceQuizId: quiz.id });
+
+                await connection.execute(
+                    'UPDATE questions SET bank_question_id = ? WHERE id = ? AND quiz_id = ?',
+                    [bankQuestionId, question.id, quiz.id]
+                );
+
+                // The quiz the question came from counts as its first use
+                await connection.execute(
+                    'INSERT INTO bank_question_usage (bank_question_id, quiz_id, quiz_title, used_by) VALUES (?, ?, ?, ?)',
+                    [bankQuestionId, quiz.id, quiz.title, userId]
+                );
+
+                links.push({ questionId: question.id, bankQuestionId });
+            }
+
+            return links;
+        });
+
+        return { added, skipped: questions.length - newQuestions.length };
+    }
+
+    /**
+     * Update a bank question; quizzes that already use it keep their own copy
+     * @param {number} id - Bank question ID
+     * @param {number} userId - User ID
+     * @param {Object} data - Fields to change: questionText, explanation, difficulty, bloomLevel and tags
+     * @returns {Promise<Object>} Updated question
+     * @throws {Error} 404 if the question is not in the user's bank
+     */
+    static async updateQuestion(id, userId, data) {
+        await this._findQuestion(id, userId);
+
+        const fields = {};
+        if (data.questionText !== undefined) fields.question_text = data.questionText;
+        if (data.explanation !== undefined) fields.explanation = data.explanation;
+        if (data.difficulty !== undefined) fields.difficulty = data.difficulty;
+        if (data.bloomLevel !== undefined) fields.bloom_level = data.bloomLevel;
+
+        await DBService.withTransaction(async (connection) => {
+            const columns = Object.keys(fields);
+            if (columns.length > 0) {
+                await connection.execute(
+                    `UPDATE bank_questions SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                    [...Object.values(fields), id]
+                );
+            }
+
+            if (Array.isArray(data.tags)) {
+                await this._replaceTags(connection, id, data.tags);
+            }
+        });
+
+        return this.getQuestion(id, userId);
+    }
+
+    /**
+     * Remove a question from the bank; quizzes that used it keep their copy
+     * @param {number} id - Bank question ID
+     * @param {number} userId - User ID
+     * @returns {Promise<void>}
+     * @throws {Error} 404 if the question is not in the user's bank
+     */
+    static async deleteQuestion(id, userId) {
+        await this._findQuestion(id, userId);
+        await DBService.delete('bank_questions', { id });
+    }
+
+    /**
+     * Build and save a new quiz from bank questions, in the given order
+     * @param {number} userId - User ID
+     * @param {Object} data - Quiz data
+     * @param {string} data.title - Quiz title
+     * @param {string} data.topic - Quiz topic
+     * @param {string} [data.studentLevel] - Student level
+     * @param {string} [data.language] - Quiz language
+     * @param {Array<number>} data.questionIds - Bank question IDs
+     * @returns {Promise<{quizId: number, title: string, questionType: string}>} Saved quiz
+     * @throws {Error} 400 if a question is not in the user's bank
+     */
+    static async assembleQuiz(userId, { title, topic, studentLevel = null, language = null, questionIds }) {
+        const ids = [...new Set(questionIds.map(Number))];
+        const rows = await DBService.query(
+            `SELECT * FROM bank_questions WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+            [userId, ...ids]
+        );
+
+        const byId = new Map(rows.map(row => [row.id, row]));
+        const unknown = ids.filter(id => !byId.has(id));
+        if (unknown.length > 0) {
+            throw createBankError(400, `Question(s) ${unknown.join(', ')} not found in your question bank`);
+        }
+
+        const questions = ids.map(id => {
+            const row = byId.get(id);
+            return {
+                ...this._formatQuestion(row),
+                bankQuestionId: row.id
+            };
+        });
+
+        const types = new Set(questions.map(question => question.questionType));
+        const questionType = types.size === 1 ? questions[0].questionType : MIXED_QUESTION_TYPE;
+
+        const result = await QuizService.saveQuiz({
+            title,
+            topic,
+            questionType,
+            studentLevel,
+            // Questions of one language make a quiz of that language
+            language: language || questions[0].language || 'thai',
+            questions,
+            userId
+        });
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        await DBService.query(
+            `INSERT INTO bank_question_usage (bank_question_id, quiz_id, quiz_title, used_by)
+             SELECT bank_question_id, quiz_id, ?, ?
+             FROM questions
+             WHERE quiz_id = ? AND bank_question_id IS NOT NULL`,
+            [title, userId, result.quizId]
+        );
+
+        return { quizId: result.quizId, title, questionType };
+    }
+
+    /**
+     * Insert a bank question with its tags
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} userId - Owner
+     * @param {Object} question - Question in the format of quiz questions
+     * @param {Object} options - Tags, language and source quiz
+     * @returns {Promise<number>} New bank question ID
+     * @private
+     */
+    static async _insertQuestion(connection, userId, question, { tags = [], language = null, sourceQuizId = null }) {
+        const options = Array.isArray(question.options) && question.options.length > 0
+            ? question.options.map(option => ({
+                text: option.text,
+                image: cleanMediaPath('image', option.image),
+                isCorrect: Boolean(option.isCorrect)
+            }))
+            : null;
+
+        const answerData = {};
+        for (const field of ANSWER_DATA_FIELDS) {
+            if (Array.isArray(question[field]) && question[field].length > 0) {
+                answerData[field] = question[field];
+            }
+        }
+
+        const objectiveIds = Array.isArray(question.objectiveIds) && question.objectiveIds.length > 0
+            ? question.objectiveIds
+            : null;
+
+        const [result] = await connection.execute(
+            `INSERT INTO bank_questions
+                (user_id, question_type, question_text, image_path, audio_path, explanation, options, answer_data, difficulty,
+                 bloom_level, objective_ids, language, source_quiz_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                userId,
+                question.questionType,
+                question.questionText,
+                cleanMediaPath('image', question.image),
+                cleanMediaPath('audio', question.audio),
+                question.explanation ?? null,
+                options ? JSON.stringify(options) : null,
+                Object.keys(answerData).length > 0 ? JSON.stringify(answerData) : null,
+                question.difficulty ?? null,
+                question.bloomLevel ?? null,
+                objectiveIds ? JSON.stringify(objectiveIds) : null,
+                language,
+                sourceQuizId
+            ]
+        );
+
+        await this._replaceTags(connection, result.insertId, tags);
+
+        return result.insertId;
+    }
+
+    /**
+     * Replace the tags of a bank question
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} id - Bank question ID
+     * @param {Array<string>} tags - New tags
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _replaceTags(connection, id, tags) {
+        await connection.execute('DELETE FROM bank_question_tags WHERE bank_question_id = ?', [id]);
+
+        const uniqueTags = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        for (const tag of uniqueTags) {
+            await connection.execute(
+                'INSERT INTO bank_question_tags (bank_question_id, tag) VALUES (?, ?)',
+                [id, tag]
+            );
+        }
+    }
+
+    /**
+     * Get the tags of bank questions
+     * @param {Array<number>} ids - Bank question IDs
+     * @returns {Promise<Map<number, Array<string>>>} Tags by question ID
+     * @private
+     */
+    static async _getTags(ids) {
+        const tags = new Map();
+        if (ids.length === 0) {
+            return tags;
+        }
+
+        const rows = await DBService.query(
+            `SELECT bank_question_id, tag FROM bank_question_tags
+             WHERE bank_question_id IN (${ids.map(() => '?').join(', ')})
+             ORDER BY tag ASC`,
+            ids
+        );
+
+        for (const row of rows) {
+            if (!tags.has(row.bank_question_id)) {
+                tags.set(row.bank_question_id, []);
+            }
+            tags.get(row.bank_question_id).push(row.tag);
+        }
+
+        return tags;
+    }
+
+    /**
+     * Find a question of the user's bank
+     * @param {number} id - Bank question ID
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} Row
+     * @throws {Error} 404 if the question is not in the user's bank
+     * @private
+     */
+    static async _findQuestion(id, userId) {
+        const row = await DBService.queryOne(
+            'SELECT * FROM bank_questions WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+
+        if (!row) {
+            throw createBankError(404, 'Question not found in your question bank');
+        }
+
+        return row;
+    }
+
+    /**
+     * Format a bank question row in the format of quiz questions
+     * @param {Object} row - Row from the bank_questions table, with usage_count and last_used_at when listed
+     * @param {Array<string>} [tags] - Tags of the question
+     * @returns {Object} Question
+     * @private
+     */
+    static _formatQuestion(row, tags = []) {
+        return {
+            id: row.id,
+            questionType: row.question_type,
+            questionText: row.question_text,
+            image: row.image_path,
+            audio: row.audio_path,
+            explanation: row.explanation,
+            difficulty: row.difficulty,
+            bloomLevel: row.bloom_level,
+            language: row.language,
+            options: this._parseJson(row.options) || [],
+            ...(this._parseJson(row.answer_data) || {}),
+            objectiveIds: this._parseJson(row.objective_ids) || [],
+            tags,
+            sourceQuizId: row.source_quiz_id,
+            usageCount: Number(row.usage_count ?? 0),
+            lastUsedAt: row.last_used_at ?? null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Parse a JSON column (mysql2 may already return an object)
+     * @param {string|Object|null} value - Column value
+     * @returns {*} Parsed value, or null if the column is empty
+     * @private
+     */
+    static _parseJson(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+}
+
+export default QuestionBankService;
@@ -0,0 +1,242 @@
+// backend/src/services/questionRegenerationService.js
+import aiService from './aiService.js';
+import QuizService from './quizService.js';
+import { describeLevelTargets, summarizeLevels } from '../utils/questionLevels.js';
+import { logger } from '../utils/logger.js';
+
+// Long questions are shortened in the list of existing questions to keep prompts small
+const MAX_LISTED_QUESTION_LENGTH = 300;
+
+/**
+ * Service for changing single questions of a saved quiz through the AI.
+ *
+ * A question can be replaced in place, or more questions can be appended.
+ * The rest of the quiz is sent along so the new questions do not repeat
+ * existing ones, and the result is saved through QuizService.updateQuizQuestions.
+ */
+class QuestionRegenerationService {
+    /**
+     * Replace one question of a saved quiz with a newly generated one
+     * @param {Object} quiz - Quiz from QuizService.getQuizById
+     * @param {number} position - 1-based number of the question to replace
+     * @param {Object} [options] - Generation options
+     * @param {string} [options.additionalInstructions] - What to change, e.g. "make it harder"
+     * @param {number} [options.userId] - Author of the change in the version history
+     * @returns {Promise<{question: Object, validation: Object}>} Saved question
+     * @throws {Error} 404 if the quiz has no such question
+     */
+    static async regenerateQuestion(quiz, position, options = {}) {
+        const { question, validation } = await this.createReplacement(quiz, position, options);
+        const replacesId = quiz.questions[position - 1].id;
+
+        await this._save(quiz, [{ ...question, replacesId }], options.userId, `Regenerated question ${position}`);
+
+        logger.info(`Regenerated question ${position} of quiz ${quiz.id}`);
+
+        return { question: { ...question, id: replacesId }, validation };
+    }
+
+    /**
+     * Generate a replacement for one question without saving it, e.g. for a quiz that is not saved yet
+     * @param {Object} quiz - Quiz with title, topic, question_type, language, student_level and questions
+     * @param {number} position - 1-based number of the question to replace
+     * @param {Object} [options] - Generation options
+     * @param {string} [options.additionalInstructions] - What to change, e.g. "make it harder"
+     * @returns {Promise<{question: Object, validation: Object}>} New question of the same type and levels
+     * @throws {Error} 404 if the quiz has no such question
+     */
+    static async createReplacement(quiz, position, { additionalInstructions } = {}) {
+        const replaced = quiz.questions[position - 1];
+        if (!replaced) {
+            const error = new Error(`Question ${position} not found`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const questionType = replaced.questionType || quiz.question_type;
+
+        // The replacement keeps the levels the quiz was planned with
+        const levels = replaced.difficulty || replaced.bloomLevel
+            ? [{ difficulty: replaced.difficulty || null, bloomLevel: replaced.bloomLevel || null }]
+            : null;
+
+        const { questions, validation } = await this._generate(quiz, 1, {
+            questionType,
+            additionalInstructions,
+            levels,
+            replacing: { position, question: replaced }
+        });
+
+        return { question: { ...questions[0], questionType }, validation };
+    }
+
+    /**
+     * Append newly generated questions to a saved quiz
+     * @param {Object} quiz - Quiz from QuizService.getQuizById
+     * @param {number} count - Number of questions to add
+     * @param {Object} [options] - Generation options
+     * @param {string} [options.additionalInstructions] - Additional generation instructions
+     * @param {Object|string} [options.difficultyMix] - Difficulty percentages of the new questions
+     * @param {Object|string} [options.bloomMix] - Bloom level percentages of the new questions
+     * @param {number} [options.userId] - Author of the change in the version history
+     * @returns {Promise<{questions: Array<Object>, validation: Object, distribution: Object}>} Saved questions
+     */
+    static async generateMoreQuestions(quiz, count, { additionalInstructions, difficultyMix, bloomMix, userId } = {}) {
+        const levels = aiService.planQuestionLevels(count, { difficultyMix, bloomMix });
+
+        const { questions, validation } = await this._generate(quiz, count, {
+            questionType: quiz.question_type,
+            additionalInstructions,
+            levels
+        });
+
+        await this._save(quiz, questions, userId, `Generated ${questions.length} more question(s)`);
+
+        logger.info(`Added ${questions.length} question(s) to quiz ${quiz.id}`);
+
+        return { questions, validation, distribution: summarizeLevels(questions, levels) };
+    }
+
+    /**
+     * Generate and validate questions for a quiz
+     * @param {Object} quiz - Quiz with its current questions
+     * @param {number} count - Number of questions
+     * @param {Object} settings - Prompt settings, see _createPrompt
+     * @returns {Promise<{questions: Array<Object>, validation: Object}>} Valid questions
+     * @private
+     */
+    static async _generate(quiz, count, settings) {
+        const existing = this._existingQuestions(quiz, settings.replacing);
+
+        const result = await aiService.generateText(this._createPrompt(quiz, count, settings, existing), {
+            temperature: 1,
+            maxOutputTokens: 8192,
+            context: {
+                task: 'quiz',
+                topic: quiz.topic,
+                questionType: settings.questionType,
+                numberOfQuestions: count,
+                levels: settings.levels,
+                existingQuestions: quiz.questions.map(question => question.questionText)
+            }
+        });
+
+        const data = aiService.parseResponse(result.text);
+        if (!data.questions || !Array.isArray(data.questions)) {
+            throw new Error('Invalid quiz data structure from AI response');
+        }
+
+        const { questions, validation } = await aiService.validateAndRepairQuestions(data.questions.slice(0, count), {
+            topic: quiz.topic,
+            questionType: settings.questionType,
+            language: quiz.language
+        });
+
+        if (questions.length === 0) {
+            throw new Error('AI response did not contain any valid questions');
+        }
+
+        return { questions, validation };
+    }
+
+    /**
+     * Save generated questions, turning a failed update into an error
+     *
+     * The quiz must still be at the version it was loaded at, so a change made
+     * while the AI was writing is not overwritten.
+     * @param {Object} quiz - Quiz the questions were generated for
+     * @param {Array<Object>} questions - New questions and replacements
+     * @param {number} [userId] - Author of the change
+     * @param {string} summary - Summary for the version history
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _save(quiz, questions, userId, summary) {
+        const result = await QuizService.updateQuizQuestions(quiz.id, questions, {
+            userId,
+            baseVersion: quiz.version,
+            summary
+        });
+
+        if (!result.success) {
+            const error = new Error(result.error || 'Failed to update quiz questions');
+            error.statusCode = result.statusCode;
+            throw error;
+        }
+    }
+
+    /**
+     * List the other questions of the quiz for the prompt
+     * @param {Object} quiz - Quiz with its current questions
+     * @param {Object} [replacing] - Question being replaced, left out of the list
+     * @returns {string} Numbered list of question texts
+     * @private
+     */
+    static _existingQuestions(quiz, replacing) {
+        return quiz.questions
+            .map((question, index) => {
+                if (replacing && index === replacing.position - 1) {
+                    return null;
+                }
+
+                const text = question.questionText.length > MAX_LISTED_QUESTION_LENGTH
+                    ? `${question.questionText.slice(0, MAX_LISTED_QUESTION_LENGTH)}...`
+                    : question.questionText;
+                return `${index + 1}. ${text}`;
+            })
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * Create the prompt for new or replacement questions
+     * @param {Object} quiz - Quiz with its current questions
+     * @param {number} count - Number of questions
+     * @param {Object} settings - Prompt settings
+     * @param {string} settings.questionType - Type of the new questions, or 'Mixed'
+     * @param {string} [settings.additionalInstructions] - Additional generation instructions
+     * @param {Array<Object>|null} [settings.levels] - Difficulty and Bloom level plan of the new questions
+     * @param {Object} [settings.replacing] - Position and question being replaced
+     * @param {string} existing - Numbered list of the other questions
+     * @returns {string} Prompt for AI
+     * @private
+     */
+    static _createPrompt(quiz, count, settings, existing) {
+        const { questionType, additionalInstructions, levels, replacing } = settings;
+
+        const languagePrompt = quiz.language === 'thai'
+            ? "Write the questions in Thai language."
+            : "Write the questions in English language.";
+
+        let prompt;
+        if (replacing) {
+            prompt = `Write 1 new ${questionType} question to replace question ${replacing.position} of the quiz "${quiz.title}" about "${quiz.topic}". ${languagePrompt}`;
+            prompt += ` The question being replaced is: "${replacing.question.questionText}". The new question must not be a reworded copy of it.`;
+        } else {
+            prompt = `Write ${count} more ${questionType} questions for the quiz "${quiz.title}" about "${quiz.topic}". ${languagePrompt}`;
+        }
+
+        if (quiz.student_level) {
+            prompt += ` The quiz is intended for ${quiz.student_level} level students.`;
+        }
+
+        if (existing) {
+            prompt += ` The quiz already has the questions listed below. Do not repeat any of them or ask the same thing in other words; cover parts of the topic they leave out.`;
+        }
+
+        if (additionalInstructions) {
+            prompt += ` Additional instructions: ${additionalInstructions}`;
+        }
+
+        prompt += describeLevelTargets(levels);
+        prompt += aiService.getFormatInstructions(questionType);
+
+        if (existing) {
+            prompt += `\n\nEXISTING QUESTIONS:\n${existing}`;
+        }
+
+        return prompt;
+    }
+}
+
+export default QuestionRegenerationService;
@@ -1,7 +1,53 @@
 // backend/src/services/quizService.js
 import DBService from './dbService.js';
+import AnswerKeyService from './answerKeyService.js';
+import ObjectiveService from './objectiveService.js';
+import QuizVersionService from './quizVersionService.js';
+import { QuestionType, MIXED_QUESTION_TYPE } from '../utils/questionTypes.js';
+import { cleanMediaPath } from '../utils/questionMedia.js';
 import { logger } from '../utils/logger.js';
 
+// Answer fields of matching, ordering, fill-in-the-blank and short answer questions
+const ANSWER_DATA_FIELDS = ['pairs', 'items', 'answers'];
+
+// Question types answered by picking options, and those of them with exactly one correct option
+const OPTION_TYPES = [QuestionType.MULTIPLE_CHOICE, QuestionType.TRUE_FALSE, QuestionType.MULTIPLE_SELECT];
+const SINGLE_ANSWER_TYPES = [QuestionType.MULTIPLE_CHOICE, QuestionType.TRUE_FALSE];
+
+// Answer field of each type that does not use options
+const ANSWER_FIELD_BY_TYPE = {
+    [QuestionType.MATCHING]: 'pairs',
+    [QuestionType.ORDERING]: 'items',
+    [QuestionType.FILL_IN_THE_BLANK]: 'answers',
+    [QuestionType.SHORT_ANSWER]: 'answers'
+};
+
+// Columns of the media a question stem can have, by kind (see utils/questionMedia.js)
+const QUESTION_MEDIA_COLUMNS = {
+    image: 'image_path',
+    audio: 'audio_path'
+};
+
+// Fields of a question that can be edited on their own, with their columns
+const EDITABLE_FIELDS = {
+    questionText: 'question_text',
+    explanation: 'explanation',
+    difficulty: 'difficulty',
+    bloomLevel: 'bloom_level'
+};
+
+/**
+ * Create an error with an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createQuizError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
 /**
  * Service for quiz operations
  */
@@ -27,24 +73,11 @@ class QuizService {
 
                 // Insert questions
                 for (const question of questions) {
-                    const [questionResult] = await connection.execute(
-                        'INSERT INTO questions (quiz_id, question_text, explanation, created_at) VALUES (?, ?, ?, NOW())',
-                        [quizId, question.questionText, question.explanation]
-                    );
-
-                    const questionId = questionResult.insertId;
-
-                    // Insert options for multiple choice questions
-                    if (question.options && question.options.length > 0) {
-                        for (const option of question.options) {
-                            await connection.execute(
-                                'INSERT INTO options (question_id, option_text, is_correct, created_at) VALUES (?, ?, ?, NOW())',
-                                [questionId, option.text, option.isCorrect]
-                            );
-                        }
-                    }
+                    await this._insertQuestion(connection, quizId, question, questionType);
                 }
 
+                await this._recordChange(connection, quizId, { userId, summary: 'Created' });
+
                 return { success: true, quizId };
             });
         } catch (error) {
@@ -65,9 +98,11 @@ class QuizService {
      * @param {number} options.offset - Number of records to skip
      * @param {number} options.userId - Filter by user ID (optional)
      * @param {string} options.search - Search term (optional)
+     * @param {string} options.difficulty - Only quizzes with questions of this difficulty (optional)
+     * @param {string} options.bloomLevel - Only quizzes with questions at this Bloom level (optional)
      * @returns {Promise<Object>} Quizzes with pagination info
      */
-    static async getAllQuizzes({ limit = 10, offset = 0, userId = null, search = null }) {
+    static async getAllQuizzes({ limit = 10, offset = 0, userId = null, search = null, difficulty = null, bloomLevel = null }) {
         try {
             // Base query
             let query = 'SELECT * FROM quizzes';
@@ -91,6 +126,18 @@ class QuizService {
                 countParams.push(`%${search}%`, `%${search}%`);
             }
 
+            if (difficulty) {
+                filters.push('EXISTS (SELECT 1 FROM questions WHERE questions.quiz_id = quizzes.id AND questions.difficulty = ?)');
+                queryParams.push(difficulty);
+                countParams.push(difficulty);
+            }
+
+            if (bloomLevel) {
+                filters.push('EXISTS (SELECT 1 FROM questions WHERE questions.quiz_id = quizzes.id AND questions.bloom_level = ?)');
+                queryParams.push(bloomLevel);
+                countParams.push(bloomLevel);
+            }
+
             // Apply filters
             if (filters.length > 0) {
                 const whereClause = filters.join(' AND ');
@@ -140,29 +187,21 @@ class QuizService {
 
                 // Get all questions for this quiz
                 const [questionRows] = await connection.execute(
-                    'SELECT * FROM questions WHERE quiz_id = ? ORDER BY id ASC',
+                    'SELECT * FROM questions WHERE quiz_id = ? ORDER BY position ASC, id ASC',
                     [quizId]
                 );
 
+                // Open answer-key flags, shown as warnings on their questions
+                const flags = await AnswerKeyService.getOpenFlags(quizId);
+
+                // Learning objectives the questions are tagged with
+                const objectiveTags = await ObjectiveService.getQuizObjectives(quizId);
+
                 const questions = [];
 
                 // Get options for each question
                 for (const question of questionRows) {
-                    const [optionRows] = await connection.execute(
-                        'SELECT * FROM options WHERE question_id = ? ORDER BY id ASC',
-                        [question.id]
-                    );
-
-                    questions.push({
-                        id: question.id,
-                        questionText: question.question_text,
-                        explanation: question.explanation,
-                        options: optionRows.map(option => ({
-                            id: option.id,
-                            text: option.option_text,
-                            isCorrect: option.is_correct === 1
-                        }))
-                    });
+                    questions.push(await this._formatQuestion(connection, quiz, question, flags, objectiveTags));
                 }
 
                 return {
@@ -176,6 +215,51 @@ class QuizService {
         }
     }
 
+    /**
+     * Get one question of a quiz in the format of getQuizById
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @returns {Promise<Object|null>} Question, or null if it does not belong to the quiz
+     */
+    static async getQuizQuestion(quizId, questionId) {
+        return DBService.withConnection(async (connection) => {
+            const [[quiz]] = await connection.execute('SELECT question_type FROM quizzes WHERE id = ?', [quizId]);
+            const [questionRows] = await connection.execute(
+                'SELECT * FROM questions WHERE id = ? AND quiz_id = ?',
+                [questionId, quizId]
+            );
+
+            if (!quiz || questionRows.length === 0) {
+                return null;
+            }
+
+            const flags = await AnswerKeyService.getOpenFlags(quizId);
+            const objectiveTags = await ObjectiveService.getQuizObjectives(quizId);
+
+            return this._formatQuestion(connection, quiz, questionRows[0], flags, objectiveTags);
+        });
+    }
+
+    /**
+     * Check whether a user may see a quiz: its owner, or a user it was shared with or granted to
+     * @param {number} quizId - Quiz ID
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} True if the user has any access to the quiz
+     */
+    static async checkQuizAccess(quizId, userId) {
+        return this._hasQuizPermission(quizId, userId, ['owner', 'edit', 'view']);
+    }
+
+    /**
+     * Check whether a user may change a quiz: its owner, or a user it was shared with or granted to for editing
+     * @param {number} quizId - Quiz ID
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} True if the user may edit the quiz
+     */
+    static async checkQuizEditAccess(quizId, userId) {
+        return this._hasQuizPermission(quizId, userId, ['owner', 'edit']);
+    }
+
     /**
      * Delete a quiz and all related data
      * @param {number} quizId - Quiz ID
@@ -222,23 +306,26 @@ class QuizService {
      * Rename a quiz
      * @param {number} quizId - Quiz ID
      * @param {string} newTitle - New title
-     * @returns {Promise<Object>} Result with success status
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<Object>} Result with success status and the new version number
      */
-    static async renameQuiz(quizId, newTitle) {
+    static async renameQuiz(quizId, newTitle, { userId = null, baseVersion = null } = {}) {
         try {
-            const result = await DBService.update('quizzes',
-                { title: newTitle, updated_at: new Date() },
-                { id: quizId }
-            );
+            return await DBService.withTransaction(async (connection) => {
+                await this._beginChange(connection, quizId, baseVersion);
 
-            if (result === 0) {
-                return { success: false, error: 'Quiz not found' };
-            }
+                await connection.execute(
+                    'UPDATE quizzes SET title = ?, updated_at = NOW() WHERE id = ?',
+                    [newTitle, quizId]
+                );
 
-            return { success: true };
+                const version = await this._recordChange(connection, quizId, { userId, summary: `Renamed to "${newTitle}"` });
+
+                return { success: true, version };
+            });
         } catch (error) {
             logger.error('Error renaming quiz:', error);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, statusCode: error.statusCode };
         }
     }
 
@@ -291,60 +378,576 @@ class QuizService {
 
     /**
      * Update quiz questions
+     *
+     * Questions without an ID are appended. A question with `replacesId` is
+     * written over the stored question of that ID so it keeps its position.
      * @param {number} quizId - Quiz ID
      * @param {Array} questions - Question data
-     * @returns {Promise<Object>} Result with success status
+     * @param {Object} [change] - Author, base version and summary of the change, see _beginChange
+     * @returns {Promise<Object>} Result with success status and, if anything changed, the new version number
      */
-    static async updateQuizQuestions(quizId, questions) {
+    static async updateQuizQuestions(quizId, questions, { userId = null, baseVersion = null, summary = null } = {}) {
         try {
             return await DBService.withTransaction(async (connection) => {
-                // Verify quiz exists
-                const [quizRows] = await connection.execute(
-                    'SELECT * FROM quizzes WHERE id = ?',
-                    [quizId]
-                );
-
-                if (quizRows.length === 0) {
-                    return { success: false, error: 'Quiz not found' };
-                }
+                const quiz = await this._beginChange(connection, quizId, baseVersion);
 
                 // Process only new questions (without an ID)
-                for (const question of questions) {
-                    if (question.id) continue;
-
-                    // Insert new question
-                    const [questionResult] = await connection.execute(
-                        'INSERT INTO questions (quiz_id, question_text, explanation, created_at) VALUES (?, ?, ?, NOW())',
-                        [quizId, question.questionText, question.explanation]
-                    );
-
-                    const questionId = questionResult.insertId;
-
-                    // Insert options if this is a multiple choice question
-                    if (question.options && question.options.length > 0) {
-                        for (const option of question.options) {
-                            await connection.execute(
-                                'INSERT INTO options (question_id, option_text, is_correct, created_at) VALUES (?, ?, ?, NOW())',
-                                [questionId, option.text, option.isCorrect]
-                            );
-                        }
+                const changed = questions.filter(question => !question.id);
+                for (const question of changed) {
+                    if (question.replacesId) {
+                        await this._replaceQuestion(connection, quizId, question, quiz.question_type);
+                    } else {
+                        await this._insertQuestion(connection, quizId, question, quiz.question_type);
                     }
                 }
 
+                if (changed.length === 0) {
+                    return { success: true };
+                }
+
                 // Update quiz timestamp
                 await connection.execute(
                     'UPDATE quizzes SET updated_at = NOW() WHERE id = ?',
                     [quizId]
                 );
 
-                return { success: true };
+                const replaced = changed.filter(question => question.replacesId).length;
+                const added = changed.length - replaced;
+                const version = await this._recordChange(connection, quizId, {
+                    userId,
+                    summary: summary || [
+                        replaced > 0 ? `Replaced ${replaced} question(s)` : null,
+                        added > 0 ? `Added ${added} question(s)` : null
+                    ].filter(Boolean).join(', ')
+                });
+
+                return { success: true, version };
             });
         } catch (error) {
             logger.error('Error updating quiz questions:', error);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, statusCode: error.statusCode };
         }
     }
 
+    /**
+     * Store new explanations of a quiz's questions, leaving everything else of the questions as it is
+     * @param {number} quizId - Quiz ID
+     * @param {Array<{id: number, explanation: string}>} explanations - Explanation of each question
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<void>}
+     */
+    static async saveExplanations(quizId, explanations, { userId = null, baseVersion = null } = {}) {
+        await DBService.withTransaction(async (connection) => {
+            await this._beginChange(connection, quizId, baseVersion);
+
+            for (const { id, explanation } of explanations) {
+                await connection.execute(
+                    'UPDATE questions SET explanation = ? WHERE id = ? AND quiz_id = ?',
+                    [explanation, id, quizId]
+                );
+            }
+
+            await connection.execute('UPDATE quizzes SET updated_at = NOW() WHERE id = ?', [quizId]);
+
+            await this._recordChange(connection, quizId, { userId, summary: `Wrote ${explanations.length} explanation(s)` });
+        });
+    }
+
+    /**
+     * Store the translations of a quiz's questions and the language they are in
+     * @param {number} quizId - Quiz ID
+     * @param {string} language - Language of the translations
+     * @param {Array<{id: number, translation: Object}>} translations - Translation of each question
+     * @param {Object} [change] - Base version the translations were made from
+     * @returns {Promise<void>}
+     * @throws {Error} 409 if the quiz changed since baseVersion
+     */
+    static async saveTranslations(quizId, language, translations, { baseVersion = null } = {}) {
+        await DBService.withTransaction(async (connection) => {
+            // Translations are not versioned, but they must not be written over newer question texts
+            await QuizVersionService.lock(connection, quizId, baseVersion);
+
+            for (const { id, translation } of translations) {
+                await connection.execute(
+                    'UPDATE questions SET translation = ? WHERE id = ? AND quiz_id = ?',
+                    [JSON.stringify(translation), id, quizId]
+                );
+            }
+
+            await connection.execute(
+                'UPDATE quizzes SET translation_language = ?, updated_at = NOW() WHERE id = ?',
+                [language, quizId]
+            );
+        });
+    }
+
+    /**
+     * Set the learning objective tags of a saved question
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {Array<number>} objectiveIds - Objective IDs, already checked with ObjectiveService.getObjectives
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<number>} New version number
+     * @throws {Error} 404 if the question does not belong to the quiz, 409 if the quiz changed since baseVersion
+     */
+    static async setQuestionObjectives(quizId, questionId, objectiveIds, { userId = null, baseVersion = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            await this._beginChange(connection, quizId, baseVersion);
+
+            const [rows] = await connection.execute(
+                'SELECT id FROM questions WHERE id = ? AND quiz_id = ?',
+                [questionId, quizId]
+            );
+
+            if (rows.length === 0) {
+                const error = new Error('Question not found');
+                error.statusCode = 404;
+                throw error;
+            }
+
+            await ObjectiveService.replaceQuestionObjectives(connection, questionId, objectiveIds);
+            return this._recordChange(connection, quizId, { userId, summary: 'Changed the learning objectives of a question' });
+        });
+    }
+
+    /**
+     * Add one question to a saved quiz
+     * @param {number} quizId - Quiz ID
+     * @param {Object} question - Question data with options or the answer field of its type
+     * @param {Object} [change] - Author and base version of the change, see _beginChange, and the
+     *   1-based position of the new question (last if not given)
+     * @returns {Promise<{questionId: number, version: number}>} New question ID and version number
+     * @throws {Error} 400 if the question does not fit the quiz or has no answer, 409 if the quiz changed since baseVersion
+     */
+    static async addQuestion(quizId, question, { userId = null, baseVersion = null, position = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            const quiz = await this._beginChange(connection, quizId, baseVersion);
+
+            const questionType = question.questionType || quiz.question_type;
+            if (questionType === MIXED_QUESTION_TYPE) {
+                throw createQuizError(400, 'Choose the type of the question');
+            }
+            if (quiz.question_type !== MIXED_QUESTION_TYPE && questionType !== quiz.question_type) {
+                throw createQuizError(400, `This quiz only has ${quiz.question_type} questions`);
+            }
+
+            const questionId = await this._insertQuestion(connection, quizId, this._buildNewQuestion(question, questionType), quiz.question_type);
+            const number = await this._moveQuestion(connection, quizId, questionId, position);
+
+            const version = await this._recordEdit(connection, quizId, { userId, summary: `Added question ${number}` });
+            return { questionId, version };
+        });
+    }
+
+    /**
+     * Change some fields of one question of a saved quiz, leaving the others as they are
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {Object} fields - questionText, explanation, difficulty, bloomLevel and/or the answer field of the question's type
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{questionId: number, version: number}>} Question ID and new version number
+     * @throws {Error} 400 if nothing or a field of another type is given, 404 if the question does not belong to the quiz
+     */
+    static async updateQuestion(quizId, questionId, fields, { userId = null, baseVersion = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            const quiz = await this._beginChange(connection, quizId, baseVersion);
+            const question = await this._findQuestion(connection, quizId, questionId);
+            const questionType = question.question_type || quiz.question_type;
+
+            const assignments = [];
+            const values = [];
+            for (const [field, column] of Object.entries(EDITABLE_FIELDS)) {
+                if (fields[field] !== undefined) {
+                    assignments.push(`${column} = ?`);
+                    values.push(fields[field]);
+                }
+            }
+
+            const answerFields = ANSWER_DATA_FIELDS.filter(field => fields[field] !== undefined);
+            const foreignField = answerFields.find(field => field !== ANSWER_FIELD_BY_TYPE[questionType]);
+            if (foreignField) {
+                throw createQuizError(400, `${questionType} questions have no "${foreignField}"`);
+            }
+            if (answerFields.length > 0) {
+                assignments.push('answer_data = ?');
+                values.push(this._serializeAnswerData({ ...this._parseAnswerData(question.answer_data), ...fields }));
+            }
+
+            if (assignments.length === 0) {
+                throw createQuizError(400, 'Nothing to change');
+            }
+
+            // The stored translation was made from the old texts
+            if (fields.questionText !== undefined || fields.explanation !== undefined || answerFields.length > 0) {
+                assignments.push('translation = NULL');
+            }
+
+            await connection.execute(`UPDATE questions SET ${assignments.join(', ')} WHERE id = ?`, [...values, questionId]);
+
+            const number = await this._questionNumber(connection, quizId, questionId);
+            const version = await this._recordEdit(connection, quizId, { userId, summary: `Edited question ${number}` });
+            return { questionId, version };
+        });
+    }
+
+    /**
+     * Delete one question of a saved quiz with its options, flags and objective tags
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{version: number}>} New version number
+     * @throws {Error} 400 for the last question of the quiz, 404 if the question does not belong to the quiz
+     */
+    static async deleteQuestion(quizId, questionId, { userId = null, baseVersion = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            await this._beginChange(connection, quizId, baseVersion);
+            await this._findQuestion(connection, quizId, questionId);
+
+            const ids = await this._questionIds(connection, quizId);
+            if (ids.length === 1) {
+                throw createQuizError(400, 'A quiz needs at least one question');
+            }
+
+            await connection.execute('DELETE FROM questions WHERE id = ?', [questionId]);
+
+            const version = await this._recordEdit(connection, quizId, { userId, summary: `Deleted question ${ids.indexOf(questionId) + 1}` });
+            return { version };
+        });
+    }
+
+    /**
+     * Put the questions of a saved quiz in a new order
+     * @param {number} quizId - Quiz ID
+     * @param {Array<number>} questionIds - Every question ID of the quiz, in the new order
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{version: number}>} New version number
+     * @throws {Error} 400 if the IDs are not exactly the quiz's questions
+     */
+    static async reorderQuestions(quizId, questionIds, { userId = null, baseVersion = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            await this._beginChange(connection, quizId, baseVersion);
+
+            const order = questionIds.map(Number);
+            if (!this._isSameSet(order, await this._questionIds(connection, quizId))) {
+                throw createQuizError(400, 'The new order must list every question of the quiz once');
+            }
+
+            await this._writeOrder(connection, 'questions', order);
+
+            const version = await this._recordEdit(connection, quizId, { userId, summary: 'Reordered the questions' });
+            return { version };
+        });
+    }
+
+    /**
+     * Copy one question of a saved quiz, placing the copy right after it
+     *
+     * The copy is meant to become a new question, so it is not linked to the
+     * question bank and has no answer-key flags.
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - ID of the question to copy
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{questionId: number, version: number}>} ID of the copy and new version number
+     * @throws {Error} 404 if the question does not belong to the quiz
+     */
+    static async duplicateQuestion(quizId, questionId, { userId = null, baseVersion = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            await this._beginChange(connection, quizId, baseVersion);
+            await this._findQuestion(connection, quizId, questionId);
+
+            const [result] = await connection.execute(
+                `INSERT INTO questions
+                    (quiz_id, position, question_type, question_text, image_path, audio_path, explanation, answer_data, translation, difficulty, bloom_level,
+                     source_section, source_page_start, source_page_end, source_excerpt, created_at)
+                 SELECT quiz_id, position, question_type, question_text, image_path, audio_path, explanation, answer_data, translation, difficulty, bloom_level,
+                        source_section, source_page_start, source_page_end, source_excerpt, NOW()
+                 FROM questions WHERE id = ?`,
+                [questionId]
+            );
+            const copyId = result.insertId;
+
+            await connection.execute(
+                `INSERT INTO options (question_id, position, option_text, image_path, is_correct, created_at)
+                 SELECT ?, position, option_text, image_path, is_correct, NOW() FROM options WHERE question_id = ? ORDER BY position ASC, id ASC`,
+                [copyId, questionId]
+            );
+            await connection.execute(
+                'INSERT INTO question_objectives (question_id, objective_id) SELECT ?, objective_id FROM question_objectives WHERE question_id = ?',
+                [copyId, questionId]
+            );
+
+            const original = await this._questionNumber(connection, quizId, questionId);
+            await this._moveQuestion(connection, quizId, copyId, original + 1);
+
+            const version = await this._recordEdit(connection, quizId, { userId, summary: `Duplicated question ${original}` });
+            return { questionId: copyId, version };
+        });
+    }
+
+    /**
+     * Add an option to a choice question of a saved quiz
+     *
+     * Marking the new option correct in a single-answer question unmarks the others.
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {{text: string, isCorrect: boolean}} option - New option
+     * @param {Object} [change] - Author and base version of the change, see _beginChange, and the
+     *   1-based position of the new option (last if not given)
+     * @returns {Promise<{questionId: number, version: number}>} Question ID and new version number
+     * @throws {Error} 400 for questions without options and True/False questions, 404 if the question does not belong to the quiz
+     */
+    static async addOption(quizId, questionId, option, { userId = null, baseVersion = null, position = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            const quiz = await this._beginChange(connection, quizId, baseVersion);
+            const { questionType, options, number } = await this._findChoiceQuestion(connection, quiz, questionId);
+
+            if (questionType === QuestionType.TRUE_FALSE) {
+                throw createQuizError(400, 'True/False questions have exactly two options');
+            }
+
+            const [result] = await connection.execute(
+                'INSERT INTO options (question_id, position, option_text, is_correct, created_at) VALUES (?, ?, ?, ?, NOW())',
+                [questionId, options.length + 1, option.text, Boolean(option.isCorrect)]
+            );
+
+            if (option.isCorrect) {
+                await this._keepOnlyCorrect(connection, questionType, questionId, result.insertId);
+            }
+
+            const ids = options.map(item => item.id);
+            ids.splice(position ? Math.min(position, ids.length + 1) - 1 : ids.length, 0, result.insertId);
+            await this._writeOrder(connection, 'options', ids);
+            await this._dropTranslation(connection, questionId);
+
+            const version = await this._recordEdit(connection, quizId, { userId, summary: `Added an option to question ${number}` });
+            return { questionId, version };
+        });
+    }
+
+    /**
+     * Change the text of an option and/or whether it is correct
+     *
+     * Marking an option correct in a single-answer question unmarks the others.
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {number} optionId - Option ID
+     * @param {{text?: string, isCorrect?: boolean}} fields - Fields to change
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{questionId: number, version: number}>} Question ID and new version number
+     * @throws {Error} 400 if nothing is given or the question would have no correct option, 404 if the option does not exist
+     */
+    static async updateOption(quizId, questionId, optionId, { text, isCorrect }, { userId = null, baseVersion = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            const quiz = await this._beginChange(connection, quizId, baseVersion);
+            const { questionType, options, number } = await this._findChoiceQuestion(connection, quiz, questionId);
+            const option = this._findOption(options, optionId);
+
+            if (text === undefined && isCorrect === undefined) {
+                throw createQuizError(400, 'Nothing to change');
+            }
+            if (isCorrect === false && this._isOnlyCorrect(options, option)) {
+                throw createQuizError(400, 'A question needs a correct option; mark another option as correct instead');
+            }
+
+            if (text !== undefined) {
+                await connection.execute('UPDATE options SET option_text = ? WHERE id = ?', [text, optionId]);
+                await this._dropTranslation(connection, questionId);
+            }
+
+            if (isCorrect !== undefined) {
+                await connection.execute('UPDATE options SET is_correct = ? WHERE id = ?', [isCorrect, optionId]);
+                if (isCorrect) {
+                    await this._keepOnlyCorrect(connection, questionType, questionId, optionId);
+                }
+            }
+
+            const version = await this._recordEdit(connection, quizId, { userId, summary: `Edited an option of question ${number}` });
+            return { questionId, version };
+        });
+    }
+
+    /**
+     * Delete an option of a choice question
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {number} optionId - Option ID
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{questionId: number, version: number}>} Question ID and new version number
+     * @throws {Error} 400 if the question would have fewer than two options or no correct option, 404 if the option does not exist
+     */
+    static async deleteOption(quizId, questionId, optionId, { userId = null, baseVersion = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            const quiz = await this._beginChange(connection, quizId, baseVersion);
+            const { options, number } = await this._findChoiceQuestion(connection, quiz, questionId);
+            const option = this._findOption(options, optionId);
+
+            if (options.length <= 2) {
+                throw createQuizError(400, 'A question needs at least two options');
+            }
+            if (this._isOnlyCorrect(options, option)) {
+                throw createQuizError(400, 'Mark another option as correct before deleting the correct one');
+            }
+
+            await connection.execute('DELETE FROM options WHERE id = ?', [optionId]);
+            await this._dropTranslation(connection, questionId);
+
+            const version = await this._recordEdit(connection, quizId, { userId, summary: `Deleted an option of question ${number}` });
+            return { questionId, version };
+        });
+    }
+
+    /**
+     * Put the options of a choice question in a new order
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {Array<number>} optionIds - Every option ID of the question, in the new order
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{questionId: number, version: number}>} Question ID and new version number
+     * @throws {Error} 400 if the IDs are not exactly the question's options
+     */
+    static async reorderOptions(quizId, questionId, optionIds, { userId = null, baseVersion = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            const quiz = await this._beginChange(connection, quizId, baseVersion);
+            const { options, number } = await this._findChoiceQuestion(connection, quiz, questionId);
+
+            const order = optionIds.map(Number);
+            if (!this._isSameSet(order, options.map(option => option.id))) {
+                throw createQuizError(400, 'The new order must list every option of the question once');
+            }
+
+            await this._writeOrder(connection, 'options', order);
+            await this._dropTranslation(connection, questionId);
+
+            const version = await this._recordEdit(connection, quizId, { userId, summary: `Reordered the options of question ${number}` });
+            return { questionId, version };
+        });
+    }
+
+    /**
+     * Copy an option of a choice question, placing the copy right after it
+     *
+     * The copy starts as a wrong option so single-answer questions keep one correct option.
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {number} optionId - ID of the option to copy
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{questionId: number, version: number}>} Question ID and new version number
+     * @throws {Error} 400 for True/False questions, 404 if the option does not exist
+     */
+    static async duplicateOption(quizId, questionId, optionId, { userId = null, baseVersion = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            const quiz = await this._beginChange(connection, quizId, baseVersion);
+            const { questionType, options, number } = await this._findChoiceQuestion(connection, quiz, questionId);
+            const option = this._findOption(options, optionId);
+
+            if (questionType === QuestionType.TRUE_FALSE) {
+                throw createQuizError(400, 'True/False questions have exactly two options');
+            }
+
+            const [result] = await connection.execute(
+                'INSERT INTO options (question_id, position, option_text, image_path, is_correct, created_at) VALUES (?, ?, ?, ?, FALSE, NOW())',
+                [questionId, options.length + 1, option.option_text, option.image_path]
+            );
+
+            const ids = options.map(item => item.id);
+            ids.splice(ids.indexOf(optionId) + 1, 0, result.insertId);
+            await this._writeOrder(connection, 'options', ids);
+            await this._dropTranslation(connection, questionId);
+
+            const version = await this._recordEdit(connection, quizId, { userId, summary: `Duplicated an option of question ${number}` });
+            return { questionId, version };
+        });
+    }
+
+    /**
+     * Attach an image to a question stem, replacing its image, or remove it
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {string|null} imagePath - Uploaded image, relative to uploads/ (see utils/questionMedia.js); null removes the image
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{questionId: number, version: number}>} Question ID and new version number
+     * @throws {Error} 400 if there is no image to remove, 404 if the question does not belong to the quiz
+     */
+    static async setQuestionImage(quizId, questionId, imagePath, change = {}) {
+        return this._setQuestionMedia(quizId, questionId, 'image', imagePath, change);
+    }
+
+    /**
+     * Attach an audio clip to a question, e.g. a Morse signal to decode, replacing its clip, or remove it
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {string|null} audioPath - Uploaded or synthesized audio, relative to uploads/ (see utils/questionMedia.js); null removes the clip
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{questionId: number, version: number}>} Question ID and new version number
+     * @throws {Error} 400 if there is no clip to remove, 404 if the question does not belong to the quiz
+     */
+    static async setQuestionAudio(quizId, questionId, audioPath, change = {}) {
+        return this._setQuestionMedia(quizId, questionId, 'audio', audioPath, change);
+    }
+
+    /**
+     * Attach an image to an option of a choice question, replacing its image, or remove it
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {number} optionId - Option ID
+     * @param {string|null} imagePath - Uploaded image, relative to uploads/ (see utils/questionMedia.js); null removes the image
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<{questionId: number, version: number}>} Question ID and new version number
+     * @throws {Error} 400 if there is no image to remove, 404 if the option does not exist
+     */
+    static async setOptionImage(quizId, questionId, optionId, imagePath, { userId = null, baseVersion = null } = {}) {
+        return DBService.withTransaction(async (connection) => {
+            const quiz = await this._beginChange(connection, quizId, baseVersion);
+            const { options, number } = await this._findChoiceQuestion(connection, quiz, questionId);
+            const option = this._findOption(options, optionId);
+
+            if (!imagePath && !option.image_path) {
+                throw createQuizError(400, 'The option has no image');
+            }
+
+            await connection.execute('UPDATE options SET image_path = ? WHERE id = ?', [cleanMediaPath('image', imagePath), optionId]);
+
+            const version = await this._recordEdit(connection, quizId, {
+                userId,
+                summary: imagePath ? `Set the image of an option of question ${number}` : `Removed the image of an option of question ${number}`
+            });
+            return { questionId, version };
+        });
+    }
+
+    /**
+     * Make an earlier version the current content of a quiz
+     *
+     * The questions are written again from the snapshot, so they get new IDs;
+     * the restore itself becomes the newest version and nothing is lost.
+     * Translations and answer-key flags belonged to the replaced questions and are dropped.
+     * @param {number} quizId - Quiz ID
+     * @param {number} versionNumber - Version to restore
+     * @param {Object} [change] - Author and base version of the change, see _beginChange
+     * @returns {Promise<number>} Number of the new version
+     * @throws {Error} 404 if the quiz has no such version, 409 if it changed since baseVersion
+     */
+    static async restoreVersion(quizId, versionNumber, { userId = null, baseVersion = null } = {}) {
+        const { snapshot } = await QuizVersionService.getVersion(quizId, versionNumber);
+
+        return DBService.withTransaction(async (connection) => {
+            await this._beginChange(connection, quizId, baseVersion);
+
+            await connection.execute('DELETE FROM questions WHERE quiz_id = ?', [quizId]);
+
+            for (const question of snapshot.questions) {
+                await this._insertQuestion(connection, quizId, question, snapshot.questionType);
+            }
+
+            await connection.execute(
+                'UPDATE quizzes SET title = ?, question_type = ?, translation_language = NULL, updated_at = NOW() WHERE id = ?',
+                [snapshot.title, snapshot.questionType, quizId]
+            );
+
+            return this._recordChange(connection, quizId, { userId, summary: `Restored version ${versionNumber}` });
+        });
+    }
+
     /**
      * Move quiz to a folder
      * @param {number} quizId - Quiz ID
@@ -368,6 +971,645 @@ class QuizService {
             return { success: false, error: error.message };
         }
     }
+
+    /**
+     * Check whether a user owns a quiz or holds one of the permissions on it
+     *
+     * Permissions come from quiz_permissions (granted by a school admin) and shared_quizzes (shared by a teacher).
+     * @param {number} quizId - Quiz ID
+     * @param {number} userId - User ID
+     * @param {Array<string>} types - Permission types that count, e.g. ['owner', 'edit']
+     * @returns {Promise<boolean>} True if the user has one of them
+     * @private
+     */
+    static async _hasQuizPermission(quizId, userId, types) {
+        if (!userId) {
+            return false;
+        }
+
+        const placeholders = types.map(() => '?').join(', ');
+        const row = await DBService.queryOne(
+            `SELECT 1 AS allowed FROM quizzes q
+             WHERE q.id = ? AND (
+                q.user_id = ?
+                OR EXISTS (SELECT 1 FROM quiz_permissions qp
+                           WHERE qp.quiz_id = q.id AND qp.user_id = ? AND qp.permission_type IN (${placeholders}))
+                OR EXISTS (SELECT 1 FROM shared_quizzes sq
+                           WHERE sq.quiz_id = q.id AND sq.shared_with = ? AND sq.permission_type IN (${placeholders}))
+             )`,
+            [quizId, userId, userId, ...types, userId, ...types]
+        );
+
+        return row !== null;
+    }
+
+    /**
+     * Lock a quiz for a change and check the version the editor loaded
+     *
+     * Quizzes saved before the version history existed get their current
+     * content stored as a first version, so the change can be undone.
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} quizId - Quiz ID
+     * @param {number|null} baseVersion - Version the editor loaded; null skips the check, e.g. for AI actions
+     * @returns {Promise<Object>} Locked quiz row
+     * @throws {Error} 404 if the quiz does not exist, 409 if it changed since baseVersion
+     * @private
+     */
+    static async _beginChange(connection, quizId, baseVersion) {
+        const quiz = await QuizVersionService.lock(connection, quizId, baseVersion);
+
+        if (quiz.version === 0) {
+            await QuizVersionService.insert(connection, quizId, await this._snapshot(connection, quizId), {
+                userId: quiz.user_id,
+                summary: 'Before version history'
+            });
+        }
+
+        return quiz;
+    }
+
+    /**
+     * Store the content of a quiz as its next version, at the end of a change
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} quizId - Quiz ID
+     * @param {Object} details - Author (userId) and summary of the change
+     * @returns {Promise<number>} New version number
+     * @private
+     */
+    static async _recordChange(connection, quizId, details) {
+        return QuizVersionService.insert(connection, quizId, await this._snapshot(connection, quizId), details);
+    }
+
+    /**
+     * Mark a quiz as updated and store its content as the next version, at the end of an edit
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} quizId - Quiz ID
+     * @param {Object} details - Author (userId) and summary of the change
+     * @returns {Promise<number>} New version number
+     * @private
+     */
+    static async _recordEdit(connection, quizId, details) {
+        await connection.execute('UPDATE quizzes SET updated_at = NOW() WHERE id = ?', [quizId]);
+        return this._recordChange(connection, quizId, details);
+    }
+
+    /**
+     * Set or remove the image or audio clip of a question stem
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {string} kind - 'image' or 'audio'
+     * @param {string|null} mediaPath - Stored file, relative to uploads/; null removes the media
+     * @param {Object} change - Author and base version of the change, see _beginChange
+     * @returns {Promise<{questionId: number, version: number}>} Question ID and new version number
+     * @throws {Error} 400 if there is nothing to remove, 404 if the question does not belong to the quiz
+     * @private
+     */
+    static async _setQuestionMedia(quizId, questionId, kind, mediaPath, { userId = null, baseVersion = null }) {
+        const column = QUESTION_MEDIA_COLUMNS[kind];
+
+        return DBService.withTransaction(async (connection) => {
+            await this._beginChange(connection, quizId, baseVersion);
+            const question = await this._findQuestion(connection, quizId, questionId);
+
+            if (!mediaPath && !question[column]) {
+                throw createQuizError(400, `The question has no ${kind}`);
+            }
+
+            await connection.execute(`UPDATE questions SET ${column} = ? WHERE id = ?`, [cleanMediaPath(kind, mediaPath), questionId]);
+
+            const number = await this._questionNumber(connection, quizId, questionId);
+            const version = await this._recordEdit(connection, quizId, {
+                userId,
+                summary: mediaPath ? `Set the ${kind} of question ${number}` : `Removed the ${kind} of question ${number}`
+            });
+            return { questionId, version };
+        });
+    }
+
+    /**
+     * Check a question added on its own and keep only the answer fields of its type
+     * @param {Object} question - Question data
+     * @param {string} questionType - Type of the question
+     * @returns {Object} Question to insert
+     * @throws {Error} 400 if the question has no usable answer
+     * @private
+     */
+    static _buildNewQuestion(question, questionType) {
+        const built = {
+            questionType,
+            questionText: question.questionText,
+            explanation: question.explanation ?? null,
+            difficulty: question.difficulty ?? null,
+            bloomLevel: question.bloomLevel ?? null,
+            objectiveIds: question.objectiveIds,
+            options: []
+        };
+
+        if (OPTION_TYPES.includes(questionType)) {
+            const options = question.options || [];
+            const correct = options.filter(option => option.isCorrect).length;
+
+            if (options.length < 2) {
+                throw createQuizError(400, `${questionType} questions need at least two options`);
+            }
+            if (correct === 0 || (SINGLE_ANSWER_TYPES.includes(questionType) && correct > 1)) {
+                throw createQuizError(400, SINGLE_ANSWER_TYPES.includes(questionType)
+                    ? `${questionType} questions need exactly one correct option`
+                    : `${questionType} questions need at least one correct option`);
+            }
+
+            built.options = options.map(option => ({ text: option.text, isCorrect: Boolean(option.isCorrect) }));
+        }
+
+        const answerField = ANSWER_FIELD_BY_TYPE[questionType];
+        if (answerField) {
+            if (!Array.isArray(question[answerField]) || question[answerField].length === 0) {
+                throw createQuizError(400, `${questionType} questions need "${answerField}"`);
+            }
+            built[answerField] = question[answerField];
+        }
+
+        return built;
+    }
+
+    /**
+     * Load a question row of a quiz
+     * @param {Object} connection - Database connection
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @returns {Promise<Object>} Question row
+     * @throws {Error} 404 if the question does not belong to the quiz
+     * @private
+     */
+    static async _findQuestion(connection, quizId, questionId) {
+        const [rows] = await connection.execute(
+            'SELECT * FROM questions WHERE id = ? AND quiz_id = ?',
+            [questionId, quizId]
+        );
+
+        if (rows.length === 0) {
+            throw createQuizError(404, 'Question not found');
+        }
+
+        return rows[0];
+    }
+
+    /**
+     * Load a question answered by picking options, with its options in order
+     * @param {Object} connection - Database connection
+     * @param {Object} quiz - Locked quiz row
+     * @param {number} questionId - Question ID
+     * @returns {Promise<{questionType: string, options: Array<Object>, number: number}>} Type, option rows and 1-based question number
+     * @throws {Error} 400 for questions without options, 404 if the question does not belong to the quiz
+     * @private
+     */
+    static async _findChoiceQuestion(connection, quiz, questionId) {
+        const question = await this._findQuestion(connection, quiz.id, questionId);
+        const questionType = question.question_type || quiz.question_type;
+
+        if (!OPTION_TYPES.includes(questionType)) {
+            throw createQuizError(400, `${questionType} questions have no options`);
+        }
+
+        const [options] = await connection.execute(
+            'SELECT * FROM options WHERE question_id = ? ORDER BY position ASC, id ASC',
+            [questionId]
+        );
+
+        return { questionType, options, number: await this._questionNumber(connection, quiz.id, questionId) };
+    }
+
+    /**
+     * Find an option row among the options of its question
+     * @param {Array<Object>} options - Option rows
+     * @param {number} optionId - Option ID
+     * @returns {Object} Option row
+     * @throws {Error} 404 if the option is not one of them
+     * @private
+     */
+    static _findOption(options, optionId) {
+        const option = options.find(item => item.id === optionId);
+        if (!option) {
+            throw createQuizError(404, 'Option not found');
+        }
+        return option;
+    }
+
+    /**
+     * Check whether an option is the only correct option of its question
+     * @param {Array<Object>} options - Option rows of the question
+     * @param {Object} option - One of them
+     * @returns {boolean} True if no other option is correct
+     * @private
+     */
+    static _isOnlyCorrect(options, option) {
+        return option.is_correct === 1 && options.filter(item => item.is_correct === 1).length === 1;
+    }
+
+    /**
+     * Unmark the other options of a single-answer question after one was marked correct
+     * @param {Object} connection - Database connection in a transaction
+     * @param {string} questionType - Type of the question
+     * @param {number} questionId - Question ID
+     * @param {number} correctId - ID of the option that is now correct
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _keepOnlyCorrect(connection, questionType, questionId, correctId) {
+        if (SINGLE_ANSWER_TYPES.includes(questionType)) {
+            await connection.execute(
+                'UPDATE options SET is_correct = FALSE WHERE question_id = ? AND id <> ?',
+                [questionId, correctId]
+            );
+        }
+    }
+
+    /**
+     * Forget the translation of a question whose options changed; translated options are matched by position
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} questionId - Question ID
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _dropTranslation(connection, questionId) {
+        await connection.execute('UPDATE questions SET translation = NULL WHERE id = ?', [questionId]);
+    }
+
+    /**
+     * Get the question IDs of a quiz in quiz order
+     * @param {Object} connection - Database connection
+     * @param {number} quizId - Quiz ID
+     * @returns {Promise<Array<number>>} Question IDs
+     * @private
+     */
+    static async _questionIds(connection, quizId) {
+        const [rows] = await connection.execute(
+            'SELECT id FROM questions WHERE quiz_id = ? ORDER BY position ASC, id ASC',
+            [quizId]
+        );
+        return rows.map(row => row.id);
+    }
+
+    /**
+     * Get the 1-based number of a question in its quiz
+     * @param {Object} connection - Database connection
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @returns {Promise<number>} Question number
+     * @private
+     */
+    static async _questionNumber(connection, quizId, questionId) {
+        return (await this._questionIds(connection, quizId)).indexOf(questionId) + 1;
+    }
+
+    /**
+     * Move a question of a quiz to a 1-based position, shifting the ones after it
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} quizId - Quiz ID
+     * @param {number} questionId - Question ID
+     * @param {number|null} position - New position; null leaves the question where it is
+     * @returns {Promise<number>} Question number after the move
+     * @private
+     */
+    static async _moveQuestion(connection, quizId, questionId, position) {
+        const ids = await this._questionIds(connection, quizId);
+
+        if (position) {
+            ids.splice(ids.indexOf(questionId), 1);
+            ids.splice(Math.min(position, ids.length + 1) - 1, 0, questionId);
+            await this._writeOrder(connection, 'questions', ids);
+        }
+
+        return ids.indexOf(questionId) + 1;
+    }
+
+    /**
+     * Store the order of questions or options as their positions
+     * @param {Object} connection - Database connection in a transaction
+     * @param {string} table - 'questions' or 'options'
+     * @param {Array<number>} ids - Row IDs in their new order
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _writeOrder(connection, table, ids) {
+        for (const [index, id] of ids.entries()) {
+            await connection.execute(`UPDATE ${table} SET position = ? WHERE id = ?`, [index + 1, id]);
+        }
+    }
+
+    /**
+     * Check that two lists hold the same IDs, each once
+     * @param {Array<number>} ids - IDs given by the client
+     * @param {Array<number>} expected - IDs stored
+     * @returns {boolean} True if they match
+     * @private
+     */
+    static _isSameSet(ids, expected) {
+        return ids.length === expected.length
+            && new Set(ids).size === ids.length
+            && ids.every(id => expected.includes(id));
+    }
+
+    /**
+     * Read the content of a quiz as seen inside a transaction
+     * @param {Object} connection - Database connection
+     * @param {number} quizId - Quiz ID
+     * @returns {Promise<{title: string, questionType: string, questions: Array<Object>}>} Snapshot in the format of getQuizById
+     * @private
+     */
+    static async _snapshot(connection, quizId) {
+        const [[quiz]] = await connection.execute('SELECT title, question_type FROM quizzes WHERE id = ?', [quizId]);
+        const [questionRows] = await connection.execute('SELECT * FROM questions WHERE quiz_id = ? ORDER BY position ASC, id ASC', [quizId]);
+        const [optionRows] = await connection.execute(
+            `SELECT options.* FROM options
+             JOIN questions ON questions.id = options.question_id
+             WHERE questions.quiz_id = ?
+             ORDER BY options.position ASC, options.id ASC`,
+            [quizId]
+        );
+        const [objectiveRows] = await connection.execute(
+            `SELECT question_objectives.question_id, question_objectives.objective_id
+             FROM question_objectives
+             JOIN questions ON questions.id = question_objectives.question_id
+             WHERE questions.quiz_id = ?
+             ORDER BY question_objectives.objective_id ASC`,
+            [quizId]
+        );
+
+        return {
+            title: quiz.title,
+            questionType: quiz.question_type,
+            questions: questionRows.map(question => ({
+                id: question.id,
+                bankQuestionId: question.bank_question_id,
+                questionType: question.question_type || quiz.question_type,
+                questionText: question.question_text,
+                image: question.image_path,
+                audio: question.audio_path,
+                explanation: question.explanation,
+                difficulty: question.difficulty,
+                bloomLevel: question.bloom_level,
+                source: this._formatSource(question),
+                objectiveIds: objectiveRows
+                    .filter(row => row.question_id === question.id)
+                    .map(row => row.objective_id),
+                options: optionRows
+                    .filter(option => option.question_id === question.id)
+                    .map(option => ({ text: option.option_text, image: option.image_path, isCorrect: option.is_correct === 1 })),
+                ...this._parseAnswerData(question.answer_data)
+            }))
+        };
+    }
+
+    /**
+     * Insert a question with its options and document source
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} quizId - Quiz ID
+     * @param {Object} question - Question data
+     * @param {string} quizType - Quiz question type, used when the question has none
+     * @returns {Promise<number>} New question ID
+     * @private
+     */
+    static async _insertQuestion(connection, quizId, question, quizType) {
+        const source = question.source || {};
+
+        // New questions go last; _moveQuestion puts them elsewhere
+        const [[{ nextPosition }]] = await connection.execute(
+            'SELECT COALESCE(MAX(position), 0) + 1 AS nextPosition FROM questions WHERE quiz_id = ?',
+            [quizId]
+        );
+
+        // A restored snapshot may name a bank question deleted since; the link is then dropped
+        const [questionResult] = await connection.execute(
+            `INSERT INTO questions
+                (quiz_id, position, bank_question_id, question_type, question_text, image_path, audio_path, explanation, answer_data, difficulty,
+                 bloom_level, source_section, source_page_start, source_page_end, source_excerpt, created_at)
+             VALUES (?, ?, (SELECT id FROM bank_questions WHERE id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [
+                quizId,
+                nextPosition,
+                question.bankQuestionId ?? null,
+                question.questionType || quizType,
+                question.questionText,
+                cleanMediaPath('image', question.image),
+                cleanMediaPath('audio', question.audio),
+                question.explanation,
+                this._serializeAnswerData(question),
+                question.difficulty ?? null,
+                question.bloomLevel ?? null,
+                source.section ?? null,
+                source.pageStart ?? null,
+                source.pageEnd ?? null,
+                source.excerpt ?? null
+            ]
+        );
+
+        const questionId = questionResult.insertId;
+        await this._insertOptions(connection, questionId, question.options);
+
+        // Flags raised by the answer-key check before the quiz was saved
+        if (Array.isArray(question.reviewFlags) && question.reviewFlags.length > 0) {
+            await AnswerKeyService.insertFlags(connection, quizId, questionId, question.reviewFlags);
+        }
+
+        // Objectives the question was generated for or tagged with
+        if (Array.isArray(question.objectiveIds) && question.objectiveIds.length > 0) {
+            await ObjectiveService.replaceQuestionObjectives(connection, questionId, question.objectiveIds);
+        }
+
+        return questionId;
+    }
+
+    /**
+     * Overwrite a stored question, keeping its ID and therefore its position in the quiz
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} quizId - Quiz ID
+     * @param {Object} question - New question data with `replacesId`
+     * @param {string} quizType - Quiz question type, used when the question has none
+     * @returns {Promise<number>} ID of the replaced question
+     * @throws {Error} 404 if the question does not belong to the quiz
+     * @private
+     */
+    static async _replaceQuestion(connection, quizId, question, quizType) {
+        const source = question.source || {};
+
+        const [result] = await connection.execute(
+            `UPDATE questions
+             SET bank_question_id = (SELECT id FROM bank_questions WHERE id = ?), question_type = ?, question_text = ?, image_path = ?, audio_path = ?, explanation = ?, answer_data = ?,
+                 difficulty = ?, bloom_level = ?, source_section = ?, source_page_start = ?, source_page_end = ?, source_excerpt = ?, translation = NULL
+             WHERE id = ? AND quiz_id = ?`,
+            [
+                // A newly written replacement is no longer the bank question the old one came from
+                question.bankQuestionId ?? null,
+                question.questionType || quizType,
+                question.questionText,
+                cleanMediaPath('image', question.image),
+                cleanMediaPath('audio', question.audio),
+                question.explanation,
+                this._serializeAnswerData(question),
+                question.difficulty ?? null,
+                question.bloomLevel ?? null,
+                source.section ?? null,
+                source.pageStart ?? null,
+                source.pageEnd ?? null,
+                source.excerpt ?? null,
+                question.replacesId,
+                quizId
+            ]
+        );
+
+        if (result.affectedRows === 0) {
+            const error = new Error(`Question ${question.replacesId} not found in this quiz`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        await connection.execute('DELETE FROM options WHERE question_id = ?', [question.replacesId]);
+        await this._insertOptions(connection, question.replacesId, question.options);
+
+        // Flags were about the replaced question
+        await connection.execute(
+            'DELETE FROM question_flags WHERE question_id = ? AND resolved_at IS NULL',
+            [question.replacesId]
+        );
+
+        // A replacement without tags assesses the same objectives as the question it replaces
+        if (Array.isArray(question.objectiveIds)) {
+            await ObjectiveService.replaceQuestionObjectives(connection, question.replacesId, question.objectiveIds);
+        }
+
+        return question.replacesId;
+    }
+
+    /**
+     * Insert the options of a question
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} questionId - Question ID
+     * @param {Array<Object>} [options] - Options of option-based question types
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _insertOptions(connection, questionId, options) {
+        if (!options || options.length === 0) {
+            return;
+        }
+
+        for (const [index, option] of options.entries()) {
+            await connection.execute(
+                'INSERT INTO options (question_id, position, option_text, image_path, is_correct, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+                [questionId, index + 1, option.text, cleanMediaPath('image', option.image), option.isCorrect]
+            );
+        }
+    }
+
+    /**
+     * Serialize the answers of types that do not use the options table
+     * @param {Object} question - Question data
+     * @returns {string|null} JSON with pairs, items or answers, or null
+     * @private
+     */
+    static _serializeAnswerData(question) {
+        const answerData = {};
+
+        for (const field of ANSWER_DATA_FIELDS) {
+            if (Array.isArray(question[field]) && question[field].length > 0) {
+                answerData[field] = question[field];
+            }
+        }
+
+        return Object.keys(answerData).length > 0 ? JSON.stringify(answerData) : null;
+    }
+
+    /**
+     * Parse the answer_data column (mysql2 may already return an object)
+     * @param {string|Object|null} value - Column value
+     * @returns {Object} Pairs, items or answers to spread into the question
+     * @private
+     */
+    static _parseAnswerData(value) {
+        if (value === null || value === undefined) {
+            return {};
+        }
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    /**
+     * Parse a JSON column (mysql2 may already return an object)
+     * @param {string|Object|null} value - Column value
+     * @returns {Object|null} Parsed value, or null if the column is empty
+     * @private
+     */
+    static _parseJson(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    /**
+     * Format a question row with its options, flags and objectives
+     * @param {Object} connection - Database connection
+     * @param {Object} quiz - Quiz row
+     * @param {Object} question - Row from the questions table
+     * @param {Array<Object>} flags - Open answer-key flags of the quiz
+     * @param {Array<Object>} objectiveTags - Objective tags of the quiz's questions
+     * @returns {Promise<Object>} Question
+     * @private
+     */
+    static async _formatQuestion(connection, quiz, question, flags, objectiveTags) {
+        const [optionRows] = await connection.execute(
+            'SELECT * FROM options WHERE question_id = ? ORDER BY position ASC, id ASC',
+            [question.id]
+        );
+
+        const objectives = objectiveTags
+            .filter(tag => tag.questionId === question.id)
+            .map(tag => ({ id: tag.id, courseId: tag.courseId, courseCode: tag.courseCode, code: tag.code, description: tag.description }));
+
+        return {
+            id: question.id,
+            bankQuestionId: question.bank_question_id,
+            // Questions saved before types were stored per question take the quiz's type
+            questionType: question.question_type || quiz.question_type,
+            questionText: question.question_text,
+            image: question.image_path,
+            audio: question.audio_path,
+            explanation: question.explanation,
+            difficulty: question.difficulty,
+            bloomLevel: question.bloom_level,
+            source: this._formatSource(question),
+            translation: this._parseJson(question.translation),
+            reviewFlags: flags.filter(flag => flag.questionId === question.id),
+            objectives,
+            objectiveIds: objectives.map(objective => objective.id),
+            options: optionRows.map(option => ({
+                id: option.id,
+                text: option.option_text,
+                image: option.image_path,
+                isCorrect: option.is_correct === 1
+            })),
+            ...this._parseAnswerData(question.answer_data)
+        };
+    }
+
+    /**
+     * Build the source reference of a question row
+     * @param {Object} row - Row from the questions table
+     * @returns {Object|null} Source or null if the question was not generated from a document
+     * @private
+     */
+    static _formatSource(row) {
+        if (!row.source_section && !row.source_page_start) {
+            return null;
+        }
+
+        return {
+            section: row.source_section,
+            pageStart: row.source_page_start,
+            pageEnd: row.source_page_end,
+            excerpt: row.source_excerpt
+        };
+    }
 }
 
 export default QuizService;
\ No newline at end of file
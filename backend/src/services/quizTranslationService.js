@@ -0,0 +1,178 @@
+// backend/src/services/quizTranslationService.js
+import aiService from './aiService.js';
+import QuizService from './quizService.js';
+import { BLANK_MARKER } from '../utils/questionTypes.js';
+import { LANGUAGE_NAMES, quizLanguage, otherLanguage, keepsBlank } from '../utils/quizLanguages.js';
+import { logger } from '../utils/logger.js';
+
+// Questions sent per prompt; long quizzes are translated in batches
+const BATCH_SIZE = 10;
+
+/**
+ * Service for translating saved quizzes between Thai and English.
+ *
+ * The questions, options, answers and explanations are sent to the AI as
+ * JSON and must come back with the same structure, so that the translation
+ * can be stored on the same question records next to the original text.
+ * Which options are correct is never sent or changed.
+ */
+class QuizTranslationService {
+    /**
+     * Translate a saved quiz into its other language and store the translations
+     * @param {Object} quiz - Quiz from QuizService.getQuizById
+     * @returns {Promise<{language: string, translated: number, failed: Array<number>}>}
+     *          Target language, number of translated questions and 1-based numbers of questions left untranslated
+     */
+    static async translateQuiz(quiz) {
+        const sourceLanguage = quizLanguage(quiz);
+        const targetLanguage = otherLanguage(sourceLanguage);
+
+        const translations = [];
+        for (let start = 0; start < quiz.questions.length; start += BATCH_SIZE) {
+            const batch = quiz.questions.slice(start, start + BATCH_SIZE);
+            translations.push(...await this._translateBatch(batch, sourceLanguage, targetLanguage));
+        }
+
+        const failed = [];
+        const translated = [];
+        quiz.questions.forEach((question, index) => {
+            if (translations[index]) {
+                translated.push({ id: question.id, translation: translations[index] });
+            } else {
+                failed.push(index + 1);
+            }
+        });
+
+        if (translated.length === 0) {
+            throw new Error('AI response did not contain any valid translations');
+        }
+
+        // The quiz may have been edited while the AI was translating it
+        await QuizService.saveTranslations(quiz.id, targetLanguage, translated, { baseVersion: quiz.version });
+
+        logger.info(`Translated ${translated.length} question(s) of quiz ${quiz.id} into ${targetLanguage}`);
+
+        return { language: targetLanguage, translated: translated.length, failed };
+    }
+
+    /**
+     * Translate a batch of questions
+     * @param {Array<Object>} questions - Questions from QuizService.getQuizById
+     * @param {string} sourceLanguage - Language of the questions
+     * @param {string} targetLanguage - Language to translate into
+     * @returns {Promise<Array<Object|null>>} Translation of each question, null where the AI returned an invalid one
+     * @private
+     */
+    static async _translateBatch(questions, sourceLanguage, targetLanguage) {
+        const sources = questions.map(question => this._translatableFields(question));
+
+        const result = await aiService.generateText(this._createPrompt(sources, sourceLanguage, targetLanguage), {
+            temperature: 0.2,
+            maxOutputTokens: 8192,
+            context: { task: 'translation' }
+        });
+
+        const data = aiService.parseResponse(result.text);
+        if (!data.questions || !Array.isArray(data.questions)) {
+            throw new Error('Invalid translation data structure from AI response');
+        }
+
+        return sources.map((source, index) => this._checkTranslation(source, data.questions[index]));
+    }
+
+    /**
+     * Collect the text fields of a question that are translated
+     * @param {Object} question - Question from QuizService.getQuizById
+     * @returns {Object} questionText, explanation and whichever of options, pairs, items and answers the question has
+     * @private
+     */
+    static _translatableFields(question) {
+        const fields = {
+            questionText: question.questionText,
+            explanation: question.explanation || null
+        };
+
+        if (question.options?.length > 0) fields.options = question.options.map(option => option.text);
+        if (question.pairs?.length > 0) fields.pairs = question.pairs.map(({ left, right }) => ({ left, right }));
+        if (question.items?.length > 0) fields.items = question.items;
+        if (question.answers?.length > 0) fields.answers = question.answers;
+
+        return fields;
+    }
+
+    /**
+     * Check that a translation has the structure of its source
+     * @param {Object} source - Fields sent for translation
+     * @param {Object} [translation] - Fields returned by the AI
+     * @returns {Object|null} Translation, or null if it is missing or its lists differ from the source
+     * @private
+     */
+    static _checkTranslation(source, translation) {
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+        const sameLength = (list, sourceList) => Array.isArray(list) && list.length === sourceList.length;
+
+        if (!translation || !isText(translation.questionText) || !keepsBlank(source.questionText, translation.questionText)) {
+            return null;
+        }
+
+        const checked = {
+            questionText: translation.questionText.trim(),
+            explanation: isText(translation.explanation) ? translation.explanation.trim() : null
+        };
+
+        if (source.options) {
+            // Models sometimes echo options as { text } objects
+            const options = Array.isArray(translation.options)
+                ? translation.options.map(option => (typeof option === 'string' ? option : option?.text))
+                : null;
+            if (!sameLength(options, source.options) || !options.every(isText)) return null;
+            checked.options = options.map(option => option.trim());
+        }
+
+        if (source.pairs) {
+            if (!sameLength(translation.pairs, source.pairs)
+                || !translation.pairs.every(pair => isText(pair?.left) && isText(pair?.right))) return null;
+            checked.pairs = translation.pairs.map(pair => ({ left: pair.left.trim(), right: pair.right.trim() }));
+        }
+
+        if (source.items) {
+            if (!sameLength(translation.items, source.items) || !translation.items.every(isText)) return null;
+            checked.items = translation.items.map(item => item.trim());
+        }
+
+        if (source.answers) {
+            // Accepted answers may differ in number between languages
+            const answers = Array.isArray(translation.answers) ? translation.answers.filter(isText) : [];
+            if (answers.length === 0) return null;
+            checked.answers = answers.map(answer => answer.trim());
+        }
+
+        return checked;
+    }
+
+    /**
+     * Create the translation prompt
+     * @param {Array<Object>} sources - Fields of every question
+     * @param {string} sourceLanguage - Language of the questions
+     * @param {string} targetLanguage - Language to translate into
+     * @returns {string} Prompt for AI
+     * @private
+     */
+    static _createPrompt(sources, sourceLanguage, targetLanguage) {
+        const from = LANGUAGE_NAMES[sourceLanguage];
+        const to = LANGUAGE_NAMES[targetLanguage];
+
+        return `Translate the ${sources.length} quiz questions below from ${from} into ${to}. `
+            + `The translation is for students taking the same quiz in ${to}, so keep the meaning, difficulty and tone of every question, `
+            + `and make wrong options exactly as plausible as in the original. `
+            + `Keep numbers, units, code, formulas, call signs and standard technical abbreviations unchanged. `
+            + `Keep the blank marker "${BLANK_MARKER}" exactly where it is in fill-in-the-blank questions. `
+            + `For "answers", list the accepted answers in ${to}. `
+            + `Return ONLY a JSON object of the form {"questions": [...]} with one object per question in the same order, `
+            + `each with the same fields as its source; "options", "pairs" and "items" must keep their length and order. `
+            + `Do not add, remove or reorder anything.`
+            + `\n\nQUESTIONS:\n${JSON.stringify({ questions: sources }, null, 2)}`;
+    }
+}
+
+export default QuizTranslationService;
@@ -0,0 +1,183 @@
+// backend/src/services/quizVersionService.js
+import DBService from './dbService.js';
+import { diffQuizzes } from '../utils/quizDiff.js';
+
+/**
+ * Create an error with an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createVersionError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Service for the version history of quizzes.
+ *
+ * Every change to a quiz's title or questions stores a snapshot of the whole
+ * quiz as a new, numbered version; versions are never changed afterwards.
+ * `quizzes.version` is the number of the latest one (0 for quizzes saved before
+ * the history existed). Editors send the version they loaded as `baseVersion`,
+ * and a change based on an older version is refused with 409 so a colleague's
+ * change is not overwritten unseen.
+ *
+ * QuizService builds the snapshots inside its own transactions and stores them
+ * through lock() and insert().
+ */
+class QuizVersionService {
+    /**
+     * Lock a quiz for a change and check the version the change is based on
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} quizId - Quiz ID
+     * @param {number|null} [baseVersion] - Version the editor loaded; null skips the check
+     * @returns {Promise<Object>} Locked quiz row
+     * @throws {Error} 404 if the quiz does not exist, 409 (with currentVersion) if it changed since baseVersion
+     */
+    static async lock(connection, quizId, baseVersion = null) {
+        const [rows] = await connection.execute(
+            'SELECT * FROM quizzes WHERE id = ? FOR UPDATE',
+            [quizId]
+        );
+
+        if (rows.length === 0) {
+            throw createVersionError(404, 'Quiz not found');
+        }
+
+        const quiz = rows[0];
+        if (baseVersion !== null && baseVersion !== undefined && Number(baseVersion) !== quiz.version) {
+            const error = createVersionError(409, `The quiz was changed by someone else (version ${quiz.version}, you edited version ${baseVersion}). Reload it and make your change again.`);
+            // Sent back with the 409 so editors know to reload
+            error.currentVersion = quiz.version;
+            throw error;
+        }
+
+        return quiz;
+    }
+
+    /**
+     * Store a snapshot as the next version of a quiz
+     * @param {Object} connection - Database connection in a transaction
+     * @param {number} quizId - Quiz ID
+     * @param {{title: string, questionType: string, questions: Array<Object>}} snapshot - Quiz content
+     * @param {Object} details - Version details
+     * @param {number|null} details.userId - Author of the change
+     * @param {string} details.summary - What changed, e.g. "Regenerated question 3"
+     * @returns {Promise<number>} New version number
+     */
+    static async insert(connection, quizId, snapshot, { userId, summary }) {
+        const [rows] = await connection.execute('SELECT version FROM quizzes WHERE id = ? FOR UPDATE', [quizId]);
+        const versionNumber = rows[0].version + 1;
+
+        await connection.execute(
+            `INSERT INTO quiz_versions (quiz_id, version_number, title, question_count, snapshot, summary, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                quizId,
+                versionNumber,
+                snapshot.title,
+                snapshot.questions.length,
+                JSON.stringify(snapshot),
+                summary ? summary.slice(0, 255) : null,
+                userId ?? null
+            ]
+        );
+
+        await connection.execute('UPDATE quizzes SET version = ? WHERE id = ?', [versionNumber, quizId]);
+
+        return versionNumber;
+    }
+
+    /**
+     * List the versions of a quiz, newest first
+     * @param {number} quizId - Quiz ID
+     * @returns {Promise<Array<Object>>} Versions without their snapshots
+     */
+    static async listVersions(quizId) {
+        const rows = await DBService.query(
+            `SELECT quiz_versions.id, quiz_versions.version_number, quiz_versions.title, quiz_versions.question_count,
+                    quiz_versions.summary, quiz_versions.created_by, quiz_versions.created_at,
+                    CONCAT(users.first_name, ' ', users.last_name) AS author_name
+             FROM quiz_versions
+             LEFT JOIN users ON users.id = quiz_versions.created_by
+             WHERE quiz_versions.quiz_id = ?
+             ORDER BY quiz_versions.version_number DESC`,
+            [quizId]
+        );
+
+        return rows.map(row => this._formatVersion(row));
+    }
+
+    /**
+     * Get one version of a quiz with its content
+     * @param {number} quizId - Quiz ID
+     * @param {number} versionNumber - Version number
+     * @returns {Promise<Object>} Version with `snapshot`
+     * @throws {Error} 404 if the quiz has no such version
+     */
+    static async getVersion(quizId, versionNumber) {
+        const row = await DBService.queryOne(
+            `SELECT quiz_versions.*, CONCAT(users.first_name, ' ', users.last_name) AS author_name
+             FROM quiz_versions
+             LEFT JOIN users ON users.id = quiz_versions.created_by
+             WHERE quiz_versions.quiz_id = ? AND quiz_versions.version_number = ?`,
+            [quizId, versionNumber]
+        );
+
+        if (!row) {
+            throw createVersionError(404, `Version ${versionNumber} not found`);
+        }
+
+        return {
+            ...this._formatVersion(row),
+            snapshot: typeof row.snapshot === 'string' ? JSON.parse(row.snapshot) : row.snapshot
+        };
+    }
+
+    /**
+     * Compare two versions of a quiz
+     * @param {number} quizId - Quiz ID
+     * @param {number} fromVersion - Older version number
+     * @param {number} toVersion - Newer version number
+     * @returns {Promise<Object>} Both versions (without snapshots) and the diff from quizDiff
+     * @throws {Error} 404 if the quiz has no such version
+     */
+    static async diffVersions(quizId, fromVersion, toVersion) {
+        const [from, to] = await Promise.all([
+            this.getVersion(quizId, fromVersion),
+            this.getVersion(quizId, toVersion)
+        ]);
+
+        const { snapshot: fromSnapshot, ...fromDetails } = from;
+        const { snapshot: toSnapshot, ...toDetails } = to;
+
+        return {
+            from: fromDetails,
+            to: toDetails,
+            ...diffQuizzes(fromSnapshot, toSnapshot)
+        };
+    }
+
+    /**
+     * Format a quiz_versions row
+     * @param {Object} row - Row with author_name
+     * @returns {Object} Version
+     * @private
+     */
+    static _formatVersion(row) {
+        return {
+            id: row.id,
+            version: row.version_number,
+            title: row.title,
+            questionCount: row.question_count,
+            summary: row.summary,
+            createdBy: row.created_by,
+            authorName: row.author_name,
+            createdAt: row.created_at
+        };
+    }
+}
+
+export default QuizVersionService;
@@ -0,0 +1,221 @@
+// backend/src/services/quotaService.js
+import DBService from './dbService.js';
+import configService from './configService.js';
+
+/**
+ * Quota types, also used as keys of the usage summary
+ */
+export const QuotaType = {
+    AI_GENERATION: 'aiGeneration',
+    QUIZ: 'quiz',
+    STORAGE: 'storage'
+};
+
+// Columns of user_quotas and school_quotas holding the limit and the usage of every type
+const QUOTA_COLUMNS = {
+    [QuotaType.AI_GENERATION]: { limit: 'ai_generation_limit', used: 'ai_generation_count', label: 'AI generation' },
+    [QuotaType.QUIZ]: { limit: 'quiz_limit', used: 'quiz_count', label: 'saved quiz' },
+    [QuotaType.STORAGE]: { limit: 'storage_limit', used: 'storage_used', label: 'upload storage' }
+};
+
+/**
+ * Service for the monthly usage quotas of users and schools.
+ *
+ * Every AI generation, saved quiz and uploaded byte is counted in the user's
+ * user_quotas row and in the school_quotas row of each school the user
+ * belongs to. Counters start again on the first day of every month; a NULL
+ * limit means unlimited. Rows are created on first use.
+ */
+class QuotaService {
+    /**
+     * Make sure a request fits in the remaining quotas of the user and their schools
+     * @param {number} userId - User ID
+     * @param {Object<string, number>} amounts - Amount to use per QuotaType, e.g. { aiGeneration: 1, storage: 52000 }
+     * @returns {Promise<void>}
+     * @throws {Error} 429 with code QUOTA_EXCEEDED and quota details when a limit would be passed
+     */
+    static async checkQuotas(userId, amounts) {
+        const { user, schools } = await this._loadQuotas(userId);
+
+        for (const [type, amount] of Object.entries(amounts)) {
+            this._assertWithinLimit(user, type, amount, null);
+            schools.forEach(school => this._assertWithinLimit(school, type, amount, school.school_name));
+        }
+    }
+
+    /**
+     * Count usage against the quotas of the user and their schools
+     * @param {number} userId - User ID
+     * @param {string} type - One of QuotaType
+     * @param {number} [amount=1] - Generations, quizzes or bytes used
+     * @returns {Promise<void>}
+     */
+    static async recordUsage(userId, type, amount = 1) {
+        if (!amount) {
+            return;
+        }
+
+        const column = QUOTA_COLUMNS[type].used;
+        const schoolIds = await this._startCurrentPeriod(userId);
+
+        await DBService.query(
+            `UPDATE user_quotas SET ${column} = ${column} + ? WHERE user_id = ?`,
+            [amount, userId]
+        );
+
+        if (schoolIds.length > 0) {
+            await DBService.query(
+                `UPDATE school_quotas SET ${column} = ${column} + ? WHERE school_id IN (${schoolIds.map(() => '?').join(', ')})`,
+                [amount, ...schoolIds]
+            );
+        }
+    }
+
+    /**
+     * Get the limits, usage and remaining amounts of the user and their schools for this month
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { resetDate, user: { aiGeneration, quiz, storage }, schools: [...] }
+     */
+    static async getUsage(userId) {
+        const { user, schools } = await this._loadQuotas(userId);
+
+        return {
+            resetDate: user.reset_date,
+            user: this._formatUsage(user),
+            schools: schools.map(school => ({
+                schoolId: school.school_id,
+                schoolName: school.school_name,
+                ...this._formatUsage(school)
+            }))
+        };
+    }
+
+    /**
+     * Load the quota rows of a user and their schools for the current month
+     * @param {number} userId - User ID
+     * @returns {Promise<{user: Object, schools: Array<Object>}>} Quota rows
+     * @private
+     */
+    static async _loadQuotas(userId) {
+        const schoolIds = await this._startCurrentPeriod(userId);
+
+        const user = await DBService.queryOne('SELECT * FROM user_quotas WHERE user_id = ?', [userId]);
+        const schools = schoolIds.length > 0
+            ? await DBService.query(
+                `SELECT school_quotas.*, schools.name AS school_name
+                 FROM school_quotas
+                 JOIN schools ON schools.id = school_quotas.school_id
+                 WHERE school_quotas.school_id IN (${schoolIds.map(() => '?').join(', ')})
+                 ORDER BY schools.name ASC`,
+                schoolIds
+            )
+            : [];
+
+        return { user, schools };
+    }
+
+    /**
+     * Create missing quota rows and reset the counters of rows whose month has ended
+     * @param {number} userId - User ID
+     * @returns {Promise<Array<number>>} IDs of the user's schools
+     * @private
+     */
+    static async _startCurrentPeriod(userId) {
+        const schoolRows = await DBService.query('SELECT school_id FROM user_schools WHERE user_id = ?', [userId]);
+        const schoolIds = schoolRows.map(row => row.school_id);
+        const nextReset = 'DATE_ADD(LAST_DAY(CURDATE()), INTERVAL 1 DAY)';
+        const resetCounters = `ai_generation_count = 0, quiz_count = 0, storage_used = 0, reset_date = ${nextReset}`;
+
+        await DBService.query(
+            `INSERT IGNORE INTO user_quotas (user_id, reset_date) VALUES (?, ${nextReset})`,
+            [userId]
+        );
+        await DBService.query(
+            `UPDATE user_quotas SET ${resetCounters}
+             WHERE user_id = ? AND (reset_date IS NULL OR reset_date <= CURDATE())`,
+            [userId]
+        );
+
+        if (schoolIds.length > 0) {
+            const schoolLimits = configService.get('quotas.school', {});
+            const placeholders = schoolIds.map(() => '?').join(', ');
+
+            await DBService.query(
+                `INSERT IGNORE INTO school_quotas (school_id, ai_generation_limit, quiz_limit, storage_limit, reset_date)
+                 VALUES ${schoolIds.map(() => `(?, ?, ?, ?, ${nextReset})`).join(', ')}`,
+                schoolIds.flatMap(schoolId => [
+                    schoolId,
+                    schoolLimits.aiGenerationLimit ?? 1000,
+                    schoolLimits.quizLimit ?? 2000,
+                    schoolLimits.storageLimit ?? 2147483648
+                ])
+            );
+            await DBService.query(
+                `UPDATE school_quotas SET ${resetCounters}
+                 WHERE school_id IN (${placeholders}) AND (reset_date IS NULL OR reset_date <= CURDATE())`,
+                schoolIds
+            );
+        }
+
+        return schoolIds;
+    }
+
+    /**
+     * Throw a quota error if an amount does not fit in what is left of a quota
+     * @param {Object} row - user_quotas or school_quotas row
+     * @param {string} type - One of QuotaType
+     * @param {number} amount - Amount to use
+     * @param {string|null} schoolName - School the row belongs to, or null for the user's own quota
+     * @private
+     */
+    static _assertWithinLimit(row, type, amount, schoolName) {
+        const { limit: limitColumn, used: usedColumn, label } = QUOTA_COLUMNS[type];
+        const limit = row[limitColumn] === null ? null : Number(row[limitColumn]);
+        const used = Number(row[usedColumn]) || 0;
+
+        if (limit === null || used + amount <= limit) {
+            return;
+        }
+
+        const owner = schoolName ? `${schoolName}'s` : 'your';
+        const usage = type === QuotaType.STORAGE
+            ? `${this._formatMegabytes(used)} of ${this._formatMegabytes(limit)} MB used`
+            : `${used} of ${limit} used`;
+        const resetDate = new Date(row.reset_date).toISOString().slice(0, 10);
+
+        const reason = used >= limit ? `You have reached ${owner}` : `This would go over ${owner}`;
+
+        const error = new Error(`${reason} monthly ${label} limit (${usage}). It resets on ${resetDate}.`);
+        error.statusCode = 429;
+        error.code = 'QUOTA_EXCEEDED';
+        error.quota = { type, scope: schoolName ? 'school' : 'user', schoolName, limit, used, resetDate };
+        throw error;
+    }
+
+    /**
+     * Format one quota row for the API
+     * @param {Object} row - user_quotas or school_quotas row
+     * @returns {Object} { aiGeneration, quiz, storage } with limit, used and remaining (null when unlimited)
+     * @private
+     */
+    static _formatUsage(row) {
+        return Object.fromEntries(Object.entries(QUOTA_COLUMNS).map(([type, columns]) => {
+            const limit = row[columns.limit] === null ? null : Number(row[columns.limit]);
+            const used = Number(row[columns.used]) || 0;
+
+            return [type, { limit, used, remaining: limit === null ? null : Math.max(limit - used, 0) }];
+        }));
+    }
+
+    /**
+     * Bytes to megabytes with one decimal
+     * @param {number} bytes - Bytes
+     * @returns {string} Megabytes
+     * @private
+     */
+    static _formatMegabytes(bytes) {
+        return (bytes / (1024 * 1024)).toFixed(1);
+    }
+}
+
+export default QuotaService;
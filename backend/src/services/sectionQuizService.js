@@ -0,0 +1,191 @@
+// backend/src/services/sectionQuizService.js
+import aiService from './aiService.js';
+import { allocateQuestions, findExcerpt } from '../utils/documentSections.js';
+import { describeLevelTargets, summarizeLevels } from '../utils/questionLevels.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Service for generating quizzes from long documents one section at a time.
+ *
+ * Questions are spread across sections in proportion to their length and each
+ * question records the section (and page range for PDFs) it was written from,
+ * together with the excerpt that supports its answer.
+ */
+class SectionQuizService {
+    /**
+     * Generate questions from document sections
+     * @param {Array<Object>} sections - Sections from utils/documentSections.js
+     * @param {Object} settings - Generation settings
+     * @param {string} settings.questionType - Type of questions
+     * @param {number} settings.numberOfQuestions - Total number of questions
+     * @param {string} [settings.language] - 'thai' or 'english'
+     * @param {string} [settings.studentLevel] - Target student level
+     * @param {string} [settings.additionalInstructions] - Additional generation instructions
+     * @param {string} [settings.sourceName] - Document name used in prompts
+     * @param {Array<Object>|null} [settings.levels] - Difficulty and Bloom level plan for the whole quiz (aiService.planQuestionLevels)
+     * @param {Function} [settings.generate] - Function (prompt, options) => provider result; defaults to aiService.generateText
+     * @param {AbortSignal} [settings.signal] - Signal to stop before the next section and cancel the running request
+     * @returns {Promise<{questions: Array<Object>, validation: Object, sections: Array<Object>, distribution: Object}>} Questions with sources
+     */
+    static async generateFromSections(sections, settings) {
+        const { questionType, numberOfQuestions, levels = null, signal, generate = (prompt, options) => aiService.generateText(prompt, options) } = settings;
+        const counts = allocateQuestions(sections, parseInt(numberOfQuestions, 10));
+        let planned = 0;
+
+        const questions = [];
+        const validation = { checked: 0, passed: 0, repaired: [], dropped: [] };
+        const sectionSummaries = [];
+
+        for (const [position, section] of sections.entries()) {
+            const count = counts[position];
+            if (count === 0) continue;
+
+            signal?.throwIfAborted();
+
+            logger.info(`Generating ${count} question(s) from section "${section.title}"`);
+
+            // Each section takes the next stretch of the plan so the quiz as a whole follows the mix
+            const sectionLevels = levels ? levels.slice(planned, planned + count) : null;
+            planned += count;
+
+            let sectionQuestions = [];
+            try {
+                const result = await generate(this._createSectionPrompt(section, count, settings, sectionLevels), {
+                    temperature: 0.7,
+                    maxOutputTokens: 8192,
+                    context: {
+                        task: 'quiz',
+                        topic: settings.sourceName || section.title,
+                        questionType,
+                        numberOfQuestions: count,
+                        sourceText: section.text,
+                        levels: sectionLevels
+                    },
+                    signal
+                });
+
+                const sectionData = aiService.parseResponse(result.text);
+                sectionQuestions = Array.isArray(sectionData.questions) ? sectionData.questions : [];
+            } catch (error) {
+                // One unreadable section should not lose the questions of the others
+                if (error.statusCode || error.message === 'AI service is currently unavailable' || signal?.aborted) {
+                    throw error;
+                }
+                logger.warn(`Skipping section "${section.title}": ${error.message}`);
+            }
+
+            const repaired = await aiService.validateAndRepairQuestions(sectionQuestions, {
+                topic: settings.sourceName || section.title,
+                questionType,
+                language: settings.language
+            }, { signal });
+
+            this._mergeValidation(validation, repaired.validation, section);
+
+            for (const question of repaired.questions) {
+                questions.push(this._attachSource(question, section));
+            }
+
+            sectionSummaries.push({
+                title: section.title,
+                pageStart: section.pageStart,
+                pageEnd: section.pageEnd,
+                requested: count,
+                generated: repaired.questions.length
+            });
+        }
+
+        return { questions, validation, sections: sectionSummaries, distribution: summarizeLevels(questions, levels) };
+    }
+
+    /**
+     * Create the prompt for one section
+     * @param {Object} section - Section
+     * @param {number} count - Number of questions for this section
+     * @param {Object} settings - Generation settings
+     * @param {Array<Object>|null} levels - Level plan of this section's questions
+     * @returns {string} Prompt for AI
+     * @private
+     */
+    static _createSectionPrompt(section, count, settings, levels) {
+        const { questionType, language, studentLevel, additionalInstructions, sourceName } = settings;
+
+        const languagePrompt = language === 'thai'
+            ? "Create the quiz in Thai language."
+            : "Create the quiz in English language.";
+        const location = section.pageStart
+            ? `${section.title} of the document "${sourceName}"`
+            : `the section "${section.title}" of the document "${sourceName}"`;
+
+        let prompt = `Create ${count} ${questionType} questions from ${location}. ${languagePrompt}`;
+        prompt += ` Only use information found in the section text below; do not ask about anything it does not cover.`;
+
+        if (studentLevel) {
+            prompt += ` The quiz is intended for ${studentLevel} level students.`;
+        }
+
+        if (additionalInstructions) {
+            prompt += ` Additional instructions: ${additionalInstructions}`;
+        }
+
+        prompt += describeLevelTargets(levels);
+        prompt += this._formatInstructions(questionType);
+        prompt += `\n\nSECTION TEXT:\n"""\n${section.text}\n"""`;
+
+        return prompt;
+    }
+
+    /**
+     * Format instructions asking for a supporting quote with every question
+     * @param {string} questionType - Type of questions
+     * @returns {string} Format instructions
+     * @private
+     */
+    static _formatInstructions(questionType) {
+        return ` For every question, copy into "sourceQuote" one sentence from the section text, word for word, that supports the answer.`
+            + aiService.getFormatInstructions(questionType, {
+                sourceQuote: 'Exact sentence copied from the section text'
+            });
+    }
+
+    /**
+     * Replace the model's quote with a source reference checked against the section
+     * @param {Object} question - Generated question
+     * @param {Object} section - Section it was generated from
+     * @returns {Object} Question with a source field
+     * @private
+     */
+    static _attachSource(question, section) {
+        const { sourceQuote, ...rest } = question;
+
+        return {
+            ...rest,
+            source: {
+                section: section.title,
+                pageStart: section.pageStart,
+                pageEnd: section.pageEnd,
+                excerpt: findExcerpt(section.text, sourceQuote)
+            }
+        };
+    }
+
+    /**
+     * Add one section's validation report to the combined report
+     * @param {Object} combined - Combined report (mutated)
+     * @param {Object} report - Section report
+     * @param {Object} section - Section
+     * @private
+     */
+    static _mergeValidation(combined, report, section) {
+        // Indexes count the questions the model returned across all sections
+        const offset = combined.checked;
+        const withSection = item => ({ ...item, index: offset + item.index, section: section.title });
+
+        combined.checked += report.checked;
+        combined.passed += report.passed;
+        combined.repaired.push(...report.repaired.map(withSection));
+        combined.dropped.push(...report.dropped.map(withSection));
+    }
+}
+
+export default SectionQuizService;
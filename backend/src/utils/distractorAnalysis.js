@@ -0,0 +1,174 @@
+// backend/src/utils/distractorAnalysis.js
+import { QuestionType } from './questionTypes.js';
+import { normalizeText, tokenize, fingerprint, similarity } from './questionSimilarity.js';
+
+/**
+ * Quality analysis of the wrong options (distractors) of choice questions.
+ *
+ * Weak distractors make a question easier than intended. Three kinds of
+ * giveaway are detected without the AI:
+ * - length: the correct answer is clearly longer or shorter than the rest
+ * - overlap: two options say nearly the same thing, so both can be ruled out
+ *   (or a distractor repeats the correct answer and may be correct too)
+ * - implausibility: catch-all options such as "All of the above", absolute
+ *   wording that students learn to rule out, and options unrelated to the question
+ *
+ * Every question gets a score from 0 (giveaway) to 100 (no issue found).
+ */
+
+// Types whose options are written by the author; True/False options are fixed
+const ANALYZED_TYPES = [QuestionType.MULTIPLE_CHOICE, QuestionType.MULTIPLE_SELECT];
+
+const DistractorIssue = {
+    LENGTH_GIVEAWAY: 'length_giveaway',
+    OVERLAP: 'overlap',
+    CATCH_ALL: 'catch_all',
+    ABSOLUTE_TERM: 'absolute_term',
+    UNRELATED: 'unrelated'
+};
+
+// Points taken off the question score per issue
+const PENALTIES = {
+    [DistractorIssue.LENGTH_GIVEAWAY]: 30,
+    [DistractorIssue.OVERLAP]: 25,
+    [DistractorIssue.CATCH_ALL]: 25,
+    [DistractorIssue.ABSOLUTE_TERM]: 15,
+    [DistractorIssue.UNRELATED]: 25
+};
+
+// Correct answers this much longer (or shorter) than the distractors on average give the answer away
+const LENGTH_RATIO = 1.5;
+// ...as long as the difference is noticeable at all
+const MIN_LENGTH_DIFFERENCE = 10;
+
+// Similarity (0-1) from which two options count as saying the same thing
+const OVERLAP_THRESHOLD = 0.8;
+
+const CATCH_ALL_PATTERNS = [
+    /\b(all|none|both|neither) of the (above|these|options|answers)\b/i,
+    /\b(both|either) [a-f] (and|or) [a-f]\b/i,
+    /ถูกทุกข้อ|ผิดทุกข้อ|ถูกทั้งหมด|ทุกข้อที่กล่าวมา|ข้อที่กล่าวมาทั้งหมด|ไม่มีข้อใดถูก|ไม่มีข้อถูก|ทั้งข้อ\s*[ก-งa-d]/i
+];
+
+const ABSOLUTE_PATTERN = /\b(always|never|all the time|completely|absolutely|impossible|guaranteed)\b|เสมอ|ไม่เคย|ทุกกรณี|ไม่มีทาง|เด็ดขาด|แน่นอนที่สุด/i;
+
+const optionLabel = index => String.fromCharCode(65 + index); // A, B, C, D, ...
+
+/**
+ * Find the issues of a question's options
+ * @param {Object} question - Question with options ({ text, isCorrect })
+ * @returns {Array<{type: string, option: number|null, message: string}>} Issues; `option` is the 0-based option, null for the question as a whole
+ */
+function findIssues(question) {
+    const options = question.options || [];
+    const correct = options.filter(option => option.isCorrect);
+    const distractors = options.map((option, index) => ({ ...option, index })).filter(option => !option.isCorrect);
+
+    if (correct.length === 0 || distractors.length === 0) {
+        return [];
+    }
+
+    const issues = [];
+    const lengths = options.map(option => normalizeText(option.text).length);
+    const average = list => list.reduce((sum, length) => sum + length, 0) / list.length;
+
+    // Length giveaway: the correct answers stand out by length
+    const correctLength = average(options.map((option, index) => (option.isCorrect ? lengths[index] : null)).filter(length => length !== null));
+    const distractorLength = average(distractors.map(option => lengths[option.index]));
+    const longest = Math.max(...distractors.map(option => lengths[option.index]));
+    const shortest = Math.min(...distractors.map(option => lengths[option.index]));
+
+    if (Math.abs(correctLength - distractorLength) >= MIN_LENGTH_DIFFERENCE) {
+        if (correctLength >= distractorLength * LENGTH_RATIO && correctLength > longest) {
+            issues.push({ type: DistractorIssue.LENGTH_GIVEAWAY, option: null, message: 'The correct answer is clearly longer than every wrong option.' });
+        } else if (correctLength * LENGTH_RATIO <= distractorLength && correctLength < shortest) {
+            issues.push({ type: DistractorIssue.LENGTH_GIVEAWAY, option: null, message: 'The correct answer is clearly shorter than every wrong option.' });
+        }
+    }
+
+    // Overlap: a distractor says nearly the same as an earlier option
+    const prints = options.map(option => fingerprint(option.text));
+    for (const distractor of distractors) {
+        for (let other = 0; other < options.length; other++) {
+            if (other === distractor.index || (other > distractor.index && !options[other].isCorrect)) continue;
+
+            if (similarity(prints[distractor.index], prints[other]) >= OVERLAP_THRESHOLD) {
+                issues.push({
+                    type: DistractorIssue.OVERLAP,
+                    option: distractor.index,
+                    message: options[other].isCorrect
+                        ? `Nearly the same as the correct answer ${optionLabel(other)}; it may be correct too.`
+                        : `Nearly the same as option ${optionLabel(other)}, so both are easy to rule out.`
+                });
+                break;
+            }
+        }
+    }
+
+    // Implausibility
+    const stemWords = new Set(tokenize(question.questionText));
+    const optionWords = options.map(option => new Set(tokenize(option.text)));
+    const sharesWords = (words, index) => [...words].some(word => stemWords.has(word)
+        || optionWords.some((other, otherIndex) => otherIndex !== index && other.has(word)));
+    const correctIsAbsolute = correct.some(option => ABSOLUTE_PATTERN.test(option.text));
+    const correctIsRelated = options.some((option, index) => option.isCorrect && sharesWords(optionWords[index], index));
+
+    for (const distractor of distractors) {
+        if (CATCH_ALL_PATTERNS.some(pattern => pattern.test(distractor.text))) {
+            issues.push({ type: DistractorIssue.CATCH_ALL, option: distractor.index, message: 'Catch-all options such as "All of the above" are easy to rule out.' });
+        } else if (!correctIsAbsolute && ABSOLUTE_PATTERN.test(distractor.text)) {
+            issues.push({ type: DistractorIssue.ABSOLUTE_TERM, option: distractor.index, message: 'Absolute wording ("always", "never") marks the option as wrong.' });
+        } else if (correctIsRelated && optionWords[distractor.index].size > 0 && !sharesWords(optionWords[distractor.index], distractor.index)) {
+            issues.push({ type: DistractorIssue.UNRELATED, option: distractor.index, message: 'Has nothing in common with the question or the other options.' });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Analyze the distractors of one question
+ * @param {Object} question - Question with options
+ * @returns {{score: number, issues: Array<Object>, weakOptions: Array<number>}}
+ *          Score (0-100), issues and the 0-based indexes of the distractors that have one
+ */
+function analyzeDistractors(question) {
+    const issues = findIssues(question);
+    const penalty = issues.reduce((sum, issue) => sum + PENALTIES[issue.type], 0);
+
+    return {
+        score: Math.max(0, 100 - penalty),
+        issues,
+        weakOptions: [...new Set(issues.filter(issue => issue.option !== null).map(issue => issue.option))]
+    };
+}
+
+/**
+ * Analyze the distractors of every choice question of a quiz
+ * @param {Array<Object>} questions - Questions
+ * @param {string} [quizType] - Quiz question type, used for questions without a type
+ * @returns {{averageScore: number|null, questions: Array<Object>}} Average score and the analysis of each choice question with its 0-based `index`
+ */
+function analyzeQuestions(questions, quizType) {
+    const analyses = [];
+
+    questions.forEach((question, index) => {
+        if (ANALYZED_TYPES.includes(question.questionType || quizType)) {
+            analyses.push({ index, ...analyzeDistractors(question) });
+        }
+    });
+
+    return {
+        averageScore: analyses.length > 0
+            ? Math.round(analyses.reduce((sum, analysis) => sum + analysis.score, 0) / analyses.length)
+            : null,
+        questions: analyses
+    };
+}
+
+export {
+    ANALYZED_TYPES,
+    DistractorIssue,
+    analyzeDistractors,
+    analyzeQuestions
+};
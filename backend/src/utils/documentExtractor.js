@@ -0,0 +1,285 @@
+// backend/src/utils/documentExtractor.js
+import fs from 'fs';
+import path from 'path';
+import { readZipEntries } from './zipReader.js';
+
+/**
+ * Local text extraction for the document types teachers upload.
+ *
+ * Headings are written as markdown headings ("# Title") so that
+ * sectionsFromText can split the document along its own structure.
+ * Slides are returned one per entry so their boundaries are kept.
+ * Photos (DocumentType.IMAGE) are read with OCRProcessor instead.
+ */
+
+const DocumentType = {
+    PDF: 'pdf',
+    TXT: 'txt',
+    MARKDOWN: 'markdown',
+    HTML: 'html',
+    DOCX: 'docx',
+    PPTX: 'pptx',
+    IMAGE: 'image'
+};
+
+const MIME_TYPES = {
+    'application/pdf': DocumentType.PDF,
+    'text/plain': DocumentType.TXT,
+    'text/markdown': DocumentType.MARKDOWN,
+    'text/x-markdown': DocumentType.MARKDOWN,
+    'text/html': DocumentType.HTML,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': DocumentType.DOCX,
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': DocumentType.PPTX,
+    'image/jpeg': DocumentType.IMAGE,
+    'image/png': DocumentType.IMAGE
+};
+
+const EXTENSIONS = {
+    '.pdf': DocumentType.PDF,
+    '.txt': DocumentType.TXT,
+    '.md': DocumentType.MARKDOWN,
+    '.markdown': DocumentType.MARKDOWN,
+    '.html': DocumentType.HTML,
+    '.htm': DocumentType.HTML,
+    '.docx': DocumentType.DOCX,
+    '.pptx': DocumentType.PPTX,
+    '.jpg': DocumentType.IMAGE,
+    '.jpeg': DocumentType.IMAGE,
+    '.png': DocumentType.IMAGE
+};
+
+// Browsers send .md files as text/plain or application/octet-stream, so the extension wins
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'text/plain'];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode XML and common HTML character references
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isNaN(codePoint) ? match : String.fromCodePoint(codePoint);
+        }
+        return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Collapse spaces inside lines and runs of blank lines
+ * @param {string} text - Text
+ * @returns {string} Tidied text
+ */
+function tidyLines(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Read the text runs of a WordprocessingML or DrawingML paragraph
+ * @param {string} paragraphXml - Paragraph XML
+ * @param {string} prefix - Namespace prefix ('w' or 'a')
+ * @returns {string} Paragraph text
+ */
+function paragraphText(paragraphXml, prefix) {
+    const tokens = new RegExp(`<${prefix}:t(?:\\s[^>]*)?>([^<]*)</${prefix}:t>|<${prefix}:tab\\s*/>|<${prefix}:br\\s*/>`, 'g');
+    let text = '';
+    let match;
+    while ((match = tokens.exec(paragraphXml)) !== null) {
+        if (match[1] !== undefined) {
+            text += decodeEntities(match[1]);
+        } else {
+            text += match[0].includes(':tab') ? '\t' : '\n';
+        }
+    }
+    return text;
+}
+
+class DocumentExtractor {
+    /**
+     * Work out the document type of an uploaded file
+     * @param {Object} file - File description with mimetype and originalname
+     * @returns {string|null} One of DocumentType, or null if unsupported
+     */
+    static detectType(file) {
+        const byExtension = EXTENSIONS[path.extname(file.originalname || '').toLowerCase()] || null;
+
+        if (GENERIC_MIME_TYPES.includes(file.mimetype || '')) {
+            return byExtension || (file.mimetype === 'text/plain' ? DocumentType.TXT : null);
+        }
+
+        return MIME_TYPES[file.mimetype] || byExtension;
+    }
+
+    /**
+     * Extract text from a text-based document (TXT, Markdown, HTML, DOCX)
+     * @param {string} filePath - Path to the file
+     * @param {string} type - Document type
+     * @returns {Promise<string>} Text with markdown-style headings
+     */
+    static async extractText(filePath, type) {
+        switch (type) {
+            case DocumentType.TXT:
+            case DocumentType.MARKDOWN:
+                return fs.promises.readFile(filePath, 'utf8');
+            case DocumentType.HTML:
+                return this.htmlToText(await fs.promises.readFile(filePath, 'utf8'));
+            case DocumentType.DOCX:
+                return this.docxToText(await fs.promises.readFile(filePath));
+            default:
+                throw new Error(`Cannot extract text from ${type} documents`);
+        }
+    }
+
+    /**
+     * Extract the slides of a PowerPoint deck in presentation order
+     * @param {string} filePath - Path to the .pptx file
+     * @returns {Promise<Array<{pageNumber: number, title: string, text: string}>>} Slide texts
+     */
+    static async extractSlides(filePath) {
+        const entries = readZipEntries(await fs.promises.readFile(filePath), name =>
+            /^ppt\/slides\/slide\d+\.xml$/.test(name) || name === 'ppt/presentation.xml' || name === 'ppt/_rels/presentation.xml.rels'
+        );
+
+        return this._slideOrder(entries).map((slidePath, index) => {
+            const xml = entries.get(slidePath).toString('utf8');
+            let title = '';
+            const lines = [];
+
+            // Text boxes and tables, in the order they appear on the slide
+            for (const shape of xml.match(/<p:sp>[\s\S]*?<\/p:sp>|<p:graphicFrame>[\s\S]*?<\/p:graphicFrame>/g) || []) {
+                const isTitle = /<p:ph[^>]*type="(title|ctrTitle)"/.test(shape);
+                const paragraphs = (shape.match(/<a:p>[\s\S]*?<\/a:p>/g) || [])
+                    .map(paragraph => paragraphText(paragraph, 'a').trim())
+                    .filter(Boolean);
+
+                if (isTitle && !title) {
+                    title = paragraphs.join(' ');
+                } else {
+                    lines.push(...paragraphs);
+                }
+            }
+
+            return {
+                pageNumber: index + 1,
+                title,
+                text: tidyLines([title ? `# ${title}` : '', ...lines].join('\n'))
+            };
+        });
+    }
+
+    /**
+     * Convert a Word document to text, keeping headings and list items
+     * @param {Buffer} buffer - .docx contents
+     * @returns {string} Text
+     */
+    static docxToText(buffer) {
+        const entries = readZipEntries(buffer, name => name === 'word/document.xml');
+        const documentXml = entries.get('word/document.xml');
+        if (!documentXml) {
+            throw new Error('word/document.xml not found');
+        }
+
+        const lines = [];
+        for (const paragraph of documentXml.toString('utf8').match(/<w:p[ >][\s\S]*?<\/w:p>/g) || []) {
+            const text = paragraphText(paragraph, 'w').trim();
+            if (!text) continue;
+
+            const level = this._docxHeadingLevel(paragraph);
+            if (level) {
+                lines.push('', `${'#'.repeat(level)} ${text}`);
+            } else if (/<w:numPr>/.test(paragraph)) {
+                lines.push(`- ${text}`);
+            } else {
+                lines.push(text);
+            }
+        }
+
+        return tidyLines(lines.join('\n'));
+    }
+
+    /**
+     * Convert HTML to text, keeping headings, paragraphs and list items
+     * @param {string} html - HTML source
+     * @returns {string} Text
+     */
+    static htmlToText(html) {
+        const body = html
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<(script|style|noscript|template|svg|head)[\s\S]*?<\/\1>/gi, '')
+            .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) =>
+                `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()}\n\n`)
+            .replace(/<li[^>]*>/gi, '\n- ')
+            .replace(/<(td|th)[^>]*>/gi, '\t')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/?(p|div|section|article|header|footer|ul|ol|table|tr|blockquote|pre|figure|dl|dt|dd)[^>]*>/gi, '\n')
+            .replace(/<[^>]+>/g, '');
+
+        return tidyLines(decodeEntities(body));
+    }
+
+    /**
+     * Heading level of a Word paragraph from its style or outline level
+     * @param {string} paragraphXml - Paragraph XML
+     * @returns {number} Level 1-6, or 0 for body text
+     * @private
+     */
+    static _docxHeadingLevel(paragraphXml) {
+        const style = paragraphXml.match(/<w:pStyle w:val="([^"]+)"/);
+        if (style) {
+            if (/^(Title|Heading)$/i.test(style[1])) return 1;
+            const heading = style[1].match(/^Heading\s*(\d)$/i);
+            if (heading) return Math.min(Number(heading[1]), 6);
+        }
+
+        const outline = paragraphXml.match(/<w:outlineLvl w:val="(\d)"/);
+        return outline ? Math.min(Number(outline[1]) + 1, 6) : 0;
+    }
+
+    /**
+     * Slide part names in the order the presentation shows them
+     * @param {Map<string, Buffer>} entries - Archive entries
+     * @returns {Array<string>} Slide part names
+     * @private
+     */
+    static _slideOrder(entries) {
+        const slidePaths = [...entries.keys()].filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name));
+        const presentation = entries.get('ppt/presentation.xml');
+        const rels = entries.get('ppt/_rels/presentation.xml.rels');
+
+        if (presentation && rels) {
+            const targets = {};
+            for (const [, attributes] of rels.toString('utf8').matchAll(/<Relationship\s([^>]+)>/g)) {
+                const id = attributes.match(/Id="([^"]+)"/);
+                const target = attributes.match(/Target="([^"]+)"/);
+                if (id && target) {
+                    targets[id[1]] = `ppt/${target[1].replace(/^\/?ppt\//, '')}`;
+                }
+            }
+
+            const ordered = [...presentation.toString('utf8').matchAll(/<p:sldId\s[^>]*r:id="([^"]+)"/g)]
+                .map(([, relationId]) => targets[relationId])
+                .filter(slidePath => entries.has(slidePath));
+
+            if (ordered.length > 0) {
+                return ordered;
+            }
+        }
+
+        // Fall back to the file names: slide1.xml, slide2.xml, ...
+        const slideNumber = name => Number(name.match(/(\d+)\.xml$/)[1]);
+        return slidePaths.sort((a, b) => slideNumber(a) - slideNumber(b));
+    }
+}
+
+export { DocumentType };
+export default DocumentExtractor;
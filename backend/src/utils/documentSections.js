@@ -0,0 +1,234 @@
+// backend/src/utils/documentSections.js
+
+/**
+ * Helpers for splitting long documents into sections that fit in a prompt,
+ * spreading questions across them and locating cited excerpts.
+ */
+
+const DEFAULT_MAX_SECTION_CHARS = 6000;
+const MAX_EXCERPT_LENGTH = 400;
+
+// Lines that look like headings in manuals: markdown, "Chapter 3", "บทที่ 2", "1.2 Title"
+const HEADING_PATTERNS = [
+    /^#{1,6}\s+\S/,
+    /^(chapter|section|part|unit|appendix)\s+[\dIVXLC]+\b/i,
+    /^(บทที่|หมวดที่|หมวด|ส่วนที่|ตอนที่|ภาคผนวก)\s*[\d๐-๙ก-ฮ]*/,
+    /^\d+(\.\d+)*\.?\s+\S/
+];
+
+/**
+ * Collapse whitespace so text extracted from PDFs can be compared
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeWhitespace(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check if a line looks like a section heading
+ * @param {string} line - Line of text
+ * @returns {boolean} True if heading
+ */
+function isHeading(line) {
+    const trimmed = line.trim();
+    if (trimmed.length === 0 || trimmed.length > 80 || /[.:;,]$/.test(trimmed)) {
+        return false;
+    }
+    return HEADING_PATTERNS.some(pattern => pattern.test(trimmed));
+}
+
+/**
+ * Split text that is too long for one prompt at paragraph, then line, boundaries
+ * @param {string} text - Section text
+ * @param {number} maxChars - Maximum characters per part
+ * @returns {Array<string>} Parts
+ */
+function splitLongText(text, maxChars) {
+    if (text.length <= maxChars) {
+        return [text];
+    }
+
+    const parts = [];
+    let current = '';
+
+    for (const paragraph of text.split(/\n\s*\n|\n/)) {
+        // A single huge paragraph is cut hard
+        const pieces = paragraph.length > maxChars
+            ? paragraph.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g'))
+            : [paragraph];
+
+        for (const piece of pieces) {
+            if (current.length + piece.length + 1 > maxChars && current.trim()) {
+                parts.push(current.trim());
+                current = '';
+            }
+            current += `${piece}\n`;
+        }
+    }
+
+    if (current.trim()) {
+        parts.push(current.trim());
+    }
+
+    return parts;
+}
+
+/**
+ * Build sections from PDF pages or slides, grouping consecutive pages up to maxChars
+ * @param {Array<{pageNumber: number, text: string}>} pages - Page texts
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxChars] - Maximum characters per section
+ * @param {string} [options.label] - Name of one page in section titles ('Page' or 'Slide')
+ * @returns {Array<Object>} Sections with title, pageStart, pageEnd and text
+ */
+function sectionsFromPages(pages, { maxChars = DEFAULT_MAX_SECTION_CHARS, label = 'Page' } = {}) {
+    const sections = [];
+    let current = null;
+
+    const pushCurrent = () => {
+        if (current && current.text.trim()) {
+            sections.push(current);
+        }
+        current = null;
+    };
+
+    for (const page of pages) {
+        const text = (page.text || '').trim();
+        if (!text) continue;
+
+        // Very long pages become several sections that all cite the same page
+        for (const part of splitLongText(text, maxChars)) {
+            if (current && current.text.length + part.length + 2 > maxChars) {
+                pushCurrent();
+            }
+
+            if (!current) {
+                current = { pageStart: page.pageNumber, pageEnd: page.pageNumber, text: '' };
+            }
+
+            current.pageEnd = page.pageNumber;
+            current.text += (current.text ? '\n\n' : '') + part;
+        }
+    }
+    pushCurrent();
+
+    return sections.map((section, index) => ({
+        index,
+        title: section.pageStart === section.pageEnd
+            ? `${label} ${section.pageStart}`
+            : `${label}s ${section.pageStart}-${section.pageEnd}`,
+        ...section
+    }));
+}
+
+/**
+ * Build sections from plain text using headings, falling back to size-based chunks
+ * @param {string} text - Document text
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxChars] - Maximum characters per section
+ * @returns {Array<Object>} Sections with title and text (page numbers are null)
+ */
+function sectionsFromText(text, { maxChars = DEFAULT_MAX_SECTION_CHARS } = {}) {
+    const headed = [];
+    let current = { title: null, text: '' };
+
+    for (const line of String(text || '').split(/\r?\n/)) {
+        if (isHeading(line)) {
+            if (current.text.trim() || current.title) {
+                headed.push(current);
+            }
+            current = { title: line.trim().replace(/^#+\s*/, ''), text: '' };
+        }
+        current.text += `${line}\n`;
+    }
+    headed.push(current);
+
+    // Merge tiny sections into the previous one and split oversized ones
+    const sections = [];
+    for (const section of headed) {
+        const sectionText = section.text.trim();
+        if (!sectionText) continue;
+
+        const previous = sections[sections.length - 1];
+        if (previous && previous.text.length + sectionText.length + 2 <= maxChars && sectionText.length < maxChars / 10) {
+            previous.text += `\n\n${sectionText}`;
+            continue;
+        }
+
+        const parts = splitLongText(sectionText, maxChars);
+        parts.forEach((part, partIndex) => {
+            const baseTitle = section.title || `Part ${sections.length + 1}`;
+            sections.push({
+                title: parts.length > 1 ? `${baseTitle} (${partIndex + 1}/${parts.length})` : baseTitle,
+                text: part
+            });
+        });
+    }
+
+    return sections.map((section, index) => ({
+        index,
+        title: section.title,
+        pageStart: null,
+        pageEnd: null,
+        text: section.text
+    }));
+}
+
+/**
+ * Spread a number of questions across sections in proportion to their length.
+ * Uses cumulative rounding so questions are spread evenly through the document
+ * even when there are more sections than questions.
+ * @param {Array<{text: string}>} sections - Sections
+ * @param {number} total - Number of questions
+ * @returns {Array<number>} Question count per section (sums to total)
+ */
+function allocateQuestions(sections, total) {
+    const lengths = sections.map(section => section.text.length);
+    const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+    if (totalLength === 0 || total <= 0) {
+        return sections.map(() => 0);
+    }
+
+    let cumulative = 0;
+    return lengths.map(length => {
+        const start = Math.floor((cumulative * total) / totalLength);
+        cumulative += length;
+        const end = Math.floor((cumulative * total) / totalLength);
+        return end - start;
+    });
+}
+
+/**
+ * Locate a quote from the model in the section text
+ * @param {string} sectionText - Section text
+ * @param {string} quote - Quote returned by the model
+ * @returns {string|null} Excerpt from the section, or null if the quote is not in it
+ */
+function findExcerpt(sectionText, quote) {
+    const normalizedQuote = normalizeWhitespace(quote);
+    if (normalizedQuote.length < 10) {
+        return null;
+    }
+
+    const normalizedText = normalizeWhitespace(sectionText);
+    const position = normalizedText.toLowerCase().indexOf(normalizedQuote.toLowerCase());
+    if (position === -1) {
+        return null;
+    }
+
+    const excerpt = normalizedText.substr(position, normalizedQuote.length);
+    return excerpt.length > MAX_EXCERPT_LENGTH
+        ? `${excerpt.substring(0, MAX_EXCERPT_LENGTH)}…`
+        : excerpt;
+}
+
+export {
+    sectionsFromPages,
+    sectionsFromText,
+    allocateQuestions,
+    findExcerpt,
+    normalizeWhitespace,
+    DEFAULT_MAX_SECTION_CHARS
+};
@@ -0,0 +1,84 @@
+// backend/src/utils/learningObjectives.js
+
+/**
+ * Learning objectives in generation prompts.
+ *
+ * A generation request may name objectives from the course catalogue
+ * (services/objectiveService.js). The prompt lists them by code and asks the
+ * model to cover all of them and to tag every question with the codes it
+ * assesses; the codes are then mapped back to objective IDs so the tags can
+ * be stored with the questions.
+ */
+
+/**
+ * Describe the objectives a quiz must cover for a prompt
+ * @param {Array<{code: string, description: string}>|null} objectives - Objectives
+ * @param {number|string} numberOfQuestions - Number of questions asked for
+ * @returns {string} Prompt text, or '' without objectives
+ */
+function describeObjectiveTargets(objectives, numberOfQuestions) {
+    if (!objectives || objectives.length === 0) {
+        return '';
+    }
+
+    const coverage = parseInt(numberOfQuestions, 10) >= objectives.length
+        ? 'Together the questions must cover every learning objective below at least once; spread the remaining questions evenly over them.'
+        : 'There are fewer questions than learning objectives below, so give each question a different objective.';
+
+    const list = objectives.map(objective => `- ${objective.code}: ${objective.description}`).join('\n');
+
+    return ` ${coverage} Tag every question with "objectives", the list of codes of the objectives it assesses.\nLEARNING OBJECTIVES:\n${list}\n`;
+}
+
+/**
+ * Map the objective codes the model wrote on a question to objective IDs
+ * @param {Object} question - Generated question with `objectives` codes
+ * @param {Array<{id: number, code: string}>|null} objectives - Objectives of the request
+ * @returns {Object} Question with `objectiveIds` instead of `objectives`; unchanged without objectives
+ */
+function tagObjectives(question, objectives) {
+    if (!objectives || objectives.length === 0 || !question || typeof question !== 'object') {
+        return question;
+    }
+
+    const { objectives: codes, ...tagged } = question;
+    const written = (Array.isArray(codes) ? codes : [codes])
+        .filter(code => typeof code === 'string')
+        .map(code => code.trim().toLowerCase());
+
+    tagged.objectiveIds = objectives
+        .filter(objective => written.includes(objective.code.toLowerCase()))
+        .map(objective => objective.id);
+
+    // With a single objective every question is about it, whatever the model wrote
+    if (tagged.objectiveIds.length === 0 && objectives.length === 1) {
+        tagged.objectiveIds = [objectives[0].id];
+    }
+
+    return tagged;
+}
+
+/**
+ * Count the generated questions per requested objective
+ * @param {Array<Object>} questions - Questions with `objectiveIds`
+ * @param {Array<Object>|null} objectives - Objectives of the request
+ * @returns {Array<Object>|null} Objectives with their questionCount, or null without objectives
+ */
+function summarizeObjectives(questions, objectives) {
+    if (!objectives || objectives.length === 0) {
+        return null;
+    }
+
+    return objectives.map(objective => ({
+        id: objective.id,
+        code: objective.code,
+        description: objective.description,
+        questionCount: questions.filter(question => (question.objectiveIds || []).includes(objective.id)).length
+    }));
+}
+
+export {
+    describeObjectiveTargets,
+    tagObjectives,
+    summarizeObjectives
+};
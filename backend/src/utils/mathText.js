@@ -0,0 +1,309 @@
+// backend/src/utils/mathText.js
+
+/**
+ * Math notation in question text, options, answers and explanations.
+ *
+ * Formulas are written in LaTeX between delimiters: $...$ or \(...\) inline,
+ * $$...$$ or \[...\] as a block. A single $ only opens math when a non-space
+ * follows it, and the next $ only closes it when a non-space precedes it and
+ * no digit follows, so prices such as "$5 and $10" stay text. \$ is a literal dollar.
+ * The frontend renders the same notation (frontend/src/utils/mathText.js).
+ */
+
+const PAIRED_DELIMITERS = [
+    { open: '$$', close: '$$', display: true },
+    { open: '\\[', close: '\\]', display: true },
+    { open: '\\(', close: '\\)', display: false }
+];
+
+// LaTeX commands written as a Unicode character in plain text
+const SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ',
+    phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    times: '×', cdot: '·', div: '÷', pm: '±', mp: '∓', le: '≤', leq: '≤', ge: '≥', geq: '≥',
+    ne: '≠', neq: '≠', approx: '≈', sim: '~', equiv: '≡', propto: '∝', infty: '∞', circ: '°', degree: '°',
+    to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftrightarrow: '⇔',
+    angle: '∠', parallel: '∥', perp: '⊥', partial: '∂', nabla: '∇', sum: 'Σ', prod: 'Π', int: '∫',
+    ldots: '…', cdots: '⋯', dots: '…'
+};
+
+// Commands whose argument is shown as it is
+const TEXT_COMMANDS = new Set(['text', 'textrm', 'mathrm', 'mathbf', 'mathit', 'mathsf', 'operatorname', 'boldsymbol', 'vec', 'overline', 'bar', 'hat']);
+
+// Commands that only change sizes and spacing
+const DROPPED_COMMANDS = new Set(['left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'displaystyle', 'limits']);
+const SPACE_COMMANDS = new Set([',', ';', ':', ' ', 'quad', 'qquad']);
+
+const SUPERSCRIPTS = {
+    0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+    '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ', '°': '°'
+};
+const SUBSCRIPTS = {
+    0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+    '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎',
+    a: 'ₐ', e: 'ₑ', o: 'ₒ', x: 'ₓ', h: 'ₕ', k: 'ₖ', l: 'ₗ', m: 'ₘ', n: 'ₙ', p: 'ₚ', s: 'ₛ', t: 'ₜ'
+};
+
+/**
+ * Find where an inline $...$ formula that opens at a position closes
+ * @param {string} text - Text
+ * @param {number} start - Index of the opening $
+ * @returns {number} Index of the closing $, or -1 if the $ does not open a formula
+ */
+function findInlineDollarEnd(text, start) {
+    if (!/\S/.test(text[start + 1] || '')) {
+        return -1;
+    }
+
+    for (let i = start + 1; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '\n') {
+            return -1;
+        } else if (text[i] === '$') {
+            return !/\s/.test(text[i - 1]) && !/\d/.test(text[i + 1] || '') ? i : -1;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Split text into plain text and math parts
+ * @param {string} text - Text that may contain formulas
+ * @returns {Array<{math: boolean, value: string, display?: boolean}>} Parts in order; math parts hold the LaTeX without delimiters
+ */
+function splitMath(text) {
+    const source = String(text ?? '');
+    const parts = [];
+    let plain = '';
+
+    const pushPlain = () => {
+        if (plain) parts.push({ math: false, value: plain });
+        plain = '';
+    };
+
+    // Request bodies pass through xss-clean, which saves a typed < as &lt;
+    const pushMath = (value, display) => {
+        parts.push({ math: true, value: value.trim().replace(/&lt;/g, '<'), display });
+    };
+
+    let i = 0;
+    while (i < source.length) {
+        if (source.startsWith('\\$', i)) {
+            plain += '$';
+            i += 2;
+            continue;
+        }
+
+        const paired = PAIRED_DELIMITERS.find(delimiter => source.startsWith(delimiter.open, i));
+        if (paired) {
+            const end = source.indexOf(paired.close, i + paired.open.length);
+            const value = end === -1 ? '' : source.slice(i + paired.open.length, end);
+            if (value.trim()) {
+                pushPlain();
+                pushMath(value, paired.display);
+                i = end + paired.close.length;
+                continue;
+            }
+        } else if (source[i] === '$') {
+            const end = findInlineDollarEnd(source, i);
+            if (end !== -1) {
+                pushPlain();
+                pushMath(source.slice(i + 1, end), false);
+                i = end + 1;
+                continue;
+            }
+        }
+
+        plain += source[i];
+        i++;
+    }
+
+    pushPlain();
+    return parts;
+}
+
+/**
+ * Check whether text contains a formula
+ * @param {string} text - Text
+ * @returns {boolean} True if some part of the text is math
+ */
+function hasMath(text) {
+    return splitMath(text).some(part => part.math);
+}
+
+/**
+ * Read the argument of a command, superscript or subscript
+ * @param {string} latex - LaTeX source
+ * @param {number} start - Index after the command
+ * @returns {[string, number]} Argument without braces and the index after it
+ */
+function readArgument(latex, start) {
+    let i = start;
+    while (latex[i] === ' ') i++;
+
+    if (latex[i] === '{') {
+        let depth = 0;
+        for (let end = i; end < latex.length; end++) {
+            if (latex[end] === '\\') {
+                end++;
+            } else if (latex[end] === '{') {
+                depth++;
+            } else if (latex[end] === '}' && --depth === 0) {
+                return [latex.slice(i + 1, end), end + 1];
+            }
+        }
+        return [latex.slice(i + 1), latex.length];
+    }
+
+    if (latex[i] === '\\') {
+        const command = /^\\([a-zA-Z]+|.)/.exec(latex.slice(i));
+        return command ? [command[0], i + command[0].length] : ['', i + 1];
+    }
+
+    return i < latex.length ? [latex[i], i + 1] : ['', i];
+}
+
+/**
+ * Put parentheses around a converted argument unless it is a single term
+ * @param {string} text - Converted argument
+ * @returns {string} Term
+ */
+function asTerm(text) {
+    const term = text.trim();
+    return /^[\p{L}\p{N}.]*$/u.test(term) ? term : `(${term})`;
+}
+
+/**
+ * Write a superscript or subscript in Unicode, or with ^ or _ when there is no Unicode form
+ * @param {string} text - Converted script
+ * @param {string} mark - '^' or '_'
+ * @returns {string} Script
+ */
+function asScript(text, mark) {
+    const characters = mark === '^' ? SUPERSCRIPTS : SUBSCRIPTS;
+    const script = text.trim();
+
+    if (script && [...script].every(character => characters[character])) {
+        return [...script].map(character => characters[character]).join('');
+    }
+    return `${mark}${asTerm(script)}`;
+}
+
+/**
+ * Convert a LaTeX formula into readable plain text
+ * @param {string} latex - Formula without delimiters
+ * @returns {string} Text such as "V = I × R" or "(V₁ + V₂)/R"
+ */
+function latexToText(latex) {
+    let text = '';
+    let i = 0;
+
+    while (i < latex.length) {
+        const character = latex[i];
+
+        if (character === '\\') {
+            const command = /^\\([a-zA-Z]+|.)/.exec(latex.slice(i));
+            if (!command) {
+                i++;
+                continue;
+            }
+
+            const name = command[1];
+            i += command[0].length;
+
+            if (['frac', 'dfrac', 'tfrac'].includes(name)) {
+                const [numerator, afterNumerator] = readArgument(latex, i);
+                const [denominator, afterDenominator] = readArgument(latex, afterNumerator);
+                text += `${asTerm(latexToText(numerator))}/${asTerm(latexToText(denominator))}`;
+                i = afterDenominator;
+            } else if (name === 'sqrt') {
+                let index = '';
+                if (latex[i] === '[') {
+                    const end = latex.indexOf(']', i);
+                    index = end === -1 ? '' : latex.slice(i + 1, end);
+                    i = end === -1 ? i : end + 1;
+                }
+                const [radicand, next] = readArgument(latex, i);
+                text += `${index ? asScript(latexToText(index), '^') : ''}√${asTerm(latexToText(radicand))}`;
+                i = next;
+            } else if (TEXT_COMMANDS.has(name)) {
+                const [argument, next] = readArgument(latex, i);
+                text += latexToText(argument);
+                i = next;
+            } else if (SPACE_COMMANDS.has(name)) {
+                text += ' ';
+            } else if (SYMBOLS[name]) {
+                text += SYMBOLS[name];
+            } else if (!DROPPED_COMMANDS.has(name) && name !== '!') {
+                // Functions such as \sin and \log, and escaped characters such as \% and \{
+                text += /^[a-zA-Z]{2,}$/.test(name) && /[\p{L}\p{N}]$/u.test(text) ? ` ${name}` : name;
+            }
+        } else if (character === '^' || character === '_') {
+            const [script, next] = readArgument(latex, i + 1);
+            text += asScript(latexToText(script), character);
+            i = next;
+        } else {
+            if (character === '~') {
+                text += ' ';
+            } else if (character !== '{' && character !== '}') {
+                text += character;
+            }
+            i++;
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Replace the formulas in text with readable plain text, for exports that cannot render math
+ * @param {string} text - Text that may contain formulas
+ * @returns {string} Text without LaTeX
+ */
+function mathToPlainText(text) {
+    if (typeof text !== 'string') {
+        return text;
+    }
+
+    return splitMath(text)
+        .map(part => (part.math ? latexToText(part.value).replace(/\s+/g, ' ').trim() : part.value))
+        .join('');
+}
+
+/**
+ * Write the formulas in text with the delimiters Moodle's MathJax and TeX filters read
+ *
+ * Inline math becomes \(...\) and block math \[...\]. The result still has to be GIFT-escaped.
+ * @param {string} text - Text that may contain formulas
+ * @returns {string} Text for an [html] GIFT question
+ */
+function toGiftMath(text) {
+    return splitMath(text)
+        .map((part) => {
+            if (!part.math) {
+                return part.value;
+            }
+
+            // The question is HTML, so < and > inside a formula must not start a tag
+            const latex = part.value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            return part.display ? `\\[${latex}\\]` : `\\(${latex}\\)`;
+        })
+        .join('');
+}
+
+// Asks the model to write formulas in the notation the app renders
+const MATH_INSTRUCTIONS = ' Write formulas (e.g. Ohm\'s law, decibels, impedance) in LaTeX between \\( and \\) inline or \\[ and \\] as a block;'
+    + ' every backslash must be escaped in the JSON, e.g. "\\\\(V = I \\\\times R\\\\)".';
+
+export {
+    MATH_INSTRUCTIONS,
+    splitMath,
+    hasMath,
+    latexToText,
+    mathToPlainText,
+    toGiftMath
+};
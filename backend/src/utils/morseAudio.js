@@ -0,0 +1,193 @@
+// backend/src/utils/morseAudio.js
+
+/**
+ * International Morse code and its audio.
+ *
+ * Text is turned into a sine tone keyed on and off with the standard timing:
+ * a dot is one unit, a dash three, the gap inside a character one, between
+ * characters three and between words seven units, where one unit lasts
+ * 1.2 / WPM seconds ("PARIS" timing). Prosigns are written in angle brackets,
+ * e.g. <AR> or <SK>, and are sent as one character without inner gaps.
+ * The audio is a mono 16-bit PCM WAV file, made locally without any service.
+ */
+
+const MORSE_CODE = {
+    A: '.-', B: '-...', C: '-.-.', D: '-..', E: '.', F: '..-.', G: '--.', H: '....', I: '..', J: '.---',
+    K: '-.-', L: '.-..', M: '--', N: '-.', O: '---', P: '.--.', Q: '--.-', R: '.-.', S: '...', T: '-',
+    U: '..-', V: '...-', W: '.--', X: '-..-', Y: '-.--', Z: '--..',
+    0: '-----', 1: '.----', 2: '..---', 3: '...--', 4: '....-', 5: '.....', 6: '-....', 7: '--...', 8: '---..', 9: '----.',
+    '.': '.-.-.-', ',': '--..--', '?': '..--..', '\'': '.----.', '!': '-.-.--', '/': '-..-.', '(': '-.--.', ')': '-.--.-',
+    '&': '.-...', ':': '---...', ';': '-.-.-.', '=': '-...-', '+': '.-.-.', '-': '-....-', '_': '..--.-', '"': '.-..-.',
+    '$': '...-..-', '@': '.--.-.'
+};
+
+// Speeds (words per minute), tone frequencies (Hz) and text length a teacher can choose
+const MORSE_LIMITS = {
+    minWpm: 5,
+    maxWpm: 40,
+    defaultWpm: 15,
+    minTone: 300,
+    maxTone: 1200,
+    defaultTone: 700,
+    maxLength: 250
+};
+
+const SAMPLE_RATE = 11025;
+const AMPLITUDE = 0.6;
+// Rise and fall of every element, so the tone does not click
+const RAMP_SECONDS = 0.005;
+// Silence before the first and after the last character
+const LEAD_SECONDS = 0.3;
+
+/**
+ * Create an error with an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createMorseError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Split text into words of Morse characters
+ * @param {string} text - Text, with prosigns in angle brackets
+ * @returns {Array<Array<string>>} Words, each a list of dot-dash codes
+ * @throws {Error} 400 if the text is empty or has characters without a Morse code
+ */
+function parseMorse(text) {
+    const words = [];
+    const unsupported = new Set();
+
+    for (const word of String(text || '').toUpperCase().trim().split(/\s+/).filter(Boolean)) {
+        const codes = [];
+
+        for (const [, prosign, character] of word.matchAll(/<([A-Z0-9]+)>|(.)/gu)) {
+            if (prosign) {
+                codes.push([...prosign].map(letter => MORSE_CODE[letter]).join(''));
+            } else if (MORSE_CODE[character]) {
+                codes.push(MORSE_CODE[character]);
+            } else {
+                unsupported.add(character);
+            }
+        }
+
+        if (codes.length > 0) {
+            words.push(codes);
+        }
+    }
+
+    if (unsupported.size > 0) {
+        throw createMorseError(400, `These characters have no Morse code: ${[...unsupported].join(' ')}`);
+    }
+    if (words.length === 0) {
+        throw createMorseError(400, 'Enter the text to send in Morse code');
+    }
+
+    return words;
+}
+
+/**
+ * Write text in dots and dashes, e.g. for the answer key
+ * @param {string} text - Text, with prosigns in angle brackets
+ * @returns {string} Characters separated by spaces and words by " / "
+ * @throws {Error} 400 if the text has characters without a Morse code
+ */
+function textToMorse(text) {
+    return parseMorse(text).map(codes => codes.join(' ')).join(' / ');
+}
+
+/**
+ * Turn text into Morse code audio
+ * @param {string} text - Text, with prosigns in angle brackets
+ * @param {Object} [options] - Sound options
+ * @param {number} [options.wpm] - Speed in words per minute
+ * @param {number} [options.tone] - Tone frequency in Hz
+ * @returns {Buffer} WAV file
+ * @throws {Error} 400 if the text or an option is not usable
+ */
+function synthesizeMorseWav(text, { wpm = MORSE_LIMITS.defaultWpm, tone = MORSE_LIMITS.defaultTone } = {}) {
+    if (!(wpm >= MORSE_LIMITS.minWpm && wpm <= MORSE_LIMITS.maxWpm)) {
+        throw createMorseError(400, `Speed must be between ${MORSE_LIMITS.minWpm} and ${MORSE_LIMITS.maxWpm} WPM`);
+    }
+    if (!(tone >= MORSE_LIMITS.minTone && tone <= MORSE_LIMITS.maxTone)) {
+        throw createMorseError(400, `Tone must be between ${MORSE_LIMITS.minTone} and ${MORSE_LIMITS.maxTone} Hz`);
+    }
+    if (String(text || '').length > MORSE_LIMITS.maxLength) {
+        throw createMorseError(400, `Morse text cannot exceed ${MORSE_LIMITS.maxLength} characters`);
+    }
+
+    // Key the tone on (true) or off (false) for a number of units
+    const elements = [];
+    parseMorse(text).forEach((codes, wordIndex) => {
+        if (wordIndex > 0) elements.push([false, 7]);
+
+        codes.forEach((code, codeIndex) => {
+            if (codeIndex > 0) elements.push([false, 3]);
+
+            [...code].forEach((symbol, symbolIndex) => {
+                if (symbolIndex > 0) elements.push([false, 1]);
+                elements.push([true, symbol === '-' ? 3 : 1]);
+            });
+        });
+    });
+
+    const unitSamples = Math.round(SAMPLE_RATE * 1.2 / wpm);
+    const leadSamples = Math.round(SAMPLE_RATE * LEAD_SECONDS);
+    const rampSamples = Math.min(Math.round(SAMPLE_RATE * RAMP_SECONDS), Math.floor(unitSamples / 2));
+    const totalUnits = elements.reduce((sum, [, units]) => sum + units, 0);
+    const sampleCount = leadSamples * 2 + totalUnits * unitSamples;
+
+    const wav = Buffer.alloc(44 + sampleCount * 2);
+    writeWavHeader(wav, sampleCount);
+
+    let offset = leadSamples;
+    for (const [keyed, units] of elements) {
+        const length = units * unitSamples;
+
+        if (keyed) {
+            for (let i = 0; i < length; i++) {
+                const ramp = Math.min(1, i / rampSamples, (length - 1 - i) / rampSamples);
+                const envelope = (1 - Math.cos(Math.PI * Math.max(0, ramp))) / 2;
+                const sample = Math.sin(2 * Math.PI * tone * (offset + i) / SAMPLE_RATE) * envelope * AMPLITUDE;
+                wav.writeInt16LE(Math.round(sample * 32767), 44 + (offset + i) * 2);
+            }
+        }
+
+        offset += length;
+    }
+
+    return wav;
+}
+
+/**
+ * Write the RIFF header of a mono 16-bit PCM WAV file
+ * @param {Buffer} wav - Buffer of 44 + sampleCount * 2 bytes
+ * @param {number} sampleCount - Number of samples
+ */
+function writeWavHeader(wav, sampleCount) {
+    const dataSize = sampleCount * 2;
+
+    wav.write('RIFF', 0, 'ascii');
+    wav.writeUInt32LE(36 + dataSize, 4);
+    wav.write('WAVE', 8, 'ascii');
+    wav.write('fmt ', 12, 'ascii');
+    wav.writeUInt32LE(16, 16); // Size of the fmt chunk
+    wav.writeUInt16LE(1, 20); // PCM
+    wav.writeUInt16LE(1, 22); // Mono
+    wav.writeUInt32LE(SAMPLE_RATE, 24);
+    wav.writeUInt32LE(SAMPLE_RATE * 2, 28); // Bytes per second
+    wav.writeUInt16LE(2, 32); // Bytes per sample
+    wav.writeUInt16LE(16, 34); // Bits per sample
+    wav.write('data', 36, 'ascii');
+    wav.writeUInt32LE(dataSize, 40);
+}
+
+export {
+    MORSE_CODE,
+    MORSE_LIMITS,
+    textToMorse,
+    synthesizeMorseWav
+};
@@ -0,0 +1,117 @@
+// backend/src/utils/ocrProcessor.js
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { fromPath } from 'pdf2pic';
+import configService from '../services/configService.js';
+import { logger } from './logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// Result of the tesseract --version check, made once per process
+let tesseractAvailable = null;
+
+/**
+ * Local OCR with the Tesseract command line tool.
+ *
+ * Scanned PDF pages are rendered to PNG with pdf2pic (GraphicsMagick +
+ * Ghostscript) and read with the Thai and English language packs, so no
+ * document leaves the server.
+ */
+class OCRProcessor {
+    /**
+     * Check that OCR is enabled and the tesseract binary can be run
+     * @returns {Promise<boolean>} True if OCR can be used
+     */
+    static async isAvailable() {
+        if (!configService.get('ocr.enabled', true)) {
+            return false;
+        }
+
+        if (tesseractAvailable === null) {
+            try {
+                await execFileAsync(configService.get('ocr.tesseractPath', 'tesseract'), ['--version'], { timeout: 10000 });
+                tesseractAvailable = true;
+            } catch (error) {
+                logger.warn(`OCR unavailable, tesseract could not be run: ${error.message}`);
+                tesseractAvailable = false;
+            }
+        }
+
+        return tesseractAvailable;
+    }
+
+    /**
+     * Check whether extracted text is too short to be the real content of its pages
+     * @param {string} text - Extracted text
+     * @param {number} [pageCount] - Number of pages the text came from
+     * @returns {boolean} True if the pages should be read with OCR
+     */
+    static needsOCR(text, pageCount = 1) {
+        return String(text || '').replace(/\s+/g, '').length < configService.get('ocr.minTextChars', 50) * pageCount;
+    }
+
+    /**
+     * Read the text of an image
+     * @param {string} imagePath - Path to a PNG or JPEG image
+     * @returns {Promise<string>} Recognized text
+     */
+    static async recognizeImage(imagePath) {
+        const { stdout } = await execFileAsync(
+            configService.get('ocr.tesseractPath', 'tesseract'),
+            // Thai has no spaces between words; keep Tesseract from inventing them
+            [imagePath, 'stdout', '-l', configService.get('ocr.languages', 'tha+eng'), '--psm', '3', '-c', 'preserve_interword_spaces=1'],
+            {
+                timeout: configService.get('ocr.timeoutMs', 120000),
+                maxBuffer: 20 * 1024 * 1024
+            }
+        );
+
+        // Tesseract ends every page with a form feed
+        return stdout.replace(/\f/g, '\n').trim();
+    }
+
+    /**
+     * Render PDF pages to images and read them
+     * @param {string} pdfPath - Path to the PDF file
+     * @param {Array<number>} pageNumbers - 1-based page numbers to read
+     * @returns {Promise<Array<{pageNumber: number, text: string}>>} Recognized page texts
+     */
+    static async recognizePdfPages(pdfPath, pageNumbers) {
+        const maxPages = configService.get('ocr.maxPages', 50);
+        if (pageNumbers.length > maxPages) {
+            logger.warn(`OCR limited to the first ${maxPages} of ${pageNumbers.length} scanned pages`);
+        }
+
+        const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'quiz-ocr-'));
+        const convert = fromPath(pdfPath, {
+            density: configService.get('ocr.density', 300),
+            format: 'png',
+            savePath: workDir,
+            saveFilename: 'page',
+            // Keep the page's own proportions at the requested density
+            width: undefined,
+            height: undefined,
+            preserveAspectRatio: true
+        });
+
+        try {
+            const pages = [];
+            for (const pageNumber of pageNumbers.slice(0, maxPages)) {
+                const image = await convert(pageNumber, { responseType: 'image' });
+                const text = await this.recognizeImage(image.path);
+                logger.info(`OCR read ${text.length} characters from page ${pageNumber}`);
+
+                pages.push({ pageNumber, text });
+                await fs.promises.rm(image.path, { force: true });
+            }
+            return pages;
+        } finally {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    }
+}
+
+export default OCRProcessor;
@@ -1,45 +1,127 @@
 // utils/pdfProcessor.js
-const pdf = require('pdf-parse');
-const fs = require('fs');
+// Import the library entry directly: the package index runs a self-test when loaded as ESM
+import pdf from 'pdf-parse/lib/pdf-parse.js';
+import fs from 'fs';
+import aiService from '../services/aiService.js';
+import configService from '../services/configService.js';
+import SectionQuizService from '../services/sectionQuizService.js';
+import { sectionsFromText, DEFAULT_MAX_SECTION_CHARS } from './documentSections.js';
+import OCRProcessor from './ocrProcessor.js';
 
 class PDFProcessor {
   static async extractTextFromPDF(pdfPath) {
+    let data;
     try {
       const dataBuffer = fs.readFileSync(pdfPath);
-      const data = await pdf(dataBuffer);
-      
+      data = await pdf(dataBuffer);
+    } catch (error) {
+      throw new Error('Failed to extract text from PDF: ' + error.message);
+    }
+
+    // Scanned documents have no text layer: read the page images instead
+    if (OCRProcessor.needsOCR(data.text, data.numpages) && await OCRProcessor.isAvailable()) {
+      const pageNumbers = Array.from({ length: data.numpages }, (_, index) => index + 1);
+      const ocrPages = await OCRProcessor.recognizePdfPages(pdfPath, pageNumbers);
+
       return {
-        text: data.text,
+        text: ocrPages.map(page => page.text).join('\n\n'),
         pages: data.numpages,
-        info: data.info
+        info: data.info,
+        ocr: true
+      };
+    }
+
+    return {
+      text: data.text,
+      pages: data.numpages,
+      info: data.info,
+      ocr: false
+    };
+  }
+
+  /**
+   * Extract the text of every page so questions can cite the page they came from.
+   * Pages with (almost) no text layer are read with OCR when it is available.
+   * @param {string} pdfPath - Path to the PDF file
+   * @returns {Promise<{pages: Array<{pageNumber: number, text: string, ocr: boolean}>, numpages: number}>} Page texts
+   */
+  static async extractPagesFromPDF(pdfPath) {
+    const { pages, numpages } = await this._extractPageTexts(pdfPath);
+
+    const scannedPages = pages.filter(page => OCRProcessor.needsOCR(page.text));
+    if (scannedPages.length > 0 && await OCRProcessor.isAvailable()) {
+      const ocrPages = await OCRProcessor.recognizePdfPages(pdfPath, scannedPages.map(page => page.pageNumber));
+
+      for (const ocrPage of ocrPages) {
+        const page = pages[ocrPage.pageNumber - 1];
+        page.text = ocrPage.text;
+        page.ocr = true;
+      }
+    }
+
+    return { pages, numpages };
+  }
+
+  /**
+   * Read the text layer of every page
+   * @param {string} pdfPath - Path to the PDF file
+   * @returns {Promise<{pages: Array<{pageNumber: number, text: string, ocr: boolean}>, numpages: number}>} Page texts
+   * @private
+   */
+  static async _extractPageTexts(pdfPath) {
+    try {
+      const dataBuffer = fs.readFileSync(pdfPath);
+      const pages = [];
+
+      // pdf-parse renders pages one after another, so the push order is the page order
+      const data = await pdf(dataBuffer, {
+        pagerender: async (pageData) => {
+          const textContent = await pageData.getTextContent({
+            normalizeWhitespace: false,
+            disableCombineTextItems: false
+          });
+
+          let lastY;
+          let text = '';
+          for (const item of textContent.items) {
+            text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+            lastY = item.transform[5];
+          }
+
+          pages.push({ pageNumber: pages.length + 1, text, ocr: false });
+          return text;
+        }
+      });
+
+      return {
+        pages,
+        numpages: data.numpages
       };
     } catch (error) {
-      throw new Error('Failed to extract text from PDF: ' + error.message);
+      throw new Error('Failed to extract pages from PDF: ' + error.message);
     }
   }
 
+  /**
+   * Generate questions from long text, section by section, so nothing past the
+   * first prompt-sized chunk is ignored
+   * @param {string} text - Document text
+   * @param {Object} settings - Generation settings (questionCount, questionType, language, topic)
+   * @returns {Promise<Object>} Questions with sources, validation report and section coverage
+   */
   static async generateQuizFromText(text, settings) {
-    const genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
-
-    const prompt = `
-      Based on the following text content, create ${settings.questionCount} quiz questions:
-      
-      CONTENT:
-      ${text}
-      
-      REQUIREMENTS:
-      - Language: ${settings.language}
-      - Difficulty: ${settings.difficulty}
-      - Question Type: ${settings.questionType}
-      - Focus on key concepts and important information
-      
-      Return JSON format with questions array.
-    `;
-
-    const result = await model.generateContent(prompt);
-    return JSON.parse(result.response.text());
+    const sections = sectionsFromText(text, {
+      maxChars: configService.get('ai.sectionMaxChars', DEFAULT_MAX_SECTION_CHARS)
+    });
+
+    return SectionQuizService.generateFromSections(sections, {
+      questionType: settings.questionType,
+      numberOfQuestions: settings.questionCount,
+      language: aiService.normalizeLanguage(settings.language),
+      studentLevel: settings.difficulty,
+      sourceName: settings.topic
+    });
   }
 }
 
-module.exports = PDFProcessor;
\ No newline at end of file
+export default PDFProcessor;
@@ -0,0 +1,22 @@
+// backend/src/utils/presetTemplates.js
+
+/**
+ * Placeholders of additional-instruction templates in generation presets.
+ *
+ * A template such as "Focus on {topic} for {level} students" is stored as
+ * written and filled in by the client when a quiz is generated, once the
+ * topic is known (frontend/src/utils/presetTemplates.js).
+ */
+const PRESET_PLACEHOLDERS = ['topic', 'count', 'type', 'level', 'language'];
+
+/**
+ * Find placeholders a template uses that are not supported
+ * @param {string} template - Instruction template
+ * @returns {Array<string>} Unknown placeholder names
+ */
+function findUnknownPlaceholders(template) {
+    const names = [...String(template || '').matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    return [...new Set(names)].filter(name => !PRESET_PLACEHOLDERS.includes(name));
+}
+
+export { PRESET_PLACEHOLDERS, findUnknownPlaceholders };
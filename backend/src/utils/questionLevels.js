@@ -0,0 +1,257 @@
+// backend/src/utils/questionLevels.js
+
+/**
+ * Difficulty and Bloom's taxonomy levels of questions.
+ *
+ * Every generated question is tagged with both. A generation request may ask
+ * for a target mix in percentages, e.g. { easy: 30, medium: 50, hard: 20 };
+ * the mix is turned into an exact level for every question slot so that long
+ * documents generated section by section still add up to the requested mix.
+ */
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+// Revised Bloom's taxonomy, lowest to highest cognitive level
+const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'];
+
+const DIFFICULTY_SYNONYMS = {
+    easy: 'easy', simple: 'easy', basic: 'easy', 'ง่าย': 'easy',
+    medium: 'medium', moderate: 'medium', intermediate: 'medium', normal: 'medium', 'ปานกลาง': 'medium',
+    hard: 'hard', difficult: 'hard', advanced: 'hard', challenging: 'hard', 'ยาก': 'hard'
+};
+
+const BLOOM_SYNONYMS = {
+    remember: 'remember', remembering: 'remember', knowledge: 'remember', recall: 'remember', 'จำ': 'remember', 'ความจำ': 'remember',
+    understand: 'understand', understanding: 'understand', comprehension: 'understand', 'เข้าใจ': 'understand', 'ความเข้าใจ': 'understand',
+    apply: 'apply', applying: 'apply', application: 'apply', 'ประยุกต์': 'apply', 'ประยุกต์ใช้': 'apply', 'การนำไปใช้': 'apply',
+    analyze: 'analyze', analyse: 'analyze', analyzing: 'analyze', analysing: 'analyze', analysis: 'analyze', 'วิเคราะห์': 'analyze',
+    evaluate: 'evaluate', evaluating: 'evaluate', evaluation: 'evaluate', 'ประเมิน': 'evaluate', 'ประเมินค่า': 'evaluate',
+    create: 'create', creating: 'create', synthesis: 'create', synthesize: 'create', 'สร้างสรรค์': 'create', 'สังเคราะห์': 'create'
+};
+
+// Mixes may be off by rounding, e.g. three levels of 33%
+const MIX_TOLERANCE = 1;
+
+/**
+ * Map a difficulty the model wrote to a known level
+ * @param {*} value - Difficulty, e.g. 'Easy' or 'ง่าย'
+ * @returns {string|null} One of DIFFICULTY_LEVELS, or null if unknown
+ */
+function normalizeDifficulty(value) {
+    return typeof value === 'string' ? DIFFICULTY_SYNONYMS[value.trim().toLowerCase()] || null : null;
+}
+
+/**
+ * Map a Bloom level the model wrote to a known level
+ * @param {*} value - Bloom level, e.g. 'Analysis' or 'วิเคราะห์'
+ * @returns {string|null} One of BLOOM_LEVELS, or null if unknown
+ */
+function normalizeBloomLevel(value) {
+    return typeof value === 'string' ? BLOOM_SYNONYMS[value.trim().toLowerCase()] || null : null;
+}
+
+/**
+ * Parse and check a target mix
+ * @param {Object|string|undefined} value - Mix of level to percentage, or its JSON (multipart forms send strings)
+ * @param {Array<string>} levels - Allowed levels
+ * @returns {Object<string, number>|null} Mix, or null if none was given
+ * @throws {Error} If the mix has unknown levels, bad percentages or does not add up to 100
+ */
+function parseLevelMix(value, levels) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    let mix = value;
+    if (typeof mix === 'string') {
+        try {
+            mix = JSON.parse(mix);
+        } catch {
+            throw new Error('Level mix must be a JSON object');
+        }
+    }
+
+    if (typeof mix !== 'object' || Array.isArray(mix)) {
+        throw new Error('Level mix must be an object of level to percentage');
+    }
+
+    const parsed = {};
+    for (const [level, percent] of Object.entries(mix)) {
+        if (!levels.includes(level)) {
+            throw new Error(`Unknown level "${level}", expected one of: ${levels.join(', ')}`);
+        }
+        const number = Number(percent);
+        if (!Number.isFinite(number) || number < 0) {
+            throw new Error(`Percentage of "${level}" must be a number of at least 0`);
+        }
+        if (number > 0) {
+            parsed[level] = number;
+        }
+    }
+
+    const total = Object.values(parsed).reduce((sum, percent) => sum + percent, 0);
+    if (Math.abs(total - 100) > MIX_TOLERANCE) {
+        throw new Error(`Level percentages must add up to 100, got ${total}`);
+    }
+
+    return parsed;
+}
+
+/**
+ * Turn a mix into a number of questions per level (largest remainder)
+ * @param {Object<string, number>} mix - Level to percentage
+ * @param {number} total - Number of questions
+ * @param {Array<string>} levels - Levels in order, used to break ties
+ * @returns {Object<string, number>} Level to number of questions
+ */
+function countsFromMix(mix, total, levels) {
+    const percentTotal = Object.values(mix).reduce((sum, percent) => sum + percent, 0);
+    const shares = levels
+        .filter(level => mix[level])
+        .map(level => {
+            const exact = (mix[level] / percentTotal) * total;
+            return { level, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+        });
+
+    let left = total - shares.reduce((sum, share) => sum + share.count, 0);
+    [...shares].sort((a, b) => b.remainder - a.remainder).forEach(share => {
+        if (left > 0) {
+            share.count++;
+            left--;
+        }
+    });
+
+    return Object.fromEntries(shares.map(share => [share.level, share.count]));
+}
+
+/**
+ * Spread level counts over a sequence so every stretch of it follows the mix
+ * @param {Object<string, number>} counts - Level to number of questions
+ * @param {number} total - Sequence length
+ * @returns {Array<string>} Level of every position
+ */
+function interleave(counts, total) {
+    const assigned = Object.fromEntries(Object.keys(counts).map(level => [level, 0]));
+    const sequence = [];
+
+    for (let i = 0; i < total; i++) {
+        // Pick the level furthest behind its share of the first i + 1 positions
+        let best = null;
+        let bestDeficit = -Infinity;
+        for (const [level, count] of Object.entries(counts)) {
+            const deficit = (count * (i + 1)) / total - assigned[level];
+            if (deficit > bestDeficit) {
+                best = level;
+                bestDeficit = deficit;
+            }
+        }
+        assigned[best]++;
+        sequence.push(best);
+    }
+
+    return sequence;
+}
+
+/**
+ * Plan the difficulty and Bloom level of every question of a quiz
+ * @param {number} total - Number of questions
+ * @param {Object} [targets] - Generation parameters
+ * @param {Object<string, number>} [targets.difficultyMix] - Difficulty percentages
+ * @param {Object<string, number>} [targets.bloomMix] - Bloom level percentages
+ * @returns {Array<{difficulty: string|null, bloomLevel: string|null}>|null} One entry per question, or null if no mix was asked for
+ */
+function planLevels(total, { difficultyMix, bloomMix } = {}) {
+    if (!difficultyMix && !bloomMix) {
+        return null;
+    }
+
+    const difficulties = difficultyMix
+        ? interleave(countsFromMix(difficultyMix, total, DIFFICULTY_LEVELS), total)
+        : [];
+    const bloomLevels = bloomMix
+        ? interleave(countsFromMix(bloomMix, total, BLOOM_LEVELS), total)
+        : [];
+
+    return Array.from({ length: total }, (_, index) => ({
+        difficulty: difficulties[index] || null,
+        bloomLevel: bloomLevels[index] || null
+    }));
+}
+
+/**
+ * Count the questions per level
+ * @param {Array<Object>} entries - Questions or plan entries
+ * @param {string} field - 'difficulty' or 'bloomLevel'
+ * @param {Array<string>} levels - Levels to count
+ * @returns {Object<string, number>} Level to count
+ */
+function countLevels(entries, field, levels) {
+    const counts = Object.fromEntries(levels.map(level => [level, 0]));
+    for (const entry of entries) {
+        if (entry && counts[entry[field]] !== undefined) {
+            counts[entry[field]]++;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Describe a level plan for a prompt
+ * @param {Array<Object>|null} plan - Result of planLevels (or a slice of it)
+ * @returns {string} Prompt sentence, or '' without a plan
+ */
+function describeLevelTargets(plan) {
+    if (!plan || plan.length === 0) {
+        return '';
+    }
+
+    const describe = (field, levels) => Object.entries(countLevels(plan, field, levels))
+        .filter(([, count]) => count > 0)
+        .map(([level, count]) => `${count} ${level}`)
+        .join(', ');
+
+    let text = '';
+    if (plan[0].difficulty) {
+        text += ` Difficulty mix: exactly ${describe('difficulty', DIFFICULTY_LEVELS)}.`;
+    }
+    if (plan[0].bloomLevel) {
+        text += ` Bloom's taxonomy mix: exactly ${describe('bloomLevel', BLOOM_LEVELS)}.`;
+    }
+
+    return `${text} Write each question so that it really is at its tagged level.`;
+}
+
+/**
+ * Compare the levels of generated questions with the plan
+ * @param {Array<Object>} questions - Generated questions
+ * @param {Array<Object>|null} plan - Result of planLevels
+ * @returns {Object} Per field, the target (null without a mix) and actual counts per level
+ */
+function summarizeLevels(questions, plan) {
+    const summarize = (field, levels) => ({
+        target: plan && plan[0] && plan[0][field] ? countLevels(plan, field, levels) : null,
+        actual: countLevels(questions, field, levels)
+    });
+
+    return {
+        difficulty: summarize('difficulty', DIFFICULTY_LEVELS),
+        bloomLevel: summarize('bloomLevel', BLOOM_LEVELS)
+    };
+}
+
+// Tagging rule added to every generation and repair prompt
+const LEVEL_INSTRUCTIONS = ` Tag every question with "difficulty" (one of: ${DIFFICULTY_LEVELS.join(', ')})`
+    + ` and "bloomLevel", its level in the revised Bloom's taxonomy (one of: ${BLOOM_LEVELS.join(', ')}).`;
+
+export {
+    DIFFICULTY_LEVELS,
+    BLOOM_LEVELS,
+    LEVEL_INSTRUCTIONS,
+    normalizeDifficulty,
+    normalizeBloomLevel,
+    parseLevelMix,
+    countsFromMix,
+    planLevels,
+    describeLevelTargets,
+    summarizeLevels
+};
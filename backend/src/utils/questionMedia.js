@@ -0,0 +1,166 @@
+// backend/src/utils/questionMedia.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Images and audio clips attached to questions and options.
+ *
+ * Files are stored in a folder of uploads/ per kind and served with the rest
+ * of uploads/. Questions, options and version snapshots keep the path
+ * relative to uploads/ (e.g. `question-images/<file>`). A file is not deleted
+ * when it is replaced or removed, because earlier versions of the quiz still use it.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOADS_DIR = path.join(__dirname, '../../../uploads');
+
+// Folder and accepted types (with the extension they are stored under) of each kind of media
+const MEDIA_KINDS = {
+    image: {
+        folder: 'question-images',
+        extensions: {
+            'image/jpeg': '.jpg',
+            'image/png': '.png',
+            'image/gif': '.gif',
+            'image/webp': '.webp'
+        }
+    },
+    audio: {
+        folder: 'question-audio',
+        extensions: {
+            'audio/mpeg': '.mp3',
+            'audio/wav': '.wav',
+            'audio/x-wav': '.wav',
+            'audio/wave': '.wav',
+            'audio/ogg': '.ogg',
+            'audio/mp4': '.m4a',
+            'audio/x-m4a': '.m4a',
+            'audio/webm': '.webm'
+        }
+    }
+};
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.m4a': 'audio/mp4',
+    '.webm': 'audio/webm'
+};
+
+const QUESTION_IMAGE_DIR = path.join(UPLOADS_DIR, MEDIA_KINDS.image.folder);
+
+const QUESTION_AUDIO_DIR = path.join(UPLOADS_DIR, MEDIA_KINDS.audio.folder);
+
+/**
+ * Get the file extension an upload of a kind is stored under
+ * @param {string} kind - 'image' or 'audio'
+ * @param {string} mimeType - MIME type of an upload
+ * @returns {string|null} Extension such as '.png', or null if the type is not one of that kind we store
+ */
+function mediaExtension(kind, mimeType) {
+    return MEDIA_KINDS[kind].extensions[mimeType] || null;
+}
+
+/**
+ * Build a unique file name for a new media file
+ * @param {string} prefix - Start of the name, e.g. 'qimg'
+ * @param {number} userId - Uploader
+ * @param {string} extension - Extension from mediaExtension
+ * @returns {string} File name
+ */
+function mediaFileName(prefix, userId, extension) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    return `${prefix}-${userId}-${uniqueSuffix}${extension}`;
+}
+
+/**
+ * Get the stored path of a media file
+ * @param {string} kind - 'image' or 'audio'
+ * @param {string} fileName - Name of the file in the kind's folder, e.g. multer's file.filename
+ * @returns {string} Path relative to uploads/
+ */
+function mediaPathOf(kind, fileName) {
+    return `${MEDIA_KINDS[kind].folder}/${fileName}`;
+}
+
+/**
+ * Write generated media, such as synthesized audio, to the kind's folder
+ * @param {string} kind - 'image' or 'audio'
+ * @param {string} fileName - File name from mediaFileName
+ * @param {Buffer} data - File content
+ * @returns {{path: string, size: number, filePath: string}} Stored path, size in bytes and absolute file path
+ */
+function writeMedia(kind, fileName, data) {
+    const folder = path.join(UPLOADS_DIR, MEDIA_KINDS[kind].folder);
+    fs.mkdirSync(folder, { recursive: true });
+
+    const filePath = path.join(folder, fileName);
+    fs.writeFileSync(filePath, data);
+
+    return { path: mediaPathOf(kind, fileName), size: data.length, filePath };
+}
+
+/**
+ * Check a media path sent by a client, e.g. when a whole quiz is saved again
+ * @param {string} kind - 'image' or 'audio'
+ * @param {*} value - Path from a question or option
+ * @returns {string|null} The path, or null if it is not a stored file of that kind
+ */
+function cleanMediaPath(kind, value) {
+    // Stored paths only ever name a file directly in the kind's folder
+    const pattern = new RegExp(`^${MEDIA_KINDS[kind].folder}/[\\w.-]+$`);
+    return typeof value === 'string' && pattern.test(value) && !value.includes('..') ? value : null;
+}
+
+/**
+ * Read a stored media file as a data URI, for exports that carry their media with them
+ * @param {string} kind - 'image' or 'audio'
+ * @param {string|null} mediaPath - Path relative to uploads/
+ * @returns {string|null} data: URI, or null if there is no file or it is gone
+ */
+function mediaDataUri(kind, mediaPath) {
+    const cleanPath = cleanMediaPath(kind, mediaPath);
+    if (!cleanPath) {
+        return null;
+    }
+
+    const file = path.join(UPLOADS_DIR, cleanPath);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    return `data:${contentType};base64,${fs.readFileSync(file).toString('base64')}`;
+}
+
+/**
+ * Delete an upload that was not attached to anything
+ * @param {Object} [file] - File saved by multer, or written by writeMedia
+ */
+function discardUpload(file) {
+    const filePath = file?.filePath || file?.path;
+    if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+}
+
+export {
+    QUESTION_IMAGE_DIR,
+    QUESTION_AUDIO_DIR,
+    mediaExtension,
+    mediaFileName,
+    mediaPathOf,
+    writeMedia,
+    cleanMediaPath,
+    mediaDataUri,
+    discardUpload
+};
@@ -0,0 +1,190 @@
+// backend/src/utils/questionSimilarity.js
+
+/**
+ * Near-duplicate detection for questions written in Thai and English.
+ *
+ * Thai has no spaces between words, so text is split into words with
+ * Intl.Segmenter (ICU dictionary segmentation) and compared on the content
+ * words that remain after removing stop words. Because segmentation and
+ * rewording can still split the same phrase differently, questions are also
+ * compared on character trigrams. The similarity is the average of both.
+ */
+
+const ENGLISH_STOP_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'from', 'as', 'into', 'about',
+    'and', 'or', 'but', 'not', 'no', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'do', 'does', 'did',
+    'has', 'have', 'had', 'can', 'could', 'should', 'would', 'will', 'may', 'might', 'must',
+    'what', 'which', 'who', 'whom', 'whose', 'when', 'where', 'why', 'how',
+    'this', 'that', 'these', 'those', 'it', 'its', 'there', 'their', 'they', 'you', 'your',
+    'following', 'true', 'false', 'correct', 'statement', 'question', 'answer', 'best', 'most'
+]);
+
+const THAI_STOP_WORDS = new Set([
+    'ที่', 'ซึ่ง', 'อัน', 'ใน', 'ของ', 'และ', 'หรือ', 'แต่', 'กับ', 'แก่', 'แด่', 'ต่อ', 'จาก', 'โดย', 'เพื่อ', 'ให้', 'ได้',
+    'เป็น', 'คือ', 'มี', 'จะ', 'ไม่', 'ได้แก่', 'นี้', 'นั้น', 'การ', 'ความ', 'อะไร', 'ใด', 'ไหน', 'อย่างไร', 'ทำไม', 'เมื่อไร',
+    'ข้อ', 'ต่อไปนี้', 'ถูกต้อง', 'ที่สุด', 'คำถาม', 'คำตอบ', 'ควร', 'ต้อง', 'ก็', 'ยัง', 'แล้ว', 'อยู่', 'ไป', 'มา', 'ๆ'
+]);
+
+// Default share (0-1) of similarity from which two questions count as near-duplicates
+const DEFAULT_THRESHOLD = 0.7;
+
+const segmenter = typeof Intl.Segmenter === 'function'
+    ? new Intl.Segmenter('th', { granularity: 'word' })
+    : null;
+
+/**
+ * Lowercase, unify character forms and drop punctuation
+ * @param {string} text - Text
+ * @returns {string} Normalized text with single spaces
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\s]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Reduce an English word to a rough stem so plurals and tenses match
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+    if (!/^[a-z]+$/.test(word) || word.length <= 4) {
+        return word;
+    }
+    return word.replace(/(ing|ed|es|s)$/, '');
+}
+
+/**
+ * Split text into content words (Thai and English)
+ * @param {string} text - Text
+ * @returns {Array<string>} Words without stop words
+ */
+function tokenize(text) {
+    const normalized = normalizeText(text);
+    const words = segmenter
+        ? [...segmenter.segment(normalized)].filter(segment => segment.isWordLike).map(segment => segment.segment)
+        : normalized.split(' ');
+
+    return words
+        .filter(word => word && !ENGLISH_STOP_WORDS.has(word) && !THAI_STOP_WORDS.has(word))
+        .map(stem);
+}
+
+/**
+ * Character trigrams of the text without spaces
+ * @param {string} text - Text
+ * @returns {Set<string>} Trigrams
+ */
+function trigrams(text) {
+    const compact = normalizeText(text).replace(/ /g, '');
+    const grams = new Set();
+    for (let i = 0; i + 3 <= compact.length; i++) {
+        grams.add(compact.slice(i, i + 3));
+    }
+    if (grams.size === 0 && compact) {
+        grams.add(compact);
+    }
+    return grams;
+}
+
+/**
+ * Precompute what similarity() compares, so long lists are tokenized once
+ * @param {string} text - Question text
+ * @returns {{words: Set<string>, trigrams: Set<string>}} Fingerprint
+ */
+function fingerprint(text) {
+    return { words: new Set(tokenize(text)), trigrams: trigrams(text) };
+}
+
+/**
+ * Share of elements two sets have in common (Jaccard index)
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} 0-1
+ */
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) {
+        return 0;
+    }
+    let shared = 0;
+    for (const item of a) {
+        if (b.has(item)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two questions
+ * @param {string|Object} a - Question text or fingerprint
+ * @param {string|Object} b - Question text or fingerprint
+ * @returns {number} 0 (unrelated) to 1 (same wording)
+ */
+function similarity(a, b) {
+    const first = typeof a === 'string' ? fingerprint(a) : a;
+    const second = typeof b === 'string' ? fingerprint(b) : b;
+
+    return (jaccard(first.words, second.words) + jaccard(first.trigrams, second.trigrams)) / 2;
+}
+
+/**
+ * Find near-duplicate pairs within one list of questions
+ * @param {Array<string>} texts - Question texts
+ * @param {number} [threshold] - Minimum similarity (0-1)
+ * @returns {Array<{index: number, duplicateOf: number, similarity: number}>} Later question of every pair with the earlier one it repeats
+ */
+function findDuplicatePairs(texts, threshold = DEFAULT_THRESHOLD) {
+    const prints = texts.map(fingerprint);
+    const pairs = [];
+
+    for (let index = 1; index < prints.length; index++) {
+        let best = null;
+        for (let other = 0; other < index; other++) {
+            const score = similarity(prints[index], prints[other]);
+            if (score >= threshold && (!best || score > best.similarity)) {
+                best = { index, duplicateOf: other, similarity: score };
+            }
+        }
+        if (best) pairs.push(best);
+    }
+
+    return pairs;
+}
+
+/**
+ * Find the closest near-duplicate of each question among candidates
+ * @param {Array<string>} texts - Question texts to check
+ * @param {Array<{fingerprint: Object}>} candidates - Candidates with a precomputed fingerprint
+ * @param {number} [threshold] - Minimum similarity (0-1)
+ * @returns {Array<{index: number, candidate: Object, similarity: number}>} Best match of every question that has one
+ */
+function findClosestMatches(texts, candidates, threshold = DEFAULT_THRESHOLD) {
+    const matches = [];
+
+    texts.forEach((text, index) => {
+        const print = fingerprint(text);
+        let best = null;
+        for (const candidate of candidates) {
+            const score = similarity(print, candidate.fingerprint);
+            if (score >= threshold && (!best || score > best.similarity)) {
+                best = { index, candidate, similarity: score };
+            }
+        }
+        if (best) matches.push(best);
+    });
+
+    return matches;
+}
+
+export {
+    DEFAULT_THRESHOLD,
+    normalizeText,
+    tokenize,
+    fingerprint,
+    similarity,
+    findDuplicatePairs,
+    findClosestMatches
+};
@@ -0,0 +1,142 @@
+// backend/src/utils/questionTypes.js
+
+/**
+ * Question types and the JSON shape the model is asked to return for each.
+ *
+ * A quiz has one question type, or MIXED; every question also carries its own
+ * "questionType" so mixed quizzes can be stored, validated and exported.
+ */
+
+const QuestionType = {
+    MULTIPLE_CHOICE: 'Multiple Choice',
+    TRUE_FALSE: 'True/False',
+    MULTIPLE_SELECT: 'Multiple Select',
+    MATCHING: 'Matching',
+    ORDERING: 'Ordering',
+    FILL_IN_THE_BLANK: 'Fill in the Blank',
+    SHORT_ANSWER: 'Short Answer',
+    ESSAY: 'Essay'
+};
+
+const MIXED_QUESTION_TYPE = 'Mixed';
+
+// Types a single question can have
+const QUESTION_TYPES = Object.values(QuestionType);
+
+// Types a quiz can have
+const QUIZ_TYPES = [...QUESTION_TYPES, MIXED_QUESTION_TYPE];
+
+// Marker the model must put where the blank goes in fill-in-the-blank questions
+const BLANK_MARKER = '_____';
+
+const formats = {
+    [QuestionType.MULTIPLE_CHOICE]: {
+        instructions: 'provide 4 options (A, B, C, D), mark exactly one as correct, and include a brief explanation of why the answer is correct.',
+        example: {
+            questionText: 'Question text here',
+            options: [
+                { text: 'Option A', isCorrect: false },
+                { text: 'Option B', isCorrect: true },
+                { text: 'Option C', isCorrect: false },
+                { text: 'Option D', isCorrect: false }
+            ],
+            explanation: 'Explanation of the correct answer'
+        }
+    },
+    [QuestionType.TRUE_FALSE]: {
+        instructions: 'write a statement that is clearly true or false, give the two options "True" and "False" with exactly one marked correct, and explain why.',
+        example: {
+            questionText: 'Statement to judge here',
+            options: [
+                { text: 'True', isCorrect: false },
+                { text: 'False', isCorrect: true }
+            ],
+            explanation: 'Why the statement is true or false'
+        }
+    },
+    [QuestionType.MULTIPLE_SELECT]: {
+        instructions: 'provide 4 to 6 options where two or more are correct and at least one is wrong, mark every correct option, and explain the answer.',
+        example: {
+            questionText: 'Select all that apply: question text here',
+            options: [
+                { text: 'Option A', isCorrect: true },
+                { text: 'Option B', isCorrect: false },
+                { text: 'Option C', isCorrect: true },
+                { text: 'Option D', isCorrect: false },
+                { text: 'Option E', isCorrect: true }
+            ],
+            explanation: 'Why the marked options are correct'
+        }
+    },
+    [QuestionType.MATCHING]: {
+        instructions: 'provide 3 to 8 pairs to match, each with a "left" item and the "right" item it matches, and explain the matches.',
+        example: {
+            questionText: 'Match each term with its description',
+            pairs: [
+                { left: 'Term 1', right: 'Description 1' },
+                { left: 'Term 2', right: 'Description 2' },
+                { left: 'Term 3', right: 'Description 3' }
+            ],
+            explanation: 'Why the pairs belong together'
+        }
+    },
+    [QuestionType.ORDERING]: {
+        instructions: 'provide 3 to 8 "items" listed in the correct order (the student will see them shuffled), and explain the order.',
+        example: {
+            questionText: 'Put the steps in the correct order',
+            items: ['First step', 'Second step', 'Third step', 'Fourth step'],
+            explanation: 'Why this is the correct order'
+        }
+    },
+    [QuestionType.FILL_IN_THE_BLANK]: {
+        instructions: `write a sentence with exactly one blank written as ${BLANK_MARKER}, list every acceptable word or phrase for the blank in "answers", and explain the answer.`,
+        example: {
+            questionText: `The sentence with the ${BLANK_MARKER} to fill in`,
+            answers: ['missing word', 'accepted alternative'],
+            explanation: 'Why this is the answer'
+        }
+    },
+    [QuestionType.SHORT_ANSWER]: {
+        instructions: 'ask a question answered by a word or short phrase, list every acceptable answer in "answers", and explain the answer.',
+        example: {
+            questionText: 'Question text here',
+            answers: ['Expected answer', 'Accepted alternative'],
+            explanation: 'Why this is the answer'
+        }
+    },
+    [QuestionType.ESSAY]: {
+        instructions: 'provide a brief guideline on what a good answer should include.',
+        example: {
+            questionText: 'Question text here',
+            explanation: 'Guidelines for a good answer'
+        }
+    }
+};
+
+/**
+ * Check if a string is a type a single question can have
+ * @param {string} type - Question type
+ * @returns {boolean} True if valid
+ */
+function isQuestionType(type) {
+    return QUESTION_TYPES.includes(type);
+}
+
+/**
+ * Get the format description of a question type
+ * @param {string} type - Question type
+ * @returns {{instructions: string, example: Object}|null} Format, or null for unknown types
+ */
+function getQuestionFormat(type) {
+    return formats[type] || null;
+}
+
+export {
+    QuestionType,
+    MIXED_QUESTION_TYPE,
+    QUESTION_TYPES,
+    QUIZ_TYPES,
+    BLANK_MARKER,
+    isQuestionType,
+    getQuestionFormat
+};
@@ -0,0 +1,130 @@
+// backend/src/utils/quizDiff.js
+
+/**
+ * Compare two versions of a quiz question by question.
+ *
+ * Questions are paired by ID first; a question keeps its ID when it is edited
+ * or regenerated in place. Questions whose ID changed (e.g. after a restore)
+ * are then paired by identical text. Whatever is left over was added or removed.
+ */
+
+// Fields of a question that make up its content
+const COMPARED_FIELDS = [
+    'questionType',
+    'questionText',
+    'image',
+    'audio',
+    'options',
+    'pairs',
+    'items',
+    'answers',
+    'explanation',
+    'difficulty',
+    'bloomLevel',
+    'objectiveIds'
+];
+
+const normalizeText = (text) => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Get the fields whose content differs between two versions of a question
+ * @param {Object} from - Older question
+ * @param {Object} to - Newer question
+ * @returns {Array<string>} Names of the changed fields
+ */
+function changedFields(from, to) {
+    return COMPARED_FIELDS.filter((field) => {
+        if (isEmpty(from[field]) && isEmpty(to[field])) {
+            return false;
+        }
+        return JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null);
+    });
+}
+
+/**
+ * Pair the questions of two quiz versions
+ * @param {Array<Object>} fromQuestions - Questions of the older version
+ * @param {Array<Object>} toQuestions - Questions of the newer version
+ * @returns {Array<number|null>} For each newer question, the index of its older version or null
+ */
+function pairQuestions(fromQuestions, toQuestions) {
+    const used = new Set();
+    const pairs = toQuestions.map((question) => {
+        const index = fromQuestions.findIndex(candidate => candidate.id === question.id);
+        if (index === -1 || used.has(index)) {
+            return null;
+        }
+        used.add(index);
+        return index;
+    });
+
+    toQuestions.forEach((question, toIndex) => {
+        if (pairs[toIndex] !== null) return;
+
+        const index = fromQuestions.findIndex((candidate, fromIndex) => !used.has(fromIndex)
+            && normalizeText(candidate.questionText) === normalizeText(question.questionText));
+        if (index !== -1) {
+            used.add(index);
+            pairs[toIndex] = index;
+        }
+    });
+
+    return pairs;
+}
+
+/**
+ * Compare two snapshots of a quiz
+ * @param {Object} from - Older snapshot ({ title, questions })
+ * @param {Object} to - Newer snapshot ({ title, questions })
+ * @returns {Object} Title change, a row per question for a side-by-side view, and counts per status
+ */
+function diffQuizzes(from, to) {
+    const pairs = pairQuestions(from.questions, to.questions);
+
+    const rows = to.questions.map((question, toIndex) => {
+        const fromIndex = pairs[toIndex];
+        if (fromIndex === null) {
+            return { status: 'added', fromNumber: null, toNumber: toIndex + 1, from: null, to: question, changes: [] };
+        }
+
+        const changes = changedFields(from.questions[fromIndex], question);
+        return {
+            status: changes.length > 0 ? 'changed' : 'unchanged',
+            fromNumber: fromIndex + 1,
+            toNumber: toIndex + 1,
+            from: from.questions[fromIndex],
+            to: question,
+            changes
+        };
+    });
+
+    // Removed questions go after the last row that comes before them in the older version
+    const paired = new Set(pairs.filter(index => index !== null));
+    from.questions.forEach((question, fromIndex) => {
+        if (paired.has(fromIndex)) return;
+
+        let position = 0;
+        rows.forEach((row, rowIndex) => {
+            if (row.fromNumber !== null && row.fromNumber - 1 < fromIndex) {
+                position = rowIndex + 1;
+            }
+        });
+
+        rows.splice(position, 0, { status: 'removed', fromNumber: fromIndex + 1, toNumber: null, from: question, to: null, changes: [] });
+    });
+
+    const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    rows.forEach((row) => {
+        summary[row.status] += 1;
+    });
+
+    return {
+        title: { from: from.title, to: to.title, changed: from.title !== to.title },
+        questions: rows,
+        summary
+    };
+}
+
+export { diffQuizzes };
@@ -0,0 +1,151 @@
+// backend/src/utils/quizLanguages.js
+import { BLANK_MARKER } from './questionTypes.js';
+
+/**
+ * Languages of quizzes and their translations.
+ *
+ * A quiz is written in one language; it can be translated into the other
+ * one, and each question then stores a `translation` object holding the
+ * same fields in that language: questionText, explanation, options (texts
+ * in option order), pairs, items and answers. Exports and printouts pick
+ * the original, the translation or both side by side.
+ */
+
+const QUIZ_LANGUAGES = ['thai', 'english'];
+
+// Export and print both language versions of every question
+const BILINGUAL = 'bilingual';
+
+const EXPORT_LANGUAGES = [...QUIZ_LANGUAGES, BILINGUAL];
+
+const LANGUAGE_NAMES = {
+    thai: 'Thai',
+    english: 'English'
+};
+
+/**
+ * Get the language a quiz was written in
+ * @param {Object} quiz - Quiz row
+ * @returns {string} 'thai' or 'english' (quizzes saved without a language are English)
+ */
+function quizLanguage(quiz) {
+    return quiz.language === 'thai' ? 'thai' : 'english';
+}
+
+/**
+ * Get the language a quiz written in the given language is translated into
+ * @param {string} language - 'thai' or 'english'
+ * @returns {string} The other language
+ */
+function otherLanguage(language) {
+    return language === 'thai' ? 'english' : 'thai';
+}
+
+/**
+ * Get a question with the texts of its translation, falling back to the original for anything not translated
+ * @param {Object} question - Question from QuizService.getQuizById
+ * @returns {Object} Translated question
+ */
+function translatedQuestion(question) {
+    const translation = question.translation;
+    if (!translation) {
+        return question;
+    }
+
+    return {
+        ...question,
+        questionText: translation.questionText || question.questionText,
+        explanation: translation.explanation ?? question.explanation,
+        options: (question.options || []).map((option, index) => ({
+            ...option,
+            text: translation.options?.[index] || option.text
+        })),
+        ...(question.pairs && {
+            pairs: question.pairs.map((pair, index) => ({
+                left: translation.pairs?.[index]?.left || pair.left,
+                right: translation.pairs?.[index]?.right || pair.right
+            }))
+        }),
+        ...(question.items && { items: question.items.map((item, index) => translation.items?.[index] || item) }),
+        ...(question.answers && { answers: translation.answers?.length > 0 ? translation.answers : question.answers })
+    };
+}
+
+/**
+ * Get a question with the original and translated text of every field next to each other
+ * @param {Object} question - Question from QuizService.getQuizById
+ * @returns {Object} Bilingual question
+ */
+function bilingualQuestion(question) {
+    const translated = translatedQuestion(question);
+    const join = (original, translation, separator = ' / ') => (
+        !translation || translation === original ? original : `${original}${separator}${translation}`
+    );
+
+    return {
+        ...question,
+        questionText: join(question.questionText, translated.questionText, '\n'),
+        explanation: question.explanation ? join(question.explanation, translated.explanation, '\n') : translated.explanation,
+        options: (question.options || []).map((option, index) => ({
+            ...option,
+            text: join(option.text, translated.options[index].text)
+        })),
+        ...(question.pairs && {
+            pairs: question.pairs.map((pair, index) => ({
+                left: join(pair.left, translated.pairs[index].left),
+                right: join(pair.right, translated.pairs[index].right)
+            }))
+        }),
+        ...(question.items && { items: question.items.map((item, index) => join(item, translated.items[index])) }),
+        ...(question.answers && {
+            answers: [...new Set([...question.answers, ...translated.answers])]
+        })
+    };
+}
+
+/**
+ * Get a quiz with its questions in the requested language version
+ * @param {Object} quiz - Quiz from QuizService.getQuizById
+ * @param {string} [language] - 'thai', 'english' or BILINGUAL; the original when empty
+ * @returns {Object} Quiz with localized questions
+ * @throws {Error} 400 if the quiz has no version in that language
+ */
+function localizeQuiz(quiz, language) {
+    if (!language || language === quizLanguage(quiz)) {
+        return quiz;
+    }
+
+    if (!quiz.translation_language || (language !== BILINGUAL && language !== quiz.translation_language)) {
+        const error = new Error(`This quiz has no ${LANGUAGE_NAMES[otherLanguage(quizLanguage(quiz))]} version yet. Translate it first.`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return {
+        ...quiz,
+        questions: quiz.questions.map(language === BILINGUAL ? bilingualQuestion : translatedQuestion)
+    };
+}
+
+/**
+ * Check whether a translated question keeps the blank of a fill-in-the-blank question
+ * @param {string} original - Original question text
+ * @param {string} translation - Translated question text
+ * @returns {boolean} True if the blank marker was kept or there was none
+ */
+function keepsBlank(original, translation) {
+    return !original.includes(BLANK_MARKER) || translation.includes(BLANK_MARKER);
+}
+
+export {
+    QUIZ_LANGUAGES,
+    BILINGUAL,
+    EXPORT_LANGUAGES,
+    LANGUAGE_NAMES,
+    quizLanguage,
+    otherLanguage,
+    translatedQuestion,
+    bilingualQuestion,
+    localizeQuiz,
+    keepsBlank
+};
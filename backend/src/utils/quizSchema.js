@@ -0,0 +1,443 @@
+// backend/src/utils/quizSchema.js
+import {
+    QuestionType,
+    MIXED_QUESTION_TYPE,
+    QUESTION_TYPES,
+    BLANK_MARKER,
+    isQuestionType
+} from './questionTypes.js';
+import {
+    DIFFICULTY_LEVELS,
+    BLOOM_LEVELS,
+    normalizeDifficulty,
+    normalizeBloomLevel
+} from './questionLevels.js';
+
+/**
+ * Per-question-type schema rules for AI generated questions.
+ * Each rule set returns a list of human readable errors; an empty list means valid.
+ * The messages are sent back to the model verbatim when asking it to repair a question.
+ */
+
+const MULTIPLE_CHOICE_OPTION_COUNT = 4;
+const MULTIPLE_SELECT_OPTION_RANGE = [4, 6];
+const MATCHING_PAIR_RANGE = [3, 8];
+const ORDERING_ITEM_RANGE = [3, 8];
+
+/**
+ * Check that a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if non-empty string
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Normalize text for duplicate comparison
+ * @param {string} text - Option text
+ * @returns {string} Normalized text
+ */
+function normalizeForComparison(text) {
+    return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Report values that appear more than once
+ * @param {Array<string>} values - Values to check
+ * @param {string} label - Name of one value in error messages
+ * @returns {Array<string>} Errors
+ */
+function findDuplicates(values, label) {
+    const errors = [];
+    const seen = new Set();
+
+    values.forEach((value, index) => {
+        if (!isNonEmptyString(value)) return;
+
+        const key = normalizeForComparison(value);
+        if (seen.has(key)) {
+            errors.push(`${label} ${index + 1} duplicates another ${label} ("${value.trim()}")`);
+        }
+        seen.add(key);
+    });
+
+    return errors;
+}
+
+/**
+ * Rules shared by every question type
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateCommon(question) {
+    const errors = [];
+
+    if (!isNonEmptyString(question.questionText)) {
+        errors.push('"questionText" must be a non-empty string');
+    }
+
+    if (!isNonEmptyString(question.explanation)) {
+        errors.push(question.questionType === QuestionType.ESSAY
+            ? '"explanation" must contain guidelines for a good answer'
+            : '"explanation" must explain why the correct answer is correct');
+    }
+
+    if (!DIFFICULTY_LEVELS.includes(question.difficulty)) {
+        errors.push(`"difficulty" must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+    }
+
+    if (!BLOOM_LEVELS.includes(question.bloomLevel)) {
+        errors.push(`"bloomLevel" must be one of: ${BLOOM_LEVELS.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Rules for the options array of choice-based questions
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateOptions(question) {
+    const errors = [];
+
+    question.options.forEach((option, index) => {
+        if (!option || !isNonEmptyString(option.text)) {
+            errors.push(`option ${index + 1} must have a non-empty "text"`);
+        }
+        if (!option || typeof option.isCorrect !== 'boolean') {
+            errors.push(`option ${index + 1} must have a boolean "isCorrect"`);
+        }
+    });
+
+    errors.push(...findDuplicates(question.options.map(option => option && option.text), 'option'));
+
+    return errors;
+}
+
+/**
+ * Check that a question has no answer fields belonging to other types
+ * @param {Object} question - Question object
+ * @param {Array<string>} allowed - Answer fields this type uses
+ * @returns {Array<string>} Errors
+ */
+function validateNoOtherAnswerFields(question, allowed) {
+    return ['options', 'pairs', 'items', 'answers']
+        .filter(field => !allowed.includes(field))
+        .filter(field => Array.isArray(question[field]) && question[field].length > 0)
+        .map(field => `${question.questionType} questions must not have "${field}"`);
+}
+
+/**
+ * Count the correct options of a question
+ * @param {Object} question - Question object
+ * @returns {number} Number of options with isCorrect true
+ */
+function countCorrect(question) {
+    return question.options.filter(option => option && option.isCorrect === true).length;
+}
+
+/**
+ * Rules for multiple choice questions
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateMultipleChoice(question) {
+    const errors = validateCommon(question);
+
+    if (!Array.isArray(question.options)) {
+        errors.push('"options" must be an array');
+        return errors;
+    }
+
+    if (question.options.length !== MULTIPLE_CHOICE_OPTION_COUNT) {
+        errors.push(`"options" must contain exactly ${MULTIPLE_CHOICE_OPTION_COUNT} options, found ${question.options.length}`);
+    }
+
+    errors.push(...validateOptions(question));
+
+    const correctCount = countCorrect(question);
+    if (correctCount !== 1) {
+        errors.push(`exactly one option must have "isCorrect": true, found ${correctCount}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Rules for true/false questions
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateTrueFalse(question) {
+    const errors = validateCommon(question);
+
+    if (!Array.isArray(question.options)) {
+        errors.push('"options" must be an array with the two options "True" and "False"');
+        return errors;
+    }
+
+    if (question.options.length !== 2) {
+        errors.push(`"options" must contain exactly 2 options ("True" and "False"), found ${question.options.length}`);
+    }
+
+    errors.push(...validateOptions(question));
+
+    const correctCount = countCorrect(question);
+    if (correctCount !== 1) {
+        errors.push(`exactly one option must have "isCorrect": true, found ${correctCount}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Rules for multiple select questions
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateMultipleSelect(question) {
+    const errors = validateCommon(question);
+    const [minOptions, maxOptions] = MULTIPLE_SELECT_OPTION_RANGE;
+
+    if (!Array.isArray(question.options)) {
+        errors.push('"options" must be an array');
+        return errors;
+    }
+
+    if (question.options.length < minOptions || question.options.length > maxOptions) {
+        errors.push(`"options" must contain ${minOptions} to ${maxOptions} options, found ${question.options.length}`);
+    }
+
+    errors.push(...validateOptions(question));
+
+    const correctCount = countCorrect(question);
+    if (correctCount < 2) {
+        errors.push(`at least two options must have "isCorrect": true, found ${correctCount}`);
+    }
+    if (correctCount === question.options.length) {
+        errors.push('at least one option must have "isCorrect": false');
+    }
+
+    return errors;
+}
+
+/**
+ * Rules for matching questions
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateMatching(question) {
+    const errors = validateCommon(question);
+    const [minPairs, maxPairs] = MATCHING_PAIR_RANGE;
+
+    errors.push(...validateNoOtherAnswerFields(question, ['pairs']));
+
+    if (!Array.isArray(question.pairs)) {
+        errors.push('"pairs" must be an array of { "left": ..., "right": ... } objects');
+        return errors;
+    }
+
+    if (question.pairs.length < minPairs || question.pairs.length > maxPairs) {
+        errors.push(`"pairs" must contain ${minPairs} to ${maxPairs} pairs, found ${question.pairs.length}`);
+    }
+
+    question.pairs.forEach((pair, index) => {
+        if (!pair || !isNonEmptyString(pair.left) || !isNonEmptyString(pair.right)) {
+            errors.push(`pair ${index + 1} must have a non-empty "left" and "right"`);
+        }
+    });
+
+    errors.push(...findDuplicates(question.pairs.map(pair => pair && pair.left), 'left item'));
+    errors.push(...findDuplicates(question.pairs.map(pair => pair && pair.right), 'right item'));
+
+    return errors;
+}
+
+/**
+ * Rules for ordering questions
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateOrdering(question) {
+    const errors = validateCommon(question);
+    const [minItems, maxItems] = ORDERING_ITEM_RANGE;
+
+    errors.push(...validateNoOtherAnswerFields(question, ['items']));
+
+    if (!Array.isArray(question.items)) {
+        errors.push('"items" must be an array of strings in the correct order');
+        return errors;
+    }
+
+    if (question.items.length < minItems || question.items.length > maxItems) {
+        errors.push(`"items" must contain ${minItems} to ${maxItems} items, found ${question.items.length}`);
+    }
+
+    question.items.forEach((item, index) => {
+        if (!isNonEmptyString(item)) {
+            errors.push(`item ${index + 1} must be a non-empty string`);
+        }
+    });
+
+    errors.push(...findDuplicates(question.items, 'item'));
+
+    return errors;
+}
+
+/**
+ * Rules for the accepted answers of fill-in-the-blank and short answer questions
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateAnswers(question) {
+    const errors = validateNoOtherAnswerFields(question, ['answers']);
+
+    if (!Array.isArray(question.answers) || question.answers.length === 0) {
+        errors.push('"answers" must be a non-empty array of accepted answers');
+        return errors;
+    }
+
+    question.answers.forEach((answer, index) => {
+        if (!isNonEmptyString(answer)) {
+            errors.push(`answer ${index + 1} must be a non-empty string`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Rules for fill-in-the-blank questions
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateFillInTheBlank(question) {
+    const errors = validateCommon(question);
+
+    if (isNonEmptyString(question.questionText)) {
+        const blanks = question.questionText.split(BLANK_MARKER).length - 1;
+        if (blanks !== 1) {
+            errors.push(`"questionText" must contain exactly one blank written as ${BLANK_MARKER}, found ${blanks}`);
+        }
+    }
+
+    errors.push(...validateAnswers(question));
+
+    return errors;
+}
+
+/**
+ * Rules for short answer questions
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateShortAnswer(question) {
+    return [...validateCommon(question), ...validateAnswers(question)];
+}
+
+/**
+ * Rules for essay questions
+ * @param {Object} question - Question object
+ * @returns {Array<string>} Errors
+ */
+function validateEssay(question) {
+    const errors = validateCommon(question);
+
+    if (Array.isArray(question.options) && question.options.length > 0) {
+        errors.push('essay questions must not have "options"');
+    }
+
+    return errors;
+}
+
+const validatorsByType = {
+    [QuestionType.MULTIPLE_CHOICE]: validateMultipleChoice,
+    [QuestionType.TRUE_FALSE]: validateTrueFalse,
+    [QuestionType.MULTIPLE_SELECT]: validateMultipleSelect,
+    [QuestionType.MATCHING]: validateMatching,
+    [QuestionType.ORDERING]: validateOrdering,
+    [QuestionType.FILL_IN_THE_BLANK]: validateFillInTheBlank,
+    [QuestionType.SHORT_ANSWER]: validateShortAnswer,
+    [QuestionType.ESSAY]: validateEssay
+};
+
+/**
+ * Validate a single generated question against the schema for its type
+ * @param {Object} question - Question object from the AI, normalized with normalizeQuestion
+ * @param {string} questionType - Quiz question type; for 'Mixed' the question's own type is used
+ * @returns {Array<string>} Errors, empty if the question is valid
+ */
+function validateQuestion(question, questionType) {
+    if (!question || typeof question !== 'object' || Array.isArray(question)) {
+        return ['question must be a JSON object'];
+    }
+
+    if (questionType === MIXED_QUESTION_TYPE) {
+        if (!isQuestionType(question.questionType)) {
+            return [`"questionType" must be one of ${QUESTION_TYPES.map(type => `"${type}"`).join(', ')}`];
+        }
+    } else if (!validatorsByType[questionType]) {
+        return [`unsupported question type "${questionType}"`];
+    }
+
+    return validatorsByType[question.questionType](question);
+}
+
+/**
+ * Trim string fields of a generated question so whitespace does not fail validation,
+ * and record the question's own type
+ * @param {Object} question - Question object from the AI
+ * @param {string} [quizType] - Quiz question type; questions of single-type quizzes take it as their type
+ * @returns {Object} Normalized copy
+ */
+function normalizeQuestion(question, quizType) {
+    if (!question || typeof question !== 'object') {
+        return question;
+    }
+
+    const normalized = { ...question };
+    const trim = value => (typeof value === 'string' ? value.trim() : value);
+
+    if (quizType && quizType !== MIXED_QUESTION_TYPE) {
+        normalized.questionType = quizType;
+    } else if (typeof normalized.questionType === 'string') {
+        // Accept the model's spelling as long as it names a known type
+        const wanted = normalizeForComparison(normalized.questionType).replace(/[^a-z]/g, '');
+        normalized.questionType = QUESTION_TYPES.find(type => type.toLowerCase().replace(/[^a-z]/g, '') === wanted)
+            || normalized.questionType;
+    }
+
+    normalized.questionText = trim(normalized.questionText);
+    normalized.explanation = trim(normalized.explanation);
+
+    // Keep unknown levels as written so the repair prompt can quote them
+    normalized.difficulty = normalizeDifficulty(normalized.difficulty) || normalized.difficulty;
+    normalized.bloomLevel = normalizeBloomLevel(normalized.bloomLevel) || normalized.bloomLevel;
+
+    if (Array.isArray(normalized.options)) {
+        normalized.options = normalized.options.map(option => (
+            option && typeof option.text === 'string'
+                ? { ...option, text: option.text.trim() }
+                : option
+        ));
+    }
+    if (Array.isArray(normalized.pairs)) {
+        normalized.pairs = normalized.pairs.map(pair => (
+            pair && typeof pair === 'object'
+                ? { ...pair, left: trim(pair.left), right: trim(pair.right) }
+                : pair
+        ));
+    }
+    if (Array.isArray(normalized.items)) {
+        normalized.items = normalized.items.map(trim);
+    }
+    if (Array.isArray(normalized.answers)) {
+        normalized.answers = normalized.answers.map(trim);
+    }
+
+    return normalized;
+}
+
+export { validateQuestion, normalizeQuestion, MULTIPLE_CHOICE_OPTION_COUNT };
@@ -0,0 +1,104 @@
+// backend/src/utils/quizStreamParser.js
+
+/**
+ * Incremental parser for streamed AI quiz output.
+ *
+ * Receives the model response chunk by chunk and returns each object of the
+ * `questions` array as soon as its closing brace arrives, so questions can be
+ * forwarded to the client before the whole response is finished.
+ */
+class QuizStreamParser {
+    constructor() {
+        this.buffer = '';
+        this.position = 0;      // Next character to scan
+        this.inArray = false;   // Inside the "questions" array
+        this.done = false;      // Closing bracket of the array seen
+        this.depth = 0;         // Brace/bracket depth inside the array
+        this.inString = false;
+        this.escaped = false;
+        this.objectStart = -1;
+    }
+
+    /**
+     * Add a chunk of model output
+     * @param {string} chunk - Text chunk
+     * @returns {Array<Object>} Questions completed by this chunk
+     */
+    push(chunk) {
+        this.buffer += chunk;
+        const completed = [];
+
+        if (!this.inArray && !this.done) {
+            const match = /"questions"\s*:\s*\[/.exec(this.buffer);
+            if (!match) {
+                return completed;
+            }
+            this.inArray = true;
+            this.position = match.index + match[0].length;
+        }
+
+        while (this.inArray && this.position < this.buffer.length) {
+            const char = this.buffer[this.position];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+            } else if (char === '"') {
+                this.inString = true;
+            } else if (char === '{' || char === '[') {
+                if (this.depth === 0 && char === '{') {
+                    this.objectStart = this.position;
+                }
+                this.depth++;
+            } else if (char === '}' || char === ']') {
+                if (this.depth === 0 && char === ']') {
+                    // End of the questions array
+                    this.inArray = false;
+                    this.done = true;
+                } else {
+                    this.depth--;
+                    if (this.depth === 0 && char === '}' && this.objectStart !== -1) {
+                        const question = this._parseObject(this.buffer.slice(this.objectStart, this.position + 1));
+                        if (question) {
+                            completed.push(question);
+                        }
+                        this.objectStart = -1;
+                    }
+                }
+            }
+
+            this.position++;
+        }
+
+        return completed;
+    }
+
+    /**
+     * Full text received so far
+     * @returns {string} Raw response text
+     */
+    getText() {
+        return this.buffer;
+    }
+
+    /**
+     * Parse a single question object, ignoring malformed ones
+     * @param {string} json - Object source
+     * @returns {Object|null} Parsed object or null
+     * @private
+     */
+    _parseObject(json) {
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+export default QuizStreamParser;
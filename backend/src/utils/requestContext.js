@@ -0,0 +1,29 @@
+// backend/src/utils/requestContext.js
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per-request context that follows async calls, so deep services such as
+ * aiService can tell which user a request belongs to without every
+ * function in between passing the user along.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a context
+ * @param {Object} context - Context values, e.g. { userId }
+ * @param {Function} callback - Function to run
+ * @returns {*} Result of the callback
+ */
+function runWithContext(context, callback) {
+    return storage.run({ ...storage.getStore(), ...context }, callback);
+}
+
+/**
+ * Get the context of the current request
+ * @returns {Object} Context values, empty outside a request
+ */
+function getContext() {
+    return storage.getStore() || {};
+}
+
+export { runWithContext, getContext };
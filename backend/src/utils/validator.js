@@ -1,5 +1,12 @@
 // backend/src/utils/validator.js
 import { body, param, query, validationResult } from 'express-validator';
+import { QUESTION_TYPES, QUIZ_TYPES } from './questionTypes.js';
+import { DIFFICULTY_LEVELS, BLOOM_LEVELS, parseLevelMix } from './questionLevels.js';
+import { findUnknownPlaceholders } from './presetTemplates.js';
+import { EXPORT_LANGUAGES } from './quizLanguages.js';
+import { MORSE_LIMITS } from './morseAudio.js';
+import { FLAG_TYPES } from '../services/answerKeyService.js';
+import { AIProviderType } from '../services/aiProviders/index.js';
 
 // Password validation function
 export const validatePassword = (password) => {
@@ -25,6 +32,97 @@ export const validatePassword = (password) => {
   };
 };
 
+// Settings of a generation preset, shared by create and update
+const presetSaveRules = [
+  body('name').trim().notEmpty().withMessage('Preset name is required')
+    .isLength({ max: 100 }).withMessage('Preset name cannot exceed 100 characters'),
+  body('questionType').isIn(QUIZ_TYPES).withMessage('Invalid question type'),
+  body('numberOfQuestions').isInt({ min: 1, max: 50 }).withMessage('Number of questions must be between 1 and 50'),
+  body('studentLevel').optional({ values: 'null' }).trim().isLength({ max: 100 }).withMessage('Student level cannot exceed 100 characters'),
+  body('language').optional().isIn(['thai', 'english']).withMessage('Language must be thai or english'),
+  body('departmentId').optional({ values: 'null' }).isInt().withMessage('Invalid department ID'),
+  body('difficultyMix').optional({ values: 'null' }).custom((value) => {
+    parseLevelMix(value, DIFFICULTY_LEVELS);
+    return true;
+  }),
+  body('bloomMix').optional({ values: 'null' }).custom((value) => {
+    parseLevelMix(value, BLOOM_LEVELS);
+    return true;
+  }),
+  body('instructionsTemplate').optional({ values: 'null' }).isLength({ max: 500 }).withMessage('Instruction template cannot exceed 500 characters')
+    .custom((value) => {
+      const unknown = findUnknownPlaceholders(value);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown placeholder(s): ${unknown.map(name => `{${name}}`).join(', ')}`);
+      }
+      return true;
+    })
+];
+
+// Fields of a course, shared by create and update
+const courseSaveRules = [
+  body('code').trim().notEmpty().withMessage('Course code is required')
+    .isLength({ max: 50 }).withMessage('Course code cannot exceed 50 characters'),
+  body('name').trim().notEmpty().withMessage('Course name is required')
+    .isLength({ max: 255 }).withMessage('Course name cannot exceed 255 characters'),
+  body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters')
+];
+
+// Fields of a learning objective, shared by create and update
+const objectiveSaveRules = [
+  body('code').trim().notEmpty().withMessage('Objective code is required')
+    .isLength({ max: 50 }).withMessage('Objective code cannot exceed 50 characters'),
+  body('description').trim().notEmpty().withMessage('Objective description is required')
+    .isLength({ max: 1000 }).withMessage('Objective description cannot exceed 1000 characters')
+];
+
+// Version of the quiz an edit is based on; edits of an older version are refused with 409
+const baseVersionRule = body('baseVersion').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Invalid base version');
+
+// Fields of a single saved question, shared by add and update; the service checks they fit the question's type
+const questionFieldRules = [
+  body('explanation').optional({ values: 'null' }).isString().withMessage('Explanation must be text'),
+  body('difficulty').optional({ values: 'null' }).isIn(DIFFICULTY_LEVELS).withMessage('Invalid difficulty'),
+  body('bloomLevel').optional({ values: 'null' }).isIn(BLOOM_LEVELS).withMessage('Invalid Bloom level'),
+  body('pairs').optional().isArray({ min: 1 }).withMessage('Pairs must be a list'),
+  body('pairs.*.left').trim().notEmpty().withMessage('Every pair needs a left item'),
+  body('pairs.*.right').trim().notEmpty().withMessage('Every pair needs a right item'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a list'),
+  body('items.*').isString().trim().notEmpty().withMessage('Items cannot be empty'),
+  body('answers').optional().isArray({ min: 1 }).withMessage('Answers must be a list'),
+  body('answers.*').isString().trim().notEmpty().withMessage('Answers cannot be empty'),
+  baseVersionRule
+];
+
+// Quiz and question IDs of a single-question edit
+const questionParamRules = [
+  param('id').isInt().withMessage('Invalid quiz ID'),
+  param('questionId').isInt().withMessage('Invalid question ID')
+];
+
+// Quiz, question and option IDs of a single-option edit
+const optionParamRules = [
+  ...questionParamRules,
+  param('optionId').isInt().withMessage('Invalid option ID')
+];
+
+// Text, speed and tone of synthesized Morse code audio
+const morseRules = [
+  body('text').trim().notEmpty().withMessage('Enter the text to send in Morse code')
+    .isLength({ max: MORSE_LIMITS.maxLength }).withMessage(`Morse text cannot exceed ${MORSE_LIMITS.maxLength} characters`),
+  body('wpm').optional({ values: 'null' }).isInt({ min: MORSE_LIMITS.minWpm, max: MORSE_LIMITS.maxWpm })
+    .withMessage(`Speed must be between ${MORSE_LIMITS.minWpm} and ${MORSE_LIMITS.maxWpm} WPM`).toInt(),
+  body('tone').optional({ values: 'null' }).isInt({ min: MORSE_LIMITS.minTone, max: MORSE_LIMITS.maxTone })
+    .withMessage(`Tone must be between ${MORSE_LIMITS.minTone} and ${MORSE_LIMITS.maxTone} Hz`).toInt()
+];
+
+// Tags of bank questions, shared by adding and updating
+const bankTagRules = [
+  body('tags').optional().isArray({ max: 20 }).withMessage('A question can have at most 20 tags'),
+  body('tags.*').isString().trim().notEmpty().withMessage('Tags cannot be empty')
+    .isLength({ max: 50 }).withMessage('A tag cannot exceed 50 characters')
+];
+
 // Common validation rules
 const commonRules = {
   // Quiz validation rules (kept from original)
@@ -32,10 +130,21 @@ const commonRules = {
     create: [
       body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
       body('topic').trim().notEmpty().withMessage('Topic is required').isLength({ max: 200 }).withMessage('Topic cannot exceed 200 characters'),
-      body('questionType').isIn(['Multiple Choice', 'Essay']).withMessage('Invalid question type'),
+      body('questionType').isIn(QUIZ_TYPES).withMessage('Invalid question type'),
       body('questions').isArray({ min: 1 }).withMessage('At least one question is required'),
       body('questions.*.questionText').trim().notEmpty().withMessage('Question text is required'),
+      body('questions.*.questionType').optional().isIn(QUESTION_TYPES).withMessage('Invalid question type'),
       body('questions.*.options').optional().isArray(),
+      body('questions.*.pairs').optional().isArray(),
+      body('questions.*.items').optional().isArray(),
+      body('questions.*.answers').optional().isArray(),
+      body('questions.*.difficulty').optional({ values: 'null' }).isIn(DIFFICULTY_LEVELS).withMessage('Invalid difficulty'),
+      body('questions.*.bloomLevel').optional({ values: 'null' }).isIn(BLOOM_LEVELS).withMessage('Invalid Bloom level'),
+      body('questions.*.reviewFlags').optional().isArray(),
+      body('questions.*.reviewFlags.*.type').isIn(FLAG_TYPES).withMessage('Invalid answer-key flag'),
+      body('questions.*.reviewFlags.*.message').isString().isLength({ max: 2000 }).withMessage('Invalid answer-key flag message'),
+      body('questions.*.objectiveIds').optional().isArray(),
+      body('questions.*.objectiveIds.*').isInt().withMessage('Invalid learning objective ID'),
       body('studentLevel').optional().trim().isLength({ max: 100 }).withMessage('Student level cannot exceed 100 characters'),
     ],
     generate: [
@@ -51,11 +160,25 @@ const commonRules = {
         return true;
       }),
 
-      body('questionType').isIn(['Multiple Choice', 'Essay']).withMessage('Invalid question type'),
+      body('questionType').isIn(QUIZ_TYPES).withMessage('Invalid question type'),
       body('numberOfQuestions').isInt({ min: 1, max: 50 }).withMessage('Number of questions must be between 1 and 50'),
       body('studentLevel').optional().trim().isLength({ max: 100 }).withMessage('Student level cannot exceed 100 characters'),
       body('additionalInstructions').optional().trim().isLength({ max: 500 }).withMessage('Additional instructions cannot exceed 500 characters'),
 
+      // Target mixes in percent, e.g. { "easy": 30, "medium": 50, "hard": 20 }
+      body('difficultyMix').optional({ values: 'null' }).custom((value) => {
+        parseLevelMix(value, DIFFICULTY_LEVELS);
+        return true;
+      }),
+      body('bloomMix').optional({ values: 'null' }).custom((value) => {
+        parseLevelMix(value, BLOOM_LEVELS);
+        return true;
+      }),
+
+      // Learning objectives from the course catalogue the questions must cover
+      body('objectiveIds').optional({ values: 'null' }).isArray({ max: 30 }).withMessage('Choose at most 30 learning objectives'),
+      body('objectiveIds.*').isInt().withMessage('Invalid learning objective ID'),
+
       // Updated language validation to handle display names
       body('language').optional().custom((value) => {
         const validLanguages = ['thai', 'english', 'Thai (ไทย)', 'English'];
@@ -67,7 +190,8 @@ const commonRules = {
     ],
     rename: [
       param('id').isInt().withMessage('Invalid quiz ID'),
-      body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters')
+      body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+      baseVersionRule
     ],
     getById: [
       param('id').isInt().withMessage('Invalid quiz ID')
@@ -75,10 +199,186 @@ const commonRules = {
     delete: [
       param('id').isInt().withMessage('Invalid quiz ID')
     ],
+    export: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      query('language').optional().isIn(EXPORT_LANGUAGES).withMessage('Invalid export language')
+    ],
     updateQuestions: [
       param('id').isInt().withMessage('Invalid quiz ID'),
       body('questions').isArray({ min: 1 }).withMessage('At least one question is required'),
-      body('questions.*.questionText').trim().notEmpty().withMessage('Question text is required')
+      body('questions.*.questionText').trim().notEmpty().withMessage('Question text is required'),
+      body('questions.*.replacesId').optional().isInt().withMessage('Invalid ID of the question to replace'),
+      body('questions.*.difficulty').optional({ values: 'null' }).isIn(DIFFICULTY_LEVELS).withMessage('Invalid difficulty'),
+      body('questions.*.bloomLevel').optional({ values: 'null' }).isIn(BLOOM_LEVELS).withMessage('Invalid Bloom level'),
+      body('questions.*.objectiveIds').optional().isArray(),
+      body('questions.*.objectiveIds.*').isInt().withMessage('Invalid learning objective ID'),
+      baseVersionRule
+    ],
+    setQuestionObjectives: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      param('questionId').isInt().withMessage('Invalid question ID'),
+      body('objectiveIds').isArray({ max: 30 }).withMessage('Choose at most 30 learning objectives'),
+      body('objectiveIds.*').isInt().withMessage('Invalid learning objective ID'),
+      baseVersionRule
+    ],
+    addQuestion: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      body('questionType').optional().isIn(QUESTION_TYPES).withMessage('Invalid question type'),
+      body('questionText').trim().notEmpty().withMessage('Question text is required'),
+      body('options').optional().isArray().withMessage('Options must be a list'),
+      body('options.*.text').trim().notEmpty().withMessage('Option text is required'),
+      body('options.*.isCorrect').isBoolean().withMessage('isCorrect must be true or false'),
+      body('objectiveIds').optional({ values: 'null' }).isArray({ max: 30 }).withMessage('Choose at most 30 learning objectives'),
+      body('objectiveIds.*').isInt().withMessage('Invalid learning objective ID'),
+      body('position').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Invalid question number').toInt(),
+      ...questionFieldRules
+    ],
+    updateQuestion: [
+      ...questionParamRules,
+      body('questionText').optional().trim().notEmpty().withMessage('Question text cannot be empty'),
+      ...questionFieldRules
+    ],
+    deleteQuestion: [
+      ...questionParamRules,
+      baseVersionRule
+    ],
+    reorderQuestions: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      body('questionIds').isArray({ min: 1 }).withMessage('The question IDs in their new order are required'),
+      body('questionIds.*').isInt().withMessage('Invalid question ID'),
+      baseVersionRule
+    ],
+    duplicateQuestion: [
+      ...questionParamRules,
+      baseVersionRule
+    ],
+    addOption: [
+      ...questionParamRules,
+      body('text').trim().notEmpty().withMessage('Option text is required'),
+      body('isCorrect').optional().isBoolean().withMessage('isCorrect must be true or false').toBoolean(),
+      body('position').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Invalid option number').toInt(),
+      baseVersionRule
+    ],
+    updateOption: [
+      ...optionParamRules,
+      body('text').optional().trim().notEmpty().withMessage('Option text cannot be empty'),
+      body('isCorrect').optional().isBoolean().withMessage('isCorrect must be true or false').toBoolean(),
+      baseVersionRule
+    ],
+    deleteOption: [
+      ...optionParamRules,
+      baseVersionRule
+    ],
+    reorderOptions: [
+      ...questionParamRules,
+      body('optionIds').isArray({ min: 2 }).withMessage('The option IDs in their new order are required'),
+      body('optionIds.*').isInt().withMessage('Invalid option ID'),
+      baseVersionRule
+    ],
+    duplicateOption: [
+      ...optionParamRules,
+      baseVersionRule
+    ],
+    // Checked before the upload is read, so a multipart baseVersion is read by the controller
+    questionImage: [
+      ...questionParamRules,
+      baseVersionRule
+    ],
+    optionImage: [
+      ...optionParamRules,
+      baseVersionRule
+    ],
+    questionAudio: [
+      ...questionParamRules,
+      baseVersionRule
+    ],
+    morseAudio: morseRules,
+    questionMorseAudio: [
+      ...questionParamRules,
+      ...morseRules,
+      baseVersionRule
+    ],
+    regenerateQuestion: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      param('position').isInt({ min: 1 }).withMessage('Invalid question number'),
+      body('additionalInstructions').optional().trim().isLength({ max: 500 }).withMessage('Additional instructions cannot exceed 500 characters'),
+      baseVersionRule
+    ],
+    generateMoreQuestions: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      body('count').isInt({ min: 1, max: 20 }).withMessage('Number of questions must be between 1 and 20'),
+      body('additionalInstructions').optional().trim().isLength({ max: 500 }).withMessage('Additional instructions cannot exceed 500 characters'),
+      body('difficultyMix').optional({ values: 'null' }).custom((value) => {
+        parseLevelMix(value, DIFFICULTY_LEVELS);
+        return true;
+      }),
+      body('bloomMix').optional({ values: 'null' }).custom((value) => {
+        parseLevelMix(value, BLOOM_LEVELS);
+        return true;
+      }),
+      baseVersionRule
+    ],
+    replacementQuestion: [
+      body('topic').trim().notEmpty().withMessage('Topic is required'),
+      body('questionType').isIn(QUIZ_TYPES).withMessage('Invalid question type'),
+      body('questions').isArray({ min: 1 }).withMessage('At least one question is required'),
+      body('questions.*.questionText').trim().notEmpty().withMessage('Question text is required'),
+      body('position').isInt({ min: 1 }).withMessage('Invalid question number'),
+      body('additionalInstructions').optional().trim().isLength({ max: 500 }).withMessage('Additional instructions cannot exceed 500 characters')
+    ],
+    checkDuplicates: [
+      body('questions').isArray({ min: 1 }).withMessage('At least one question is required'),
+      body('questions.*.questionText').isString().withMessage('Question text is required'),
+      body('excludeQuizId').optional({ values: 'null' }).isInt().withMessage('Invalid quiz ID')
+    ],
+    checkAnswerKeys: [
+      body('questions').isArray({ min: 1, max: 100 }).withMessage('Between 1 and 100 questions are required'),
+      body('questions.*.questionText').isString().withMessage('Question text is required'),
+      body('questionType').optional().isIn(QUIZ_TYPES).withMessage('Invalid question type'),
+      body('language').optional().isIn(['thai', 'english', 'Thai (ไทย)', 'English']).withMessage('Invalid language')
+    ],
+    analyzeDistractors: [
+      body('questions').isArray({ min: 1 }).withMessage('At least one question is required'),
+      body('questions.*.questionText').isString().withMessage('Question text is required'),
+      body('questionType').optional().isIn(QUIZ_TYPES).withMessage('Invalid question type')
+    ],
+    improveDistractors: [
+      body('question').isObject().withMessage('Question is required'),
+      body('question.questionText').isString().withMessage('Question text is required'),
+      body('question.options').isArray({ min: 2 }).withMessage('The question needs options'),
+      body('questionType').optional().isIn(QUIZ_TYPES).withMessage('Invalid question type')
+    ],
+    improveQuestionDistractors: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      param('position').isInt({ min: 1 }).withMessage('Invalid question number'),
+      baseVersionRule
+    ],
+    fillExplanations: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      body('overwrite').optional().isBoolean().withMessage('Overwrite must be true or false'),
+      baseVersionRule
+    ],
+    resolveFlag: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      param('flagId').isInt().withMessage('Invalid flag ID')
+    ],
+    getVersion: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      param('version').isInt({ min: 1 }).withMessage('Invalid version number')
+    ],
+    diffVersions: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      query('from').isInt({ min: 1 }).withMessage('Invalid version number to compare from'),
+      query('to').isInt({ min: 1 }).withMessage('Invalid version number to compare to')
+    ],
+    restoreVersion: [
+      param('id').isInt().withMessage('Invalid quiz ID'),
+      param('version').isInt({ min: 1 }).withMessage('Invalid version number'),
+      baseVersionRule
+    ],
+    list: [
+      query('difficulty').optional().isIn(DIFFICULTY_LEVELS).withMessage('Invalid difficulty'),
+      query('bloomLevel').optional().isIn(BLOOM_LEVELS).withMessage('Invalid Bloom level')
     ],
     move: [
       param('id').isInt().withMessage('Invalid quiz ID'),
@@ -86,6 +386,108 @@ const commonRules = {
     ]
   },
 
+  // Generation preset rules
+  presetRules: {
+    save: presetSaveRules,
+    update: [
+      param('id').isInt().withMessage('Invalid preset ID'),
+      ...presetSaveRules
+    ],
+    delete: [
+      param('id').isInt().withMessage('Invalid preset ID')
+    ]
+  },
+
+  // Course and learning objective catalogue rules
+  courseRules: {
+    create: [
+      body('schoolId').isInt().withMessage('School ID is required'),
+      ...courseSaveRules
+    ],
+    update: [
+      param('id').isInt().withMessage('Invalid course ID'),
+      ...courseSaveRules
+    ],
+    getById: [
+      param('id').isInt().withMessage('Invalid course ID')
+    ],
+    createObjective: [
+      param('id').isInt().withMessage('Invalid course ID'),
+      ...objectiveSaveRules
+    ],
+    updateObjective: [
+      param('id').isInt().withMessage('Invalid course ID'),
+      param('objectiveId').isInt().withMessage('Invalid objective ID'),
+      ...objectiveSaveRules
+    ],
+    deleteObjective: [
+      param('id').isInt().withMessage('Invalid course ID'),
+      param('objectiveId').isInt().withMessage('Invalid objective ID')
+    ]
+  },
+
+  // Question bank and quiz assembler rules
+  bankRules: {
+    list: [
+      query('questionType').optional().isIn(QUESTION_TYPES).withMessage('Invalid question type'),
+      query('difficulty').optional().isIn(DIFFICULTY_LEVELS).withMessage('Invalid difficulty'),
+      query('bloomLevel').optional().isIn(BLOOM_LEVELS).withMessage('Invalid Bloom level'),
+      query('tag').optional().isLength({ max: 50 }).withMessage('Invalid tag'),
+      query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+      query('offset').optional().isInt({ min: 0 }).withMessage('Invalid offset')
+    ],
+    getById: [
+      param('id').isInt().withMessage('Invalid question ID')
+    ],
+    add: [
+      body('questions').isArray({ min: 1, max: 100 }).withMessage('Between 1 and 100 questions are required'),
+      body('questions.*.questionText').trim().notEmpty().withMessage('Question text is required'),
+      body('questions.*.questionType').isIn(QUESTION_TYPES).withMessage('Invalid question type'),
+      body('questions.*.options').optional().isArray(),
+      body('questions.*.pairs').optional().isArray(),
+      body('questions.*.items').optional().isArray(),
+      body('questions.*.answers').optional().isArray(),
+      body('questions.*.difficulty').optional({ values: 'null' }).isIn(DIFFICULTY_LEVELS).withMessage('Invalid difficulty'),
+      body('questions.*.bloomLevel').optional({ values: 'null' }).isIn(BLOOM_LEVELS).withMessage('Invalid Bloom level'),
+      body('questions.*.objectiveIds').optional().isArray(),
+      body('questions.*.objectiveIds.*').isInt().withMessage('Invalid learning objective ID'),
+      body('language').optional({ values: 'null' }).isIn(['thai', 'english']).withMessage('Language must be thai or english'),
+      ...bankTagRules
+    ],
+    addFromQuiz: [
+      param('quizId').isInt().withMessage('Invalid quiz ID'),
+      body('questionIds').optional({ values: 'null' }).isArray({ min: 1 }).withMessage('Choose at least one question'),
+      body('questionIds.*').isInt().withMessage('Invalid question ID'),
+      ...bankTagRules
+    ],
+    update: [
+      param('id').isInt().withMessage('Invalid question ID'),
+      body('questionText').optional().trim().notEmpty().withMessage('Question text is required'),
+      body('explanation').optional({ values: 'null' }).isString().isLength({ max: 5000 }).withMessage('Explanation cannot exceed 5000 characters'),
+      body('difficulty').optional({ values: 'null' }).isIn(DIFFICULTY_LEVELS).withMessage('Invalid difficulty'),
+      body('bloomLevel').optional({ values: 'null' }).isIn(BLOOM_LEVELS).withMessage('Invalid Bloom level'),
+      ...bankTagRules
+    ],
+    assemble: [
+      body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+      body('topic').optional().trim().isLength({ max: 200 }).withMessage('Topic cannot exceed 200 characters'),
+      body('studentLevel').optional({ values: 'null' }).trim().isLength({ max: 100 }).withMessage('Student level cannot exceed 100 characters'),
+      body('language').optional({ values: 'null' }).isIn(['thai', 'english']).withMessage('Language must be thai or english'),
+      body('questionIds').isArray({ min: 1, max: 100 }).withMessage('Choose between 1 and 100 questions'),
+      body('questionIds.*').isInt().withMessage('Invalid question ID')
+    ]
+  },
+
+  // Background generation job rules
+  jobRules: {
+    list: [
+      query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+    ],
+    getById: [
+      param('jobId').isInt().withMessage('Invalid job ID')
+    ]
+  },
+
   // Authentication validation rules
   authRules: {
     register: [
@@ -142,7 +544,7 @@ const commonRules = {
       body('language').optional().isIn(['thai', 'english']).withMessage('Invalid language'),
       body('theme').optional().isIn(['light', 'dark']).withMessage('Invalid theme'),
       body('defaultQuestionCount').optional().isInt({ min: 1, max: 50 }).withMessage('Default question count must be between 1 and 50'),
-      body('defaultQuizType').optional().isIn(['Multiple Choice', 'Essay']).withMessage('Invalid quiz type')
+      body('defaultQuizType').optional().isIn(QUIZ_TYPES).withMessage('Invalid quiz type')
     ],
     closeAccount: [
       body('password').optional(),
@@ -217,6 +619,22 @@ const commonRules = {
     updateUserRole: [
       body('userId').isInt().withMessage('User ID is required'),
       body('role').isIn(['admin', 'school_admin', 'teacher']).withMessage('Invalid role')
+    ],
+    listAILogs: [
+      query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+      query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more'),
+      query('userId').optional().isInt().withMessage('User ID must be a number'),
+      query('status').optional().isIn(['success', 'error', 'cancelled']).withMessage('Invalid status'),
+      query('task').optional().isString().isLength({ max: 50 }),
+      query('search').optional().isString().isLength({ max: 200 })
+    ],
+    getAILog: [
+      param('id').isInt().withMessage('Log ID must be a number')
+    ],
+    replayAILog: [
+      param('id').isInt().withMessage('Log ID must be a number'),
+      body('provider').optional({ values: 'falsy' }).isIn(Object.values(AIProviderType)).withMessage(`Provider must be one of: ${Object.values(AIProviderType).join(', ')}`),
+      body('model').optional({ values: 'falsy' }).isString().trim().isLength({ max: 100 }).withMessage('Model name must be at most 100 characters')
     ]
   }
 };
@@ -0,0 +1,82 @@
+// backend/src/utils/zipReader.js
+import zlib from 'zlib';
+
+/**
+ * Minimal ZIP reader for Office Open XML documents (.docx, .pptx).
+ * Supports stored and deflated entries, which is all Office writes.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Refuse entries that inflate past this size (zip bombs)
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Locate the end of central directory record
+ * @param {Buffer} buffer - ZIP file contents
+ * @returns {number} Offset of the record
+ */
+function findEndOfCentralDirectory(buffer) {
+    // The record is 22 bytes plus a comment of at most 65535 bytes
+    const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+            return offset;
+        }
+    }
+    throw new Error('Not a ZIP archive');
+}
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {Buffer} buffer - ZIP file contents
+ * @param {Function} [filter] - Function (name) => boolean choosing which entries to inflate
+ * @returns {Map<string, Buffer>} Uncompressed entries by path
+ */
+function readZipEntries(buffer, filter = () => true) {
+    const endOffset = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/') || !filter(name)) continue;
+
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Corrupt ZIP entry: ${name}`);
+        }
+
+        // The local header has its own name and extra field lengths
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            entries.set(name, data);
+        } else if (method === 8) {
+            entries.set(name, zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE }));
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} in ${name}`);
+        }
+    }
+
+    return entries;
+}
+
+export { readZipEntries };
@@ -0,0 +1,170 @@
+// backend/tests/services/aiProviders.test.js
+import { describe, test, expect } from 'bun:test';
+import { AIProviderType, createAIProvider } from '../../src/services/aiProviders/index.js';
+import BaseAIProvider from '../../src/services/aiProviders/baseProvider.js';
+import GeminiProvider from '../../src/services/aiProviders/geminiProvider.js';
+import OpenAICompatibleProvider from '../../src/services/aiProviders/openAICompatibleProvider.js';
+import MockProvider from '../../src/services/aiProviders/mockProvider.js';
+
+const collect = async (chunks) => {
+    const collected = [];
+    for await (const chunk of chunks) {
+        collected.push(chunk);
+    }
+    return collected;
+};
+
+describe('createAIProvider', () => {
+    test('creates the provider of each supported type', () => {
+        expect(createAIProvider(AIProviderType.MOCK)).toBeInstanceOf(MockProvider);
+        expect(createAIProvider(AIProviderType.OPENAI)).toBeInstanceOf(OpenAICompatibleProvider);
+        expect(createAIProvider(AIProviderType.GEMINI)).toBeInstanceOf(GeminiProvider);
+    });
+
+    test('falls back to Gemini for unknown types', () => {
+        expect(createAIProvider('claude')).toBeInstanceOf(GeminiProvider);
+    });
+});
+
+describe('BaseAIProvider', () => {
+    test('is unavailable and has no generateText of its own', async () => {
+        const provider = new BaseAIProvider('base', { model: 'none' });
+
+        expect(provider.describe()).toEqual({ provider: 'base', model: 'none', available: false });
+        expect(provider.supportsAttachment('application/pdf')).toBe(false);
+        await expect(provider.generateText('prompt')).rejects.toThrow('AI provider "base" does not implement generateText');
+    });
+
+    test('streams the whole response as one chunk by default', async () => {
+        class FixedProvider extends BaseAIProvider {
+            async generateText() {
+                return { text: '{"questions": []}' };
+            }
+        }
+
+        expect(await collect(new FixedProvider('fixed').streamText('prompt'))).toEqual(['{"questions": []}']);
+    });
+});
+
+describe('OpenAICompatibleProvider', () => {
+    const createProvider = (create) => {
+        const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' });
+        provider.client = { chat: { completions: { create } } };
+        return provider;
+    };
+
+    test('needs a base URL and a model', () => {
+        expect(new OpenAICompatibleProvider({ model: 'llama3.1' }).isAvailable()).toBe(false);
+        expect(new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' }).isAvailable()).toBe(true);
+    });
+
+    test('sends the prompt as a chat message and returns the text with its usage', async () => {
+        const requests = [];
+        const provider = createProvider(async (body, options) => {
+            requests.push({ body, options });
+            return { model: 'llama3.1:8b', choices: [{ message: { content: '{"questions": []}' } }], usage: { prompt_tokens: 12, completion_tokens: 4 } };
+        });
+        const controller = new AbortController();
+
+        const result = await provider.generateText('Write a quiz', { temperature: 0.5, maxOutputTokens: 100, signal: controller.signal });
+
+        expect(requests[0].body).toEqual({
+            model: 'llama3.1',
+            messages: [{ role: 'user', content: 'Write a quiz' }],
+            temperature: 0.5,
+            top_p: undefined,
+            max_tokens: 100
+        });
+        expect(requests[0].options.signal).toBe(controller.signal);
+        expect(result).toEqual({ text: '{"questions": []}', model: 'llama3.1:8b', usage: { promptTokens: 12, completionTokens: 4 } });
+    });
+
+    test('streams the content of each delta', async () => {
+        const provider = createProvider(async function* () {
+            yield { choices: [{ delta: { content: '{"ques' } }] };
+            yield { choices: [{ delta: {} }] };
+            yield { choices: [{ delta: { content: 'tions": []}' } }] };
+        });
+
+        expect(await collect(provider.streamText('Write a quiz'))).toEqual(['{"ques', 'tions": []}']);
+    });
+});
+
+describe('GeminiProvider', () => {
+    test('reads PDFs and images directly', () => {
+        const provider = new GeminiProvider({ model: 'gemini-test' });
+
+        expect(provider.isAvailable()).toBe(false);
+        expect(provider.supportsAttachment('application/pdf')).toBe(true);
+        expect(provider.supportsAttachment('image/png')).toBe(true);
+        expect(provider.supportsAttachment('text/plain')).toBe(false);
+    });
+
+    test('sends attachments as inline data and leaves out unset generation settings', async () => {
+        const provider = new GeminiProvider({ model: 'gemini-test' });
+        const requests = [];
+        provider.genAI = {
+            getGenerativeModel: (settings) => ({
+                generateContent: async (input) => {
+                    requests.push({ settings, input });
+                    return { response: { text: () => '{"questions": []}', usageMetadata: { promptTokenCount: 30, candidatesTokenCount: 5 } } };
+                }
+            })
+        };
+
+        const result = await provider.generateText('Read this', {
+            temperature: 0.2,
+            attachments: [{ mimeType: 'application/pdf', data: 'JVBERi0=' }]
+        });
+
+        expect(requests[0].settings).toEqual({ model: 'gemini-test', generationConfig: { temperature: 0.2 } });
+        expect(requests[0].input).toEqual(['Read this', { inlineData: { data: 'JVBERi0=', mimeType: 'application/pdf' } }]);
+        expect(result).toEqual({ text: '{"questions": []}', model: 'gemini-test', usage: { promptTokens: 30, completionTokens: 5 } });
+    });
+});
+
+describe('MockProvider', () => {
+    const provider = new MockProvider();
+
+    const generate = async (context) => JSON.parse((await provider.generateText('prompt', { context })).text);
+
+    test('answers the same request with the same quiz', async () => {
+        const context = { topic: 'Radio procedure', questionType: 'Multiple Choice', numberOfQuestions: 3 };
+
+        expect(await generate(context)).toEqual(await generate(context));
+    });
+
+    test('returns the requested number of questions about the topic', async () => {
+        const quiz = await generate({ topic: 'Radio procedure', questionType: 'Multiple Choice', numberOfQuestions: 12 });
+
+        expect(quiz.title).toContain('Radio procedure');
+        expect(quiz.questions).toHaveLength(12);
+        expect(new Set(quiz.questions.map(question => question.questionText)).size).toBe(12);
+        expect(quiz.questions.every(question => question.options.length === 4)).toBe(true);
+    });
+
+    test('uses the essay fixtures for essay quizzes', async () => {
+        const quiz = await generate({ topic: 'Antennas', questionType: 'Essay', numberOfQuestions: 2 });
+
+        expect(quiz.questions.every(question => question.options === undefined)).toBe(true);
+    });
+
+    test('streams the same text in chunks', async () => {
+        const options = { context: { topic: 'Antennas', questionType: 'Multiple Choice', numberOfQuestions: 5 } };
+        const chunks = await collect(provider.streamText('prompt', options));
+
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(chunks.join('')).toBe((await provider.generateText('prompt', options)).text);
+    });
+
+    test('answers other tasks from the fixture of the task', async () => {
+        const { questions } = JSON.parse((await provider.generateText('prompt', { context: { task: 'translation' } })).text);
+
+        expect(questions[0].questionText).toBe('คำถามที่แปลแล้ว ข้อ 1');
+        expect(questions[0].options).toHaveLength(4);
+    });
+
+    test('is unavailable without a usable fixture', () => {
+        expect(new MockProvider({ fixturePath: '/nonexistent/mockQuiz.json' }).isAvailable()).toBe(false);
+    });
+});
@@ -0,0 +1,94 @@
+// backend/tests/services/aiService.test.js
+import { describe, test, expect, afterEach } from 'bun:test';
+import aiService from '../../src/services/aiService.js';
+
+const params = { topic: 'Radio procedure', questionType: 'Multiple Choice', numberOfQuestions: 3, language: 'english' };
+const mockProvider = aiService.provider;
+
+// Provider that answers every request with the same text and counts the requests
+const fixedProvider = (text) => ({
+    name: 'fixed',
+    model: 'fixed',
+    requests: 0,
+    isAvailable: () => true,
+    async generateText() {
+        this.requests++;
+        if (text instanceof Error) throw text;
+        return { text, model: 'fixed', usage: {} };
+    }
+});
+
+const generateQuestions = async (count) => {
+    const result = await mockProvider.generateText('prompt', { context: { ...params, numberOfQuestions: count } });
+    return JSON.parse(result.text).questions;
+};
+
+afterEach(() => {
+    aiService.provider = mockProvider;
+});
+
+describe('validateAndRepairQuestions', () => {
+    test('keeps valid questions without asking the model again', async () => {
+        const provider = fixedProvider('{"questions": []}');
+        aiService.provider = provider;
+        const questions = await generateQuestions(3);
+
+        const result = await aiService.validateAndRepairQuestions(questions, params);
+
+        expect(result.questions).toMatchObject(questions);
+        expect(result.validation).toEqual({ checked: 3, passed: 3, repaired: [], dropped: [] });
+        expect(provider.requests).toBe(0);
+    });
+
+    test('re-prompts for invalid questions and reports them as the model first wrote them', async () => {
+        const [valid, broken] = await generateQuestions(2);
+        // Keep the correct option so only the option count is wrong
+        broken.options = [broken.options.find(option => option.isCorrect), broken.options.find(option => !option.isCorrect)];
+
+        const result = await aiService.validateAndRepairQuestions([valid, broken], params);
+
+        expect(result.questions).toHaveLength(2);
+        expect(result.questions[0]).toMatchObject(valid);
+        expect(result.questions[1].options).toHaveLength(4);
+        expect(result.validation).toMatchObject({
+            checked: 2,
+            passed: 1,
+            repaired: [{ index: 1, questionText: broken.questionText, errors: ['"options" must contain exactly 4 options, found 2'] }],
+            dropped: []
+        });
+    });
+
+    test('drops questions the model could not fix, with the errors of its last attempt', async () => {
+        const provider = fixedProvider('{"questions": [{"questionText": "Still broken", "options": []}]}');
+        aiService.provider = provider;
+        const [broken] = await generateQuestions(1);
+        delete broken.explanation;
+
+        const result = await aiService.validateAndRepairQuestions([broken], params);
+
+        expect(result.questions).toEqual([]);
+        expect(provider.requests).toBe(1);
+        expect(result.validation.dropped).toHaveLength(1);
+        expect(result.validation.dropped[0].questionText).toBe(broken.questionText);
+        expect(result.validation.dropped[0].errors).toContain('"options" must contain exactly 4 options, found 0');
+    });
+
+    test('drops invalid questions when the repair request fails', async () => {
+        aiService.provider = fixedProvider(new Error('connection reset'));
+
+        const result = await aiService.validateAndRepairQuestions([{ questionText: 'No options' }], params);
+
+        expect(result.questions).toEqual([]);
+        expect(result.validation).toMatchObject({ checked: 1, passed: 0, repaired: [] });
+        expect(result.validation.dropped).toHaveLength(1);
+    });
+});
+
+describe('generateQuiz', () => {
+    test('generates a validated quiz with the mock provider', async () => {
+        const quiz = await aiService.generateQuiz({ ...params, topic: 'Antenna theory' });
+
+        expect(quiz.questions).toHaveLength(3);
+        expect(quiz.validation).toEqual({ checked: 3, passed: 3, repaired: [], dropped: [] });
+    });
+});
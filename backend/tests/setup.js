@@ -0,0 +1,20 @@
+// backend/tests/setup.js
+// Preloaded by bun test (bunfig.toml) before any module reads the configuration
+import { mock } from 'bun:test';
+
+// Tests run offline against the fixture-backed provider
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_MOCK_FIXTURE_PATH = '';
+process.env.AI_REPAIR_ATTEMPTS = '1';
+// Nothing is stored in the AI generation log without a database
+process.env.AI_AUDIT_ENABLED = 'false';
+
+// There is no MySQL server in tests: the pool is never opened and every query fails
+const noDatabase = () => Promise.reject(new Error('No database in tests'));
+mock.module('../src/config/db.js', () => ({
+    default: {},
+    pool: { execute: noDatabase, query: noDatabase },
+    getConnection: noDatabase,
+    testConnection: noDatabase,
+    dbQuery: noDatabase
+}));
@@ -0,0 +1,71 @@
+// backend/tests/utils/mathText.test.js
+import { describe, test, expect } from 'bun:test';
+import { splitMath, hasMath, latexToText, mathToPlainText, toGiftMath } from '../../src/utils/mathText.js';
+
+describe('splitMath', () => {
+    test('finds inline and block formulas with every delimiter', () => {
+        expect(splitMath('Ohm: $V = IR$, power \\(P = VI\\) and $$f = \\frac{1}{T}$$ or \\[x\\]')).toEqual([
+            { math: false, value: 'Ohm: ' },
+            { math: true, value: 'V = IR', display: false },
+            { math: false, value: ', power ' },
+            { math: true, value: 'P = VI', display: false },
+            { math: false, value: ' and ' },
+            { math: true, value: 'f = \\frac{1}{T}', display: true },
+            { math: false, value: ' or ' },
+            { math: true, value: 'x', display: true }
+        ]);
+    });
+
+    test('leaves prices and escaped dollars as text', () => {
+        expect(hasMath('It costs $5 and $10')).toBe(false);
+        expect(hasMath('A $ sign alone')).toBe(false);
+        expect(splitMath('Pay \\$5')).toEqual([{ math: false, value: 'Pay $5' }]);
+    });
+
+    test('restores < saved as &lt; by the request sanitizer', () => {
+        expect(splitMath('$x &lt; 1$')[0].value).toBe('x < 1');
+    });
+
+    test('accepts text that is not a string', () => {
+        expect(splitMath(null)).toEqual([]);
+        expect(hasMath(undefined)).toBe(false);
+    });
+});
+
+describe('latexToText', () => {
+    test('writes fractions, roots, scripts and symbols in plain text', () => {
+        expect(latexToText('V = I \\times R')).toBe('V = I × R');
+        expect(latexToText('\\frac{V_1 + V_2}{R}')).toBe('(V₁ + V₂)/R');
+        expect(latexToText('\\sqrt{x^2 + y^2}')).toBe('√(x² + y²)');
+        expect(latexToText('\\sqrt[3]{8}')).toBe('³√8');
+        expect(latexToText('10^{-3}')).toBe('10⁻³');
+        expect(latexToText('\\lambda = \\frac{c}{f}')).toBe('λ = c/f');
+    });
+
+    test('falls back to ^ and _ for scripts without a Unicode form', () => {
+        expect(latexToText('e^{j\\omega t}')).toBe('e^(jω t)');
+        expect(latexToText('X_{Lb}')).toBe('X_Lb');
+        expect(latexToText('X_{L+C}')).toBe('X_(L+C)');
+    });
+
+    test('keeps functions and text, and drops sizing commands', () => {
+        expect(latexToText('20\\log_{10}\\left(\\frac{P}{P_0}\\right)')).toBe('20 log₁₀(P/P₀)');
+        expect(latexToText('5\\,\\text{k}\\Omega')).toBe('5 kΩ');
+    });
+});
+
+describe('mathToPlainText', () => {
+    test('replaces only the formulas', () => {
+        expect(mathToPlainText('Use \\(P = I^2 R\\) here')).toBe('Use P = I² R here');
+    });
+
+    test('returns values that are not text unchanged', () => {
+        expect(mathToPlainText(null)).toBeNull();
+    });
+});
+
+describe('toGiftMath', () => {
+    test('writes formulas with the MathJax delimiters and escapes HTML', () => {
+        expect(toGiftMath('If $x < 1$ then $$y > 2$$')).toBe('If \\(x &lt; 1\\) then \\[y &gt; 2\\]');
+    });
+});
@@ -0,0 +1,62 @@
+// backend/tests/utils/morseAudio.test.js
+import { describe, test, expect } from 'bun:test';
+import { MORSE_LIMITS, textToMorse, synthesizeMorseWav } from '../../src/utils/morseAudio.js';
+
+const SAMPLE_RATE = 11025;
+
+describe('textToMorse', () => {
+    test('separates characters with spaces and words with slashes', () => {
+        expect(textToMorse('SOS')).toBe('... --- ...');
+        expect(textToMorse('  cq  de ')).toBe('-.-. --.- / -.. .');
+    });
+
+    test('sends prosigns as one character', () => {
+        expect(textToMorse('<AR>')).toBe('.-.-.');
+        expect(textToMorse('K<SK>')).toBe('-.- ...-.-');
+    });
+
+    test('refuses characters without a Morse code', () => {
+        expect(() => textToMorse('ก')).toThrow('These characters have no Morse code: ก');
+        expect(() => textToMorse('   ')).toThrow('Enter the text to send in Morse code');
+    });
+});
+
+describe('synthesizeMorseWav', () => {
+    test('writes a mono 16-bit WAV file with the standard timing', () => {
+        const wpm = 20;
+        const wav = synthesizeMorseWav('E E', { wpm });
+
+        // Two dots, a word gap and the silence at both ends
+        const unitSamples = Math.round(SAMPLE_RATE * 1.2 / wpm);
+        const sampleCount = Math.round(SAMPLE_RATE * 0.3) * 2 + 9 * unitSamples;
+
+        expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+        expect(wav.toString('ascii', 8, 12)).toBe('WAVE');
+        expect(wav.readUInt16LE(22)).toBe(1);
+        expect(wav.readUInt32LE(24)).toBe(SAMPLE_RATE);
+        expect(wav.readUInt16LE(34)).toBe(16);
+        expect(wav.readUInt32LE(40)).toBe(sampleCount * 2);
+        expect(wav.length).toBe(44 + sampleCount * 2);
+    });
+
+    test('keeps the leading silence quiet and keys the tone', () => {
+        const wav = synthesizeMorseWav('T');
+        const samples = Array.from({ length: (wav.length - 44) / 2 }, (_, i) => wav.readInt16LE(44 + i * 2));
+        const lead = Math.round(SAMPLE_RATE * 0.3);
+
+        expect(samples.slice(0, lead).every(sample => sample === 0)).toBe(true);
+        expect(Math.max(...samples.slice(lead))).toBeGreaterThan(10000);
+    });
+
+    test('refuses speeds, tones and lengths out of range', () => {
+        expect(() => synthesizeMorseWav('E', { wpm: MORSE_LIMITS.maxWpm + 1 })).toThrow('Speed must be between');
+        expect(() => synthesizeMorseWav('E', { tone: MORSE_LIMITS.minTone - 1 })).toThrow('Tone must be between');
+        expect(() => synthesizeMorseWav('E'.repeat(MORSE_LIMITS.maxLength + 1))).toThrow('cannot exceed');
+
+        try {
+            synthesizeMorseWav('E', { wpm: 0 });
+        } catch (error) {
+            expect(error.statusCode).toBe(400);
+        }
+    });
+});
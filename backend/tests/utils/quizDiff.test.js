@@ -0,0 +1,65 @@
+// backend/tests/utils/quizDiff.test.js
+import { describe, test, expect } from 'bun:test';
+import { diffQuizzes } from '../../src/utils/quizDiff.js';
+
+const question = (id, questionText, extra = {}) => ({
+    id,
+    questionType: 'Multiple Choice',
+    questionText,
+    options: [{ text: 'A', isCorrect: true }, { text: 'B', isCorrect: false }],
+    ...extra
+});
+
+const rowSummary = result => result.questions.map(row => [row.status, row.fromNumber, row.toNumber]);
+
+describe('diffQuizzes', () => {
+    test('reports nothing for identical versions', () => {
+        const snapshot = { title: 'Radio', questions: [question(1, 'One'), question(2, 'Two')] };
+
+        const result = diffQuizzes(snapshot, structuredClone(snapshot));
+
+        expect(result.title.changed).toBe(false);
+        expect(result.summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 2 });
+    });
+
+    test('lists the fields that changed', () => {
+        const from = { title: 'Radio', questions: [question(1, 'One', { explanation: 'Old' })] };
+        const to = { title: 'Radio basics', questions: [question(1, 'One, edited', { explanation: 'New' })] };
+
+        const result = diffQuizzes(from, to);
+
+        expect(result.title).toEqual({ from: 'Radio', to: 'Radio basics', changed: true });
+        expect(result.questions[0].status).toBe('changed');
+        expect(result.questions[0].changes).toEqual(['questionText', 'explanation']);
+    });
+
+    test('treats missing and empty fields as the same', () => {
+        const from = { title: 'Radio', questions: [question(1, 'One', { explanation: '', objectiveIds: [] })] };
+        const to = { title: 'Radio', questions: [question(1, 'One', { image: null })] };
+
+        expect(diffQuizzes(from, to).questions[0].changes).toEqual([]);
+    });
+
+    test('pairs questions by text when their IDs changed', () => {
+        const from = { title: 'Radio', questions: [question(1, 'One'), question(2, 'Two')] };
+        const to = { title: 'Radio', questions: [question(7, 'Two'), question(8, '  one ')] };
+
+        // Text that only differs in case and spacing still pairs, but counts as changed
+        expect(rowSummary(diffQuizzes(from, to))).toEqual([['unchanged', 2, 1], ['changed', 1, 2]]);
+    });
+
+    test('places removed questions where they were and counts added ones', () => {
+        const from = { title: 'Radio', questions: [question(1, 'One'), question(2, 'Two'), question(3, 'Three')] };
+        const to = { title: 'Radio', questions: [question(1, 'One'), question(3, 'Three'), question(4, 'Four')] };
+
+        const result = diffQuizzes(from, to);
+
+        expect(rowSummary(result)).toEqual([
+            ['unchanged', 1, 1],
+            ['removed', 2, null],
+            ['unchanged', 3, 2],
+            ['added', null, 3]
+        ]);
+        expect(result.summary).toEqual({ added: 1, removed: 1, changed: 0, unchanged: 2 });
+    });
+});
@@ -0,0 +1,170 @@
+// backend/tests/utils/quizSchema.test.js
+import { describe, test, expect } from 'bun:test';
+import { validateQuestion, normalizeQuestion } from '../../src/utils/quizSchema.js';
+
+const multipleChoice = (overrides = {}) => ({
+    questionText: 'Which phonetic word stands for the letter R?',
+    options: [
+        { text: 'Romeo', isCorrect: true },
+        { text: 'Roger', isCorrect: false },
+        { text: 'Radio', isCorrect: false },
+        { text: 'Red', isCorrect: false }
+    ],
+    explanation: 'The NATO phonetic alphabet uses Romeo for R.',
+    difficulty: 'easy',
+    bloomLevel: 'remember',
+    ...overrides
+});
+
+const essay = (overrides = {}) => ({
+    questionText: 'Explain why radio operators use a phonetic alphabet.',
+    explanation: 'A good answer mentions noisy channels and similar sounding letters.',
+    difficulty: 'medium',
+    bloomLevel: 'understand',
+    ...overrides
+});
+
+// Questions are always normalized before they are validated
+const check = (question, questionType) => validateQuestion(normalizeQuestion(question, questionType), questionType);
+
+describe('validateQuestion', () => {
+    test('accepts a valid multiple choice question', () => {
+        expect(check(multipleChoice(), 'Multiple Choice')).toEqual([]);
+    });
+
+    test('rejects a multiple choice question without exactly one correct option of four', () => {
+        const question = multipleChoice({
+            options: [
+                { text: 'Romeo', isCorrect: true },
+                { text: 'Roger', isCorrect: true },
+                { text: 'Radio', isCorrect: false }
+            ]
+        });
+
+        expect(check(question, 'Multiple Choice')).toEqual([
+            '"options" must contain exactly 4 options, found 3',
+            'exactly one option must have "isCorrect": true, found 2'
+        ]);
+    });
+
+    test('reports duplicate options regardless of case and spacing', () => {
+        const question = multipleChoice();
+        question.options[3] = { text: '  romeo ', isCorrect: false };
+
+        expect(check(question, 'Multiple Choice')).toEqual(['option 4 duplicates another option ("romeo")']);
+    });
+
+    test('requires an explanation', () => {
+        expect(check(multipleChoice({ explanation: ' ' }), 'Multiple Choice'))
+            .toEqual(['"explanation" must explain why the correct answer is correct']);
+        expect(check(essay({ explanation: undefined }), 'Essay'))
+            .toEqual(['"explanation" must contain guidelines for a good answer']);
+    });
+
+    test('rejects options on essay questions', () => {
+        expect(check(essay({ options: [{ text: 'A', isCorrect: true }] }), 'Essay'))
+            .toEqual(['essay questions must not have "options"']);
+    });
+
+    test('rejects non-objects and unknown question types', () => {
+        expect(check(null, 'Multiple Choice')).toEqual(['question must be a JSON object']);
+        expect(check('Romeo', 'Essay')).toEqual(['question must be a JSON object']);
+        expect(check(essay(), 'Crossword')).toEqual(['unsupported question type "Crossword"']);
+    });
+
+    test('requires known difficulty and Bloom levels', () => {
+        expect(check(essay({ difficulty: 'tricky', bloomLevel: undefined }), 'Essay')).toEqual([
+            '"difficulty" must be one of: easy, medium, hard',
+            '"bloomLevel" must be one of: remember, understand, apply, analyze, evaluate, create'
+        ]);
+    });
+
+    test('checks the answer fields of the other question types', () => {
+        const common = { explanation: 'Because.', difficulty: 'easy', bloomLevel: 'remember' };
+
+        expect(check({
+            ...common,
+            questionType: 'True/False',
+            questionText: 'Romeo stands for R.',
+            options: [{ text: 'True', isCorrect: true }, { text: 'False', isCorrect: false }]
+        }, 'Mixed')).toEqual([]);
+
+        expect(check({
+            ...common,
+            questionText: 'Select the vowels.',
+            options: [
+                { text: 'Alfa', isCorrect: true },
+                { text: 'Echo', isCorrect: true },
+                { text: 'Bravo', isCorrect: true },
+                { text: 'Delta', isCorrect: true }
+            ]
+        }, 'Multiple Select')).toEqual(['at least one option must have "isCorrect": false']);
+
+        expect(check({
+            ...common,
+            questionText: 'Match the letters.',
+            pairs: [{ left: 'A', right: 'Alfa' }, { left: 'B', right: 'Bravo' }, { left: 'a', right: 'Charlie' }]
+        }, 'Matching')).toEqual(['left item 3 duplicates another left item ("a")']);
+
+        expect(check({
+            ...common,
+            questionText: 'Put the steps in order.',
+            items: ['Listen', 'Transmit'],
+            options: [{ text: 'Listen', isCorrect: true }]
+        }, 'Ordering')).toEqual([
+            'Ordering questions must not have "options"',
+            '"items" must contain 3 to 8 items, found 2'
+        ]);
+
+        expect(check({ ...common, questionText: 'R is _____ and S is _____.', answers: ['Romeo'] }, 'Fill in the Blank'))
+            .toEqual(['"questionText" must contain exactly one blank written as _____, found 2']);
+
+        expect(check({ ...common, questionText: 'Spell R.', answers: [] }, 'Short Answer'))
+            .toEqual(['"answers" must be a non-empty array of accepted answers']);
+    });
+
+    test('requires a known type on each question of a mixed quiz', () => {
+        expect(check(essay({ questionType: 'Crossword' }), 'Mixed')[0]).toMatch(/^"questionType" must be one of/);
+        expect(check(essay({ questionType: 'Essay' }), 'Mixed')).toEqual([]);
+    });
+});
+
+describe('normalizeQuestion', () => {
+    test('trims the texts so whitespace does not fail validation', () => {
+        const question = normalizeQuestion(multipleChoice({
+            questionText: '  Which phonetic word stands for the letter R?\n',
+            explanation: ' Romeo. ',
+            options: multipleChoice().options.map(option => ({ ...option, text: ` ${option.text} ` }))
+        }), 'Multiple Choice');
+
+        expect(question.questionText).toBe('Which phonetic word stands for the letter R?');
+        expect(question.explanation).toBe('Romeo.');
+        expect(question.options.map(option => option.text)).toEqual(['Romeo', 'Roger', 'Radio', 'Red']);
+        expect(validateQuestion(question, 'Multiple Choice')).toEqual([]);
+    });
+
+    test('does not change the question it is given', () => {
+        const original = multipleChoice({ questionText: ' Padded ' });
+        normalizeQuestion(original, 'Multiple Choice');
+
+        expect(original.questionText).toBe(' Padded ');
+    });
+
+    test('takes the quiz type, or the closest known spelling of the model\'s type in mixed quizzes', () => {
+        expect(normalizeQuestion(essay({ questionType: 'Short Answer' }), 'Essay').questionType).toBe('Essay');
+        expect(normalizeQuestion(essay({ questionType: 'true / false' }), 'Mixed').questionType).toBe('True/False');
+        expect(normalizeQuestion(essay({ questionType: 'Crossword' }), 'Mixed').questionType).toBe('Crossword');
+    });
+
+    test('maps level synonyms and keeps unknown levels for the repair prompt', () => {
+        const question = normalizeQuestion(essay({ difficulty: 'Basic', bloomLevel: 'tricky' }), 'Essay');
+
+        expect(question.difficulty).toBe('easy');
+        expect(question.bloomLevel).toBe('tricky');
+    });
+
+    test('passes non-objects through', () => {
+        expect(normalizeQuestion(null, 'Essay')).toBeNull();
+        expect(normalizeQuestion('text', 'Essay')).toBe('text');
+    });
+});
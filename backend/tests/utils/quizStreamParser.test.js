@@ -0,0 +1,60 @@
+// backend/tests/utils/quizStreamParser.test.js
+import { describe, test, expect } from 'bun:test';
+import QuizStreamParser from '../../src/utils/quizStreamParser.js';
+
+const response = JSON.stringify({
+    title: 'Radio procedure',
+    questions: [
+        { questionText: 'Which word means "received"?', options: [{ text: 'Roger', isCorrect: true }] },
+        { questionText: 'Say "{braces}" and "[brackets]" \\"quoted\\"', options: [] }
+    ]
+});
+
+describe('QuizStreamParser', () => {
+    test('returns each question once its closing brace arrives', () => {
+        const parser = new QuizStreamParser();
+        const firstEnd = response.indexOf('}]}') + 3;
+
+        expect(parser.push(response.slice(0, firstEnd - 1))).toEqual([]);
+        expect(parser.push(response.slice(firstEnd - 1, firstEnd))).toEqual([
+            { questionText: 'Which word means "received"?', options: [{ text: 'Roger', isCorrect: true }] }
+        ]);
+        expect(parser.push(response.slice(firstEnd))).toHaveLength(1);
+        expect(parser.getText()).toBe(response);
+    });
+
+    test('gives the same questions whatever the chunk size', () => {
+        for (const size of [1, 7, 64, response.length]) {
+            const parser = new QuizStreamParser();
+            const questions = [];
+            for (let i = 0; i < response.length; i += size) {
+                questions.push(...parser.push(response.slice(i, i + size)));
+            }
+            expect(questions).toEqual(JSON.parse(response).questions);
+        }
+    });
+
+    test('ignores braces and brackets inside strings', () => {
+        const parser = new QuizStreamParser();
+        const [, second] = parser.push(response);
+
+        expect(second.questionText).toBe('Say "{braces}" and "[brackets]" \\"quoted\\"');
+    });
+
+    test('waits for the questions array and ignores text after it', () => {
+        const parser = new QuizStreamParser();
+
+        expect(parser.push('Here is your quiz:\n```json\n{"title": "T", ')).toEqual([]);
+        expect(parser.push('"questions": [{"questionText": "Q1"}]} {"questionText": "not a question"}\n```')).toEqual([
+            { questionText: 'Q1' }
+        ]);
+    });
+
+    test('skips malformed question objects', () => {
+        const parser = new QuizStreamParser();
+
+        expect(parser.push('{"questions": [{"questionText": Q1}, {"questionText": "Q2"}]}')).toEqual([
+            { questionText: 'Q2' }
+        ]);
+    });
+});
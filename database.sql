@@ -278,4 +278,260 @@ CREATE INDEX idx_pdf_quizzes_created_at ON pdf_quizzes(created_at);
 ALTER TABLE quizzes ADD COLUMN user_id INT NOT NULL AFTER id;
 ALTER TABLE quizzes ADD COLUMN school_id INT AFTER user_id;
 ALTER TABLE quizzes ADD FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
-ALTER TABLE quizzes ADD FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE SET NULL;
\ No newline at end of file
+ALTER TABLE quizzes ADD FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE SET NULL;
+-- Background AI generation jobs
+-- Jobs survive a server restart: rows left in 'running' are put back in the queue on startup
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  job_type ENUM('topic', 'file') NOT NULL,
+  status ENUM('queued', 'running', 'completed', 'failed', 'cancelled') NOT NULL DEFAULT 'queued',
+  title VARCHAR(255),
+  params JSON NOT NULL,
+  file_path VARCHAR(500),
+  file_name VARCHAR(255),
+  file_mime VARCHAR(100),
+  progress TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  attempts INT NOT NULL DEFAULT 0,
+  result JSON,
+  error_message TEXT,
+  error_status INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  completed_at TIMESTAMP NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_generation_jobs_user_created ON generation_jobs(user_id, created_at);
+CREATE INDEX idx_generation_jobs_status ON generation_jobs(status, created_at);
+
+-- Document sources for questions generated from uploaded files
+ALTER TABLE questions ADD COLUMN source_section VARCHAR(255) NULL AFTER explanation;
+ALTER TABLE questions ADD COLUMN source_page_start INT NULL AFTER source_section;
+ALTER TABLE questions ADD COLUMN source_page_end INT NULL AFTER source_page_start;
+ALTER TABLE questions ADD COLUMN source_excerpt TEXT NULL AFTER source_page_end;
+
+-- Question types stored per question so quizzes can mix types
+ALTER TABLE quizzes MODIFY COLUMN question_type ENUM('Multiple Choice', 'True/False', 'Multiple Select', 'Matching', 'Ordering', 'Fill in the Blank', 'Short Answer', 'Essay', 'Mixed') NOT NULL;
+ALTER TABLE questions ADD COLUMN question_type VARCHAR(50) NULL AFTER quiz_id;
+-- Matching pairs, ordering items and accepted short answers: {"pairs": [...]}, {"items": [...]} or {"answers": [...]}
+ALTER TABLE questions ADD COLUMN answer_data JSON NULL AFTER explanation;
+
+-- Difficulty and Bloom's taxonomy level of every question
+ALTER TABLE questions ADD COLUMN difficulty ENUM('easy', 'medium', 'hard') NULL AFTER answer_data;
+ALTER TABLE questions ADD COLUMN bloom_level ENUM('remember', 'understand', 'apply', 'analyze', 'evaluate', 'create') NULL AFTER difficulty;
+CREATE INDEX idx_questions_quiz_difficulty ON questions(quiz_id, difficulty);
+CREATE INDEX idx_questions_quiz_bloom_level ON questions(quiz_id, bloom_level);
+
+-- Named generation presets; a preset with a department_id is shared with that department's members
+CREATE TABLE IF NOT EXISTS generation_presets (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  department_id INT NULL,
+  name VARCHAR(100) NOT NULL,
+  question_type VARCHAR(50) NOT NULL DEFAULT 'Multiple Choice',
+  number_of_questions INT NOT NULL DEFAULT 10,
+  student_level VARCHAR(100),
+  language VARCHAR(10) NOT NULL DEFAULT 'thai',
+  difficulty_mix JSON NULL,
+  bloom_mix JSON NULL,
+  instructions_template TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (department_id) REFERENCES school_departments(id) ON DELETE SET NULL,
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX idx_generation_presets_department ON generation_presets(department_id);
+
+-- Monthly quotas: one user_quotas row per user, plus a row per school counting all of its members
+ALTER TABLE user_quotas ADD UNIQUE KEY uq_user_quotas_user (user_id);
+
+CREATE TABLE IF NOT EXISTS school_quotas (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  school_id INT NOT NULL,
+  quiz_limit INT DEFAULT 2000,
+  quiz_count INT DEFAULT 0,
+  ai_generation_limit INT DEFAULT 1000,
+  ai_generation_count INT DEFAULT 0,
+  storage_limit BIGINT DEFAULT 2147483648, -- 2GB in bytes
+  storage_used BIGINT DEFAULT 0,
+  reset_date DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE CASCADE,
+  UNIQUE (school_id)
+);
+
+-- Every AI request with its full prompt and raw response, for auditing and replaying against other models
+CREATE TABLE IF NOT EXISTS ai_generation_logs (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NULL,
+  job_id INT NULL,
+  replay_of BIGINT NULL,
+  task VARCHAR(50) NOT NULL DEFAULT 'text',
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100),
+  streamed BOOLEAN NOT NULL DEFAULT FALSE,
+  prompt LONGTEXT NOT NULL,
+  parameters JSON,
+  attachments JSON, -- MIME type and size of each attachment; the content is not stored
+  response LONGTEXT,
+  status ENUM('success', 'error', 'cancelled') NOT NULL,
+  error_message TEXT,
+  prompt_tokens INT NULL,
+  completion_tokens INT NULL,
+  latency_ms INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (replay_of) REFERENCES ai_generation_logs(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_ai_generation_logs_created ON ai_generation_logs(created_at);
+CREATE INDEX idx_ai_generation_logs_user_created ON ai_generation_logs(user_id, created_at);
+
+-- Second language version of a quiz: the language it was translated into, and per question
+-- {"questionText", "explanation", "options": [...], "pairs", "items", "answers"} in that language
+ALTER TABLE quizzes ADD COLUMN translation_language VARCHAR(10) NULL;
+ALTER TABLE questions ADD COLUMN translation JSON NULL AFTER answer_data;
+
+-- Warnings from the AI answer-key check, shown on the question until a teacher resolves them
+CREATE TABLE IF NOT EXISTS question_flags (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  quiz_id INT NOT NULL,
+  question_id INT NOT NULL,
+  flag_type ENUM('key_mismatch', 'ambiguous', 'multiple_answers') NOT NULL,
+  message TEXT NOT NULL,
+  suggested_answer TEXT,
+  resolved_by INT NULL,
+  resolved_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+  FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_question_flags_quiz_open ON question_flags(quiz_id, resolved_at);
+
+-- Course catalogue of a school with its learning objectives; questions are tagged with the objectives they assess
+CREATE TABLE IF NOT EXISTS courses (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  school_id INT NOT NULL,
+  code VARCHAR(50) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE (school_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS learning_objectives (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  course_id INT NOT NULL,
+  code VARCHAR(50) NOT NULL,
+  description TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+  UNIQUE (course_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS question_objectives (
+  question_id INT NOT NULL,
+  objective_id INT NOT NULL,
+  PRIMARY KEY (question_id, objective_id),
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+  FOREIGN KEY (objective_id) REFERENCES learning_objectives(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_question_objectives_objective ON question_objectives(objective_id);
+
+-- Question bank: questions kept apart from any quiz, reusable in many quizzes
+CREATE TABLE IF NOT EXISTS bank_questions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  question_type VARCHAR(50) NOT NULL,
+  question_text TEXT NOT NULL,
+  explanation TEXT,
+  options JSON NULL,
+  answer_data JSON NULL,
+  difficulty ENUM('easy', 'medium', 'hard') NULL,
+  bloom_level ENUM('remember', 'understand', 'apply', 'analyze', 'evaluate', 'create') NULL,
+  objective_ids JSON NULL,
+  language VARCHAR(10) NULL,
+  source_quiz_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (source_quiz_id) REFERENCES quizzes(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS bank_question_tags (
+  bank_question_id INT NOT NULL,
+  tag VARCHAR(50) NOT NULL,
+  PRIMARY KEY (bank_question_id, tag),
+  FOREIGN KEY (bank_question_id) REFERENCES bank_questions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_bank_question_tags_tag ON bank_question_tags(tag);
+
+-- Every time a bank question is put into a quiz; the quiz title is kept for quizzes deleted since
+CREATE TABLE IF NOT EXISTS bank_question_usage (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  bank_question_id INT NOT NULL,
+  quiz_id INT NULL,
+  quiz_title VARCHAR(255) NOT NULL,
+  used_by INT NULL,
+  used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (bank_question_id) REFERENCES bank_questions(id) ON DELETE CASCADE,
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE SET NULL,
+  FOREIGN KEY (used_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_bank_question_usage_question ON bank_question_usage(bank_question_id, used_at);
+
+-- Quiz questions taken from (or added to) the bank point at their bank question
+ALTER TABLE questions ADD COLUMN bank_question_id INT NULL AFTER quiz_id;
+ALTER TABLE questions ADD FOREIGN KEY (bank_question_id) REFERENCES bank_questions(id) ON DELETE SET NULL;
+
+-- Version history: every change to a quiz's content is kept as an immutable snapshot
+ALTER TABLE quizzes ADD COLUMN version INT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS quiz_versions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  quiz_id INT NOT NULL,
+  version_number INT NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  question_count INT NOT NULL DEFAULT 0,
+  snapshot JSON NOT NULL,
+  summary VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_quiz_version (quiz_id, version_number),
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Order of questions in a quiz and of options in a question, so single questions can be moved;
+-- rows saved before this column existed have 0 and keep their insertion order
+ALTER TABLE questions ADD COLUMN position INT NOT NULL DEFAULT 0 AFTER quiz_id;
+ALTER TABLE options ADD COLUMN position INT NOT NULL DEFAULT 0 AFTER question_id;
+
+CREATE INDEX idx_questions_quiz_position ON questions(quiz_id, position);
+
+-- Images (wiring diagrams, front-panel photos) attached to question stems and options,
+-- as paths under uploads/ such as question-images/qimg-12-1700000000000-123.png
+ALTER TABLE questions ADD COLUMN image_path VARCHAR(255) NULL AFTER question_text;
+ALTER TABLE options ADD COLUMN image_path VARCHAR(255) NULL AFTER option_text;
+-- Bank questions keep the stem image here and option images in their options JSON
+ALTER TABLE bank_questions ADD COLUMN image_path VARCHAR(255) NULL AFTER question_text;
+
+-- Audio clips of listening questions (uploaded recordings or synthesized Morse code),
+-- as paths under uploads/ such as question-audio/morse-12-1700000000000-123.wav
+ALTER TABLE questions ADD COLUMN audio_path VARCHAR(255) NULL AFTER image_path;
+ALTER TABLE bank_questions ADD COLUMN audio_path VARCHAR(255) NULL AFTER image_path;
@@ -18,6 +18,8 @@ import CreateQuizPage from './pages/CreateQuizPage';
 import LibraryPage from './pages/LibraryPage';
 import QuizResultPage from './pages/QuizResultPage';
 import ViewQuizPage from './pages/ViewQuizPage';
+import ObjectivesPage from './pages/ObjectivesPage';
+import QuestionBankPage from './pages/QuestionBankPage';
 import AccountPage from './pages/AccountPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
@@ -57,6 +59,8 @@ const router = createBrowserRouter(
         <Route path="result" element={<QuizResultPage />} />
         <Route path="library" element={<LibraryPage />} />
         <Route path="view/:id" element={<ViewQuizPage />} />
+        <Route path="objectives" element={<ObjectivesPage />} />
+        <Route path="bank" element={<QuestionBankPage />} />
         <Route path="account" element={<AccountPage />} />
       </Route>
 
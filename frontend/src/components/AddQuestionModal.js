@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { Modal, Button, Alert, Form, InputGroup } from 'react-bootstrap';
+import { quizService } from '../services/api';
+import { QUESTION_TYPES, QUESTION_TYPE_LABELS_TH, MIXED_QUESTION_TYPE, getOptionLabel, hasOptions } from '../utils/questionTypes';
+import { ANSWER_FIELDS, isSingleAnswer, textToAnswers, isStaleEdit, staleEditMessage } from '../utils/questionEditing';
+import MathPreview from './MathPreview';
+
+// Options a new question of the type starts with
+const startingOptions = (type) => (type === 'True/False'
+  ? [{ text: 'True', isCorrect: true }, { text: 'False', isCorrect: false }]
+  : [0, 1, 2, 3].map(index => ({ text: '', isCorrect: index === 0 })));
+
+// Write a new question by hand and add it to a saved quiz
+const AddQuestionModal = ({ show, onHide, quiz, onAdded, onStale }) => {
+  const isMixed = quiz.question_type === MIXED_QUESTION_TYPE;
+  const initialType = isMixed ? QUESTION_TYPES[0] : quiz.question_type;
+
+  const [questionType, setQuestionType] = useState(initialType);
+  const [questionText, setQuestionText] = useState('');
+  const [explanation, setExplanation] = useState('');
+  const [options, setOptions] = useState(startingOptions(initialType));
+  const [answerText, setAnswerText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isThai = quiz.language !== 'english';
+  const answerField = ANSWER_FIELDS[questionType];
+
+  const reset = (type) => {
+    setQuestionType(type);
+    setQuestionText('');
+    setExplanation('');
+    setOptions(startingOptions(type));
+    setAnswerText('');
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset(initialType);
+    onHide();
+  };
+
+  const updateOption = (index, changes) => {
+    setOptions(prev => prev.map((option, optionIndex) => {
+      if (optionIndex === index) return { ...option, ...changes };
+      // A single-answer question keeps one correct option
+      if (changes.isCorrect && isSingleAnswer(questionType)) return { ...option, isCorrect: false };
+      return option;
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const question = { questionType, questionText: questionText.trim(), explanation: explanation.trim() || null };
+    if (hasOptions(questionType)) {
+      question.options = options
+        .map(option => ({ ...option, text: option.text.trim() }))
+        .filter(option => option.text);
+    }
+    if (answerField) {
+      question[answerField] = textToAnswers(answerText, questionType);
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await quizService.addQuestion(quiz.id, { ...question, baseVersion: quiz.version });
+      onAdded(response.data.question, response.data.version);
+      handleClose();
+    } catch (err) {
+      if (isStaleEdit(err)) onStale();
+      setError(isStaleEdit(err)
+        ? staleEditMessage(isThai)
+        : err.errors?.[0]?.msg || err.message || (isThai ? 'ไม่สามารถเพิ่มคำถามได้' : 'Failed to add the question'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={saving ? undefined : handleClose} size="lg" centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton={!saving}>
+          <Modal.Title>{isThai ? 'เพิ่มคำถาม' : 'Add a question'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+
+          {isMixed && (
+            <Form.Group className="mb-3" controlId="newQuestionType">
+              <Form.Label>{isThai ? 'รูปแบบคำถาม' : 'Question type'}</Form.Label>
+              <Form.Select value={questionType} onChange={(e) => reset(e.target.value)} disabled={saving}>
+                {QUESTION_TYPES.map(type => (
+                  <option key={type} value={type}>{isThai ? `${QUESTION_TYPE_LABELS_TH[type]} (${type})` : type}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          )}
+
+          <Form.Group className="mb-3" controlId="newQuestionText">
+            <Form.Label>
+              {isThai ? 'คำถาม' : 'Question'}
+              <small className="text-muted ms-2">
+                {isThai ? '(เขียนสูตรด้วย LaTeX เช่น $V = I \\times R$ หรือ $$...$$ แยกบรรทัด)' : '(write formulas in LaTeX, e.g. $V = I \\times R$, or $$...$$ on their own line)'}
+              </small>
+            </Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              value={questionText}
+              onChange={(e) => setQuestionText(e.target.value)}
+              required
+              disabled={saving}
+            />
+            <MathPreview text={questionText} isThai={isThai} />
+          </Form.Group>
+
+          {hasOptions(questionType) && (
+            <div className="mb-3">
+              <Form.Label>{isThai ? 'ตัวเลือก (เลือกคำตอบที่ถูก)' : 'Options (mark the correct answer)'}</Form.Label>
+              {options.map((option, index) => (
+                <React.Fragment key={index}>
+                  <InputGroup className="mb-1">
+                    <InputGroup.Text>
+                      <Form.Check
+                        type={isSingleAnswer(questionType) ? 'radio' : 'checkbox'}
+                        name="newQuestionCorrect"
+                        checked={option.isCorrect}
+                        onChange={(e) => updateOption(index, { isCorrect: e.target.checked })}
+                        disabled={saving}
+                        aria-label={isThai ? 'คำตอบที่ถูก' : 'Correct answer'}
+                      />
+                      <span className="ms-2">{getOptionLabel(index)}.</span>
+                    </InputGroup.Text>
+                    <Form.Control
+                      value={option.text}
+                      onChange={(e) => updateOption(index, { text: e.target.value })}
+                      disabled={saving}
+                    />
+                  </InputGroup>
+                  <MathPreview text={option.text} isThai={isThai} className="ms-5 mb-1" />
+                </React.Fragment>
+              ))}
+              {questionType !== 'True/False' && (
+                <Button
+                  variant="link"
+                  size="sm"
+                  className="p-0"
+                  onClick={() => setOptions(prev => [...prev, { text: '', isCorrect: false }])}
+                  disabled={saving}
+                >
+                  {isThai ? '+ เพิ่มตัวเลือก' : '+ Add option'}
+                </Button>
+              )}
+            </div>
+          )}
+
+          {answerField && (
+            <Form.Group className="mb-3" controlId="newQuestionAnswers">
+              <Form.Label>
+                {answerField === 'pairs'
+                  ? (isThai ? 'คู่ที่ถูกต้อง (บรรทัดละคู่ เช่น ซ้าย = ขวา)' : 'Pairs (one per line, e.g. left = right)')
+                  : answerField === 'items'
+                    ? (isThai ? 'ลำดับที่ถูกต้อง (บรรทัดละรายการ)' : 'Items in the correct order (one per line)')
+                    : (isThai ? 'คำตอบที่ยอมรับ (บรรทัดละคำตอบ)' : 'Accepted answers (one per line)')}
+              </Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={4}
+                value={answerText}
+                onChange={(e) => setAnswerText(e.target.value)}
+                required
+                disabled={saving}
+              />
+              <MathPreview text={answerText} isThai={isThai} />
+            </Form.Group>
+          )}
+
+          <Form.Group controlId="newQuestionExplanation">
+            <Form.Label>
+              {questionType === 'Essay'
+                ? (isThai ? 'แนวทางการให้คะแนน' : 'Marking guidelines')
+                : (isThai ? 'คำอธิบาย' : 'Explanation')}
+            </Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={2}
+              value={explanation}
+              onChange={(e) => setExplanation(e.target.value)}
+              disabled={saving}
+            />
+            <MathPreview text={explanation} isThai={isThai} />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={handleClose} disabled={saving}>
+            {isThai ? 'ยกเลิก' : 'Cancel'}
+          </Button>
+          <Button variant="primary" type="submit" disabled={saving}>
+            {saving ? (isThai ? 'กำลังเพิ่ม...' : 'Adding...') : (isThai ? 'เพิ่มคำถาม' : 'Add question')}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default AddQuestionModal;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { Modal, Button, Alert, Form } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { bankService } from '../services/api';
+import { parseTags } from '../utils/bankTags';
+
+// Copy the questions of a saved quiz into the question bank with shared tags
+const AddToBankModal = ({ show, onHide, quiz, onAdded }) => {
+  const [tagText, setTagText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const isThai = quiz.language !== 'english';
+  const newCount = quiz.questions.filter(question => !question.bankQuestionId).length;
+
+  const handleClose = () => {
+    setResult(null);
+    setError(null);
+    onHide();
+  };
+
+  const handleAdd = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await bankService.addFromQuiz(quiz.id, { tags: parseTags(tagText) });
+      setResult(response.data);
+      onAdded(response.data.added);
+    } catch (err) {
+      setError(err.errors?.[0]?.msg || err.message || (isThai ? 'ไม่สามารถเพิ่มข้อสอบเข้าคลังได้' : 'Failed to add the questions to the question bank'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={saving ? undefined : handleClose} centered>
+      <Modal.Header closeButton={!saving}>
+        <Modal.Title>{isThai ? 'เพิ่มเข้าคลังข้อสอบ' : 'Add to question bank'}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+        {result ? (
+          <Alert variant="success" className="mb-0">
+            {isThai
+              ? `เพิ่ม ${result.added.length} ข้อเข้าคลังข้อสอบแล้ว`
+              : `Added ${result.added.length} question(s) to the question bank.`}
+            {result.skipped > 0 && (isThai
+              ? ` (ข้าม ${result.skipped} ข้อที่อยู่ในคลังแล้ว)`
+              : ` ${result.skipped} question(s) were already in the bank.`)}
+            {' '}<Link to="/bank">{isThai ? 'เปิดคลังข้อสอบ' : 'Open the question bank'}</Link>
+          </Alert>
+        ) : (
+          <>
+            <p>
+              {newCount === 0
+                ? (isThai ? 'ทุกข้อของข้อสอบชุดนี้อยู่ในคลังข้อสอบแล้ว' : 'Every question of this quiz is already in the question bank.')
+                : (isThai
+                  ? `ข้อสอบ ${newCount} ข้อจะถูกคัดลอกเข้าคลัง และยังคงอยู่แม้ลบข้อสอบชุดนี้`
+                  : `${newCount} question(s) will be copied into the bank and kept even if this quiz is deleted.`)}
+            </p>
+            <Form.Group controlId="bankTags">
+              <Form.Label>{isThai ? 'แท็ก (คั่นด้วยจุลภาค)' : 'Tags (comma-separated)'}</Form.Label>
+              <Form.Control
+                value={tagText}
+                onChange={(e) => setTagText(e.target.value)}
+                placeholder={isThai ? 'เช่น ม.2, บทที่ 3, กลางภาค' : 'e.g. grade 8, chapter 3, midterm'}
+                disabled={saving || newCount === 0}
+              />
+            </Form.Group>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={handleClose} disabled={saving}>
+          {isThai ? 'ปิด' : 'Close'}
+        </Button>
+        {!result && (
+          <Button variant="primary" onClick={handleAdd} disabled={saving || newCount === 0}>
+            {saving ? (isThai ? 'กำลังเพิ่ม...' : 'Adding...') : (isThai ? 'เพิ่มเข้าคลัง' : 'Add to bank')}
+          </Button>
+        )}
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default AddToBankModal;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { Alert, Button } from 'react-bootstrap';
+
+const FLAG_LABELS = {
+  key_mismatch: { th: 'เฉลยอาจผิด', en: 'Answer key may be wrong' },
+  ambiguous: { th: 'คำถามกำกวม', en: 'Ambiguous question' },
+  multiple_answers: { th: 'มีคำตอบที่ถูกได้มากกว่าหนึ่งข้อ', en: 'More than one defensible answer' }
+};
+
+// Warnings from the AI answer-key check of one question; each stays until the teacher resolves it
+const AnswerKeyFlags = ({ flags, isThai = true, onResolve, busyFlag = null }) => {
+  if (!flags || flags.length === 0) return null;
+
+  return (
+    <Alert variant="warning" className="mb-3 py-2">
+      {flags.map((flag, flagIndex) => (
+        <div key={flag.id || flagIndex} className="d-flex justify-content-between align-items-start gap-2 small mb-1">
+          <div>
+            <strong>⚠ {(FLAG_LABELS[flag.type] || {})[isThai ? 'th' : 'en'] || flag.type}:</strong>{' '}
+            {flag.message}
+            {flag.suggestedAnswer && (
+              <div className="text-muted">
+                {isThai ? 'คำตอบที่ AI เสนอ:' : 'AI suggests:'} {flag.suggestedAnswer}
+              </div>
+            )}
+          </div>
+          {onResolve && (
+            <Button
+              variant="outline-dark"
+              size="sm"
+              className="py-0 text-nowrap"
+              onClick={() => onResolve(flag, flagIndex)}
+              disabled={busyFlag === (flag.id || flagIndex)}
+            >
+              {isThai ? 'ตรวจแล้ว' : 'Resolve'}
+            </Button>
+          )}
+        </div>
+      ))}
+    </Alert>
+  );
+};
+
+export default AnswerKeyFlags;
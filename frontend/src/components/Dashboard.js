@@ -3,6 +3,12 @@ import { Row, Col, Card, Button, Badge } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { quizService } from '../services/api';
 
+// Badge colours of the quiz types counted on the dashboard; other types are grey
+const TYPE_BADGE_COLORS = {
+    'Multiple Choice': 'info',
+    'Essay': 'warning'
+};
+
 const Dashboard = () => {
     const [stats, setStats] = useState({
         totalQuizzes: 0,
@@ -226,7 +232,7 @@ const Dashboard = () => {
                                                         <small className="text-muted">
                                                             Created {getTimeAgo(item.createdAt)}
                                                         </small>
-                                                        <Badge bg={item.questionType === 'Multiple Choice' ? 'info' : 'warning'} className="text-white">
+                                                        <Badge bg={TYPE_BADGE_COLORS[item.questionType] || 'secondary'} className="text-white">
                                                             {item.questionType}
                                                         </Badge>
                                                     </div>
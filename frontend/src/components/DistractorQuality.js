@@ -0,0 +1,46 @@
+import React from 'react';
+import { Badge, Button, Spinner } from 'react-bootstrap';
+
+const ISSUE_LABELS = {
+  length_giveaway: { th: 'ความยาวบอกใบ้', en: 'Length giveaway' },
+  overlap: { th: 'ตัวเลือกซ้ำกัน', en: 'Overlapping options' },
+  catch_all: { th: 'ตัวเลือกครอบจักรวาล', en: 'Catch-all option' },
+  absolute_term: { th: 'คำเด็ดขาด', en: 'Absolute wording' },
+  unrelated: { th: 'ไม่เกี่ยวกับคำถาม', en: 'Unrelated option' }
+};
+
+const scoreVariant = (score) => (score >= 80 ? 'success' : score >= 50 ? 'warning' : 'danger');
+
+// Distractor score and issues of one choice question, with the AI rewrite of its wrong options when a handler is given
+const DistractorQuality = ({ analysis, isThai = true, onImprove, busy = false, disabled = false }) => {
+  if (!analysis) return null;
+
+  return (
+    <div className="border rounded p-2 mb-3 small">
+      <div className="d-flex justify-content-between align-items-center">
+        <span>
+          {isThai ? 'คุณภาพตัวลวง' : 'Distractor quality'}{' '}
+          <Badge bg={scoreVariant(analysis.score)}>{analysis.score}/100</Badge>
+        </span>
+        {onImprove && (
+          <Button variant="outline-primary" size="sm" className="py-0" onClick={onImprove} disabled={busy || disabled}>
+            {busy && <Spinner animation="border" size="sm" className="me-1" />}
+            {isThai ? 'ปรับปรุงตัวลวงด้วย AI' : 'Improve distractors'}
+          </Button>
+        )}
+      </div>
+      {analysis.issues.length > 0 && (
+        <ul className="mb-0 mt-2 ps-3">
+          {analysis.issues.map((issue, issueIndex) => (
+            <li key={issueIndex}>
+              <strong>{(ISSUE_LABELS[issue.type] || {})[isThai ? 'th' : 'en'] || issue.type}</strong>
+              {issue.option !== null && ` (${String.fromCharCode(65 + issue.option)})`}: {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DistractorQuality;
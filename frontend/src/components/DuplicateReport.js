@@ -0,0 +1,92 @@
+import React from 'react';
+import { Alert, Button, ListGroup, Badge, Spinner } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+
+// Near-duplicate questions found within a quiz and in the teacher's saved quizzes,
+// with merge (drop the repeat) and replace (generate a new question) actions when handlers are given
+const DuplicateReport = ({ report, questions, isThai = true, onMerge, onReplace, busyIndex = null, onClose }) => {
+  if (!report) return null;
+
+  const items = [
+    ...report.withinQuiz.map(item => ({ ...item, kind: 'withinQuiz' })),
+    ...report.library.map(item => ({ ...item, kind: 'library' }))
+  ].sort((a, b) => a.index - b.index);
+
+  if (items.length === 0) {
+    return (
+      <Alert variant="success" className="mb-4" onClose={onClose} dismissible={!!onClose}>
+        {isThai
+          ? 'ไม่พบคำถามที่ซ้ำหรือใกล้เคียงกันในข้อสอบนี้และในคลังข้อสอบของคุณ'
+          : 'No near-duplicate questions found in this quiz or in your library.'}
+      </Alert>
+    );
+  }
+
+  return (
+    <Alert variant="warning" className="mb-4" onClose={onClose} dismissible={!!onClose}>
+      <Alert.Heading as="h6">
+        {isThai
+          ? `พบคำถามที่ใกล้เคียงกัน ${items.length} ข้อ (ความคล้าย ${report.threshold}% ขึ้นไป)`
+          : `${items.length} near-duplicate question(s) found (${report.threshold}% similar or more)`}
+      </Alert.Heading>
+      <ListGroup variant="flush" className="small">
+        {items.map(item => (
+          <ListGroup.Item key={`${item.kind}-${item.index}`} className="bg-transparent px-0">
+            <div className="d-flex justify-content-between align-items-start gap-2">
+              <div>
+                <strong>{isThai ? `ข้อที่ ${item.index + 1}` : `Question ${item.index + 1}`}</strong>{' '}
+                <Badge bg="secondary" className="fw-normal">{item.similarity}%</Badge>
+                <div className="text-muted">{questions[item.index]?.questionText}</div>
+                {item.kind === 'withinQuiz' ? (
+                  <div>
+                    {isThai ? `คล้ายกับข้อที่ ${item.duplicateOf + 1}: ` : `Similar to question ${item.duplicateOf + 1}: `}
+                    <em>{questions[item.duplicateOf]?.questionText}</em>
+                  </div>
+                ) : (
+                  <div>
+                    {isThai ? 'คล้ายกับคำถามในข้อสอบ ' : 'Similar to a question in '}
+                    <Link to={`/view/${item.match.quizId}`}>{item.match.quizTitle}</Link>: <em>{item.match.questionText}</em>
+                  </div>
+                )}
+              </div>
+              {(onMerge || onReplace) && (
+                <div className="d-flex gap-1 flex-shrink-0">
+                  {busyIndex === item.index ? (
+                    <Spinner animation="border" size="sm" />
+                  ) : (
+                    <>
+                      {onMerge && (
+                        <Button
+                          size="sm"
+                          variant="outline-dark"
+                          onClick={() => onMerge(item)}
+                          disabled={busyIndex !== null}
+                          title={isThai ? 'ลบข้อนี้และเก็บคำถามเดิมไว้' : 'Remove this question and keep the other one'}
+                        >
+                          {isThai ? 'รวม' : 'Merge'}
+                        </Button>
+                      )}
+                      {onReplace && (
+                        <Button
+                          size="sm"
+                          variant="outline-primary"
+                          onClick={() => onReplace(item)}
+                          disabled={busyIndex !== null}
+                          title={isThai ? 'ให้ AI เขียนคำถามข้อนี้ใหม่' : 'Let the AI write a new question instead'}
+                        >
+                          {isThai ? 'แทนที่' : 'Replace'}
+                        </Button>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+    </Alert>
+  );
+};
+
+export default DuplicateReport;
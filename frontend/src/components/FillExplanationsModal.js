@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Alert } from 'react-bootstrap';
+import { quizService } from '../services/api';
+
+const hasExplanation = (question) => typeof question.explanation === 'string' && question.explanation.trim() !== '';
+
+// Lets the AI write the missing explanations (essay marking guidelines) of a saved quiz, optionally replacing the existing ones
+const FillExplanationsModal = ({ show, onHide, quiz, onFilled }) => {
+  const [overwrite, setOverwrite] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
+
+  const isThai = quiz.language !== 'english';
+  const missing = quiz.questions.filter(question => !hasExplanation(question)).length;
+  const target = overwrite ? quiz.questions.length : missing;
+
+  // Start every opening with a clean form
+  useEffect(() => {
+    if (show) {
+      setOverwrite(false);
+      setError(null);
+      setWarning(null);
+    }
+  }, [show]);
+
+  const text = {
+    title: isThai ? 'สร้างคำอธิบายเฉลยด้วย AI' : 'Write explanations with AI',
+    description: isThai
+      ? 'AI จะเขียนคำอธิบายว่าทำไมคำตอบจึงถูก (หรือแนวการให้คะแนนสำหรับข้ออัตนัย) จากหัวข้อของข้อสอบ คำอธิบายจะแสดงในเฉลยที่พิมพ์และใน feedback ของไฟล์ GIFT'
+      : 'The AI writes why each answer is correct (or marking guidelines for essay questions) from the quiz topic. Explanations appear in the printed answer key and as GIFT feedback.',
+    missing: isThai ? `ข้อที่ยังไม่มีคำอธิบาย: ${missing} จาก ${quiz.questions.length} ข้อ` : `Questions without an explanation: ${missing} of ${quiz.questions.length}`,
+    overwrite: isThai ? 'เขียนทับคำอธิบายที่มีอยู่แล้วด้วย' : 'Also replace existing explanations',
+    cancel: isThai ? 'ยกเลิก' : 'Cancel',
+    close: isThai ? 'ปิด' : 'Close',
+    submit: isThai ? `สร้างคำอธิบาย ${target} ข้อ` : `Write ${target} explanations`,
+    generating: isThai ? 'กำลังสร้าง...' : 'Writing...',
+    failed: isThai ? 'ไม่สามารถสร้างคำอธิบายได้' : 'Failed to write the explanations'
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await quizService.fillExplanations(quiz.id, overwrite, quiz.version);
+
+      if (response.success) {
+        onFilled(response.data.quiz);
+
+        if (response.data.failed.length > 0) {
+          setWarning(isThai
+            ? `สร้างคำอธิบายไม่สำเร็จ ${response.data.failed.length} ข้อ (ข้อที่ ${response.data.failed.join(', ')}) ลองอีกครั้ง`
+            : `${response.data.failed.length} question(s) got no explanation (${response.data.failed.join(', ')}). Try again.`);
+        } else {
+          onHide();
+        }
+      } else {
+        setError(response.message || text.failed);
+      }
+    } catch (err) {
+      setError(err.message || text.failed);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={loading ? undefined : onHide} centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton={!loading}>
+          <Modal.Title>{text.title}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+          {warning && <Alert variant="warning">{warning}</Alert>}
+          <p className="text-muted">{text.description}</p>
+          <p>{text.missing}</p>
+
+          <Form.Check
+            type="checkbox"
+            id="fillExplanationsOverwrite"
+            label={text.overwrite}
+            checked={overwrite}
+            onChange={(e) => setOverwrite(e.target.checked)}
+            disabled={loading}
+          />
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={loading}>
+            {warning ? text.close : text.cancel}
+          </Button>
+          <Button variant="primary" type="submit" disabled={loading || target === 0}>
+            {loading ? (
+              <span className="d-flex align-items-center">
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                {text.generating}
+              </span>
+            ) : text.submit}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default FillExplanationsModal;
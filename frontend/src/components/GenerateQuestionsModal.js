@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Alert } from 'react-bootstrap';
+import { quizService } from '../services/api';
+import LevelMixInput from './LevelMixInput';
+import { DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY_MIX, mixTotal } from '../utils/questionLevels';
+
+const MAX_NEW_QUESTIONS = 20;
+
+// Regenerates question `position` of a saved quiz, or appends new questions when `position` is null
+const GenerateQuestionsModal = ({ show, onHide, quiz, position = null, onGenerated }) => {
+  const [count, setCount] = useState(3);
+  const [additionalInstructions, setAdditionalInstructions] = useState('');
+  const [difficultyMix, setDifficultyMix] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isThai = quiz.language !== 'english';
+  const isRegenerate = position !== null;
+
+  // Start every opening with a clean form
+  useEffect(() => {
+    if (show) {
+      setAdditionalInstructions('');
+      setDifficultyMix(null);
+      setError(null);
+    }
+  }, [show]);
+
+  const text = {
+    title: isRegenerate
+      ? (isThai ? `สร้างข้อที่ ${position} ใหม่` : `Regenerate question ${position}`)
+      : (isThai ? 'สร้างคำถามเพิ่ม' : 'Generate more questions'),
+    description: isRegenerate
+      ? (isThai
+        ? 'AI จะเขียนคำถามข้อนี้ใหม่แทนข้อเดิม โดยไม่ซ้ำกับคำถามข้ออื่นในข้อสอบ'
+        : 'The AI writes a new question in place of this one without repeating the other questions of the quiz.')
+      : (isThai
+        ? 'AI จะเขียนคำถามใหม่ต่อท้ายข้อสอบ โดยไม่ซ้ำกับคำถามที่มีอยู่แล้ว'
+        : 'The AI appends new questions without repeating the questions the quiz already has.'),
+    count: isThai ? 'จำนวนคำถาม' : 'Number of questions',
+    instructions: isThai ? 'คำแนะนำเพิ่มเติม (ไม่บังคับ)' : 'Additional instructions (optional)',
+    instructionsPlaceholder: isRegenerate
+      ? (isThai ? 'เช่น ให้ยากขึ้น หรือ ถามเรื่องการประยุกต์ใช้' : 'e.g. make it harder, or ask about an application')
+      : (isThai ? 'เช่น เน้นเรื่องที่ยังไม่มีในข้อสอบ' : 'e.g. focus on parts of the topic the quiz leaves out'),
+    difficultyMix: isThai ? 'กำหนดสัดส่วนความยาก' : 'Set a difficulty mix',
+    cancel: isThai ? 'ยกเลิก' : 'Cancel',
+    submit: isRegenerate ? (isThai ? 'สร้างใหม่' : 'Regenerate') : (isThai ? 'สร้างคำถาม' : 'Generate'),
+    generating: isThai ? 'กำลังสร้าง...' : 'Generating...',
+    failed: isThai ? 'ไม่สามารถสร้างคำถามได้' : 'Failed to generate questions'
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (difficultyMix && mixTotal(difficultyMix) !== 100) {
+      setError(isThai ? 'สัดส่วนความยากต้องรวมกันได้ 100%' : 'The difficulty mix must add up to 100%');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = isRegenerate
+        ? await quizService.regenerateQuestion(quiz.id, position, { additionalInstructions, baseVersion: quiz.version })
+        : await quizService.generateMoreQuestions(quiz.id, { count, additionalInstructions, difficultyMix, baseVersion: quiz.version });
+
+      if (response.success) {
+        onGenerated(response.data.quiz);
+        onHide();
+      } else {
+        setError(response.message || text.failed);
+      }
+    } catch (err) {
+      setError(err.message || text.failed);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={loading ? undefined : onHide} centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton={!loading}>
+          <Modal.Title>{text.title}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+          <p className="text-muted">{text.description}</p>
+
+          {!isRegenerate && (
+            <>
+              <Form.Group className="mb-3" controlId="generateMoreCount">
+                <Form.Label>{text.count}</Form.Label>
+                <Form.Control
+                  type="number"
+                  min={1}
+                  max={MAX_NEW_QUESTIONS}
+                  value={count}
+                  onChange={(e) => setCount(Math.max(1, Math.min(MAX_NEW_QUESTIONS, parseInt(e.target.value, 10) || 1)))}
+                  disabled={loading}
+                />
+              </Form.Group>
+
+              <LevelMixInput
+                id="generateMoreDifficultyMix"
+                label={text.difficultyMix}
+                levels={DIFFICULTY_LEVELS}
+                mix={difficultyMix}
+                defaultMix={DEFAULT_DIFFICULTY_MIX}
+                onChange={setDifficultyMix}
+                disabled={loading}
+              />
+            </>
+          )}
+
+          <Form.Group controlId="generateQuestionsInstructions">
+            <Form.Label>{text.instructions}</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={2}
+              maxLength={500}
+              value={additionalInstructions}
+              onChange={(e) => setAdditionalInstructions(e.target.value)}
+              placeholder={text.instructionsPlaceholder}
+              disabled={loading}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={loading}>
+            {text.cancel}
+          </Button>
+          <Button variant="primary" type="submit" disabled={loading}>
+            {loading ? (
+              <span className="d-flex align-items-center">
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                {text.generating}
+              </span>
+            ) : text.submit}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default GenerateQuestionsModal;
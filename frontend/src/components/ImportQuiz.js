@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Card, Form, Button, Alert, Spinner } from 'react-bootstrap';
 import { quizService } from '../services/api';
 import { useNavigate } from 'react-router-dom';
+import { getQuizType } from '../utils/questionTypes';
 
 const ImportQuiz = () => {
   const navigate = useNavigate();
@@ -125,6 +126,10 @@ const ImportQuiz = () => {
       if (!questionMatch) continue;
       
       const questionText = questionMatch[2].trim();
+
+      // General feedback (####) is the explanation; questions without one can get it written later
+      const feedbackMatch = block.match(/####([^}]*)/);
+      const explanation = feedbackMatch ? feedbackMatch[1].trim() : '';
       
       // Check if it's multiple choice or essay
       if (block.includes('=') || block.includes('~')) {
@@ -149,15 +154,17 @@ const ImportQuiz = () => {
         }
         
         questions.push({
+          questionType: 'Multiple Choice',
           questionText,
           options,
-          explanation: 'Imported from GIFT format'
+          explanation
         });
       } else {
         // Essay question
         questions.push({
+          questionType: 'Essay',
           questionText,
-          explanation: 'Imported from GIFT format - essay question'
+          explanation
         });
       }
     }
@@ -165,7 +172,7 @@ const ImportQuiz = () => {
     return {
       title,
       topic: 'Imported Quiz',
-      questionType: questions.some(q => q.options) ? 'Multiple Choice' : 'Essay',
+      questionType: getQuizType(questions),
       questions
     };
   };
@@ -226,15 +233,15 @@ const ImportQuiz = () => {
         // If no option is marked correct, mark the first one
         question.options[0].isCorrect = true;
       }
+      
+      // Questions without options are essays
+      question.questionType = question.options.length > 0 ? 'Multiple Choice' : 'Essay';
     });
     
-    // Determine question type
-    const hasOptions = questions.some(q => q.options && q.options.length > 0);
-    
     return {
       title,
       topic: 'Imported Quiz',
-      questionType: hasOptions ? 'Multiple Choice' : 'Essay',
+      questionType: getQuizType(questions),
       questions
     };
   };
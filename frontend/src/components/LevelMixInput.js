@@ -0,0 +1,53 @@
+import React from 'react';
+import { Form, InputGroup, Row, Col } from 'react-bootstrap';
+import { mixTotal } from '../utils/questionLevels';
+
+// Optional target mix in percent for difficulty or Bloom levels; `mix` is null while switched off
+const LevelMixInput = ({ id, label, levels, mix, defaultMix, onChange, disabled = false }) => {
+  const total = mixTotal(mix);
+
+  const handlePercentChange = (level, value) => {
+    onChange({ ...mix, [level]: value === '' ? 0 : Math.max(0, Math.min(100, parseInt(value, 10) || 0)) });
+  };
+
+  return (
+    <Form.Group className="mb-3">
+      <Form.Check
+        type="switch"
+        id={id}
+        label={label}
+        checked={!!mix}
+        onChange={(e) => onChange(e.target.checked ? { ...defaultMix } : null)}
+        disabled={disabled}
+      />
+
+      {mix && (
+        <>
+          <Row className="g-2 mt-1">
+            {levels.map(level => (
+              <Col xs={6} md={4} key={level.value}>
+                <InputGroup size="sm">
+                  <InputGroup.Text style={{ minWidth: '90px' }}>{level.label}</InputGroup.Text>
+                  <Form.Control
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={mix[level.value] ?? 0}
+                    onChange={(e) => handlePercentChange(level.value, e.target.value)}
+                    disabled={disabled}
+                  />
+                  <InputGroup.Text>%</InputGroup.Text>
+                </InputGroup>
+              </Col>
+            ))}
+          </Row>
+          <Form.Text className={total === 100 ? 'text-muted' : 'text-danger'}>
+            Total: {total}% {total !== 100 && '(must add up to 100%)'}
+          </Form.Text>
+        </>
+      )}
+    </Form.Group>
+  );
+};
+
+export default LevelMixInput;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { hasMath } from '../utils/mathText';
+import MathText from './MathText';
+
+// Rendered look of a field being edited, shown only once the text contains a formula
+const MathPreview = ({ text, isThai = true, className = 'mt-1' }) => {
+  if (!hasMath(text)) return null;
+
+  return (
+    <div className={`small border rounded bg-light px-2 py-1 ${className}`} style={{ whiteSpace: 'pre-line' }}>
+      <span className="text-muted me-1">{isThai ? 'ตัวอย่าง:' : 'Preview:'}</span>
+      <MathText text={text} />
+    </div>
+  );
+};
+
+export default MathPreview;
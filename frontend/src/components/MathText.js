@@ -0,0 +1,35 @@
+import React, { useMemo } from 'react';
+import katex from 'katex';
+import { splitMath } from '../utils/mathText';
+
+// Block formulas get their own centred line; inline styles so printouts keep them too
+const DISPLAY_STYLE = { display: 'block', textAlign: 'center', margin: '0.5em 0' };
+
+// Text of a question, option, answer or explanation with its LaTeX formulas rendered, e.g. "$V = I \times R$".
+// KaTeX writes MathML, which browsers and the print window show without extra styles or fonts;
+// a formula it cannot read is shown as its source in red instead of breaking the page.
+const MathText = ({ text }) => {
+  const parts = useMemo(() => splitMath(text), [text]);
+
+  if (!parts.some(part => part.math)) {
+    return parts.map(part => part.value).join('');
+  }
+
+  return (
+    <>
+      {parts.map((part, index) => (part.math ? (
+        <span
+          key={index}
+          style={part.display ? DISPLAY_STYLE : undefined}
+          dangerouslySetInnerHTML={{
+            __html: katex.renderToString(part.value, { displayMode: part.display, output: 'mathml', throwOnError: false })
+          }}
+        />
+      ) : (
+        <React.Fragment key={index}>{part.value}</React.Fragment>
+      )))}
+    </>
+  );
+};
+
+export default MathText;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { Form, Button, Spinner } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { courseService } from '../services/api';
+
+// Choose learning objectives of a course from the school catalogue, e.g. those the generated questions must cover
+const ObjectivePicker = ({ value = [], onChange, initialCourseId = null, disabled = false }) => {
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState(initialCourseId ? String(initialCourseId) : '');
+  const [objectives, setObjectives] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchCourses = async () => {
+      try {
+        const response = await courseService.getCourses();
+        if (response.success) {
+          setCourses(response.data.courses.filter(course => course.objectiveCount > 0));
+        }
+      } catch (err) {
+        // The catalogue is optional; the form works without it
+        console.error('Error loading courses:', err);
+      }
+    };
+
+    fetchCourses();
+  }, []);
+
+  useEffect(() => {
+    setObjectives([]);
+    if (!courseId) return;
+
+    let cancelled = false;
+    const fetchObjectives = async () => {
+      try {
+        setLoading(true);
+        const response = await courseService.getCourse(courseId);
+        if (response.success && !cancelled) {
+          setObjectives(response.data.objectives);
+        }
+      } catch (err) {
+        console.error('Error loading learning objectives:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchObjectives();
+    return () => { cancelled = true; };
+  }, [courseId]);
+
+  const handleCourseChange = (e) => {
+    setCourseId(e.target.value);
+    onChange([]);
+  };
+
+  const toggleObjective = (objectiveId) => {
+    onChange(value.includes(objectiveId)
+      ? value.filter(id => id !== objectiveId)
+      : [...value, objectiveId]);
+  };
+
+  if (courses.length === 0) return null;
+
+  return (
+    <Form.Group className="mb-4">
+      <Form.Label>Learning objectives (optional)</Form.Label>
+      <Form.Select
+        value={courseId}
+        onChange={handleCourseChange}
+        className="border-light shadow-sm"
+        disabled={disabled}
+      >
+        <option value="">— No course —</option>
+        {courses.map(course => (
+          <option key={course.id} value={course.id}>
+            {course.code} {course.name} ({course.schoolName})
+          </option>
+        ))}
+      </Form.Select>
+
+      {loading && <Spinner animation="border" size="sm" className="mt-2" />}
+
+      {objectives.length > 0 && (
+        <div className="border rounded p-2 mt-2">
+          <div className="d-flex justify-content-between align-items-center mb-1">
+            <small className="text-muted">
+              เลือก {value.length} จาก {objectives.length} วัตถุประสงค์
+            </small>
+            <Button
+              variant="link"
+              size="sm"
+              className="p-0"
+              onClick={() => onChange(value.length === objectives.length ? [] : objectives.map(objective => objective.id))}
+              disabled={disabled}
+            >
+              {value.length === objectives.length ? 'Clear' : 'Select all'}
+            </Button>
+          </div>
+          {objectives.map(objective => (
+            <Form.Check
+              key={objective.id}
+              type="checkbox"
+              id={`objective-${objective.id}`}
+              label={<><strong>{objective.code}</strong> {objective.description}</>}
+              checked={value.includes(objective.id)}
+              onChange={() => toggleObjective(objective.id)}
+              disabled={disabled}
+            />
+          ))}
+        </div>
+      )}
+
+      <Form.Text className="text-muted">
+        Every chosen objective gets at least one question when there are enough questions, and each question is tagged with the objectives it assesses.{' '}
+        <Link to="/objectives">Manage courses</Link>
+      </Form.Text>
+    </Form.Group>
+  );
+};
+
+export default ObjectivePicker;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Badge, Button } from 'react-bootstrap';
+
+// Learning objective badges of a question, with an edit button when a handler is given
+const ObjectiveTags = ({ objectives = [], isThai = true, onEdit, disabled = false }) => {
+  if (objectives.length === 0 && !onEdit) return null;
+
+  return (
+    <div className="mb-3 small">
+      <span className="text-muted me-2">{isThai ? 'วัตถุประสงค์:' : 'Objectives:'}</span>
+      {objectives.map(objective => (
+        <Badge
+          key={objective.id}
+          bg="info"
+          text="dark"
+          className="me-1 fw-normal"
+          title={objective.description}
+        >
+          {objective.courseCode ? `${objective.courseCode} ${objective.code}` : objective.code}
+        </Badge>
+      ))}
+      {objectives.length === 0 && <span className="text-muted me-2">{isThai ? 'ยังไม่ได้ระบุ' : 'None'}</span>}
+      {onEdit && (
+        <Button variant="link" size="sm" className="p-0 align-baseline" onClick={onEdit} disabled={disabled}>
+          {isThai ? 'แก้ไข' : 'Edit'}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default ObjectiveTags;
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import { Form, Button, Modal, Alert, InputGroup } from 'react-bootstrap';
+import { presetService } from '../services/api';
+import { PRESET_PLACEHOLDERS } from '../utils/presetTemplates';
+
+// Create-quiz form fields kept in a preset
+const toFormSettings = (preset) => ({
+  questionType: preset.questionType,
+  numberOfQuestions: preset.numberOfQuestions,
+  studentLevel: preset.studentLevel || '',
+  outputLanguage: preset.language === 'english' ? 'English' : 'Thai',
+  difficultyMix: preset.difficultyMix,
+  bloomMix: preset.bloomMix,
+  additionalInstructions: preset.instructionsTemplate || ''
+});
+
+const toPresetSettings = (formData) => ({
+  questionType: formData.questionType,
+  numberOfQuestions: Number(formData.numberOfQuestions),
+  studentLevel: formData.studentLevel,
+  language: formData.outputLanguage === 'English' ? 'english' : 'thai',
+  difficultyMix: formData.difficultyMix,
+  bloomMix: formData.bloomMix,
+  instructionsTemplate: formData.additionalInstructions
+});
+
+// Pick a saved preset to fill the create-quiz form, or save the form as a (department-shared) preset
+const PresetPicker = ({ formData, onApply, disabled = false }) => {
+  const [presets, setPresets] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [showSaveModal, setShowSaveModal] = useState(false);
+  const [presetName, setPresetName] = useState('');
+  const [departmentId, setDepartmentId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchPresets = async () => {
+      try {
+        const response = await presetService.getPresets();
+        if (response.success) {
+          setPresets(response.data.presets);
+          setDepartments(response.data.departments);
+        }
+      } catch (err) {
+        // Presets are optional; the form works without them
+        console.error('Error loading presets:', err);
+      }
+    };
+
+    fetchPresets();
+  }, []);
+
+  const selectedPreset = presets.find(preset => String(preset.id) === selectedId) || null;
+  const ownPresets = presets.filter(preset => preset.isOwner);
+  const sharedPresets = presets.filter(preset => !preset.isOwner);
+
+  const handleSelect = (e) => {
+    setSelectedId(e.target.value);
+    const preset = presets.find(item => String(item.id) === e.target.value);
+    if (preset) {
+      onApply(toFormSettings(preset));
+    }
+  };
+
+  const openSaveModal = () => {
+    setPresetName('');
+    setDepartmentId('');
+    setError(null);
+    setShowSaveModal(true);
+  };
+
+  // Replace a preset in the list with its saved version, keeping the list sorted by name
+  const storePreset = (preset) => {
+    setPresets(prev => [...prev.filter(item => item.id !== preset.id), preset]
+      .sort((a, b) => a.name.localeCompare(b.name)));
+    setSelectedId(String(preset.id));
+  };
+
+  const handleSaveNew = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await presetService.createPreset({
+        ...toPresetSettings(formData),
+        name: presetName,
+        departmentId: departmentId ? Number(departmentId) : null
+      });
+      storePreset(response.data);
+      setShowSaveModal(false);
+    } catch (err) {
+      setError(err.errors?.[0]?.msg || err.message || 'ไม่สามารถบันทึกชุดค่าได้');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdateSelected = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await presetService.updatePreset(selectedPreset.id, {
+        ...toPresetSettings(formData),
+        name: selectedPreset.name,
+        departmentId: selectedPreset.departmentId
+      });
+      storePreset(response.data);
+    } catch (err) {
+      setError(err.errors?.[0]?.msg || err.message || 'ไม่สามารถบันทึกชุดค่าได้');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteSelected = async () => {
+    if (!window.confirm(`Delete the preset "${selectedPreset.name}"?`)) return;
+
+    try {
+      setSaving(true);
+      setError(null);
+      await presetService.deletePreset(selectedPreset.id);
+      setPresets(prev => prev.filter(item => item.id !== selectedPreset.id));
+      setSelectedId('');
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถลบชุดค่าได้');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const describeShared = (preset) => `${preset.name} (${preset.departmentName || preset.ownerName})`;
+
+  return (
+    <Form.Group className="mb-4">
+      <Form.Label>Preset</Form.Label>
+      <InputGroup>
+        <Form.Select
+          value={selectedId}
+          onChange={handleSelect}
+          className="border-light shadow-sm"
+          disabled={disabled || saving}
+        >
+          <option value="">— Start from the default settings —</option>
+          {ownPresets.length > 0 && (
+            <optgroup label="My presets">
+              {ownPresets.map(preset => (
+                <option key={preset.id} value={preset.id}>
+                  {preset.name}{preset.departmentName ? ` (shared with ${preset.departmentName})` : ''}
+                </option>
+              ))}
+            </optgroup>
+          )}
+          {sharedPresets.length > 0 && (
+            <optgroup label="Shared with my department">
+              {sharedPresets.map(preset => (
+                <option key={preset.id} value={preset.id}>{describeShared(preset)}</option>
+              ))}
+            </optgroup>
+          )}
+        </Form.Select>
+        {selectedPreset?.isOwner && (
+          <>
+            <Button variant="outline-secondary" onClick={handleUpdateSelected} disabled={disabled || saving}>
+              Update
+            </Button>
+            <Button variant="outline-danger" onClick={handleDeleteSelected} disabled={disabled || saving}>
+              Delete
+            </Button>
+          </>
+        )}
+        <Button variant="outline-primary" onClick={openSaveModal} disabled={disabled || saving}>
+          Save as preset
+        </Button>
+      </InputGroup>
+      <Form.Text className="text-muted">
+        Instructions can use the placeholders {PRESET_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}; they are filled in when the quiz is generated.
+      </Form.Text>
+      {error && !showSaveModal && <Alert variant="danger" className="mt-2 mb-0 py-2">{error}</Alert>}
+
+      <Modal show={showSaveModal} onHide={() => setShowSaveModal(false)} centered>
+        <Form onSubmit={handleSaveNew}>
+          <Modal.Header closeButton>
+            <Modal.Title>Save as preset</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {error && <Alert variant="danger">{error}</Alert>}
+            <p className="text-muted small">
+              Saves the question type, number of questions, student level, language, level mixes and additional instructions.
+            </p>
+            <Form.Group className="mb-3" controlId="presetName">
+              <Form.Label>Preset name</Form.Label>
+              <Form.Control
+                type="text"
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                maxLength={100}
+                placeholder="e.g. Grade 10 mid-term, mixed types"
+                required
+              />
+            </Form.Group>
+            <Form.Group controlId="presetDepartment">
+              <Form.Label>Share with</Form.Label>
+              <Form.Select value={departmentId} onChange={(e) => setDepartmentId(e.target.value)}>
+                <option value="">Only me</option>
+                {departments.map(department => (
+                  <option key={department.id} value={department.id}>{department.name}</option>
+                ))}
+              </Form.Select>
+              {departments.length === 0 && (
+                <Form.Text className="text-muted">Join a department of your school to share presets.</Form.Text>
+              )}
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowSaveModal(false)}>Cancel</Button>
+            <Button variant="primary" type="submit" disabled={saving || !presetName.trim()}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Form.Group>
+  );
+};
+
+export default PresetPicker;
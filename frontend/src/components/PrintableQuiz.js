@@ -1,9 +1,15 @@
-import React, { useRef } from 'react';
-import { Button, Card } from 'react-bootstrap';
+import React, { useRef, useState } from 'react';
+import { Button, Card, Form } from 'react-bootstrap';
 import DOMPurify from 'dompurify';
+import { getQuestionType, getCorrectAnswerText, hasOptions, scrambled } from '../utils/questionTypes';
+import { BILINGUAL, LANGUAGE_LABELS, availableLanguages, quizLanguage, translatedQuestion } from '../utils/quizLanguages';
+import QuestionImage from './QuestionImage';
+import MathText from './MathText';
 
 const PrintableQuiz = ({ quiz, includeAnswers = false }) => {
     const printRef = useRef();
+    // Original language, the translation or both side by side
+    const [printLanguage, setPrintLanguage] = useState(null);
 
     // Handle print function
     const handlePrint = () => {
@@ -46,6 +52,16 @@ const PrintableQuiz = ({ quiz, includeAnswers = false }) => {
             .option {
               margin-bottom: 8px;
             }
+            .audio-note {
+              font-style: italic;
+              margin-bottom: 10px;
+            }
+            .question-image {
+              display: block;
+              max-width: 100%;
+              margin: 6px 0 10px;
+              page-break-inside: avoid;
+            }
             .explanation {
               font-style: italic;
               border-left: 3px solid #ddd;
@@ -63,6 +79,16 @@ const PrintableQuiz = ({ quiz, includeAnswers = false }) => {
               font-weight: bold;
               color: #28a745;
             }
+            .bilingual {
+              width: 100%;
+              table-layout: fixed;
+              border-collapse: collapse;
+            }
+            .bilingual td {
+              width: 50%;
+              vertical-align: top;
+              padding-right: 15px;
+            }
             @media print {
               .no-print {
                 display: none !important;
@@ -91,12 +117,146 @@ const PrintableQuiz = ({ quiz, includeAnswers = false }) => {
     // Generate alphabet letters for options (A, B, C, D)
     const getOptionLabel = (index) => String.fromCharCode(65 + index);
 
+    // Matching rows: left items numbered, right items lettered in scrambled order
+    const renderMatchingRows = (pairs) => {
+        const rightItems = scrambled(pairs.map(pair => pair.right));
+        return pairs.map((pair, pIndex) => (
+            <tr key={pIndex}>
+                <td>____ {pIndex + 1}. <MathText text={pair.left} /></td>
+                <td>{getOptionLabel(pIndex)}. <MathText text={rightItems[pIndex]} /></td>
+            </tr>
+        ));
+    };
+
+    // Question text and answer area; answer space is left only once in bilingual printouts
+    const renderQuestion = (question, qIndex, withAnswerSpace) => {
+        const type = getQuestionType(question, quiz.question_type);
+
+        return (
+            <>
+                <div className="question-text">
+                    {qIndex + 1}. <MathText text={question.questionText} />
+                </div>
+                <QuestionImage image={question.image} className="question-image" maxHeight={300} />
+                {/* Audio cannot be printed; the teacher plays it while students answer */}
+                {question.audio && <div className="audio-note">🔊 Listen to the audio clip</div>}
+
+                {/* Choice Options */}
+                {hasOptions(type) && (
+                    <ul className="options">
+                        {question.options.map((option, oIndex) => (
+                            <li key={oIndex} className="option">
+                                {type === 'Multiple Select' ? '☐' : `${getOptionLabel(oIndex)}.`} <MathText text={option.text} />
+                                <QuestionImage image={option.image} className="question-image" maxHeight={150} />
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {/* Matching */}
+                {type === 'Matching' && (
+                    <table className="matching" style={{ width: '100%', marginLeft: '20px' }}>
+                        <tbody>{renderMatchingRows(question.pairs || [])}</tbody>
+                    </table>
+                )}
+
+                {/* Ordering: scrambled items with a box for the position */}
+                {type === 'Ordering' && (
+                    <ul className="options">
+                        {scrambled(question.items || []).map((item, iIndex) => (
+                            <li key={iIndex} className="option">
+                                [ &nbsp;&nbsp; ] <MathText text={item} />
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {/* Line for short answers; fill-in-the-blank questions already contain the blank */}
+                {withAnswerSpace && type === 'Short Answer' && (
+                    <div className="short-answer-space" style={{ borderBottom: '1px solid #999', height: '30px', marginTop: '10px', width: '60%' }}></div>
+                )}
+
+                {/* Space for essay answers */}
+                {withAnswerSpace && type === 'Essay' && (
+                    <div className="essay-space" style={{ height: '150px', border: '1px solid #ddd', marginTop: '10px' }}></div>
+                )}
+            </>
+        );
+    };
+
+    // Answer key entry of one question
+    const renderAnswer = (question, qIndex) => {
+        const type = getQuestionType(question, quiz.question_type);
+
+        return (
+            <>
+                <div className="question-text">
+                    {qIndex + 1}. <MathText text={question.questionText} />
+                </div>
+
+                {type === 'Essay' ? (
+                    question.explanation && (
+                        <div className="explanation">
+                            Answer Guidelines: <MathText text={question.explanation} />
+                        </div>
+                    )
+                ) : (
+                    <>
+                        <div className="correct-answer">
+                            Correct Answer: <MathText text={getCorrectAnswerText(question, type)} />
+                        </div>
+
+                        {question.explanation && (
+                            <div className="explanation">
+                                Explanation: <MathText text={question.explanation} />
+                            </div>
+                        )}
+                    </>
+                )}
+            </>
+        );
+    };
+
     if (!quiz) return null;
 
+    const languages = availableLanguages(quiz);
+    const language = languages.includes(printLanguage) ? printLanguage : quizLanguage(quiz);
+
+    // Render a question in the chosen language, or the original and the translation in two columns
+    const renderInLanguage = (question, render) => {
+        if (language === BILINGUAL) {
+            return (
+                <table className="bilingual">
+                    <tbody>
+                        <tr>
+                            <td>{render(question, false)}</td>
+                            <td>{render(translatedQuestion(question), true)}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            );
+        }
+
+        return render(language === quizLanguage(quiz) ? question : translatedQuestion(question), false);
+    };
+
     return (
         <Card className="mb-4 shadow-sm">
             <Card.Header className="d-flex justify-content-between align-items-center">
                 <h5 className="mb-0">Printable Quiz</h5>
+                {languages.length > 1 && (
+                    <Form.Select
+                        size="sm"
+                        className="w-auto ms-auto me-2"
+                        value={language}
+                        onChange={(e) => setPrintLanguage(e.target.value)}
+                        aria-label="Print language"
+                    >
+                        {languages.map(value => (
+                            <option key={value} value={value}>{LANGUAGE_LABELS[value]}</option>
+                        ))}
+                    </Form.Select>
+                )}
                 <Button
                     variant="primary"
                     size="sm"
@@ -123,25 +283,7 @@ const PrintableQuiz = ({ quiz, includeAnswers = false }) => {
                     <div className="questions">
                         {quiz.questions.map((question, qIndex) => (
                             <div key={qIndex} className="question">
-                                <div className="question-text">
-                                    {qIndex + 1}. {question.questionText}
-                                </div>
-
-                                {/* Multiple Choice Options */}
-                                {quiz.question_type === 'Multiple Choice' && (
-                                    <ul className="options">
-                                        {question.options.map((option, oIndex) => (
-                                            <li key={oIndex} className="option">
-                                                {getOptionLabel(oIndex)}. {option.text}
-                                            </li>
-                                        ))}
-                                    </ul>
-                                )}
-
-                                {/* Space for essay answers */}
-                                {quiz.question_type === 'Essay' && (
-                                    <div className="essay-space" style={{ height: '150px', border: '1px solid #ddd', marginTop: '10px' }}></div>
-                                )}
+                                {renderInLanguage(question, (version, isSecond) => renderQuestion(version, qIndex, !isSecond))}
                             </div>
                         ))}
                     </div>
@@ -153,35 +295,7 @@ const PrintableQuiz = ({ quiz, includeAnswers = false }) => {
 
                             {quiz.questions.map((question, qIndex) => (
                                 <div key={`answer-${qIndex}`} className="question">
-                                    <div className="question-text">
-                                        {qIndex + 1}. {question.questionText}
-                                    </div>
-
-                                    {/* Multiple Choice Answers */}
-                                    {quiz.question_type === 'Multiple Choice' && (
-                                        <>
-                                            <div className="correct-answer">
-                                                Correct Answer: {
-                                                    getOptionLabel(question.options.findIndex(opt => opt.isCorrect))
-                                                }. {
-                                                    question.options.find(opt => opt.isCorrect)?.text
-                                                }
-                                            </div>
-
-                                            {question.explanation && (
-                                                <div className="explanation">
-                                                    Explanation: {question.explanation}
-                                                </div>
-                                            )}
-                                        </>
-                                    )}
-
-                                    {/* Essay Answer Guidelines */}
-                                    {quiz.question_type === 'Essay' && question.explanation && (
-                                        <div className="explanation">
-                                            Answer Guidelines: {question.explanation}
-                                        </div>
-                                    )}
+                                    {renderInLanguage(question, (version) => renderAnswer(version, qIndex))}
                                 </div>
                             ))}
                         </div>
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Table } from 'react-bootstrap';
+import { getOptionLabel, hasOptions } from '../utils/questionTypes';
+import QuestionImage from './QuestionImage';
+import MathText from './MathText';
+
+// Answer key of one question, laid out for its question type
+const QuestionAnswers = ({ question, type, isThai = true }) => {
+  if (hasOptions(type)) {
+    return (
+      <ul className="list-group mb-3">
+        {(question.options || []).map((option, optIndex) => (
+          <li
+            key={optIndex}
+            className={`list-group-item ${option.isCorrect ? 'list-group-item-success fw-bold' : ''}`}
+          >
+            {getOptionLabel(optIndex)}. <MathText text={option.text} />
+            {option.isCorrect && ' ✓'}
+            <QuestionImage image={option.image} alt={option.text} maxHeight={160} />
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  switch (type) {
+    case 'Matching':
+      return (
+        <Table bordered size="sm" className="mb-3">
+          <tbody>
+            {(question.pairs || []).map((pair, pairIndex) => (
+              <tr key={pairIndex}>
+                <td><MathText text={pair.left} /></td>
+                <td className="text-center text-muted">→</td>
+                <td className="text-success"><MathText text={pair.right} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      );
+
+    case 'Ordering':
+      return (
+        <ol className="list-group list-group-numbered mb-3">
+          {(question.items || []).map((item, itemIndex) => (
+            <li key={itemIndex} className="list-group-item"><MathText text={item} /></li>
+          ))}
+        </ol>
+      );
+
+    case 'Fill in the Blank':
+    case 'Short Answer':
+      return (
+        <p className="mb-3">
+          <strong>{isThai ? 'คำตอบที่ยอมรับ:' : 'Accepted answers:'}</strong>{' '}
+          <span className="text-success">
+            {(question.answers || []).map((answer, answerIndex) => (
+              <React.Fragment key={answerIndex}>
+                {answerIndex > 0 && ' / '}
+                <MathText text={answer} />
+              </React.Fragment>
+            ))}
+          </span>
+        </p>
+      );
+
+    default:
+      return null;
+  }
+};
+
+export default QuestionAnswers;
@@ -0,0 +1,15 @@
+import React from 'react';
+import { mediaUrl } from '../utils/questionMedia';
+
+// Player for the audio clip of a listening question, such as a Morse signal to decode
+const QuestionAudio = ({ audio, className = 'd-block my-2' }) => {
+  if (!audio) return null;
+
+  return (
+    <audio controls preload="none" src={mediaUrl(audio)} className={className} style={{ maxWidth: '100%' }}>
+      <a href={mediaUrl(audio)}>{audio.split('/').pop()}</a>
+    </audio>
+  );
+};
+
+export default QuestionAudio;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Form, Button, Row, Col, Alert } from 'react-bootstrap';
+import { quizService } from '../services/api';
+import { AUDIO_TYPES, MORSE_LIMITS } from '../utils/questionMedia';
+import QuestionAudio from './QuestionAudio';
+
+// Audio clip of a question in the editor: upload a recording, or write text to send as Morse code at a chosen speed and tone
+const QuestionAudioEditor = ({ quiz, question, save, busy, isThai }) => {
+  const [morse, setMorse] = useState({ text: '', wpm: MORSE_LIMITS.defaultWpm, tone: MORSE_LIMITS.defaultTone });
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [previewError, setPreviewError] = useState(null);
+
+  // The preview is a local blob; release it when it is replaced or the editor closes
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
+
+  const updateMorse = (field, value) => {
+    setMorse(prev => ({ ...prev, [field]: value }));
+    setPreviewUrl(null);
+  };
+
+  const morseSettings = () => ({ text: morse.text.trim(), wpm: Number(morse.wpm), tone: Number(morse.tone) });
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      setPreviewError(null);
+
+      const wav = await quizService.previewMorseAudio(morseSettings());
+      setPreviewUrl(URL.createObjectURL(wav));
+    } catch (err) {
+      setPreviewError(err.errors?.[0]?.msg || err.message || (isThai ? 'ไม่สามารถสร้างเสียงมอร์สได้' : 'Failed to generate the Morse audio'));
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleAttachMorse = async () => {
+    if (await save(() => quizService.generateMorseAudio(quiz.id, question.id, morseSettings(), quiz.version))) {
+      setMorse(prev => ({ ...prev, text: '' }));
+      setPreviewUrl(null);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      save(() => quizService.uploadQuestionAudio(quiz.id, question.id, file, quiz.version));
+    }
+  };
+
+  return (
+    <div className="mb-3">
+      <Form.Label>
+        {isThai ? 'เสียงประกอบคำถาม' : 'Question audio'}
+        <small className="text-muted ms-2">
+          {isThai ? '(สำหรับข้อสอบฟัง เช่น สัญญาณมอร์สหรือการติดต่อทางวิทยุ)' : '(for listening items such as Morse signals or radio procedure)'}
+        </small>
+      </Form.Label>
+
+      {question.audio && (
+        <div className="d-flex align-items-center gap-2 mb-2">
+          <QuestionAudio audio={question.audio} className="d-block" />
+          <Button variant="outline-danger" size="sm" onClick={() => save(() => quizService.removeQuestionAudio(quiz.id, question.id, quiz.version))} disabled={busy}>
+            {isThai ? 'ลบเสียง' : 'Remove audio'}
+          </Button>
+        </div>
+      )}
+
+      <Form.Control
+        type="file"
+        size="sm"
+        accept={AUDIO_TYPES}
+        onChange={handleFileChange}
+        disabled={busy}
+        aria-label={isThai ? 'อัปโหลดไฟล์เสียง' : 'Upload an audio file'}
+        className="mb-2"
+      />
+
+      <div className="border rounded p-2">
+        <small className="text-muted d-block mb-2">
+          {isThai
+            ? 'หรือสร้างเสียงรหัสมอร์สจากข้อความ (ตัวอักษรอังกฤษ ตัวเลข เครื่องหมาย และ prosign เช่น <AR>)'
+            : 'Or generate Morse code audio from text (letters, digits, punctuation and prosigns such as <AR>)'}
+        </small>
+        {previewError && <Alert variant="danger" className="py-1 small" dismissible onClose={() => setPreviewError(null)}>{previewError}</Alert>}
+        <Row className="g-2 align-items-end">
+          <Col md={6}>
+            <Form.Control
+              size="sm"
+              value={morse.text}
+              onChange={(e) => updateMorse('text', e.target.value)}
+              maxLength={MORSE_LIMITS.maxLength}
+              placeholder={isThai ? 'ข้อความ เช่น CQ CQ DE HS1AB' : 'Text, e.g. CQ CQ DE HS1AB'}
+              disabled={busy}
+            />
+          </Col>
+          <Col xs={6} md={3}>
+            <Form.Label className="small mb-0">{isThai ? 'ความเร็ว (WPM)' : 'Speed (WPM)'}</Form.Label>
+            <Form.Control
+              size="sm"
+              type="number"
+              min={MORSE_LIMITS.minWpm}
+              max={MORSE_LIMITS.maxWpm}
+              value={morse.wpm}
+              onChange={(e) => updateMorse('wpm', e.target.value)}
+              disabled={busy}
+            />
+          </Col>
+          <Col xs={6} md={3}>
+            <Form.Label className="small mb-0">{isThai ? 'ความถี่เสียง (Hz)' : 'Tone (Hz)'}</Form.Label>
+            <Form.Control
+              size="sm"
+              type="number"
+              min={MORSE_LIMITS.minTone}
+              max={MORSE_LIMITS.maxTone}
+              step={50}
+              value={morse.tone}
+              onChange={(e) => updateMorse('tone', e.target.value)}
+              disabled={busy}
+            />
+          </Col>
+        </Row>
+        <div className="d-flex flex-wrap align-items-center gap-2 mt-2">
+          <Button variant="outline-secondary" size="sm" onClick={handlePreview} disabled={busy || previewing || !morse.text.trim()}>
+            {previewing ? (isThai ? 'กำลังสร้าง...' : 'Generating...') : (isThai ? 'ฟังตัวอย่าง' : 'Preview')}
+          </Button>
+          <Button variant="outline-primary" size="sm" onClick={handleAttachMorse} disabled={busy || !morse.text.trim()}>
+            {question.audio
+              ? (isThai ? 'แทนที่เสียงด้วยมอร์ส' : 'Replace audio with Morse')
+              : (isThai ? 'แนบเสียงมอร์ส' : 'Attach Morse audio')}
+          </Button>
+          {previewUrl && <audio controls autoPlay src={previewUrl} style={{ maxWidth: '100%' }} />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionAudioEditor;
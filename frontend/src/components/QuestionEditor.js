@@ -0,0 +1,307 @@
+import React, { useState } from 'react';
+import { Form, Button, Row, Col, InputGroup, Alert } from 'react-bootstrap';
+import { quizService } from '../services/api';
+import { getOptionLabel, hasOptions } from '../utils/questionTypes';
+import { DIFFICULTY_LEVELS, BLOOM_LEVELS } from '../utils/questionLevels';
+import { ANSWER_FIELDS, isSingleAnswer, answersToText, textToAnswers, isStaleEdit, staleEditMessage } from '../utils/questionEditing';
+import { IMAGE_TYPES } from '../utils/questionMedia';
+import QuestionImage from './QuestionImage';
+import QuestionAudioEditor from './QuestionAudioEditor';
+import MathPreview from './MathPreview';
+
+// Edit one saved question in place; every change is saved on its own and returns the updated question.
+// Changes are based on quiz.version; when someone else changed the quiz first, onStale reloads it and the form keeps its text
+const QuestionEditor = ({ quiz, question, type, onSaved, onClose, onStale }) => {
+  const [form, setForm] = useState({
+    questionText: question.questionText,
+    explanation: question.explanation || '',
+    difficulty: question.difficulty || '',
+    bloomLevel: question.bloomLevel || '',
+    answerText: answersToText(question, type)
+  });
+  const [newOption, setNewOption] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isThai = quiz.language !== 'english';
+  const answerField = ANSWER_FIELDS[type];
+
+  // Run one edit request and hand the returned question to the page
+  const save = async (request) => {
+    try {
+      setBusy(true);
+      setError(null);
+
+      const response = await request();
+      onSaved(response.data.question, response.data.version);
+      return true;
+    } catch (err) {
+      if (isStaleEdit(err)) {
+        setError(staleEditMessage(isThai));
+        onStale();
+        return false;
+      }
+      setError(err.errors?.[0]?.msg || err.message || (isThai ? 'ไม่สามารถบันทึกการแก้ไขได้' : 'Failed to save the change'));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Only the fields that differ from the saved question are sent
+  const handleSaveQuestion = async (e) => {
+    e.preventDefault();
+
+    const fields = {};
+    if (form.questionText.trim() !== question.questionText) fields.questionText = form.questionText.trim();
+    if (form.explanation !== (question.explanation || '')) fields.explanation = form.explanation;
+    if (form.difficulty !== (question.difficulty || '')) fields.difficulty = form.difficulty || null;
+    if (form.bloomLevel !== (question.bloomLevel || '')) fields.bloomLevel = form.bloomLevel || null;
+    if (answerField && form.answerText !== answersToText(question, type)) {
+      fields[answerField] = textToAnswers(form.answerText, type);
+    }
+
+    if (Object.keys(fields).length === 0) {
+      onClose();
+      return;
+    }
+
+    if (await save(() => quizService.updateQuestion(quiz.id, question.id, fields, quiz.version))) {
+      onClose();
+    }
+  };
+
+  const handleOptionBlur = (option, text) => {
+    if (text.trim() && text.trim() !== option.text) {
+      save(() => quizService.updateOption(quiz.id, question.id, option.id, { text: text.trim() }, quiz.version));
+    }
+  };
+
+  const moveOption = (index, offset) => {
+    const ids = question.options.map(option => option.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    save(() => quizService.reorderOptions(quiz.id, question.id, ids, quiz.version));
+  };
+
+  // Upload a picked image for the stem, or for an option when optionId is given
+  const handleImageChange = (e, optionId = null) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      save(() => quizService.uploadQuestionImage(quiz.id, question.id, file, optionId, quiz.version));
+    }
+  };
+
+  const handleRemoveImage = (optionId = null) => {
+    save(() => quizService.removeQuestionImage(quiz.id, question.id, optionId, quiz.version));
+  };
+
+  const handleAddOption = async () => {
+    if (!newOption.trim()) return;
+    if (await save(() => quizService.addOption(quiz.id, question.id, { text: newOption.trim(), isCorrect: false }, quiz.version))) {
+      setNewOption('');
+    }
+  };
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <Form onSubmit={handleSaveQuestion}>
+      {error && <Alert variant="danger" dismissible onClose={() => setError(null)}>{error}</Alert>}
+
+      <Form.Group className="mb-3" controlId={`questionText-${question.id}`}>
+        <Form.Label>
+          {isThai ? 'คำถาม' : 'Question'}
+          <small className="text-muted ms-2">
+            {isThai ? '(เขียนสูตรด้วย LaTeX เช่น $V = I \\times R$ หรือ $$...$$ แยกบรรทัด)' : '(write formulas in LaTeX, e.g. $V = I \\times R$, or $$...$$ on their own line)'}
+          </small>
+        </Form.Label>
+        <Form.Control
+          as="textarea"
+          rows={3}
+          value={form.questionText}
+          onChange={(e) => updateForm('questionText', e.target.value)}
+          required
+          disabled={busy}
+        />
+        <MathPreview text={form.questionText} isThai={isThai} />
+      </Form.Group>
+
+      <Form.Group className="mb-3" controlId={`questionImage-${question.id}`}>
+        <Form.Label>
+          {isThai ? 'รูปภาพประกอบคำถาม' : 'Question image'}
+          <small className="text-muted ms-2">
+            {isThai ? '(เช่น แผนผังการต่อสาย หรือภาพหน้าเครื่อง)' : '(e.g. a wiring diagram or front-panel photo)'}
+          </small>
+        </Form.Label>
+        {question.image && (
+          <div className="d-flex align-items-start gap-2 mb-2">
+            <QuestionImage image={question.image} alt={question.questionText} maxHeight={200} className="d-block" />
+            <Button variant="outline-danger" size="sm" onClick={() => handleRemoveImage()} disabled={busy}>
+              {isThai ? 'ลบรูปภาพ' : 'Remove image'}
+            </Button>
+          </div>
+        )}
+        <Form.Control type="file" size="sm" accept={IMAGE_TYPES} onChange={(e) => handleImageChange(e)} disabled={busy} />
+      </Form.Group>
+
+      <QuestionAudioEditor quiz={quiz} question={question} save={save} busy={busy} isThai={isThai} />
+
+      {hasOptions(type) && (
+        <div className="mb-3">
+          <Form.Label>
+            {isThai ? 'ตัวเลือก' : 'Options'}
+            <small className="text-muted ms-2">
+              {isThai ? '(แก้ข้อความแล้วคลิกที่อื่นเพื่อบันทึก)' : '(edit a text and click elsewhere to save it)'}
+            </small>
+          </Form.Label>
+          {question.options.map((option, index) => (
+            <div key={option.id} className="mb-1">
+              <InputGroup size="sm">
+                <InputGroup.Text>
+                  <Form.Check
+                    type={isSingleAnswer(type) ? 'radio' : 'checkbox'}
+                    name={`correct-${question.id}`}
+                    checked={option.isCorrect}
+                    onChange={(e) => save(() => quizService.updateOption(quiz.id, question.id, option.id, { isCorrect: e.target.checked }, quiz.version))}
+                    disabled={busy}
+                    title={isThai ? 'คำตอบที่ถูก' : 'Correct answer'}
+                    aria-label={isThai ? 'คำตอบที่ถูก' : 'Correct answer'}
+                  />
+                  <span className="ms-2">{getOptionLabel(index)}.</span>
+                </InputGroup.Text>
+                <Form.Control
+                  key={`${option.id}-${option.text}`}
+                  defaultValue={option.text}
+                  onBlur={(e) => handleOptionBlur(option, e.target.value)}
+                  disabled={busy}
+                />
+                <Button variant="outline-secondary" onClick={() => moveOption(index, -1)} disabled={busy || index === 0} title={isThai ? 'เลื่อนขึ้น' : 'Move up'}>↑</Button>
+                <Button variant="outline-secondary" onClick={() => moveOption(index, 1)} disabled={busy || index === question.options.length - 1} title={isThai ? 'เลื่อนลง' : 'Move down'}>↓</Button>
+                {type !== 'True/False' && (
+                  <Button
+                    variant="outline-secondary"
+                    onClick={() => save(() => quizService.duplicateOption(quiz.id, question.id, option.id, quiz.version))}
+                    disabled={busy}
+                    title={isThai ? 'ทำสำเนาเป็นตัวเลือกที่ผิด' : 'Copy as a wrong option'}
+                  >
+                    ⧉
+                  </Button>
+                )}
+                <Button
+                  as="label"
+                  htmlFor={`optionImage-${option.id}`}
+                  variant="outline-secondary"
+                  className={`mb-0${busy ? ' disabled' : ''}`}
+                  title={option.image ? (isThai ? 'เปลี่ยนรูปภาพ' : 'Replace image') : (isThai ? 'เพิ่มรูปภาพ' : 'Add image')}
+                >
+                  🖼
+                </Button>
+                <Button
+                  variant="outline-danger"
+                  onClick={() => save(() => quizService.deleteOption(quiz.id, question.id, option.id, quiz.version))}
+                  disabled={busy || question.options.length <= 2}
+                  title={isThai ? 'ลบตัวเลือก' : 'Delete option'}
+                >
+                  ×
+                </Button>
+              </InputGroup>
+              <input
+                id={`optionImage-${option.id}`}
+                type="file"
+                accept={IMAGE_TYPES}
+                className="d-none"
+                onChange={(e) => handleImageChange(e, option.id)}
+                disabled={busy}
+              />
+              <MathPreview text={option.text} isThai={isThai} className="ms-5 mt-1" />
+              {option.image && (
+                <div className="d-flex align-items-start gap-2 ms-5 mt-1">
+                  <QuestionImage image={option.image} alt={option.text} maxHeight={120} className="d-block" />
+                  <Button variant="link" size="sm" className="p-0 text-danger" onClick={() => handleRemoveImage(option.id)} disabled={busy}>
+                    {isThai ? 'ลบรูปภาพ' : 'Remove image'}
+                  </Button>
+                </div>
+              )}
+            </div>
+          ))}
+          {type !== 'True/False' && (
+            <InputGroup size="sm" className="mt-2">
+              <Form.Control
+                value={newOption}
+                onChange={(e) => setNewOption(e.target.value)}
+                placeholder={isThai ? 'ตัวเลือกใหม่' : 'New option'}
+                disabled={busy}
+              />
+              <Button variant="outline-primary" onClick={handleAddOption} disabled={busy || !newOption.trim()}>
+                {isThai ? '+ เพิ่มตัวเลือก' : '+ Add option'}
+              </Button>
+            </InputGroup>
+          )}
+        </div>
+      )}
+
+      {answerField && (
+        <Form.Group className="mb-3" controlId={`answers-${question.id}`}>
+          <Form.Label>
+            {answerField === 'pairs'
+              ? (isThai ? 'คู่ที่ถูกต้อง (บรรทัดละคู่ เช่น ซ้าย = ขวา)' : 'Pairs (one per line, e.g. left = right)')
+              : answerField === 'items'
+                ? (isThai ? 'ลำดับที่ถูกต้อง (บรรทัดละรายการ)' : 'Items in the correct order (one per line)')
+                : (isThai ? 'คำตอบที่ยอมรับ (บรรทัดละคำตอบ)' : 'Accepted answers (one per line)')}
+          </Form.Label>
+          <Form.Control
+            as="textarea"
+            rows={4}
+            value={form.answerText}
+            onChange={(e) => updateForm('answerText', e.target.value)}
+            disabled={busy}
+          />
+          <MathPreview text={form.answerText} isThai={isThai} />
+        </Form.Group>
+      )}
+
+      <Form.Group className="mb-3" controlId={`explanation-${question.id}`}>
+        <Form.Label>{isThai ? 'คำอธิบาย' : 'Explanation'}</Form.Label>
+        <Form.Control
+          as="textarea"
+          rows={2}
+          value={form.explanation}
+          onChange={(e) => updateForm('explanation', e.target.value)}
+          disabled={busy}
+        />
+        <MathPreview text={form.explanation} isThai={isThai} />
+      </Form.Group>
+
+      <Row className="g-2 mb-3">
+        <Col sm={6}>
+          <Form.Select size="sm" value={form.difficulty} onChange={(e) => updateForm('difficulty', e.target.value)} disabled={busy}>
+            <option value="">{isThai ? 'ความยาก: —' : 'Difficulty: —'}</option>
+            {DIFFICULTY_LEVELS.map(level => (
+              <option key={level.value} value={level.value}>{isThai ? level.labelTh : level.label}</option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col sm={6}>
+          <Form.Select size="sm" value={form.bloomLevel} onChange={(e) => updateForm('bloomLevel', e.target.value)} disabled={busy}>
+            <option value="">{isThai ? 'ระดับ Bloom: —' : 'Bloom level: —'}</option>
+            {BLOOM_LEVELS.map(level => (
+              <option key={level.value} value={level.value}>{isThai ? level.labelTh : level.label}</option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+
+      <div className="d-flex justify-content-end gap-2">
+        <Button variant="secondary" size="sm" onClick={onClose} disabled={busy}>
+          {isThai ? 'ปิด' : 'Close'}
+        </Button>
+        <Button variant="primary" size="sm" type="submit" disabled={busy}>
+          {busy ? (isThai ? 'กำลังบันทึก...' : 'Saving...') : (isThai ? 'บันทึกคำถาม' : 'Save question')}
+        </Button>
+      </div>
+    </Form>
+  );
+};
+
+export default QuestionEditor;
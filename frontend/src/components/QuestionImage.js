@@ -0,0 +1,18 @@
+import React from 'react';
+import { mediaUrl } from '../utils/questionMedia';
+
+// Image attached to a question stem or option, such as a wiring diagram or a front-panel photo
+const QuestionImage = ({ image, alt = '', maxHeight = 320, className = 'd-block my-2' }) => {
+  if (!image) return null;
+
+  return (
+    <img
+      src={mediaUrl(image)}
+      alt={alt}
+      className={`img-fluid ${className}`}
+      style={{ maxHeight }}
+    />
+  );
+};
+
+export default QuestionImage;
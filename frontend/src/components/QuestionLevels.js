@@ -0,0 +1,28 @@
+import React from 'react';
+import { Badge } from 'react-bootstrap';
+import { DIFFICULTY_LEVELS, BLOOM_LEVELS, findLevel } from '../utils/questionLevels';
+
+// Difficulty and Bloom's taxonomy badges of a question; nothing for untagged questions
+const QuestionLevels = ({ question, isThai = true }) => {
+  const difficulty = findLevel(DIFFICULTY_LEVELS, question.difficulty);
+  const bloomLevel = findLevel(BLOOM_LEVELS, question.bloomLevel);
+
+  if (!difficulty && !bloomLevel) return null;
+
+  return (
+    <span className="ms-2">
+      {difficulty && (
+        <Badge bg={difficulty.variant} className="me-1 fw-normal">
+          {isThai ? difficulty.labelTh : difficulty.label}
+        </Badge>
+      )}
+      {bloomLevel && (
+        <Badge bg="secondary" className="fw-normal" title="Bloom's taxonomy">
+          {isThai ? `Bloom: ${bloomLevel.labelTh}` : `Bloom: ${bloomLevel.label}`}
+        </Badge>
+      )}
+    </span>
+  );
+};
+
+export default QuestionLevels;
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { Modal, Button, Alert } from 'react-bootstrap';
+import { quizService } from '../services/api';
+import ObjectivePicker from './ObjectivePicker';
+
+// Tag a saved question with learning objectives of one course, replacing its current tags
+const QuestionObjectivesModal = ({ show, onHide, quiz, question, onSaved }) => {
+  const [objectiveIds, setObjectiveIds] = useState(question.objectiveIds || []);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isThai = quiz.language !== 'english';
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await quizService.setQuestionObjectives(quiz.id, question.id, objectiveIds, quiz.version);
+      onSaved(response.data, response.version);
+      onHide();
+    } catch (err) {
+      setError(err.message || (isThai ? 'ไม่สามารถบันทึกวัตถุประสงค์ได้' : 'Failed to save the learning objectives'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={saving ? undefined : onHide} centered>
+      <Modal.Header closeButton={!saving}>
+        <Modal.Title>{isThai ? 'วัตถุประสงค์การเรียนรู้ของข้อสอบ' : 'Learning objectives of the question'}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+        <p className="text-muted small">{question.questionText}</p>
+        <ObjectivePicker
+          value={objectiveIds}
+          onChange={setObjectiveIds}
+          initialCourseId={question.objectives?.[0]?.courseId}
+          disabled={saving}
+        />
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={saving}>
+          {isThai ? 'ยกเลิก' : 'Cancel'}
+        </Button>
+        <Button variant="primary" onClick={handleSave} disabled={saving}>
+          {saving ? (isThai ? 'กำลังบันทึก...' : 'Saving...') : (isThai ? 'บันทึก' : 'Save')}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default QuestionObjectivesModal;
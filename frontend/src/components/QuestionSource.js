@@ -0,0 +1,31 @@
+import React from 'react';
+
+const THAI_UNIT_LABELS = [
+  [/^Pages? /, 'หน้า '],
+  [/^Slides? /, 'สไลด์ ']
+];
+
+// Where in the uploaded document a question came from: page, slide or section and the supporting excerpt
+const QuestionSource = ({ source, isThai = true }) => {
+  if (!source) return null;
+
+  let location = source.section || '';
+  if (isThai) {
+    THAI_UNIT_LABELS.forEach(([pattern, label]) => {
+      location = location.replace(pattern, label);
+    });
+  }
+
+  return (
+    <div className="mt-3 border-start border-3 border-info ps-3">
+      <small className="text-muted d-block mb-1">
+        {isThai ? 'ที่มา:' : 'Source:'} {location}
+      </small>
+      {source.excerpt && (
+        <blockquote className="mb-0 fst-italic small">“{source.excerpt}”</blockquote>
+      )}
+    </div>
+  );
+};
+
+export default QuestionSource;
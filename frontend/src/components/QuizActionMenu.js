@@ -1,12 +1,16 @@
 import React, { useState } from 'react';
 import { Dropdown, Modal, Button, Form } from 'react-bootstrap';
 import { quizService } from '../services/api';
+import { LANGUAGE_LABELS, availableLanguages, quizLanguage } from '../utils/quizLanguages';
 
 const QuizActionMenu = ({ quiz, onRenameSuccess, onDeleteSuccess, onMoveSuccess, language = 'thai' }) => {
     // State for modals
     const [showRenameModal, setShowRenameModal] = useState(false);
     const [showMoveModal, setShowMoveModal] = useState(false);
     const [showDeleteModal, setShowDeleteModal] = useState(false);
+    const [showExportModal, setShowExportModal] = useState(false);
+    const [exportFormat, setExportFormat] = useState('text');
+    const [exportLanguage, setExportLanguage] = useState(null);
 
     // State for inputs
     const [newTitle, setNewTitle] = useState(quiz?.title || '');
@@ -106,9 +110,33 @@ const QuizActionMenu = ({ quiz, onRenameSuccess, onDeleteSuccess, onMoveSuccess,
     };
 
     // Handle export
-    const handleExport = () => {
-        // Open a dropdown or directly export in a format
-        quizService.exportQuizToText(quiz.id);
+    const openExportModal = () => {
+        setExportLanguage(quizLanguage(quiz));
+        setError(null);
+        setShowExportModal(true);
+    };
+
+    const handleExport = async () => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const response = await quizService.exportQuiz(quiz.id, exportFormat, exportLanguage);
+
+            // Download the file under the quiz title
+            const url = window.URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${quiz.title}${exportLanguage === quizLanguage(quiz) ? '' : `_${exportLanguage}`}.txt`;
+            link.click();
+            window.URL.revokeObjectURL(url);
+
+            setShowExportModal(false);
+        } catch (error) {
+            setError(error.message || 'Failed to export quiz');
+        } finally {
+            setLoading(false);
+        }
     };
 
 
@@ -121,6 +149,11 @@ const QuizActionMenu = ({ quiz, onRenameSuccess, onDeleteSuccess, onMoveSuccess,
         move: language === 'thai' ? 'ย้าย / คัดลอก' : 'Move / Copy',
         delete: language === 'thai' ? 'ลบ' : 'Delete',
         export: language === 'thai' ? 'ส่งออก' : 'Export',
+        exportQuiz: language === 'thai' ? 'ส่งออกข้อสอบ' : 'Export quiz',
+        exportFormat: language === 'thai' ? 'รูปแบบไฟล์' : 'File format',
+        exportLanguage: language === 'thai' ? 'ภาษา' : 'Language',
+        formatText: language === 'thai' ? 'ข้อความ (.txt)' : 'Plain text (.txt)',
+        formatMoodle: 'Moodle (GIFT)',
         cancel: language === 'thai' ? 'ยกเลิก' : 'Cancel',
         save: language === 'thai' ? 'บันทึก' : 'Save',
         moveFile: language === 'thai' ? 'ย้ายไฟล์' : 'Move file',
@@ -144,7 +177,7 @@ const QuizActionMenu = ({ quiz, onRenameSuccess, onDeleteSuccess, onMoveSuccess,
             <Button
                 variant="outline-secondary"
                 className="me-2 d-flex align-items-center"
-                onClick={handleExport}
+                onClick={openExportModal}
             >
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16" className="me-2">
                     <path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z" />
@@ -221,6 +254,52 @@ const QuizActionMenu = ({ quiz, onRenameSuccess, onDeleteSuccess, onMoveSuccess,
                 </Modal.Footer>
             </Modal>
 
+            {/* Export Modal */}
+            <Modal show={showExportModal} onHide={() => setShowExportModal(false)} centered>
+                <Modal.Header closeButton>
+                    <Modal.Title>{text.exportQuiz}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    {error && <div className="alert alert-danger">{error}</div>}
+
+                    <Form.Group className="mb-3">
+                        <Form.Label>{text.exportFormat}</Form.Label>
+                        <Form.Select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+                            <option value="text">{text.formatText}</option>
+                            <option value="moodle">{text.formatMoodle}</option>
+                        </Form.Select>
+                    </Form.Group>
+
+                    {availableLanguages(quiz).length > 1 && (
+                        <Form.Group>
+                            <Form.Label>{text.exportLanguage}</Form.Label>
+                            <Form.Select value={exportLanguage || ''} onChange={(e) => setExportLanguage(e.target.value)}>
+                                {availableLanguages(quiz).map(value => (
+                                    <option key={value} value={value}>{LANGUAGE_LABELS[value]}</option>
+                                ))}
+                            </Form.Select>
+                        </Form.Group>
+                    )}
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="secondary" onClick={() => setShowExportModal(false)}>
+                        {text.cancel}
+                    </Button>
+                    <Button
+                        variant="primary"
+                        onClick={handleExport}
+                        disabled={loading}
+                    >
+                        {loading ? (
+                            <span className="d-flex align-items-center">
+                                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                                {text.export}...
+                            </span>
+                        ) : text.export}
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+
             {/* Move Modal */}
             <Modal show={showMoveModal} onHide={() => setShowMoveModal(false)} centered>
                 <Modal.Header closeButton>
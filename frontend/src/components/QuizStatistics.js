@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { Card, Row, Col, ProgressBar } from 'react-bootstrap';
 import { quizService } from '../services/api';
+import { getQuestionType } from '../utils/questionTypes';
+import { BLOOM_LEVELS } from '../utils/questionLevels';
 
 const QuizStatistics = ({ quizId }) => {
     const [stats, setStats] = useState({
@@ -38,8 +40,13 @@ const QuizStatistics = ({ quizId }) => {
                         c: 0,
                         d: 0
                     };
+                    let multipleChoiceCount = 0;
 
-                    // Simple algorithm to estimate question difficulty
+                    // Difficulty and Bloom levels stored with the questions
+                    let taggedCount = 0;
+                    const bloomDist = Object.fromEntries(BLOOM_LEVELS.map(level => [level.value, 0]));
+
+                    // Simple algorithm to estimate the difficulty of untagged questions
                     quiz.questions.forEach(question => {
                         // Explanation length analysis
                         const expLength = question.explanation ? question.explanation.length : 0;
@@ -47,8 +54,12 @@ const QuizStatistics = ({ quizId }) => {
                         maxExplanationLength = Math.max(maxExplanationLength, expLength);
                         minExplanationLength = Math.min(minExplanationLength, expLength);
 
+                        let estimatedDifficulty;
+
                         // For multiple choice, analyze correct answers
-                        if (quiz.question_type === 'Multiple Choice' && question.options) {
+                        if (getQuestionType(question, quiz.question_type) === 'Multiple Choice' && question.options) {
+                            multipleChoiceCount++;
+
                             // Find the correct option
                             const correctOptionIndex = question.options.findIndex(opt => opt.isCorrect);
                             if (correctOptionIndex >= 0) {
@@ -61,25 +72,37 @@ const QuizStatistics = ({ quizId }) => {
                             const avgOptionLength = question.options.reduce((sum, opt) => sum + opt.text.length, 0) / question.options.length;
 
                             if (questionLength > 150 || avgOptionLength > 50) {
-                                difficultyDist.hard++;
+                                estimatedDifficulty = 'hard';
                             } else if (questionLength > 80 || avgOptionLength > 25) {
-                                difficultyDist.medium++;
+                                estimatedDifficulty = 'medium';
                             } else {
-                                difficultyDist.easy++;
+                                estimatedDifficulty = 'easy';
                             }
                         } else {
-                            // Essay questions - estimate by complexity
+                            // Other question types - estimate by complexity
                             const questionLength = question.questionText.length;
                             const explanationLength = question.explanation ? question.explanation.length : 0;
 
                             if (questionLength > 200 || explanationLength > 300) {
-                                difficultyDist.hard++;
+                                estimatedDifficulty = 'hard';
                             } else if (questionLength > 100 || explanationLength > 150) {
-                                difficultyDist.medium++;
+                                estimatedDifficulty = 'medium';
                             } else {
-                                difficultyDist.easy++;
+                                estimatedDifficulty = 'easy';
                             }
                         }
+
+                        // Prefer the difficulty the question was tagged with
+                        if (difficultyDist[question.difficulty] !== undefined) {
+                            difficultyDist[question.difficulty]++;
+                            taggedCount++;
+                        } else {
+                            difficultyDist[estimatedDifficulty]++;
+                        }
+
+                        if (bloomDist[question.bloomLevel] !== undefined) {
+                            bloomDist[question.bloomLevel]++;
+                        }
                     });
 
                     // Calculate averages
@@ -93,12 +116,15 @@ const QuizStatistics = ({ quizId }) => {
                             totalQuestions: quiz.questions.length,
                             questionType: quiz.question_type,
                             difficultyDistribution: difficultyDist,
+                            difficultyIsEstimated: taggedCount < quiz.questions.length,
+                            bloomDistribution: bloomDist,
                             explanationStats: {
                                 average: avgExplanationLength,
                                 max: maxExplanationLength,
                                 min: minExplanationLength === Infinity ? 0 : minExplanationLength
                             },
                             optionsDistribution: optionsDist,
+                            multipleChoiceCount,
                             createdAt: new Date(quiz.created_at),
                             topic: quiz.topic,
                             studentLevel: quiz.student_level || 'Not specified'
@@ -139,14 +165,14 @@ const QuizStatistics = ({ quizId }) => {
 
     // Calculate option percentages
     const optionPercentages = useMemo(() => {
-        if (!stats.data || stats.data.questionType !== 'Multiple Choice') return null;
+        if (!stats.data || !stats.data.multipleChoiceCount) return null;
 
-        const { optionsDistribution, totalQuestions } = stats.data;
+        const { optionsDistribution, multipleChoiceCount } = stats.data;
         return {
-            a: (optionsDistribution.a / totalQuestions) * 100,
-            b: (optionsDistribution.b / totalQuestions) * 100,
-            c: (optionsDistribution.c / totalQuestions) * 100,
-            d: (optionsDistribution.d / totalQuestions) * 100
+            a: (optionsDistribution.a / multipleChoiceCount) * 100,
+            b: (optionsDistribution.b / multipleChoiceCount) * 100,
+            c: (optionsDistribution.c / multipleChoiceCount) * 100,
+            d: (optionsDistribution.d / multipleChoiceCount) * 100
         };
     }, [stats.data]);
 
@@ -223,7 +249,7 @@ const QuizStatistics = ({ quizId }) => {
                     <Col md={6}>
                         <Card className="h-100 border-0 bg-light">
                             <Card.Body>
-                                <h6 className="mb-3">Estimated Difficulty Distribution</h6>
+                                <h6 className="mb-3">{data.difficultyIsEstimated ? 'Estimated Difficulty Distribution' : 'Difficulty Distribution'}</h6>
                                 <div className="mb-3">
                                     <div className="d-flex justify-content-between mb-1">
                                         <span>Easy</span>
@@ -265,6 +291,30 @@ const QuizStatistics = ({ quizId }) => {
                         </Card>
                     </Col>
 
+                    {/* Bloom's Taxonomy Distribution */}
+                    {Object.values(data.bloomDistribution).some(count => count > 0) && (
+                        <Col md={6}>
+                            <Card className="h-100 border-0 bg-light">
+                                <Card.Body>
+                                    <h6 className="mb-3">Bloom's Taxonomy Distribution</h6>
+                                    {BLOOM_LEVELS.map(level => (
+                                        <div key={level.value} className="mb-2">
+                                            <div className="d-flex justify-content-between mb-1">
+                                                <span>{level.label}</span>
+                                                <span>{data.bloomDistribution[level.value]} questions ({((data.bloomDistribution[level.value] / data.totalQuestions) * 100).toFixed(1)}%)</span>
+                                            </div>
+                                            <ProgressBar
+                                                now={(data.bloomDistribution[level.value] / data.totalQuestions) * 100}
+                                                variant="info"
+                                                style={{ height: '12px' }}
+                                            />
+                                        </div>
+                                    ))}
+                                </Card.Body>
+                            </Card>
+                        </Col>
+                    )}
+
                     {/* Explanation Analysis */}
                     <Col md={6}>
                         <Card className="h-100 border-0 bg-light">
@@ -286,7 +336,7 @@ const QuizStatistics = ({ quizId }) => {
                     </Col>
 
                     {/* Option Distribution (for Multiple Choice) */}
-                    {data.questionType === 'Multiple Choice' && (
+                    {data.multipleChoiceCount > 0 && (
                         <Col md={6}>
                             <Card className="h-100 border-0 bg-light">
                                 <Card.Body>
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { Alert, ProgressBar, Spinner, Table } from 'react-bootstrap';
+import { userService } from '../services/api';
+
+const QUOTA_LABELS = {
+  aiGeneration: 'AI generations',
+  quiz: 'Saved quizzes',
+  storage: 'Uploads'
+};
+
+const formatAmount = (type, value) => (type === 'storage'
+  ? `${(value / (1024 * 1024)).toFixed(1)} MB`
+  : String(value));
+
+// One row per quota type with a bar that turns amber and red as the limit gets close
+const QuotaRows = ({ usage }) => (
+  <Table borderless size="sm" className="align-middle mb-0">
+    <tbody>
+      {Object.entries(QUOTA_LABELS).map(([type, label]) => {
+        const { limit, used, remaining } = usage[type];
+        const percent = limit ? Math.min(Math.round((used / limit) * 100), 100) : 0;
+
+        return (
+          <tr key={type}>
+            <td style={{ width: '25%' }}>{label}</td>
+            <td>
+              {limit === null ? (
+                <span className="text-muted small">Unlimited</span>
+              ) : (
+                <ProgressBar
+                  now={percent}
+                  variant={percent >= 90 ? 'danger' : percent >= 70 ? 'warning' : 'primary'}
+                  style={{ height: '8px' }}
+                />
+              )}
+            </td>
+            <td className="text-end small text-nowrap" style={{ width: '35%' }}>
+              {limit === null
+                ? `${formatAmount(type, used)} used`
+                : `${formatAmount(type, remaining)} left of ${formatAmount(type, limit)}`}
+            </td>
+          </tr>
+        );
+      })}
+    </tbody>
+  </Table>
+);
+
+// Monthly quota usage of the current user and their schools
+const QuotaUsage = () => {
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchUsage = async () => {
+      try {
+        const response = await userService.getQuotaUsage();
+        setUsage(response.data);
+      } catch (err) {
+        setError(err.message || 'ไม่สามารถโหลดข้อมูลโควตาได้');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUsage();
+  }, []);
+
+  if (loading) {
+    return <div className="text-center py-4"><Spinner animation="border" size="sm" /></div>;
+  }
+
+  if (error) {
+    return <Alert variant="danger">{error}</Alert>;
+  }
+
+  return (
+    <div>
+      <p className="text-muted">
+        Usage this month. Counters reset on {new Date(usage.resetDate).toLocaleDateString()}.
+      </p>
+
+      <h6 className="mt-4">My quota</h6>
+      <QuotaRows usage={usage.user} />
+
+      {usage.schools.map(school => (
+        <div key={school.schoolId}>
+          <h6 className="mt-4">{school.schoolName} <span className="text-muted small fw-normal">(shared by all members)</span></h6>
+          <QuotaRows usage={school} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default QuotaUsage;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, ListGroup, Badge, Button, ProgressBar, Spinner } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { jobService } from '../services/api';
+import { useQuizContext } from '../context/QuizContext';
+
+const STATUS_LABELS = {
+  queued: { text: 'รอคิว', variant: 'secondary' },
+  running: { text: 'กำลังสร้าง', variant: 'primary' },
+  completed: { text: 'เสร็จสิ้น', variant: 'success' },
+  failed: { text: 'ล้มเหลว', variant: 'danger' },
+  cancelled: { text: 'ยกเลิกแล้ว', variant: 'light' }
+};
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Shows the teacher's latest background generation jobs on the dashboard
+const RecentGenerationJobs = ({ limit = 5 }) => {
+  const navigate = useNavigate();
+  const { setGeneratedQuiz } = useQuizContext();
+
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyJobId, setBusyJobId] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await jobService.getRecentJobs(limit);
+      if (response.success) {
+        setJobs(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching generation jobs:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [limit]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  // Refresh while any job is still waiting or running
+  const hasActiveJobs = jobs.some(job => ACTIVE_STATUSES.includes(job.status));
+  useEffect(() => {
+    if (!hasActiveJobs) return undefined;
+
+    const interval = setInterval(fetchJobs, 5000);
+    return () => clearInterval(interval);
+  }, [hasActiveJobs, fetchJobs]);
+
+  const handleOpen = async (job) => {
+    try {
+      setBusyJobId(job.id);
+      const response = await jobService.getJobResult(job.id);
+
+      if (response.success) {
+        setGeneratedQuiz(response.data);
+        navigate('/result');
+      }
+    } catch (error) {
+      console.error('Error opening generation result:', error);
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  const handleCancel = async (job) => {
+    try {
+      setBusyJobId(job.id);
+      await jobService.cancelJob(job.id);
+      await fetchJobs();
+    } catch (error) {
+      console.error('Error cancelling generation job:', error);
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  if (!loading && jobs.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="mb-5 border-0 shadow-sm">
+      <Card.Header className="bg-white">
+        <h5 className="mb-0">งานสร้างข้อสอบล่าสุด</h5>
+      </Card.Header>
+
+      {loading ? (
+        <Card.Body className="text-center">
+          <Spinner animation="border" size="sm" />
+        </Card.Body>
+      ) : (
+        <ListGroup variant="flush">
+          {jobs.map(job => {
+            const status = STATUS_LABELS[job.status] || STATUS_LABELS.queued;
+
+            return (
+              <ListGroup.Item key={job.id} className="d-flex align-items-center gap-3">
+                <div className="flex-grow-1">
+                  <div className="fw-semibold">{job.title || `#${job.id}`}</div>
+                  <small className="text-muted">
+                    {job.questionType} | {job.numberOfQuestions} ข้อ | {new Date(job.createdAt).toLocaleString('th-TH')}
+                  </small>
+                  {job.status === 'running' && (
+                    <ProgressBar now={job.progress} animated className="mt-1" style={{ height: '6px' }} />
+                  )}
+                  {job.status === 'failed' && job.error && (
+                    <div><small className="text-danger">{job.error}</small></div>
+                  )}
+                </div>
+
+                <Badge bg={status.variant} text={status.variant === 'light' ? 'dark' : undefined}>
+                  {status.text}
+                </Badge>
+
+                {job.status === 'completed' && (
+                  <Button size="sm" variant="outline-success" disabled={busyJobId === job.id} onClick={() => handleOpen(job)}>
+                    เปิดข้อสอบ
+                  </Button>
+                )}
+                {ACTIVE_STATUSES.includes(job.status) && (
+                  <Button size="sm" variant="outline-danger" disabled={busyJobId === job.id} onClick={() => handleCancel(job)}>
+                    ยกเลิก
+                  </Button>
+                )}
+              </ListGroup.Item>
+            );
+          })}
+        </ListGroup>
+      )}
+    </Card>
+  );
+};
+
+export default RecentGenerationJobs;
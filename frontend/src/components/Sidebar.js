@@ -283,6 +283,43 @@ const Sidebar = () => {
               </div>
             </Nav.Item>
 
+            {/* Question Bank Link */}
+            <Nav.Item>
+              <Link
+                to="/bank"
+                className={`nav-link py-3 px-4 d-flex align-items-center ${location.pathname === '/bank' ? 'bg-light rounded-0' : 'text-secondary'}`}
+                onClick={handleLinkClick}
+              >
+                <span className="me-3" style={{ width: '24px', textAlign: 'center' }}>
+                  {/* Stacked boxes icon */}
+                  <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 16 16">
+                    <path d="M0 2a1 1 0 0 1 1-1h14a1 1 0 0 1 1 1v2a1 1 0 0 1-1 1v7.5a2.5 2.5 0 0 1-2.5 2.5h-9A2.5 2.5 0 0 1 1 12.5V5a1 1 0 0 1-1-1V2zm2 3v7.5A1.5 1.5 0 0 0 3.5 14h9a1.5 1.5 0 0 0 1.5-1.5V5H2zm13-3H1v2h14V2zM5 7.5a.5.5 0 0 1 .5-.5h5a.5.5 0 0 1 0 1h-5a.5.5 0 0 1-.5-.5z" />
+                  </svg>
+                </span>
+                <span className="fw-medium">Question Bank</span>
+              </Link>
+            </Nav.Item>
+
+            {/* Courses & Learning Objectives Link */}
+            <Nav.Item>
+              <Link
+                to="/objectives"
+                className={`nav-link py-3 px-4 d-flex align-items-center ${location.pathname === '/objectives' ? 'bg-light rounded-0' : 'text-secondary'}`}
+                onClick={handleLinkClick}
+              >
+                <span className="me-3" style={{ width: '24px', textAlign: 'center' }}>
+                  {/* Target icon */}
+                  <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 16 16">
+                    <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z" />
+                    <path d="M8 13A5 5 0 1 1 8 3a5 5 0 0 1 0 10zm0 1A6 6 0 1 0 8 2a6 6 0 0 0 0 12z" />
+                    <path d="M8 11a3 3 0 1 1 0-6 3 3 0 0 1 0 6zm0 1a4 4 0 1 0 0-8 4 4 0 0 0 0 8z" />
+                    <path d="M9.5 8a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0z" />
+                  </svg>
+                </span>
+                <span className="fw-medium">Objectives</span>
+              </Link>
+            </Nav.Item>
+
             {/* Account Link */}
             <Nav.Item>
               <Link
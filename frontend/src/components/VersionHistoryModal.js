@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Modal, Button, Alert, Form, Table, Badge, Spinner, Row, Col } from 'react-bootstrap';
+import { quizService } from '../services/api';
+import QuestionAnswers from './QuestionAnswers';
+import QuestionImage from './QuestionImage';
+import QuestionAudio from './QuestionAudio';
+import MathText from './MathText';
+
+// Row colours and labels of the diff, by status
+const STATUS_STYLES = {
+  added: { rowClass: 'table-success', variant: 'success', th: 'เพิ่ม', en: 'Added' },
+  removed: { rowClass: 'table-danger', variant: 'danger', th: 'ลบ', en: 'Removed' },
+  changed: { rowClass: 'table-warning', variant: 'warning', th: 'แก้ไข', en: 'Changed' },
+  unchanged: { rowClass: '', variant: 'secondary', th: 'เหมือนเดิม', en: 'Unchanged' }
+};
+
+const FIELD_LABELS = {
+  questionType: { th: 'ประเภท', en: 'type' },
+  questionText: { th: 'คำถาม', en: 'question' },
+  image: { th: 'รูปภาพ', en: 'image' },
+  audio: { th: 'เสียง', en: 'audio' },
+  options: { th: 'ตัวเลือก', en: 'options' },
+  pairs: { th: 'คู่จับคู่', en: 'pairs' },
+  items: { th: 'ลำดับ', en: 'order' },
+  answers: { th: 'คำตอบ', en: 'answers' },
+  explanation: { th: 'คำอธิบาย', en: 'explanation' },
+  difficulty: { th: 'ความยาก', en: 'difficulty' },
+  bloomLevel: { th: 'ระดับ Bloom', en: 'Bloom level' },
+  objectiveIds: { th: 'วัตถุประสงค์', en: 'objectives' }
+};
+
+// One side of a diff row: the question as it was in that version
+const VersionQuestion = ({ number, question, isThai }) => {
+  if (!question) {
+    return <span className="text-muted">—</span>;
+  }
+
+  return (
+    <>
+      <p className="mb-2"><strong>{number}.</strong> <MathText text={question.questionText} /></p>
+      <QuestionImage image={question.image} alt={question.questionText} maxHeight={160} />
+      <QuestionAudio audio={question.audio} />
+      <QuestionAnswers question={question} type={question.questionType} isThai={isThai} />
+      {question.explanation && (
+        <p className="small text-muted mb-0">{isThai ? 'คำอธิบาย: ' : 'Explanation: '}<MathText text={question.explanation} /></p>
+      )}
+    </>
+  );
+};
+
+// Version history of a saved quiz: who changed what and when, a side-by-side diff of any two versions and restore
+const VersionHistoryModal = ({ show, onHide, quiz, onRestored }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [restoringVersion, setRestoringVersion] = useState(null);
+
+  const isThai = quiz.language !== 'english';
+
+  const loadVersions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await quizService.getQuizVersions(quiz.id);
+      if (response.success) {
+        const list = response.data.versions;
+        setVersions(list);
+        // Compare the latest change by default
+        setCompare({
+          from: list[1]?.version ?? list[0]?.version ?? '',
+          to: list[0]?.version ?? ''
+        });
+        setDiff(null);
+      }
+    } catch (err) {
+      setError(err.message || (isThai ? 'ไม่สามารถโหลดประวัติการแก้ไขได้' : 'Failed to load the version history'));
+    } finally {
+      setLoading(false);
+    }
+  }, [quiz.id, isThai]);
+
+  useEffect(() => {
+    if (show) {
+      loadVersions();
+    }
+  }, [show, loadVersions]);
+
+  const handleCompare = async () => {
+    try {
+      setDiffLoading(true);
+      setError(null);
+
+      const response = await quizService.diffQuizVersions(quiz.id, compare.from, compare.to);
+      if (response.success) {
+        setDiff(response.data);
+      }
+    } catch (err) {
+      setError(err.errors?.[0]?.msg || err.message || (isThai ? 'ไม่สามารถเปรียบเทียบเวอร์ชันได้' : 'Failed to compare the versions'));
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  // Restoring adds a new version, so nothing is lost; a quiz changed by someone else in the meantime is refused with 409
+  const handleRestore = async (version) => {
+    const confirmed = window.confirm(isThai
+      ? `กู้คืนเวอร์ชัน ${version}? เนื้อหาปัจจุบันยังคงอยู่ในประวัติการแก้ไข`
+      : `Restore version ${version}? The current content stays in the version history.`);
+    if (!confirmed) return;
+
+    try {
+      setRestoringVersion(version);
+      setError(null);
+
+      const response = await quizService.restoreQuizVersion(quiz.id, version, quiz.version);
+      if (response.success) {
+        onRestored(response.data);
+        await loadVersions();
+      }
+    } catch (err) {
+      setError(err.message || (isThai ? 'ไม่สามารถกู้คืนเวอร์ชันได้' : 'Failed to restore the version'));
+    } finally {
+      setRestoringVersion(null);
+    }
+  };
+
+  const versionOptions = versions.map(version => (
+    <option key={version.version} value={version.version}>
+      {isThai ? 'เวอร์ชัน' : 'Version'} {version.version}
+    </option>
+  ));
+
+  return (
+    <Modal show={show} onHide={restoringVersion ? undefined : onHide} size="xl" centered scrollable>
+      <Modal.Header closeButton={!restoringVersion}>
+        <Modal.Title>{isThai ? 'ประวัติการแก้ไข' : 'Version history'}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {loading ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" />
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="text-muted mb-0">
+            {isThai
+              ? 'ยังไม่มีประวัติการแก้ไข เวอร์ชันแรกจะถูกบันทึกเมื่อแก้ไขข้อสอบครั้งถัดไป'
+              : 'No versions yet. The first one is saved the next time the quiz is changed.'}
+          </p>
+        ) : (
+          <>
+            <Table size="sm" hover responsive>
+              <thead>
+                <tr>
+                  <th>{isThai ? 'เวอร์ชัน' : 'Version'}</th>
+                  <th>{isThai ? 'การเปลี่ยนแปลง' : 'Change'}</th>
+                  <th>{isThai ? 'ผู้แก้ไข' : 'Author'}</th>
+                  <th>{isThai ? 'วันที่' : 'Date'}</th>
+                  <th>{isThai ? 'จำนวนข้อ' : 'Questions'}</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {versions.map(version => (
+                  <tr key={version.version}>
+                    <td>
+                      {version.version}
+                      {version.version === quiz.version && (
+                        <Badge bg="primary" className="ms-1">{isThai ? 'ปัจจุบัน' : 'Current'}</Badge>
+                      )}
+                    </td>
+                    <td>{version.summary || '—'}</td>
+                    <td>{version.authorName || '—'}</td>
+                    <td className="text-nowrap small">{new Date(version.createdAt).toLocaleString(isThai ? 'th-TH' : 'en-US')}</td>
+                    <td>{version.questionCount}</td>
+                    <td className="text-end">
+                      {version.version !== quiz.version && (
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          onClick={() => handleRestore(version.version)}
+                          disabled={restoringVersion !== null}
+                        >
+                          {restoringVersion === version.version
+                            ? (isThai ? 'กำลังกู้คืน...' : 'Restoring...')
+                            : (isThai ? 'กู้คืน' : 'Restore')}
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+
+            <Row className="g-2 align-items-end mb-3">
+              <Col xs="auto">
+                <Form.Label className="small mb-1">{isThai ? 'เปรียบเทียบจาก' : 'Compare'}</Form.Label>
+                <Form.Select size="sm" value={compare.from} onChange={(e) => setCompare({ ...compare, from: e.target.value })}>
+                  {versionOptions}
+                </Form.Select>
+              </Col>
+              <Col xs="auto">
+                <Form.Label className="small mb-1">{isThai ? 'กับ' : 'with'}</Form.Label>
+                <Form.Select size="sm" value={compare.to} onChange={(e) => setCompare({ ...compare, to: e.target.value })}>
+                  {versionOptions}
+                </Form.Select>
+              </Col>
+              <Col xs="auto">
+                <Button variant="primary" size="sm" onClick={handleCompare} disabled={diffLoading}>
+                  {diffLoading ? (isThai ? 'กำลังเปรียบเทียบ...' : 'Comparing...') : (isThai ? 'เปรียบเทียบ' : 'Compare')}
+                </Button>
+              </Col>
+            </Row>
+
+            {diff && (
+              <>
+                <p className="mb-2">
+                  {Object.entries(diff.summary).filter(([, count]) => count > 0).map(([status, count]) => (
+                    <Badge key={status} bg={STATUS_STYLES[status].variant} className="me-1">
+                      {isThai ? STATUS_STYLES[status].th : STATUS_STYLES[status].en} {count}
+                    </Badge>
+                  ))}
+                </p>
+                {diff.title.changed && (
+                  <Alert variant="warning" className="py-2">
+                    {isThai ? 'ชื่อข้อสอบ: ' : 'Title: '}<del>{diff.title.from}</del> → <strong>{diff.title.to}</strong>
+                  </Alert>
+                )}
+                <Table bordered size="sm">
+                  <thead>
+                    <tr>
+                      <th style={{ width: '50%' }}>{isThai ? 'เวอร์ชัน' : 'Version'} {diff.from.version}</th>
+                      <th style={{ width: '50%' }}>{isThai ? 'เวอร์ชัน' : 'Version'} {diff.to.version}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {diff.questions.map((row, index) => (
+                      <tr key={index} className={STATUS_STYLES[row.status].rowClass}>
+                        <td>
+                          <VersionQuestion number={row.fromNumber} question={row.from} isThai={isThai} />
+                        </td>
+                        <td>
+                          <VersionQuestion number={row.toNumber} question={row.to} isThai={isThai} />
+                          {row.changes.length > 0 && (
+                            <p className="small mb-0">
+                              <Badge bg="warning" text="dark" className="me-1">{isThai ? 'แก้ไข' : 'Changed'}</Badge>
+                              {row.changes.map(field => (isThai ? FIELD_LABELS[field].th : FIELD_LABELS[field].en)).join(', ')}
+                            </p>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </>
+            )}
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={restoringVersion !== null}>
+          {isThai ? 'ปิด' : 'Close'}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default VersionHistoryModal;
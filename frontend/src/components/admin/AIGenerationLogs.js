@@ -0,0 +1,283 @@
+// frontend/src/components/admin/AIGenerationLogs.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Form, Row, Col, Modal, Spinner, Badge, Alert } from 'react-bootstrap';
+import { adminService } from '../../services/api';
+
+const PAGE_SIZE = 20;
+const PROVIDERS = ['gemini', 'openai', 'mock'];
+const STATUS_VARIANTS = { success: 'success', error: 'danger', cancelled: 'secondary' };
+
+const preStyle = { whiteSpace: 'pre-wrap', maxHeight: '320px', overflowY: 'auto', fontSize: '0.8rem' };
+
+const formatTokens = (log) => (log.promptTokens === null && log.completionTokens === null
+    ? '—'
+    : `${log.promptTokens ?? '?'} / ${log.completionTokens ?? '?'}`);
+
+// Prompt, parameters and raw response of one logged request
+const LogDetails = ({ log }) => (
+    <>
+        <div className="small text-muted mb-2">
+            #{log.id} · {new Date(log.createdAt).toLocaleString()} · {log.provider} / {log.model || '—'}
+            {' · '}{log.latencyMs} ms · tokens {formatTokens(log)}
+            {log.streamed && ' · streamed'}
+            {log.replayOf && ` · replay of #${log.replayOf}`}
+        </div>
+        {log.errorMessage && <Alert variant="danger" className="py-2">{log.errorMessage}</Alert>}
+        {log.attachments?.length > 0 && (
+            <div className="small mb-2">
+                Attachments (not stored): {log.attachments.map(attachment => `${attachment.mimeType}, ${Math.round(attachment.bytes / 1024)} KB`).join('; ')}
+            </div>
+        )}
+        <h6>Response</h6>
+        <pre className="bg-light p-2 rounded" style={preStyle}>{log.response || '(empty)'}</pre>
+    </>
+);
+
+// Admin viewer for the AI generation audit log, with replay against another provider or model
+const AIGenerationLogs = () => {
+    const [logs, setLogs] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [offset, setOffset] = useState(0);
+    const [filters, setFilters] = useState({ status: '', task: '', search: '' });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const [selectedLog, setSelectedLog] = useState(null);
+    const [replayTarget, setReplayTarget] = useState({ provider: '', model: '' });
+    const [replayResult, setReplayResult] = useState(null);
+    const [replaying, setReplaying] = useState(false);
+    const [replayError, setReplayError] = useState(null);
+
+    const fetchLogs = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            const params = { limit: PAGE_SIZE, offset };
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) params[key] = value;
+            });
+
+            const response = await adminService.getAILogs(params);
+            setLogs(response.data);
+            setTotal(response.pagination.total);
+        } catch (err) {
+            setError(err.message || 'Failed to load AI generation logs');
+        } finally {
+            setLoading(false);
+        }
+    }, [offset, filters]);
+
+    useEffect(() => {
+        fetchLogs();
+    }, [fetchLogs]);
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+        setOffset(0);
+    };
+
+    const openLog = async (logId) => {
+        try {
+            setReplayResult(null);
+            setReplayError(null);
+            const response = await adminService.getAILog(logId);
+            setSelectedLog(response.data);
+            setReplayTarget({ provider: response.data.provider, model: '' });
+        } catch (err) {
+            setError(err.message || 'Failed to load the AI generation log');
+        }
+    };
+
+    const handleReplay = async (e) => {
+        e.preventDefault();
+
+        try {
+            setReplaying(true);
+            setReplayError(null);
+            const response = await adminService.replayAILog(selectedLog.id, replayTarget);
+            setReplayResult(response);
+            setSelectedLog(prev => ({ ...prev, replayIds: [...prev.replayIds, response.data.id] }));
+            fetchLogs();
+        } catch (err) {
+            setReplayError(err.message || 'Replay failed');
+        } finally {
+            setReplaying(false);
+        }
+    };
+
+    return (
+        <Card className="border-0 shadow-sm">
+            <Card.Header className="bg-white">
+                <h4 className="mb-0">AI Generation Log</h4>
+                <small className="text-muted">Every prompt sent to the AI provider with its raw response</small>
+            </Card.Header>
+            <Card.Body>
+                <Row className="g-2 mb-3">
+                    <Col md={3}>
+                        <Form.Select name="status" value={filters.status} onChange={handleFilterChange}>
+                            <option value="">All statuses</option>
+                            <option value="success">Success</option>
+                            <option value="error">Error</option>
+                            <option value="cancelled">Cancelled</option>
+                        </Form.Select>
+                    </Col>
+                    <Col md={3}>
+                        <Form.Select name="task" value={filters.task} onChange={handleFilterChange}>
+                            <option value="">All tasks</option>
+                            <option value="quiz">Quiz generation</option>
+                            <option value="repair">Question repair</option>
+                        </Form.Select>
+                    </Col>
+                    <Col md={6}>
+                        <Form.Control
+                            name="search"
+                            value={filters.search}
+                            onChange={handleFilterChange}
+                            placeholder="Search prompts or model names"
+                        />
+                    </Col>
+                </Row>
+
+                {error && <Alert variant="danger">{error}</Alert>}
+
+                {loading ? (
+                    <div className="text-center py-4"><Spinner animation="border" variant="primary" /></div>
+                ) : logs.length === 0 ? (
+                    <p className="text-muted text-center py-4">No AI requests logged yet.</p>
+                ) : (
+                    <Table responsive hover size="sm" className="align-middle">
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>User</th>
+                                <th>Task</th>
+                                <th>Model</th>
+                                <th>Prompt</th>
+                                <th>Tokens in/out</th>
+                                <th>Latency</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {logs.map(log => (
+                                <tr key={log.id} onClick={() => openLog(log.id)} style={{ cursor: 'pointer' }}>
+                                    <td className="text-nowrap small">{new Date(log.createdAt).toLocaleString()}</td>
+                                    <td className="small">{log.userEmail || '—'}</td>
+                                    <td className="small">{log.task}{log.replayOf && <Badge bg="info" className="ms-1">replay</Badge>}</td>
+                                    <td className="small">{log.provider} / {log.model || '—'}</td>
+                                    <td className="small text-truncate" style={{ maxWidth: '260px' }}>{log.prompt}</td>
+                                    <td className="small text-nowrap">{formatTokens(log)}</td>
+                                    <td className="small text-nowrap">{log.latencyMs} ms</td>
+                                    <td><Badge bg={STATUS_VARIANTS[log.status]}>{log.status}</Badge></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                )}
+
+                <div className="d-flex justify-content-between align-items-center">
+                    <small className="text-muted">
+                        {total > 0 ? `${offset + 1}–${Math.min(offset + PAGE_SIZE, total)} of ${total}` : ''}
+                    </small>
+                    <div>
+                        <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            className="me-2"
+                            disabled={offset === 0 || loading}
+                            onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+                        >
+                            Previous
+                        </Button>
+                        <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            disabled={offset + PAGE_SIZE >= total || loading}
+                            onClick={() => setOffset(offset + PAGE_SIZE)}
+                        >
+                            Next
+                        </Button>
+                    </div>
+                </div>
+            </Card.Body>
+
+            <Modal show={!!selectedLog} onHide={() => setSelectedLog(null)} size="xl">
+                {selectedLog && (
+                    <>
+                        <Modal.Header closeButton>
+                            <Modal.Title>AI request #{selectedLog.id}</Modal.Title>
+                        </Modal.Header>
+                        <Modal.Body>
+                            <h6>Prompt</h6>
+                            <pre className="bg-light p-2 rounded" style={preStyle}>{selectedLog.prompt}</pre>
+                            <h6>Parameters</h6>
+                            <pre className="bg-light p-2 rounded" style={{ ...preStyle, maxHeight: '160px' }}>
+                                {JSON.stringify(selectedLog.parameters, null, 2)}
+                            </pre>
+
+                            <Row>
+                                <Col lg={replayResult ? 6 : 12}>
+                                    <LogDetails log={selectedLog} />
+                                </Col>
+                                {replayResult && (
+                                    <Col lg={6}>
+                                        {replayResult.attachmentsOmitted && (
+                                            <Alert variant="warning" className="py-2">
+                                                The original request had attachments; the replay only sent the prompt text.
+                                            </Alert>
+                                        )}
+                                        <LogDetails log={replayResult.data} />
+                                    </Col>
+                                )}
+                            </Row>
+
+                            {selectedLog.replayIds.length > 0 && (
+                                <div className="small text-muted mb-3">
+                                    Replays: {selectedLog.replayIds.map(id => (
+                                        <Button key={id} variant="link" size="sm" className="p-0 me-2" onClick={() => openLog(id)}>#{id}</Button>
+                                    ))}
+                                </div>
+                            )}
+
+                            <Form onSubmit={handleReplay} className="border-top pt-3">
+                                <h6>Replay this request</h6>
+                                {replayError && <Alert variant="danger" className="py-2">{replayError}</Alert>}
+                                <Row className="g-2 align-items-end">
+                                    <Col md={3}>
+                                        <Form.Label className="small">Provider</Form.Label>
+                                        <Form.Select
+                                            value={replayTarget.provider}
+                                            onChange={(e) => setReplayTarget(prev => ({ ...prev, provider: e.target.value }))}
+                                        >
+                                            {PROVIDERS.map(provider => (
+                                                <option key={provider} value={provider}>{provider}</option>
+                                            ))}
+                                        </Form.Select>
+                                    </Col>
+                                    <Col md={6}>
+                                        <Form.Label className="small">Model (empty for the configured model)</Form.Label>
+                                        <Form.Control
+                                            value={replayTarget.model}
+                                            onChange={(e) => setReplayTarget(prev => ({ ...prev, model: e.target.value }))}
+                                            placeholder={selectedLog.model || ''}
+                                            maxLength={100}
+                                        />
+                                    </Col>
+                                    <Col md={3}>
+                                        <Button type="submit" variant="primary" className="w-100" disabled={replaying}>
+                                            {replaying ? <Spinner animation="border" size="sm" /> : 'Replay'}
+                                        </Button>
+                                    </Col>
+                                </Row>
+                            </Form>
+                        </Modal.Body>
+                    </>
+                )}
+            </Modal>
+        </Card>
+    );
+};
+
+export default AIGenerationLogs;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Form, Row, Col } from 'react-bootstrap';
+import { useLibrary } from '../../context/LibraryContext';
+import { DIFFICULTY_LEVELS, BLOOM_LEVELS } from '../../utils/questionLevels';
+
+// Show only quizzes that have questions of a difficulty or Bloom level
+const LevelFilter = () => {
+    const { levelFilters, setLevelFilters } = useLibrary();
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setLevelFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    return (
+        <Row className="g-2">
+            <Col xs={6}>
+                <Form.Select
+                    name="difficulty"
+                    value={levelFilters.difficulty}
+                    onChange={handleChange}
+                    aria-label="Filter by difficulty"
+                >
+                    <option value="">All difficulties</option>
+                    {DIFFICULTY_LEVELS.map(level => (
+                        <option key={level.value} value={level.value}>{level.label}</option>
+                    ))}
+                </Form.Select>
+            </Col>
+            <Col xs={6}>
+                <Form.Select
+                    name="bloomLevel"
+                    value={levelFilters.bloomLevel}
+                    onChange={handleChange}
+                    aria-label="Filter by Bloom level"
+                >
+                    <option value="">All Bloom levels</option>
+                    {BLOOM_LEVELS.map(level => (
+                        <option key={level.value} value={level.value}>{level.label}</option>
+                    ))}
+                </Form.Select>
+            </Col>
+        </Row>
+    );
+};
+
+export default LevelFilter;
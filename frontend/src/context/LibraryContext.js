@@ -106,6 +106,8 @@ export function LibraryProvider({ children }) {
         setError,
         searchTerm,
         setSearchTerm,
+        levelFilters: quizTools.levelFilters,
+        setLevelFilters: quizTools.setLevelFilters,
         ...sortTools,
         currentPage,
         itemsPerPage,
@@ -12,6 +12,8 @@ export function useQuizzes() {
     const [itemsPerPage, setItemsPerPage] = useState(10);
     const [totalItems, setTotalItems] = useState(0);
     const [searchQuery, setSearchQuery] = useState('');
+    // Server-side filters on the difficulty and Bloom level of the questions
+    const [levelFilters, setLevelFilters] = useState({ difficulty: '', bloomLevel: '' });
 
     const fetchQuizzes = useCallback(async (page = 1, limit = 100, search = '') => {
         if (!currentUser?.id) {
@@ -26,7 +28,9 @@ export function useQuizzes() {
 
             const response = await quizService.getAllQuizzes(page, limit, {
                 search,
-                userId: currentUser.id
+                userId: currentUser.id,
+                difficulty: levelFilters.difficulty,
+                bloomLevel: levelFilters.bloomLevel
             });
 
             if (response.success) {
@@ -50,7 +54,7 @@ export function useQuizzes() {
         } finally {
             setLoading(false);
         }
-    }, [currentUser?.id]);
+    }, [currentUser?.id, levelFilters]);
 
     useEffect(() => {
         if (currentUser?.id) {
@@ -140,6 +144,8 @@ export function useQuizzes() {
         hasNextPage,
         hasPreviousPage,
         searchQuery,
+        levelFilters,
+        setLevelFilters,
         fetchQuizzes,
         addQuiz,
         updateQuiz,
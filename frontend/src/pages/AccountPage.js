@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { Container, Row, Col, Card, Form, Button, Alert, Tab, Nav } from 'react-bootstrap';
 import { useTheme } from '../context/ThemeContext';
+import { QUIZ_TYPES } from '../utils/questionTypes';
+import QuotaUsage from '../components/QuotaUsage';
 
 const AccountPage = () => {
   // User state - in a real app, this would come from authentication context
@@ -212,6 +214,15 @@ const AccountPage = () => {
                     Quiz Preferences
                   </Nav.Link>
                 </Nav.Item>
+                <Nav.Item>
+                  <Nav.Link 
+                    active={activeTab === 'usage'} 
+                    onClick={() => setActiveTab('usage')}
+                    className="rounded-0"
+                  >
+                    Usage & Quotas
+                  </Nav.Link>
+                </Nav.Item>
                 <Nav.Item>
                   <Nav.Link 
                     active={activeTab === 'appearance'} 
@@ -383,8 +394,9 @@ const AccountPage = () => {
                         value={preferenceForm.defaultQuizType}
                         onChange={handlePreferenceChange}
                       >
-                        <option value="Multiple Choice">Multiple Choice</option>
-                        <option value="Essay">Essay</option>
+                        {QUIZ_TYPES.map(type => (
+                          <option key={type} value={type}>{type}</option>
+                        ))}
                       </Form.Select>
                     </Form.Group>
                     
@@ -407,6 +419,14 @@ const AccountPage = () => {
                 </div>
               )}
               
+              {/* Usage & Quotas */}
+              {activeTab === 'usage' && (
+                <div>
+                  <h4 className="mb-4">Usage & Quotas</h4>
+                  <QuotaUsage />
+                </div>
+              )}
+              
               {/* Appearance */}
               {activeTab === 'appearance' && (
                 <div>
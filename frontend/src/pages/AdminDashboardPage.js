@@ -12,6 +12,7 @@ import UsersContent from '../components/admin/UsersContent';
 import SchoolsContent from '../components/admin/SchoolsContent';
 import ContentManagementTab from '../components/admin/ContentManagementTab';
 import SettingsContent from '../components/admin/SettingsContent';
+import AIGenerationLogs from '../components/admin/AIGenerationLogs';
 
 const AdminDashboardPage = () => {
     const { currentUser, isAuthenticated, isAdmin, isSchoolAdmin } = useAuth();
@@ -111,6 +112,10 @@ const AdminDashboardPage = () => {
                             <ContentManagementTab />
                         </Tab.Pane>
 
+                        <Tab.Pane active={activeTab === 'aiLogs'}>
+                            {activeTab === 'aiLogs' && <AIGenerationLogs />}
+                        </Tab.Pane>
+
                         <Tab.Pane active={activeTab === 'settings'}>
                             <SettingsContent />
                         </Tab.Pane>
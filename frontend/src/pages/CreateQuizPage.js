@@ -1,8 +1,34 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { Container, Row, Col, Card, Form, Button, Nav, Spinner, ProgressBar, Alert } from 'react-bootstrap';
 import { Link, useNavigate } from 'react-router-dom';
 import { useQuizContext } from '../context/QuizContext';
-import { quizService } from '../services/api';
+import { quizService, jobService } from '../services/api';
+import { QUIZ_TYPES, MIXED_QUESTION_TYPE } from '../utils/questionTypes';
+import {
+  DIFFICULTY_LEVELS,
+  BLOOM_LEVELS,
+  DEFAULT_DIFFICULTY_MIX,
+  DEFAULT_BLOOM_MIX,
+  mixTotal
+} from '../utils/questionLevels';
+import LevelMixInput from '../components/LevelMixInput';
+import PresetPicker from '../components/PresetPicker';
+import ObjectivePicker from '../components/ObjectivePicker';
+import MathText from '../components/MathText';
+import { renderInstructionTemplate } from '../utils/presetTemplates';
+
+// Source documents the backend can extract text from
+const ALLOWED_FILE_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'text/markdown',
+  'text/html',
+  'image/jpeg',
+  'image/png'
+];
+const ALLOWED_FILE_EXTENSIONS = ['.pdf', '.docx', '.pptx', '.txt', '.md', '.markdown', '.html', '.htm', '.jpg', '.jpeg', '.png'];
 
 const CreateQuizPage = () => {
   const navigate = useNavigate();
@@ -22,6 +48,16 @@ const CreateQuizPage = () => {
   const [uploadProgress, setUploadProgress] = useState(0);
   const [fileError, setFileError] = useState('');
 
+  // Live generation states (questions arrive one by one over the stream)
+  const [streamedQuestions, setStreamedQuestions] = useState([]);
+  const [streamProgress, setStreamProgress] = useState({ received: 0, total: 0 });
+  const streamAbortRef = useRef(null);
+
+  // Stop an in-flight generation stream or job polling when leaving the page
+  useEffect(() => {
+    return () => streamAbortRef.current?.abort();
+  }, []);
+
   const [formData, setFormData] = useState({
     topic: '',
     text: '',
@@ -30,7 +66,14 @@ const CreateQuizPage = () => {
     numberOfQuestions: 10,
     additionalInstructions: '',
     studentLevel: '',
-    outputLanguage: 'Thai'
+    outputLanguage: 'Thai',
+    // Target mixes in percent; null lets the AI choose
+    difficultyMix: null,
+    bloomMix: null,
+    // Learning objectives from the course catalogue the questions must cover
+    objectiveIds: [],
+    // Run the AI answer-key check on the result page right after generation
+    verifyAnswerKey: false
   });
 
   // Existing handlers
@@ -46,6 +89,29 @@ const CreateQuizPage = () => {
     }
   };
 
+  const handleMixChange = (name) => (mix) => {
+    setFormData(prev => ({
+      ...prev,
+      [name]: mix
+    }));
+  };
+
+  const handlePresetApply = (settings) => {
+    setFormData(prev => ({
+      ...prev,
+      ...settings
+    }));
+  };
+
+  // Fill the {topic}, {count}, ... placeholders of preset instruction templates
+  const renderInstructions = (topic) => renderInstructionTemplate(formData.additionalInstructions, {
+    topic,
+    count: formData.numberOfQuestions,
+    type: formData.questionType,
+    level: formData.studentLevel,
+    language: formData.outputLanguage
+  });
+
   const handleIdeasButtonClick = () => {
     const ideas = [
       "AI and Machine Learning Fundamentals",
@@ -86,15 +152,11 @@ const CreateQuizPage = () => {
   };
 
   const handleFileSelection = (file) => {
-    // Validate file type
-    const allowedTypes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
-    ];
-    
-    if (!allowedTypes.includes(file.type)) {
-      setFileError('รองรับเฉพาะไฟล์ PDF, DOCX และ TXT เท่านั้น');
+    // Validate file type (browsers often send .md files without a MIME type, so check the extension too)
+    const extension = file.name.substring(file.name.lastIndexOf('.')).toLowerCase();
+
+    if (!ALLOWED_FILE_TYPES.includes(file.type) && !ALLOWED_FILE_EXTENSIONS.includes(extension)) {
+      setFileError('รองรับเฉพาะไฟล์ PDF, DOCX, PPTX, TXT, Markdown, HTML และรูปภาพ JPG/PNG เท่านั้น');
       return;
     }
 
@@ -130,7 +192,10 @@ const CreateQuizPage = () => {
   const getFileIcon = (fileType) => {
     if (fileType === 'application/pdf') return '📄';
     if (fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') return '📝';
-    if (fileType === 'text/plain') return '📋';
+    if (fileType === 'application/vnd.openxmlformats-officedocument.presentationml.presentation') return '📊';
+    if (fileType === 'text/html') return '🌐';
+    if (fileType === 'image/jpeg' || fileType === 'image/png') return '🖼️';
+    if (fileType === 'text/plain' || fileType === 'text/markdown') return '📋';
     return '📁';
   };
 
@@ -155,6 +220,11 @@ const CreateQuizPage = () => {
       return;
     }
 
+    if ([formData.difficultyMix, formData.bloomMix].some(mix => mix && mixTotal(mix) !== 100)) {
+      setError('สัดส่วนระดับความยากและระดับ Bloom ต้องรวมกันได้ 100%');
+      return;
+    }
+
     try {
       setLoading(true);
       setUploadProgress(0);
@@ -173,38 +243,41 @@ const CreateQuizPage = () => {
         formDataWithFile.append('settings', JSON.stringify({
           questionType: formData.questionType,
           numberOfQuestions: formData.numberOfQuestions,
-          additionalInstructions: formData.additionalInstructions,
+          additionalInstructions: renderInstructions(selectedFile.name),
           studentLevel: formData.studentLevel,
-          outputLanguage: formData.outputLanguage
+          outputLanguage: formData.outputLanguage,
+          difficultyMix: formData.difficultyMix,
+          bloomMix: formData.bloomMix
         }));
 
-        // Simulate progress updates
-        const progressInterval = setInterval(() => {
-          setUploadProgress(prev => {
-            if (prev >= 90) {
-              clearInterval(progressInterval);
-              return prev;
-            }
-            return prev + 10;
-          });
-        }, 500);
-
         try {
-          // Call file upload API
-          const response = await quizService.generateQuizFromFile(formDataWithFile, {
+          // Queue the generation so it keeps running if this page is closed or refreshed
+          const queued = await jobService.createFileJob(formDataWithFile, {
             onUploadProgress: (progressEvent) => {
-              const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+              const progress = Math.round((progressEvent.loaded * 30) / progressEvent.total);
               setUploadProgress(progress);
             }
           });
 
-          clearInterval(progressInterval);
-          setUploadProgress(100);
+          streamAbortRef.current = new AbortController();
+          const job = await jobService.waitForJob(queued.data.id, {
+            signal: streamAbortRef.current.signal,
+            onUpdate: (update) => {
+              if (update.status === 'running') {
+                setUploadProgress(70);
+              } else if (update.status === 'queued') {
+                setUploadProgress(35);
+              }
+            }
+          });
+
+          if (job.status === 'completed') {
+            setUploadProgress(100);
+            const result = await jobService.getJobResult(job.id);
 
-          if (response.success) {
             // Store generated quiz in context
             setGeneratedQuiz({
-              ...response.data,
+              ...result.data,
               formData: {
                 ...formData,
                 fileName: selectedFile.name,
@@ -214,17 +287,22 @@ const CreateQuizPage = () => {
 
             // Navigate to the result page
             navigate('/result');
+          } else if (job.status === 'cancelled') {
+            setError('งานสร้างข้อสอบถูกยกเลิก');
           } else {
-            setError(response.message || 'ไม่สามารถสร้างข้อสอบจากไฟล์ได้');
+            setError(job.error || 'ไม่สามารถสร้างข้อสอบจากไฟล์ได้');
           }
         } catch (apiError) {
-          clearInterval(progressInterval);
-          setError('เกิดข้อผิดพลาดในการอัพโหลดไฟล์');
+          if (apiError.name === 'AbortError') return;
+          setError(apiError.message || 'เกิดข้อผิดพลาดในการอัพโหลดไฟล์');
           console.error('File upload error:', apiError);
         }
       } else {
         // Handle regular quiz generation (existing logic)
-        let dataToSend = { ...formData };
+        let dataToSend = {
+          ...formData,
+          additionalInstructions: renderInstructions(formData.topic || formData.webpage)
+        };
 
         if (activeSource === 'text' && formData.text) {
           dataToSend.additionalInstructions =
@@ -242,8 +320,21 @@ const CreateQuizPage = () => {
           }
         }
 
-        // Call API to generate quiz
-        const response = await quizService.generateQuiz(dataToSend);
+        // Call API to generate quiz, showing questions as soon as they arrive
+        setStreamedQuestions([]);
+        setStreamProgress({ received: 0, total: Number(dataToSend.numberOfQuestions) });
+        streamAbortRef.current = new AbortController();
+
+        const response = await quizService.generateQuizStream(dataToSend, {
+          signal: streamAbortRef.current.signal,
+          onEvent: (eventName, payload) => {
+            if (eventName === 'question') {
+              setStreamedQuestions(prev => [...prev, payload.question]);
+            } else if (eventName === 'progress') {
+              setStreamProgress({ received: payload.received, total: payload.total });
+            }
+          }
+        });
 
         if (response.success) {
           // Store generated quiz in context
@@ -259,7 +350,8 @@ const CreateQuizPage = () => {
         }
       }
     } catch (error) {
-      setError(error.response?.data?.message || 'An error occurred');
+      if (error.name === 'AbortError') return;
+      setError(error.response?.data?.message || error.message || 'An error occurred');
     } finally {
       setLoading(false);
       setTimeout(() => setUploadProgress(0), 3000);
@@ -443,7 +535,7 @@ const CreateQuizPage = () => {
                       <input
                         ref={fileInputRef}
                         type="file"
-                        accept=".pdf,.docx,.txt"
+                        accept={ALLOWED_FILE_EXTENSIONS.join(',')}
                         onChange={handleFileInputChange}
                         style={{ display: 'none' }}
                         disabled={loading}
@@ -453,7 +545,7 @@ const CreateQuizPage = () => {
                         <div>
                           <span className="d-block mb-3" style={{ fontSize: '2rem' }}>📁</span>
                           <p className="mb-2">Drag and drop your file here, or click to browse</p>
-                          <small className="text-muted d-block mb-3">Supported formats: PDF, DOCX, TXT</small>
+                          <small className="text-muted d-block mb-3">Supported formats: PDF, DOCX, PPTX, TXT, Markdown, HTML, JPG/PNG photos (scanned files are read with OCR)</small>
                           <Button variant="outline-primary" size="sm" disabled={loading}>
                             Browse Files
                           </Button>
@@ -499,6 +591,8 @@ const CreateQuizPage = () => {
                 )}
 
                 {/* Quiz configuration section */}
+                <PresetPicker formData={formData} onApply={handlePresetApply} disabled={loading} />
+
                 <Row className="mb-4">
                   <Col md={6}>
                     <Form.Group className="mb-3">
@@ -510,8 +604,11 @@ const CreateQuizPage = () => {
                         className="border-light shadow-sm"
                         disabled={loading}
                       >
-                        <option value="Multiple Choice">Multiple Choice</option>
-                        <option value="Essay">Essay</option>
+                        {QUIZ_TYPES.map(type => (
+                          <option key={type} value={type}>
+                            {type === MIXED_QUESTION_TYPE ? 'Mixed (several types)' : type}
+                          </option>
+                        ))}
                       </Form.Select>
                     </Form.Group>
                   </Col>
@@ -529,6 +626,9 @@ const CreateQuizPage = () => {
                         <option value={10}>10</option>
                         <option value={15}>15</option>
                         <option value={20}>20</option>
+                        {![5, 10, 15, 20].includes(Number(formData.numberOfQuestions)) && (
+                          <option value={formData.numberOfQuestions}>{formData.numberOfQuestions}</option>
+                        )}
                       </Form.Select>
                     </Form.Group>
                   </Col>
@@ -582,6 +682,52 @@ const CreateQuizPage = () => {
                   </Col>
                 </Row>
 
+                {/* Target difficulty and Bloom's taxonomy mix */}
+                <div className="mb-4">
+                  <LevelMixInput
+                    id="difficulty-mix"
+                    label="Set difficulty mix (optional)"
+                    levels={DIFFICULTY_LEVELS}
+                    mix={formData.difficultyMix}
+                    defaultMix={DEFAULT_DIFFICULTY_MIX}
+                    onChange={handleMixChange('difficultyMix')}
+                    disabled={loading}
+                  />
+                  <LevelMixInput
+                    id="bloom-mix"
+                    label="Set Bloom's taxonomy mix (optional)"
+                    levels={BLOOM_LEVELS}
+                    mix={formData.bloomMix}
+                    defaultMix={DEFAULT_BLOOM_MIX}
+                    onChange={handleMixChange('bloomMix')}
+                    disabled={loading}
+                  />
+                </div>
+
+                {/* Learning objectives to cover; kept mounted but hidden for documents, which are generated from their own content */}
+                <div className={activeSource === 'file' ? 'd-none' : ''}>
+                  <ObjectivePicker
+                    value={formData.objectiveIds}
+                    onChange={(objectiveIds) => setFormData(prev => ({ ...prev, objectiveIds }))}
+                    disabled={loading}
+                  />
+                </div>
+
+                {/* Optional second AI pass over the answer key */}
+                <Form.Group className="mb-4" controlId="verifyAnswerKey">
+                  <Form.Check
+                    type="checkbox"
+                    name="verifyAnswerKey"
+                    checked={formData.verifyAnswerKey}
+                    onChange={(e) => setFormData(prev => ({ ...prev, verifyAnswerKey: e.target.checked }))}
+                    disabled={loading}
+                    label="Verify the answer key with a second AI pass (ตรวจเฉลยด้วย AI)"
+                  />
+                  <Form.Text className="text-muted">
+                    Questions whose key looks wrong, ambiguous or with more than one defensible answer are flagged for you to review.
+                  </Form.Text>
+                </Form.Group>
+
                 {/* Progress Bar for file upload */}
                 {loading && activeSource === 'file' && (
                   <div className="mb-3">
@@ -597,7 +743,47 @@ const CreateQuizPage = () => {
                         {uploadProgress >= 70 && uploadProgress < 100 && 'กำลังสร้างข้อสอบ...'}
                         {uploadProgress === 100 && 'เสร็จสิ้น!'}
                       </small>
+                      <div>
+                        <small className="text-muted">
+                          คุณสามารถออกจากหน้านี้ได้ ดูผลลัพธ์ได้ภายหลังที่ "งานสร้างข้อสอบล่าสุด" ในหน้าแรก
+                        </small>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
+                {/* Live preview of questions while they are being generated */}
+                {loading && activeSource !== 'file' && (
+                  <div className="mb-3">
+                    <ProgressBar
+                      now={streamProgress.total ? (streamProgress.received / streamProgress.total) * 100 : 0}
+                      label={`${streamProgress.received}/${streamProgress.total}`}
+                      animated
+                      className="mb-2"
+                    />
+                    <div className="text-center mb-3">
+                      <small className="text-muted">
+                        {streamProgress.received === 0
+                          ? 'กำลังรอคำตอบจาก AI...'
+                          : `ได้รับคำถามแล้ว ${streamProgress.received} จาก ${streamProgress.total} ข้อ`}
+                      </small>
                     </div>
+                    {streamedQuestions.map((question, index) => (
+                      <Card key={index} className="mb-2 border-light shadow-sm">
+                        <Card.Body className="py-2">
+                          <div className="fw-bold mb-1">{index + 1}. <MathText text={question.questionText} /></div>
+                          {question.options && (
+                            <ul className="list-unstyled mb-0 ps-3">
+                              {question.options.map((option, optIndex) => (
+                                <li key={optIndex} className={option.isCorrect ? 'text-success' : 'text-muted'}>
+                                  {String.fromCharCode(65 + optIndex)}. <MathText text={option.text} />
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </Card.Body>
+                      </Card>
+                    ))}
                   </div>
                 )}
 
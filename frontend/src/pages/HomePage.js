@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { quizService } from '../services/api';
+import RecentGenerationJobs from '../components/RecentGenerationJobs';
+import { QUESTION_TYPE_LABELS_TH } from '../utils/questionTypes';
 
 const HomePage = () => {
   const navigate = useNavigate();
@@ -175,7 +177,7 @@ const HomePage = () => {
                 <h6 className="mb-0">{quiz.title}</h6>
                 <div className="d-flex justify-content-between align-items-center mt-1">
                   <span className="badge bg-light text-dark rounded-pill px-3 py-1">
-                    {quiz.question_type === 'Multiple Choice' ? 'ข้อสอบปรนัย' : 'ข้อสอบอัตนัย'}
+                    ข้อสอบ{QUESTION_TYPE_LABELS_TH[quiz.question_type] || quiz.question_type}
                   </span>
                   <small className="text-muted">{quiz.formattedDate}</small>
                 </div>
@@ -265,6 +267,9 @@ const HomePage = () => {
         </Col> */}
       </Row>
       
+      {/* Background generation jobs */}
+      <RecentGenerationJobs limit={5} />
+
       {/* Recent contents section */}
       <div className="mb-4">
         <h2 className="mb-4">Recent contents</h2>
@@ -4,6 +4,7 @@ import { LibraryProvider, useLibrary } from '../context/LibraryContext';
 
 // Import components
 import SearchBar from '../components/library/SearchBar';
+import LevelFilter from '../components/library/LevelFilter';
 import ActionButtons from '../components/library/ActionButtons';
 import LibraryTable from '../components/library/LibraryTable';
 import BreadcrumbNav from '../components/library/BreadcrumbNav';
@@ -82,7 +83,10 @@ const LibraryPageContent = () => {
         <Col md={6} lg={4}>
           <SearchBar />
         </Col>
-        <Col md={6} lg={8} className="text-md-end mt-3 mt-md-0">
+        <Col md={6} lg={4} className="mt-3 mt-md-0">
+          <LevelFilter />
+        </Col>
+        <Col md={12} lg={4} className="text-lg-end mt-3 mt-lg-0">
           <ActionButtons onCreateFolder={() => setShowCreateFolderModal(true)} />
         </Col>
       </Row>
@@ -0,0 +1,395 @@
+// frontend/src/pages/ObjectivesPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, ListGroup, Table, Button, Badge, Alert, Modal, Form, Spinner } from 'react-bootstrap';
+import { courseService } from '../services/api';
+
+const EMPTY_COURSE = { schoolId: '', code: '', name: '', description: '' };
+const EMPTY_OBJECTIVE = { code: '', description: '' };
+
+// Course catalogue of the user's schools: learning objectives per course and how many questions cover each
+const ObjectivesPage = () => {
+  const [courses, setCourses] = useState([]);
+  const [schools, setSchools] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [coverage, setCoverage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingCoverage, setLoadingCoverage] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Course or objective being edited; id is null for a new one
+  const [courseForm, setCourseForm] = useState(null);
+  const [objectiveForm, setObjectiveForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const selectedCourse = courses.find(course => course.id === selectedId) || null;
+
+  const loadCourses = useCallback(async () => {
+    try {
+      const response = await courseService.getCourses();
+      if (response.success) {
+        setCourses(response.data.courses);
+        setSchools(response.data.schools);
+      }
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถโหลดรายวิชาได้');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadCoverage = useCallback(async (courseId) => {
+    try {
+      setLoadingCoverage(true);
+      const response = await courseService.getCoverage(courseId);
+      if (response.success) {
+        setCoverage(response.data);
+      }
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถโหลดรายงานความครอบคลุมได้');
+    } finally {
+      setLoadingCoverage(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCourses();
+  }, [loadCourses]);
+
+  useEffect(() => {
+    setCoverage(null);
+    if (selectedId) {
+      loadCoverage(selectedId);
+    }
+  }, [selectedId, loadCoverage]);
+
+  const openCourseForm = (course = null) => {
+    setFormError(null);
+    setCourseForm(course
+      ? { id: course.id, schoolId: course.schoolId, code: course.code, name: course.name, description: course.description || '' }
+      : { id: null, ...EMPTY_COURSE, schoolId: schools[0]?.id || '' });
+  };
+
+  const openObjectiveForm = (objective = null) => {
+    setFormError(null);
+    setObjectiveForm(objective
+      ? { id: objective.id, code: objective.code, description: objective.description }
+      : { id: null, ...EMPTY_OBJECTIVE });
+  };
+
+  const handleSaveCourse = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setFormError(null);
+
+      const { id, ...fields } = courseForm;
+      const response = id
+        ? await courseService.updateCourse(id, fields)
+        : await courseService.createCourse({ ...fields, schoolId: Number(fields.schoolId) });
+
+      await loadCourses();
+      setSelectedId(response.data.id);
+      if (id) loadCoverage(id);
+      setCourseForm(null);
+    } catch (err) {
+      setFormError(err.errors?.[0]?.msg || err.message || 'ไม่สามารถบันทึกรายวิชาได้');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteCourse = async () => {
+    if (!window.confirm(`Delete the course "${selectedCourse.code} ${selectedCourse.name}" with all its objectives? Questions keep their text but lose these tags.`)) return;
+
+    try {
+      await courseService.deleteCourse(selectedCourse.id);
+      setSelectedId(null);
+      await loadCourses();
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถลบรายวิชาได้');
+    }
+  };
+
+  const handleSaveObjective = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setFormError(null);
+
+      const { id, ...fields } = objectiveForm;
+      if (id) {
+        await courseService.updateObjective(selectedId, id, fields);
+      } else {
+        await courseService.createObjective(selectedId, fields);
+      }
+
+      setObjectiveForm(null);
+      await Promise.all([loadCoverage(selectedId), loadCourses()]);
+    } catch (err) {
+      setFormError(err.errors?.[0]?.msg || err.message || 'ไม่สามารถบันทึกวัตถุประสงค์ได้');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteObjective = async (objective) => {
+    if (!window.confirm(`Delete the objective "${objective.code}"? Questions lose this tag.`)) return;
+
+    try {
+      await courseService.deleteObjective(selectedId, objective.id);
+      await Promise.all([loadCoverage(selectedId), loadCourses()]);
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถลบวัตถุประสงค์ได้');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container className="py-5 text-center">
+        <Spinner animation="border" variant="primary" />
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2 className="mb-0">Courses &amp; Learning Objectives</h2>
+        {schools.length > 0 && (
+          <Button variant="primary" onClick={() => openCourseForm()}>
+            + เพิ่มรายวิชา
+          </Button>
+        )}
+      </div>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError(null)}>{error}</Alert>}
+
+      {courses.length === 0 ? (
+        <Alert variant="info">
+          {schools.length > 0
+            ? 'ยังไม่มีรายวิชา เพิ่มรายวิชาและวัตถุประสงค์การเรียนรู้เพื่อใช้สร้างข้อสอบตามวัตถุประสงค์'
+            : 'โรงเรียนของคุณยังไม่มีรายวิชา ผู้ดูแลโรงเรียนสามารถเพิ่มรายวิชาและวัตถุประสงค์การเรียนรู้ได้'}
+        </Alert>
+      ) : (
+        <Row>
+          <Col md={4} className="mb-4">
+            <Card className="shadow-sm">
+              <ListGroup variant="flush">
+                {courses.map(course => (
+                  <ListGroup.Item
+                    key={course.id}
+                    action
+                    active={course.id === selectedId}
+                    onClick={() => setSelectedId(course.id)}
+                  >
+                    <div className="fw-bold">{course.code} {course.name}</div>
+                    <small className={course.id === selectedId ? '' : 'text-muted'}>
+                      {course.schoolName} · {course.objectiveCount} objectives
+                    </small>
+                  </ListGroup.Item>
+                ))}
+              </ListGroup>
+            </Card>
+          </Col>
+
+          <Col md={8}>
+            {!selectedCourse ? (
+              <p className="text-muted">เลือกรายวิชาเพื่อดูวัตถุประสงค์และรายงานความครอบคลุม</p>
+            ) : (
+              <Card className="shadow-sm">
+                <Card.Header className="bg-light d-flex justify-content-between align-items-center">
+                  <h5 className="mb-0">{selectedCourse.code} {selectedCourse.name}</h5>
+                  {selectedCourse.canEdit && (
+                    <div>
+                      <Button variant="outline-secondary" size="sm" className="me-2" onClick={() => openCourseForm(selectedCourse)}>
+                        แก้ไข
+                      </Button>
+                      <Button variant="outline-danger" size="sm" onClick={handleDeleteCourse}>
+                        ลบ
+                      </Button>
+                    </div>
+                  )}
+                </Card.Header>
+                <Card.Body>
+                  {selectedCourse.description && <p className="text-muted">{selectedCourse.description}</p>}
+
+                  {loadingCoverage && !coverage && <Spinner animation="border" size="sm" />}
+
+                  {coverage && (
+                    <>
+                      {coverage.summary.total > 0 && (
+                        <Alert variant={coverage.summary.uncovered > 0 ? 'warning' : 'success'} className="py-2">
+                          {coverage.summary.uncovered > 0
+                            ? `${coverage.summary.uncovered} of ${coverage.summary.total} objectives have no questions yet (ยังไม่มีข้อสอบ)`
+                            : `All ${coverage.summary.total} objectives have questions (ครอบคลุมครบทุกวัตถุประสงค์)`}
+                        </Alert>
+                      )}
+
+                      <Table responsive hover size="sm" className="align-middle">
+                        <thead>
+                          <tr>
+                            <th>Code</th>
+                            <th>Objective</th>
+                            <th className="text-end">Questions</th>
+                            <th className="text-end">Quizzes</th>
+                            {selectedCourse.canEdit && <th />}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {coverage.objectives.map(objective => (
+                            <tr key={objective.id} className={objective.questionCount === 0 ? 'table-warning' : ''}>
+                              <td className="fw-bold">{objective.code}</td>
+                              <td>{objective.description}</td>
+                              <td className="text-end">
+                                {objective.questionCount === 0
+                                  ? <Badge bg="warning" text="dark">0</Badge>
+                                  : objective.questionCount}
+                              </td>
+                              <td className="text-end">{objective.quizCount}</td>
+                              {selectedCourse.canEdit && (
+                                <td className="text-end text-nowrap">
+                                  <Button variant="link" size="sm" className="p-0 me-2" onClick={() => openObjectiveForm(objective)}>
+                                    แก้ไข
+                                  </Button>
+                                  <Button variant="link" size="sm" className="p-0 text-danger" onClick={() => handleDeleteObjective(objective)}>
+                                    ลบ
+                                  </Button>
+                                </td>
+                              )}
+                            </tr>
+                          ))}
+                          {coverage.objectives.length === 0 && (
+                            <tr>
+                              <td colSpan={selectedCourse.canEdit ? 5 : 4} className="text-muted text-center">
+                                ยังไม่มีวัตถุประสงค์การเรียนรู้
+                              </td>
+                            </tr>
+                          )}
+                        </tbody>
+                      </Table>
+                    </>
+                  )}
+
+                  {selectedCourse.canEdit && (
+                    <Button variant="outline-primary" size="sm" onClick={() => openObjectiveForm()}>
+                      + เพิ่มวัตถุประสงค์
+                    </Button>
+                  )}
+                </Card.Body>
+              </Card>
+            )}
+          </Col>
+        </Row>
+      )}
+
+      {/* Course form */}
+      <Modal show={courseForm !== null} onHide={() => setCourseForm(null)} centered>
+        {courseForm && (
+          <Form onSubmit={handleSaveCourse}>
+            <Modal.Header closeButton>
+              <Modal.Title>{courseForm.id ? 'แก้ไขรายวิชา' : 'เพิ่มรายวิชา'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {formError && <Alert variant="danger">{formError}</Alert>}
+              {!courseForm.id && schools.length > 1 && (
+                <Form.Group className="mb-3" controlId="courseSchool">
+                  <Form.Label>School</Form.Label>
+                  <Form.Select
+                    value={courseForm.schoolId}
+                    onChange={(e) => setCourseForm(prev => ({ ...prev, schoolId: e.target.value }))}
+                  >
+                    {schools.map(school => (
+                      <option key={school.id} value={school.id}>{school.name}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              )}
+              <Form.Group className="mb-3" controlId="courseCode">
+                <Form.Label>Course code</Form.Label>
+                <Form.Control
+                  value={courseForm.code}
+                  onChange={(e) => setCourseForm(prev => ({ ...prev, code: e.target.value }))}
+                  placeholder="e.g. ว21101"
+                  maxLength={50}
+                  required
+                />
+              </Form.Group>
+              <Form.Group className="mb-3" controlId="courseName">
+                <Form.Label>Name</Form.Label>
+                <Form.Control
+                  value={courseForm.name}
+                  onChange={(e) => setCourseForm(prev => ({ ...prev, name: e.target.value }))}
+                  maxLength={255}
+                  required
+                />
+              </Form.Group>
+              <Form.Group controlId="courseDescription">
+                <Form.Label>Description (optional)</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  value={courseForm.description}
+                  onChange={(e) => setCourseForm(prev => ({ ...prev, description: e.target.value }))}
+                  maxLength={2000}
+                />
+              </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setCourseForm(null)} disabled={saving}>ยกเลิก</Button>
+              <Button variant="primary" type="submit" disabled={saving}>
+                {saving ? 'กำลังบันทึก...' : 'บันทึก'}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+
+      {/* Objective form */}
+      <Modal show={objectiveForm !== null} onHide={() => setObjectiveForm(null)} centered>
+        {objectiveForm && (
+          <Form onSubmit={handleSaveObjective}>
+            <Modal.Header closeButton>
+              <Modal.Title>{objectiveForm.id ? 'แก้ไขวัตถุประสงค์' : 'เพิ่มวัตถุประสงค์'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {formError && <Alert variant="danger">{formError}</Alert>}
+              <Form.Group className="mb-3" controlId="objectiveCode">
+                <Form.Label>Code</Form.Label>
+                <Form.Control
+                  value={objectiveForm.code}
+                  onChange={(e) => setObjectiveForm(prev => ({ ...prev, code: e.target.value }))}
+                  placeholder="e.g. LO1"
+                  maxLength={50}
+                  required
+                />
+              </Form.Group>
+              <Form.Group controlId="objectiveDescription">
+                <Form.Label>Learning objective</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={3}
+                  value={objectiveForm.description}
+                  onChange={(e) => setObjectiveForm(prev => ({ ...prev, description: e.target.value }))}
+                  placeholder="นักเรียนสามารถ..."
+                  maxLength={1000}
+                  required
+                />
+              </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setObjectiveForm(null)} disabled={saving}>ยกเลิก</Button>
+              <Button variant="primary" type="submit" disabled={saving}>
+                {saving ? 'กำลังบันทึก...' : 'บันทึก'}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+    </Container>
+  );
+};
+
+export default ObjectivesPage;
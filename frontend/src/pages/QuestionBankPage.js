@@ -0,0 +1,517 @@
+// frontend/src/pages/QuestionBankPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { Container, Row, Col, Card, Button, Badge, Alert, Modal, Form, Spinner, InputGroup, ListGroup } from 'react-bootstrap';
+import { bankService } from '../services/api';
+import { QUESTION_TYPES, QUESTION_TYPE_LABELS_TH } from '../utils/questionTypes';
+import { DIFFICULTY_LEVELS, BLOOM_LEVELS } from '../utils/questionLevels';
+import { parseTags, formatTags } from '../utils/bankTags';
+import QuestionLevels from '../components/QuestionLevels';
+import QuestionAnswers from '../components/QuestionAnswers';
+import QuestionImage from '../components/QuestionImage';
+import QuestionAudio from '../components/QuestionAudio';
+import MathText from '../components/MathText';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { search: '', questionType: '', difficulty: '', bloomLevel: '', tag: '' };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('th-TH') : null);
+
+// Questions kept apart from any quiz, with filters and an assembler that builds a new quiz from the picked questions
+const QuestionBankPage = () => {
+  const navigate = useNavigate();
+
+  const [questions, setQuestions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [tags, setTags] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [searchText, setSearchText] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Picked questions in the order they were picked, which is their order in the new quiz
+  const [selected, setSelected] = useState([]);
+  const [assembly, setAssembly] = useState({ title: '', topic: '', studentLevel: '', language: 'thai', randomCount: 10 });
+  const [assembling, setAssembling] = useState(false);
+
+  const [details, setDetails] = useState(null);
+  const [editForm, setEditForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const loadQuestions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await bankService.getQuestions({ ...filters, limit: PAGE_SIZE, offset });
+      if (response.success) {
+        setQuestions(response.data.questions);
+        setTotal(response.data.total);
+      }
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถโหลดคลังข้อสอบได้');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, offset]);
+
+  const loadTags = useCallback(async () => {
+    try {
+      const response = await bankService.getTags();
+      if (response.success) {
+        setTags(response.data);
+      }
+    } catch (err) {
+      // The tag filter is optional; the bank works without it
+      console.error('Error loading tags:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadQuestions();
+  }, [loadQuestions]);
+
+  useEffect(() => {
+    loadTags();
+  }, [loadTags]);
+
+  const updateFilter = (field, value) => {
+    setOffset(0);
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('search', searchText.trim());
+  };
+
+  const clearFilters = () => {
+    setSearchText('');
+    setOffset(0);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+  };
+
+  // Add a random pick of the listed questions that are not picked yet
+  const pickRandom = () => {
+    const candidates = questions.map(question => question.id).filter(id => !selected.includes(id));
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+    setSelected(prev => [...prev, ...candidates.slice(0, Math.max(Number(assembly.randomCount) || 0, 0))]);
+  };
+
+  const handleAssemble = async (e) => {
+    e.preventDefault();
+
+    try {
+      setAssembling(true);
+      setError(null);
+
+      const response = await bankService.assembleQuiz({
+        title: assembly.title.trim(),
+        topic: assembly.topic.trim() || undefined,
+        studentLevel: assembly.studentLevel.trim() || undefined,
+        language: assembly.language,
+        questionIds: selected
+      });
+
+      navigate(`/view/${response.quizId}`);
+    } catch (err) {
+      setError(err.errors?.[0]?.msg || err.message || 'ไม่สามารถสร้างข้อสอบจากคลังได้');
+      setAssembling(false);
+    }
+  };
+
+  const openDetails = async (question) => {
+    setDetails({ ...question, usage: null });
+
+    try {
+      const response = await bankService.getQuestion(question.id);
+      if (response.success) {
+        setDetails(response.data);
+      }
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถโหลดข้อสอบได้');
+      setDetails(null);
+    }
+  };
+
+  const openEditForm = (question) => {
+    setFormError(null);
+    setEditForm({
+      id: question.id,
+      questionText: question.questionText,
+      explanation: question.explanation || '',
+      difficulty: question.difficulty || '',
+      bloomLevel: question.bloomLevel || '',
+      tagText: formatTags(question.tags)
+    });
+  };
+
+  const handleSaveQuestion = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setFormError(null);
+
+      const { id, tagText, ...fields } = editForm;
+      const response = await bankService.updateQuestion(id, {
+        ...fields,
+        difficulty: fields.difficulty || null,
+        bloomLevel: fields.bloomLevel || null,
+        tags: parseTags(tagText)
+      });
+
+      setQuestions(prev => prev.map(question => (question.id === id ? response.data : question)));
+      setEditForm(null);
+      loadTags();
+    } catch (err) {
+      setFormError(err.errors?.[0]?.msg || err.message || 'ไม่สามารถบันทึกข้อสอบได้');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (question) => {
+    if (!window.confirm('Remove this question from the question bank? Quizzes that use it keep their copy.')) return;
+
+    try {
+      await bankService.deleteQuestion(question.id);
+      setSelected(prev => prev.filter(id => id !== question.id));
+      await Promise.all([loadQuestions(), loadTags()]);
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถลบข้อสอบได้');
+    }
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <Container fluid className="py-4 px-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2 className="mb-0">Question Bank</h2>
+        <span className="text-muted">{total} ข้อ</span>
+      </div>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError(null)}>{error}</Alert>}
+
+      <Row>
+        <Col lg={8} className="mb-4">
+          {/* Filters */}
+          <Card className="shadow-sm mb-3">
+            <Card.Body>
+              <Form onSubmit={handleSearch}>
+                <InputGroup className="mb-2">
+                  <Form.Control
+                    value={searchText}
+                    onChange={(e) => setSearchText(e.target.value)}
+                    placeholder="ค้นหาข้อความในโจทย์หรือคำอธิบาย"
+                  />
+                  <Button type="submit" variant="outline-primary">ค้นหา</Button>
+                </InputGroup>
+              </Form>
+              <Row className="g-2">
+                <Col sm={6} md={3}>
+                  <Form.Select size="sm" value={filters.questionType} onChange={(e) => updateFilter('questionType', e.target.value)}>
+                    <option value="">ทุกรูปแบบ</option>
+                    {QUESTION_TYPES.map(type => (
+                      <option key={type} value={type}>{QUESTION_TYPE_LABELS_TH[type]} ({type})</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col sm={6} md={3}>
+                  <Form.Select size="sm" value={filters.difficulty} onChange={(e) => updateFilter('difficulty', e.target.value)}>
+                    <option value="">ทุกระดับความยาก</option>
+                    {DIFFICULTY_LEVELS.map(level => (
+                      <option key={level.value} value={level.value}>{level.labelTh} ({level.label})</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col sm={6} md={3}>
+                  <Form.Select size="sm" value={filters.bloomLevel} onChange={(e) => updateFilter('bloomLevel', e.target.value)}>
+                    <option value="">ทุกระดับ Bloom</option>
+                    {BLOOM_LEVELS.map(level => (
+                      <option key={level.value} value={level.value}>{level.labelTh} ({level.label})</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col sm={6} md={3}>
+                  <Form.Select size="sm" value={filters.tag} onChange={(e) => updateFilter('tag', e.target.value)}>
+                    <option value="">ทุกแท็ก</option>
+                    {tags.map(tag => (
+                      <option key={tag.tag} value={tag.tag}>{tag.tag} ({tag.count})</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+              </Row>
+              {hasFilters && (
+                <Button variant="link" size="sm" className="p-0 mt-2" onClick={clearFilters}>ล้างตัวกรอง</Button>
+              )}
+            </Card.Body>
+          </Card>
+
+          {/* Questions */}
+          {loading ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" variant="primary" />
+            </div>
+          ) : questions.length === 0 ? (
+            <Alert variant="info">
+              {hasFilters
+                ? 'ไม่พบข้อสอบที่ตรงกับตัวกรอง'
+                : 'คลังข้อสอบยังว่างอยู่ เปิดข้อสอบที่บันทึกไว้แล้วกด "เพิ่มเข้าคลังข้อสอบ" เพื่อเก็บข้อสอบไว้ใช้ซ้ำ'}
+            </Alert>
+          ) : (
+            <>
+              {questions.map(question => (
+                <Card key={question.id} className={`shadow-sm mb-2 ${selected.includes(question.id) ? 'border-primary' : ''}`}>
+                  <Card.Body className="py-2">
+                    <div className="d-flex align-items-start">
+                      <Form.Check
+                        type="checkbox"
+                        id={`bank-question-${question.id}`}
+                        className="me-3 mt-1"
+                        checked={selected.includes(question.id)}
+                        onChange={() => toggleSelected(question.id)}
+                        aria-label="Select question"
+                      />
+                      <div className="flex-grow-1">
+                        <div className="mb-1"><MathText text={question.questionText} /></div>
+                        <div className="small">
+                          <Badge bg="light" text="dark" className="me-1 fw-normal border">
+                            {QUESTION_TYPE_LABELS_TH[question.questionType] || question.questionType}
+                          </Badge>
+                          <QuestionLevels question={question} />
+                          {question.tags.map(tag => (
+                            <Badge key={tag} bg="info" text="dark" className="ms-1 fw-normal">#{tag}</Badge>
+                          ))}
+                        </div>
+                        <div className="small text-muted mt-1">
+                          {question.usageCount > 0
+                            ? `ใช้แล้ว ${question.usageCount} ครั้ง · ล่าสุด ${formatDate(question.lastUsedAt)}`
+                            : 'ยังไม่เคยใช้'}
+                        </div>
+                      </div>
+                      <div className="ms-2 text-nowrap">
+                        <Button variant="link" size="sm" onClick={() => openDetails(question)}>ดู</Button>
+                        <Button variant="link" size="sm" onClick={() => openEditForm(question)}>แก้ไข</Button>
+                        <Button variant="link" size="sm" className="text-danger" onClick={() => handleDelete(question)}>ลบ</Button>
+                      </div>
+                    </div>
+                  </Card.Body>
+                </Card>
+              ))}
+
+              {total > PAGE_SIZE && (
+                <div className="d-flex justify-content-between align-items-center mt-3">
+                  <Button variant="outline-secondary" size="sm" disabled={offset === 0} onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}>
+                    ก่อนหน้า
+                  </Button>
+                  <small className="text-muted">
+                    {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} จาก {total}
+                  </small>
+                  <Button variant="outline-secondary" size="sm" disabled={offset + PAGE_SIZE >= total} onClick={() => setOffset(offset + PAGE_SIZE)}>
+                    ถัดไป
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </Col>
+
+        {/* Assembler */}
+        <Col lg={4}>
+          <Card className="shadow-sm sticky-top" style={{ top: '1rem' }}>
+            <Card.Header className="bg-white fw-bold">สร้างข้อสอบจากคลัง</Card.Header>
+            <Card.Body>
+              <Form onSubmit={handleAssemble}>
+                <div className="d-flex justify-content-between align-items-center mb-3">
+                  <span>เลือกแล้ว <strong>{selected.length}</strong> ข้อ</span>
+                  {selected.length > 0 && (
+                    <Button variant="link" size="sm" className="p-0" onClick={() => setSelected([])}>ล้าง</Button>
+                  )}
+                </div>
+
+                <InputGroup size="sm" className="mb-3">
+                  <InputGroup.Text>สุ่ม</InputGroup.Text>
+                  <Form.Control
+                    type="number"
+                    min={1}
+                    max={100}
+                    value={assembly.randomCount}
+                    onChange={(e) => setAssembly(prev => ({ ...prev, randomCount: e.target.value }))}
+                  />
+                  <Button variant="outline-primary" onClick={pickRandom} disabled={questions.length === 0}>
+                    ข้อจากผลการค้นหา
+                  </Button>
+                </InputGroup>
+
+                <Form.Group className="mb-3" controlId="assembleTitle">
+                  <Form.Label>ชื่อข้อสอบ</Form.Label>
+                  <Form.Control
+                    value={assembly.title}
+                    onChange={(e) => setAssembly(prev => ({ ...prev, title: e.target.value }))}
+                    maxLength={200}
+                    required
+                  />
+                </Form.Group>
+                <Form.Group className="mb-3" controlId="assembleTopic">
+                  <Form.Label>หัวข้อ (ไม่บังคับ)</Form.Label>
+                  <Form.Control
+                    value={assembly.topic}
+                    onChange={(e) => setAssembly(prev => ({ ...prev, topic: e.target.value }))}
+                    maxLength={200}
+                  />
+                </Form.Group>
+                <Row className="g-2 mb-3">
+                  <Col>
+                    <Form.Label>ระดับชั้น</Form.Label>
+                    <Form.Control
+                      value={assembly.studentLevel}
+                      onChange={(e) => setAssembly(prev => ({ ...prev, studentLevel: e.target.value }))}
+                      maxLength={100}
+                    />
+                  </Col>
+                  <Col>
+                    <Form.Label>ภาษา</Form.Label>
+                    <Form.Select
+                      value={assembly.language}
+                      onChange={(e) => setAssembly(prev => ({ ...prev, language: e.target.value }))}
+                    >
+                      <option value="thai">ภาษาไทย</option>
+                      <option value="english">English</option>
+                    </Form.Select>
+                  </Col>
+                </Row>
+
+                <Button type="submit" variant="primary" className="w-100" disabled={assembling || selected.length === 0}>
+                  {assembling ? 'กำลังสร้าง...' : `สร้างข้อสอบ ${selected.length} ข้อ`}
+                </Button>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      {/* Question details with usage history */}
+      <Modal show={details !== null} onHide={() => setDetails(null)} size="lg" centered>
+        {details && (
+          <>
+            <Modal.Header closeButton>
+              <Modal.Title className="h5"><MathText text={details.questionText} /></Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              <QuestionImage image={details.image} alt={details.questionText} className="d-block mb-3" />
+              <QuestionAudio audio={details.audio} className="d-block mb-3" />
+              <QuestionAnswers question={details} type={details.questionType} isThai={details.language !== 'english'} />
+              {details.explanation && <p className="text-muted small"><MathText text={details.explanation} /></p>}
+
+              <h6 className="mt-4">ประวัติการใช้งาน</h6>
+              {details.usage === null ? (
+                <Spinner animation="border" size="sm" />
+              ) : details.usage.length === 0 ? (
+                <p className="text-muted small mb-0">ยังไม่เคยใช้ในข้อสอบชุดใด</p>
+              ) : (
+                <ListGroup variant="flush">
+                  {details.usage.map((use, index) => (
+                    <ListGroup.Item key={index} className="d-flex justify-content-between px-0">
+                      {use.quizId
+                        ? <Link to={`/view/${use.quizId}`}>{use.quizTitle}</Link>
+                        : <span className="text-muted">{use.quizTitle} (ลบแล้ว)</span>}
+                      <small className="text-muted">{formatDate(use.usedAt)}</small>
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+              )}
+            </Modal.Body>
+          </>
+        )}
+      </Modal>
+
+      {/* Edit form */}
+      <Modal show={editForm !== null} onHide={() => setEditForm(null)} centered>
+        {editForm && (
+          <Form onSubmit={handleSaveQuestion}>
+            <Modal.Header closeButton>
+              <Modal.Title>แก้ไขข้อสอบในคลัง</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {formError && <Alert variant="danger">{formError}</Alert>}
+              <Form.Group className="mb-3" controlId="bankQuestionText">
+                <Form.Label>Question</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={3}
+                  value={editForm.questionText}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, questionText: e.target.value }))}
+                  required
+                />
+              </Form.Group>
+              <Form.Group className="mb-3" controlId="bankExplanation">
+                <Form.Label>Explanation</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  value={editForm.explanation}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, explanation: e.target.value }))}
+                />
+              </Form.Group>
+              <Row className="g-2 mb-3">
+                <Col>
+                  <Form.Label>Difficulty</Form.Label>
+                  <Form.Select
+                    value={editForm.difficulty}
+                    onChange={(e) => setEditForm(prev => ({ ...prev, difficulty: e.target.value }))}
+                  >
+                    <option value="">—</option>
+                    {DIFFICULTY_LEVELS.map(level => (
+                      <option key={level.value} value={level.value}>{level.label}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col>
+                  <Form.Label>Bloom level</Form.Label>
+                  <Form.Select
+                    value={editForm.bloomLevel}
+                    onChange={(e) => setEditForm(prev => ({ ...prev, bloomLevel: e.target.value }))}
+                  >
+                    <option value="">—</option>
+                    {BLOOM_LEVELS.map(level => (
+                      <option key={level.value} value={level.value}>{level.label}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+              </Row>
+              <Form.Group controlId="bankQuestionTags">
+                <Form.Label>Tags</Form.Label>
+                <Form.Control
+                  value={editForm.tagText}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, tagText: e.target.value }))}
+                  placeholder="e.g. grade 8, chapter 3, midterm"
+                />
+                <Form.Text className="text-muted">
+                  คั่นแท็กด้วยจุลภาค · ข้อสอบชุดที่ใช้ข้อนี้ไปแล้วจะไม่เปลี่ยนตาม
+                </Form.Text>
+              </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setEditForm(null)} disabled={saving}>ยกเลิก</Button>
+              <Button variant="primary" type="submit" disabled={saving}>
+                {saving ? 'กำลังบันทึก...' : 'บันทึก'}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+    </Container>
+  );
+};
+
+export default QuestionBankPage;
@@ -1,12 +1,21 @@
 // Example of how to integrate the QuizActionMenu in QuizResultPage.js
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Container, Row, Col, Card, Button, Form, Modal, Spinner, Alert } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { quizService } from '../services/api';
 import { useQuizContext } from '../context/QuizContext';
 import { FaPlus, FaSave } from 'react-icons/fa';
 import QuizActionMenu from '../components/QuizActionMenu'; // Import the component
+import QuestionSource from '../components/QuestionSource';
+import QuestionAnswers from '../components/QuestionAnswers';
+import MathText from '../components/MathText';
+import QuestionLevels from '../components/QuestionLevels';
+import DuplicateReport from '../components/DuplicateReport';
+import AnswerKeyFlags from '../components/AnswerKeyFlags';
+import DistractorQuality from '../components/DistractorQuality';
+import ObjectiveTags from '../components/ObjectiveTags';
+import { getQuestionType, MIXED_QUESTION_TYPE } from '../utils/questionTypes';
 
 const QuizResultPage = () => {
   const navigate = useNavigate();
@@ -18,6 +27,21 @@ const QuizResultPage = () => {
   const [validated, setValidated] = useState(false);
   const [savedQuiz, setSavedQuiz] = useState(null);
   const [showSuccessAlert, setShowSuccessAlert] = useState(false);
+
+  // Near-duplicate report and the question a merge/replace action is working on
+  const [duplicateReport, setDuplicateReport] = useState(null);
+  const [checkingDuplicates, setCheckingDuplicates] = useState(false);
+  const [duplicateBusyIndex, setDuplicateBusyIndex] = useState(null);
+
+  // AI answer-key check and the flag being resolved
+  const [checkingAnswerKey, setCheckingAnswerKey] = useState(false);
+  const [resolvingFlag, setResolvingFlag] = useState(null);
+  const answerKeyCheckStarted = useRef(false);
+
+  // Distractor scores of the choice questions and the question whose distractors are being rewritten
+  const [distractorAnalysis, setDistractorAnalysis] = useState(null);
+  const [analyzingDistractors, setAnalyzingDistractors] = useState(false);
+  const [improvingIndex, setImprovingIndex] = useState(null);
   
   // State for the saved quiz to use with the action menu
   const [quizActionOptions, setQuizActionOptions] = useState({
@@ -76,6 +100,19 @@ const QuizResultPage = () => {
       if (response.success) {
         // Close modal
         handleCloseSaveModal();
+
+        // The backend checks the saved questions for near-duplicates
+        if (response.duplicates) {
+          setDuplicateReport(response.duplicates);
+        }
+
+        // Answer-key flags are stored with the questions; reload them to resolve them by ID
+        if (generatedQuiz.questions.some(question => question.reviewFlags?.length > 0)) {
+          const saved = await quizService.getQuizById(response.quizId);
+          if (saved.success) {
+            setGeneratedQuiz({ ...generatedQuiz, questions: saved.data.questions });
+          }
+        }
         
         // Set success message
         setShowSuccessAlert(true);
@@ -111,8 +148,195 @@ const QuizResultPage = () => {
     }
   };
   
+  // Check the questions on screen for near-duplicates
+  const runDuplicateCheck = async (questions = generatedQuiz.questions) => {
+    try {
+      setCheckingDuplicates(true);
+      const response = await quizService.checkDuplicates(questions, savedQuiz?.id);
+      if (response.success) {
+        setDuplicateReport(response.data);
+      }
+    } catch (error) {
+      setError(error.message || 'Failed to check for duplicate questions');
+    } finally {
+      setCheckingDuplicates(false);
+    }
+  };
+
+  // Check the answer key of the questions on screen with a second AI pass
+  const runAnswerKeyCheck = useCallback(async () => {
+    try {
+      setCheckingAnswerKey(true);
+
+      let questions;
+      if (savedQuiz) {
+        const response = await quizService.checkQuizAnswerKeys(savedQuiz.id);
+        questions = response.data.quiz.questions;
+      } else {
+        const response = await quizService.checkAnswerKeys(generatedQuiz.questions, {
+          topic: generatedQuiz.topic,
+          questionType: generatedQuiz.questionType,
+          language: generatedQuiz.language
+        });
+        questions = generatedQuiz.questions.map((question, index) => ({
+          ...question,
+          reviewFlags: response.data.flags
+            .filter(flag => flag.index === index)
+            .map(({ index: flagIndex, ...flag }) => flag)
+        }));
+      }
+
+      setGeneratedQuiz(prev => ({ ...prev, questions }));
+    } catch (error) {
+      setError(error.message || 'Failed to check the answer key');
+    } finally {
+      setCheckingAnswerKey(false);
+    }
+  }, [generatedQuiz, savedQuiz, setGeneratedQuiz, setError]);
+
+  // Run the check once after generation when it was requested on the create page
+  useEffect(() => {
+    if (generatedQuiz?.formData?.verifyAnswerKey && !answerKeyCheckStarted.current) {
+      answerKeyCheckStarted.current = true;
+      runAnswerKeyCheck();
+    }
+  }, [generatedQuiz, runAnswerKeyCheck]);
+
+  // Resolve: the teacher has looked at the flag; saved flags are marked resolved on the server
+  const handleResolveFlag = async (questionIndex, flag, flagIndex) => {
+    try {
+      setResolvingFlag({ questionIndex, key: flag.id || flagIndex });
+
+      if (savedQuiz && flag.id) {
+        await quizService.resolveQuestionFlag(savedQuiz.id, flag.id);
+      }
+
+      setGeneratedQuiz(prev => ({
+        ...prev,
+        questions: prev.questions.map((question, index) => (
+          index === questionIndex
+            ? { ...question, reviewFlags: question.reviewFlags.filter((_, i) => i !== flagIndex) }
+            : question
+        ))
+      }));
+    } catch (error) {
+      setError(error.message || 'Failed to resolve the flag');
+    } finally {
+      setResolvingFlag(null);
+    }
+  };
+
+  // Score the distractors of the choice questions on screen
+  const runDistractorAnalysis = async (questions = generatedQuiz.questions) => {
+    try {
+      setAnalyzingDistractors(true);
+      const response = savedQuiz
+        ? await quizService.getQuizDistractors(savedQuiz.id)
+        : await quizService.analyzeDistractors(questions, generatedQuiz.questionType);
+      if (response.success) {
+        setDistractorAnalysis(response.data);
+      }
+    } catch (error) {
+      setError(error.message || 'Failed to analyze the distractors');
+    } finally {
+      setAnalyzingDistractors(false);
+    }
+  };
+
+  // Let the AI rewrite the wrong options of a question, keeping its stem and correct answer
+  const handleImproveDistractors = async (questionIndex) => {
+    try {
+      setImprovingIndex(questionIndex);
+
+      let questions;
+      if (savedQuiz) {
+        const response = await quizService.improveQuestionDistractors(savedQuiz.id, questionIndex + 1);
+        questions = response.data.quiz.questions;
+      } else {
+        const response = await quizService.improveDistractors(generatedQuiz.questions[questionIndex], {
+          topic: generatedQuiz.topic,
+          questionType: generatedQuiz.questionType,
+          studentLevel: generatedQuiz.studentLevel
+        });
+        questions = generatedQuiz.questions.map((question, index) => (
+          index === questionIndex ? response.data.question : question
+        ));
+      }
+
+      setGeneratedQuiz({ ...generatedQuiz, questions });
+      await runDistractorAnalysis(questions);
+    } catch (error) {
+      setError(error.message || 'Failed to improve the distractors');
+    } finally {
+      setImprovingIndex(null);
+    }
+  };
+
+  // Merge: drop the repeated question and keep the earlier (or saved) one, taking over its explanation if the kept one has none
+  const handleMergeDuplicate = async (item) => {
+    const questions = generatedQuiz.questions.map((question, index) => (
+      item.kind === 'withinQuiz' && index === item.duplicateOf && !question.explanation
+        ? { ...question, explanation: generatedQuiz.questions[item.index].explanation }
+        : question
+    )).filter((question, index) => index !== item.index);
+
+    setGeneratedQuiz({ ...generatedQuiz, questions });
+    setDistractorAnalysis(null);
+    await runDuplicateCheck(questions);
+  };
+
+  // Replace: let the AI write a new question in place of the repeated one
+  const handleReplaceDuplicate = async (item) => {
+    try {
+      setDuplicateBusyIndex(item.index);
+
+      let questions;
+      if (savedQuiz) {
+        const response = await quizService.regenerateQuestion(savedQuiz.id, item.index + 1);
+        questions = response.data.quiz.questions;
+      } else {
+        const response = await quizService.generateReplacementQuestion({
+          topic: generatedQuiz.topic,
+          questionType: generatedQuiz.questionType,
+          studentLevel: generatedQuiz.studentLevel,
+          language: generatedQuiz.language,
+          questions: generatedQuiz.questions,
+          position: item.index + 1
+        });
+        questions = generatedQuiz.questions.map((question, index) => (
+          index === item.index ? response.data.question : question
+        ));
+      }
+
+      setGeneratedQuiz({ ...generatedQuiz, questions });
+      setDistractorAnalysis(null);
+      await runDuplicateCheck(questions);
+    } catch (error) {
+      setError(error.message || 'Failed to replace the question');
+    } finally {
+      setDuplicateBusyIndex(null);
+    }
+  };
+
   // Determine if Thai language based on content (simplified version)
   const isThai = generatedQuiz?.topic && /[\u0E00-\u0E7F]/.test(generatedQuiz.topic);
+
+  // Questions the backend repaired or dropped after schema validation
+  const validation = generatedQuiz?.validation;
+  const validationIssues = validation
+    ? [
+        ...validation.repaired.map(issue => ({ ...issue, status: 'repaired' })),
+        ...validation.dropped.map(issue => ({ ...issue, status: 'dropped' }))
+      ]
+    : [];
+
+  // Learning objectives the quiz was generated for, counted on the current questions
+  const requestedObjectives = (generatedQuiz?.objectives || []).map(objective => ({
+    ...objective,
+    questionCount: generatedQuiz.questions.filter(question => (question.objectiveIds || []).includes(objective.id)).length
+  }));
+  const uncoveredObjectives = requestedObjectives.filter(objective => objective.questionCount === 0);
+  const questionObjectives = (question) => requestedObjectives.filter(objective => (question.objectiveIds || []).includes(objective.id));
   
   // Handlers for action menu callbacks
   const handleRenameSuccess = (newTitle) => {
@@ -194,40 +418,142 @@ const QuizResultPage = () => {
           </p>
         </Col>
       </Row>
-      
+
+      {/* Schema validation report */}
+      {validationIssues.length > 0 && (
+        <Alert variant={validation.dropped.length > 0 ? 'warning' : 'info'} className="mb-4">
+          <Alert.Heading as="h6">
+            {isThai
+              ? `AI แก้ไขข้อสอบ ${validation.repaired.length} ข้อ และตัดทิ้ง ${validation.dropped.length} ข้อที่ไม่ผ่านการตรวจสอบ`
+              : `AI repaired ${validation.repaired.length} and dropped ${validation.dropped.length} question(s) that failed validation`}
+          </Alert.Heading>
+          <ul className="mb-0 small">
+            {validationIssues.map((issue, issueIndex) => (
+              <li key={issueIndex}>
+                <strong>{issue.status === 'repaired' ? (isThai ? 'แก้ไขแล้ว' : 'Repaired') : (isThai ? 'ตัดทิ้ง' : 'Dropped')}:</strong>{' '}
+                {issue.questionText || `#${issue.index + 1}`}
+                {' — '}
+                <span className="text-muted">{issue.errors.join('; ')}</span>
+              </li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+
+      {/* Coverage of the requested learning objectives */}
+      {requestedObjectives.length > 0 && (
+        <Alert variant={uncoveredObjectives.length > 0 ? 'warning' : 'success'} className="mb-4">
+          <Alert.Heading as="h6">
+            {isThai
+              ? `ครอบคลุมวัตถุประสงค์ ${requestedObjectives.length - uncoveredObjectives.length} จาก ${requestedObjectives.length} ข้อ`
+              : `${requestedObjectives.length - uncoveredObjectives.length} of ${requestedObjectives.length} learning objectives covered`}
+          </Alert.Heading>
+          <ul className="mb-0 small">
+            {requestedObjectives.map(objective => (
+              <li key={objective.id} className={objective.questionCount === 0 ? 'fw-bold' : ''}>
+                {objective.code}: {objective.description}
+                {' — '}
+                {objective.questionCount === 0
+                  ? (isThai ? 'ยังไม่มีคำถาม' : 'no questions')
+                  : `${objective.questionCount} ${isThai ? 'ข้อ' : 'question(s)'}`}
+              </li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+
+      {/* Near-duplicate check */}
+      <div className="d-flex justify-content-end mb-3">
+        <Button
+          variant="outline-secondary"
+          size="sm"
+          onClick={() => runDuplicateCheck()}
+          disabled={checkingDuplicates || duplicateBusyIndex !== null}
+        >
+          {checkingDuplicates && <Spinner animation="border" size="sm" className="me-2" />}
+          {isThai ? 'ตรวจหาคำถามซ้ำ' : 'Check for duplicates'}
+        </Button>
+        <Button
+          variant="outline-secondary"
+          size="sm"
+          className="ms-2"
+          onClick={runAnswerKeyCheck}
+          disabled={checkingAnswerKey || loading}
+        >
+          {checkingAnswerKey && <Spinner animation="border" size="sm" className="me-2" />}
+          {isThai ? 'ตรวจเฉลยด้วย AI' : 'Check answer key with AI'}
+        </Button>
+        <Button
+          variant="outline-secondary"
+          size="sm"
+          className="ms-2"
+          onClick={() => runDistractorAnalysis()}
+          disabled={analyzingDistractors || improvingIndex !== null}
+        >
+          {analyzingDistractors && <Spinner animation="border" size="sm" className="me-2" />}
+          {isThai ? 'วิเคราะห์ตัวลวง' : 'Analyze distractors'}
+          {distractorAnalysis?.averageScore != null && ` (${distractorAnalysis.averageScore}/100)`}
+        </Button>
+      </div>
+
+      <DuplicateReport
+        report={duplicateReport}
+        questions={generatedQuiz.questions}
+        isThai={isThai}
+        onMerge={savedQuiz ? undefined : handleMergeDuplicate}
+        onReplace={handleReplaceDuplicate}
+        busyIndex={duplicateBusyIndex}
+        onClose={() => setDuplicateReport(null)}
+      />
+
       {/* Questions List */}
       {generatedQuiz.questions.map((question, questionIndex) => (
         <Card key={questionIndex} className="mb-4 shadow-sm">
           <Card.Header className="bg-light">
-            <h5 className="mb-0">{isThai ? `ข้อที่ ${questionIndex + 1}` : `Question ${questionIndex + 1}`}</h5>
+            <h5 className="mb-0">
+              {isThai ? `ข้อที่ ${questionIndex + 1}` : `Question ${questionIndex + 1}`}
+              {generatedQuiz.questionType === MIXED_QUESTION_TYPE && (
+                <small className="text-muted ms-2">({question.questionType})</small>
+              )}
+              <QuestionLevels question={question} isThai={isThai} />
+            </h5>
           </Card.Header>
           <Card.Body>
-            <p className="h5 mb-4">{question.questionText}</p>
+            <p className="h5 mb-4"><MathText text={question.questionText} /></p>
+
+            <ObjectiveTags objectives={questionObjectives(question)} isThai={isThai} />
+
+            <AnswerKeyFlags
+              flags={question.reviewFlags}
+              isThai={isThai}
+              onResolve={(flag, flagIndex) => handleResolveFlag(questionIndex, flag, flagIndex)}
+              busyFlag={resolvingFlag?.questionIndex === questionIndex ? resolvingFlag.key : null}
+            />
+
+            <DistractorQuality
+              analysis={distractorAnalysis?.questions.find(analysis => analysis.index === questionIndex)}
+              isThai={isThai}
+              onImprove={() => handleImproveDistractors(questionIndex)}
+              busy={improvingIndex === questionIndex}
+              disabled={improvingIndex !== null}
+            />
             
-            {/* Multiple Choice Options */}
-            {generatedQuiz.questionType === 'Multiple Choice' && (
-              <div className="mb-4">
-                {question.options.map((option, optionIndex) => {
-                  const optionLabel = String.fromCharCode(65 + optionIndex); // A, B, C, D, ...
-                  return (
-                    <div key={optionIndex} className="mb-3 ps-2">
-                      <span className={option.isCorrect ? 'text-success fw-bold' : ''}>
-                        <strong>{optionLabel}.</strong> {option.text}
-                        {option.isCorrect && ' ✓'}
-                      </span>
-                    </div>
-                  );
-                })}
-              </div>
-            )}
+            {/* Answers, laid out for the question's type */}
+            <QuestionAnswers
+              question={question}
+              type={getQuestionType(question, generatedQuiz.questionType)}
+              isThai={isThai}
+            />
             
             {/* Explanation */}
             <Card className="bg-light">
               <Card.Body>
                 <h6 className="mb-2">{isThai ? 'คำอธิบาย:' : 'Explanation:'}</h6>
-                <p className="mb-0">{question.explanation}</p>
+                <p className="mb-0"><MathText text={question.explanation} /></p>
               </Card.Body>
             </Card>
+
+            <QuestionSource source={question.source} isThai={isThai} />
           </Card.Body>
         </Card>
       ))}
@@ -1,12 +1,32 @@
 // frontend/src/pages/ViewQuizPage.js
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Alert } from 'react-bootstrap';
+import { Container, Row, Col, Card, Button, ButtonGroup, Alert, Badge } from 'react-bootstrap';
 import { useParams, useNavigate } from 'react-router-dom';
 import { quizService } from '../services/api';
 import ErrorBoundary from '../components/ErrorBoundary';
 import QuizStatistics from '../components/QuizStatistics';
 import PrintableQuiz from '../components/PrintableQuiz';
 import QuizActionMenu from '../components/QuizActionMenu';
+import QuestionSource from '../components/QuestionSource';
+import QuestionAnswers from '../components/QuestionAnswers';
+import QuestionImage from '../components/QuestionImage';
+import QuestionAudio from '../components/QuestionAudio';
+import MathText from '../components/MathText';
+import QuestionLevels from '../components/QuestionLevels';
+import GenerateQuestionsModal from '../components/GenerateQuestionsModal';
+import FillExplanationsModal from '../components/FillExplanationsModal';
+import DuplicateReport from '../components/DuplicateReport';
+import AnswerKeyFlags from '../components/AnswerKeyFlags';
+import DistractorQuality from '../components/DistractorQuality';
+import ObjectiveTags from '../components/ObjectiveTags';
+import QuestionObjectivesModal from '../components/QuestionObjectivesModal';
+import AddToBankModal from '../components/AddToBankModal';
+import VersionHistoryModal from '../components/VersionHistoryModal';
+import QuestionEditor from '../components/QuestionEditor';
+import AddQuestionModal from '../components/AddQuestionModal';
+import { getQuestionType, MIXED_QUESTION_TYPE } from '../utils/questionTypes';
+import { isStaleEdit, staleEditMessage } from '../utils/questionEditing';
+import { LANGUAGE_LABELS, quizLanguage, otherLanguage, translatedQuestion } from '../utils/quizLanguages';
 
 const ViewQuizPage = () => {
   const { id } = useParams();
@@ -15,6 +35,28 @@ const ViewQuizPage = () => {
   const [quiz, setQuiz] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Question being regenerated (1-based), null for "generate more"; undefined while the modal is closed
+  const [generateTarget, setGenerateTarget] = useState(undefined);
+  const [showExplanationsModal, setShowExplanationsModal] = useState(false);
+  const [duplicateReport, setDuplicateReport] = useState(null);
+  const [checkingDuplicates, setCheckingDuplicates] = useState(false);
+  const [translating, setTranslating] = useState(false);
+  const [translateNotice, setTranslateNotice] = useState(null);
+  const [checkingAnswerKey, setCheckingAnswerKey] = useState(false);
+  const [resolvingFlagId, setResolvingFlagId] = useState(null);
+  const [distractorAnalysis, setDistractorAnalysis] = useState(null);
+  const [analyzingDistractors, setAnalyzingDistractors] = useState(false);
+  const [improvingPosition, setImprovingPosition] = useState(null);
+  // คำถามที่กำลังแก้ไขวัตถุประสงค์การเรียนรู้
+  const [objectivesQuestion, setObjectivesQuestion] = useState(null);
+  const [showBankModal, setShowBankModal] = useState(false);
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [busyQuestionId, setBusyQuestionId] = useState(null);
+  const [editError, setEditError] = useState(null);
+  // แสดงคำถามเป็นภาษาที่แปลแล้วแทนต้นฉบับ
+  const [showTranslation, setShowTranslation] = useState(false);
   
   // โหลดข้อมูลข้อสอบ
   useEffect(() => {
@@ -38,6 +80,205 @@ const ViewQuizPage = () => {
     fetchQuiz();
   }, [id]);
   
+  // แทนวัตถุประสงค์ของคำถามด้วยชุดที่บันทึกแล้ว
+  const handleObjectivesSaved = (questionId, objectives, version) => {
+    setQuiz(prev => ({
+      ...prev,
+      version: version ?? prev.version,
+      questions: prev.questions.map(question => (question.id === questionId
+        ? { ...question, objectives, objectiveIds: objectives.map(objective => objective.id) }
+        : question))
+    }));
+  };
+
+  // ผูกคำถามที่เพิ่มเข้าคลังข้อสอบแล้วกับข้อในคลัง
+  const handleAddedToBank = (added) => {
+    setQuiz(prev => ({
+      ...prev,
+      questions: prev.questions.map(question => {
+        const link = added.find(item => item.questionId === question.id);
+        return link ? { ...question, bankQuestionId: link.bankQuestionId } : question;
+      })
+    }));
+  };
+
+  // ตรวจหาคำถามที่ซ้ำหรือใกล้เคียงกันในข้อสอบนี้และในคลังข้อสอบ
+  const handleCheckDuplicates = async () => {
+    try {
+      setCheckingDuplicates(true);
+      const response = await quizService.getQuizDuplicates(id);
+      if (response.success) {
+        setDuplicateReport(response.data);
+      }
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถตรวจหาคำถามซ้ำได้');
+    } finally {
+      setCheckingDuplicates(false);
+    }
+  };
+
+  // แปลข้อสอบทั้งชุดเป็นอีกภาษาหนึ่ง (ไทย <-> อังกฤษ) และเก็บไว้คู่กับต้นฉบับ
+  const handleTranslate = async () => {
+    try {
+      setTranslating(true);
+      setTranslateNotice(null);
+      const response = await quizService.translateQuiz(id);
+      if (response.success) {
+        setQuiz(response.data.quiz);
+        setShowTranslation(true);
+        if (response.data.failed.length > 0) {
+          setTranslateNotice(`แปลไม่สำเร็จ ${response.data.failed.length} ข้อ (ข้อที่ ${response.data.failed.join(', ')}) ลองแปลใหม่อีกครั้ง`);
+        }
+      }
+    } catch (err) {
+      setTranslateNotice(err.message || 'ไม่สามารถแปลข้อสอบได้');
+    } finally {
+      setTranslating(false);
+    }
+  };
+
+  // ให้ AI ตรวจเฉลยอีกรอบ ข้อที่น่าสงสัยจะถูกติดธงไว้จนกว่าครูจะตรวจแล้ว
+  const handleCheckAnswerKey = async () => {
+    try {
+      setCheckingAnswerKey(true);
+      const response = await quizService.checkQuizAnswerKeys(id);
+      if (response.success) {
+        setQuiz(response.data.quiz);
+      }
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถตรวจเฉลยได้');
+    } finally {
+      setCheckingAnswerKey(false);
+    }
+  };
+
+  // ครูตรวจข้อที่ถูกติดธงแล้ว
+  const handleResolveFlag = async (flag) => {
+    try {
+      setResolvingFlagId(flag.id);
+      await quizService.resolveQuestionFlag(id, flag.id);
+      setQuiz(prev => ({
+        ...prev,
+        questions: prev.questions.map(question => ({
+          ...question,
+          reviewFlags: (question.reviewFlags || []).filter(item => item.id !== flag.id)
+        }))
+      }));
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถบันทึกการตรวจได้');
+    } finally {
+      setResolvingFlagId(null);
+    }
+  };
+
+  // ให้คะแนนตัวลวงของข้อปรนัย (ความยาวบอกใบ้ ตัวเลือกซ้ำกัน ตัวเลือกที่ไม่น่าเชื่อ)
+  const handleAnalyzeDistractors = async () => {
+    try {
+      setAnalyzingDistractors(true);
+      const response = await quizService.getQuizDistractors(id);
+      if (response.success) {
+        setDistractorAnalysis(response.data);
+      }
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถวิเคราะห์ตัวลวงได้');
+    } finally {
+      setAnalyzingDistractors(false);
+    }
+  };
+
+  // ให้ AI เขียนตัวลวงใหม่ โดยคงคำถามและคำตอบที่ถูกไว้
+  const handleImproveDistractors = async (position) => {
+    try {
+      setImprovingPosition(position);
+      const response = await quizService.improveQuestionDistractors(id, position, quiz.version);
+      if (response.success) {
+        setQuiz(response.data.quiz);
+        await handleAnalyzeDistractors();
+      }
+    } catch (err) {
+      setError(err.message || 'ไม่สามารถปรับปรุงตัวลวงได้');
+    } finally {
+      setImprovingPosition(null);
+    }
+  };
+
+  // คำถามเปลี่ยนแล้ว ผลการตรวจเดิมจึงใช้ไม่ได้
+  const handleQuestionsGenerated = (updatedQuiz) => {
+    setQuiz(updatedQuiz);
+    setDuplicateReport(null);
+    setDistractorAnalysis(null);
+  };
+
+  // การแก้ไขทีละข้อ: บันทึกเฉพาะข้อที่เปลี่ยนแล้วปรับรายการคำถามในหน้าตามผลที่ได้
+  const applyQuestionChange = (version, updateQuestions) => {
+    setQuiz(prev => ({ ...prev, version, questions: updateQuestions(prev.questions) }));
+    setDuplicateReport(null);
+    setDistractorAnalysis(null);
+  };
+
+  const handleQuestionSaved = (saved, version) => {
+    applyQuestionChange(version, questions => questions.map(question => (question.id === saved.id ? saved : question)));
+  };
+
+  const handleQuestionAdded = (added, version) => {
+    applyQuestionChange(version, questions => [...questions, added]);
+  };
+
+  // มีผู้อื่นแก้ไขข้อสอบก่อน (409): โหลดเวอร์ชันล่าสุดโดยไม่ปิดตัวแก้ไข เพื่อให้บันทึกอีกครั้งจากเวอร์ชันนั้นได้
+  const reloadQuiz = async () => {
+    try {
+      const response = await quizService.getQuizById(id);
+      if (response.success) {
+        handleQuestionsGenerated(response.data);
+      }
+    } catch (err) {
+      setEditError(err.message || 'ไม่สามารถโหลดข้อสอบได้');
+    }
+  };
+
+  // การแก้ไขทุกครั้งส่ง quiz.version เป็น baseVersion จึงไม่ทับการแก้ไขของผู้อื่นที่ยังไม่เห็น
+  const runQuestionAction = async (question, action) => {
+    try {
+      setBusyQuestionId(question.id);
+      setEditError(null);
+      await action();
+    } catch (err) {
+      if (isStaleEdit(err)) {
+        setEditError(staleEditMessage(quiz.language !== 'english'));
+        await reloadQuiz();
+      } else {
+        setEditError(err.message || 'ไม่สามารถบันทึกการแก้ไขได้');
+      }
+    } finally {
+      setBusyQuestionId(null);
+    }
+  };
+
+  const handleMoveQuestion = (index, offset) => runQuestionAction(quiz.questions[index], async () => {
+    const questions = [...quiz.questions];
+    [questions[index], questions[index + offset]] = [questions[index + offset], questions[index]];
+
+    const response = await quizService.reorderQuestions(id, questions.map(question => question.id), quiz.version);
+    applyQuestionChange(response.data.version, () => questions);
+  });
+
+  const handleDuplicateQuestion = (question) => runQuestionAction(question, async () => {
+    const response = await quizService.duplicateQuestion(id, question.id, quiz.version);
+    applyQuestionChange(response.data.version, questions => {
+      const index = questions.findIndex(item => item.id === question.id);
+      return [...questions.slice(0, index + 1), response.data.question, ...questions.slice(index + 1)];
+    });
+  });
+
+  const handleDeleteQuestion = (question, number) => {
+    if (!window.confirm(`ลบคำถามข้อที่ ${number}? กู้คืนได้จากประวัติการแก้ไข`)) return;
+
+    runQuestionAction(question, async () => {
+      const response = await quizService.deleteQuestion(id, question.id, quiz.version);
+      applyQuestionChange(response.data.version, questions => questions.filter(item => item.id !== question.id));
+    });
+  };
+  
   // แสดงสถานะกำลังโหลด
   if (loading) {
     return (
@@ -108,38 +349,250 @@ const ViewQuizPage = () => {
             </Card>
           
             {/* รายการคำถาม - ไม่ครอบด้วย ErrorBoundary เพราะเป็นข้อมูลสำคัญที่ควรแสดงผลเสมอ */}
-            <h3 className="mb-3">คำถามทั้งหมด</h3>
-            {quiz.questions.map((question, index) => (
-              <Card key={index} className="mb-3 shadow-sm">
-                <Card.Header className="bg-light">
-                  <h5 className="mb-0">ข้อที่ {index + 1}</h5>
-                </Card.Header>
-                <Card.Body>
-                  <p className="h6 mb-3">{question.questionText}</p>
-                  
-                  {quiz.question_type === 'Multiple Choice' && question.options && (
-                    <ul className="list-group mb-3">
-                      {question.options.map((option, optIndex) => (
-                        <li 
-                          key={optIndex} 
-                          className={`list-group-item ${option.isCorrect ? 'list-group-item-success' : ''}`}
-                        >
-                          {String.fromCharCode(65 + optIndex)}. {option.text}
-                          {option.isCorrect && ' ✓'}
-                        </li>
-                      ))}
-                    </ul>
-                  )}
-                  
-                  {question.explanation && (
-                    <div className="mt-3 bg-light p-3 rounded">
-                      <h6 className="mb-2">คำอธิบาย:</h6>
-                      <p className="mb-0">{question.explanation}</p>
+            <div className="d-flex justify-content-between align-items-center mb-3">
+              <h3 className="mb-0">คำถามทั้งหมด</h3>
+              <div className="d-flex gap-2">
+                {quiz.translation_language && (
+                  <ButtonGroup size="sm">
+                    <Button variant={showTranslation ? 'outline-secondary' : 'secondary'} onClick={() => setShowTranslation(false)}>
+                      {LANGUAGE_LABELS[quizLanguage(quiz)]}
+                    </Button>
+                    <Button variant={showTranslation ? 'secondary' : 'outline-secondary'} onClick={() => setShowTranslation(true)}>
+                      {LANGUAGE_LABELS[quiz.translation_language]}
+                    </Button>
+                  </ButtonGroup>
+                )}
+                <Button variant="outline-secondary" size="sm" onClick={handleTranslate} disabled={translating}>
+                  {translating
+                    ? 'กำลังแปล...'
+                    : `${quiz.translation_language ? 'แปลใหม่' : 'แปล'}เป็น${otherLanguage(quizLanguage(quiz)) === 'thai' ? 'ภาษาไทย' : 'ภาษาอังกฤษ'}`}
+                </Button>
+                <Button variant="outline-secondary" size="sm" onClick={handleCheckDuplicates} disabled={checkingDuplicates}>
+                  {checkingDuplicates ? 'กำลังตรวจ...' : 'ตรวจหาคำถามซ้ำ'}
+                </Button>
+                <Button variant="outline-secondary" size="sm" onClick={handleCheckAnswerKey} disabled={checkingAnswerKey}>
+                  {checkingAnswerKey ? 'กำลังตรวจเฉลย...' : 'ตรวจเฉลยด้วย AI'}
+                </Button>
+                <Button variant="outline-secondary" size="sm" onClick={handleAnalyzeDistractors} disabled={analyzingDistractors}>
+                  {analyzingDistractors ? 'กำลังวิเคราะห์...' : 'วิเคราะห์ตัวลวง'}
+                  {distractorAnalysis?.averageScore != null && ` (${distractorAnalysis.averageScore}/100)`}
+                </Button>
+                <Button variant="outline-secondary" size="sm" onClick={() => setShowExplanationsModal(true)}>
+                  สร้างคำอธิบายเฉลย
+                </Button>
+                <Button variant="outline-secondary" size="sm" onClick={() => setShowBankModal(true)}>
+                  เพิ่มเข้าคลังข้อสอบ
+                </Button>
+                <Button variant="outline-secondary" size="sm" onClick={() => setShowHistoryModal(true)}>
+                  ประวัติการแก้ไข{quiz.version > 0 && ` (v${quiz.version})`}
+                </Button>
+              </div>
+            </div>
+
+            {translateNotice && (
+              <Alert variant="warning" dismissible onClose={() => setTranslateNotice(null)}>
+                {translateNotice}
+              </Alert>
+            )}
+
+            {editError && (
+              <Alert variant="danger" dismissible onClose={() => setEditError(null)}>
+                {editError}
+              </Alert>
+            )}
+
+            <DuplicateReport
+              report={duplicateReport}
+              questions={quiz.questions}
+              isThai={quiz.language !== 'english'}
+              onReplace={(item) => setGenerateTarget(item.index + 1)}
+              onClose={() => setDuplicateReport(null)}
+            />
+            {quiz.questions.map((original, index) => {
+              const question = showTranslation ? translatedQuestion(original) : original;
+              return (
+                <Card key={question.id || index} className="mb-3 shadow-sm">
+                  <Card.Header className="bg-light d-flex justify-content-between align-items-center">
+                    <h5 className="mb-0">
+                      ข้อที่ {index + 1}
+                      {quiz.question_type === MIXED_QUESTION_TYPE && (
+                        <small className="text-muted ms-2">({question.questionType})</small>
+                      )}
+                      <QuestionLevels question={question} isThai={quiz.language !== 'english'} />
+                      {original.bankQuestionId && (
+                        <Badge bg="light" text="dark" className="ms-1 fw-normal border" title="อยู่ในคลังข้อสอบแล้ว">
+                          {quiz.language !== 'english' ? 'ในคลัง' : 'In bank'}
+                        </Badge>
+                      )}
+                    </h5>
+                    <div className="d-flex gap-1">
+                      <Button
+                        variant="outline-secondary"
+                        size="sm"
+                        onClick={() => handleMoveQuestion(index, -1)}
+                        disabled={busyQuestionId !== null || index === 0}
+                        title="เลื่อนขึ้น"
+                      >
+                        ↑
+                      </Button>
+                      <Button
+                        variant="outline-secondary"
+                        size="sm"
+                        onClick={() => handleMoveQuestion(index, 1)}
+                        disabled={busyQuestionId !== null || index === quiz.questions.length - 1}
+                        title="เลื่อนลง"
+                      >
+                        ↓
+                      </Button>
+                      <Button
+                        variant={editingId === original.id ? 'secondary' : 'outline-secondary'}
+                        size="sm"
+                        onClick={() => setEditingId(editingId === original.id ? null : original.id)}
+                      >
+                        แก้ไข
+                      </Button>
+                      <Button
+                        variant="outline-secondary"
+                        size="sm"
+                        onClick={() => handleDuplicateQuestion(original)}
+                        disabled={busyQuestionId !== null}
+                        title="ทำสำเนาข้อนี้ไว้ถัดไป"
+                      >
+                        ทำสำเนา
+                      </Button>
+                      <Button
+                        variant="outline-secondary"
+                        size="sm"
+                        onClick={() => setGenerateTarget(index + 1)}
+                        title="ให้ AI เขียนคำถามข้อนี้ใหม่"
+                      >
+                        สร้างข้อนี้ใหม่
+                      </Button>
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        onClick={() => handleDeleteQuestion(original, index + 1)}
+                        disabled={busyQuestionId !== null || quiz.questions.length === 1}
+                      >
+                        ลบ
+                      </Button>
                     </div>
-                  )}
-                </Card.Body>
-              </Card>
-            ))}
+                  </Card.Header>
+                  <Card.Body>
+                    {editingId === original.id ? (
+                      <QuestionEditor
+                        key={original.id}
+                        quiz={quiz}
+                        question={original}
+                        type={getQuestionType(original, quiz.question_type)}
+                        onSaved={handleQuestionSaved}
+                        onClose={() => setEditingId(null)}
+                        onStale={reloadQuiz}
+                      />
+                    ) : (
+                      <>
+                        <p className="h6 mb-3"><MathText text={question.questionText} /></p>
+                        <QuestionImage image={question.image} alt={question.questionText} className="d-block mb-3" />
+                        <QuestionAudio audio={question.audio} className="d-block mb-3" />
+
+                        <ObjectiveTags
+                          objectives={original.objectives}
+                          isThai={quiz.language !== 'english'}
+                          onEdit={() => setObjectivesQuestion(original)}
+                        />
+
+                        <AnswerKeyFlags
+                          flags={original.reviewFlags}
+                          isThai={quiz.language !== 'english'}
+                          onResolve={handleResolveFlag}
+                          busyFlag={resolvingFlagId}
+                        />
+
+                        <DistractorQuality
+                          analysis={distractorAnalysis?.questions.find(analysis => analysis.index === index)}
+                          isThai={quiz.language !== 'english'}
+                          onImprove={() => handleImproveDistractors(index + 1)}
+                          busy={improvingPosition === index + 1}
+                          disabled={improvingPosition !== null}
+                        />
+
+                        <QuestionAnswers
+                          question={question}
+                          type={getQuestionType(question, quiz.question_type)}
+                          isThai={quiz.language !== 'english'}
+                        />
+
+                        {question.explanation && (
+                          <div className="mt-3 bg-light p-3 rounded">
+                            <h6 className="mb-2">คำอธิบาย:</h6>
+                            <p className="mb-0"><MathText text={question.explanation} /></p>
+                          </div>
+                        )}
+
+                        <QuestionSource source={question.source} isThai={quiz.language !== 'english'} />
+                      </>
+                    )}
+                  </Card.Body>
+                </Card>
+              );
+            })}
+
+            <div className="text-center mb-4">
+              <Button variant="outline-primary" className="me-2" onClick={() => setShowAddModal(true)}>
+                + เพิ่มคำถามเอง
+              </Button>
+              <Button variant="outline-primary" onClick={() => setGenerateTarget(null)}>
+                + สร้างคำถามเพิ่มด้วย AI
+              </Button>
+            </div>
+
+            <GenerateQuestionsModal
+              show={generateTarget !== undefined}
+              onHide={() => setGenerateTarget(undefined)}
+              quiz={quiz}
+              position={generateTarget ?? null}
+              onGenerated={handleQuestionsGenerated}
+            />
+
+            <FillExplanationsModal
+              show={showExplanationsModal}
+              onHide={() => setShowExplanationsModal(false)}
+              quiz={quiz}
+              onFilled={setQuiz}
+            />
+
+            <AddToBankModal
+              show={showBankModal}
+              onHide={() => setShowBankModal(false)}
+              quiz={quiz}
+              onAdded={handleAddedToBank}
+            />
+
+            <AddQuestionModal
+              show={showAddModal}
+              onHide={() => setShowAddModal(false)}
+              quiz={quiz}
+              onAdded={handleQuestionAdded}
+              onStale={reloadQuiz}
+            />
+
+            <VersionHistoryModal
+              show={showHistoryModal}
+              onHide={() => setShowHistoryModal(false)}
+              quiz={quiz}
+              onRestored={handleQuestionsGenerated}
+            />
+
+            {objectivesQuestion && (
+              <QuestionObjectivesModal
+                key={objectivesQuestion.id}
+                show
+                onHide={() => setObjectivesQuestion(null)}
+                quiz={quiz}
+                question={objectivesQuestion}
+                onSaved={(objectives, version) => handleObjectivesSaved(objectivesQuestion.id, objectives, version)}
+              />
+            )}
           </ErrorBoundary>
         </Col>
         
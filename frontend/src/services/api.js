@@ -41,6 +41,9 @@ api.interceptors.response.use(
   }
 );
 
+// Error thrown by the quiz stream, carrying the fields of the server's error response
+const createStreamError = (data) => Object.assign(new Error(data.message), { success: false, ...data });
+
 // Auth Service
 export const authService = {
   /**
@@ -161,6 +164,87 @@ export const quizService = {
     }
   },
 
+  /**
+   * Generate a quiz and receive questions as they are produced (Server-Sent Events).
+   * Uses fetch instead of axios/EventSource because the stream is a POST with an auth header.
+   * @param {Object} data - Quiz generation parameters
+   * @param {Object} options - Stream options
+   * @param {Function} options.onEvent - Called with (eventName, payload) for every event
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @returns {Promise} Payload of the final `complete` event
+   */
+  generateQuizStream: async (data, { onEvent, signal } = {}) => {
+    const token = localStorage.getItem('token');
+
+    let response;
+    try {
+      response = await fetch(`${API_URL}/quizzes/generate/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(data),
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error('Error starting quiz stream:', error);
+      throw createStreamError({ message: 'Failed to connect to the server' });
+    }
+
+    if (!response.ok || !response.body) {
+      const errorData = await response.json().catch(() => null);
+      throw createStreamError(errorData || { message: 'Failed to generate quiz' });
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+    let result = null;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let separatorIndex;
+      while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, separatorIndex);
+        buffer = buffer.slice(separatorIndex + 2);
+
+        let eventName = 'message';
+        let eventData = '';
+        rawEvent.split('\n').forEach(line => {
+          if (line.startsWith('event:')) eventName = line.slice(6).trim();
+          else if (line.startsWith('data:')) eventData += line.slice(5).trim();
+        });
+
+        // Comment lines (heartbeats) carry no data
+        if (!eventData) continue;
+
+        const payload = JSON.parse(eventData);
+        if (onEvent) onEvent(eventName, payload);
+
+        if (eventName === 'error') {
+          throw createStreamError(payload);
+        }
+        if (eventName === 'complete') {
+          result = payload;
+        }
+      }
+    }
+
+    if (!result) {
+      throw createStreamError({ message: 'Quiz generation ended unexpectedly' });
+    }
+
+    return { success: true, ...result };
+  },
+
   /**
    * Generate quiz from uploaded file
    * @param {FormData} formData - File and settings
@@ -228,6 +312,8 @@ export const quizService = {
  * @param {string} options.search - Search term
  * @param {number} options.userId - User ID for filtering
  * @param {string} options.folder - Folder ID for filtering
+ * @param {string} options.difficulty - Only quizzes with questions of this difficulty
+ * @param {string} options.bloomLevel - Only quizzes with questions at this Bloom level
  * @param {string} options.sortBy - Sort field
  * @param {string} options.sortOrder - Sort order (asc/desc)
  * @returns {Promise} API response
@@ -240,6 +326,8 @@ export const quizService = {
       });
 
       if (options.search) params.append('search', options.search);
+      if (options.difficulty) params.append('difficulty', options.difficulty);
+      if (options.bloomLevel) params.append('bloomLevel', options.bloomLevel);
       if (options.folder) params.append('folder', options.folder);
       if (options.sortBy) params.append('sortBy', options.sortBy);
       if (options.sortOrder) params.append('sortOrder', options.sortOrder);
@@ -291,12 +379,14 @@ export const quizService = {
   /**
    * Export quiz in different formats
    * @param {number} id - Quiz ID
-   * @param {string} format - Export format (gift, txt, json, csv)
+   * @param {string} format - Export format (moodle, text)
+   * @param {string} [language] - 'thai', 'english' or 'bilingual' for translated quizzes
    * @returns {Promise} API response
    */
-  exportQuiz: async (id, format) => {
+  exportQuiz: async (id, format, language) => {
     try {
       const response = await api.get(`/quizzes/${id}/export/${format}`, {
+        params: language ? { language } : undefined,
         responseType: 'blob'
       });
       return response;
@@ -350,326 +440,1393 @@ export const quizService = {
       console.error('Error fetching quiz:', error);
       throw error.response?.data || { success: false, message: 'Failed to fetch quiz' };
     }
-  }
-};
+  },
 
-// User Service
-export const userService = {
   /**
-   * Get current user profile
-   * @returns {Promise} API response
+   * Let the AI write the missing explanations (essay marking guidelines) of a saved quiz
+   * @param {number} id - Quiz ID
+   * @param {boolean} [overwrite] - Also replace existing explanations
+   * @param {number} [baseVersion] - Version of the quiz the change is based on
+   * @returns {Promise} API response with the number written, the questions that failed and the updated quiz
    */
-  getCurrentUser: async () => {
+  fillExplanations: async (id, overwrite = false, baseVersion) => {
     try {
-      const response = await api.get('/users/profile');
+      const response = await api.post(`/quizzes/${id}/explanations`, { overwrite, baseVersion });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to fetch user profile' };
+      console.error('Error writing explanations:', error);
+      throw error.response?.data || { success: false, message: 'Failed to write the explanations' };
     }
   },
 
   /**
-   * Update user profile
-   * @param {Object} profileData - User profile data to update
-   * @returns {Promise} API response
+   * Tag a question of a saved quiz with learning objectives, replacing its tags
+   * @param {number} id - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {Array<number>} objectiveIds - Learning objective IDs
+   * @param {number} [baseVersion] - Version of the quiz the change is based on
+   * @returns {Promise} API response with the objectives and the new version number
    */
-  updateProfile: async (profileData) => {
+  setQuestionObjectives: async (id, questionId, objectiveIds, baseVersion) => {
     try {
-      const response = await api.put('/users/profile', profileData);
+      const response = await api.put(`/quizzes/${id}/questions/${questionId}/objectives`, { objectiveIds, baseVersion });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to update profile' };
+      console.error('Error tagging question with objectives:', error);
+      throw error.response?.data || { success: false, message: 'Failed to update the learning objectives' };
     }
   },
 
   /**
-   * Update user password
-   * @param {string} currentPassword - Current password
-   * @param {string} newPassword - New password
-   * @returns {Promise} API response
+   * Replace one question of a saved quiz with a newly generated question
+   * @param {number} id - Quiz ID
+   * @param {number} position - 1-based question number
+   * @param {Object} [data] - Options, e.g. { additionalInstructions, baseVersion }
+   * @returns {Promise} API response with the new question and the updated quiz
    */
-  updatePassword: async (currentPassword, newPassword) => {
+  regenerateQuestion: async (id, position, data = {}) => {
     try {
-      const response = await api.put('/users/password', { currentPassword, newPassword });
+      const response = await api.post(`/quizzes/${id}/questions/${position}/regenerate`, data);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to update password' };
+      console.error('Error regenerating question:', error);
+      throw error.response?.data || { success: false, message: 'Failed to regenerate question' };
     }
   },
 
   /**
-   * Upload profile image
-   * @param {File} imageFile - Image file to upload
-   * @returns {Promise} API response
+   * Translate a saved quiz into its other language (Thai <-> English)
+   * @param {number} id - Quiz ID
+   * @returns {Promise} API response with the translation summary and the updated quiz
    */
-  uploadProfileImage: async (imageFile) => {
+  translateQuiz: async (id) => {
     try {
-      const formData = new FormData();
-      formData.append('profileImage', imageFile);
+      const response = await api.post(`/quizzes/${id}/translate`);
+      return response.data;
+    } catch (error) {
+      console.error('Error translating quiz:', error);
+      throw error.response?.data || { success: false, message: 'Failed to translate quiz' };
+    }
+  },
 
-      const response = await api.post('/users/profile-image', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-      });
+  /**
+   * Append newly generated questions to a saved quiz
+   * @param {number} id - Quiz ID
+   * @param {Object} data - { count, additionalInstructions, difficultyMix, bloomMix, baseVersion }
+   * @returns {Promise} API response with the new questions and the updated quiz
+   */
+  generateMoreQuestions: async (id, data) => {
+    try {
+      const response = await api.post(`/quizzes/${id}/questions/generate`, data);
+      return response.data;
+    } catch (error) {
+      console.error('Error generating questions:', error);
+      throw error.response?.data || { success: false, message: 'Failed to generate questions' };
+    }
+  },
 
+  /**
+   * Generate a replacement for one question of a quiz that is not saved yet
+   * @param {Object} data - { topic, questionType, studentLevel, language, questions, position, additionalInstructions }
+   * @returns {Promise} API response with the new question
+   */
+  generateReplacementQuestion: async (data) => {
+    try {
+      const response = await api.post('/quizzes/questions/replacement', data);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to upload profile image' };
+      console.error('Error generating replacement question:', error);
+      throw error.response?.data || { success: false, message: 'Failed to generate a replacement question' };
     }
   },
 
   /**
-   * Update user settings
-   * @param {Object} settingsData - Settings data
-   * @returns {Promise} API response
+   * Check questions that are not saved yet for near-duplicates
+   * @param {Array} questions - Questions with questionText
+   * @param {number} [excludeQuizId] - Saved quiz of the questions, left out of the library comparison
+   * @returns {Promise} API response with withinQuiz and library matches
    */
-  updateSettings: async (settingsData) => {
+  checkDuplicates: async (questions, excludeQuizId = null) => {
     try {
-      const response = await api.put('/users/settings', settingsData);
+      const response = await api.post('/quizzes/duplicates/check', { questions, excludeQuizId });
       return response.data;
     } catch (error) {
-      console.error('Error updating settings:', error);
-      throw error.response?.data || { success: false, message: 'Failed to update settings' };
+      console.error('Error checking duplicate questions:', error);
+      throw error.response?.data || { success: false, message: 'Failed to check for duplicate questions' };
     }
   },
 
   /**
-   * Get user activity history
-   * @param {number} page - Page number
-   * @param {number} limit - Items per page
-   * @returns {Promise} API response
+   * Check the questions of a saved quiz for near-duplicates
+   * @param {number} id - Quiz ID
+   * @returns {Promise} API response with withinQuiz and library matches
    */
-  getUserActivity: async (page = 1, limit = 10) => {
+  getQuizDuplicates: async (id) => {
     try {
-      const response = await api.get(`/users/activity?page=${page}&limit=${limit}`);
+      const response = await api.get(`/quizzes/${id}/duplicates`);
       return response.data;
     } catch (error) {
-      console.error('Error fetching user activity:', error);
-      throw error.response?.data || { success: false, message: 'Failed to fetch user activity' };
+      console.error('Error checking duplicate questions:', error);
+      throw error.response?.data || { success: false, message: 'Failed to check for duplicate questions' };
     }
   },
 
   /**
-   * Close user account
-   * @param {string} password - User password for confirmation
-   * @returns {Promise} API response
+   * Check the answer keys of questions that are not saved yet with a second AI pass
+   * @param {Array} questions - Questions with their options, pairs, items or answers
+   * @param {Object} quiz - { topic, questionType, language }
+   * @returns {Promise} API response with flags, each with the 0-based index of its question
    */
-  closeAccount: async (password) => {
+  checkAnswerKeys: async (questions, quiz = {}) => {
     try {
-      const response = await api.post('/users/close-account', { password });
+      const response = await api.post('/quizzes/answer-keys/check', { questions, ...quiz });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to close account' };
+      console.error('Error checking answer keys:', error);
+      throw error.response?.data || { success: false, message: 'Failed to check the answer key' };
     }
-  }
-};
+  },
 
-// Dashboard Service
-export const dashboardService = {
   /**
-   * Get dashboard statistics
-   * @returns {Promise} API response
+   * Check the answer key of a saved quiz; the flags are stored on its questions
+   * @param {number} id - Quiz ID
+   * @returns {Promise} API response with the open flags and the updated quiz
    */
-  getStats: async () => {
+  checkQuizAnswerKeys: async (id) => {
     try {
-      const response = await api.get('/dashboard/stats');
+      const response = await api.post(`/quizzes/${id}/answer-keys/check`);
       return response.data;
     } catch (error) {
-      console.error('Error fetching dashboard stats:', error);
-      throw error.response?.data || { success: false, message: 'Failed to fetch dashboard statistics' };
+      console.error('Error checking answer keys:', error);
+      throw error.response?.data || { success: false, message: 'Failed to check the answer key' };
     }
   },
 
   /**
-   * Get recent activities
+   * Mark an answer-key flag of a saved quiz as resolved
+   * @param {number} id - Quiz ID
+   * @param {number} flagId - Flag ID
    * @returns {Promise} API response
    */
-  getRecentActivities: async () => {
+  resolveQuestionFlag: async (id, flagId) => {
     try {
-      const response = await api.get('/dashboard/activities');
+      const response = await api.patch(`/quizzes/${id}/flags/${flagId}/resolve`);
       return response.data;
     } catch (error) {
-      console.error('Error fetching recent activities:', error);
-      throw error.response?.data || { success: false, message: 'Failed to fetch recent activities' };
+      console.error('Error resolving flag:', error);
+      throw error.response?.data || { success: false, message: 'Failed to resolve the flag' };
     }
   },
 
   /**
-   * Get system status (admin only)
-   * @returns {Promise} API response
+   * Score the distractors of questions that are not saved yet
+   * @param {Array} questions - Questions to analyze
+   * @param {string} questionType - Quiz question type
+   * @returns {Promise} API response with the average score and the analysis of each choice question
    */
-  getSystemStatus: async () => {
+  analyzeDistractors: async (questions, questionType) => {
     try {
-      const response = await api.get('/dashboard/system-status');
+      const response = await api.post('/quizzes/distractors/analyze', { questions, questionType });
       return response.data;
     } catch (error) {
-      console.error('Error fetching system status:', error);
-      throw error.response?.data || { success: false, message: 'Failed to fetch system status' };
+      console.error('Error analyzing distractors:', error);
+      throw error.response?.data || { success: false, message: 'Failed to analyze the distractors' };
     }
-  }
-};
+  },
 
-// School Service
-export const schoolService = {
   /**
-   * Create a new school
-   * @param {Object} schoolData - School data
-   * @returns {Promise} API response
+   * Score the distractors of a saved quiz
+   * @param {number} id - Quiz ID
+   * @returns {Promise} API response with the average score and the analysis of each choice question
    */
-  createSchool: async (schoolData) => {
+  getQuizDistractors: async (id) => {
     try {
-      const response = await api.post('/schools', schoolData);
+      const response = await api.get(`/quizzes/${id}/distractors`);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to create school' };
+      console.error('Error analyzing distractors:', error);
+      throw error.response?.data || { success: false, message: 'Failed to analyze the distractors' };
     }
   },
 
   /**
-   * Get school details
-   * @param {number} schoolId - School ID
-   * @returns {Promise} API response
+   * Rewrite the wrong options of a question that is not saved yet
+   * @param {Object} question - Question
+   * @param {Object} quiz - { topic, questionType, studentLevel }
+   * @returns {Promise} API response with the improved question and its new analysis
    */
-  getSchool: async (schoolId) => {
+  improveDistractors: async (question, quiz = {}) => {
     try {
-      const response = await api.get(`/schools/${schoolId}`);
+      const response = await api.post('/quizzes/distractors/improve', { question, ...quiz });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to fetch school details' };
+      console.error('Error improving distractors:', error);
+      throw error.response?.data || { success: false, message: 'Failed to improve the distractors' };
     }
   },
 
   /**
-   * Update school details
-   * @param {number} schoolId - School ID
-   * @param {Object} schoolData - School data to update
-   * @returns {Promise} API response
+   * Rewrite the wrong options of one question of a saved quiz
+   * @param {number} id - Quiz ID
+   * @param {number} position - 1-based question number
+   * @param {number} [baseVersion] - Version of the quiz the change is based on
+   * @returns {Promise} API response with the improved question and the updated quiz
    */
-  updateSchool: async (schoolId, schoolData) => {
+  improveQuestionDistractors: async (id, position, baseVersion) => {
     try {
-      const response = await api.put(`/schools/${schoolId}`, schoolData);
+      const response = await api.post(`/quizzes/${id}/questions/${position}/distractors`, { baseVersion });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to update school' };
+      console.error('Error improving distractors:', error);
+      throw error.response?.data || { success: false, message: 'Failed to improve the distractors' };
     }
   },
 
   /**
-   * Delete school
-   * @param {number} schoolId - School ID
-   * @returns {Promise} API response
+   * Get the version history of a quiz, newest first
+   * @param {number} id - Quiz ID
+   * @returns {Promise} API response with the current version number and the versions
    */
-  deleteSchool: async (schoolId) => {
+  getQuizVersions: async (id) => {
     try {
-      const response = await api.delete(`/schools/${schoolId}`);
+      const response = await api.get(`/quizzes/${id}/versions`);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to delete school' };
+      console.error('Error fetching quiz versions:', error);
+      throw error.response?.data || { success: false, message: 'Failed to load the version history' };
     }
   },
 
   /**
-   * Get school departments
-   * @param {number} schoolId - School ID
-   * @returns {Promise} API response
+   * Get one version of a quiz with its questions
+   * @param {number} id - Quiz ID
+   * @param {number} version - Version number
+   * @returns {Promise} API response with the version and its snapshot
    */
-  getSchoolDepartments: async (schoolId) => {
+  getQuizVersion: async (id, version) => {
     try {
-      const response = await api.get(`/schools/${schoolId}/departments`);
+      const response = await api.get(`/quizzes/${id}/versions/${version}`);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to fetch school departments' };
+      console.error('Error fetching quiz version:', error);
+      throw error.response?.data || { success: false, message: 'Failed to load the version' };
     }
-  }
-};
+  },
 
-// Admin Service
-export const adminService = {
   /**
-   * Get all users (admin only)
-   * @param {number} page - Page number
-   * @param {number} limit - Items per page
-   * @returns {Promise} API response
+   * Compare two versions of a quiz question by question
+   * @param {number} id - Quiz ID
+   * @param {number} from - Older version number
+   * @param {number} to - Newer version number
+   * @returns {Promise} API response with the title change, a row per question and counts per status
    */
-  getAllUsers: async (page = 1, limit = 10) => {
+  diffQuizVersions: async (id, from, to) => {
     try {
-      const response = await api.get(`/admin/users?page=${page}&limit=${limit}`);
+      const response = await api.get(`/quizzes/${id}/versions/diff`, { params: { from, to } });
       return response.data;
     } catch (error) {
-      console.error('Error fetching users:', error);
-      throw error.response?.data || { success: false, message: 'Failed to fetch users' };
+      console.error('Error comparing quiz versions:', error);
+      throw error.response?.data || { success: false, message: 'Failed to compare the versions' };
     }
   },
 
   /**
-   * Create new user (admin only)
-   * @param {Object} userData - User data
-   * @returns {Promise} API response
+   * Make an earlier version the current content of a quiz
+   * @param {number} id - Quiz ID
+   * @param {number} version - Version to restore
+   * @param {number} baseVersion - Version of the quiz the restore is based on
+   * @returns {Promise} API response with the restored quiz
    */
-  createUser: async (userData) => {
+  restoreQuizVersion: async (id, version, baseVersion) => {
     try {
-      const response = await api.post('/admin/users', userData);
+      const response = await api.post(`/quizzes/${id}/versions/${version}/restore`, { baseVersion });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to create user' };
+      console.error('Error restoring quiz version:', error);
+      throw error.response?.data || { success: false, message: 'Failed to restore the version' };
     }
   },
 
   /**
-   * Update user (admin only)
-   * @param {number} userId - User ID
-   * @param {Object} userData - User data to update
-   * @returns {Promise} API response
+   * Add a question to a saved quiz
+   * @param {number} id - Quiz ID
+   * @param {Object} question - { questionType, questionText, explanation, difficulty, bloomLevel, options | pairs | items | answers, position, baseVersion }
+   * @returns {Promise} API response with the new question and the quiz's version
    */
-  updateUser: async (userId, userData) => {
+  addQuestion: async (id, question) => {
     try {
-      const response = await api.put(`/admin/users/${userId}`, userData);
+      const response = await api.post(`/quizzes/${id}/questions`, question);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to update user' };
+      console.error('Error adding question:', error);
+      throw error.response?.data || { success: false, message: 'Failed to add the question' };
     }
   },
 
   /**
-   * Delete user (admin only)
-   * @param {number} userId - User ID
-   * @returns {Promise} API response
+   * Change some fields of a question of a saved quiz
+   * @param {number} id - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {Object} fields - Any of { questionText, explanation, difficulty, bloomLevel, pairs, items, answers }
+   * @param {number} baseVersion - Version of the quiz the change is based on
+   * @returns {Promise} API response with the updated question and the quiz's version
    */
-  deleteUser: async (userId) => {
+  updateQuestion: async (id, questionId, fields, baseVersion) => {
     try {
-      const response = await api.delete(`/admin/users/${userId}`);
+      const response = await api.patch(`/quizzes/${id}/questions/${questionId}`, { ...fields, baseVersion });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to delete user' };
+      console.error('Error updating question:', error);
+      throw error.response?.data || { success: false, message: 'Failed to update the question' };
     }
   },
 
   /**
-   * Get system analytics (admin only)
-   * @returns {Promise} API response
+   * Delete a question of a saved quiz
+   * @param {number} id - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {number} baseVersion - Version of the quiz the change is based on
+   * @returns {Promise} API response with the quiz's version
    */
-  getSystemAnalytics: async () => {
+  deleteQuestion: async (id, questionId, baseVersion) => {
     try {
-      const response = await api.get('/admin/analytics');
+      const response = await api.delete(`/quizzes/${id}/questions/${questionId}`, { data: { baseVersion } });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to fetch system analytics' };
+      console.error('Error deleting question:', error);
+      throw error.response?.data || { success: false, message: 'Failed to delete the question' };
     }
   },
 
   /**
-   * Get audit logs (admin only)
-   * @param {number} page - Page number
-   * @param {number} limit - Items per page
-   * @returns {Promise} API response
+   * Put the questions of a saved quiz in a new order
+   * @param {number} id - Quiz ID
+   * @param {Array<number>} questionIds - Every question ID in the new order
+   * @param {number} baseVersion - Version of the quiz the order is based on
+   * @returns {Promise} API response with the quiz's version
    */
-  getAuditLogs: async (page = 1, limit = 10) => {
+  reorderQuestions: async (id, questionIds, baseVersion) => {
     try {
-      const response = await api.get(`/admin/audit-logs?page=${page}&limit=${limit}`);
+      const response = await api.put(`/quizzes/${id}/questions/order`, { questionIds, baseVersion });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { success: false, message: 'Failed to fetch audit logs' };
+      console.error('Error reordering questions:', error);
+      throw error.response?.data || { success: false, message: 'Failed to reorder the questions' };
+    }
+  },
+
+  /**
+   * Copy a question of a saved quiz; the copy is placed right after it
+   * @param {number} id - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {number} baseVersion - Version of the quiz the change is based on
+   * @returns {Promise} API response with the copy and the quiz's version
+   */
+  duplicateQuestion: async (id, questionId, baseVersion) => {
+    try {
+      const response = await api.post(`/quizzes/${id}/questions/${questionId}/duplicate`, { baseVersion });
+      return response.data;
+    } catch (error) {
+      console.error('Error duplicating question:', error);
+      throw error.response?.data || { success: false, message: 'Failed to duplicate the question' };
+    }
+  },
+
+  /**
+   * Add an option to a choice question
+   * @param {number} id - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {Object} option - { text, isCorrect, position }
+   * @param {number} baseVersion - Version of the quiz the change is based on
+   * @returns {Promise} API response with the updated question and the quiz's version
+   */
+  addOption: async (id, questionId, option, baseVersion) => {
+    try {
+      const response = await api.post(`/quizzes/${id}/questions/${questionId}/options`, { ...option, baseVersion });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding option:', error);
+      throw error.response?.data || { success: false, message: 'Failed to add the option' };
+    }
+  },
+
+  /**
+   * Change the text of an option or whether it is correct
+   * @param {number} id - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {number} optionId - Option ID
+   * @param {Object} fields - Any of { text, isCorrect }
+   * @param {number} baseVersion - Version of the quiz the change is based on
+   * @returns {Promise} API response with the updated question and the quiz's version
+   */
+  updateOption: async (id, questionId, optionId, fields, baseVersion) => {
+    try {
+      const response = await api.patch(`/quizzes/${id}/questions/${questionId}/options/${optionId}`, { ...fields, baseVersion });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating option:', error);
+      throw error.response?.data || { success: false, message: 'Failed to update the option' };
+    }
+  },
+
+  /**
+   * Delete an option of a choice question
+   * @param {number} id - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {number} optionId - Option ID
+   * @param {number} baseVersion - Version of the quiz the change is based on
+   * @returns {Promise} API response with the updated question and the quiz's version
+   */
+  deleteOption: async (id, questionId, optionId, baseVersion) => {
+    try {
+      const response = await api.delete(`/quizzes/${id}/questions/${questionId}/options/${optionId}`, { data: { baseVersion } });
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting option:', error);
+      throw error.response?.data || { success: false, message: 'Failed to delete the option' };
+    }
+  },
+
+  /**
+   * Put the options of a choice question in a new order
+   * @param {number} id - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {Array<number>} optionIds - Every option ID in the new order
+   * @param {number} baseVersion - Version of the quiz the order is based on
+   * @returns {Promise} API response with the updated question and the quiz's version
+   */
+  reorderOptions: async (id, questionId, optionIds, baseVersion) => {
+    try {
+      const response = await api.put(`/quizzes/${id}/questions/${questionId}/options/order`, { optionIds, baseVersion });
+      return response.data;
+    } catch (error) {
+      console.error('Error reordering options:', error);
+      throw error.response?.data || { success: false, message: 'Failed to reorder the options' };
+    }
+  },
+
+  /**
+   * Copy an option of a choice question as a wrong option right after it
+   * @param {number} id - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {number} optionId - Option ID
+   * @param {number} baseVersion - Version of the quiz the change is based on
+   * @returns {Promise} API response with the updated question and the quiz's version
+   */
+  duplicateOption: async (id, questionId, optionId, baseVersion) => {
+    try {
+      const response = await api.post(`/quizzes/${id}/questions/${questionId}/options/${optionId}/duplicate`, { baseVersion });
+      return response.data;
+    } catch (error) {
+      console.error('Error duplicating option:', error);
+      throw error.response?.data || { success: false, message: 'Failed to duplicate the option' };
+    }
+  },
+
+  // Attach an image to a question stem, or to one of its options when optionId is given
+  uploadQuestionImage: async (id, questionId, imageFile, optionId, baseVersion) => {
+    try {
+      const formData = new FormData();
+      formData.append('image', imageFile);
+      formData.append('baseVersion', baseVersion);
+
+      const path = optionId
+        ? `/quizzes/${id}/questions/${questionId}/options/${optionId}/image`
+        : `/quizzes/${id}/questions/${questionId}/image`;
+      const response = await api.post(path, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error uploading image:', error);
+      throw error.response?.data || { success: false, message: 'Failed to upload the image' };
+    }
+  },
+
+  removeQuestionImage: async (id, questionId, optionId, baseVersion) => {
+    try {
+      const path = optionId
+        ? `/quizzes/${id}/questions/${questionId}/options/${optionId}/image`
+        : `/quizzes/${id}/questions/${questionId}/image`;
+      const response = await api.delete(path, { data: { baseVersion } });
+      return response.data;
+    } catch (error) {
+      console.error('Error removing image:', error);
+      throw error.response?.data || { success: false, message: 'Failed to remove the image' };
+    }
+  },
+
+  // Attach a recorded audio clip to a listening question
+  uploadQuestionAudio: async (id, questionId, audioFile, baseVersion) => {
+    try {
+      const formData = new FormData();
+      formData.append('audio', audioFile);
+      formData.append('baseVersion', baseVersion);
+
+      const response = await api.post(`/quizzes/${id}/questions/${questionId}/audio`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error uploading audio:', error);
+      throw error.response?.data || { success: false, message: 'Failed to upload the audio' };
+    }
+  },
+
+  // Synthesize Morse code from text ({ text, wpm, tone }) and attach it to a question
+  generateMorseAudio: async (id, questionId, settings, baseVersion) => {
+    try {
+      const response = await api.post(`/quizzes/${id}/questions/${questionId}/audio/morse`, { ...settings, baseVersion });
+      return response.data;
+    } catch (error) {
+      console.error('Error generating Morse audio:', error);
+      throw error.response?.data || { success: false, message: 'Failed to generate the Morse audio' };
+    }
+  },
+
+  removeQuestionAudio: async (id, questionId, baseVersion) => {
+    try {
+      const response = await api.delete(`/quizzes/${id}/questions/${questionId}/audio`, { data: { baseVersion } });
+      return response.data;
+    } catch (error) {
+      console.error('Error removing audio:', error);
+      throw error.response?.data || { success: false, message: 'Failed to remove the audio' };
+    }
+  },
+
+  // Morse code audio ({ text, wpm, tone }) as a WAV blob to listen to; nothing is stored
+  previewMorseAudio: async (settings) => {
+    try {
+      const response = await api.post('/quizzes/morse-audio', settings, { responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      console.error('Error previewing Morse audio:', error);
+      // Errors arrive as a blob too
+      const data = error.response?.data;
+      throw data instanceof Blob
+        ? JSON.parse(await data.text())
+        : { success: false, message: 'Failed to generate the Morse audio' };
+    }
+  }
+};
+
+// User Service
+export const userService = {
+  /**
+   * Get current user profile
+   * @returns {Promise} API response
+   */
+  getCurrentUser: async () => {
+    try {
+      const response = await api.get('/users/profile');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to fetch user profile' };
+    }
+  },
+
+  /**
+   * Get this month's quota limits and usage of the user and their schools
+   * @returns {Promise} API response with resetDate, user and schools
+   */
+  getQuotaUsage: async () => {
+    try {
+      const response = await api.get('/users/quota');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to fetch quota usage' };
+    }
+  },
+
+  /**
+   * Update user profile
+   * @param {Object} profileData - User profile data to update
+   * @returns {Promise} API response
+   */
+  updateProfile: async (profileData) => {
+    try {
+      const response = await api.put('/users/profile', profileData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to update profile' };
+    }
+  },
+
+  /**
+   * Update user password
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise} API response
+   */
+  updatePassword: async (currentPassword, newPassword) => {
+    try {
+      const response = await api.put('/users/password', { currentPassword, newPassword });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to update password' };
+    }
+  },
+
+  /**
+   * Upload profile image
+   * @param {File} imageFile - Image file to upload
+   * @returns {Promise} API response
+   */
+  uploadProfileImage: async (imageFile) => {
+    try {
+      const formData = new FormData();
+      formData.append('profileImage', imageFile);
+
+      const response = await api.post('/users/profile-image', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to upload profile image' };
+    }
+  },
+
+  /**
+   * Update user settings
+   * @param {Object} settingsData - Settings data
+   * @returns {Promise} API response
+   */
+  updateSettings: async (settingsData) => {
+    try {
+      const response = await api.put('/users/settings', settingsData);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      throw error.response?.data || { success: false, message: 'Failed to update settings' };
+    }
+  },
+
+  /**
+   * Get user activity history
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise} API response
+   */
+  getUserActivity: async (page = 1, limit = 10) => {
+    try {
+      const response = await api.get(`/users/activity?page=${page}&limit=${limit}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching user activity:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch user activity' };
+    }
+  },
+
+  /**
+   * Close user account
+   * @param {string} password - User password for confirmation
+   * @returns {Promise} API response
+   */
+  closeAccount: async (password) => {
+    try {
+      const response = await api.post('/users/close-account', { password });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to close account' };
+    }
+  }
+};
+
+// Generation Job Service
+export const jobService = {
+  /**
+   * Queue quiz generation from a topic
+   * @param {Object} data - Same parameters as quizService.generateQuiz
+   * @returns {Promise} API response with the queued job
+   */
+  createTopicJob: async (data) => {
+    try {
+      const response = await api.post('/quizzes/jobs', data);
+      return response.data;
+    } catch (error) {
+      console.error('Error queuing quiz generation:', error);
+      throw error.response?.data || { success: false, message: 'Failed to queue quiz generation' };
+    }
+  },
+
+  /**
+   * Queue quiz generation from an uploaded file
+   * @param {FormData} formData - File and settings
+   * @param {Object} options - Upload options
+   * @returns {Promise} API response with the queued job
+   */
+  createFileJob: async (formData, options = {}) => {
+    try {
+      const response = await api.post('/quizzes/jobs/file', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        onUploadProgress: options.onUploadProgress
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error queuing file quiz generation:', error);
+      throw error.response?.data || { success: false, message: 'ไม่สามารถสร้างข้อสอบจากไฟล์ได้' };
+    }
+  },
+
+  /**
+   * Get the current user's most recent jobs
+   * @param {number} limit - Number of jobs
+   * @returns {Promise} API response
+   */
+  getRecentJobs: async (limit = 10) => {
+    try {
+      const response = await api.get('/quizzes/jobs', { params: { limit } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching generation jobs:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch generation jobs' };
+    }
+  },
+
+  /**
+   * Get the status of a job
+   * @param {number} jobId - Job ID
+   * @returns {Promise} API response
+   */
+  getJob: async (jobId) => {
+    try {
+      const response = await api.get(`/quizzes/jobs/${jobId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching generation job:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch generation job' };
+    }
+  },
+
+  /**
+   * Get the generated quiz of a completed job
+   * @param {number} jobId - Job ID
+   * @returns {Promise} API response with quiz data
+   */
+  getJobResult: async (jobId) => {
+    try {
+      const response = await api.get(`/quizzes/jobs/${jobId}/result`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching generation job result:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch generation result' };
+    }
+  },
+
+  /**
+   * Cancel a queued or running job
+   * @param {number} jobId - Job ID
+   * @returns {Promise} API response
+   */
+  cancelJob: async (jobId) => {
+    try {
+      const response = await api.post(`/quizzes/jobs/${jobId}/cancel`);
+      return response.data;
+    } catch (error) {
+      console.error('Error cancelling generation job:', error);
+      throw error.response?.data || { success: false, message: 'Failed to cancel generation job' };
+    }
+  },
+
+  /**
+   * Poll a job until it finishes
+   * @param {number} jobId - Job ID
+   * @param {Object} options - Polling options
+   * @param {Function} options.onUpdate - Called with the job after every poll
+   * @param {number} options.intervalMs - Delay between polls
+   * @param {AbortSignal} options.signal - Stops polling when aborted
+   * @returns {Promise<Object>} Finished job
+   */
+  waitForJob: async (jobId, { onUpdate, intervalMs = 2000, signal } = {}) => {
+    while (!signal?.aborted) {
+      const response = await jobService.getJob(jobId);
+      const job = response.data;
+
+      if (onUpdate) {
+        onUpdate(job);
+      }
+
+      if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+        return job;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+
+    throw new DOMException('Polling aborted', 'AbortError');
+  }
+};
+
+// Generation presets (saved create-quiz settings)
+export const presetService = {
+  /**
+   * Get the user's presets, presets shared with their departments and those departments
+   * @returns {Promise} API response with presets, departments and template placeholders
+   */
+  getPresets: async () => {
+    try {
+      const response = await api.get('/presets');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching presets:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch presets' };
+    }
+  },
+
+  /**
+   * Save the current settings as a preset
+   * @param {Object} preset - Preset settings
+   * @returns {Promise} API response with the created preset
+   */
+  createPreset: async (preset) => {
+    try {
+      const response = await api.post('/presets', preset);
+      return response.data;
+    } catch (error) {
+      console.error('Error saving preset:', error);
+      throw error.response?.data || { success: false, message: 'Failed to save preset' };
+    }
+  },
+
+  /**
+   * Update a preset
+   * @param {number} id - Preset ID
+   * @param {Object} preset - Preset settings
+   * @returns {Promise} API response with the updated preset
+   */
+  updatePreset: async (id, preset) => {
+    try {
+      const response = await api.put(`/presets/${id}`, preset);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating preset:', error);
+      throw error.response?.data || { success: false, message: 'Failed to update preset' };
+    }
+  },
+
+  /**
+   * Delete a preset
+   * @param {number} id - Preset ID
+   * @returns {Promise} API response
+   */
+  deletePreset: async (id) => {
+    try {
+      const response = await api.delete(`/presets/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting preset:', error);
+      throw error.response?.data || { success: false, message: 'Failed to delete preset' };
+    }
+  }
+};
+
+// Dashboard Service
+export const courseService = {
+  /**
+   * Get the courses of the user's schools and the schools they can add courses to
+   * @returns {Promise} API response with courses and schools
+   */
+  getCourses: async () => {
+    try {
+      const response = await api.get('/courses');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching courses:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch courses' };
+    }
+  },
+
+  /**
+   * Get a course with its learning objectives
+   * @param {number} id - Course ID
+   * @returns {Promise} API response with the course
+   */
+  getCourse: async (id) => {
+    try {
+      const response = await api.get(`/courses/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching course:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch course' };
+    }
+  },
+
+  /**
+   * Create a course
+   * @param {Object} course - { schoolId, code, name, description }
+   * @returns {Promise} API response with the created course
+   */
+  createCourse: async (course) => {
+    try {
+      const response = await api.post('/courses', course);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating course:', error);
+      throw error.response?.data || { success: false, message: 'Failed to create course' };
+    }
+  },
+
+  /**
+   * Update a course
+   * @param {number} id - Course ID
+   * @param {Object} course - { code, name, description }
+   * @returns {Promise} API response with the updated course
+   */
+  updateCourse: async (id, course) => {
+    try {
+      const response = await api.put(`/courses/${id}`, course);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating course:', error);
+      throw error.response?.data || { success: false, message: 'Failed to update course' };
+    }
+  },
+
+  /**
+   * Delete a course with its objectives
+   * @param {number} id - Course ID
+   * @returns {Promise} API response
+   */
+  deleteCourse: async (id) => {
+    try {
+      const response = await api.delete(`/courses/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting course:', error);
+      throw error.response?.data || { success: false, message: 'Failed to delete course' };
+    }
+  },
+
+  /**
+   * Add a learning objective to a course
+   * @param {number} courseId - Course ID
+   * @param {Object} objective - { code, description }
+   * @returns {Promise} API response with the created objective
+   */
+  createObjective: async (courseId, objective) => {
+    try {
+      const response = await api.post(`/courses/${courseId}/objectives`, objective);
+      return response.data;
+    } catch (error) {
+      console.error('Error adding learning objective:', error);
+      throw error.response?.data || { success: false, message: 'Failed to add learning objective' };
+    }
+  },
+
+  /**
+   * Update a learning objective
+   * @param {number} courseId - Course ID
+   * @param {number} objectiveId - Objective ID
+   * @param {Object} objective - { code, description }
+   * @returns {Promise} API response with the updated objective
+   */
+  updateObjective: async (courseId, objectiveId, objective) => {
+    try {
+      const response = await api.put(`/courses/${courseId}/objectives/${objectiveId}`, objective);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating learning objective:', error);
+      throw error.response?.data || { success: false, message: 'Failed to update learning objective' };
+    }
+  },
+
+  /**
+   * Delete a learning objective
+   * @param {number} courseId - Course ID
+   * @param {number} objectiveId - Objective ID
+   * @returns {Promise} API response
+   */
+  deleteObjective: async (courseId, objectiveId) => {
+    try {
+      const response = await api.delete(`/courses/${courseId}/objectives/${objectiveId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting learning objective:', error);
+      throw error.response?.data || { success: false, message: 'Failed to delete learning objective' };
+    }
+  },
+
+  /**
+   * Get the number of questions per objective of a course
+   * @param {number} id - Course ID
+   * @returns {Promise} API response with the objectives, their counts and a summary
+   */
+  getCoverage: async (id) => {
+    try {
+      const response = await api.get(`/courses/${id}/coverage`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching coverage report:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch coverage report' };
+    }
+  }
+};
+
+export const bankService = {
+  /**
+   * Search the user's question bank
+   * @param {Object} filters - { search, questionType, difficulty, bloomLevel, tag, limit, offset }
+   * @returns {Promise} API response with questions and the total
+   */
+  getQuestions: async (filters = {}) => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '' && value != null));
+      const response = await api.get('/bank/questions', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching question bank:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch question bank' };
+    }
+  },
+
+  /**
+   * Get the tags used in the question bank
+   * @returns {Promise} API response with tags and their number of questions
+   */
+  getTags: async () => {
+    try {
+      const response = await api.get('/bank/tags');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching question bank tags:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch tags' };
+    }
+  },
+
+  /**
+   * Get a bank question with the quizzes it was used in
+   * @param {number} id - Bank question ID
+   * @returns {Promise} API response with the question and its usage
+   */
+  getQuestion: async (id) => {
+    try {
+      const response = await api.get(`/bank/questions/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching bank question:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch question' };
+    }
+  },
+
+  /**
+   * Copy questions of a saved quiz into the question bank
+   * @param {number} quizId - Quiz ID
+   * @param {Object} data - { questionIds (all questions if omitted), tags }
+   * @returns {Promise} API response with the added questions and the number skipped
+   */
+  addFromQuiz: async (quizId, data = {}) => {
+    try {
+      const response = await api.post(`/bank/questions/from-quiz/${quizId}`, data);
+      return response.data;
+    } catch (error) {
+      console.error('Error adding questions to question bank:', error);
+      throw error.response?.data || { success: false, message: 'Failed to add questions to the question bank' };
+    }
+  },
+
+  /**
+   * Update a bank question
+   * @param {number} id - Bank question ID
+   * @param {Object} data - { questionText, explanation, difficulty, bloomLevel, tags }
+   * @returns {Promise} API response with the updated question
+   */
+  updateQuestion: async (id, data) => {
+    try {
+      const response = await api.put(`/bank/questions/${id}`, data);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating bank question:', error);
+      throw error.response?.data || { success: false, message: 'Failed to update question' };
+    }
+  },
+
+  /**
+   * Remove a question from the question bank
+   * @param {number} id - Bank question ID
+   * @returns {Promise} API response
+   */
+  deleteQuestion: async (id) => {
+    try {
+      const response = await api.delete(`/bank/questions/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting bank question:', error);
+      throw error.response?.data || { success: false, message: 'Failed to delete question' };
+    }
+  },
+
+  /**
+   * Build and save a new quiz from bank questions
+   * @param {Object} data - { title, topic, studentLevel, language, questionIds }
+   * @returns {Promise} API response with the new quiz ID
+   */
+  assembleQuiz: async (data) => {
+    try {
+      const response = await api.post('/bank/assemble', data);
+      return response.data;
+    } catch (error) {
+      console.error('Error assembling quiz:', error);
+      throw error.response?.data || { success: false, message: 'Failed to assemble quiz' };
+    }
+  }
+};
+
+export const dashboardService = {
+  /**
+   * Get dashboard statistics
+   * @returns {Promise} API response
+   */
+  getStats: async () => {
+    try {
+      const response = await api.get('/dashboard/stats');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching dashboard stats:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch dashboard statistics' };
+    }
+  },
+
+  /**
+   * Get recent activities
+   * @returns {Promise} API response
+   */
+  getRecentActivities: async () => {
+    try {
+      const response = await api.get('/dashboard/activities');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching recent activities:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch recent activities' };
+    }
+  },
+
+  /**
+   * Get system status (admin only)
+   * @returns {Promise} API response
+   */
+  getSystemStatus: async () => {
+    try {
+      const response = await api.get('/dashboard/system-status');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching system status:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch system status' };
+    }
+  }
+};
+
+// School Service
+export const schoolService = {
+  /**
+   * Create a new school
+   * @param {Object} schoolData - School data
+   * @returns {Promise} API response
+   */
+  createSchool: async (schoolData) => {
+    try {
+      const response = await api.post('/schools', schoolData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to create school' };
+    }
+  },
+
+  /**
+   * Get school details
+   * @param {number} schoolId - School ID
+   * @returns {Promise} API response
+   */
+  getSchool: async (schoolId) => {
+    try {
+      const response = await api.get(`/schools/${schoolId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to fetch school details' };
+    }
+  },
+
+  /**
+   * Update school details
+   * @param {number} schoolId - School ID
+   * @param {Object} schoolData - School data to update
+   * @returns {Promise} API response
+   */
+  updateSchool: async (schoolId, schoolData) => {
+    try {
+      const response = await api.put(`/schools/${schoolId}`, schoolData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to update school' };
+    }
+  },
+
+  /**
+   * Delete school
+   * @param {number} schoolId - School ID
+   * @returns {Promise} API response
+   */
+  deleteSchool: async (schoolId) => {
+    try {
+      const response = await api.delete(`/schools/${schoolId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to delete school' };
+    }
+  },
+
+  /**
+   * Get school departments
+   * @param {number} schoolId - School ID
+   * @returns {Promise} API response
+   */
+  getSchoolDepartments: async (schoolId) => {
+    try {
+      const response = await api.get(`/schools/${schoolId}/departments`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to fetch school departments' };
+    }
+  }
+};
+
+// Admin Service
+export const adminService = {
+  /**
+   * Get all users (admin only)
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise} API response
+   */
+  getAllUsers: async (page = 1, limit = 10) => {
+    try {
+      const response = await api.get(`/admin/users?page=${page}&limit=${limit}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      throw error.response?.data || { success: false, message: 'Failed to fetch users' };
+    }
+  },
+
+  /**
+   * Create new user (admin only)
+   * @param {Object} userData - User data
+   * @returns {Promise} API response
+   */
+  createUser: async (userData) => {
+    try {
+      const response = await api.post('/admin/users', userData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to create user' };
+    }
+  },
+
+  /**
+   * Update user (admin only)
+   * @param {number} userId - User ID
+   * @param {Object} userData - User data to update
+   * @returns {Promise} API response
+   */
+  updateUser: async (userId, userData) => {
+    try {
+      const response = await api.put(`/admin/users/${userId}`, userData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to update user' };
+    }
+  },
+
+  /**
+   * Delete user (admin only)
+   * @param {number} userId - User ID
+   * @returns {Promise} API response
+   */
+  deleteUser: async (userId) => {
+    try {
+      const response = await api.delete(`/admin/users/${userId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to delete user' };
+    }
+  },
+
+  /**
+   * Get system analytics (admin only)
+   * @returns {Promise} API response
+   */
+  getSystemAnalytics: async () => {
+    try {
+      const response = await api.get('/admin/analytics');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to fetch system analytics' };
+    }
+  },
+
+  /**
+   * Get audit logs (admin only)
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise} API response
+   */
+  getAuditLogs: async (page = 1, limit = 10) => {
+    try {
+      const response = await api.get(`/admin/audit-logs?page=${page}&limit=${limit}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to fetch audit logs' };
+    }
+  },
+
+  /**
+   * Get logged AI requests, newest first (admin only)
+   * @param {Object} params - limit, offset and optional userId, task, status and search filters
+   * @returns {Promise} API response with previews of the prompt and response
+   */
+  getAILogs: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/ai-logs', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to fetch AI generation logs' };
+    }
+  },
+
+  /**
+   * Get one logged AI request with the full prompt, parameters and raw response (admin only)
+   * @param {number} id - Log ID
+   * @returns {Promise} API response
+   */
+  getAILog: async (id) => {
+    try {
+      const response = await api.get(`/admin/ai-logs/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to fetch AI generation log' };
+    }
+  },
+
+  /**
+   * Send a logged AI request again (admin only)
+   * @param {number} id - Log ID
+   * @param {Object} target - Optional provider and model to send it to
+   * @returns {Promise} API response with the log of the replay
+   */
+  replayAILog: async (id, target = {}) => {
+    try {
+      const response = await api.post(`/admin/ai-logs/${id}/replay`, target);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Failed to replay AI request' };
     }
   }
 };
@@ -684,6 +1841,10 @@ export default {
   auth: authService,
   user: userService,
   dashboard: dashboardService,
+  job: jobService,
+  preset: presetService,
+  course: courseService,
+  bank: bankService,
   school: schoolService,
   admin: adminService
 };
\ No newline at end of file
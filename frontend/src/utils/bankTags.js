@@ -0,0 +1,6 @@
+// Tags of question bank questions, typed as a comma-separated list; the backend stores them in lower case
+export const parseTags = (text) => [...new Set(
+  text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+)];
+
+export const formatTags = (tags = []) => tags.join(', ');
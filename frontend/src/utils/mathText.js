@@ -0,0 +1,85 @@
+// Formulas in question text, options, answers and explanations, written in LaTeX (backend/src/utils/mathText.js):
+// $...$ or \(...\) inline, $$...$$ or \[...\] as a block, and \$ for a literal dollar.
+// A single $ only opens math before a non-space and the next $ only closes it after a non-space when no digit follows,
+// so prices such as "$5 and $10" stay text.
+
+const PAIRED_DELIMITERS = [
+  { open: '$$', close: '$$', display: true },
+  { open: '\\[', close: '\\]', display: true },
+  { open: '\\(', close: '\\)', display: false }
+];
+
+// Index of the $ that closes an inline formula opened at start, or -1 if that $ does not open one
+const findInlineDollarEnd = (text, start) => {
+  if (!/\S/.test(text[start + 1] || '')) return -1;
+
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '\n') {
+      return -1;
+    } else if (text[i] === '$') {
+      return !/\s/.test(text[i - 1]) && !/\d/.test(text[i + 1] || '') ? i : -1;
+    }
+  }
+
+  return -1;
+};
+
+// Split text into parts in order: { math: false, value } for text and { math: true, value, display } for a formula without its delimiters
+export const splitMath = (text) => {
+  const source = String(text ?? '');
+  const parts = [];
+  let plain = '';
+
+  const pushPlain = () => {
+    if (plain) parts.push({ math: false, value: plain });
+    plain = '';
+  };
+
+  // The backend's xss-clean saves a typed < as &lt;
+  const pushMath = (value, display) => {
+    parts.push({ math: true, value: value.trim().replace(/&lt;/g, '<'), display });
+  };
+
+  // Delimiter a formula opens with at an index, if any
+  const pairedAt = (index) => PAIRED_DELIMITERS.find(delimiter => source.startsWith(delimiter.open, index));
+
+  let i = 0;
+  while (i < source.length) {
+    if (source.startsWith('\\$', i)) {
+      plain += '$';
+      i += 2;
+      continue;
+    }
+
+    const paired = pairedAt(i);
+    if (paired) {
+      const end = source.indexOf(paired.close, i + paired.open.length);
+      const value = end === -1 ? '' : source.slice(i + paired.open.length, end);
+      if (value.trim()) {
+        pushPlain();
+        pushMath(value, paired.display);
+        i = end + paired.close.length;
+        continue;
+      }
+    } else if (source[i] === '$') {
+      const end = findInlineDollarEnd(source, i);
+      if (end !== -1) {
+        pushPlain();
+        pushMath(source.slice(i + 1, end), false);
+        i = end + 1;
+        continue;
+      }
+    }
+
+    plain += source[i];
+    i++;
+  }
+
+  pushPlain();
+  return parts;
+};
+
+// Whether text contains a formula
+export const hasMath = (text) => splitMath(text).some(part => part.math);
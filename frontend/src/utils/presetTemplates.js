@@ -0,0 +1,8 @@
+// Placeholders of preset instruction templates (backend/src/utils/presetTemplates.js)
+export const PRESET_PLACEHOLDERS = ['topic', 'count', 'type', 'level', 'language'];
+
+// Fill in the placeholders of an instruction template; unknown ones are left as written
+export const renderInstructionTemplate = (template, values) => (template || '').replace(
+  /\{(\w+)\}/g,
+  (placeholder, name) => (PRESET_PLACEHOLDERS.includes(name) && values[name] !== undefined ? String(values[name]) : placeholder)
+);
@@ -0,0 +1,53 @@
+import { splitMath } from './mathText';
+
+// Answer field of each type that does not use options (backend/src/services/quizService.js)
+export const ANSWER_FIELDS = {
+  'Matching': 'pairs',
+  'Ordering': 'items',
+  'Fill in the Blank': 'answers',
+  'Short Answer': 'answers'
+};
+
+// Types with exactly one correct option
+export const isSingleAnswer = (type) => ['Multiple Choice', 'True/False'].includes(type);
+
+// Answers of a matching, ordering, fill-in or short-answer question as text, one per line ("left = right" for pairs)
+export const answersToText = (question, type) => {
+  const field = ANSWER_FIELDS[type];
+  if (!field) return '';
+
+  return (question[field] || [])
+    .map(value => (field === 'pairs' ? `${value.left} = ${value.right}` : value))
+    .join('\n');
+};
+
+// A change refused with 409 because someone else changed the quiz first; the response carries the quiz's current version
+export const isStaleEdit = (err) => err?.currentVersion !== undefined;
+
+export const staleEditMessage = (isThai) => (isThai
+  ? 'มีผู้อื่นแก้ไขข้อสอบนี้ก่อนหน้า จึงโหลดเวอร์ชันล่าสุดแล้ว กรุณาตรวจสอบแล้วบันทึกอีกครั้ง'
+  : 'Someone else changed this quiz first. The latest version has been loaded; check it and save again.');
+
+// Index of the first = of a pair line that is not part of a formula, so "$V = IR$ = Ohm's law" splits after the formula
+const pairSeparator = (line) => {
+  for (let i = line.indexOf('='); i !== -1; i = line.indexOf('=', i + 1)) {
+    const marked = `${line.slice(0, i)}\u0000${line.slice(i + 1)}`;
+    if (splitMath(marked).some(part => !part.math && part.value.includes('\u0000'))) return i;
+  }
+  return -1;
+};
+
+// Read the text of answersToText back into the answer field of the type
+export const textToAnswers = (text, type) => {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+  if (ANSWER_FIELDS[type] !== 'pairs') {
+    return lines;
+  }
+
+  return lines.map(line => {
+    const separator = pairSeparator(line);
+    if (separator === -1) return { left: line, right: '' };
+    return { left: line.slice(0, separator).trim(), right: line.slice(separator + 1).trim() };
+  });
+};
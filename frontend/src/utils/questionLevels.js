@@ -0,0 +1,23 @@
+// Difficulty and Bloom's taxonomy levels (backend/src/utils/questionLevels.js)
+export const DIFFICULTY_LEVELS = [
+  { value: 'easy', label: 'Easy', labelTh: 'ง่าย', variant: 'success' },
+  { value: 'medium', label: 'Medium', labelTh: 'ปานกลาง', variant: 'warning' },
+  { value: 'hard', label: 'Hard', labelTh: 'ยาก', variant: 'danger' }
+];
+
+export const BLOOM_LEVELS = [
+  { value: 'remember', label: 'Remember', labelTh: 'จำ' },
+  { value: 'understand', label: 'Understand', labelTh: 'เข้าใจ' },
+  { value: 'apply', label: 'Apply', labelTh: 'ประยุกต์ใช้' },
+  { value: 'analyze', label: 'Analyze', labelTh: 'วิเคราะห์' },
+  { value: 'evaluate', label: 'Evaluate', labelTh: 'ประเมินค่า' },
+  { value: 'create', label: 'Create', labelTh: 'สร้างสรรค์' }
+];
+
+// Starting values when a teacher turns on a target mix
+export const DEFAULT_DIFFICULTY_MIX = { easy: 30, medium: 50, hard: 20 };
+export const DEFAULT_BLOOM_MIX = { remember: 20, understand: 30, apply: 30, analyze: 20, evaluate: 0, create: 0 };
+
+export const mixTotal = (mix) => Object.values(mix || {}).reduce((sum, percent) => sum + (Number(percent) || 0), 0);
+
+export const findLevel = (levels, value) => levels.find(level => level.value === value) || null;
@@ -0,0 +1,20 @@
+import { API_URL } from '../services/api';
+
+// Address of a file stored under the backend's uploads/ (backend/src/utils/questionMedia.js), e.g. question-images/qimg-1-....png;
+// absolute so printouts opened in a new window load it too
+export const mediaUrl = (mediaPath) => `${new URL(API_URL, window.location.origin).origin}/uploads/${mediaPath}`;
+
+// Upload types the backend accepts by default (UPLOAD_ALLOWED_TYPES, UPLOAD_ALLOWED_AUDIO_TYPES)
+export const IMAGE_TYPES = 'image/jpeg,image/png,image/gif';
+export const AUDIO_TYPES = 'audio/mpeg,audio/wav,audio/ogg,audio/mp4,audio/webm,.mp3,.wav,.ogg,.m4a,.webm';
+
+// Speed and tone range of synthesized Morse code (backend/src/utils/morseAudio.js)
+export const MORSE_LIMITS = {
+  minWpm: 5,
+  maxWpm: 40,
+  defaultWpm: 15,
+  minTone: 300,
+  maxTone: 1200,
+  defaultTone: 700,
+  maxLength: 250
+};
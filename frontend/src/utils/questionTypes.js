@@ -0,0 +1,66 @@
+// Question types supported by the backend (backend/src/utils/questionTypes.js)
+export const QUESTION_TYPES = [
+  'Multiple Choice',
+  'True/False',
+  'Multiple Select',
+  'Matching',
+  'Ordering',
+  'Fill in the Blank',
+  'Short Answer',
+  'Essay'
+];
+
+export const MIXED_QUESTION_TYPE = 'Mixed';
+
+// Types a whole quiz can have, for the type selectors
+export const QUIZ_TYPES = [...QUESTION_TYPES, MIXED_QUESTION_TYPE];
+
+export const QUESTION_TYPE_LABELS_TH = {
+  'Multiple Choice': 'ปรนัย',
+  'True/False': 'ถูก/ผิด',
+  'Multiple Select': 'เลือกได้หลายคำตอบ',
+  'Matching': 'จับคู่',
+  'Ordering': 'เรียงลำดับ',
+  'Fill in the Blank': 'เติมคำในช่องว่าง',
+  'Short Answer': 'ตอบสั้น',
+  'Essay': 'อัตนัย',
+  'Mixed': 'หลายรูปแบบ'
+};
+
+export const getOptionLabel = (index) => String.fromCharCode(65 + index); // A, B, C, D, ...
+
+// Type of one question; older quizzes only store the type on the quiz
+export const getQuestionType = (question, quizType) => question.questionType || quizType;
+
+// Quiz type of a set of questions: their shared type, or Mixed
+export const getQuizType = (questions) => {
+  const types = new Set(questions.map(question => question.questionType));
+  return types.size === 1 ? [...types][0] : MIXED_QUESTION_TYPE;
+};
+
+export const hasOptions = (type) => ['Multiple Choice', 'True/False', 'Multiple Select'].includes(type);
+
+// Sort a copy alphabetically so printed matching/ordering questions don't give the answer away
+export const scrambled = (values) => [...values].sort((a, b) => String(a).localeCompare(String(b)));
+
+// One-line answer key of a question
+export const getCorrectAnswerText = (question, type) => {
+  if (hasOptions(type)) {
+    return (question.options || [])
+      .map((option, index) => (option.isCorrect ? `${getOptionLabel(index)}. ${option.text}` : null))
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  switch (type) {
+    case 'Matching':
+      return (question.pairs || []).map(pair => `${pair.left} → ${pair.right}`).join('; ');
+    case 'Ordering':
+      return (question.items || []).map((item, index) => `${index + 1}. ${item}`).join('  ');
+    case 'Fill in the Blank':
+    case 'Short Answer':
+      return (question.answers || []).join(' / ');
+    default:
+      return '';
+  }
+};
@@ -0,0 +1,43 @@
+// Language versions of a quiz (backend/src/utils/quizLanguages.js): the original and, once translated, the other language or both side by side
+
+export const BILINGUAL = 'bilingual';
+
+export const LANGUAGE_LABELS = {
+  thai: 'ภาษาไทย',
+  english: 'English',
+  [BILINGUAL]: 'สองภาษา (ไทย + English)'
+};
+
+// Language a quiz was written in; quizzes saved without one are English
+export const quizLanguage = (quiz) => (quiz?.language === 'thai' ? 'thai' : 'english');
+
+export const otherLanguage = (language) => (language === 'thai' ? 'english' : 'thai');
+
+// Versions a quiz can be exported or printed in
+export const availableLanguages = (quiz) => (quiz?.translation_language
+  ? [quizLanguage(quiz), quiz.translation_language, BILINGUAL]
+  : [quizLanguage(quiz)]);
+
+// Question with the texts of its translation, keeping the original for anything not translated
+export const translatedQuestion = (question) => {
+  const translation = question.translation;
+  if (!translation) return question;
+
+  return {
+    ...question,
+    questionText: translation.questionText || question.questionText,
+    explanation: translation.explanation ?? question.explanation,
+    options: (question.options || []).map((option, index) => ({
+      ...option,
+      text: translation.options?.[index] || option.text
+    })),
+    ...(question.pairs && {
+      pairs: question.pairs.map((pair, index) => ({
+        left: translation.pairs?.[index]?.left || pair.left,
+        right: translation.pairs?.[index]?.right || pair.right
+      }))
+    }),
+    ...(question.items && { items: question.items.map((item, index) => translation.items?.[index] || item) }),
+    ...(question.answers && { answers: translation.answers?.length > 0 ? translation.answers : question.answers })
+  };
+};